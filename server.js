@@ -25,15 +25,28 @@ import messageRoutes from "./src/routes/message.route.js";
 import bookingRoutes from "./src/routes/booking.route.js";
 import scheduleRoutes from "./src/routes/schedule.route.js";
 import paymentRoutes from "./src/routes/payment.route.js";
+import paymentWebhookRoutes from "./src/routes/paymentWebhook.route.js";
+import paymentReconciliationRoutes from "./src/routes/paymentReconciliation.route.js";
+import walletRoutes from "./src/routes/wallet.route.js";
+import loyaltyRoutes from "./src/routes/loyalty.route.js";
 import setDesignRoutes from "./src/routes/setDesign.route.js";
 import setDesignOrderRoutes from "./src/routes/setDesignOrder.route.js";
 import equipmentOrderRoutes from "./src/routes/equipmentOrder.route.js";
+import equipmentUnitRoutes from "./src/routes/equipmentUnit.route.js";
+import equipmentMaintenanceRoutes from "./src/routes/equipmentMaintenance.route.js";
+import equipmentKitRoutes from "./src/routes/equipmentKit.route.js";
 import commentRoutes from "./src/routes/comment.route.js";
 import roomPolicyRoutes from "./src/routes/roomPolicy.route.js";
 import reportRoutes from "./src/routes/report.route.js";
 import reviewRoutes from "./src/routes/review.route.js";
 import searchRoutes from "./src/routes/search.route.js";
 import refundRoutes from "./src/routes/refund.route.js";
+import waitlistRoutes from "./src/routes/waitlist.route.js";
+import holidayRoutes from "./src/routes/holiday.route.js";
+import pricingRoutes from "./src/routes/pricing.route.js";
+import kioskRoutes from "./src/routes/kiosk.route.js";
+import calendarRoutes from "./src/routes/calendar.route.js";
+import scheduleTemplateRoutes from "./src/routes/scheduleTemplate.route.js";
 import logger from "./src/utils/logger.js";
 import { errorHandler, notFoundHandler } from "./src/middlewares/errorHandler.js";
 import { socketAuth, handleSocketConnection } from "./src/middlewares/socket.js";
@@ -92,16 +105,29 @@ app.use("/api/analytics", analyticsRoutes);
 app.use("/api/messages", messageRoutes);
 app.use("/api/bookings", bookingRoutes);
 app.use("/api/schedules", scheduleRoutes);
+app.use("/api/schedule-templates", scheduleTemplateRoutes);
 app.use("/api/set-designs", setDesignRoutes);
 app.use("/api/set-design-orders", setDesignOrderRoutes);
 app.use("/api/equipment-orders", equipmentOrderRoutes);
+app.use("/api/equipment-units", equipmentUnitRoutes);
+app.use("/api/equipment-maintenance", equipmentMaintenanceRoutes);
+app.use("/api/equipment-kits", equipmentKitRoutes);
 app.use("/api/comments", commentRoutes);
 app.use("/api/room-policies", roomPolicyRoutes);
 app.use("/api/payments", paymentRoutes);
+app.use("/api/payment-webhooks", paymentWebhookRoutes);
+app.use("/api/payment-reconciliations", paymentReconciliationRoutes);
+app.use("/api/wallets", walletRoutes);
+app.use("/api/loyalty", loyaltyRoutes);
 app.use("/api/reports", reportRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/search", searchRoutes);
 app.use("/api/refunds", refundRoutes);
+app.use("/api/waitlist", waitlistRoutes);
+app.use("/api/holidays", holidayRoutes);
+app.use("/api/pricing", pricingRoutes);
+app.use("/api/kiosk", kioskRoutes);
+app.use("/api/calendar", calendarRoutes);
 
 // Background jobs (no-show, reminders, etc.) should NOT be started
 // from the web server process. Start jobs via the dedicated worker:
@@ -26,7 +26,7 @@ if (missingVars.length > 0) {
 
   // Verify PayOS client has expected API methods at startup
   // Expected: PayOS SDK v1.x with createPaymentLink method
-  // If SDK changes, update getPayOSCreatePaymentFn() in services
+  // If SDK changes, update getPayOSCreatePaymentFn() (used by services/paymentGateway/payos.gateway.js)
   if (typeof payos.createPaymentLink !== 'function' && 
       typeof payos.paymentRequests?.create !== 'function') {
     const errorMsg = 'PayOS client missing expected API methods (createPaymentLink or paymentRequests.create)';
@@ -12,8 +12,22 @@ import {
   checkOutBooking as checkOutBookingService,
   getMaxExtensionTime as getMaxExtensionTimeService,
   extendBooking as extendBookingService,
+  rescheduleBooking as rescheduleBookingService,
+  modifyBookingItems as modifyBookingItemsService,
+  previewBookingSeries as previewBookingSeriesService,
+  createBookingSeries as createBookingSeriesService,
+  getBookingSeriesById as getBookingSeriesByIdService,
+  cancelSeriesOccurrence as cancelSeriesOccurrenceService,
+  cancelBookingSeries as cancelBookingSeriesService,
+  createBookingGroup as createBookingGroupService,
+  createBookingGroupPaymentOptions as createBookingGroupPaymentOptionsService,
+  getBookingGroupById as getBookingGroupByIdService,
+  cancelBookingGroupMember as cancelBookingGroupMemberService,
+  cancelBookingGroup as cancelBookingGroupService,
+  createBookingGroupRefundRequests as createBookingGroupRefundRequestsService,
 } from '../services/booking.service.js';
 import { ValidationError } from '../utils/errors.js';
+import { REFUND_DESTINATION } from '../utils/constants.js';
 // #endregion
 
 export const createBooking = asyncHandler(async (req, res) => {
@@ -85,7 +99,7 @@ export const checkIn = asyncHandler(async (req, res) => {
   const bookingId = req.params.id;
   const actorId = req.user ? req.user._id : null;
 
-  const booking = await checkInBookingService(bookingId, actorId);
+  const booking = await checkInBookingService(bookingId, actorId, { actorRole: req.user?.role, units: req.body?.units });
   res.status(200).json({ success: true, message: 'Check-in thành công!', data: booking });
 });
 
@@ -93,7 +107,7 @@ export const checkOut = asyncHandler(async (req, res) => {
   const bookingId = req.params.id;
   const actorId = req.user ? req.user._id : null;
 
-  const booking = await checkOutBookingService(bookingId, actorId);
+  const booking = await checkOutBookingService(bookingId, actorId, { actorRole: req.user?.role, units: req.body?.units });
   res.status(200).json({ success: true, message: 'Check-out thành công!', data: booking });
 });
 
@@ -138,6 +152,163 @@ export const extendBookingController = asyncHandler(async (req, res) => {
   });
 });
 
+export const rescheduleBookingController = asyncHandler(async (req, res) => {
+  const bookingId = req.params.id;
+  const { startTime, endTime, studioId, scheduleId, waiveFee } = req.body;
+  const actorId = req.user ? req.user._id : null;
+  const actorRole = req.user ? req.user.role : null;
+
+  if (!scheduleId && (!startTime || !endTime)) {
+    throw new ValidationError('Vui lòng cung cấp thời gian mới (startTime, endTime) hoặc scheduleId');
+  }
+
+  const result = await rescheduleBookingService(
+    bookingId,
+    { startTime, endTime, studioId, scheduleId, waiveFee: waiveFee === true },
+    actorId,
+    actorRole,
+    req.io
+  );
+
+  res.status(200).json({
+    success: true,
+    message: result.rescheduleFee > 0
+      ? `Đổi lịch thành công! Phí đổi lịch: ${result.rescheduleFee.toLocaleString('vi-VN')} VND`
+      : 'Đổi lịch thành công!',
+    data: result
+  });
+});
+
+export const modifyBookingItemsController = asyncHandler(async (req, res) => {
+  const bookingId = req.params.id;
+  const { addDetails, removeDetailIds, bankInfo } = req.body;
+  const actorId = req.user ? req.user._id : null;
+  const actorRole = req.user ? req.user.role : null;
+
+  const result = await modifyBookingItemsService(
+    bookingId,
+    { addDetails, removeDetailIds, bankInfo },
+    actorId,
+    actorRole
+  );
+
+  res.status(200).json({
+    success: true,
+    message: result.balanceDue > 0
+      ? `Cập nhật thiết bị / dịch vụ thành công! Cần thanh toán thêm ${result.balanceDue.toLocaleString('vi-VN')} VND`
+      : 'Cập nhật thiết bị / dịch vụ thành công!',
+    data: result
+  });
+});
+
+// #endregion
+
+// #region Recurring Series Controllers
+
+export const previewBookingSeries = asyncHandler(async (req, res) => {
+  const result = await previewBookingSeriesService(req.body);
+  res.status(200).json({
+    success: true,
+    message: result.conflictCount > 0
+      ? `Có ${result.conflictCount}/${result.totalOccurrences} buổi bị trùng lịch`
+      : 'Tất cả các buổi đều còn trống',
+    data: result
+  });
+});
+
+export const createBookingSeries = asyncHandler(async (req, res) => {
+  const data = { ...req.body, userId: req.user._id };
+  const result = await createBookingSeriesService(data);
+
+  res.status(201).json({
+    success: true,
+    message: `Tạo chuỗi booking định kỳ thành công! Đã đặt ${result.bookings.length} buổi`,
+    data: result
+  });
+});
+
+export const getBookingSeries = asyncHandler(async (req, res) => {
+  const series = await getBookingSeriesByIdService(req.params.seriesId, req.user._id, req.user.role);
+  res.status(200).json({ success: true, message: 'Lấy chuỗi booking thành công!', data: series });
+});
+
+export const cancelSeriesOccurrence = asyncHandler(async (req, res) => {
+  const { seriesId, bookingId } = req.params;
+  const result = await cancelSeriesOccurrenceService(seriesId, bookingId, req.user._id, req.user.role);
+  res.status(200).json({ success: true, message: 'Hủy buổi trong chuỗi booking thành công!', data: result });
+});
+
+export const cancelBookingSeries = asyncHandler(async (req, res) => {
+  const result = await cancelBookingSeriesService(req.params.seriesId, req.user._id, req.user.role);
+  res.status(200).json({
+    success: true,
+    message: `Đã hủy ${result.cancelled.length} buổi còn lại của chuỗi booking`,
+    data: result
+  });
+});
+
+// #endregion
+
+// #region Group Booking Controllers
+
+export const createBookingGroup = asyncHandler(async (req, res) => {
+  const data = { ...req.body, userId: req.user._id };
+  const result = await createBookingGroupService(data);
+
+  res.status(201).json({
+    success: true,
+    message: `Tạo nhóm booking thành công! Đã đặt ${result.bookings.length} studio`,
+    data: result
+  });
+});
+
+export const getBookingGroup = asyncHandler(async (req, res) => {
+  const group = await getBookingGroupByIdService(req.params.groupId, req.user._id, req.user.role);
+  res.status(200).json({ success: true, message: 'Lấy nhóm booking thành công!', data: group });
+});
+
+export const createBookingGroupPaymentOptions = asyncHandler(async (req, res) => {
+  const paymentOptions = await createBookingGroupPaymentOptionsService(req.params.groupId, req.user._id, req.user.role);
+  res.status(201).json({ success: true, message: 'Tạo tùy chọn thanh toán cho nhóm booking thành công!', data: paymentOptions });
+});
+
+export const cancelBookingGroupMember = asyncHandler(async (req, res) => {
+  const { groupId, bookingId } = req.params;
+  const result = await cancelBookingGroupMemberService(groupId, bookingId, req.user._id, req.user.role);
+  res.status(200).json({ success: true, message: 'Hủy booking trong nhóm thành công!', data: result });
+});
+
+export const cancelBookingGroup = asyncHandler(async (req, res) => {
+  const result = await cancelBookingGroupService(req.params.groupId, req.user._id, req.user.role);
+  res.status(200).json({
+    success: true,
+    message: `Đã hủy ${result.cancelled.length} booking trong nhóm`,
+    data: result
+  });
+});
+
+export const createBookingGroupRefundRequests = asyncHandler(async (req, res) => {
+  const { bankName, accountNumber, accountName, reason, refundTo = REFUND_DESTINATION.BANK } = req.body;
+  if (refundTo !== REFUND_DESTINATION.WALLET && (!bankName || !accountNumber || !accountName)) {
+    throw new ValidationError('Thông tin ngân hàng (bankName, accountNumber, accountName) là bắt buộc');
+  }
+
+  const result = await createBookingGroupRefundRequestsService(req.params.groupId, {
+    refundTo,
+    bankName: bankName ? String(bankName).trim() : undefined,
+    accountNumber: accountNumber ? String(accountNumber).trim() : undefined,
+    accountName: accountName ? String(accountName).trim() : undefined,
+    reason: reason ? String(reason).trim() : null,
+    userId: req.user._id
+  }, req.user.role);
+
+  res.status(201).json({
+    success: true,
+    message: `Đã tạo ${result.refunds.length} yêu cầu hoàn tiền cho nhóm booking`,
+    data: result
+  });
+});
+
 // #endregion
 
 export default {
@@ -150,4 +321,15 @@ export default {
   checkOut,
   getExtensionOptions,
   extendBookingController,
+  previewBookingSeries,
+  createBookingSeries,
+  getBookingSeries,
+  cancelSeriesOccurrence,
+  cancelBookingSeries,
+  createBookingGroup,
+  getBookingGroup,
+  createBookingGroupPaymentOptions,
+  cancelBookingGroupMember,
+  cancelBookingGroup,
+  createBookingGroupRefundRequests,
 };
@@ -37,7 +37,7 @@ export const createBookingDetailsController = asyncHandler(async (req, res) => {
     booking.discountAmount = booking.discountAmount || 0;
   }
   
-  booking.finalAmount = Math.max(0, booking.totalBeforeDiscount - booking.discountAmount);
+  booking.finalAmount = Math.max(0, booking.totalBeforeDiscount - booking.discountAmount - (booking.loyaltyDiscount || 0));
   await booking.save();
 
   res.status(201).json({ success: true, message: 'Thêm chi tiết booking thành công', data: result });
@@ -0,0 +1,67 @@
+// #region Imports
+import asyncHandler from 'express-async-handler';
+import {
+  getUserFeedLink,
+  getStudioFeedLink,
+  getUserFeed,
+  getStudioFeed,
+} from '../services/calendar.service.js';
+// #endregion
+
+// Feed links must be reachable by calendar apps, so prefer the public API origin when configured
+const resolveBaseUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+// Links end in .ics so calendar apps recognise them
+const stripIcsSuffix = (token = '') => token.replace(/\.ics$/i, '');
+
+const sendCalendar = (res, ics) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'private, max-age=300');
+  res.status(200).send(ics);
+};
+
+/**
+ * Get (or rotate with POST) the personal calendar feed link
+ * GET|POST /api/calendar/me/feed-url
+ */
+export const getMyFeedUrlController = asyncHandler(async (req, res) => {
+  const result = await getUserFeedLink(req.user._id, resolveBaseUrl(req), req.method === 'POST');
+
+  res.status(200).json({
+    success: true,
+    message: req.method === 'POST' ? 'Đã tạo link lịch mới!' : 'Lấy link lịch thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Get (or rotate with POST) the calendar feed link of a studio
+ * GET|POST /api/calendar/studios/:id/feed-url
+ */
+export const getStudioFeedUrlController = asyncHandler(async (req, res) => {
+  const result = await getStudioFeedLink(req.params.id, resolveBaseUrl(req), req.method === 'POST');
+
+  res.status(200).json({
+    success: true,
+    message: req.method === 'POST' ? 'Đã tạo link lịch mới!' : 'Lấy link lịch thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Personal iCalendar feed (token in the link is the credential)
+ * GET /api/calendar/feeds/users/:token
+ */
+export const getUserFeedController = asyncHandler(async (req, res) => {
+  const ics = await getUserFeed(stripIcsSuffix(req.params.token));
+  sendCalendar(res, ics);
+});
+
+/**
+ * Studio iCalendar feed
+ * GET /api/calendar/feeds/studios/:token
+ */
+export const getStudioFeedController = asyncHandler(async (req, res) => {
+  const ics = await getStudioFeed(stripIcsSuffix(req.params.token));
+  sendCalendar(res, ics);
+});
@@ -0,0 +1,50 @@
+// #region Imports
+import asyncHandler from 'express-async-handler';
+import {
+  issueCheckInToken,
+  selfServiceCheckIn,
+  selfServiceCheckOut,
+} from '../services/checkIn.service.js';
+// #endregion
+
+/**
+ * Get the signed check-in token + QR of a confirmed booking
+ * GET /api/bookings/:id/checkin-token
+ */
+export const getCheckInTokenController = asyncHandler(async (req, res) => {
+  const result = await issueCheckInToken(req.params.id, req.user._id, req.user.role);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy mã check-in thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Self-service check-in by scanning the QR token
+ * POST /api/kiosk/check-in
+ */
+export const kioskCheckInController = asyncHandler(async (req, res) => {
+  const result = await selfServiceCheckIn(req.body.token);
+
+  res.status(200).json({
+    success: true,
+    message: 'Check-in thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Self-service check-out by scanning the QR token
+ * POST /api/kiosk/check-out
+ */
+export const kioskCheckOutController = asyncHandler(async (req, res) => {
+  const result = await selfServiceCheckOut(req.body.token);
+
+  res.status(200).json({
+    success: true,
+    message: 'Check-out thành công!',
+    data: result,
+  });
+});
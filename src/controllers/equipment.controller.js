@@ -5,6 +5,8 @@ import {
   getEquipmentById,
   getAvailableEquipment,
   getAvailableEquipmentDetail,
+  getEquipmentAvailability,
+  getEquipmentAvailabilityList,
   createEquipment,
   updateEquipment,
   deleteEquipment,
@@ -38,15 +40,17 @@ export const getEquipmentList = asyncHandler(async (req, res) => {
 });
 
 /**
- * Lấy danh sách equipment available (cho customer khi booking)
+ * Lấy danh sách equipment và kit available (cho customer khi booking)
+ * Query startTime / endTime (tùy chọn): số lượng còn trống trong khung giờ đó
  */
 export const getAvailableEquipmentList = asyncHandler(async (req, res) => {
-  const equipment = await getAvailableEquipment();
+  const { startTime, endTime } = req.query;
+  const result = await getAvailableEquipment({ startTime, endTime });
 
   res.status(200).json({
     success: true,
     message: 'Lấy danh sách equipment khả dụng thành công!',
-    data: equipment,
+    data: result,
   });
 });
 
@@ -64,6 +68,38 @@ export const getEquipmentDetail = asyncHandler(async (req, res) => {
 });
 // #endregion
 
+// #region Availability Calendar (Public)
+/**
+ * Số lượng còn trống của tất cả equipment trong một khung giờ
+ * GET /api/equipment/availability?startTime=&endTime=&minQty=
+ */
+export const getEquipmentAvailabilityListController = asyncHandler(async (req, res) => {
+  const { startTime, endTime, minQty } = req.query;
+  const result = await getEquipmentAvailabilityList({ startTime, endTime, minQty });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy lịch trống equipment thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Lịch trống theo thời gian của một equipment
+ * GET /api/equipment/:id/availability?startTime=&endTime=
+ */
+export const getEquipmentAvailabilityController = asyncHandler(async (req, res) => {
+  const { startTime, endTime } = req.query;
+  const result = await getEquipmentAvailability(req.params.id, startTime, endTime);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy lịch trống equipment thành công!',
+    data: result,
+  });
+});
+// #endregion
+
 // #region Available Equipment Details (Public)
 /**
  * Lấy chi tiết equipment available (cho customer xem)
@@ -191,7 +227,7 @@ export const uploadEquipmentImage = asyncHandler(async (req, res) => {
 // #region Reset Equipment Quantities (DEV/TESTING)
 /**
  * Reset equipment quantities for testing (staff/admin only)
- * Resets inUseQty to 0 and recalculates availableQty
+ * Recounts inUseQty / availableQty from the bookings and rental orders running right now
  */
 export const resetEquipmentQuantitiesController = asyncHandler(async (req, res) => {
   const { id } = req.params;
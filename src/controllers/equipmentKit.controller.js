@@ -0,0 +1,126 @@
+// #region Imports
+import asyncHandler from 'express-async-handler';
+import {
+  getKits,
+  getKitById,
+  createKit,
+  updateKit,
+  deleteKit,
+  getAvailableKits,
+  getKitAvailability,
+} from '../services/equipmentKit.service.js';
+import { USER_ROLES } from '../utils/constants.js';
+// #endregion
+
+// Staff / admin xem được cả kit đang tạm ngưng
+const canSeeInactive = (req) => [USER_ROLES.STAFF, USER_ROLES.ADMIN].includes(req.user?.role);
+
+// #region Get Kits
+/**
+ * Lấy danh sách kit thiết bị
+ * GET /api/equipment-kits
+ */
+export const getKitsController = asyncHandler(async (req, res) => {
+  const { search, page, limit, includeInactive } = req.query;
+
+  const result = await getKits({
+    search,
+    page,
+    limit,
+    includeInactive: includeInactive === 'true' && canSeeInactive(req),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy danh sách kit thiết bị thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Kit còn bộ trống (theo khung giờ nếu có startTime / endTime)
+ * GET /api/equipment-kits/available
+ */
+export const getAvailableKitsController = asyncHandler(async (req, res) => {
+  const { startTime, endTime } = req.query;
+  const kits = await getAvailableKits({ startTime, endTime });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy danh sách kit khả dụng thành công!',
+    data: kits,
+  });
+});
+
+/**
+ * Chi tiết kit
+ * GET /api/equipment-kits/:id
+ */
+export const getKitController = asyncHandler(async (req, res) => {
+  const kit = await getKitById(req.params.id, { includeInactive: canSeeInactive(req) });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy thông tin kit thành công!',
+    data: kit,
+  });
+});
+
+/**
+ * Số bộ còn trống của kit trong khung giờ
+ * GET /api/equipment-kits/:id/availability?startTime=&endTime=
+ */
+export const getKitAvailabilityController = asyncHandler(async (req, res) => {
+  const { startTime, endTime } = req.query;
+  const result = await getKitAvailability(req.params.id, startTime, endTime);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy lịch trống kit thành công!',
+    data: result,
+  });
+});
+// #endregion
+
+// #region Manage Kits
+/**
+ * Tạo kit (staff/admin)
+ * POST /api/equipment-kits
+ */
+export const createKitController = asyncHandler(async (req, res) => {
+  const kit = await createKit(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Tạo kit thành công!',
+    data: kit,
+  });
+});
+
+/**
+ * Cập nhật kit (staff/admin)
+ * PATCH /api/equipment-kits/:id
+ */
+export const updateKitController = asyncHandler(async (req, res) => {
+  const kit = await updateKit(req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Cập nhật kit thành công!',
+    data: kit,
+  });
+});
+
+/**
+ * Xóa kit (staff/admin)
+ * DELETE /api/equipment-kits/:id
+ */
+export const deleteKitController = asyncHandler(async (req, res) => {
+  const result = await deleteKit(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+  });
+});
+// #endregion
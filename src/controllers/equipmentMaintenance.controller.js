@@ -0,0 +1,211 @@
+// #region Imports
+import asyncHandler from 'express-async-handler';
+import {
+  getMaintenanceOrders,
+  getMaintenanceOrderById,
+  createMaintenanceOrder,
+  updateMaintenanceOrder,
+  startMaintenanceOrder,
+  completeMaintenanceOrder,
+  cancelMaintenanceOrder,
+  getMaintenancePlans,
+  createMaintenancePlan,
+  updateMaintenancePlan,
+  getMaintenanceCostReport,
+} from '../services/equipmentMaintenance.service.js';
+// #endregion
+
+// #region Work Orders
+
+/**
+ * Maintenance history / work order list
+ * GET /api/equipment-maintenance?equipmentId=&equipmentUnitId=&status=&type=&from=&to=&page=&limit=
+ */
+export const getMaintenanceOrdersController = asyncHandler(async (req, res) => {
+  const { equipmentId, equipmentUnitId, status, type, from, to, page, limit } = req.query;
+
+  const result = await getMaintenanceOrders({ equipmentId, equipmentUnitId, status, type, from, to, page, limit });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy danh sách phiếu bảo trì thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Work order detail
+ * GET /api/equipment-maintenance/:id
+ */
+export const getMaintenanceOrderController = asyncHandler(async (req, res) => {
+  const order = await getMaintenanceOrderById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy thông tin phiếu bảo trì thành công!',
+    data: order,
+  });
+});
+
+/**
+ * Schedule maintenance for an equipment (quantity) or a unit
+ * POST /api/equipment-maintenance
+ */
+export const createMaintenanceOrderController = asyncHandler(async (req, res) => {
+  const {
+    equipmentId, equipmentUnitId, quantity, type, reason, technicianId, technicianName,
+    startTime, endTime, estimatedCost, notes, reportId,
+  } = req.body;
+
+  const order = await createMaintenanceOrder(
+    { equipmentId, equipmentUnitId, quantity, type, reason, technicianId, technicianName, startTime, endTime, estimatedCost, notes, reportId },
+    req.user._id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Tạo phiếu bảo trì thành công!',
+    data: order,
+  });
+});
+
+/**
+ * Reschedule / edit a work order
+ * PATCH /api/equipment-maintenance/:id
+ */
+export const updateMaintenanceOrderController = asyncHandler(async (req, res) => {
+  const { startTime, endTime, reason, technicianId, technicianName, estimatedCost, notes } = req.body;
+
+  const order = await updateMaintenanceOrder(req.params.id, { startTime, endTime, reason, technicianId, technicianName, estimatedCost, notes });
+
+  res.status(200).json({
+    success: true,
+    message: 'Cập nhật phiếu bảo trì thành công!',
+    data: order,
+  });
+});
+
+/**
+ * Start maintenance
+ * POST /api/equipment-maintenance/:id/start
+ */
+export const startMaintenanceOrderController = asyncHandler(async (req, res) => {
+  const order = await startMaintenanceOrder(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Đã bắt đầu bảo trì!',
+    data: order,
+  });
+});
+
+/**
+ * Complete maintenance, equipment returns to the pool
+ * POST /api/equipment-maintenance/:id/complete
+ */
+export const completeMaintenanceOrderController = asyncHandler(async (req, res) => {
+  const { cost, notes, conditionGrade } = req.body;
+
+  const order = await completeMaintenanceOrder(req.params.id, { cost, notes, conditionGrade }, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Hoàn tất bảo trì, thiết bị đã trả về kho!',
+    data: order,
+  });
+});
+
+/**
+ * Cancel a work order that has not started
+ * POST /api/equipment-maintenance/:id/cancel
+ */
+export const cancelMaintenanceOrderController = asyncHandler(async (req, res) => {
+  const order = await cancelMaintenanceOrder(req.params.id, req.body?.reason);
+
+  res.status(200).json({
+    success: true,
+    message: 'Đã hủy phiếu bảo trì!',
+    data: order,
+  });
+});
+
+// #endregion
+
+// #region Preventive Plans
+
+/**
+ * Preventive maintenance plans with their next due date / usage
+ * GET /api/equipment-maintenance/plans?equipmentId=&equipmentUnitId=&isActive=
+ */
+export const getMaintenancePlansController = asyncHandler(async (req, res) => {
+  const { equipmentId, equipmentUnitId, isActive } = req.query;
+
+  const plans = await getMaintenancePlans({ equipmentId, equipmentUnitId, isActive });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy danh sách kế hoạch bảo trì thành công!',
+    data: plans,
+  });
+});
+
+/**
+ * Create a preventive maintenance plan
+ * POST /api/equipment-maintenance/plans
+ */
+export const createMaintenancePlanController = asyncHandler(async (req, res) => {
+  const {
+    equipmentId, equipmentUnitId, quantity, reason, intervalDays, intervalUsageHours,
+    durationHours, technicianId, technicianName, estimatedCost, lastServicedAt,
+  } = req.body;
+
+  const plan = await createMaintenancePlan(
+    { equipmentId, equipmentUnitId, quantity, reason, intervalDays, intervalUsageHours, durationHours, technicianId, technicianName, estimatedCost, lastServicedAt },
+    req.user._id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Tạo kế hoạch bảo trì thành công!',
+    data: plan,
+  });
+});
+
+/**
+ * Update / pause a preventive maintenance plan
+ * PATCH /api/equipment-maintenance/plans/:id
+ */
+export const updateMaintenancePlanController = asyncHandler(async (req, res) => {
+  const {
+    quantity, reason, intervalDays, intervalUsageHours, durationHours,
+    technicianId, technicianName, estimatedCost, isActive,
+  } = req.body;
+
+  const plan = await updateMaintenancePlan(req.params.id, {
+    quantity, reason, intervalDays, intervalUsageHours, durationHours, technicianId, technicianName, estimatedCost, isActive,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Cập nhật kế hoạch bảo trì thành công!',
+    data: plan,
+  });
+});
+
+// #endregion
+
+/**
+ * Maintenance cost / downtime report
+ * GET /api/equipment-maintenance/report?from=&to=&equipmentId=
+ */
+export const getMaintenanceCostReportController = asyncHandler(async (req, res) => {
+  const { from, to, equipmentId } = req.query;
+
+  const report = await getMaintenanceCostReport({ from, to, equipmentId });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy báo cáo bảo trì thành công!',
+    data: report,
+  });
+});
@@ -6,14 +6,12 @@ import {
   updateEquipmentOrderStatus,
   cancelEquipmentOrder,
   createEquipmentPayment,
-  handleEquipmentPaymentWebhook,
   getEquipmentPaymentStatus,
   getEquipmentOrderPayments,
   refundEquipmentDeposit,
 } from '../services/equipmentOrder.service.js';
 import { createRefundRequestForTarget } from '../services/refund.service.js';
 import { TARGET_MODEL } from '../utils/constants.js';
-import logger from '../utils/logger.js';
 
 /**
  * Create equipment order
@@ -123,7 +121,7 @@ export const cancelOrder = async (req, res, next) => {
  */
 export const createPayment = async (req, res, next) => {
   try {
-    const result = await createEquipmentPayment(req.params.id, req.user);
+    const result = await createEquipmentPayment(req.params.id, req.user, { useWallet: req.body?.useWallet === true });
     res.status(201).json({
       success: true,
       message: 'Link thanh toán đã được tạo',
@@ -134,28 +132,6 @@ export const createPayment = async (req, res, next) => {
   }
 };
 
-/**
- * Handle PayOS webhook for equipment payment
- * POST /api/equipment-orders/payment/webhook
- */
-export const handlePaymentWebhook = async (req, res, next) => {
-  try {
-    logger.info('Equipment payment webhook received', { body: req.body });
-
-    const webhookPayload = {
-      body: req.body,
-      headers: req.headers,
-    };
-
-    const result = await handleEquipmentPaymentWebhook(webhookPayload);
-
-    res.json({ success: true });
-  } catch (error) {
-    logger.error('Equipment webhook handler error:', error);
-    res.json({ success: true });
-  }
-};
-
 /**
  * Get payment status
  * GET /api/equipment-orders/payment/:paymentId
@@ -212,12 +188,13 @@ export const refundDeposit = async (req, res, next) => {
 export const createRefundRequest = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { bankName, accountNumber, accountName, reason, proofImageUrls } = req.body;
+    const { bankName, accountNumber, accountName, reason, proofImageUrls, refundTo } = req.body;
 
     const refund = await createRefundRequestForTarget(
       id, 
       TARGET_MODEL.EQUIPMENT_ORDER,
       {
+        refundTo,
         bankName,
         accountNumber,
         accountName,
@@ -245,7 +222,6 @@ export default {
   updateOrderStatus,
   cancelOrder,
   createPayment,
-  handlePaymentWebhook,
   getPaymentStatus,
   getOrderPayments,
   refundDeposit,
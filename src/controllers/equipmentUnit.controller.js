@@ -0,0 +1,124 @@
+// #region Imports
+import asyncHandler from 'express-async-handler';
+import {
+  getEquipmentUnits,
+  getEquipmentUnitById,
+  createEquipmentUnit,
+  updateEquipmentUnit,
+  assignEquipmentUnits,
+  returnEquipmentUnits,
+  getTargetEquipmentUnits,
+} from '../services/equipmentUnit.service.js';
+// #endregion
+
+/**
+ * List serialized units
+ * GET /api/equipment-units?equipmentId=&status=&conditionGrade=&search=&page=&limit=
+ */
+export const getEquipmentUnitsController = asyncHandler(async (req, res) => {
+  const { equipmentId, status, conditionGrade, search, page, limit } = req.query;
+
+  const result = await getEquipmentUnits({ equipmentId, status, conditionGrade, search, page, limit });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy danh sách unit thiết bị thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Units held by / handed to a booking or rental order
+ * GET /api/equipment-units/assignments?targetModel=&targetId=
+ */
+export const getTargetEquipmentUnitsController = asyncHandler(async (req, res) => {
+  const { targetModel, targetId } = req.query;
+
+  const result = await getTargetEquipmentUnits(targetModel, targetId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy danh sách unit đã giao thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Unit detail with hand-over history
+ * GET /api/equipment-units/:id
+ */
+export const getEquipmentUnitController = asyncHandler(async (req, res) => {
+  const unit = await getEquipmentUnitById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy thông tin unit thiết bị thành công!',
+    data: unit,
+  });
+});
+
+/**
+ * Register a unit under an equipment
+ * POST /api/equipment-units
+ */
+export const createEquipmentUnitController = asyncHandler(async (req, res) => {
+  const { equipmentId, serialNumber, purchaseDate, conditionGrade, photos, notes } = req.body;
+
+  const unit = await createEquipmentUnit({ equipmentId, serialNumber, purchaseDate, conditionGrade, photos, notes });
+
+  res.status(201).json({
+    success: true,
+    message: 'Thêm unit thiết bị thành công!',
+    data: unit,
+  });
+});
+
+/**
+ * Update a unit (info, condition, stock status)
+ * PATCH /api/equipment-units/:id
+ */
+export const updateEquipmentUnitController = asyncHandler(async (req, res) => {
+  const { serialNumber, purchaseDate, conditionGrade, photos, notes, status } = req.body;
+
+  const unit = await updateEquipmentUnit(req.params.id, { serialNumber, purchaseDate, conditionGrade, photos, notes, status });
+
+  res.status(200).json({
+    success: true,
+    message: 'Cập nhật unit thiết bị thành công!',
+    data: unit,
+  });
+});
+
+/**
+ * Hand units to a checked-in booking / rental order in use (e.g. after a kiosk check-in)
+ * POST /api/equipment-units/assign
+ */
+export const assignEquipmentUnitsController = asyncHandler(async (req, res) => {
+  const { targetModel, targetId, units } = req.body;
+
+  const result = await assignEquipmentUnits({ targetModel, targetId, units }, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Giao thiết bị thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Take units back and record their condition (damage creates a report)
+ * POST /api/equipment-units/return
+ */
+export const returnEquipmentUnitsController = asyncHandler(async (req, res) => {
+  const { targetModel, targetId, units } = req.body;
+
+  const result = await returnEquipmentUnits({ targetModel, targetId, units }, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: result.damageReports.length > 0
+      ? `Đã nhận lại thiết bị, ghi nhận ${result.damageReports.length} báo cáo hư hỏng`
+      : 'Đã nhận lại thiết bị!',
+    data: result,
+  });
+});
@@ -0,0 +1,47 @@
+// #region Imports
+import asyncHandler from 'express-async-handler';
+import { getHolidays, createHoliday, deleteHoliday } from '../services/studioCalendar.service.js';
+// #endregion
+
+/**
+ * Get holidays of a year (shared calendar)
+ * GET /api/holidays?year=2026
+ */
+export const getHolidaysController = asyncHandler(async (req, res) => {
+  const holidays = await getHolidays({ year: req.query.year });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy lịch nghỉ lễ thành công!',
+    data: holidays,
+  });
+});
+
+/**
+ * Add a holiday
+ * POST /api/holidays
+ */
+export const createHolidayController = asyncHandler(async (req, res) => {
+  const { date, name, recurring } = req.body;
+
+  const holiday = await createHoliday({ date, name, recurring }, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Thêm ngày lễ thành công!',
+    data: holiday,
+  });
+});
+
+/**
+ * Delete a holiday
+ * DELETE /api/holidays/:id
+ */
+export const deleteHolidayController = asyncHandler(async (req, res) => {
+  await deleteHoliday(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Xóa ngày lễ thành công!',
+  });
+});
@@ -0,0 +1,50 @@
+// #region Imports
+import asyncHandler from 'express-async-handler';
+import {
+  getLoyaltyProgram,
+  getMyLoyalty,
+  getLoyaltyHistory,
+} from '../services/loyalty.service.js';
+// #endregion
+
+/**
+ * Get loyalty program rules (earning rate, tiers and benefits)
+ * GET /api/loyalty/program
+ */
+export const getLoyaltyProgramController = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Lấy thông tin chương trình điểm thưởng thành công!',
+    data: getLoyaltyProgram(),
+  });
+});
+
+/**
+ * Get my points balance, tier and points expiring soon
+ * GET /api/loyalty/me
+ */
+export const getMyLoyaltyController = asyncHandler(async (req, res) => {
+  const loyalty = await getMyLoyalty(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy thông tin điểm thưởng thành công!',
+    data: loyalty,
+  });
+});
+
+/**
+ * Get my points history
+ * GET /api/loyalty/me/history?type=earn&page=1&limit=20
+ */
+export const getMyLoyaltyHistoryController = asyncHandler(async (req, res) => {
+  const { type, page, limit } = req.query;
+
+  const result = await getLoyaltyHistory(req.user._id, { type, page, limit });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy lịch sử điểm thưởng thành công!',
+    data: result,
+  });
+});
@@ -5,6 +5,7 @@ import User from '../models/User/user.model.js';
 import Booking from '../models/Booking/booking.model.js';
 import {
   createMessage,
+  resolveBookingChatRecipient,
   getConversations,
   markMessageAsRead,
   deleteMessage,
@@ -20,9 +21,15 @@ import mongoose from 'mongoose';
  * POST /api/messages
  */
 export const createMessageController = asyncHandler(async (req, res) => {
-  const { toUserId, content, bookingId } = req.body;
+  const { content, bookingId } = req.body;
+  let { toUserId } = req.body;
   const fromUserId = req.user.id;
 
+  // Booking chat goes to the staff member assigned to the booking
+  if (bookingId && mongoose.Types.ObjectId.isValid(bookingId)) {
+    toUserId = await resolveBookingChatRecipient(bookingId, fromUserId, toUserId);
+  }
+
   // Validation
   if (!toUserId) {
     res.status(400);
@@ -1,10 +1,9 @@
 //#region Imports
 import { 
   createPaymentOptions, 
-  handlePaymentWebhook, 
-  getPaymentStatus, 
   syncPaymentWithPayOS,
   createPaymentForRemaining, 
+  createOvertimePayment,
   getStaffPaymentHistory, 
   createPaymentForOption,
   formatPaymentOption,
@@ -13,12 +12,14 @@ import {
   getTransactionById,
   deleteTransaction,
   deleteAllCancelledTransactions,
-  getTransactionHistory
+  getTransactionHistory,
+  getMockPaymentLink,
+  simulateMockPayment
 } from '../services/payment.service.js';
+import { handlePaymentWebhook } from '../services/paymentWebhook.service.js';
 import { ValidationError, NotFoundError } from '../utils/errors.js';
 import Payment from '../models/Payment/payment.model.js';
 import Booking from '../models/Booking/booking.model.js';
-import Schedule from '../models/Schedule/schedule.model.js';
 import { USER_ROLES, BOOKING_STATUS } from '../utils/constants.js';
 import logger from '../utils/logger.js';
 import { isValidObjectId, isPositiveNumber } from '../utils/validators.js';
@@ -128,7 +129,7 @@ export const getPaymentOptionsInfoController = async (req, res) => {
 };
 
 /**
- * PayOS webhook handler
+ * Payment webhook handler (mọi loại thanh toán: booking, set design, equipment, phạt)
  * POST /api/payments/webhook
  */
 export const paymentWebhookController = async (req, res) => {
@@ -142,7 +143,7 @@ export const paymentWebhookController = async (req, res) => {
     logger.error('Payment webhook error:', error);
     // In development return the error message for easier debugging
     const msg = (process.env.NODE_ENV || 'development') === 'production' ? 'Xử lý webhook thất bại' : (error.message || 'Xử lý webhook thất bại');
-    res.status(500).json({ success: false, message: msg });
+    res.status(error.statusCode || 500).json({ success: false, message: msg });
   }
 };
 
@@ -189,7 +190,7 @@ export const getPaymentStatusController = async (req, res) => {
 export const createSinglePaymentController = async (req, res) => {
   try {
     const { bookingId } = req.params;
-    const { percentage, payType } = req.body;
+    const { percentage, payType, useWallet } = req.body;
 
     if (!bookingId || !isValidObjectId(bookingId)) {
       throw new ValidationError('ID booking không hợp lệ');
@@ -200,7 +201,20 @@ export const createSinglePaymentController = async (req, res) => {
       throw new ValidationError('Phần trăm hoặc loại thanh toán là bắt buộc');
     }
 
-    const payment = await createPaymentForOption(bookingId, { percentage, payType });
+    // Ensure booking exists and enforce ownership for customers
+    const booking = await Booking.findById(bookingId).select('userId');
+    if (!booking) throw new NotFoundError('Booking not found');
+
+    const isOwner = Boolean(req.user && booking.userId && booking.userId.toString() === req.user._id.toString());
+    if (req.user && req.user.role === USER_ROLES.CUSTOMER && !isOwner) {
+      return res.status(403).json({ success: false, message: 'Không có quyền: không phải chủ sở hữu booking' });
+    }
+    // Only the booking owner may spend their own wallet balance
+    if (useWallet === true && !isOwner) {
+      return res.status(403).json({ success: false, message: 'Chỉ chủ sở hữu booking mới có thể thanh toán bằng ví' });
+    }
+
+    const payment = await createPaymentForOption(bookingId, { percentage, payType, useWallet: useWallet === true });
 
     res.status(200).json({ success: true, message: 'Payment created', data: payment });
   } catch (error) {
@@ -225,14 +239,18 @@ export const createRemainingPaymentController = async (req, res) => {
     const booking = await Booking.findById(bookingId).select('userId');
     if (!booking) throw new NotFoundError('Booking not found');
 
-    if (req.user && req.user.role === USER_ROLES.CUSTOMER) {
-      if (!booking.userId || booking.userId.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ success: false, message: 'Không có quyền: không phải chủ sở hữu booking' });
-      }
+    const isOwner = Boolean(req.user && booking.userId && booking.userId.toString() === req.user._id.toString());
+    if (req.user && req.user.role === USER_ROLES.CUSTOMER && !isOwner) {
+      return res.status(403).json({ success: false, message: 'Không có quyền: không phải chủ sở hữu booking' });
+    }
+    // Only the booking owner may spend their own wallet balance
+    const useWallet = req.body?.useWallet === true;
+    if (useWallet && !isOwner) {
+      return res.status(403).json({ success: false, message: 'Chỉ chủ sở hữu booking mới có thể thanh toán bằng ví' });
     }
 
     // Pass actorId for audit (who created the remaining payment)
-    const payment = await createPaymentForRemaining(bookingId, { actorId: req.user?._id });
+    const payment = await createPaymentForRemaining(bookingId, { actorId: req.user?._id, useWallet });
 
     res.status(200).json({ success: true, message: 'Tạo thanh toán số tiền còn lại thành công', data: payment });
   } catch (error) {
@@ -241,6 +259,27 @@ export const createRemainingPaymentController = async (req, res) => {
   }
 };
 
+/**
+ * Create (or reuse) the payment link for a booking's overtime charge
+ * POST /api/payments/overtime/:bookingId
+ */
+export const createOvertimePaymentController = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const isCustomer = req.user?.role === USER_ROLES.CUSTOMER;
+
+    const payment = await createOvertimePayment(bookingId, {
+      actorId: req.user?._id,
+      userId: isCustomer ? req.user._id : null
+    });
+
+    res.status(200).json({ success: true, message: 'Tạo thanh toán phí quá giờ thành công', data: payment });
+  } catch (error) {
+    logger.error('Create overtime payment error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message || 'Lỗi máy chủ nội bộ' });
+  }
+};
+
 /**
  * Get payment history for customer
  * GET /api/payments/history
@@ -644,4 +683,49 @@ export const getTransactionHistoryController = async (req, res) => {
       message: error.message || 'Lỗi khi lấy lịch sử giao dịch'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Mock checkout: thông tin link thanh toán (chỉ khi dùng cổng mock)
+ * GET /api/payments/mock/:orderCode
+ */
+export const getMockPaymentLinkController = async (req, res) => {
+  try {
+    const link = await getMockPaymentLink(req.params.orderCode);
+
+    res.status(200).json({
+      success: true,
+      message: 'Lấy thông tin link thanh toán mock thành công',
+      data: link
+    });
+  } catch (error) {
+    logger.error('Get mock payment link error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Lỗi máy chủ nội bộ'
+    });
+  }
+};
+
+/**
+ * Mock checkout: giả lập webhook paid / cancelled / expired
+ * POST /api/payments/mock/:orderCode/simulate
+ * Body: { outcome: 'paid' | 'cancelled' | 'expired' }
+ */
+export const simulateMockPaymentController = async (req, res) => {
+  try {
+    const result = await simulateMockPayment(req.params.orderCode, req.body?.outcome || 'paid');
+
+    res.status(200).json({
+      success: true,
+      message: 'Giả lập thanh toán thành công',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Simulate mock payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Lỗi máy chủ nội bộ'
+    });
+  }
+};
@@ -0,0 +1,52 @@
+// #region Imports
+import asyncHandler from 'express-async-handler';
+import {
+  getReconciliationReports,
+  getReconciliationReport,
+  runPendingReconciliation,
+} from '../services/paymentReconciliation.service.js';
+// #endregion
+
+/**
+ * List daily reconciliation reports (summary only)
+ * GET /api/payment-reconciliations?from=2026-10-01&to=2026-10-31&unresolvedOnly=true
+ */
+export const getReconciliationReportsController = asyncHandler(async (req, res) => {
+  const { from, to, unresolvedOnly, page, limit } = req.query;
+
+  const result = await getReconciliationReports({ from, to, unresolvedOnly, page, limit });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy danh sách báo cáo đối soát thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Get the reconciliation report of a day with its mismatches
+ * GET /api/payment-reconciliations/:date
+ */
+export const getReconciliationReportController = asyncHandler(async (req, res) => {
+  const report = await getReconciliationReport(req.params.date);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy báo cáo đối soát thành công!',
+    data: report,
+  });
+});
+
+/**
+ * Reconcile stale pending payments now (same as the scheduled run)
+ * POST /api/payment-reconciliations/run
+ */
+export const runReconciliationController = asyncHandler(async (req, res) => {
+  const result = await runPendingReconciliation();
+
+  res.status(200).json({
+    success: true,
+    message: 'Đối soát thanh toán hoàn tất!',
+    data: result,
+  });
+});
@@ -0,0 +1,53 @@
+// #region Imports
+import asyncHandler from 'express-async-handler';
+import {
+  getPaymentWebhooks,
+  getPaymentWebhookById,
+  replayPaymentWebhook,
+} from '../services/paymentWebhook.service.js';
+import { PAYMENT_WEBHOOK_STATUS } from '../utils/constants.js';
+// #endregion
+
+/**
+ * List received payment webhooks (inbox)
+ * GET /api/payment-webhooks?status=failed&orderCode=&from=&to=&page=1&limit=20
+ */
+export const getPaymentWebhooksController = asyncHandler(async (req, res) => {
+  const { status, orderCode, from, to, page, limit } = req.query;
+
+  const result = await getPaymentWebhooks({ status, orderCode, from, to, page, limit });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy danh sách webhook thanh toán thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Get a payment webhook with its raw payload
+ * GET /api/payment-webhooks/:id
+ */
+export const getPaymentWebhookController = asyncHandler(async (req, res) => {
+  const webhook = await getPaymentWebhookById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy webhook thanh toán thành công!',
+    data: webhook,
+  });
+});
+
+/**
+ * Replay a failed / ignored payment webhook
+ * POST /api/payment-webhooks/:id/replay
+ */
+export const replayPaymentWebhookController = asyncHandler(async (req, res) => {
+  const webhook = await replayPaymentWebhook(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: webhook.status === PAYMENT_WEBHOOK_STATUS.FAILED ? 'Replay webhook thất bại, xem lastError' : 'Replay webhook thành công!',
+    data: webhook,
+  });
+});
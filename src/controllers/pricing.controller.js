@@ -0,0 +1,103 @@
+// #region Imports
+import asyncHandler from 'express-async-handler';
+import {
+  getPriceQuote,
+  getBookingQuote,
+  getPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+} from '../services/pricing.service.js';
+// #endregion
+
+/**
+ * Quote the studio price of a time window with the per-hour breakdown
+ * GET /api/pricing/quote?studioId=...&startTime=...&endTime=...
+ */
+export const getPriceQuoteController = asyncHandler(async (req, res) => {
+  const { studioId, startTime, endTime } = req.query;
+
+  const quote = await getPriceQuote({ studioId, startTime, endTime });
+
+  res.status(200).json({
+    success: true,
+    message: 'Báo giá thành công!',
+    data: quote,
+  });
+});
+
+/**
+ * Quote a whole booking (studio, equipment / services, set design, promo code) without reserving anything
+ * POST /api/pricing/quote
+ */
+export const getBookingQuoteController = asyncHandler(async (req, res) => {
+  const { studioId, startTime, endTime, details, setDesignId, promoCode } = req.body;
+
+  const quote = await getBookingQuote(
+    { studioId, startTime, endTime, details, setDesignId, promoCode },
+    req.user?._id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Báo giá thành công!',
+    data: quote,
+  });
+});
+
+/**
+ * List pricing rules
+ * GET /api/pricing/rules?studioId=...&type=...&isActive=true
+ */
+export const getPricingRulesController = asyncHandler(async (req, res) => {
+  const { studioId, type, isActive } = req.query;
+
+  const rules = await getPricingRules({ studioId, type, isActive });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy danh sách quy tắc giá thành công!',
+    data: rules,
+  });
+});
+
+/**
+ * Create a pricing rule
+ * POST /api/pricing/rules
+ */
+export const createPricingRuleController = asyncHandler(async (req, res) => {
+  const rule = await createPricingRule(req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Tạo quy tắc giá thành công!',
+    data: rule,
+  });
+});
+
+/**
+ * Update a pricing rule
+ * PUT /api/pricing/rules/:id
+ */
+export const updatePricingRuleController = asyncHandler(async (req, res) => {
+  const rule = await updatePricingRule(req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Cập nhật quy tắc giá thành công!',
+    data: rule,
+  });
+});
+
+/**
+ * Delete a pricing rule
+ * DELETE /api/pricing/rules/:id
+ */
+export const deletePricingRuleController = asyncHandler(async (req, res) => {
+  await deletePricingRule(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Xóa quy tắc giá thành công!',
+  });
+});
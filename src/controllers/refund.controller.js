@@ -1,6 +1,7 @@
 import asyncHandler from 'express-async-handler';
 import { isValidObjectId } from 'mongoose';
 import { ValidationError } from '../utils/errors.js';
+import { REFUND_DESTINATION } from '../utils/constants.js';
 import {
   createRefundRequest,
   approveRefund,
@@ -21,23 +22,27 @@ import { uploadImage, uploadMultipleImages } from '../services/upload.service.js
  */
 export const createRefundRequestController = asyncHandler(async (req, res) => {
   const { id: bookingId } = req.params;
-  const { bankName, accountNumber, accountName, reason } = req.body;
+  const { bankName, accountNumber, accountName, reason, refundTo = REFUND_DESTINATION.BANK } = req.body;
   const userId = req.user._id;
+  const toWallet = refundTo === REFUND_DESTINATION.WALLET;
 
   if (!bookingId || !isValidObjectId(bookingId)) {
     throw new ValidationError('Booking ID không hợp lệ');
   }
 
-  if (!bankName || typeof bankName !== 'string' || bankName.trim().length === 0) {
-    throw new ValidationError('Tên ngân hàng (bankName) là bắt buộc');
-  }
+  // Bank info is only needed for a bank transfer; wallet refunds are credited instantly
+  if (!toWallet) {
+    if (!bankName || typeof bankName !== 'string' || bankName.trim().length === 0) {
+      throw new ValidationError('Tên ngân hàng (bankName) là bắt buộc');
+    }
 
-  if (!accountNumber || typeof accountNumber !== 'string' || accountNumber.trim().length === 0) {
-    throw new ValidationError('Số tài khoản (accountNumber) là bắt buộc');
-  }
+    if (!accountNumber || typeof accountNumber !== 'string' || accountNumber.trim().length === 0) {
+      throw new ValidationError('Số tài khoản (accountNumber) là bắt buộc');
+    }
 
-  if (!accountName || typeof accountName !== 'string' || accountName.trim().length === 0) {
-    throw new ValidationError('Tên chủ tài khoản (accountName) là bắt buộc');
+    if (!accountName || typeof accountName !== 'string' || accountName.trim().length === 0) {
+      throw new ValidationError('Tên chủ tài khoản (accountName) là bắt buộc');
+    }
   }
 
   // Handle proof images upload (optional, max 3)
@@ -50,9 +55,10 @@ export const createRefundRequestController = asyncHandler(async (req, res) => {
   }
 
   const refund = await createRefundRequest(bookingId, {
-    bankName: bankName.trim(),
-    accountNumber: accountNumber.trim(),
-    accountName: accountName.trim(),
+    refundTo,
+    bankName: bankName?.trim(),
+    accountNumber: accountNumber?.trim(),
+    accountName: accountName?.trim(),
     reason: reason ? reason.trim() : null,
     userId,
     proofImageUrls
@@ -60,7 +66,7 @@ export const createRefundRequestController = asyncHandler(async (req, res) => {
 
   res.status(201).json({
     success: true,
-    message: 'Yêu cầu hoàn tiền đã được tạo, đang chờ phê duyệt',
+    message: toWallet ? 'Đã hoàn tiền vào ví' : 'Yêu cầu hoàn tiền đã được tạo, đang chờ phê duyệt',
     data: refund
   });
 });
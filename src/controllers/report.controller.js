@@ -8,6 +8,7 @@ import {
   deleteReport,
   createFinePayment
 } from '../services/report.service.js';
+import { creditReportCompensation } from '../services/wallet.service.js';
 
 export const createReportController = asyncHandler(async (req, res) => {
   const reportData = {
@@ -59,3 +60,8 @@ export const createFinePaymentController = asyncHandler(async (req, res) => {
   const result = await createFinePayment(req.params.id, req.user);
   res.status(200).json({ success: true, message: 'Tạo link thanh toán phạt thành công', data: result });
 });
+
+export const creditCompensationController = asyncHandler(async (req, res) => {
+  const transaction = await creditReportCompensation(req.params.id, req.user._id);
+  res.status(200).json({ success: true, message: 'Đã cộng tiền bồi thường vào ví khách hàng', data: transaction });
+});
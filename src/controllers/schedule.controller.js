@@ -6,6 +6,8 @@ import {
   getScheduleById as getScheduleByIdService,
   updateSchedule as updateScheduleService,
   deleteSchedule as deleteScheduleService,
+  bulkCancelSchedules as bulkCancelSchedulesService,
+  bulkShiftSchedules as bulkShiftSchedulesService,
 } from '../services/schedule.service.js';
 // #endregion
 
@@ -42,10 +44,32 @@ export const deleteSchedule = asyncHandler(async (req, res) => {
   res.status(200).json({ success: true, message: 'Xóa lịch thành công!', data: schedule });
 });
 
+/**
+ * Cancel all upcoming schedules of studios within a date range (dryRun to list affected bookings)
+ * POST /api/schedules/bulk/cancel
+ */
+export const bulkCancelSchedules = asyncHandler(async (req, res) => {
+  const { studioIds, startDate, endDate, reason, dryRun } = req.body;
+  const result = await bulkCancelSchedulesService({ studioIds, startDate, endDate, reason, dryRun: dryRun === true }, req.user._id, req.io);
+  res.status(200).json({ success: true, message: dryRun === true ? 'Xem trước hủy lịch thành công!' : 'Hủy lịch hàng loạt thành công!', data: result });
+});
+
+/**
+ * Move all upcoming schedules of studios within a date range by offsetMinutes
+ * POST /api/schedules/bulk/shift
+ */
+export const bulkShiftSchedules = asyncHandler(async (req, res) => {
+  const { studioIds, startDate, endDate, offsetMinutes, reason, dryRun } = req.body;
+  const result = await bulkShiftSchedulesService({ studioIds, startDate, endDate, offsetMinutes, reason, dryRun: dryRun === true }, req.user._id, req.io);
+  res.status(200).json({ success: true, message: dryRun === true ? 'Xem trước dời lịch thành công!' : 'Dời lịch hàng loạt thành công!', data: result });
+});
+
 export default {
   createSchedule,
   getSchedules,
   getSchedule,
   updateSchedule,
   deleteSchedule,
+  bulkCancelSchedules,
+  bulkShiftSchedules,
 };
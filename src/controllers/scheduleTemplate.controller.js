@@ -0,0 +1,57 @@
+// #region Imports
+import asyncHandler from 'express-async-handler';
+import {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+  applyTemplate,
+} from '../services/scheduleTemplate.service.js';
+// #endregion
+
+export const getScheduleTemplatesController = asyncHandler(async (req, res) => {
+  const templates = await getTemplates({ includeInactive: req.query.includeInactive === 'true' });
+  res.status(200).json({ success: true, message: 'Lấy danh sách mẫu lịch thành công!', data: templates });
+});
+
+export const getScheduleTemplateController = asyncHandler(async (req, res) => {
+  const template = await getTemplateById(req.params.id);
+  res.status(200).json({ success: true, message: 'Lấy mẫu lịch thành công!', data: template });
+});
+
+export const createScheduleTemplateController = asyncHandler(async (req, res) => {
+  const template = await createTemplate(req.body, req.user._id);
+  res.status(201).json({ success: true, message: 'Tạo mẫu lịch thành công!', data: template });
+});
+
+export const updateScheduleTemplateController = asyncHandler(async (req, res) => {
+  const template = await updateTemplate(req.params.id, req.body);
+  res.status(200).json({ success: true, message: 'Cập nhật mẫu lịch thành công!', data: template });
+});
+
+export const deleteScheduleTemplateController = asyncHandler(async (req, res) => {
+  const template = await deleteTemplate(req.params.id);
+  res.status(200).json({ success: true, message: 'Xóa mẫu lịch thành công!', data: template });
+});
+
+/**
+ * Preview the slots of a template over studios / date range
+ * POST /api/schedule-templates/:id/preview
+ */
+export const previewScheduleTemplateController = asyncHandler(async (req, res) => {
+  const { studioIds, startDate, endDate } = req.body;
+  const result = await previewTemplate(req.params.id, { studioIds, startDate, endDate });
+  res.status(200).json({ success: true, message: 'Xem trước mẫu lịch thành công!', data: result });
+});
+
+/**
+ * Create all slots of a template in one transaction
+ * POST /api/schedule-templates/:id/apply
+ */
+export const applyScheduleTemplateController = asyncHandler(async (req, res) => {
+  const { studioIds, startDate, endDate, skipConflicts } = req.body;
+  const result = await applyTemplate(req.params.id, { studioIds, startDate, endDate, skipConflicts: skipConflicts === true }, req.user._id);
+  res.status(201).json({ success: true, message: `Đã tạo ${result.created} lịch từ mẫu!`, data: result });
+});
@@ -9,14 +9,12 @@ import {
   cancelSetDesignOrder,
   createSetDesignPayment,
   createRemainingSetDesignPayment,
-  handleSetDesignPaymentWebhook,
   getSetDesignPaymentStatus,
   getSetDesignOrderPayments,
 } from '../services/setDesignOrder.service.js';
 import { createRefundRequestForTarget } from '../services/refund.service.js';
 import { uploadMultipleImages } from '../services/upload.service.js';
 import { TARGET_MODEL } from '../utils/constants.js';
-import logger from '../utils/logger.js';
 import { isValidObjectId } from '../utils/validators.js';
 //#endregion
 
@@ -185,7 +183,7 @@ export const createRemainingPaymentController = asyncHandler(async (req, res) =>
     throw new Error('ID đơn hàng không hợp lệ');
   }
 
-  const result = await createRemainingSetDesignPayment(id, req.user);
+  const result = await createRemainingSetDesignPayment(id, req.user, { useWallet: req.body?.useWallet === true });
 
   res.status(200).json({
     success: true,
@@ -194,54 +192,6 @@ export const createRemainingPaymentController = asyncHandler(async (req, res) =>
   });
 });
 
-/**
- * Handle payment webhook
- * POST /api/set-design-orders/payment/webhook
- */
-export const paymentWebhookController = asyncHandler(async (req, res) => {
-  try {
-    const webhookPayload = { 
-      body: req.body, 
-      headers: req.headers,
-      rawBody: req.rawBody 
-    };
-    
-    logger.info('Received PayOS webhook for SetDesign', { 
-      orderCode: req.body?.orderCode,
-      code: req.body?.code,
-      desc: req.body?.desc,
-      hasSignatureInBody: !!req.body?.signature,
-      hasDataInBody: !!req.body?.data,
-      dataKeys: req.body?.data ? Object.keys(req.body.data) : [],
-    });
-
-    const result = await handleSetDesignPaymentWebhook(webhookPayload);
-    
-    logger.info('SetDesign webhook processed successfully', { result });
-
-    res.status(200).json({ success: true });
-  } catch (error) {
-    logger.error('Set design payment webhook error:', {
-      message: error.message,
-      stack: error.stack,
-    });
-    
-    // Return 200 even on error to prevent PayOS from retrying invalid signatures
-    // Check if error message indicates signature invalidity (exact or specific detail)
-    if (error.message && (error.message === 'Invalid webhook signature' || error.message.startsWith('Invalid webhook signature:'))) {
-      const safeMessage = 'Invalid webhook signature';
-      return res.status(200).json({ success: false, message: safeMessage });
-    }
-    
-    // In production, hide specific internal errors, but for now allow viewing error if needed for debug
-    // or keep the standard production safety
-    const msg = process.env.NODE_ENV === 'production' 
-      ? 'Xử lý webhook thất bại' 
-      : error.message || 'Xử lý webhook thất bại';
-    res.status(500).json({ success: false, message: msg });
-  }
-});
-
 
 /**
  * Get payment status
@@ -290,7 +240,7 @@ export const getOrderPaymentsController = asyncHandler(async (req, res) => {
  */
 export const createRefundRequestController = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { bankName, accountNumber, accountName, reason } = req.body;
+  const { bankName, accountNumber, accountName, reason, refundTo } = req.body;
 
   if (!id || !isValidObjectId(id)) {
     res.status(400);
@@ -310,6 +260,7 @@ export const createRefundRequestController = asyncHandler(async (req, res) => {
     id, 
     TARGET_MODEL.SET_DESIGN_ORDER,
     {
+      refundTo,
       bankName,
       accountNumber,
       accountName,
@@ -337,7 +288,6 @@ export default {
   cancelOrderController,
   createPaymentController,
   createRemainingPaymentController,
-  paymentWebhookController,
   getPaymentStatusController,
   getOrderPaymentsController,
   createRefundRequestController,
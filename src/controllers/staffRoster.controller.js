@@ -0,0 +1,119 @@
+// #region Imports
+import asyncHandler from 'express-async-handler';
+import {
+  getShifts,
+  createShift,
+  updateShift,
+  cancelShift,
+  assignBookingStaff,
+  getMyAssignments,
+} from '../services/staffRoster.service.js';
+// #endregion
+
+/**
+ * Staff roster in a time range (default: next 7 days)
+ * GET /api/staff/shifts?staffId=&studioId=&from=&to=&status=
+ */
+export const getShiftsController = asyncHandler(async (req, res) => {
+  const { staffId, studioId, from, to, status } = req.query;
+
+  const shifts = await getShifts({ staffId, studioId, from, to, status });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy lịch trực thành công!',
+    data: shifts,
+  });
+});
+
+/**
+ * My own shifts
+ * GET /api/staff/shifts/me?from=&to=
+ */
+export const getMyShiftsController = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const shifts = await getShifts({ staffId: req.user._id, from, to });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy lịch trực thành công!',
+    data: shifts,
+  });
+});
+
+/**
+ * Create a shift (admin)
+ * POST /api/staff/shifts
+ */
+export const createShiftController = asyncHandler(async (req, res) => {
+  const { staffId, startTime, endTime, studioIds, notes } = req.body;
+
+  const shift = await createShift({ staffId, startTime, endTime, studioIds, notes }, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Tạo ca trực thành công!',
+    data: shift,
+  });
+});
+
+/**
+ * Update a shift (admin)
+ * PATCH /api/staff/shifts/:id
+ */
+export const updateShiftController = asyncHandler(async (req, res) => {
+  const { startTime, endTime, studioIds, notes } = req.body;
+
+  const shift = await updateShift(req.params.id, { startTime, endTime, studioIds, notes });
+
+  res.status(200).json({
+    success: true,
+    message: 'Cập nhật ca trực thành công!',
+    data: shift,
+  });
+});
+
+/**
+ * Cancel a shift and hand its bookings to other on-duty staff (admin)
+ * DELETE /api/staff/shifts/:id
+ */
+export const cancelShiftController = asyncHandler(async (req, res) => {
+  const result = await cancelShift(req.params.id, req.io);
+
+  res.status(200).json({
+    success: true,
+    message: `Đã hủy ca trực! Phân công lại ${result.reassigned}/${result.affectedBookings} booking`,
+    data: result,
+  });
+});
+
+/**
+ * My assigned bookings of a day (default: today)
+ * GET /api/staff/assignments?date=
+ */
+export const getMyAssignmentsController = asyncHandler(async (req, res) => {
+  const result = await getMyAssignments(req.user._id, req.query.date);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy danh sách booking được giao thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Assign a staff member to a booking; without staffId the on-duty staff is picked automatically
+ * POST /api/bookings/:id/assign
+ */
+export const assignBookingStaffController = asyncHandler(async (req, res) => {
+  const booking = await assignBookingStaff(req.params.id, req.body.staffId, req.io);
+
+  res.status(200).json({
+    success: true,
+    message: booking.assignedStaffId
+      ? 'Phân công nhân viên thành công!'
+      : 'Không có nhân viên nào đang trực trong khung giờ này',
+    data: booking,
+  });
+});
@@ -18,6 +18,19 @@ import {
   getStudiosBookedSchedules,
   getStudioAvailability,
 } from '../services/studio.service.js';
+import {
+  getStudioOpeningCalendar,
+  updateOperatingHours,
+  addBlackout,
+  removeBlackout,
+} from '../services/studioCalendar.service.js';
+import {
+  getMaintenanceWindows,
+  createMaintenanceWindow,
+  getMaintenanceImpact,
+  cancelMaintenanceWindow,
+  resolveMaintenanceBooking,
+} from '../services/maintenance.service.js';
 import { uploadMultipleImages, uploadVideo } from '../services/upload.service.js';
 import { VALIDATION_MESSAGES } from '../utils/constants.js';
 // #endregion
@@ -76,7 +89,8 @@ export const getStudio = asyncHandler(async (req, res) => {
 
 // #region Create Studio
 export const createStudioController = asyncHandler(async (req, res) => {
-  const { name, description, area, location, basePricePerHour, capacity, images, video } = req.body;
+  const { name, description, area, location, basePricePerHour, capacity, images, video, bufferBeforeMinutes, bufferAfterMinutes,
+    overtimeRatePerHour, overtimeRoundingMinutes, overtimeGraceMinutes } = req.body;
 
   if (!name || basePricePerHour === undefined) {
     res.status(400);
@@ -92,6 +106,11 @@ export const createStudioController = asyncHandler(async (req, res) => {
     capacity,
     images,
     video,
+    bufferBeforeMinutes,
+    bufferAfterMinutes,
+    overtimeRatePerHour,
+    overtimeRoundingMinutes,
+    overtimeGraceMinutes,
   });
 
   res.status(201).json({
@@ -104,7 +123,8 @@ export const createStudioController = asyncHandler(async (req, res) => {
 
 // #region Update Studio
 export const updateStudioController = asyncHandler(async (req, res) => {
-  const { name, description, area, location, basePricePerHour, capacity, images, video } = req.body;
+  const { name, description, area, location, basePricePerHour, capacity, images, video, bufferBeforeMinutes, bufferAfterMinutes,
+    overtimeRatePerHour, overtimeRoundingMinutes, overtimeGraceMinutes } = req.body;
 
   const studio = await updateStudio(req.params.id, {
     name,
@@ -115,6 +135,11 @@ export const updateStudioController = asyncHandler(async (req, res) => {
     capacity,
     images,
     video,
+    bufferBeforeMinutes,
+    bufferAfterMinutes,
+    overtimeRatePerHour,
+    overtimeRoundingMinutes,
+    overtimeGraceMinutes,
   });
 
   res.status(200).json({
@@ -461,3 +486,159 @@ export const getStudioAvailabilityController = asyncHandler(async (req, res) =>
 });
 
 // #endregion
+
+// #region Operating Hours & Blackouts
+
+/**
+ * Get opening calendar (weekly hours, holidays, blackouts, open intervals)
+ * GET /api/studios/:id/opening-hours
+ */
+export const getStudioOpeningCalendarController = asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  const result = await getStudioOpeningCalendar(req.params.id, startDate, endDate);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy giờ mở cửa của studio thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Replace weekly operating hours
+ * PUT /api/studios/:id/operating-hours
+ */
+export const updateOperatingHoursController = asyncHandler(async (req, res) => {
+  const { operatingHours, closedOnHolidays } = req.body;
+
+  const result = await updateOperatingHours(req.params.id, { operatingHours, closedOnHolidays });
+
+  res.status(200).json({
+    success: true,
+    message: 'Cập nhật giờ mở cửa thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Add a blackout period
+ * POST /api/studios/:id/blackouts
+ */
+export const addBlackoutController = asyncHandler(async (req, res) => {
+  const { startTime, endTime, reason } = req.body;
+
+  const result = await addBlackout(req.params.id, { startTime, endTime, reason });
+
+  res.status(201).json({
+    success: true,
+    message: result.affectedSchedules.length > 0
+      ? `Đã thêm lịch đóng cửa. Có ${result.affectedSchedules.length} lịch đã đặt trong khoảng này cần xử lý.`
+      : 'Đã thêm lịch đóng cửa!',
+    data: result,
+  });
+});
+
+/**
+ * Remove a blackout period
+ * DELETE /api/studios/:id/blackouts/:blackoutId
+ */
+export const removeBlackoutController = asyncHandler(async (req, res) => {
+  const blackouts = await removeBlackout(req.params.id, req.params.blackoutId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Đã xóa lịch đóng cửa!',
+    data: blackouts,
+  });
+});
+
+// #endregion
+
+// #region Maintenance Windows
+
+/**
+ * List maintenance windows of a studio
+ * GET /api/studios/:id/maintenance-windows
+ */
+export const getMaintenanceWindowsController = asyncHandler(async (req, res) => {
+  const windows = await getMaintenanceWindows(req.params.id, {
+    includePast: req.query.includePast === 'true',
+    includeCancelled: req.query.includeCancelled === 'true',
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy danh sách lịch bảo trì thành công!',
+    data: windows,
+  });
+});
+
+/**
+ * Schedule a maintenance window (returns the impact report)
+ * POST /api/studios/:id/maintenance-windows
+ */
+export const createMaintenanceWindowController = asyncHandler(async (req, res) => {
+  const { startTime, endTime, reason } = req.body;
+  const result = await createMaintenanceWindow(req.params.id, { startTime, endTime, reason }, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: result.impact.summary.pending > 0
+      ? `Đã tạo lịch bảo trì. Có ${result.impact.summary.pending} booking bị ảnh hưởng cần xử lý.`
+      : 'Đã tạo lịch bảo trì!',
+    data: result,
+  });
+});
+
+/**
+ * Impact report with alternative studios
+ * GET /api/studios/:id/maintenance-windows/:windowId/impact
+ */
+export const getMaintenanceImpactController = asyncHandler(async (req, res) => {
+  const impact = await getMaintenanceImpact(req.params.windowId, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy báo cáo ảnh hưởng thành công!',
+    data: impact,
+  });
+});
+
+/**
+ * Cancel a maintenance window
+ * DELETE /api/studios/:id/maintenance-windows/:windowId
+ */
+export const cancelMaintenanceWindowController = asyncHandler(async (req, res) => {
+  const window = await cancelMaintenanceWindow(req.params.windowId, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Đã hủy lịch bảo trì!',
+    data: window,
+  });
+});
+
+/**
+ * Relocate or cancel (100% refund) a booking affected by maintenance
+ * POST /api/studios/:id/maintenance-windows/:windowId/bookings/:bookingId/resolve
+ */
+export const resolveMaintenanceBookingController = asyncHandler(async (req, res) => {
+  const { action, targetStudioId, reason, bankInfo } = req.body;
+  const resolution = await resolveMaintenanceBooking(
+    req.params.windowId,
+    req.params.bookingId,
+    { action, targetStudioId, reason, bankInfo },
+    req.user._id,
+    req.io,
+    req.params.id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: resolution.action === 'relocated' ? 'Đã chuyển booking sang studio khác!' : 'Đã hủy booking và hoàn 100%!',
+    data: resolution,
+  });
+});
+
+// #endregion
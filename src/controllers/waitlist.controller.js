@@ -0,0 +1,84 @@
+// #region Imports
+import asyncHandler from 'express-async-handler';
+import {
+  joinWaitlist,
+  getMyWaitlistEntries,
+  leaveWaitlist,
+  convertWaitlistOffer,
+  getStudioWaitlist,
+} from '../services/waitlist.service.js';
+// #endregion
+
+/**
+ * Join waitlist for a studio time window
+ * POST /api/waitlist
+ */
+export const joinWaitlistController = asyncHandler(async (req, res) => {
+  const { studioId, startTime, endTime, notes } = req.body;
+
+  const result = await joinWaitlist({ userId: req.user._id, studioId, startTime, endTime, notes });
+
+  res.status(201).json({
+    success: true,
+    message: `Đã thêm vào danh sách chờ! Vị trí hiện tại: ${result.position}`,
+    data: result,
+  });
+});
+
+/**
+ * Get my waitlist entries
+ * GET /api/waitlist/me
+ */
+export const getMyWaitlistController = asyncHandler(async (req, res) => {
+  const entries = await getMyWaitlistEntries(req.user._id, { status: req.query.status });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy danh sách chờ thành công!',
+    data: entries,
+  });
+});
+
+/**
+ * Leave waitlist (passes an active hold to the next customer)
+ * DELETE /api/waitlist/:id
+ */
+export const leaveWaitlistController = asyncHandler(async (req, res) => {
+  const entry = await leaveWaitlist(req.params.id, req.user._id, req.io);
+
+  res.status(200).json({
+    success: true,
+    message: 'Đã rời khỏi danh sách chờ!',
+    data: entry,
+  });
+});
+
+/**
+ * Convert a held slot into a booking
+ * POST /api/waitlist/:id/convert
+ */
+export const convertWaitlistOfferController = asyncHandler(async (req, res) => {
+  const { details, payType, notes, promoId } = req.body;
+
+  const result = await convertWaitlistOffer(req.params.id, req.user._id, { details, payType, notes, promoId });
+
+  res.status(201).json({
+    success: true,
+    message: 'Đặt lịch từ danh sách chờ thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Get waitlist of a studio (staff)
+ * GET /api/waitlist/studio/:studioId
+ */
+export const getStudioWaitlistController = asyncHandler(async (req, res) => {
+  const entries = await getStudioWaitlist(req.params.studioId, { status: req.query.status });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy danh sách chờ của studio thành công!',
+    data: entries,
+  });
+});
@@ -0,0 +1,70 @@
+// #region Imports
+import asyncHandler from 'express-async-handler';
+import {
+  getWallet,
+  getWalletTransactions,
+  getWalletForAdmin,
+  grantPromotionCredit,
+} from '../services/wallet.service.js';
+// #endregion
+
+/**
+ * Get my wallet balance and latest transactions
+ * GET /api/wallets/me
+ */
+export const getMyWalletController = asyncHandler(async (req, res) => {
+  const wallet = await getWallet(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy thông tin ví thành công!',
+    data: wallet,
+  });
+});
+
+/**
+ * Get my wallet transaction history
+ * GET /api/wallets/me/transactions?type=refund&page=1&limit=20
+ */
+export const getMyWalletTransactionsController = asyncHandler(async (req, res) => {
+  const { type, page, limit } = req.query;
+
+  const result = await getWalletTransactions(req.user._id, { type, page, limit });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy lịch sử giao dịch ví thành công!',
+    data: result,
+  });
+});
+
+/**
+ * Get a customer's wallet with ledger totals (Admin)
+ * GET /api/wallets/:userId
+ */
+export const getWalletByUserController = asyncHandler(async (req, res) => {
+  const wallet = await getWalletForAdmin(req.params.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lấy thông tin ví thành công!',
+    data: wallet,
+  });
+});
+
+/**
+ * Grant promotional credit to a customer's wallet (Admin)
+ * POST /api/wallets/:userId/credits
+ * Body: { amount, description }
+ */
+export const grantPromotionCreditController = asyncHandler(async (req, res) => {
+  const { amount, description } = req.body;
+
+  const transaction = await grantPromotionCredit(req.params.userId, { amount, description }, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Cộng tiền khuyến mãi vào ví thành công!',
+    data: transaction,
+  });
+});
@@ -0,0 +1,23 @@
+import cron from 'node-cron';
+import logger from '../utils/logger.js';
+import { generatePreventiveOrders } from '../services/equipmentMaintenance.service.js';
+
+const SCHEDULE = process.env.EQUIPMENT_MAINTENANCE_CRON_SCHEDULE || '15 * * * *'; // every hour
+
+// Turns preventive maintenance plans that are due (by days or usage hours) into work orders
+export const initEquipmentMaintenanceJob = () => {
+  logger.info(`Initializing preventive maintenance job: schedule=${SCHEDULE}`);
+
+  cron.schedule(SCHEDULE, async () => {
+    try {
+      const { created, unscheduled } = await generatePreventiveOrders();
+      if (created > 0 || unscheduled > 0) {
+        logger.info(`Preventive maintenance: created ${created} work order(s), ${unscheduled} plan(s) without a free window`);
+      }
+    } catch (err) {
+      logger.error('Preventive maintenance job failed:', err);
+    }
+  });
+};
+
+export default initEquipmentMaintenanceJob;
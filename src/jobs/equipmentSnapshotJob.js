@@ -0,0 +1,23 @@
+import cron from 'node-cron';
+import logger from '../utils/logger.js';
+import { refreshEquipmentSnapshot } from '../services/equipment.service.js';
+
+const SCHEDULE = process.env.EQUIPMENT_SNAPSHOT_CRON_SCHEDULE || '*/5 * * * *'; // every 5 minutes
+
+// Bookings and rental orders start / end without touching Equipment, so the "now" counters are recounted periodically
+export const initEquipmentSnapshotJob = () => {
+  logger.info(`Initializing equipment counter refresh job: schedule=${SCHEDULE}`);
+
+  cron.schedule(SCHEDULE, async () => {
+    try {
+      const changed = await refreshEquipmentSnapshot();
+      if (changed > 0) {
+        logger.info(`Refreshed in-use counters of ${changed} equipment item(s)`);
+      }
+    } catch (err) {
+      logger.error('Equipment snapshot job failed:', err);
+    }
+  });
+};
+
+export default initEquipmentSnapshotJob;
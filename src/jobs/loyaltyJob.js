@@ -0,0 +1,30 @@
+import cron from 'node-cron';
+import logger from '../utils/logger.js';
+import { TIME_CONSTANTS } from '../utils/constants.js';
+import { expirePoints, grantBirthdayBonuses } from '../services/loyalty.service.js';
+
+const SCHEDULE = process.env.LOYALTY_CRON_SCHEDULE || '15 0 * * *'; // 00:15 every day (Vietnam time)
+
+// Expires overdue point lots, then grants birthday bonuses for today's birthdays
+export const initLoyaltyJob = () => {
+  logger.info(`Initializing loyalty job: schedule=${SCHEDULE}`);
+
+  cron.schedule(SCHEDULE, async () => {
+    try {
+      await expirePoints();
+    } catch (err) {
+      logger.error('Loyalty points expiry failed:', err);
+    }
+
+    try {
+      const { granted } = await grantBirthdayBonuses();
+      if (granted > 0) {
+        logger.info(`Loyalty birthday bonus granted to ${granted} customer(s)`);
+      }
+    } catch (err) {
+      logger.error('Loyalty birthday bonus failed:', err);
+    }
+  }, { timezone: TIME_CONSTANTS.DEFAULT_TIMEZONE });
+};
+
+export default initLoyaltyJob;
@@ -3,6 +3,8 @@ import logger from '../utils/logger.js';
 import Booking from '../models/Booking/booking.model.js';
 import { BOOKING_STATUS } from '../utils/constants.js';
 import { markAsNoShow } from '../services/booking.service.js';
+import { freeSchedule } from '../services/schedule.service.js';
+import { offerReleasedSlot } from '../services/waitlist.service.js';
 
 const NO_SHOW_GRACE_MINUTES = Number(process.env.NO_SHOW_GRACE_MINUTES || '30');
 const SCHEDULE = process.env.NO_SHOW_CRON_SCHEDULE || '*/5 * * * *'; // every 5 minutes
@@ -28,6 +30,13 @@ export const initNoShowJob = (io = null) => {
           if (now > (start + graceMs)) {
             logger.info(`Marking booking ${b._id} as no-show (start ${new Date(start).toISOString()})`);
             await markAsNoShow(b._id, null, io);
+
+            // Release the rest of the slot and offer it to the waitlist
+            const end = new Date(b.scheduleId.endTime).getTime();
+            if (end > now) {
+              await freeSchedule(b.scheduleId._id);
+              await offerReleasedSlot(b.scheduleId.studioId, new Date(now), b.scheduleId.endTime, io);
+            }
           }
         } catch (err) {
           logger.error(`Error processing booking ${b._id} in no-show job: ${err.message}`);
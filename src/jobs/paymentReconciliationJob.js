@@ -0,0 +1,33 @@
+import cron from 'node-cron';
+import logger from '../utils/logger.js';
+import { TIME_CONSTANTS } from '../utils/constants.js';
+import { runPendingReconciliation, runDailyReconciliation } from '../services/paymentReconciliation.service.js';
+
+const SCHEDULE = process.env.PAYMENT_RECONCILE_CRON_SCHEDULE || '*/10 * * * *'; // every 10 minutes
+const DAILY_SCHEDULE = process.env.PAYMENT_RECONCILE_DAILY_CRON_SCHEDULE || '30 0 * * *'; // 00:30 every day (Vietnam time), finalizes yesterday's report
+
+// Reconciles payments against the gateway: stale pending ones periodically, paid ones of the last day nightly
+export const initPaymentReconciliationJob = () => {
+  logger.info(`Initializing payment reconciliation job: schedule=${SCHEDULE}, daily=${DAILY_SCHEDULE}`);
+
+  cron.schedule(SCHEDULE, async () => {
+    try {
+      const { date, checked, mismatches } = await runPendingReconciliation();
+      if (mismatches > 0) {
+        logger.info(`Payment reconciliation ${date}: ${mismatches} mismatch(es) in ${checked} pending payment(s)`);
+      }
+    } catch (err) {
+      logger.error('Payment reconciliation job failed:', err);
+    }
+  });
+
+  cron.schedule(DAILY_SCHEDULE, async () => {
+    try {
+      await runDailyReconciliation();
+    } catch (err) {
+      logger.error('Daily payment reconciliation failed:', err);
+    }
+  }, { timezone: TIME_CONSTANTS.DEFAULT_TIMEZONE });
+};
+
+export default initPaymentReconciliationJob;
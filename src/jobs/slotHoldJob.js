@@ -0,0 +1,22 @@
+import cron from 'node-cron';
+import logger from '../utils/logger.js';
+import { releaseExpiredHolds } from '../services/booking.service.js';
+
+const SCHEDULE = process.env.SLOT_HOLD_CRON_SCHEDULE || '* * * * *'; // every minute
+
+export const initSlotHoldJob = (io = null) => {
+  logger.info(`Initializing checkout hold expiry job: schedule=${SCHEDULE}`);
+
+  cron.schedule(SCHEDULE, async () => {
+    try {
+      const released = await releaseExpiredHolds(io);
+      if (released > 0) {
+        logger.info(`Released ${released} unpaid booking(s) whose checkout hold expired`);
+      }
+    } catch (err) {
+      logger.error('Slot hold job failed:', err);
+    }
+  });
+};
+
+export default initSlotHoldJob;
@@ -0,0 +1,22 @@
+import cron from 'node-cron';
+import logger from '../utils/logger.js';
+import { expireWaitlistOffers } from '../services/waitlist.service.js';
+
+const SCHEDULE = process.env.WAITLIST_CRON_SCHEDULE || '* * * * *'; // every minute
+
+export const initWaitlistJob = (io = null) => {
+  logger.info(`Initializing waitlist offer expiry job: schedule=${SCHEDULE}`);
+
+  cron.schedule(SCHEDULE, async () => {
+    try {
+      const expired = await expireWaitlistOffers(io);
+      if (expired > 0) {
+        logger.info(`Expired ${expired} waitlist offer(s) and rolled slots to next customers`);
+      }
+    } catch (err) {
+      logger.error('Waitlist job failed:', err);
+    }
+  });
+};
+
+export default initWaitlistJob;
@@ -6,6 +6,12 @@ import connectDB from '../config/db.js';
 import { connectRedis } from '../config/redis.js';
 import initNoShowJob from './noShowJob.js';
 import initScheduleReminders from './scheduleReminderJob.js';
+import initWaitlistJob from './waitlistJob.js';
+import initSlotHoldJob from './slotHoldJob.js';
+import initEquipmentSnapshotJob from './equipmentSnapshotJob.js';
+import initEquipmentMaintenanceJob from './equipmentMaintenanceJob.js';
+import initPaymentReconciliationJob from './paymentReconciliationJob.js';
+import initLoyaltyJob from './loyaltyJob.js';
 import { Emitter } from "@socket.io/redis-emitter";
 import { createClient } from "redis";
 
@@ -47,6 +53,24 @@ const start = async () => {
     // Initialize reminder scheduler with emitter
     initScheduleReminders(ioEmitter);
 
+    // Initialize waitlist hold expiry / roll-over job
+    initWaitlistJob(ioEmitter);
+
+    // Initialize checkout hold expiry job (frees unpaid slots)
+    initSlotHoldJob(ioEmitter);
+
+    // Initialize equipment in-use counter refresh job
+    initEquipmentSnapshotJob();
+
+    // Initialize preventive maintenance work order job
+    initEquipmentMaintenanceJob();
+
+    // Initialize payment reconciliation against the gateway (+ daily report)
+    initPaymentReconciliationJob();
+
+    // Initialize loyalty points expiry + birthday bonus job
+    initLoyaltyJob();
+
     logger.info('Jobs worker started');
   } catch (err) {
     logger.error('Failed to start jobs worker:', err);
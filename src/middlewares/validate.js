@@ -222,8 +222,11 @@ export const validateRefreshToken = (req, res, next) => {
 //#endregion
 
 //#region Studio Validators
+const isValidBufferMinutes = (value) =>
+  value === undefined || (Number.isInteger(value) && value >= 0 && value <= 240);
+
 export const validateStudioCreation = (req, res, next) => {
-  const { name, basePricePerHour, capacity, area } = req.body;
+  const { name, basePricePerHour, capacity, area, bufferBeforeMinutes, bufferAfterMinutes } = req.body;
 
   if (!isNotEmpty(name)) {
     return res.status(400).json(
@@ -255,11 +258,17 @@ export const validateStudioCreation = (req, res, next) => {
     );
   }
 
+  if (!isValidBufferMinutes(bufferBeforeMinutes) || !isValidBufferMinutes(bufferAfterMinutes)) {
+    return res.status(400).json(
+      createResponse(false, 'Thời gian chuẩn bị/dọn dẹp phải là số phút từ 0 đến 240!')
+    );
+  }
+
   next();
 };
 
 export const validateStudioUpdate = (req, res, next) => {
-  const { name, basePricePerHour, capacity, area } = req.body;
+  const { name, basePricePerHour, capacity, area, bufferBeforeMinutes, bufferAfterMinutes } = req.body;
 
   if (name !== undefined && !isNotEmpty(name)) {
     return res.status(400).json(
@@ -285,6 +294,12 @@ export const validateStudioUpdate = (req, res, next) => {
     );
   }
 
+  if (!isValidBufferMinutes(bufferBeforeMinutes) || !isValidBufferMinutes(bufferAfterMinutes)) {
+    return res.status(400).json(
+      createResponse(false, 'Thời gian chuẩn bị/dọn dẹp phải là số phút từ 0 đến 240!')
+    );
+  }
+
   next();
 };
 //#endregion
@@ -1,5 +1,5 @@
 import mongoose from "mongoose";
-import { BOOKING_STATUS, PAY_TYPE, BOOKING_EVENT_TYPE } from "../../utils/constants.js";
+import { BOOKING_STATUS, PAY_TYPE, BOOKING_EVENT_TYPE, STAFF_ASSIGNMENT_METHOD } from "../../utils/constants.js";
 
 /**
  * BOOKING MODEL
@@ -39,6 +39,17 @@ const bookingSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Promotion",
     },
+    // Đổi điểm thưởng lúc đặt: giảm thêm ngoài discountAmount (finalAmount = total - discount - loyaltyDiscount)
+    loyaltyPointsRedeemed: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    loyaltyDiscount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     payType: {
       type: String,
       enum: Object.values(PAY_TYPE),
@@ -51,6 +62,13 @@ const bookingSchema = new mongoose.Schema(
       default: BOOKING_STATUS.PENDING,
       required: true,
     },
+    // Thời điểm check-in / check-out thực tế
+    checkInAt: {
+      type: Date,
+    },
+    checkOutAt: {
+      type: Date,
+    },
 
     // Policy snapshots (immutable copy of policies at booking time)
     policySnapshots: {
@@ -62,6 +80,45 @@ const bookingSchema = new mongoose.Schema(
       }
     },
 
+    // Nhân viên phụ trách (check-in, bàn giao thiết bị, chat booking)
+    assignedStaffId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    assignedAt: {
+      type: Date,
+    },
+    assignmentMethod: {
+      type: String,
+      enum: Object.values(STAFF_ASSIGNMENT_METHOD),
+    },
+
+    // Phí quá giờ tính lúc check-out (đã cộng vào finalAmount, thanh toán bằng link riêng)
+    overtime: {
+      minutes: { type: Number, min: 0 },
+      billedMinutes: { type: Number, min: 0 },
+      ratePerHour: { type: Number, min: 0 },
+      amount: { type: Number, min: 0 },
+      conflictBookingIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Booking' }],
+      paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+      paidAt: { type: Date },
+    },
+
+    // Số lần khách đã đổi lịch (giới hạn theo rescheduleRules của policy)
+    rescheduleCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Pricing snapshot: giá studio theo quy tắc giá động tại thời điểm đặt / gia hạn
+    // { basePricePerHour, billableHours, studioAmount, lines, adjustments, appliedRules }
+    pricingSnapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
     // Event tracking for policy applications
     events: [{
       type: {
@@ -109,6 +166,20 @@ const bookingSchema = new mongoose.Schema(
     notes: {
       type: String,
     },
+
+    // Recurring series (null nếu là booking đơn lẻ)
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BookingSeries",
+      default: null,
+    },
+
+    // Group/cart checkout across several studios (null nếu là booking đơn lẻ)
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BookingGroup",
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -119,6 +190,9 @@ const bookingSchema = new mongoose.Schema(
 bookingSchema.index({ userId: 1, status: 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ createdAt: -1 }); // Optimize sorting by newest
+bookingSchema.index({ seriesId: 1 });
+bookingSchema.index({ groupId: 1 });
+bookingSchema.index({ assignedStaffId: 1, status: 1 });
 // scheduleId đã có unique: true, không cần index riêng
 
 const Booking = mongoose.model("Booking", bookingSchema);
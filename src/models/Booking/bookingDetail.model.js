@@ -8,6 +8,7 @@ import { BOOKING_DETAIL_TYPE } from "../../utils/constants.js";
  * 
  * Mỗi equipment hoặc service trong booking sẽ là 1 document riêng
  * Snapshot giá tại thời điểm booking để tránh thay đổi sau này
+ * Kit (bộ thiết bị) được tách thành từng dòng equipment cùng kit.lineId, giá trọn bộ chia theo tỉ lệ giá lẻ
  */
 const bookingDetailSchema = new mongoose.Schema(
   {
@@ -65,6 +66,32 @@ const bookingDetailSchema = new mongoose.Schema(
       min: 0,
       // subtotal = quantity * pricePerUnit
     },
+
+    // Dòng thuộc một kit: các dòng cùng lineId được thêm / xóa cùng nhau
+    kit: {
+      type: new mongoose.Schema(
+        {
+          kitId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "EquipmentKit",
+            required: true,
+          },
+          lineId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+          },
+          name: {
+            type: String,
+          },
+          quantity: {
+            type: Number,
+            min: 1,
+          },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
   },
   {
     timestamps: { createdAt: true, updatedAt: false },
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import { BOOKING_STATUS, PAY_TYPE } from "../../utils/constants.js";
+
+/**
+ * BOOKING GROUP MODEL
+ * Giỏ đặt nhiều studio cùng lúc: một finalAmount chung, một thanh toán PayOS,
+ * mỗi studio vẫn là một Booking riêng có groupId
+ */
+const bookingGroupSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Phần của từng booking trong finalAmount của nhóm (dùng để phân bổ tiền đã thanh toán)
+    members: [{
+      bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Booking",
+        required: true,
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: 0,
+      },
+    }],
+
+    totalBeforeDiscount: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    finalAmount: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+    promoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+    },
+    payType: {
+      type: String,
+      enum: Object.values(PAY_TYPE),
+      default: PAY_TYPE.FULL,
+    },
+    status: {
+      type: String,
+      enum: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.CANCELLED],
+      default: BOOKING_STATUS.PENDING,
+      required: true,
+    },
+    notes: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+bookingGroupSchema.index({ userId: 1, status: 1 });
+bookingGroupSchema.index({ promoId: 1 });
+
+const BookingGroup = mongoose.model("BookingGroup", bookingGroupSchema);
+
+export default BookingGroup;
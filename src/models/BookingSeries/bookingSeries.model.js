@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import { RECURRENCE_FREQUENCY, BOOKING_SERIES_STATUS, PAY_TYPE } from "../../utils/constants.js";
+
+/**
+ * BOOKING SERIES MODEL
+ * Chuỗi booking định kỳ (kiểu RRULE): mỗi buổi là một Booking riêng có seriesId
+ */
+const bookingSeriesSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    studioId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Studio",
+      required: true,
+    },
+
+    // Buổi đầu tiên của chuỗi (các buổi sau giữ nguyên giờ bắt đầu & thời lượng)
+    startTime: {
+      type: Date,
+      required: true,
+    },
+    durationMinutes: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: Object.values(RECURRENCE_FREQUENCY),
+        default: RECURRENCE_FREQUENCY.WEEKLY,
+        required: true,
+      },
+      // Lặp lại mỗi N tuần / N tháng
+      interval: {
+        type: Number,
+        default: 1,
+        min: 1,
+      },
+      // 0 = Chủ nhật ... 6 = Thứ bảy (theo giờ Việt Nam), chỉ dùng cho WEEKLY
+      byWeekday: [{
+        type: Number,
+        min: 0,
+        max: 6,
+      }],
+      until: {
+        type: Date,
+      },
+      count: {
+        type: Number,
+        min: 1,
+      },
+    },
+
+    payType: {
+      type: String,
+      enum: Object.values(PAY_TYPE),
+      default: PAY_TYPE.FULL,
+    },
+    notes: {
+      type: String,
+    },
+
+    status: {
+      type: String,
+      enum: Object.values(BOOKING_SERIES_STATUS),
+      default: BOOKING_SERIES_STATUS.ACTIVE,
+      required: true,
+    },
+
+    // Các buổi bị bỏ qua do trùng lịch khi tạo chuỗi (skipConflicts = true)
+    skippedOccurrences: [{
+      startTime: Date,
+      endTime: Date,
+      reason: String,
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+bookingSeriesSchema.index({ userId: 1, status: 1 });
+bookingSeriesSchema.index({ studioId: 1 });
+
+const BookingSeries = mongoose.model("BookingSeries", bookingSeriesSchema);
+
+export default BookingSeries;
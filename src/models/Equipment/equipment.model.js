@@ -5,6 +5,10 @@ import { EQUIPMENT_STATUS } from "../../utils/constants.js";
  * EQUIPMENT MODEL
  * Global equipment pool (không thuộc studio cụ thể)
  * Theo PostgreSQL schema với inventory tracking
+ * availableQty / inUseQty là ảnh chụp tại thời điểm hiện tại; số lượng trống theo khung giờ
+ * được tính từ BookingDetail + EquipmentOrder (equipment.service)
+ * maintenanceQty: số lượng staff để riêng cho bảo trì không thời hạn (ngoài mọi khung giờ);
+ * scheduledMaintenanceQty: ảnh chụp số lượng đang nằm trong phiếu bảo trì theo khung giờ (EquipmentMaintenance)
  */
 const equipmentSchema = new mongoose.Schema(
   {
@@ -45,6 +49,11 @@ const equipmentSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    scheduledMaintenanceQty: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     image: {
       type: String,
     },
@@ -58,6 +67,12 @@ const equipmentSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Tăng mỗi lần một transaction giữ thiết bị: hai transaction cùng giữ một thiết bị sẽ write conflict
+    reservationVersion: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
   },
   {
     timestamps: { createdAt: true, updatedAt: false },
@@ -66,11 +81,12 @@ const equipmentSchema = new mongoose.Schema(
 
 // Pre-save hook: Validate quantities only
 equipmentSchema.pre('save', function(next) {
-  // Validation: totalQty = availableQty + inUseQty + maintenanceQty
-  const sum = this.availableQty + this.inUseQty + this.maintenanceQty;
+  // Validation: totalQty = availableQty + inUseQty + maintenanceQty + scheduledMaintenanceQty
+  const scheduledMaintenanceQty = this.scheduledMaintenanceQty || 0;
+  const sum = this.availableQty + this.inUseQty + this.maintenanceQty + scheduledMaintenanceQty;
   
   if (sum !== this.totalQty) {
-    return next(new Error(`Equipment quantity mismatch: totalQty (${this.totalQty}) must equal availableQty (${this.availableQty}) + inUseQty (${this.inUseQty}) + maintenanceQty (${this.maintenanceQty}) = ${sum}`));
+    return next(new Error(`Equipment quantity mismatch: totalQty (${this.totalQty}) must equal availableQty (${this.availableQty}) + inUseQty (${this.inUseQty}) + maintenanceQty (${this.maintenanceQty}) + scheduledMaintenanceQty (${scheduledMaintenanceQty}) = ${sum}`));
   }
   
   next();
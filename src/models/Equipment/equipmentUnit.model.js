@@ -0,0 +1,136 @@
+import mongoose from "mongoose";
+import { EQUIPMENT_UNIT_STATUS, EQUIPMENT_CONDITION_GRADE, TARGET_MODEL } from "../../utils/constants.js";
+
+const conditionGrade = {
+  type: String,
+  enum: Object.values(EQUIPMENT_CONDITION_GRADE),
+};
+
+const currentAssignmentSchema = new mongoose.Schema(
+  {
+    targetModel: {
+      type: String,
+      enum: [TARGET_MODEL.BOOKING, TARGET_MODEL.EQUIPMENT_ORDER],
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * EQUIPMENT UNIT MODEL
+ * Từng thiết bị cụ thể (có serial) thuộc một Equipment. Số lượng / lịch trống vẫn tính theo Equipment,
+ * unit dùng để biết chính xác cái nào được giao cho booking / đơn thuê nào và tình trạng khi giao - nhận.
+ * - assignments: lịch sử giao (check-in booking / bắt đầu đơn thuê) và nhận lại, kèm báo cáo hư hỏng nếu có
+ */
+const equipmentUnitSchema = new mongoose.Schema(
+  {
+    equipmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Equipment",
+      required: true,
+    },
+    serialNumber: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    purchaseDate: {
+      type: Date,
+    },
+    conditionGrade: {
+      ...conditionGrade,
+      default: EQUIPMENT_CONDITION_GRADE.NEW,
+      required: true,
+    },
+    photos: [{
+      type: String,
+    }],
+    notes: {
+      type: String,
+      maxlength: 1000,
+    },
+    status: {
+      type: String,
+      enum: Object.values(EQUIPMENT_UNIT_STATUS),
+      default: EQUIPMENT_UNIT_STATUS.AVAILABLE,
+      required: true,
+    },
+    // Booking / đơn thuê đang giữ unit (null khi trong kho)
+    currentAssignment: {
+      type: currentAssignmentSchema,
+      default: null,
+    },
+    assignments: [{
+      targetModel: {
+        type: String,
+        enum: [TARGET_MODEL.BOOKING, TARGET_MODEL.EQUIPMENT_ORDER],
+        required: true,
+      },
+      targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+      // Khách chịu trách nhiệm trong thời gian giữ unit
+      customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      checkedOutAt: {
+        type: Date,
+        default: Date.now,
+      },
+      checkedOutBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      conditionOut: conditionGrade,
+      notesOut: {
+        type: String,
+        maxlength: 1000,
+      },
+      photosOut: [{
+        type: String,
+      }],
+      returnedAt: {
+        type: Date,
+        default: null,
+      },
+      returnedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      conditionIn: conditionGrade,
+      notesIn: {
+        type: String,
+        maxlength: 1000,
+      },
+      photosIn: [{
+        type: String,
+      }],
+      damageReportId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Report",
+        default: null,
+      },
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+equipmentUnitSchema.index({ serialNumber: 1 }, { unique: true });
+equipmentUnitSchema.index({ equipmentId: 1, status: 1 });
+equipmentUnitSchema.index({ "currentAssignment.targetId": 1 }, { sparse: true });
+equipmentUnitSchema.index({ "assignments.targetId": 1 });
+
+const EquipmentUnit = mongoose.model("EquipmentUnit", equipmentUnitSchema);
+
+export default EquipmentUnit;
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+import { EQUIPMENT_KIT_PRICING } from "../../utils/constants.js";
+
+/**
+ * EQUIPMENT KIT MODEL
+ * Bộ thiết bị thuê theo combo (VD: 2 đèn + 2 chân đèn + softbox + hắt sáng).
+ * Kit không có tồn kho riêng: số bộ còn trống = min(số trống của từng thiết bị / số lượng trong bộ).
+ * - pricingType fixed: bundlePricePerHour là giá trọn bộ mỗi giờ
+ * - pricingType discount: giảm discountPercent % trên tổng giá lẻ các thiết bị
+ */
+const equipmentKitSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    description: {
+      type: String,
+      maxlength: 2000,
+    },
+    image: {
+      type: String,
+    },
+    items: {
+      type: [{
+        _id: false,
+        equipmentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Equipment",
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+      }],
+      validate: {
+        validator: (items) => Array.isArray(items) && items.reduce((sum, item) => sum + (item.quantity || 0), 0) >= 2,
+        message: "A kit needs at least 2 pieces of equipment",
+      },
+    },
+    pricingType: {
+      type: String,
+      enum: Object.values(EQUIPMENT_KIT_PRICING),
+      default: EQUIPMENT_KIT_PRICING.DISCOUNT,
+      required: true,
+    },
+    bundlePricePerHour: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    discountPercent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+equipmentKitSchema.index({ name: 1 }, { unique: true, partialFilterExpression: { isDeleted: false } });
+equipmentKitSchema.index({ isActive: 1, isDeleted: 1 });
+equipmentKitSchema.index({ "items.equipmentId": 1 });
+
+const EquipmentKit = mongoose.model("EquipmentKit", equipmentKitSchema);
+
+export default EquipmentKit;
@@ -0,0 +1,135 @@
+import mongoose from "mongoose";
+import { EQUIPMENT_MAINTENANCE_STATUS, EQUIPMENT_MAINTENANCE_TYPE } from "../../utils/constants.js";
+
+/**
+ * EQUIPMENT MAINTENANCE MODEL
+ * Phiếu bảo trì cho một Equipment (quantity cái) hoặc một unit cụ thể.
+ * Phiếu scheduled / in_progress giữ số lượng trong khung giờ [startTime, endTime) như một đơn thuê,
+ * phiếu in_progress quá hạn tiếp tục giữ đến khi hoàn tất (trả về kho).
+ * - planId: phiếu sinh tự động từ kế hoạch bảo trì định kỳ
+ * - reportId: báo cáo hư hỏng dẫn tới phiếu sửa chữa
+ */
+const equipmentMaintenanceSchema = new mongoose.Schema(
+  {
+    equipmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Equipment",
+      required: true,
+    },
+    equipmentUnitId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EquipmentUnit",
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      default: 1,
+      min: 1,
+    },
+    type: {
+      type: String,
+      enum: Object.values(EQUIPMENT_MAINTENANCE_TYPE),
+      default: EQUIPMENT_MAINTENANCE_TYPE.CORRECTIVE,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500,
+    },
+    // Kỹ thuật viên: nhân viên trong hệ thống hoặc tên thợ bên ngoài
+    technicianId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    technicianName: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    startTime: {
+      type: Date,
+      required: true,
+    },
+    endTime: {
+      type: Date,
+      required: true,
+      validate: {
+        validator: function (value) {
+          return value > this.startTime;
+        },
+        message: "endTime must be greater than startTime",
+      },
+    },
+    status: {
+      type: String,
+      enum: Object.values(EQUIPMENT_MAINTENANCE_STATUS),
+      default: EQUIPMENT_MAINTENANCE_STATUS.SCHEDULED,
+    },
+    estimatedCost: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    cost: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    notes: {
+      type: String,
+      maxlength: 2000,
+    },
+    planId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EquipmentMaintenancePlan",
+      default: null,
+    },
+    reportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+equipmentMaintenanceSchema.index({ equipmentId: 1, status: 1, startTime: 1 });
+equipmentMaintenanceSchema.index({ equipmentUnitId: 1, status: 1 }, { sparse: true });
+equipmentMaintenanceSchema.index({ planId: 1, status: 1 }, { sparse: true });
+equipmentMaintenanceSchema.index({ status: 1, completedAt: -1 });
+
+const EquipmentMaintenance = mongoose.model("EquipmentMaintenance", equipmentMaintenanceSchema);
+
+export default EquipmentMaintenance;
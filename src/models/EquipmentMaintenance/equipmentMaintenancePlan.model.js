@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+/**
+ * EQUIPMENT MAINTENANCE PLAN MODEL
+ * Kế hoạch bảo trì định kỳ cho một Equipment hoặc một unit: đến hạn sau intervalDays ngày
+ * hoặc sau intervalUsageHours giờ sử dụng kể từ lần bảo trì gần nhất (điều kiện nào đến trước).
+ * Job bảo trì tạo phiếu preventive khi kế hoạch đến hạn; hoàn tất phiếu sẽ cập nhật lastServicedAt.
+ */
+const equipmentMaintenancePlanSchema = new mongoose.Schema(
+  {
+    equipmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Equipment",
+      required: true,
+    },
+    equipmentUnitId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EquipmentUnit",
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500,
+    },
+    intervalDays: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // Giờ sử dụng: unit tính theo lịch sử giao - nhận, Equipment tính trung bình mỗi cái
+    intervalUsageHours: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // Độ dài khung giờ của phiếu được tạo
+    durationHours: {
+      type: Number,
+      required: true,
+      default: 4,
+      min: 0.5,
+    },
+    technicianId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    technicianName: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    estimatedCost: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastServicedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    lastOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EquipmentMaintenance",
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+equipmentMaintenancePlanSchema.index({ isActive: 1, equipmentId: 1 });
+equipmentMaintenancePlanSchema.index({ equipmentUnitId: 1 }, { sparse: true });
+
+const EquipmentMaintenancePlan = mongoose.model("EquipmentMaintenancePlan", equipmentMaintenancePlanSchema);
+
+export default EquipmentMaintenancePlan;
@@ -12,9 +12,22 @@ export const EQUIPMENT_ORDER_STATUS = {
   CANCELLED: 'cancelled',
 };
 
+/**
+ * Equipment lines an order holds: the single equipment, or every component of a kit order
+ * (works on lean and populated documents)
+ * @returns {Array} - [{ equipmentId, quantity }]
+ */
+export const getOrderEquipmentLines = (order) => {
+  if (order.kitId && Array.isArray(order.items) && order.items.length > 0) {
+    return order.items.map(item => ({ equipmentId: item.equipmentId?._id || item.equipmentId, quantity: item.quantity }));
+  }
+  return order.equipmentId ? [{ equipmentId: order.equipmentId._id || order.equipmentId, quantity: order.quantity }] : [];
+};
+
 /**
  * EQUIPMENT ORDER MODEL
  * Tracks equipment rental orders with full payment only
+ * Kit orders: kitId + items (components × quantity, list price snapshot), unitPrice is the kit price per hour
  */
 const equipmentOrderSchema = new mongoose.Schema(
   {
@@ -33,9 +46,34 @@ const equipmentOrderSchema = new mongoose.Schema(
     equipmentId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Equipment',
-      required: true,
+      required: function () {
+        return !this.kitId;
+      },
+      default: null,
       index: true,
     },
+    kitId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EquipmentKit',
+      default: null,
+    },
+    items: [{
+      _id: false,
+      equipmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Equipment',
+        required: true,
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+      },
+      unitPrice: {
+        type: Number,
+        min: 0,
+      },
+    }],
     bookingId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Booking',
@@ -68,6 +106,17 @@ const equipmentOrderSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Đổi điểm thưởng lúc đặt (đã trừ vào totalAmount)
+    loyaltyPointsRedeemed: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    loyaltyDiscount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     rentalStartTime: {
       type: Date,
       required: true,
@@ -141,6 +190,8 @@ equipmentOrderSchema.index({ customerId: 1, createdAt: -1 });
 equipmentOrderSchema.index({ status: 1, createdAt: -1 });
 equipmentOrderSchema.index({ paymentStatus: 1 });
 equipmentOrderSchema.index({ rentalStartTime: 1, rentalEndTime: 1 });
+equipmentOrderSchema.index({ equipmentId: 1, status: 1, rentalStartTime: 1 }); // Availability by time window
+equipmentOrderSchema.index({ 'items.equipmentId': 1, status: 1, rentalStartTime: 1 }, { sparse: true }); // Kit orders
 
 const EquipmentOrder = mongoose.model('EquipmentOrder', equipmentOrderSchema);
 
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+/**
+ * HOLIDAY MODEL
+ * Lịch nghỉ lễ dùng chung cho tất cả studio (theo ngày Việt Nam).
+ * Ngày lễ dương lịch cố định dùng recurring = true (chỉ xét MM-DD);
+ * ngày lễ âm lịch (Tết Nguyên đán, Giỗ Tổ) được nhập theo từng năm
+ */
+const holidaySchema = new mongoose.Schema(
+  {
+    // YYYY-MM-DD (giờ Việt Nam)
+    date: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    recurring: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+holidaySchema.index({ date: 1 }, { unique: true });
+holidaySchema.index({ recurring: 1 });
+
+const Holiday = mongoose.model("Holiday", holidaySchema);
+
+export default Holiday;
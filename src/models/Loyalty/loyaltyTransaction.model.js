@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+import { LOYALTY_TRANSACTION_TYPE } from "../../utils/constants.js";
+
+/**
+ * LOYALTY TRANSACTION MODEL
+ * Lịch sử điểm thưởng, chỉ thêm không sửa. points > 0 là cộng điểm, < 0 là trừ điểm.
+ * Mỗi lần cộng điểm là một "lô" có hạn dùng: remainingPoints giảm dần khi đổi điểm / thu hồi / hết hạn (lô sắp hết hạn dùng trước).
+ */
+const loyaltyTransactionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(LOYALTY_TRANSACTION_TYPE),
+      required: true,
+    },
+    points: {
+      type: Number,
+      required: true,
+    },
+    // Số điểm ngay sau giao dịch
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    // Chỉ với lô cộng điểm: số điểm chưa dùng và hạn dùng
+    remainingPoints: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Chỉ với giao dịch trừ điểm: lấy từ lô nào bao nhiêu điểm (trả lại đúng lô, giữ hạn dùng gốc)
+    lots: {
+      type: [
+        {
+          _id: false,
+          lotId: { type: mongoose.Schema.Types.ObjectId, ref: "LoyaltyTransaction", required: true },
+          points: { type: Number, required: true, min: 1 },
+        },
+      ],
+      default: undefined,
+    },
+    // Số tiền quy đổi (REDEEM: tiền được giảm; EARN: số tiền làm căn cứ tích điểm)
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    // Chứng từ gốc: booking / đơn hàng hoàn thành, được đổi điểm hoặc được hoàn tiền
+    referenceModel: {
+      type: String,
+      enum: ["Booking", "EquipmentOrder", "SetDesignOrder", null],
+      default: null,
+    },
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "referenceModel",
+      default: null,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+loyaltyTransactionSchema.index({ userId: 1, createdAt: -1 });
+// Lô còn điểm theo hạn dùng (đổi điểm FIFO, job hết hạn)
+loyaltyTransactionSchema.index(
+  { userId: 1, expiresAt: 1 },
+  { partialFilterExpression: { remainingPoints: { $gt: 0 } } }
+);
+loyaltyTransactionSchema.index(
+  { expiresAt: 1 },
+  { partialFilterExpression: { remainingPoints: { $gt: 0 } } }
+);
+// Một chứng từ chỉ được tích / đổi / hoàn điểm một lần cho mỗi loại giao dịch
+loyaltyTransactionSchema.index(
+  { type: 1, referenceModel: 1, referenceId: 1 },
+  { unique: true, partialFilterExpression: { referenceId: { $type: "objectId" } } }
+);
+
+const LoyaltyTransaction = mongoose.model("LoyaltyTransaction", loyaltyTransactionSchema);
+
+export default LoyaltyTransaction;
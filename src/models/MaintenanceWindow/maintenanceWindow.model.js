@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import { MAINTENANCE_WINDOW_STATUS, MAINTENANCE_RESOLUTION } from "../../utils/constants.js";
+
+/**
+ * MAINTENANCE WINDOW MODEL
+ * Lịch bảo trì studio theo khung giờ. Khi tạo, studio được thêm một blackout tương ứng
+ * nên không nhận lịch / booking mới trong khung giờ này.
+ * - resolutions: quyết định của staff cho từng booking bị ảnh hưởng (chuyển studio hoặc hủy hoàn 100%)
+ */
+const maintenanceWindowSchema = new mongoose.Schema(
+  {
+    studioId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Studio",
+      required: true,
+    },
+    startTime: {
+      type: Date,
+      required: true,
+    },
+    endTime: {
+      type: Date,
+      required: true,
+      validate: {
+        validator: function (value) {
+          return value > this.startTime;
+        },
+        message: "endTime must be greater than startTime",
+      },
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    status: {
+      type: String,
+      enum: Object.values(MAINTENANCE_WINDOW_STATUS),
+      default: MAINTENANCE_WINDOW_STATUS.SCHEDULED,
+    },
+    resolutions: [{
+      _id: false,
+      bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Booking",
+        required: true,
+      },
+      action: {
+        type: String,
+        enum: Object.values(MAINTENANCE_RESOLUTION),
+        required: true,
+      },
+      targetStudioId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Studio",
+        default: null,
+      },
+      newScheduleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Schedule",
+        default: null,
+      },
+      refundAmount: {
+        type: Number,
+        default: 0,
+      },
+      decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      decidedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+maintenanceWindowSchema.index({ studioId: 1, startTime: 1 });
+maintenanceWindowSchema.index({ status: 1, endTime: 1 });
+
+const MaintenanceWindow = mongoose.model("MaintenanceWindow", maintenanceWindowSchema);
+
+export default MaintenanceWindow;
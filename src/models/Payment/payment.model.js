@@ -1,5 +1,5 @@
 import mongoose from "mongoose";
-import { PAYMENT_STATUS, PAY_TYPE, TARGET_MODEL, PAYMENT_CATEGORY } from "../../utils/constants.js";
+import { PAYMENT_STATUS, PAY_TYPE, TARGET_MODEL, PAYMENT_CATEGORY, PAYMENT_METHOD } from "../../utils/constants.js";
 
 /**
  * PAYMENT MODEL
@@ -56,6 +56,12 @@ const paymentSchema = new mongoose.Schema(
       default: PAYMENT_STATUS.PENDING,
       required: true,
     },
+    // Trả qua cổng thanh toán hay trừ ví (ví không có transactionId)
+    method: {
+      type: String,
+      enum: Object.values(PAYMENT_METHOD),
+      default: PAYMENT_METHOD.GATEWAY,
+    },
     
     // Mã giao dịch từ bên thứ 3 (VD: PayOS)
     transactionId: {
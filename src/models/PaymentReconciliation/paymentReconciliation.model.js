@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+import { PAYMENT_GATEWAY, PAYMENT_RECONCILIATION_ISSUE, PAYMENT_STATUS, TARGET_MODEL, PAYMENT_CATEGORY } from "../../utils/constants.js";
+
+/**
+ * PAYMENT RECONCILIATION MODEL
+ * Báo cáo đối soát theo ngày (giờ Việt Nam): mỗi lần job chạy ghi thêm sai lệch vào báo cáo của ngày đó.
+ * Một payment chỉ xuất hiện một lần cho mỗi loại sai lệch trong ngày.
+ */
+const reconciliationIssueSchema = new mongoose.Schema(
+  {
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: true,
+    },
+    transactionId: {
+      type: String,
+      required: true,
+    },
+    targetModel: {
+      type: String,
+      enum: [...Object.values(TARGET_MODEL), null],
+      default: null,
+    },
+    category: {
+      type: String,
+      enum: [...Object.values(PAYMENT_CATEGORY), null],
+      default: null,
+    },
+    issue: {
+      type: String,
+      enum: Object.values(PAYMENT_RECONCILIATION_ISSUE),
+      required: true,
+    },
+    // Trạng thái local lúc phát hiện (trước khi sửa)
+    localStatus: {
+      type: String,
+      enum: Object.values(PAYMENT_STATUS),
+      required: true,
+    },
+    // PAYMENT_LINK_STATUS trên cổng (null khi không lấy được)
+    gatewayStatus: {
+      type: String,
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    gatewayAmount: {
+      type: Number,
+      default: null,
+    },
+    // Đã tự sửa qua fulfilment hay cần kiểm tra tay
+    fixed: {
+      type: Boolean,
+      default: false,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    detectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const paymentReconciliationSchema = new mongoose.Schema(
+  {
+    // YYYY-MM-DD
+    date: {
+      type: String,
+      required: true,
+      unique: true, // unique tự động tạo index
+    },
+    gateway: {
+      type: String,
+      enum: Object.values(PAYMENT_GATEWAY),
+      required: true,
+    },
+    runs: {
+      type: Number,
+      default: 0,
+    },
+    pendingChecked: {
+      type: Number,
+      default: 0,
+    },
+    paidChecked: {
+      type: Number,
+      default: 0,
+    },
+    issues: {
+      type: [reconciliationIssueSchema],
+      default: [],
+    },
+    // Tổng hợp từ issues (cập nhật mỗi lần chạy)
+    summary: {
+      mismatches: { type: Number, default: 0 },
+      fixed: { type: Number, default: 0 },
+      unresolved: { type: Number, default: 0 },
+      recoveredAmount: { type: Number, default: 0 }, // tiền đã thu nhưng trước đó chưa ghi nhận
+      cancelledAmount: { type: Number, default: 0 },
+      unverifiedAmount: { type: Number, default: 0 }, // tiền local ghi paid nhưng cổng không xác nhận
+      amountDifference: { type: Number, default: 0 }, // tổng (gatewayAmount - amount) của amount_mismatch
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    // Job tổng hợp ngày đã chạy (đã gửi báo cáo cho admin)
+    finalizedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+paymentReconciliationSchema.index({ "summary.unresolved": 1, date: -1 });
+
+const PaymentReconciliation = mongoose.model("PaymentReconciliation", paymentReconciliationSchema);
+
+export default PaymentReconciliation;
@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+import { PAYMENT_WEBHOOK_STATUS, PAYMENT_GATEWAY, TARGET_MODEL, PAYMENT_CATEGORY } from "../../utils/constants.js";
+
+/**
+ * PAYMENT WEBHOOK MODEL (inbox)
+ * Lưu nguyên văn mọi webhook thanh toán nhận được cùng trạng thái xử lý.
+ * Webhook failed / ignored có thể được admin replay; rejected (sai chữ ký) thì không.
+ */
+const paymentWebhookSchema = new mongoose.Schema(
+  {
+    gateway: {
+      type: String,
+      enum: Object.values(PAYMENT_GATEWAY),
+      required: true,
+    },
+    // orderCode của cổng = Payment.transactionId
+    orderCode: {
+      type: String,
+      default: null,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    headers: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // data đã xác thực chữ ký (null khi rejected)
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: Object.values(PAYMENT_WEBHOOK_STATUS),
+      default: PAYMENT_WEBHOOK_STATUS.RECEIVED,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    result: {
+      type: String,
+      default: null,
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      default: null,
+    },
+    targetModel: {
+      type: String,
+      enum: [...Object.values(TARGET_MODEL), null],
+      default: null,
+    },
+    category: {
+      type: String,
+      enum: [...Object.values(PAYMENT_CATEGORY), null],
+      default: null,
+    },
+    lastReplayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    lastReplayedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+paymentWebhookSchema.index({ status: 1, createdAt: -1 });
+paymentWebhookSchema.index({ orderCode: 1, createdAt: -1 });
+paymentWebhookSchema.index({ paymentId: 1 }, { sparse: true });
+
+const PaymentWebhook = mongoose.model("PaymentWebhook", paymentWebhookSchema);
+
+export default PaymentWebhook;
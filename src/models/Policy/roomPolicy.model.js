@@ -36,6 +36,43 @@ const roomPolicySchema = new mongoose.Schema(
       description: String
     }],
 
+    // Đổi lịch (áp dụng cùng CANCELLATION policy, được snapshot vào booking)
+    rescheduleRules: {
+      allowed: {
+        type: Boolean,
+        default: true
+      },
+      // Số lần khách được đổi lịch cho một booking
+      maxReschedules: {
+        type: Number,
+        default: 1,
+        min: 0
+      },
+      // Phải đổi trước giờ bắt đầu ít nhất bao nhiêu giờ
+      minHoursBeforeStart: {
+        type: Number,
+        default: 24,
+        min: 0
+      },
+      // Số lần đổi đầu tiên được miễn phí
+      freeReschedules: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      feeType: {
+        type: String,
+        enum: ['NONE', 'FIXED', 'PERCENTAGE'],
+        default: 'NONE'
+      },
+      // VND (FIXED) hoặc % trên finalAmount (PERCENTAGE)
+      feeValue: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    },
+
     // For NO_SHOW policies
     noShowRules: {
       chargeType: {
@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+import { PRICING_RULE_TYPE } from "../../utils/constants.js";
+
+/**
+ * PRICING RULE MODEL
+ * Quy tắc giá động áp lên basePricePerHour của studio (giờ Việt Nam):
+ * - time_band: hệ số cho khung giờ startTime-endTime (có thể giới hạn theo thứ)
+ * - day_of_week: hệ số cho các thứ trong daysOfWeek (0 = Chủ nhật)
+ * - holiday: hệ số cho ngày lễ (lịch nghỉ lễ chung)
+ * - last_minute: hệ số khi đặt trong vòng hoursBeforeStart giờ trước giờ bắt đầu
+ * - minimum_hours: số giờ tính tiền tối thiểu (minHours)
+ * Cùng một loại chỉ áp dụng quy tắc có priority cao nhất; các loại khác nhau nhân dồn hệ số
+ */
+const pricingRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    type: {
+      type: String,
+      enum: Object.values(PRICING_RULE_TYPE),
+      required: true,
+    },
+
+    // Rỗng = áp dụng cho tất cả studio
+    studioIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Studio",
+    }],
+
+    // Hệ số nhân giá theo giờ (1.5 = +50%, 0.8 = -20%); không dùng cho minimum_hours
+    multiplier: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 10,
+    },
+
+    // time_band / day_of_week: các thứ áp dụng (0-6); rỗng = mọi ngày (chỉ với time_band)
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6,
+    }],
+    // time_band: 'HH:mm', endTime có thể là '24:00'
+    startTime: {
+      type: String,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    },
+    endTime: {
+      type: String,
+      match: /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/,
+    },
+
+    // last_minute
+    hoursBeforeStart: {
+      type: Number,
+      min: 0,
+    },
+
+    // minimum_hours
+    minHours: {
+      type: Number,
+      min: 0,
+      max: 24,
+    },
+
+    // Khoảng ngày hiệu lực (tùy chọn)
+    validFrom: {
+      type: Date,
+    },
+    validTo: {
+      type: Date,
+    },
+
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+pricingRuleSchema.index({ isActive: 1, type: 1 });
+pricingRuleSchema.index({ studioIds: 1 });
+
+const PricingRule = mongoose.model("PricingRule", pricingRuleSchema);
+
+export default PricingRule;
@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-import { TARGET_MODEL } from '../../utils/constants.js';
+import { TARGET_MODEL, REFUND_DESTINATION } from '../../utils/constants.js';
 
 const refundSchema = new mongoose.Schema({
   // Polymorphic reference - supports Booking, SetDesignOrder, EquipmentOrder
@@ -60,6 +60,17 @@ const refundSchema = new mongoose.Schema({
     required: true
   },
 
+  // Wallet refunds are credited instantly (COMPLETED without approval)
+  destination: {
+    type: String,
+    enum: Object.values(REFUND_DESTINATION),
+    default: REFUND_DESTINATION.BANK
+  },
+  walletTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction'
+  },
+
   destinationBank: {
     bankName: String,       // Tên ngân hàng (VD: "Vietcombank", "MB Bank")
     accountNumber: String,  // Số tài khoản
@@ -4,6 +4,7 @@ import { REPORT_STATUS, REPORT_ISSUE_TYPE, REPORT_TARGET_TYPES } from "../../uti
 /**
  * REPORT MODEL
  * Polymorphic report model for Booking, Review, Comment
+ * Damage reports on equipment link the unit and the responsible booking / rental order
  */
 const reportSchema = new mongoose.Schema(
   {
@@ -23,6 +24,19 @@ const reportSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Booking",
     },
+    // Damage of a serialized equipment unit: the unit and who held it (booking above or rental order)
+    equipmentUnitId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EquipmentUnit",
+    },
+    equipmentOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EquipmentOrder",
+    },
+    responsibleUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     reporterId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -57,6 +71,16 @@ const reportSchema = new mongoose.Schema(
     compensationAmount: {
       type: Number,
       default: 0,
+    },
+    // Thời điểm khoản bồi thường được thanh toán (webhook)
+    compensationPaidAt: {
+      type: Date,
+      default: null,
+    },
+    // Thời điểm khoản bồi thường cho người báo cáo được cộng vào ví
+    compensationCreditedAt: {
+      type: Date,
+      default: null,
     }
   },
   {
@@ -69,6 +93,7 @@ reportSchema.index({ targetType: 1, targetId: 1 });
 reportSchema.index({ reporterId: 1 });
 reportSchema.index({ status: 1 });
 reportSchema.index({ issueType: 1 });
+reportSchema.index({ equipmentUnitId: 1 }, { sparse: true });
 
 const Report = mongoose.model("Report", reportSchema);
 
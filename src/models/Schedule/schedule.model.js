@@ -38,6 +38,22 @@ const scheduleSchema = new mongoose.Schema(
       ref: "Booking",
       default: null,
     },
+    // Buffer chốt tại thời điểm đặt (studio + set design); null = dùng buffer mặc định của studio
+    bufferBeforeMinutes: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    bufferAfterMinutes: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    // Giữ chỗ tạm thời trong lúc khách thanh toán; hết hạn mà chưa thanh toán thì lịch được giải phóng
+    holdExpiresAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: { createdAt: true, updatedAt: false },
@@ -47,6 +63,7 @@ const scheduleSchema = new mongoose.Schema(
 // Indexes
 scheduleSchema.index({ studioId: 1, startTime: 1, status: 1 });
 scheduleSchema.index({ studioId: 1, status: 1 }, { partialFilterExpression: { status: SCHEDULE_STATUS.AVAILABLE } });
+scheduleSchema.index({ status: 1, holdExpiresAt: 1 }, { partialFilterExpression: { holdExpiresAt: { $type: "date" } } });
 // bookingId đã có unique: true, không cần index riêng
 
 const Schedule = mongoose.model("Schedule", scheduleSchema);
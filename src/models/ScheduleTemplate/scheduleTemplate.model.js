@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+const TIME_OF_DAY_REGEX = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+/**
+ * SCHEDULE TEMPLATE MODEL
+ * Mẫu tạo lịch hàng loạt, ví dụ "Ngày thường 08:00–22:00, mỗi slot 2 giờ".
+ * - daysOfWeek: 0 = Chủ nhật ... 6 = Thứ bảy (giờ Việt Nam)
+ * - Slot được cắt liên tiếp từ startTime, cách nhau gapMinutes, slot cuối phải kết thúc trước endTime
+ * - Áp dụng cho một hoặc nhiều studio trong một khoảng ngày (xem trước xung đột rồi tạo trong một transaction)
+ */
+const scheduleTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    daysOfWeek: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      validate: {
+        validator: (value) => Array.isArray(value) && value.length > 0,
+        message: "daysOfWeek must contain at least one day",
+      },
+    },
+    startTime: {
+      type: String,
+      required: true,
+      match: TIME_OF_DAY_REGEX,
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: TIME_OF_DAY_REGEX,
+    },
+    slotMinutes: {
+      type: Number,
+      required: true,
+      min: 60,
+    },
+    // Khoảng nghỉ giữa hai slot liên tiếp (ngoài buffer của studio)
+    gapMinutes: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+scheduleTemplateSchema.index({ name: 1 }, { unique: true });
+
+const ScheduleTemplate = mongoose.model("ScheduleTemplate", scheduleTemplateSchema);
+
+export default ScheduleTemplate;
@@ -10,6 +10,7 @@ import { SET_DESIGN_CATEGORIES } from '../../utils/constants.js';
  *   - description: Detailed description of the design
  *   - price: Price for this set design
  *   - images: Array of image URLs (stored in Cloudinary)
+ *   - setupMinutes / teardownMinutes: Extra studio buffer needed to build / strike the set
  *   - reviews: Array of customer reviews and ratings
  *   - comments: Array of customer comments/questions
  *   - createdAt: Auto-generated creation timestamp
@@ -55,6 +56,20 @@ const setDesignSchema = new mongoose.Schema(
       default: true,
     },
 
+    // Thời gian dựng / tháo set (phút), cộng thêm vào buffer của studio khi booking dùng set này
+    setupMinutes: {
+      type: Number,
+      default: 0,
+      min: [0, "Setup time cannot be negative"],
+      max: [240, "Setup time cannot exceed 240 minutes"],
+    },
+    teardownMinutes: {
+      type: Number,
+      default: 0,
+      min: [0, "Teardown time cannot be negative"],
+      max: [240, "Teardown time cannot exceed 240 minutes"],
+    },
+
     category: {
       type: String,
       enum: SET_DESIGN_CATEGORIES,
@@ -62,13 +62,25 @@ const setDesignOrderSchema = new mongoose.Schema(
       min: [0, "Unit price cannot be negative"],
     },
 
-    // Total amount (quantity * unitPrice)
+    // Total amount (quantity * unitPrice - loyaltyDiscount)
     totalAmount: {
       type: Number,
       required: true,
       min: [0, "Total amount cannot be negative"],
     },
 
+    // Đổi điểm thưởng lúc đặt (đã trừ vào totalAmount)
+    loyaltyPointsRedeemed: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    loyaltyDiscount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     // Amount paid so far
     paidAmount: {
       type: Number,
@@ -143,8 +155,8 @@ setDesignOrderSchema.index({ createdAt: -1 });
 
 // Pre-save middleware to calculate total amount
 setDesignOrderSchema.pre('save', function(next) {
-  if (this.isModified('quantity') || this.isModified('unitPrice')) {
-    this.totalAmount = this.quantity * this.unitPrice;
+  if (this.isModified('quantity') || this.isModified('unitPrice') || this.isModified('loyaltyDiscount')) {
+    this.totalAmount = Math.max(0, this.quantity * this.unitPrice - (this.loyaltyDiscount || 0));
   }
   next();
 });
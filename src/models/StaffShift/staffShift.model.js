@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import { STAFF_SHIFT_STATUS } from "../../utils/constants.js";
+
+/**
+ * STAFF SHIFT MODEL
+ * Ca trực của nhân viên (roster): một nhân viên có thể có nhiều ca/ngày, không chồng lấn.
+ * - studioIds: các studio được phân công trong ca; rỗng = trực tất cả studio
+ * - Booking được tự động giao cho nhân viên đang trực phủ trọn khung giờ của booking
+ */
+const staffShiftSchema = new mongoose.Schema(
+  {
+    staffId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    startTime: {
+      type: Date,
+      required: true,
+    },
+    endTime: {
+      type: Date,
+      required: true,
+      validate: {
+        validator: function (value) {
+          return value > this.startTime;
+        },
+        message: "endTime must be greater than startTime",
+      },
+    },
+    studioIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Studio",
+    }],
+    status: {
+      type: String,
+      enum: Object.values(STAFF_SHIFT_STATUS),
+      default: STAFF_SHIFT_STATUS.SCHEDULED,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+staffShiftSchema.index({ staffId: 1, startTime: 1 });
+staffShiftSchema.index({ status: 1, startTime: 1, endTime: 1 });
+
+const StaffShift = mongoose.model("StaffShift", staffShiftSchema);
+
+export default StaffShift;
@@ -56,6 +56,95 @@ const studioSchema = new mongoose.Schema(
       default: STUDIO_STATUS.ACTIVE,
       required: true,
     },
+
+    // Thời gian chuẩn bị trước / dọn dẹp sau mỗi lịch (phút).
+    // Hai lịch liên tiếp phải cách nhau ít nhất bufferAfter (lịch trước) + bufferBefore (lịch sau)
+    bufferBeforeMinutes: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 240,
+    },
+    bufferAfterMinutes: {
+      type: Number,
+      default: 30,
+      min: 0,
+      max: 240,
+    },
+
+    // Tính phí quá giờ khi check-out trễ hơn giờ kết thúc:
+    // trễ quá overtimeGraceMinutes thì tính theo block overtimeRoundingMinutes (làm tròn lên)
+    // với đơn giá overtimeRatePerHour (null = basePricePerHour × OVERTIME_DEFAULT_MULTIPLIER)
+    overtimeRatePerHour: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    overtimeRoundingMinutes: {
+      type: Number,
+      default: 15,
+      min: 1,
+      max: 60,
+    },
+    overtimeGraceMinutes: {
+      type: Number,
+      default: 10,
+      min: 0,
+      max: 60,
+    },
+
+    // Giờ mở cửa theo thứ trong tuần (giờ Việt Nam), có thể nhiều khung/ngày.
+    // Để trống = mở cửa 24/7
+    operatingHours: [{
+      _id: false,
+      dayOfWeek: {
+        type: Number,
+        min: 0, // 0 = Chủ nhật ... 6 = Thứ bảy
+        max: 6,
+        required: true,
+      },
+      open: {
+        type: String,
+        match: /^([01]\d|2[0-3]):[0-5]\d$/, // HH:mm
+        required: true,
+      },
+      close: {
+        type: String,
+        match: /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/, // HH:mm, cho phép 24:00
+        required: true,
+      },
+    }],
+    // Đóng cửa vào các ngày trong lịch nghỉ lễ chung
+    closedOnHolidays: {
+      type: Boolean,
+      default: true,
+    },
+    // Đóng cửa đột xuất: sự kiện riêng, sửa chữa...
+    blackouts: [{
+      startTime: {
+        type: Date,
+        required: true,
+      },
+      endTime: {
+        type: Date,
+        required: true,
+      },
+      reason: {
+        type: String,
+      },
+      // Blackout sinh ra từ lịch bảo trì (xóa cùng khi hủy lịch bảo trì)
+      maintenanceWindowId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "MaintenanceWindow",
+        default: null,
+      },
+    }],
+
+    // Token bí mật của link lịch iCalendar của studio (không trả về trong API)
+    calendarFeedToken: {
+      type: String,
+      select: false,
+    },
   },
   {
     timestamps: { createdAt: true, updatedAt: false },
@@ -67,6 +156,7 @@ studioSchema.index({ status: 1 });
 studioSchema.index({ basePricePerHour: 1 }); // Optimize sorting by price
 studioSchema.index({ avgRating: -1 }); // Optimize sorting by rating
 studioSchema.index({ name: 'text', description: 'text' }); // Enable text search
+studioSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 
 const Studio = mongoose.model("Studio", studioSchema);
 
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { LOYALTY_TIER } from "../../utils/constants.js";
 
 /**
  * CUSTOMER PROFILE MODEL
@@ -29,6 +30,22 @@ const customerProfileSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Tổng điểm đã tích, trừ điểm bị thu hồi (không trừ điểm đã đổi / hết hạn) - dùng để xếp hạng
+    lifetimePoints: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    loyaltyTier: {
+      type: String,
+      enum: Object.values(LOYALTY_TIER),
+      default: LOYALTY_TIER.MEMBER,
+    },
+    // Năm gần nhất đã nhận điểm sinh nhật (mỗi năm một lần)
+    lastBirthdayBonusYear: {
+      type: Number,
+      default: null,
+    },
   },
   {
     timestamps: true,
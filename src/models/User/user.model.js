@@ -64,6 +64,12 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+
+    // Token bí mật của link lịch iCalendar cá nhân (không trả về trong API)
+    calendarFeedToken: {
+      type: String,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -72,6 +78,7 @@ const userSchema = new mongoose.Schema(
 
 // Indexes - Chỉ giữ composite index (username, email, phone đã có unique: true)
 userSchema.index({ role: 1, isActive: 1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 
 const User = mongoose.model("User", userSchema);
 
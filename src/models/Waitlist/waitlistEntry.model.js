@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import { WAITLIST_STATUS } from "../../utils/constants.js";
+
+/**
+ * WAITLIST ENTRY MODEL
+ * Khách chờ một khung giờ studio đã kín; khi lịch được giải phóng, người đầu hàng
+ * được giữ chỗ tạm thời (offer) trước khi chuyển cho người tiếp theo
+ */
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    studioId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Studio",
+      required: true,
+    },
+    startTime: {
+      type: Date,
+      required: true,
+    },
+    endTime: {
+      type: Date,
+      required: true,
+      validate: {
+        validator: function (value) {
+          return value > this.startTime;
+        },
+        message: "endTime must be greater than startTime",
+      },
+    },
+    status: {
+      type: String,
+      enum: Object.values(WAITLIST_STATUS),
+      default: WAITLIST_STATUS.WAITING,
+      required: true,
+    },
+
+    // Giữ chỗ hiện tại (khi status = offered)
+    offer: {
+      offeredAt: Date,
+      expiresAt: Date,
+      // Khung giờ được giải phóng đã sinh ra offer (dùng để chuyển cho người kế tiếp)
+      releasedStart: Date,
+      releasedEnd: Date,
+    },
+    offerCount: {
+      type: Number,
+      default: 0,
+    },
+
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      default: null,
+    },
+    notes: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+waitlistEntrySchema.index({ studioId: 1, status: 1, createdAt: 1 }); // FIFO lookup
+waitlistEntrySchema.index({ status: 1, "offer.expiresAt": 1 });
+waitlistEntrySchema.index({ userId: 1, status: 1 });
+
+const WaitlistEntry = mongoose.model("WaitlistEntry", waitlistEntrySchema);
+
+export default WaitlistEntry;
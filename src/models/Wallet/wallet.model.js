@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+/**
+ * WALLET MODEL
+ * Ví (store credit) của khách hàng. balance là số dư cache, luôn bằng tổng bút toán trong WalletTransaction
+ * và chỉ được thay đổi qua wallet.service (cùng session với bút toán).
+ */
+const walletSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true, // unique tự động tạo index
+    },
+    balance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "VND",
+    },
+    lastTransactionAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Wallet = mongoose.model("Wallet", walletSchema);
+
+export default Wallet;
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import { WALLET_TRANSACTION_TYPE, WALLET_ACCOUNT } from "../../utils/constants.js";
+
+/**
+ * WALLET TRANSACTION MODEL (ledger)
+ * Bút toán kép, chỉ thêm không sửa: ghi nợ debitAccount, ghi có creditAccount cùng một amount.
+ * - Cộng ví: debit REFUNDS / COMPENSATION / PROMOTIONS, credit CUSTOMER_WALLET
+ * - Trừ ví khi checkout: debit CUSTOMER_WALLET, credit SALES
+ */
+const walletTransactionSchema = new mongoose.Schema(
+  {
+    walletId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Wallet",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(WALLET_TRANSACTION_TYPE),
+      required: true,
+    },
+    debitAccount: {
+      type: String,
+      enum: Object.values(WALLET_ACCOUNT),
+      required: true,
+    },
+    creditAccount: {
+      type: String,
+      enum: Object.values(WALLET_ACCOUNT),
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Số dư ví ngay sau bút toán
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    // Chứng từ gốc: Refund, Report (bồi thường), Payment (checkout)
+    referenceModel: {
+      type: String,
+      enum: ["Refund", "Report", "Payment", null],
+      default: null,
+    },
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "referenceModel",
+      default: null,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+walletTransactionSchema.index({ walletId: 1, createdAt: -1 });
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+// Một chứng từ chỉ ghi sổ một lần cho mỗi loại giao dịch
+walletTransactionSchema.index(
+  { type: 1, referenceModel: 1, referenceId: 1 },
+  { unique: true, partialFilterExpression: { referenceId: { $type: "objectId" } } }
+);
+
+const WalletTransaction = mongoose.model("WalletTransaction", walletTransactionSchema);
+
+export default WalletTransaction;
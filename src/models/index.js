@@ -8,17 +8,28 @@
 export { default as User } from './User/user.model.js';
 export { default as CustomerProfile } from './User/customerProfile.model.js';
 export { default as StaffProfile } from './User/staffProfile.model.js';
+export { default as StaffShift } from './StaffShift/staffShift.model.js';
 export { default as RefreshToken } from './RefreshToken/refreshToken.model.js';
 
 // Studio & Resources
 export { default as Studio } from './Studio/studio.model.js';
 export { default as Equipment } from './Equipment/equipment.model.js';
+export { default as EquipmentUnit } from './Equipment/equipmentUnit.model.js';
+export { default as EquipmentKit } from './EquipmentKit/equipmentKit.model.js';
+export { default as EquipmentMaintenance } from './EquipmentMaintenance/equipmentMaintenance.model.js';
+export { default as EquipmentMaintenancePlan } from './EquipmentMaintenance/equipmentMaintenancePlan.model.js';
 export { default as Service } from './Service/service.model.js';
+export { default as Holiday } from './Holiday/holiday.model.js';
+export { default as MaintenanceWindow } from './MaintenanceWindow/maintenanceWindow.model.js';
 
 // Scheduling & Booking
 export { default as Schedule } from './Schedule/schedule.model.js';
+export { default as ScheduleTemplate } from './ScheduleTemplate/scheduleTemplate.model.js';
 export { default as Booking } from './Booking/booking.model.js';
 export { default as BookingDetail } from './Booking/bookingDetail.model.js';
+export { default as BookingSeries } from './BookingSeries/bookingSeries.model.js';
+export { default as BookingGroup } from './BookingGroup/bookingGroup.model.js';
+export { default as WaitlistEntry } from './Waitlist/waitlistEntry.model.js';
 
 // AI Set Design
 export { default as SetDesign } from './SetDesign/setDesign.model.js';
@@ -28,7 +39,13 @@ export { default as SetDesignPayment } from './SetDesignPayment/setDesignPayment
 // Financial
 export { default as Payment } from './Payment/payment.model.js';
 export { default as Refund } from './Refund/refund.model.js';
+export { default as PaymentWebhook } from './PaymentWebhook/paymentWebhook.model.js';
+export { default as PaymentReconciliation } from './PaymentReconciliation/paymentReconciliation.model.js';
+export { default as Wallet } from './Wallet/wallet.model.js';
+export { default as WalletTransaction } from './Wallet/walletTransaction.model.js';
+export { default as LoyaltyTransaction } from './Loyalty/loyaltyTransaction.model.js';
 export { default as Promotion } from './Promotion/promotion.model.js';
+export { default as PricingRule } from './PricingRule/pricingRule.model.js';
 
 // Policies
 export { default as RoomPolicy } from './Policy/roomPolicy.model.js';
@@ -11,8 +11,23 @@ import {
   checkOut,
   getExtensionOptions,
   extendBookingController,
+  rescheduleBookingController,
+  modifyBookingItemsController,
+  previewBookingSeries,
+  createBookingSeries,
+  getBookingSeries,
+  cancelSeriesOccurrence,
+  cancelBookingSeries,
+  createBookingGroup,
+  getBookingGroup,
+  createBookingGroupPaymentOptions,
+  cancelBookingGroupMember,
+  cancelBookingGroup,
+  createBookingGroupRefundRequests,
 } from '../controllers/booking.controller.js';
 import { createBookingDetailsController } from '../controllers/bookingDetail.controller.js';
+import { getCheckInTokenController } from '../controllers/checkIn.controller.js';
+import { assignBookingStaffController } from '../controllers/staffRoster.controller.js';
 import { createRefundRequestController, getRefundsForBookingController } from '../controllers/refund.controller.js';
 import { protect, authorize } from '../middlewares/auth.js';
 import { sanitizeInput, validateObjectId } from '../middlewares/validate.js';
@@ -45,6 +60,33 @@ router.post(
 );
 router.get('/:id/refunds', validateObjectId(), authorize(USER_ROLES.CUSTOMER, USER_ROLES.STAFF, USER_ROLES.ADMIN), getRefundsForBookingController);
 
+// Recurring series routes (declared before '/:id' routes)
+router.post('/series/preview', authorize(USER_ROLES.CUSTOMER), previewBookingSeries);
+router.post('/series', authorize(USER_ROLES.CUSTOMER), bookingLimiter, createBookingSeries);
+router.get('/series/:seriesId', validateObjectId('seriesId'), authorize(USER_ROLES.CUSTOMER, USER_ROLES.STAFF, USER_ROLES.ADMIN), getBookingSeries);
+router.post('/series/:seriesId/cancel', validateObjectId('seriesId'), authorize(USER_ROLES.CUSTOMER), cancelBookingSeries);
+router.post(
+  '/series/:seriesId/occurrences/:bookingId/cancel',
+  validateObjectId('seriesId'),
+  validateObjectId('bookingId'),
+  authorize(USER_ROLES.CUSTOMER),
+  cancelSeriesOccurrence
+);
+
+// Group booking (multi-studio checkout) routes
+router.post('/groups', authorize(USER_ROLES.CUSTOMER), bookingLimiter, createBookingGroup);
+router.get('/groups/:groupId', validateObjectId('groupId'), authorize(USER_ROLES.CUSTOMER, USER_ROLES.STAFF, USER_ROLES.ADMIN), getBookingGroup);
+router.post('/groups/:groupId/payment-options', validateObjectId('groupId'), authorize(USER_ROLES.CUSTOMER), createBookingGroupPaymentOptions);
+router.post('/groups/:groupId/cancel', validateObjectId('groupId'), authorize(USER_ROLES.CUSTOMER), cancelBookingGroup);
+router.post(
+  '/groups/:groupId/members/:bookingId/cancel',
+  validateObjectId('groupId'),
+  validateObjectId('bookingId'),
+  authorize(USER_ROLES.CUSTOMER),
+  cancelBookingGroupMember
+);
+router.post('/groups/:groupId/refund-request', validateObjectId('groupId'), authorize(USER_ROLES.CUSTOMER), createBookingGroupRefundRequests);
+
 // Staff/Admin routes
 router.patch('/:id', validateObjectId(), authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN), updateBooking);
 router.post('/:id/confirm', validateObjectId(), authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN), confirmBooking);
@@ -52,11 +94,21 @@ router.post('/:id/no-show', validateObjectId(), authorize(USER_ROLES.STAFF, USER
 // Check-in / Check-out (only staff allowed)
 router.post('/:id/checkin', validateObjectId(), authorize(USER_ROLES.STAFF), checkIn);
 router.post('/:id/checkout', validateObjectId(), authorize(USER_ROLES.STAFF), checkOut);
+// Staff assignment (empty staffId = auto-assign an on-duty staff member)
+router.post('/:id/assign', validateObjectId(), authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN), assignBookingStaffController);
+// Signed QR token for self-service check-in at the kiosk (/api/kiosk)
+router.get('/:id/checkin-token', validateObjectId(), authorize(USER_ROLES.CUSTOMER, USER_ROLES.STAFF), getCheckInTokenController);
 
 // Extension routes (Customer and Staff can extend)
 router.get('/:id/extension-options', validateObjectId(), authorize(USER_ROLES.CUSTOMER, USER_ROLES.STAFF), getExtensionOptions);
 router.post('/:id/extend', validateObjectId(), authorize(USER_ROLES.CUSTOMER, USER_ROLES.STAFF), extendBookingController);
 
+// Reschedule (Customer within policy limits, Staff may also waive the fee)
+router.post('/:id/reschedule', validateObjectId(), authorize(USER_ROLES.CUSTOMER, USER_ROLES.STAFF), bookingLimiter, rescheduleBookingController);
+
+// Add / remove equipment and services (Customer until the cutoff, Staff also during the session)
+router.patch('/:id/items', validateObjectId(), authorize(USER_ROLES.CUSTOMER, USER_ROLES.STAFF), bookingLimiter, modifyBookingItemsController);
+
 // Shared route for both Customer and Staff/Admin (MUST be last)
 router.get('/:id', validateObjectId(), authorize(USER_ROLES.CUSTOMER, USER_ROLES.STAFF, USER_ROLES.ADMIN), getBooking);
 
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  getMyFeedUrlController,
+  getStudioFeedUrlController,
+  getUserFeedController,
+  getStudioFeedController,
+} from '../controllers/calendar.controller.js';
+import { protect, authorize } from '../middlewares/auth.js';
+import { sanitizeInput, validateObjectId } from '../middlewares/validate.js';
+import { generalLimiter } from '../middlewares/rateLimiter.js';
+import { USER_ROLES } from '../utils/constants.js';
+
+const router = express.Router();
+
+router.use(sanitizeInput);
+router.use(generalLimiter);
+
+// Public feeds: calendar apps cannot send a bearer token, the secret token in the link is the credential
+router.get('/feeds/users/:token', getUserFeedController);
+router.get('/feeds/studios/:token', getStudioFeedController);
+
+router.use(protect);
+
+router.get('/me/feed-url', getMyFeedUrlController);
+router.post('/me/feed-url', getMyFeedUrlController);
+
+router.get('/studios/:id/feed-url', validateObjectId(), authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN), getStudioFeedUrlController);
+router.post('/studios/:id/feed-url', validateObjectId(), authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN), getStudioFeedUrlController);
+
+export default router;
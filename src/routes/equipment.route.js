@@ -4,6 +4,8 @@ import {
   getAvailableEquipmentList,
   getEquipmentDetail,
   getAvailableEquipmentDetailController,
+  getEquipmentAvailabilityListController,
+  getEquipmentAvailabilityController,
   createEquipmentController,
   updateEquipmentController,
   deleteEquipmentController,
@@ -27,6 +29,8 @@ router.use(generalLimiter);
 router.get('/', searchLimiter, getEquipmentList);
 router.get('/available', searchLimiter, getAvailableEquipmentList);
 router.get('/available/:id', validateObjectId(), getAvailableEquipmentDetailController);
+router.get('/availability', searchLimiter, getEquipmentAvailabilityListController);
+router.get('/:id/availability', validateObjectId(), getEquipmentAvailabilityController);
 router.get('/:id', validateObjectId(), getEquipmentDetail);
 
 // PROTECTED ROUTES (Staff only for modifications)
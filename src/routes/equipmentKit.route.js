@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  getKitsController,
+  getAvailableKitsController,
+  getKitController,
+  getKitAvailabilityController,
+  createKitController,
+  updateKitController,
+  deleteKitController,
+} from '../controllers/equipmentKit.controller.js';
+import { protect, authorize, optionalProtect } from '../middlewares/auth.js';
+import { USER_ROLES } from '../utils/constants.js';
+import { validateObjectId, sanitizeInput } from '../middlewares/validate.js';
+import { generalLimiter, searchLimiter } from '../middlewares/rateLimiter.js';
+
+const router = express.Router();
+
+// Global middlewares
+router.use(sanitizeInput);
+router.use(generalLimiter);
+
+// PUBLIC ROUTES
+router.get('/', searchLimiter, optionalProtect, getKitsController);
+router.get('/available', searchLimiter, getAvailableKitsController);
+router.get('/:id/availability', validateObjectId(), getKitAvailabilityController);
+router.get('/:id', validateObjectId(), optionalProtect, getKitController);
+
+// PROTECTED ROUTES (Staff/Admin)
+router.use(protect);
+router.use(authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN));
+
+router.post('/', createKitController);
+router.patch('/:id', validateObjectId(), updateKitController);
+router.delete('/:id', validateObjectId(), deleteKitController);
+
+export default router;
@@ -0,0 +1,44 @@
+import express from 'express';
+import {
+  getMaintenanceOrdersController,
+  getMaintenanceOrderController,
+  createMaintenanceOrderController,
+  updateMaintenanceOrderController,
+  startMaintenanceOrderController,
+  completeMaintenanceOrderController,
+  cancelMaintenanceOrderController,
+  getMaintenancePlansController,
+  createMaintenancePlanController,
+  updateMaintenancePlanController,
+  getMaintenanceCostReportController,
+} from '../controllers/equipmentMaintenance.controller.js';
+import { protect, authorize } from '../middlewares/auth.js';
+import { sanitizeInput, validateObjectId } from '../middlewares/validate.js';
+import { generalLimiter } from '../middlewares/rateLimiter.js';
+import { USER_ROLES } from '../utils/constants.js';
+
+const router = express.Router();
+
+router.use(sanitizeInput);
+router.use(generalLimiter);
+router.use(protect);
+router.use(authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN));
+
+// Cost report (admin only)
+router.get('/report', authorize(USER_ROLES.ADMIN), getMaintenanceCostReportController);
+
+// Preventive plans (must be before /:id)
+router.get('/plans', getMaintenancePlansController);
+router.post('/plans', createMaintenancePlanController);
+router.patch('/plans/:id', validateObjectId(), updateMaintenancePlanController);
+
+// Work orders
+router.get('/', getMaintenanceOrdersController);
+router.post('/', createMaintenanceOrderController);
+router.get('/:id', validateObjectId(), getMaintenanceOrderController);
+router.patch('/:id', validateObjectId(), updateMaintenanceOrderController);
+router.post('/:id/start', validateObjectId(), startMaintenanceOrderController);
+router.post('/:id/complete', validateObjectId(), completeMaintenanceOrderController);
+router.post('/:id/cancel', validateObjectId(), cancelMaintenanceOrderController);
+
+export default router;
@@ -7,12 +7,12 @@ import {
   updateOrderStatus,
   cancelOrder,
   createPayment,
-  handlePaymentWebhook,
   getPaymentStatus,
   getOrderPayments,
   refundDeposit,
   createRefundRequest,
 } from '../controllers/equipmentOrder.controller.js';
+import { paymentWebhookController } from '../controllers/payment.controller.js';
 import { protect, authorize } from '../middlewares/auth.js';
 
 const router = express.Router();
@@ -20,10 +20,11 @@ const router = express.Router();
 // Public routes
 /**
  * @route   POST /api/equipment-orders/payment/webhook
- * @desc    Handle PayOS webhook for equipment payment
+ * @desc    Alias của webhook thanh toán chung (/api/payments/webhook)
  * @access  Public (PayOS webhook)
+ * @deprecated Use /api/payments/webhook instead
  */
-router.post('/payment/webhook', handlePaymentWebhook);
+router.post('/payment/webhook', paymentWebhookController);
 
 // Customer routes
 /**
@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getEquipmentUnitsController,
+  getTargetEquipmentUnitsController,
+  getEquipmentUnitController,
+  createEquipmentUnitController,
+  updateEquipmentUnitController,
+  assignEquipmentUnitsController,
+  returnEquipmentUnitsController,
+} from '../controllers/equipmentUnit.controller.js';
+import { protect, authorize } from '../middlewares/auth.js';
+import { sanitizeInput, validateObjectId } from '../middlewares/validate.js';
+import { generalLimiter } from '../middlewares/rateLimiter.js';
+import { USER_ROLES } from '../utils/constants.js';
+
+const router = express.Router();
+
+router.use(sanitizeInput);
+router.use(generalLimiter);
+router.use(protect);
+router.use(authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN));
+
+router.get('/', getEquipmentUnitsController);
+router.post('/', createEquipmentUnitController);
+
+// Hand-over (must be before /:id)
+router.get('/assignments', getTargetEquipmentUnitsController);
+router.post('/assign', assignEquipmentUnitsController);
+router.post('/return', returnEquipmentUnitsController);
+
+router.get('/:id', validateObjectId(), getEquipmentUnitController);
+router.patch('/:id', validateObjectId(), updateEquipmentUnitController);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getHolidaysController,
+  createHolidayController,
+  deleteHolidayController,
+} from '../controllers/holiday.controller.js';
+import { protect, authorize } from '../middlewares/auth.js';
+import { sanitizeInput, validateObjectId } from '../middlewares/validate.js';
+import { generalLimiter } from '../middlewares/rateLimiter.js';
+import { USER_ROLES } from '../utils/constants.js';
+
+const router = express.Router();
+
+router.use(sanitizeInput);
+router.use(generalLimiter);
+
+// Public: studios close on these days unless they opt out
+router.get('/', getHolidaysController);
+
+// Admin manages the shared calendar
+router.post('/', protect, authorize(USER_ROLES.ADMIN), createHolidayController);
+router.delete('/:id', validateObjectId(), protect, authorize(USER_ROLES.ADMIN), deleteHolidayController);
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  kioskCheckInController,
+  kioskCheckOutController,
+} from '../controllers/checkIn.controller.js';
+import { sanitizeInput } from '../middlewares/validate.js';
+import { generalLimiter } from '../middlewares/rateLimiter.js';
+import { AppError, UnauthorizedError } from '../utils/errors.js';
+
+const router = express.Router();
+
+router.use(sanitizeInput);
+router.use(generalLimiter);
+
+// Kiosk devices have no user session: the signed QR token is the credential.
+// Only registered kiosks (x-kiosk-key header) may call these routes; without KIOSK_API_KEY the kiosk is disabled.
+const requireKioskKey = (req, res, next) => {
+  const expected = process.env.KIOSK_API_KEY;
+  if (!expected) {
+    return next(new AppError('Kiosk check-in chưa được cấu hình', 503));
+  }
+  if (req.get('x-kiosk-key') !== expected) {
+    return next(new UnauthorizedError('Thiết bị kiosk không hợp lệ'));
+  }
+  next();
+};
+
+router.use(requireKioskKey);
+
+router.post('/check-in', kioskCheckInController);
+router.post('/check-out', kioskCheckOutController);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getLoyaltyProgramController,
+  getMyLoyaltyController,
+  getMyLoyaltyHistoryController,
+} from '../controllers/loyalty.controller.js';
+import { protect } from '../middlewares/auth.js';
+import { sanitizeInput } from '../middlewares/validate.js';
+import { generalLimiter } from '../middlewares/rateLimiter.js';
+
+const router = express.Router();
+
+router.use(sanitizeInput);
+router.use(generalLimiter);
+router.use(protect);
+
+// Thể lệ tích điểm, hạng thành viên
+router.get('/program', getLoyaltyProgramController);
+
+// Điểm thưởng của người dùng đang đăng nhập
+router.get('/me', getMyLoyaltyController);
+router.get('/me/history', getMyLoyaltyHistoryController);
+
+export default router;
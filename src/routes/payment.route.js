@@ -8,6 +8,7 @@ import {
   paymentWebhookController,
   getPaymentStatusController,
   createSinglePaymentController,
+  createOvertimePaymentController,
   getCustomerPaymentHistoryController,
   getStaffPaymentHistoryController,
   createRefundController,
@@ -17,9 +18,12 @@ import {
   getTransactionByIdController,
   deleteTransactionController,
   deleteAllTransactionsController,
-  getTransactionHistoryController
+  getTransactionHistoryController,
+  getMockPaymentLinkController,
+  simulateMockPaymentController
 } from '../controllers/payment.controller.js';
 import { USER_ROLES } from '../utils/constants.js';
+import { isMockGateway } from '../services/paymentGateway/index.js';
 //#endregion
 
 const router = express.Router();
@@ -78,6 +82,18 @@ router.post(
   }
 );
 
+/**
+ * POST /api/payments/overtime/:bookingId
+ * Create payment link for the overtime charged at check-out
+ */
+router.post(
+  '/overtime/:bookingId',
+  generalLimiter,
+  protect,
+  authorize(USER_ROLES.CUSTOMER, USER_ROLES.STAFF, USER_ROLES.ADMIN),
+  createOvertimePaymentController
+);
+
 /**
  * POST /api/payments/webhook
  * PayOS webhook handler (no auth for webhooks)
@@ -87,6 +103,22 @@ router.post(
   paymentWebhookController
 );
 
+/**
+ * Mock gateway checkout (only registered when PAYMENT_GATEWAY=mock, never in production)
+ * GET  /api/payments/mock/:orderCode          - link info
+ * POST /api/payments/mock/:orderCode/simulate - body { outcome: paid | cancelled | expired } (staff/admin)
+ */
+if (isMockGateway()) {
+  router.get('/mock/:orderCode', generalLimiter, getMockPaymentLinkController);
+  router.post(
+    '/mock/:orderCode/simulate',
+    generalLimiter,
+    protect,
+    authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN),
+    simulateMockPaymentController
+  );
+}
+
 /**
  * GET /api/payments/history
  * Get payment history for customer
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getReconciliationReportsController,
+  getReconciliationReportController,
+  runReconciliationController,
+} from '../controllers/paymentReconciliation.controller.js';
+import { protect, authorize } from '../middlewares/auth.js';
+import { sanitizeInput } from '../middlewares/validate.js';
+import { generalLimiter } from '../middlewares/rateLimiter.js';
+import { USER_ROLES } from '../utils/constants.js';
+
+const router = express.Router();
+
+router.use(sanitizeInput);
+router.use(generalLimiter);
+router.use(protect);
+router.use(authorize(USER_ROLES.ADMIN));
+
+// Daily reports written by the payment reconciliation job
+router.get('/', getReconciliationReportsController);
+router.post('/run', runReconciliationController);
+router.get('/:date', getReconciliationReportController);
+
+export default router;
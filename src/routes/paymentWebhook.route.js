@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getPaymentWebhooksController,
+  getPaymentWebhookController,
+  replayPaymentWebhookController,
+} from '../controllers/paymentWebhook.controller.js';
+import { protect, authorize } from '../middlewares/auth.js';
+import { sanitizeInput, validateObjectId } from '../middlewares/validate.js';
+import { generalLimiter } from '../middlewares/rateLimiter.js';
+import { USER_ROLES } from '../utils/constants.js';
+
+const router = express.Router();
+
+router.use(sanitizeInput);
+router.use(generalLimiter);
+router.use(protect);
+router.use(authorize(USER_ROLES.ADMIN));
+
+// Inbox of every webhook received at /api/payments/webhook
+router.get('/', getPaymentWebhooksController);
+router.get('/:id', validateObjectId(), getPaymentWebhookController);
+router.post('/:id/replay', validateObjectId(), replayPaymentWebhookController);
+
+export default router;
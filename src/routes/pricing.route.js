@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getPriceQuoteController,
+  getBookingQuoteController,
+  getPricingRulesController,
+  createPricingRuleController,
+  updatePricingRuleController,
+  deletePricingRuleController,
+} from '../controllers/pricing.controller.js';
+import { protect, authorize, optionalProtect } from '../middlewares/auth.js';
+import { sanitizeInput, validateObjectId } from '../middlewares/validate.js';
+import { generalLimiter } from '../middlewares/rateLimiter.js';
+import { USER_ROLES } from '../utils/constants.js';
+
+const router = express.Router();
+
+router.use(sanitizeInput);
+router.use(generalLimiter);
+
+// Public: price breakdown before the customer commits
+router.get('/quote', getPriceQuoteController);
+// Full quote; signed-in customers also get their per-user promotion limits checked
+router.post('/quote', optionalProtect, getBookingQuoteController);
+
+// Staff / admin manage pricing rules
+router.get('/rules', protect, authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN), getPricingRulesController);
+router.post('/rules', protect, authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN), createPricingRuleController);
+router.put('/rules/:id', validateObjectId(), protect, authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN), updatePricingRuleController);
+router.delete('/rules/:id', validateObjectId(), protect, authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN), deletePricingRuleController);
+
+export default router;
@@ -6,7 +6,8 @@ import {
   getReportByIdController,
   updateReportController,
   deleteReportController,
-  createFinePaymentController
+  createFinePaymentController,
+  creditCompensationController
 } from '../controllers/report.controller.js';
 import { protect, authorize } from '../middlewares/auth.js';
 import { sanitizeInput, validateObjectId } from '../middlewares/validate.js';
@@ -34,6 +35,9 @@ router.get('/:id', validateObjectId(), getReportByIdController);
 // Create fine payment link (Staff/Admin only)
 router.post('/:id/payment', authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN), validateObjectId(), createFinePaymentController);
 
+// Credit the compensation to the reporter's wallet (Staff/Admin only)
+router.post('/:id/compensation/credit', authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN), validateObjectId(), creditCompensationController);
+
 // Update report (Staff/Admin only)
 router.patch('/:id', authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN), validateObjectId(), updateReportController);
 
@@ -5,6 +5,8 @@ import {
   getSchedule,
   updateSchedule,
   deleteSchedule,
+  bulkCancelSchedules,
+  bulkShiftSchedules,
 } from '../controllers/schedule.controller.js';
 import { protect, authorize } from '../middlewares/auth.js';
 import { sanitizeInput, validateObjectId } from '../middlewares/validate.js';
@@ -27,6 +29,8 @@ router.use(adminLimiter);
 router.use(authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN));
 
 router.post('/', createSchedule);
+router.post('/bulk/cancel', bulkCancelSchedules);
+router.post('/bulk/shift', bulkShiftSchedules);
 router.patch('/:id', validateObjectId(), updateSchedule);
 router.delete('/:id', validateObjectId(), deleteSchedule);
 
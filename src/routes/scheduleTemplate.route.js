@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  getScheduleTemplatesController,
+  getScheduleTemplateController,
+  createScheduleTemplateController,
+  updateScheduleTemplateController,
+  deleteScheduleTemplateController,
+  previewScheduleTemplateController,
+  applyScheduleTemplateController,
+} from '../controllers/scheduleTemplate.controller.js';
+import { protect, authorize } from '../middlewares/auth.js';
+import { sanitizeInput, validateObjectId } from '../middlewares/validate.js';
+import { generalLimiter, adminLimiter } from '../middlewares/rateLimiter.js';
+import { USER_ROLES } from '../utils/constants.js';
+
+const router = express.Router();
+
+router.use(sanitizeInput);
+router.use(generalLimiter);
+
+router.use(protect);
+router.use(adminLimiter);
+router.use(authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN));
+
+router.get('/', getScheduleTemplatesController);
+router.post('/', createScheduleTemplateController);
+router.get('/:id', validateObjectId(), getScheduleTemplateController);
+router.patch('/:id', validateObjectId(), updateScheduleTemplateController);
+router.delete('/:id', validateObjectId(), deleteScheduleTemplateController);
+router.post('/:id/preview', validateObjectId(), previewScheduleTemplateController);
+router.post('/:id/apply', validateObjectId(), applyScheduleTemplateController);
+
+export default router;
@@ -9,11 +9,11 @@ import {
   cancelOrderController,
   createPaymentController,
   createRemainingPaymentController,
-  paymentWebhookController,
   getPaymentStatusController,
   getOrderPaymentsController,
   createRefundRequestController,
 } from '../controllers/setDesignOrder.controller.js';
+import { paymentWebhookController } from '../controllers/payment.controller.js';
 import { protect, authorize } from '../middlewares/auth.js';
 import { sanitizeInput, validateObjectId } from '../middlewares/validate.js';
 import { generalLimiter } from '../middlewares/rateLimiter.js';
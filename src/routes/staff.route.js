@@ -4,8 +4,16 @@ import {
   updateProfile,
   uploadAvatar
 } from '../controllers/staff.controller.js';
+import {
+  getShiftsController,
+  getMyShiftsController,
+  createShiftController,
+  updateShiftController,
+  cancelShiftController,
+  getMyAssignmentsController,
+} from '../controllers/staffRoster.controller.js';
 import { protect, authorize } from '../middlewares/auth.js';
-import { sanitizeInput } from '../middlewares/validate.js';
+import { sanitizeInput, validateObjectId } from '../middlewares/validate.js';
 import { generalLimiter } from '../middlewares/rateLimiter.js';
 import { USER_ROLES } from '../utils/constants.js';
 import { upload, FILE_SIZE_LIMITS, ALLOWED_FILE_TYPES } from '../middlewares/upload.js';
@@ -23,4 +31,12 @@ router.get('/profile', getProfile);
 router.patch('/profile', updateProfile);
 router.post('/avatar', upload.single('avatar', ALLOWED_FILE_TYPES.IMAGES, FILE_SIZE_LIMITS.AVATAR), uploadAvatar);
 
+// Shift roster & booking assignments
+router.get('/assignments', getMyAssignmentsController);
+router.get('/shifts/me', getMyShiftsController);
+router.get('/shifts', getShiftsController);
+router.post('/shifts', authorize(USER_ROLES.ADMIN), createShiftController);
+router.patch('/shifts/:id', validateObjectId(), authorize(USER_ROLES.ADMIN), updateShiftController);
+router.delete('/shifts/:id', validateObjectId(), authorize(USER_ROLES.ADMIN), cancelShiftController);
+
 export default router;
\ No newline at end of file
@@ -18,6 +18,15 @@ import {
   getStudioBookedHistoryController,
   getStudiosBookedSchedulesController,
   getStudioAvailabilityController,
+  getStudioOpeningCalendarController,
+  updateOperatingHoursController,
+  addBlackoutController,
+  removeBlackoutController,
+  getMaintenanceWindowsController,
+  createMaintenanceWindowController,
+  getMaintenanceImpactController,
+  cancelMaintenanceWindowController,
+  resolveMaintenanceBookingController,
 } from '../controllers/studio.controller.js';
 import { protect, authorize, optionalProtect } from '../middlewares/auth.js';
 import { USER_ROLES } from '../utils/constants.js';
@@ -40,6 +49,7 @@ router.get('/:id/schedule/date/:date', validateObjectId(), searchLimiter, getStu
 // Public availability routes (no auth required)
 router.get('/availability', searchLimiter, getStudiosAvailabilityController);
 router.get('/:id/availability', validateObjectId(), searchLimiter, getStudioAvailabilityController);
+router.get('/:id/opening-hours', validateObjectId(), searchLimiter, getStudioOpeningCalendarController);
 
 // Protected booked history routes (require auth)
 router.get('/booked-schedules', protect, authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN), searchLimiter, getStudiosBookedSchedulesController);
@@ -61,6 +71,23 @@ router.patch('/:id/deactivate', validateObjectId(), deactivateStudio);
 router.patch('/:id/maintenance', validateObjectId(), setMaintenanceStudio);
 router.delete('/:id', validateObjectId(), deleteStudioController);
 
+// Operating hours & blackout periods
+router.put('/:id/operating-hours', validateObjectId(), updateOperatingHoursController);
+router.post('/:id/blackouts', validateObjectId(), addBlackoutController);
+router.delete('/:id/blackouts/:blackoutId', validateObjectId(), validateObjectId('blackoutId'), removeBlackoutController);
+
+// Maintenance windows: impact report and relocate / cancel decisions
+router.get('/:id/maintenance-windows', validateObjectId(), getMaintenanceWindowsController);
+router.post('/:id/maintenance-windows', validateObjectId(), createMaintenanceWindowController);
+router.get('/:id/maintenance-windows/:windowId/impact', validateObjectId(), validateObjectId('windowId'), getMaintenanceImpactController);
+router.delete('/:id/maintenance-windows/:windowId', validateObjectId(), validateObjectId('windowId'), cancelMaintenanceWindowController);
+router.post('/:id/maintenance-windows/:windowId/bookings/:bookingId/resolve',
+  validateObjectId(),
+  validateObjectId('windowId'),
+  validateObjectId('bookingId'),
+  resolveMaintenanceBookingController
+);
+
 // Upload studio media route
 router.post('/:id/media',
   validateObjectId(),
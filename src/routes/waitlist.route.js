@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  joinWaitlistController,
+  getMyWaitlistController,
+  leaveWaitlistController,
+  convertWaitlistOfferController,
+  getStudioWaitlistController,
+} from '../controllers/waitlist.controller.js';
+import { protect, authorize } from '../middlewares/auth.js';
+import { sanitizeInput, validateObjectId } from '../middlewares/validate.js';
+import { generalLimiter, userLimiter, bookingLimiter } from '../middlewares/rateLimiter.js';
+import { USER_ROLES } from '../utils/constants.js';
+
+const router = express.Router();
+
+router.use(sanitizeInput);
+router.use(generalLimiter);
+
+// All waitlist routes require authentication
+router.use(protect);
+router.use(userLimiter);
+
+// Customer routes
+router.post('/', authorize(USER_ROLES.CUSTOMER), joinWaitlistController);
+router.get('/me', authorize(USER_ROLES.CUSTOMER), getMyWaitlistController);
+router.post('/:id/convert', validateObjectId(), authorize(USER_ROLES.CUSTOMER), bookingLimiter, convertWaitlistOfferController);
+router.delete('/:id', validateObjectId(), authorize(USER_ROLES.CUSTOMER), leaveWaitlistController);
+
+// Staff/Admin routes
+router.get('/studio/:studioId', validateObjectId('studioId'), authorize(USER_ROLES.STAFF, USER_ROLES.ADMIN), getStudioWaitlistController);
+
+export default router;
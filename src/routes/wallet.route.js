@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getMyWalletController,
+  getMyWalletTransactionsController,
+  getWalletByUserController,
+  grantPromotionCreditController,
+} from '../controllers/wallet.controller.js';
+import { protect, authorize } from '../middlewares/auth.js';
+import { sanitizeInput, validateObjectId } from '../middlewares/validate.js';
+import { generalLimiter } from '../middlewares/rateLimiter.js';
+import { USER_ROLES } from '../utils/constants.js';
+
+const router = express.Router();
+
+router.use(sanitizeInput);
+router.use(generalLimiter);
+router.use(protect);
+
+// Ví của người dùng đang đăng nhập
+router.get('/me', getMyWalletController);
+router.get('/me/transactions', getMyWalletTransactionsController);
+
+// Admin: xem ví khách hàng, cộng tiền khuyến mãi
+router.get('/:userId', authorize(USER_ROLES.ADMIN), validateObjectId('userId'), getWalletByUserController);
+router.post('/:userId/credits', authorize(USER_ROLES.ADMIN), validateObjectId('userId'), grantPromotionCreditController);
+
+export default router;
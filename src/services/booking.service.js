@@ -1,22 +1,46 @@
 // #region Imports
-import { Booking, Schedule, BookingDetail, RoomPolicy, Payment } from '../models/index.js';
+import { Booking, Schedule, BookingDetail, RoomPolicy, Payment, BookingSeries, BookingGroup, WaitlistEntry, Refund } from '../models/index.js';
 import mongoose from 'mongoose';
 import { NotFoundError, ValidationError, ConflictError, UnauthorizedError } from '../utils/errors.js';
-import { BOOKING_STATUS, SCHEDULE_STATUS, USER_ROLES, PAYMENT_STATUS, BOOKING_EVENT_TYPE } from '../utils/constants.js';
-import { createSchedule as createScheduleService, markScheduleBooked as markScheduleBookedService, freeSchedule as freeScheduleService, cancelSchedule } from './schedule.service.js';
-import { createBookingDetails as createBookingDetailsService } from './bookingDetail.service.js';
-import { Studio, Promotion } from '../models/index.js';
-import { releaseEquipment } from './equipment.service.js';
+import { BOOKING_STATUS, SCHEDULE_STATUS, USER_ROLES, PAYMENT_STATUS, BOOKING_EVENT_TYPE, RECURRENCE_FREQUENCY, BOOKING_SERIES_STATUS, TIME_CONSTANTS, TARGET_MODEL, WAITLIST_STATUS, CHECK_IN_ACTOR } from '../utils/constants.js';
+import { createSchedule as createScheduleService, markScheduleBooked as markScheduleBookedService, freeSchedule as freeScheduleService, cancelSchedule, holdSchedule, clearScheduleHold, getStudioBuffers, studioBuffersOf, resolveScheduleBuffers, findBufferConflicts, describeBuffers, MAX_BUFFER_MINUTES } from './schedule.service.js';
+import { createBookingDetails as createBookingDetailsService, removeBookingDetails as removeBookingDetailsService } from './bookingDetail.service.js';
+import { assertStudioOpen, getHolidayMap, getOpenIntervals, getClosureReason } from './studioCalendar.service.js';
+import { Studio, Promotion, SetDesign, User } from '../models/index.js';
+import { checkEquipmentAvailability, refreshEquipmentSnapshot } from './equipment.service.js';
+import { assignEquipmentUnits, returnEquipmentUnits } from './equipmentUnit.service.js';
 import { createAndSendNotification } from './notification.service.js';
 import { NOTIFICATION_TYPE } from '../utils/constants.js';
 import RoomPolicyService from './roomPolicy.service.js';
-import { createPaymentOptions } from './payment.service.js';
+import { createPaymentOptions, getBookingPaidAmount, createPaymentForRemaining, createOvertimePayment } from './payment.service.js';
+import { getPaymentGateway } from './paymentGateway/index.js';
+import { validateAndApplyPromotion, incrementPromotionUsage } from './promotion.service.js';
+import { redeemPoints, earnPoints, notifyPointsEarned, restoreRedeemedPoints, notifyPointsRestored } from './loyalty.service.js';
+import { createRefundRequest } from './refund.service.js';
+import { refundPaymentToWallet } from './wallet.service.js';
 import { acquireLock, releaseLock } from '../utils/redisLock.js';
-import { sendNoShowEmail } from './email.service.js';
-import { formatDate, formatTime, formatDateISO } from '../utils/helpers.js';
+import { calculateStudioPrice, toPricingSnapshot, calculateOvertimeCharge } from './pricing.service.js';
+import { autoAssignStaff, assertAssignedStaff } from './staffRoster.service.js';
+import { sendNoShowEmail, sendBookingRescheduleEmail } from './email.service.js';
+import { buildBookingIcs } from './calendar.service.js';
+import { formatDate, formatTime, formatDateISO, formatDateTime } from '../utils/helpers.js';
 import logger from '../utils/logger.js';
 // #endregion
 
+// How long a new booking holds its schedule before payment (extended while a PayOS link is live)
+const SLOT_HOLD_MINUTES = Number(process.env.SLOT_HOLD_MINUTES || '10');
+// Series occurrences are paid one by one: each is held until this many hours before it starts
+const SERIES_PAYMENT_DEADLINE_HOURS = Number(process.env.SERIES_PAYMENT_DEADLINE_HOURS || '24');
+// Customers can change equipment / extra services until this many hours before the start
+const MODIFICATION_CUTOFF_HOURS = Number(process.env.BOOKING_MODIFICATION_CUTOFF_HOURS || '2');
+
+// When the checkout hold of a pending booking runs out (a series occurrence gets at least the normal hold)
+const holdExpiryFor = (startTime, isSeriesOccurrence = false) => {
+  const checkoutHold = Date.now() + SLOT_HOLD_MINUTES * 60 * 1000;
+  if (!isSeriesOccurrence) return new Date(checkoutHold);
+  return new Date(Math.max(checkoutHold, new Date(startTime).getTime() - SERIES_PAYMENT_DEADLINE_HOURS * 60 * 60 * 1000));
+};
+
 // #region Core CRUD Operations
 
 export const createBooking = async (data) => {
@@ -45,229 +69,37 @@ export const createBooking = async (data) => {
 
   const session = await mongoose.startSession();
   try {
-    let schedule = null;
     return await session.withTransaction(async () => {
-      // Begin transactional scope
-
-      // If scheduleId provided, use existing schedule
-      if (data.scheduleId) {
-        schedule = await Schedule.findById(data.scheduleId).session(session);
-      
-        if (!schedule) throw new NotFoundError('Lịch không tồn tại');
-        if (![SCHEDULE_STATUS.AVAILABLE, BOOKING_STATUS.PENDING].includes(schedule.status)) {
-          throw new ConflictError('Lịch không còn trống');
-        }
-      } else {
-        // Expect schedule details: studioId, startTime, endTime
-        const { studioId, startTime, endTime } = data;
-
-        const s = new Date(startTime);
-        const e = new Date(endTime);
-        if (!(e > s)) throw new ValidationError('Thời gian kết thúc phải lớn hơn thời gian bắt đầu');
-        // Pre-check for exact duplicate or overlapping schedules (respecting minimum gap)
-        const MIN_GAP_MS = 30 * 60 * 1000;
-
-        // Exact match
-        const exact = await Schedule.findOne({ 
-          studioId, 
-          startTime: s, 
-          endTime: e,
-          status: { $ne: SCHEDULE_STATUS.CANCELLED }
-        }).session(session);
-        if (exact) {
-          if (exact.status !== SCHEDULE_STATUS.AVAILABLE) {
-            throw new ConflictError('Lịch cùng thời gian đã tồn tại và không còn trống');
-          }
-          schedule = exact;
-        } else {
-          // Check overlapping or too-close schedules
-          const overlapping = await Schedule.findOne({
-            studioId,
-            startTime: { $lt: new Date(e.getTime() + MIN_GAP_MS) },
-            endTime: { $gt: new Date(s.getTime() - MIN_GAP_MS) },
-            status: { $ne: SCHEDULE_STATUS.CANCELLED }
-          }).session(session);
-
-          if (overlapping) {
-            // Check if it is AVAILABLE and a Superset (covers the request)
-            const isSuperset = overlapping.status === SCHEDULE_STATUS.AVAILABLE &&
-                               overlapping.startTime.getTime() <= s.getTime() &&
-                               overlapping.endTime.getTime() >= e.getTime();
-
-            if (isSuperset) {
-              // Dynamic Splitting Logic
-              const originalEndTime = new Date(overlapping.endTime.getTime());
-
-              // 1. Calculate Head (Original Start -> Request Start - Gap)
-              const headEnd = new Date(s.getTime() - MIN_GAP_MS);
-              
-              // 2. Calculate Tail (Request End + Gap -> Original End)
-              const tailStart = new Date(e.getTime() + MIN_GAP_MS);
-
-              // Update Existing Schedule (Head)
-              if (headEnd > overlapping.startTime) {
-                // If head exists, shrink overlapping to head
-                overlapping.endTime = headEnd;
-                // If shrinking makes it invalid (too short?), we should probably allow it or check min duration?
-                // For now, simple shrink.
-                await overlapping.save({ session });
-              } else {
-                 // Head is invalid (e.g. requested start is at or before original start + gap)
-                 // Actually if (headEnd <= startTime), the head is gone.
-                 // We should cancel/delete the overlapping schedule as it's being "consumed" or replaced.
-                 overlapping.status = SCHEDULE_STATUS.CANCELLED;
-                 await overlapping.save({ session });
-              }
-
-              // Create Tail Schedule if valid
-              if (tailStart < originalEndTime) {
-                 // Create new Available schedule for tail
-                 await Schedule.create([{
-                   studioId,
-                   startTime: tailStart,
-                   endTime: originalEndTime, 
-                   status: SCHEDULE_STATUS.AVAILABLE
-                 }], { session });
-              }
-              
-              // Proceed to create the NEW booking schedule below.
-            } else {
-              // If overlapping schedule exists (even if status available) we must reject to keep MIN_GAP
-              const conflictStart = new Date(overlapping.startTime).toLocaleString('vi-VN');
-              const conflictEnd = new Date(overlapping.endTime).toLocaleString('vi-VN');
-              throw new ConflictError(`Lịch bị trùng hoặc quá gần với lịch đã có (${conflictStart} - ${conflictEnd}). Khoảng cách tối thiểu 30 phút.`);
-            }
-          }
-
-          // If we are here (either no overlap, or handled splitting), create the schedule.
-          schedule = await createScheduleService({ studioId, startTime: s, endTime: e, status: SCHEDULE_STATUS.AVAILABLE }, session);
-        }
-      }
-
-      // Create booking
-      const bookingData = {
-        userId,
-        scheduleId: schedule._id,
-        totalBeforeDiscount: data.totalBeforeDiscount || 0,
-        discountAmount: data.discountAmount || 0,
-        finalAmount: data.finalAmount || 0,
-        promoId: data.promoId,
-        payType: data.payType,
-        notes: data.notes,
-        status: BOOKING_STATUS.PENDING,
-      };
-
-      const [bookingDoc] = await Booking.create([bookingData], { session });
-      const booking = bookingDoc;
-
-      // Mark schedule booked and link
-      await markScheduleBookedService(schedule._id, booking._id, session);
-
-      // Calculate duration early to use for booking details pricing
-      const durationMs = new Date(schedule.endTime).getTime() - new Date(schedule.startTime).getTime();
-      const hours = Math.round((durationMs / (1000 * 60 * 60)) * 100) / 100; // rounded to 2 decimals
-
-      // Create booking details if provided, and compute totals (details + base studio price)
-      let detailsTotal = 0;
-      if (Array.isArray(data.details) && data.details.length > 0) {
-        const { total } = await createBookingDetailsService(booking._id, data.details, session);
-        detailsTotal = total;
-      }
-
-      // Compute base price from studio and duration
-      const studio = await Studio.findById(schedule.studioId).session(session);
-      if (!studio) {
-        // rollback created resources
-        await Booking.findByIdAndDelete(booking._id);
-        try {
-          await freeScheduleService(schedule._id);
-        } catch (freeErr) {
-          logger.error('Failed to free schedule after studio not found', freeErr);
+      const booking = await reserveBookingInSession(data, session);
+
+      // Booked from a waitlist hold: the hold is converted in the same transaction, once
+      if (data.waitlistEntryId) {
+        const converted = await WaitlistEntry.findOneAndUpdate(
+          { _id: data.waitlistEntryId, userId, status: WAITLIST_STATUS.OFFERED, 'offer.expiresAt': { $gt: new Date() } },
+          { $set: { status: WAITLIST_STATUS.CONVERTED, bookingId: booking._id } },
+          { new: true, session }
+        );
+        if (!converted) {
+          throw new ConflictError('Yêu cầu chờ đã hết thời gian giữ chỗ hoặc đã được xử lý');
         }
-        throw new NotFoundError('Studio không tồn tại cho lịch này');
       }
 
-      // Get global default policies (company-wide policies)
-      const defaultCancellationPolicy = await RoomPolicy.findOne({
-        type: 'CANCELLATION',
-        category: 'STANDARD',
-        isActive: true
-      }).session(session);
-
-      const defaultNoShowPolicy = await RoomPolicy.findOne({
-        type: 'NO_SHOW',
-        category: 'STANDARD',
-        isActive: true
-      }).session(session);
-
-      if (!defaultCancellationPolicy || !defaultNoShowPolicy) {
-        // rollback created resources
-        await Booking.findByIdAndDelete(booking._id);
-        try {
-          await freeScheduleService(schedule._id);
-        } catch (freeErr) {
-          logger.error('Failed to free schedule during policy validation', freeErr);
-        }
-        throw new ValidationError('Chính sách mặc định chưa được cấu hình. Vui lòng chạy seedPolicies.js trước.');
-      }
-
-      // Create policy snapshots (immutable copy of global policies at booking time)
-      booking.policySnapshots = {
-        cancellation: {
-          _id: defaultCancellationPolicy._id,
-          name: defaultCancellationPolicy.name,
-          type: defaultCancellationPolicy.type,
-          category: defaultCancellationPolicy.category,
-          refundTiers: defaultCancellationPolicy.refundTiers,
-          isActive: defaultCancellationPolicy.isActive,
-          createdAt: defaultCancellationPolicy.createdAt
-        },
-        noShow: {
-          _id: defaultNoShowPolicy._id,
-          name: defaultNoShowPolicy.name,
-          type: defaultNoShowPolicy.type,
-          category: defaultNoShowPolicy.category,
-          noShowRules: defaultNoShowPolicy.noShowRules,
-          isActive: defaultNoShowPolicy.isActive,
-          createdAt: defaultNoShowPolicy.createdAt
-        }
-      };
-
-      // Initialize financials
-      booking.financials = {
-        originalAmount: 0,
-        refundAmount: 0,
-        chargeAmount: 0,
-        netAmount: 0
-      };
-
-      const baseTotal = (studio.basePricePerHour || 0) * hours;
-
-      const totalBeforeDiscount = Math.round((baseTotal + detailsTotal) * 100) / 100;
-
-      // Calculate discount: prefer promoId if provided and valid, otherwise use discountAmount from request
-      let discountAmount = 0;
-      if (data.promoId) {
-        const promo = await Promotion.findById(data.promoId);
-        if (promo && promo.isValid()) {
-          discountAmount = promo.calculateDiscount(totalBeforeDiscount);
-          // increment usage count and track totalDiscountedAmount for budget cap
-          promo.usageCount = (promo.usageCount || 0) + 1;
-          promo.totalDiscountedAmount = (promo.totalDiscountedAmount || 0) + discountAmount;
-          await promo.save();
-        } else {
-          // invalid promo -> ignore
-          discountAmount = 0;
-        }
-      } else {
-        discountAmount = data.discountAmount || 0;
+      // Loyalty points redeemed as an extra discount on this booking
+      if (data.redeemPoints) {
+        const redeemed = await redeemPoints({
+          userId,
+          points: data.redeemPoints,
+          amount: booking.finalAmount,
+          referenceModel: 'Booking',
+          referenceId: booking._id,
+          description: `Đổi điểm cho booking #${booking._id.toString().slice(-8)}`,
+        }, session);
+        booking.loyaltyPointsRedeemed = redeemed.points;
+        booking.loyaltyDiscount = redeemed.discountAmount;
+        booking.finalAmount = Math.max(0, booking.totalBeforeDiscount - booking.discountAmount - booking.loyaltyDiscount);
+        await booking.save({ session });
       }
 
-      booking.totalBeforeDiscount = totalBeforeDiscount;
-      booking.discountAmount = Math.round(discountAmount * 100) / 100;
-      booking.finalAmount = Math.max(0, booking.totalBeforeDiscount - booking.discountAmount);
-      await booking.save({ session });
-
       // Send notification to customer
       try {
         await createAndSendNotification(
@@ -383,6 +215,7 @@ export const getBookingById = async (id, userId = null, userRole = null) => {
       quantity: detail.quantity,
       pricePerUnit: detail.pricePerUnit,
       subtotal: detail.subtotal,
+      kit: detail.kit || null,
       equipment: detail.equipmentId ? {
         _id: detail.equipmentId._id,
         name: detail.equipmentId.name,
@@ -510,9 +343,24 @@ export const updateBooking = async (bookingId, updateData, actorId, actorRole) =
         const studio = await (await import('../models/index.js')).Studio.findById(schedule.studioId).session(session);
         if (!studio) throw new NotFoundError('Studio không tồn tại');
 
-        const durationMs = new Date(schedule.endTime).getTime() - new Date(schedule.startTime).getTime();
-        const hours = Math.round((durationMs / (1000 * 60 * 60)) * 100) / 100; // 2 decimals
-        const baseTotal = (studio.basePricePerHour || 0) * hours;
+        // New times are re-priced by the pricing rules (no last-minute discount on an existing booking);
+        // otherwise studio time keeps the price computed at booking time
+        let baseTotal;
+        if (updateData.startTime || updateData.endTime) {
+          const price = await calculateStudioPrice({
+            studio,
+            startTime: schedule.startTime,
+            endTime: schedule.endTime,
+            applyLastMinute: false,
+            session
+          });
+          booking.pricingSnapshot = toPricingSnapshot(price);
+          baseTotal = price.studioAmount;
+        } else {
+          const durationMs = new Date(schedule.endTime).getTime() - new Date(schedule.startTime).getTime();
+          const hours = Math.round((durationMs / (1000 * 60 * 60)) * 100) / 100; // 2 decimals
+          baseTotal = booking.pricingSnapshot?.studioAmount ?? (studio.basePricePerHour || 0) * hours;
+        }
 
         // Sum existing booking details remaining
         const details = await BookingDetail.find({ bookingId: booking._id }).session(session);
@@ -570,7 +418,7 @@ export const updateBooking = async (bookingId, updateData, actorId, actorRole) =
 
         booking.totalBeforeDiscount = totalBeforeDiscount;
         booking.discountAmount = Math.round(discountAmount * 100) / 100;
-        booking.finalAmount = Math.max(0, booking.totalBeforeDiscount - booking.discountAmount);
+        booking.finalAmount = Math.max(0, booking.totalBeforeDiscount - booking.discountAmount - (booking.loyaltyDiscount || 0));
 
         await booking.save({ session });
         return booking;
@@ -619,7 +467,9 @@ export const updateBooking = async (bookingId, updateData, actorId, actorRole) =
 
   const durationMs = new Date(schedule.endTime).getTime() - new Date(schedule.startTime).getTime();
   const hours = Math.round((durationMs / (1000 * 60 * 60)) * 100) / 100; // 2 decimals
-  const baseTotal = (studio.basePricePerHour || 0) * hours;
+  // Times are unchanged on this path (time changes go through the transaction above and are re-priced),
+  // so studio time keeps the price computed by the pricing rules at booking time
+  const baseTotal = booking.pricingSnapshot?.studioAmount ?? (studio.basePricePerHour || 0) * hours;
 
   // Sum existing booking details remaining
   const details = await BookingDetail.find({ bookingId: booking._id });
@@ -683,17 +533,25 @@ export const updateBooking = async (bookingId, updateData, actorId, actorRole) =
 
   booking.totalBeforeDiscount = totalBeforeDiscount;
   booking.discountAmount = Math.round(discountAmount * 100) / 100;
-  booking.finalAmount = Math.max(0, booking.totalBeforeDiscount - booking.discountAmount);
+  booking.finalAmount = Math.max(0, booking.totalBeforeDiscount - booking.discountAmount - (booking.loyaltyDiscount || 0));
 
   await booking.save();
 
   return booking;
 };
 
-export const cancelBooking = async (bookingId) => {
+/**
+ * Cancel a booking; the refund follows the cancellation policy snapshot.
+ * @param {Object} options - { studioInitiated, reason } studio-initiated cancellations refund everything paid
+ */
+export const cancelBooking = async (bookingId, options = {}) => {
   const session = await mongoose.startSession();
+  const cancelReason = options.studioInitiated ? 'Booking cancelled by studio' : 'Booking cancelled by user';
+  let cancelledBooking;
+  let restoredPoints = null;
+  let cancelledLinks = [];
   try {
-    return await session.withTransaction(async () => {
+    cancelledBooking = await session.withTransaction(async () => {
       const booking = await Booking.findById(bookingId).session(session);
       if (!booking) throw new NotFoundError('Booking không tồn tại');
 
@@ -704,24 +562,22 @@ export const cancelBooking = async (bookingId) => {
       // Calculate refund using policy snapshot
       // IMPORTANT: Refund should be based on ACTUAL PAID amount, not finalAmount
       let refundResult = null;
-      if (booking.policySnapshots?.cancellation && booking.scheduleId) {
+      if ((booking.policySnapshots?.cancellation || options.studioInitiated) && booking.scheduleId) {
         try {
           const schedule = await Schedule.findById(booking.scheduleId).session(session);
           
           // Get total paid amount from Payment records
-          const paidPayments = await Payment.find({
-            bookingId: booking._id,
-            status: PAYMENT_STATUS.PAID
-          }).select('amount').session(session);
-          const totalPaid = paidPayments.reduce((sum, p) => sum + p.amount, 0);
+          const totalPaid = await getBookingPaidAmount(booking, session);
           
           // Calculate refund based on PAID amount, not booking total
-          refundResult = RoomPolicyService.calculateRefund(
-            booking.policySnapshots.cancellation,
-            new Date(schedule.startTime),
-            new Date(), // cancellation time = now
-            totalPaid   // Use actual paid amount instead of finalAmount
-          );
+          refundResult = options.studioInitiated
+            ? { refundAmount: totalPaid, refundPercentage: 100, tier: 'STUDIO_CANCELLED', hoursBeforeBooking: null }
+            : RoomPolicyService.calculateRefund(
+              booking.policySnapshots.cancellation,
+              new Date(schedule.startTime),
+              new Date(), // cancellation time = now
+              totalPaid   // Use actual paid amount instead of finalAmount
+            );
 
           // Update financials
           booking.financials.originalAmount = booking.finalAmount;
@@ -737,7 +593,8 @@ export const cancelBooking = async (bookingId) => {
               totalPaid,
               refundPercentage: refundResult.refundPercentage,
               tier: refundResult.tier,
-              hoursBeforeBooking: refundResult.hoursBeforeBooking
+              hoursBeforeBooking: refundResult.hoursBeforeBooking,
+              ...(options.studioInitiated ? { studioInitiated: true, reason: options.reason || null } : {})
             },
             amount: refundResult.refundAmount
           });
@@ -752,45 +609,9 @@ export const cancelBooking = async (bookingId) => {
 
       // Cancel all pending payments for this booking
       try {
-        const pendingPayments = await Payment.find({
-          bookingId: booking._id,
-          status: PAYMENT_STATUS.PENDING
-        }).session(session);
-
-        // Import PayOS once outside the loop for better performance
-        let payosClient = null;
-        try {
-          const payosModule = await import('../config/payos.js');
-          payosClient = payosModule.default;
-        } catch (importErr) {
-          logger.warn('Failed to import PayOS module', { error: importErr.message });
-        }
-
-        for (const payment of pendingPayments) {
-          payment.status = PAYMENT_STATUS.CANCELLED;
-          payment.gatewayResponse = {
-            ...payment.gatewayResponse,
-            cancelledAt: new Date(),
-            cancelReason: 'Booking cancelled by user'
-          };
-          await payment.save({ session });
-
-          // Cancel payment link with PayOS (best-effort, don't block if fails)
-          if (payosClient && typeof payosClient.cancelPaymentLink === 'function') {
-            try {
-              await payosClient.cancelPaymentLink(Number(payment.transactionId), 'Booking cancelled');
-            } catch (payosErr) {
-              logger.warn('Failed to cancel PayOS payment link', {
-                paymentId: payment._id,
-                transactionId: payment.transactionId,
-                error: payosErr.message
-              });
-            }
-          }
-        }
-
-        if (pendingPayments.length > 0) {
-          logger.info(`Cancelled ${pendingPayments.length} pending payment(s) for booking ${bookingId}`);
+        cancelledLinks = await cancelPendingPayments({ bookingId: booking._id }, cancelReason, session);
+        if (cancelledLinks.length > 0) {
+          logger.info(`Cancelled ${cancelledLinks.length} pending payment(s) for booking ${bookingId}`);
         }
       } catch (paymentCancelErr) {
         // Log but don't block booking cancellation
@@ -811,20 +632,13 @@ export const cancelBooking = async (bookingId) => {
           throw cancelErr;
         }
 
-        // Release reserved equipment from booking details (if any)
-        try {
-          const details = await BookingDetail.find({ bookingId: booking._id, detailType: 'equipment' }).session(session);
-          for (const d of details) {
-            try {
-              await releaseEquipment(d.equipmentId, d.quantity, session);
-            } catch (releaseErr) {
-              // Log and continue; do not block cancellation if release fails
-                  logger.error('Failed to release equipment on cancellation', releaseErr);
-            }
-          }
-        } catch (err) {
-          logger.error('Failed to query booking details for release', err);
-        }
+        // The booking no longer holds its equipment; refresh the counters
+        await releaseBookingEquipment(booking._id, session);
+      }
+
+      // Points redeemed on this booking go back to the customer, whether or not anything is refunded
+      if (booking.loyaltyPointsRedeemed > 0) {
+        restoredPoints = await restoreRedeemedPoints({ referenceModel: 'Booking', referenceId: booking._id }, session);
       }
 
       return booking;
@@ -832,18 +646,44 @@ export const cancelBooking = async (bookingId) => {
   } finally {
     session.endSession();
   }
+
+  await cancelGatewayLinks(cancelledLinks, cancelReason);
+  await notifyPointsRestored(restoredPoints);
+
+  // Offer the released slot to the waitlist once the cancellation is committed
+  await releaseSlotToWaitlist(cancelledBooking.scheduleId);
+
+  return cancelledBooking;
 };
 
 // #endregion
 
 // #region Workflow Actions
 
+// Confirmed bookings get an on-duty staff member (best-effort, never blocks confirmation)
+export const assignOnDutyStaff = async (bookingId, io = null) => {
+  try {
+    return await autoAssignStaff(bookingId, { io });
+  } catch (err) {
+    logger.error(`Failed to auto-assign staff to booking ${bookingId}`, err);
+    return null;
+  }
+};
+
 export const confirmBooking = async (bookingId) => {
   const booking = await Booking.findById(bookingId);
   if (!booking) throw new NotFoundError('Booking không tồn tại');
+  const wasConfirmed = booking.status === BOOKING_STATUS.CONFIRMED;
   booking.status = BOOKING_STATUS.CONFIRMED;
   await booking.save();
 
+  // Confirmation email carries the signed check-in QR for the kiosk
+  if (!wasConfirmed) {
+    const { sendCheckInPass } = await import('./checkIn.service.js');
+    await sendCheckInPass(booking._id);
+    await assignOnDutyStaff(booking._id);
+  }
+
   // Send notification to customer
   try {
     await createAndSendNotification(
@@ -863,13 +703,16 @@ export const confirmBooking = async (bookingId) => {
 };
 
 /**
- * Check-in booking (only staff should call controller-layer)
+ * Check-in booking (staff via controller-layer, customers via the QR kiosk)
  * Preconditions:
  * - Booking must exist
  * - At least 30% of finalAmount must be completed (paid)
  * - Idempotent: if already checked-in, return booking
+ * - Staff can only check in bookings assigned to them (or unassigned); admins any booking
+ * @param {Object} options - { actor: CHECK_IN_ACTOR, actorRole, units } actor is recorded on the CHECK_IN event;
+ *   units: [{ unitId, conditionGrade?, notes?, photos? }] serialized equipment units handed over at check-in
  */
-export const checkInBooking = async (bookingId, actorId = null) => {
+export const checkInBooking = async (bookingId, actorId = null, options = {}) => {
   const session = await mongoose.startSession();
   try {
     return await session.withTransaction(async () => {
@@ -877,10 +720,12 @@ export const checkInBooking = async (bookingId, actorId = null) => {
       if (!booking) throw new NotFoundError('Booking không tồn tại');
 
       // If already checked-in, return (idempotent)
-      if (booking.checkInAt) {
+      if (booking.status === BOOKING_STATUS.CHECKED_IN) {
         return booking;
       }
 
+      assertAssignedStaff(booking, actorId, options.actorRole);
+
       // Validate booking status - only CONFIRMED bookings can check-in
       if (booking.status !== BOOKING_STATUS.CONFIRMED) {
         throw new ValidationError(`Chỉ booking đã xác nhận mới có thể check-in. Trạng thái hiện tại: ${booking.status}`);
@@ -911,12 +756,7 @@ export const checkInBooking = async (bookingId, actorId = null) => {
       }
 
       // Ensure sufficient payment (>=30%)
-      const paidPayments = await Payment.find({
-        $or: [{ targetId: booking._id }, { bookingId: booking._id }],
-        status: PAYMENT_STATUS.PAID
-      }).select('amount').session(session);
-
-      const totalPaid = paidPayments.reduce((sum, payment) => sum + payment.amount, 0);
+      const totalPaid = await getBookingPaidAmount(booking, session);
       const required = Math.round(booking.finalAmount * 0.3);
       if (totalPaid < required) {
         throw new ValidationError('Cần thanh toán tối thiểu 30% trước khi check-in');
@@ -927,10 +767,19 @@ export const checkInBooking = async (bookingId, actorId = null) => {
       booking.status = BOOKING_STATUS.CHECKED_IN;
       // record event
       booking.events = booking.events || [];
-      booking.events.push({ type: 'CHECK_IN', timestamp: now, actorId });
+      booking.events.push({
+        type: 'CHECK_IN',
+        timestamp: now,
+        actorId,
+        details: { actorId, actor: options.actor || CHECK_IN_ACTOR.STAFF }
+      });
 
       await booking.save({ session });
 
+      if (Array.isArray(options.units) && options.units.length > 0) {
+        await assignEquipmentUnits({ targetModel: TARGET_MODEL.BOOKING, targetId: booking._id, units: options.units }, actorId, session);
+      }
+
       // Optionally mark schedule as in-use (delegated to schedule service if exists)
       try {
         const { markScheduleInUse } = await import('./schedule.service.js');
@@ -965,37 +814,78 @@ export const checkInBooking = async (bookingId, actorId = null) => {
 };
 
 /**
- * Check-out booking (only staff should call controller-layer)
+ * Overrun of a late check-out: the studio's overtime charge plus the bookings
+ * whose window (buffers included) the overrun ran into
+ * @returns {Object|null} - { minutes, billedMinutes, ratePerHour, amount, conflictBookings } or null when on time
+ */
+const assessOvertime = async (booking, checkOutAt, session) => {
+  const schedule = await Schedule.findById(booking.scheduleId).session(session);
+  if (!schedule || checkOutAt <= new Date(schedule.endTime)) return null;
+
+  const studio = await Studio.findById(schedule.studioId)
+    .select('basePricePerHour overtimeRatePerHour overtimeRoundingMinutes overtimeGraceMinutes bufferBeforeMinutes bufferAfterMinutes')
+    .session(session)
+    .lean();
+  const charge = calculateOvertimeCharge(studio, schedule.endTime, checkOutAt);
+
+  const studioBuffers = studioBuffersOf(studio);
+  const ownBuffers = resolveScheduleBuffers(schedule, studioBuffers);
+  const conflicts = await findBufferConflicts({
+    studioId: schedule.studioId,
+    startTime: schedule.endTime,
+    endTime: checkOutAt,
+    buffers: { before: 0, after: ownBuffers.after },
+    studioBuffers,
+    excludeId: schedule._id,
+    session
+  });
+  const bookedScheduleIds = conflicts.filter(c => c.status === SCHEDULE_STATUS.BOOKED).map(c => c._id);
+  const conflictBookings = bookedScheduleIds.length > 0
+    ? await Booking.find({
+      scheduleId: { $in: bookedScheduleIds },
+      status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.CHECKED_IN] }
+    }).select('_id userId scheduleId').session(session).lean()
+    : [];
+
+  return { ...charge, scheduledEnd: schedule.endTime, conflictBookings };
+};
+
+/**
+ * Check-out booking (staff via controller-layer, customers via the QR kiosk)
  * Preconditions:
  * - Booking must exist
  * - If already checked-out, idempotent return
  * - On checkout, release equipment and mark schedule free/completed
+ * - Late check-out past the studio's grace period adds an overtime charge (CHARGE_APPLIED)
+ *   to finalAmount, paid through its own PayOS link created after commit
+ * @param {Object} options - { actor: CHECK_IN_ACTOR, actorRole, units } actor is recorded on the CHECK_OUT event;
+ *   units: [{ unitId, conditionGrade?, notes?, photos? }] equipment units taken back with their condition
+ *   (units not listed stay assigned until staff records their return)
  */
-export const checkOutBooking = async (bookingId, actorId = null) => {
+export const checkOutBooking = async (bookingId, actorId = null, options = {}) => {
   const session = await mongoose.startSession();
   let updatedBooking = null;
+  let earnedPoints = null;
 
   try {
     updatedBooking = await session.withTransaction(async () => {
       const booking = await Booking.findById(bookingId).session(session);
       if (!booking) throw new NotFoundError('Booking không tồn tại');
 
-      if (booking.checkOutAt) {
+      // Already checked out (repeat kiosk scan): return (idempotent)
+      if (booking.status === BOOKING_STATUS.COMPLETED) {
         return booking;
       }
 
+      assertAssignedStaff(booking, actorId, options.actorRole);
+
       // Validate booking must be checked-in first
       if (booking.status !== BOOKING_STATUS.CHECKED_IN) {
         throw new ValidationError(`Booking cần được check-in trước khi check-out. Trạng thái hiện tại: ${booking.status}`);
       }
 
       // Validate full payment before checkout
-      const paidPayments = await Payment.find({
-        $or: [{ targetId: booking._id }, { bookingId: booking._id }],
-        status: PAYMENT_STATUS.PAID
-      }).select('amount').session(session);
-
-      const totalPaid = paidPayments.reduce((sum, p) => sum + p.amount, 0);
+      const totalPaid = await getBookingPaidAmount(booking, session);
       if (totalPaid < booking.finalAmount) {
         const remaining = booking.finalAmount - totalPaid;
         throw new ValidationError(`Cần thanh toán đủ 100% trước khi check-out. Còn thiếu ${remaining.toLocaleString()} VND`);
@@ -1003,39 +893,70 @@ export const checkOutBooking = async (bookingId, actorId = null) => {
 
       booking.checkOutAt = new Date();
 
+      // Late check-out: bill the overrun and flag the bookings it ran into
+      const overtime = await assessOvertime(booking, booking.checkOutAt, session);
+      if (overtime && (overtime.amount > 0 || overtime.conflictBookings.length > 0)) {
+        const conflictBookingIds = overtime.conflictBookings.map(b => b._id);
+        booking.overtime = {
+          minutes: overtime.minutes,
+          billedMinutes: overtime.billedMinutes,
+          ratePerHour: overtime.ratePerHour,
+          amount: overtime.amount,
+          conflictBookingIds
+        };
+        if (overtime.amount > 0) {
+          booking.totalBeforeDiscount += overtime.amount;
+          booking.finalAmount += overtime.amount;
+          booking.financials.chargeAmount = (booking.financials.chargeAmount || 0) + overtime.amount;
+        }
+        booking.events = booking.events || [];
+        booking.events.push({
+          type: BOOKING_EVENT_TYPE.CHARGE_APPLIED,
+          timestamp: booking.checkOutAt,
+          details: {
+            reason: 'overtime',
+            scheduledEnd: overtime.scheduledEnd,
+            checkOutAt: booking.checkOutAt,
+            minutes: overtime.minutes,
+            billedMinutes: overtime.billedMinutes,
+            ratePerHour: overtime.ratePerHour,
+            conflictBookingIds
+          },
+          amount: overtime.amount
+        });
+        if (conflictBookingIds.length > 0) {
+          logger.warn(`Booking ${booking._id} checked out ${overtime.minutes} minutes late and ran into booking(s) ${conflictBookingIds.join(', ')}`);
+        }
+      }
+
       // If wasn't confirmed, mark as completed
       booking.status = BOOKING_STATUS.COMPLETED;
       booking.events = booking.events || [];
-      booking.events.push({ type: 'CHECK_OUT', timestamp: new Date(), actorId });
+      booking.events.push({
+        type: 'CHECK_OUT',
+        timestamp: new Date(),
+        actorId,
+        details: { actorId, actor: options.actor || CHECK_IN_ACTOR.STAFF }
+      });
 
       await booking.save({ session });
 
-      // Release equipment reserved in booking details
-      try {
-        const BookingDetail = (await import('../models/Booking/bookingDetail.model.js')).default;
-        const details = await BookingDetail.find({ bookingId: booking._id, detailType: 'equipment' }).session(session);
-        
-        if (details.length > 0) {
-          const { releaseEquipment } = await import('./equipment.service.js');
-          
-          // Use Promise.allSettled to track all results
-          const results = await Promise.allSettled(details.map(d => 
-            releaseEquipment(d.equipmentId, d.quantity, session)
-          ));
-
-          // Log summary of failures
-          const failedReleases = results
-            .map((r, index) => r.status === 'rejected' ? { id: details[index].equipmentId, reason: r.reason } : null)
-            .filter(item => item !== null);
-
-          if (failedReleases.length > 0) {
-            logger.error(`Failed to release equipment for booking ${booking._id}. Failures:`, failedReleases);
-          }
-        }
-      } catch (e) {
-        logger.error('Error during equipment release preparation (import or DB query)', e);
+      // Loyalty points for what was paid before check-out (overtime is billed separately)
+      earnedPoints = await earnPoints({
+        userId: booking.userId,
+        amount: totalPaid,
+        referenceModel: 'Booking',
+        referenceId: booking._id,
+        description: `Hoàn thành booking #${booking._id.toString().slice(-8)}`,
+      }, session);
+
+      if (Array.isArray(options.units) && options.units.length > 0) {
+        await returnEquipmentUnits({ targetModel: TARGET_MODEL.BOOKING, targetId: booking._id, units: options.units }, actorId, session);
       }
 
+      // Equipment of a completed booking is free again
+      await releaseBookingEquipment(booking._id, session);
+
       // Optionally free schedule (delegate)
       try {
         const { freeSchedule } = await import('./schedule.service.js');
@@ -1052,15 +973,34 @@ export const checkOutBooking = async (bookingId, actorId = null) => {
     session.endSession();
   }
 
+  // Remaining time of a freed slot goes to the waitlist
+  if (updatedBooking) {
+    await releaseSlotToWaitlist(updatedBooking.scheduleId);
+  }
+  await notifyPointsEarned(earnedPoints);
+
+  // Overtime is paid through its own link (failure leaves it in the customer's unpaid overtime)
+  let overtimePayment = null;
+  if (updatedBooking?.overtime?.amount > 0 && !updatedBooking.overtime.paidAt) {
+    try {
+      overtimePayment = await createOvertimePayment(updatedBooking._id, { actorId });
+    } catch (paymentErr) {
+      logger.error(`Failed to create overtime payment for booking ${updatedBooking._id}`, paymentErr);
+    }
+  }
+
   // Send notification outside transaction to avoid holding lock
   if (updatedBooking) {
     try {
       const { createAndSendNotification } = await import('./notification.service.js');
+      const overtimeText = updatedBooking.overtime?.amount > 0
+        ? ` Phí quá giờ ${updatedBooking.overtime.billedMinutes} phút: ${updatedBooking.overtime.amount.toLocaleString('vi-VN')} VND${overtimePayment?.qrCodeUrl ? `. Link thanh toán: ${overtimePayment.qrCodeUrl}` : ''}.`
+        : '';
       await createAndSendNotification(
         updatedBooking.userId,
         NOTIFICATION_TYPE.SUCCESS,
         'Bạn đã check-out thành công',
-        `Booking ${updatedBooking._id} đã check-out lúc ${new Date(updatedBooking.checkOutAt).toLocaleTimeString('vi-VN')}`,
+        `Booking ${updatedBooking._id} đã check-out lúc ${new Date(updatedBooking.checkOutAt).toLocaleTimeString('vi-VN')}.${overtimeText}`,
         true,
         null,
         updatedBooking._id
@@ -1240,6 +1180,413 @@ export const getBookingsForStaff = async ({ page = 1, limit = 20, status, startD
 
 // #region Helper Functions
 
+/**
+ * Buffers of a new booking: studio defaults plus build/strike time of a chosen set design
+ */
+const resolveBookingBuffers = async (studioId, setDesignId, session = null, minBuffers = null) => {
+  const studioBuffers = await getStudioBuffers(studioId, session);
+  const atLeast = (buffers) => (minBuffers ? {
+    before: Math.max(buffers.before, minBuffers.before),
+    after: Math.max(buffers.after, minBuffers.after)
+  } : buffers);
+  if (!setDesignId) return { studioBuffers, buffers: atLeast(studioBuffers) };
+
+  const setDesign = await SetDesign.findById(setDesignId).select('setupMinutes teardownMinutes isActive').session(session);
+  if (!setDesign || !setDesign.isActive) throw new NotFoundError('Set design không tồn tại');
+
+  return {
+    studioBuffers,
+    buffers: atLeast({
+      before: Math.min(MAX_BUFFER_MINUTES, studioBuffers.before + (setDesign.setupMinutes || 0)),
+      after: Math.min(MAX_BUFFER_MINUTES, studioBuffers.after + (setDesign.teardownMinutes || 0))
+    })
+  };
+};
+
+const bufferConflictError = (conflict, buffers) => {
+  const conflictStart = new Date(conflict.startTime).toLocaleString('vi-VN');
+  const conflictEnd = new Date(conflict.endTime).toLocaleString('vi-VN');
+  return new ConflictError(`Lịch bị trùng hoặc quá gần với lịch đã có (${conflictStart} - ${conflictEnd}). Cần chừa ${describeBuffers(buffers)}.`);
+};
+
+/**
+ * Find or create the AVAILABLE schedule for a booking window inside an existing transaction:
+ * checks opening hours, pre/post buffers, superset-splitting and waitlist holds.
+ * Optional data.setDesignId adds the set design's build/strike time to the studio buffers;
+ * data.minBuffers keeps at least the given buffers (reschedule carries them over).
+ * @returns {Object} { schedule, buffers, studioBuffers }
+ */
+const acquireScheduleInSession = async (data, session) => {
+  const { userId } = data;
+  let schedule = null;
+
+  let studioBuffers;
+  let buffers;
+
+  // If scheduleId provided, use existing schedule
+  if (data.scheduleId) {
+    schedule = await Schedule.findById(data.scheduleId).session(session);
+  
+    if (!schedule) throw new NotFoundError('Lịch không tồn tại');
+    if (![SCHEDULE_STATUS.AVAILABLE, BOOKING_STATUS.PENDING].includes(schedule.status)) {
+      throw new ConflictError('Lịch không còn trống');
+    }
+    // Hours / blackouts may have changed since the slot was published
+    await assertStudioOpen(schedule.studioId, schedule.startTime, schedule.endTime, session);
+
+    // A published slot fits the studio defaults; a set design may need more room around it
+    ({ studioBuffers, buffers } = await resolveBookingBuffers(schedule.studioId, data.setDesignId, session, data.minBuffers));
+    const [conflict] = await findBufferConflicts({
+      studioId: schedule.studioId,
+      startTime: schedule.startTime,
+      endTime: schedule.endTime,
+      buffers,
+      studioBuffers,
+      excludeId: schedule._id,
+      session
+    });
+    if (conflict) throw bufferConflictError(conflict, buffers);
+  } else {
+    // Expect schedule details: studioId, startTime, endTime
+    const { studioId, startTime, endTime } = data;
+
+    const s = new Date(startTime);
+    const e = new Date(endTime);
+    if (!(e > s)) throw new ValidationError('Thời gian kết thúc phải lớn hơn thời gian bắt đầu');
+    await assertStudioOpen(studioId, s, e, session);
+
+    // Pre-check for exact duplicate or overlapping schedules (respecting pre/post buffers)
+    ({ studioBuffers, buffers } = await resolveBookingBuffers(studioId, data.setDesignId, session, data.minBuffers));
+    const conflicts = await findBufferConflicts({ studioId, startTime: s, endTime: e, buffers, studioBuffers, session });
+
+    // Exact match
+    const exact = conflicts.find(sch => sch.startTime.getTime() === s.getTime() && sch.endTime.getTime() === e.getTime());
+    if (exact) {
+      if (exact.status !== SCHEDULE_STATUS.AVAILABLE) {
+        throw new ConflictError('Lịch cùng thời gian đã tồn tại và không còn trống');
+      }
+      const other = conflicts.find(sch => sch !== exact);
+      if (other) throw bufferConflictError(other, buffers);
+      schedule = exact;
+    } else {
+      // An AVAILABLE schedule covering the request gets split; anything else too close is a conflict
+      const overlapping = conflicts.find(sch => sch.status === SCHEDULE_STATUS.AVAILABLE &&
+                                               sch.startTime.getTime() <= s.getTime() &&
+                                               sch.endTime.getTime() >= e.getTime());
+      const blocking = conflicts.find(sch => sch !== overlapping);
+      if (blocking) throw bufferConflictError(blocking, buffers);
+
+      if (overlapping) {
+        // Dynamic Splitting Logic
+        const originalEndTime = new Date(overlapping.endTime.getTime());
+        const remainderBuffers = resolveScheduleBuffers(overlapping, studioBuffers);
+
+        // 1. Calculate Head (Original Start -> Request Start - our setup - head cleanup)
+        const headEnd = new Date(s.getTime() - (buffers.before + remainderBuffers.after) * 60 * 1000);
+        
+        // 2. Calculate Tail (Request End + our cleanup + tail setup -> Original End)
+        const tailStart = new Date(e.getTime() + (buffers.after + remainderBuffers.before) * 60 * 1000);
+
+        // Update Existing Schedule (Head)
+        if (headEnd > overlapping.startTime) {
+          // If head exists, shrink overlapping to head
+          overlapping.endTime = headEnd;
+          // If shrinking makes it invalid (too short?), we should probably allow it or check min duration?
+          // For now, simple shrink.
+          await overlapping.save({ session });
+        } else {
+           // Head is invalid (e.g. requested start is at or before original start + buffers)
+           // Actually if (headEnd <= startTime), the head is gone.
+           // We should cancel/delete the overlapping schedule as it's being "consumed" or replaced.
+           overlapping.status = SCHEDULE_STATUS.CANCELLED;
+           await overlapping.save({ session });
+        }
+
+        // Create Tail Schedule if valid
+        if (tailStart < originalEndTime) {
+           // Create new Available schedule for tail
+           await Schedule.create([{
+             studioId,
+             startTime: tailStart,
+             endTime: originalEndTime, 
+             status: SCHEDULE_STATUS.AVAILABLE
+           }], { session });
+        }
+        
+        // Proceed to create the NEW booking schedule below.
+      }
+
+      // If we are here (either no overlap, or handled splitting), create the schedule.
+      schedule = await createScheduleService({
+        studioId,
+        startTime: s,
+        endTime: e,
+        status: SCHEDULE_STATUS.AVAILABLE,
+        bufferBeforeMinutes: buffers.before,
+        bufferAfterMinutes: buffers.after
+      }, session);
+    }
+  }
+
+  // Slots held for another waitlisted customer cannot be taken until the hold expires
+  const activeHold = await WaitlistEntry.findOne({
+    studioId: schedule.studioId,
+    status: WAITLIST_STATUS.OFFERED,
+    'offer.expiresAt': { $gt: new Date() },
+    userId: { $ne: userId },
+    startTime: { $lt: new Date(new Date(schedule.endTime).getTime() + (buffers.after + studioBuffers.before) * 60 * 1000) },
+    endTime: { $gt: new Date(new Date(schedule.startTime).getTime() - (buffers.before + studioBuffers.after) * 60 * 1000) }
+  }).session(session);
+  if (activeHold) {
+    throw new ConflictError(`Khung giờ đang được giữ cho khách trong danh sách chờ đến ${formatDateTime(activeHold.offer.expiresAt)}`);
+  }
+
+  return { schedule, buffers, studioBuffers };
+};
+
+/**
+ * Reserve the schedule slot and create a booking inside an existing transaction.
+ * Shared by createBooking and recurring series so both apply the same pre/post buffers,
+ * superset-splitting, pricing and policy snapshot rules.
+ */
+const reserveBookingInSession = async (data, session) => {
+  const { userId } = data;
+  const { schedule, buffers } = await acquireScheduleInSession(data, session);
+
+  // Create booking
+  const bookingData = {
+    userId,
+    scheduleId: schedule._id,
+    totalBeforeDiscount: data.totalBeforeDiscount || 0,
+    discountAmount: data.discountAmount || 0,
+    finalAmount: data.finalAmount || 0,
+    promoId: data.promoId,
+    payType: data.payType,
+    notes: data.notes,
+    seriesId: data.seriesId || null,
+    groupId: data.groupId || null,
+    status: BOOKING_STATUS.PENDING,
+  };
+
+  const [bookingDoc] = await Booking.create([bookingData], { session });
+  const booking = bookingDoc;
+
+  // Mark schedule booked and link; buffers are fixed at booking time
+  await markScheduleBookedService(schedule._id, booking._id, session);
+  await Schedule.updateOne(
+    { _id: schedule._id },
+    { bufferBeforeMinutes: buffers.before, bufferAfterMinutes: buffers.after },
+    { session }
+  );
+
+  // Hold the slot for checkout; series occurrences are paid one by one, each until its payment deadline
+  await holdSchedule(schedule._id, holdExpiryFor(schedule.startTime, Boolean(data.seriesId)), session);
+
+  // Create booking details if provided, and compute totals (details + base studio price)
+  let detailsTotal = 0;
+  if (Array.isArray(data.details) && data.details.length > 0) {
+    const { total } = await createBookingDetailsService(booking._id, data.details, session);
+    detailsTotal = total;
+  }
+
+  // Compute base price from studio and duration
+  const studio = await Studio.findById(schedule.studioId).session(session);
+  if (!studio) {
+    // rollback created resources
+    await Booking.findByIdAndDelete(booking._id);
+    try {
+      await freeScheduleService(schedule._id);
+    } catch (freeErr) {
+      logger.error('Failed to free schedule after studio not found', freeErr);
+    }
+    throw new NotFoundError('Studio không tồn tại cho lịch này');
+  }
+
+  // Get global default policies (company-wide policies)
+  const defaultCancellationPolicy = await RoomPolicy.findOne({
+    type: 'CANCELLATION',
+    category: 'STANDARD',
+    isActive: true
+  }).session(session);
+
+  const defaultNoShowPolicy = await RoomPolicy.findOne({
+    type: 'NO_SHOW',
+    category: 'STANDARD',
+    isActive: true
+  }).session(session);
+
+  if (!defaultCancellationPolicy || !defaultNoShowPolicy) {
+    // rollback created resources
+    await Booking.findByIdAndDelete(booking._id);
+    try {
+      await freeScheduleService(schedule._id);
+    } catch (freeErr) {
+      logger.error('Failed to free schedule during policy validation', freeErr);
+    }
+    throw new ValidationError('Chính sách mặc định chưa được cấu hình. Vui lòng chạy seedPolicies.js trước.');
+  }
+
+  // Create policy snapshots (immutable copy of global policies at booking time)
+  booking.policySnapshots = {
+    cancellation: {
+      _id: defaultCancellationPolicy._id,
+      name: defaultCancellationPolicy.name,
+      type: defaultCancellationPolicy.type,
+      category: defaultCancellationPolicy.category,
+      refundTiers: defaultCancellationPolicy.refundTiers,
+      rescheduleRules: defaultCancellationPolicy.rescheduleRules,
+      isActive: defaultCancellationPolicy.isActive,
+      createdAt: defaultCancellationPolicy.createdAt
+    },
+    noShow: {
+      _id: defaultNoShowPolicy._id,
+      name: defaultNoShowPolicy.name,
+      type: defaultNoShowPolicy.type,
+      category: defaultNoShowPolicy.category,
+      noShowRules: defaultNoShowPolicy.noShowRules,
+      isActive: defaultNoShowPolicy.isActive,
+      createdAt: defaultNoShowPolicy.createdAt
+    }
+  };
+
+  // Initialize financials
+  booking.financials = {
+    originalAmount: 0,
+    refundAmount: 0,
+    chargeAmount: 0,
+    netAmount: 0
+  };
+
+  // Studio time is priced by the dynamic pricing rules (peak bands, weekend, holiday, last-minute, minimum hours)
+  const price = await calculateStudioPrice({
+    studio,
+    startTime: schedule.startTime,
+    endTime: schedule.endTime,
+    session
+  });
+  booking.pricingSnapshot = toPricingSnapshot(price);
+  const baseTotal = price.studioAmount;
+
+  const totalBeforeDiscount = Math.round((baseTotal + detailsTotal) * 100) / 100;
+
+  // Calculate discount: prefer promoId if provided and valid, otherwise use discountAmount from request
+  let discountAmount = 0;
+  if (data.promoId) {
+    const promo = await Promotion.findById(data.promoId);
+    if (promo && promo.isValid()) {
+      discountAmount = promo.calculateDiscount(totalBeforeDiscount);
+      // increment usage count and track totalDiscountedAmount for budget cap
+      promo.usageCount = (promo.usageCount || 0) + 1;
+      promo.totalDiscountedAmount = (promo.totalDiscountedAmount || 0) + discountAmount;
+      await promo.save();
+    } else {
+      // invalid promo -> ignore
+      discountAmount = 0;
+    }
+  } else {
+    discountAmount = data.discountAmount || 0;
+  }
+
+  booking.totalBeforeDiscount = totalBeforeDiscount;
+  booking.discountAmount = Math.round(discountAmount * 100) / 100;
+  booking.finalAmount = Math.max(0, booking.totalBeforeDiscount - booking.discountAmount - (booking.loyaltyDiscount || 0));
+  await booking.save({ session });
+
+  return booking;
+};
+
+/**
+ * Cancel pending payments matching filter (in the caller's session).
+ * The links on the gateway are cancelled separately, after commit: see cancelGatewayLinks.
+ * @returns {Array} The cancelled payments
+ */
+const cancelPendingPayments = async (filter, reason, session = null) => {
+  const pendingPayments = await Payment.find({
+    ...filter,
+    status: PAYMENT_STATUS.PENDING
+  }).session(session);
+
+  for (const payment of pendingPayments) {
+    payment.status = PAYMENT_STATUS.CANCELLED;
+    payment.gatewayResponse = {
+      ...payment.gatewayResponse,
+      cancelledAt: new Date(),
+      cancelReason: reason
+    };
+    await payment.save({ session });
+  }
+
+  return pendingPayments;
+};
+
+/**
+ * Cancel the gateway links of payments cancelled by cancelPendingPayments, once the cancellation is committed
+ * (best-effort: a failed call never undoes the cancellation, the link simply expires on the gateway)
+ */
+const cancelGatewayLinks = async (payments, reason) => {
+  for (const payment of payments) {
+    if (!payment.transactionId) continue;
+    try {
+      await getPaymentGateway().cancelPaymentLink(payment.transactionId, reason);
+    } catch (gatewayErr) {
+      logger.warn('Failed to cancel gateway payment link', {
+        paymentId: payment._id,
+        transactionId: payment.transactionId,
+        error: gatewayErr.message
+      });
+    }
+  }
+};
+
+/**
+ * Equipment is held by the booking status + schedule, so once a booking ends or is cancelled
+ * only the "now" counters of its equipment need refreshing (errors are logged, never thrown)
+ */
+const releaseBookingEquipment = async (bookingId, session = null) => {
+  try {
+    const details = await BookingDetail.find({ bookingId, detailType: 'equipment' }).select('equipmentId').session(session).lean();
+    if (details.length > 0) {
+      await refreshEquipmentSnapshot(details.map(d => d.equipmentId), session);
+    }
+  } catch (err) {
+    // Log and continue; do not block cancellation / check-out
+    logger.error(`Failed to refresh equipment counters for booking ${bookingId}`, err);
+  }
+};
+
+/**
+ * Make sure the equipment of a booking is free in a new window (reschedule / extension).
+ * The booking's own reservation is ignored; quantities of the same item are summed.
+ */
+const assertBookingEquipmentAvailable = async (bookingId, startTime, endTime, session = null) => {
+  const details = await BookingDetail.find({ bookingId, detailType: 'equipment' }).select('equipmentId quantity').session(session).lean();
+
+  const required = new Map();
+  details.filter(d => d.equipmentId).forEach((d) => {
+    const key = d.equipmentId.toString();
+    required.set(key, (required.get(key) || 0) + (d.quantity || 0));
+  });
+
+  for (const [equipmentId, quantity] of required) {
+    await checkEquipmentAvailability(equipmentId, quantity, { startTime, endTime, excludeBookingId: bookingId, session });
+  }
+};
+
+/**
+ * Offer a released schedule window to the waitlist (best-effort, after commit)
+ */
+const releaseSlotToWaitlist = async (scheduleId, io = null) => {
+  if (!scheduleId) return;
+  try {
+    const schedule = await Schedule.findById(scheduleId).select('studioId startTime endTime').lean();
+    if (!schedule) return;
+    const { offerReleasedSlot } = await import('./waitlist.service.js');
+    await offerReleasedSlot(schedule.studioId, schedule.startTime, schedule.endTime, io);
+  } catch (err) {
+    logger.error('Failed to offer released slot to waitlist', err);
+  }
+};
+
 // Helper function: Validate dates
 const validateDates = (startDate, endDate) => {
   let validStartDate = null;
@@ -1418,7 +1765,8 @@ export const getMaxExtensionTime = async (bookingId, session = null) => {
 
   const currentEndTime = new Date(schedule.endTime);
   const studioId = schedule.studioId;
-  const MIN_GAP_MS = 30 * 60 * 1000; // 30 phút buffer
+  const studioBuffers = await getStudioBuffers(studioId, session);
+  const ownBuffers = resolveScheduleBuffers(schedule, studioBuffers);
 
   // Tìm schedule kế tiếp đã được đặt trên cùng studio (sau currentEndTime)
   let nextScheduleQuery = Schedule.findOne({
@@ -1431,14 +1779,36 @@ export const getMaxExtensionTime = async (bookingId, session = null) => {
 
   let maxEndTime;
   if (nextSchedule) {
-    // Trừ 30 phút buffer để dọn dẹp
-    maxEndTime = new Date(nextSchedule.startTime.getTime() - MIN_GAP_MS);
+    // Chừa thời gian dọn dẹp của lịch này + chuẩn bị của lịch kế tiếp
+    const nextBuffers = resolveScheduleBuffers(nextSchedule, studioBuffers);
+    maxEndTime = new Date(nextSchedule.startTime.getTime() - (ownBuffers.after + nextBuffers.before) * 60 * 1000);
   } else {
     // Không có lịch sau: cho phép gia hạn đến cuối ngày (23:59)
     maxEndTime = new Date(currentEndTime);
     maxEndTime.setHours(23, 59, 0, 0);
   }
 
+  // Không gia hạn qua giờ đóng cửa / ngày lễ / lịch đóng cửa đột xuất
+  if (maxEndTime > currentEndTime) {
+    let studioQuery = Studio.findById(studioId).select('operatingHours closedOnHolidays blackouts');
+    if (session) studioQuery = studioQuery.session(session);
+    const studio = await studioQuery;
+    if (studio) {
+      const holidays = await getHolidayMap(currentEndTime, maxEndTime, session);
+      const [openAfterEnd] = getOpenIntervals(studio, currentEndTime, maxEndTime, holidays);
+      if (!openAfterEnd || openAfterEnd.startTime > currentEndTime) {
+        return {
+          canExtend: false,
+          maxEndTime: currentEndTime,
+          availableMinutes: 0,
+          currentEndTime,
+          reason: 'Studio đóng cửa ngay sau khung giờ hiện tại'
+        };
+      }
+      maxEndTime = openAfterEnd.endTime;
+    }
+  }
+
   // Nếu maxEndTime <= currentEndTime thì không thể gia hạn
   if (maxEndTime <= currentEndTime) {
     return {
@@ -1499,12 +1869,7 @@ export const extendBooking = async (bookingId, newEndTime, actorId = null, actor
       }
 
       // 2. Validate đã thanh toán đủ cọc (>= 30%)
-      const paidPayments = await Payment.find({
-        bookingId: booking._id,
-        status: PAYMENT_STATUS.PAID
-      }).select('amount').session(session);
-
-      const totalPaid = paidPayments.reduce((sum, p) => sum + p.amount, 0);
+      const totalPaid = await getBookingPaidAmount(booking, session);
       const requiredDeposit = Math.round(booking.finalAmount * 0.3);
       if (totalPaid < requiredDeposit) {
         throw new ValidationError(`Cần thanh toán tối thiểu 30% (${requiredDeposit.toLocaleString('vi-VN')} VND) trước khi gia hạn`);
@@ -1531,13 +1896,25 @@ export const extendBooking = async (bookingId, newEndTime, actorId = null, actor
         throw new ConflictError(`Chỉ có thể gia hạn tối đa đến ${formatTime(extensionCheck.maxEndTime)}`);
       }
 
+      // Equipment of the booking must also be free for the extra time
+      await assertBookingEquipmentAvailable(booking._id, currentEndTime, requestedEndTime, session);
+
       // 5. Tính toán số tiền cần thanh toán thêm
       const studio = await Studio.findById(schedule.studioId).session(session);
       if (!studio) throw new NotFoundError('Studio không tồn tại');
 
       const additionalMs = requestedEndTime.getTime() - currentEndTime.getTime();
       const additionalHours = Math.round((additionalMs / (1000 * 60 * 60)) * 100) / 100;
-      const additionalAmount = Math.round(additionalHours * (studio.basePricePerHour || 0));
+      // Extra time follows the pricing rules of the hours it covers (no last-minute / minimum hours)
+      const extensionPrice = await calculateStudioPrice({
+        studio,
+        startTime: currentEndTime,
+        endTime: requestedEndTime,
+        applyLastMinute: false,
+        applyMinimum: false,
+        session
+      });
+      const additionalAmount = Math.round(extensionPrice.studioAmount);
 
       // 6. Cập nhật Schedule.endTime
       schedule.endTime = requestedEndTime;
@@ -1547,7 +1924,16 @@ export const extendBooking = async (bookingId, newEndTime, actorId = null, actor
       const previousTotal = booking.totalBeforeDiscount;
       booking.totalBeforeDiscount = previousTotal + additionalAmount;
       // Giữ nguyên discount amount (không apply promo cho phần gia hạn)
-      booking.finalAmount = Math.max(0, booking.totalBeforeDiscount - booking.discountAmount);
+      booking.finalAmount = Math.max(0, booking.totalBeforeDiscount - booking.discountAmount - (booking.loyaltyDiscount || 0));
+      if (booking.pricingSnapshot) {
+        const extension = toPricingSnapshot(extensionPrice);
+        booking.pricingSnapshot = {
+          ...booking.pricingSnapshot,
+          billableHours: Math.round(((booking.pricingSnapshot.billableHours || 0) + additionalHours) * 100) / 100,
+          studioAmount: Math.round(((booking.pricingSnapshot.studioAmount || 0) + additionalAmount) * 100) / 100,
+          lines: [...(booking.pricingSnapshot.lines || []), ...extension.lines]
+        };
+      }
 
       // 8. Thêm event EXTENDED
       booking.events = booking.events || [];
@@ -1558,7 +1944,8 @@ export const extendBooking = async (bookingId, newEndTime, actorId = null, actor
           previousEndTime: currentEndTime,
           newEndTime: requestedEndTime,
           additionalHours,
-          additionalAmount
+          additionalAmount,
+          pricingLines: extensionPrice.lines.map(({ timeRange, multiplier, pricePerHour, amount }) => ({ timeRange, multiplier, pricePerHour, amount }))
         },
         amount: additionalAmount,
         actorId
@@ -1609,6 +1996,1328 @@ export const extendBooking = async (bookingId, newEndTime, actorId = null, actor
 
 // #endregion
 
+// #region Booking Reschedule
+
+// Reschedule fees live in the pricing snapshot so later recalculations keep them
+const RESCHEDULE_FEE_ADJUSTMENT = 'reschedule_fee';
+
+/**
+ * Đổi lịch booking sang khung giờ khác (cùng hoặc khác studio) trong một transaction:
+ * giữ nguyên booking, chi tiết và các Payment đã có, định giá lại phần studio theo quy tắc giá,
+ * áp phí / giới hạn đổi lịch theo rescheduleRules của cancellation policy snapshot.
+ * @param {string} bookingId - ID của booking
+ * @param {Object} data - { startTime, endTime, studioId?, scheduleId?, waiveFee? (staff) }
+ * @param {string} actorId - ID của người thực hiện
+ * @param {string} actorRole - Role của người thực hiện (customer bị giới hạn theo policy)
+ * @param {Object} options - { reason, keepOldSlotClosed } keepOldSlotClosed: không mở lại lịch cũ (vd. studio bảo trì)
+ * @returns {Object} - { booking, previousSchedule, newSchedule, priceDifference, rescheduleFee, balanceDue }
+ */
+export const rescheduleBooking = async (bookingId, data = {}, actorId = null, actorRole = null, io = null, options = {}) => {
+  const lockKey = `booking:reschedule:${bookingId}`;
+  const lockToken = await acquireLock(lockKey);
+  if (!lockToken) {
+    throw new ConflictError('Booking đang được đổi lịch. Vui lòng thử lại.');
+  }
+
+  const isCustomer = actorRole === USER_ROLES.CUSTOMER;
+  const session = await mongoose.startSession();
+  let result;
+  let cancelledLinks = [];
+
+  try {
+    result = await session.withTransaction(async () => {
+      const booking = await Booking.findById(bookingId).session(session);
+      if (!booking) throw new NotFoundError('Booking không tồn tại');
+
+      if (isCustomer && booking.userId.toString() !== actorId?.toString()) {
+        throw new UnauthorizedError('Bạn không có quyền đổi lịch booking này');
+      }
+      if (![BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED].includes(booking.status)) {
+        throw new ValidationError('Chỉ có thể đổi lịch booking đang chờ hoặc đã xác nhận');
+      }
+      if (booking.groupId) {
+        throw new ValidationError('Booking thuộc nhóm thanh toán chung, vui lòng liên hệ nhân viên để đổi lịch');
+      }
+
+      const oldSchedule = await Schedule.findById(booking.scheduleId).session(session);
+      if (!oldSchedule) throw new NotFoundError('Lịch không tồn tại');
+
+      // 1. Target window
+      let target;
+      if (data.scheduleId) {
+        target = await Schedule.findById(data.scheduleId).select('studioId startTime endTime').session(session);
+        if (!target) throw new NotFoundError('Lịch không tồn tại');
+      } else {
+        if (!data.startTime || !data.endTime) {
+          throw new ValidationError('Vui lòng cung cấp thời gian mới (startTime, endTime) hoặc scheduleId');
+        }
+        target = {
+          studioId: data.studioId || oldSchedule.studioId,
+          startTime: new Date(data.startTime),
+          endTime: new Date(data.endTime)
+        };
+      }
+      const newStart = new Date(target.startTime);
+      const newEnd = new Date(target.endTime);
+      if (isNaN(newStart.getTime()) || isNaN(newEnd.getTime())) throw new ValidationError('Thời gian không hợp lệ');
+      if (!(newEnd > newStart)) throw new ValidationError('Thời gian kết thúc phải lớn hơn thời gian bắt đầu');
+      if (newStart <= new Date()) throw new ValidationError('Chỉ có thể đổi sang khung giờ trong tương lai');
+      if (target.studioId.toString() === oldSchedule.studioId.toString() &&
+          newStart.getTime() === oldSchedule.startTime.getTime() &&
+          newEnd.getTime() === oldSchedule.endTime.getTime()) {
+        throw new ValidationError('Khung giờ mới trùng với khung giờ hiện tại');
+      }
+
+      // 2. Policy: limits apply to customers, staff may also waive the fee
+      const feeCheck = RoomPolicyService.calculateRescheduleFee(
+        booking.policySnapshots?.cancellation,
+        new Date(oldSchedule.startTime),
+        new Date(),
+        booking.finalAmount,
+        booking.rescheduleCount || 0
+      );
+      if (isCustomer && !feeCheck.allowed) throw new ValidationError(feeCheck.reason);
+      const rescheduleFee = !isCustomer && data.waiveFee ? 0 : (feeCheck.feeAmount || 0);
+
+      // 3. Swap schedules: take the old one out of conflict checks, then acquire the new window
+      const oldBuffers = resolveScheduleBuffers(oldSchedule, await getStudioBuffers(oldSchedule.studioId, session));
+      const previousSchedule = {
+        scheduleId: oldSchedule._id,
+        studioId: oldSchedule.studioId,
+        startTime: oldSchedule.startTime,
+        endTime: oldSchedule.endTime
+      };
+      await cancelSchedule(oldSchedule._id, session);
+
+      const { schedule: newSchedule, buffers } = await acquireScheduleInSession({
+        userId: booking.userId,
+        scheduleId: data.scheduleId,
+        studioId: target.studioId,
+        startTime: newStart,
+        endTime: newEnd,
+        minBuffers: oldBuffers
+      }, session);
+      await markScheduleBookedService(newSchedule._id, booking._id, session);
+      await Schedule.updateOne(
+        { _id: newSchedule._id },
+        { bufferBeforeMinutes: buffers.before, bufferAfterMinutes: buffers.after },
+        { session }
+      );
+      if (booking.status === BOOKING_STATUS.PENDING) {
+        await holdSchedule(newSchedule._id, holdExpiryFor(newSchedule.startTime, Boolean(booking.seriesId)), session);
+      }
+
+      // Publish the old slot again unless the new booking now blocks it
+      const [blocking] = await findBufferConflicts({
+        studioId: oldSchedule.studioId,
+        startTime: oldSchedule.startTime,
+        endTime: oldSchedule.endTime,
+        excludeId: oldSchedule._id,
+        session
+      });
+      if (!blocking && !options.keepOldSlotClosed) await freeScheduleService(oldSchedule._id, session);
+
+      // Equipment / services carry over, so the equipment must be free in the new window too
+      await assertBookingEquipmentAvailable(booking._id, newStart, newEnd, session);
+
+      // 4. Re-price studio time; equipment / services and the discount carry over
+      const studio = await Studio.findById(newSchedule.studioId).session(session);
+      if (!studio) throw new NotFoundError('Studio không tồn tại');
+
+      const oldHours = (oldSchedule.endTime - oldSchedule.startTime) / (1000 * 60 * 60);
+      const oldStudioAmount = booking.pricingSnapshot?.studioAmount ?? Math.round((studio.basePricePerHour || 0) * oldHours * 100) / 100;
+      const detailsTotal = Math.max(0, booking.totalBeforeDiscount - oldStudioAmount);
+      const previousFees = (booking.pricingSnapshot?.adjustments || []).filter(a => a.type === RESCHEDULE_FEE_ADJUSTMENT);
+
+      const price = await calculateStudioPrice({
+        studio,
+        startTime: newSchedule.startTime,
+        endTime: newSchedule.endTime,
+        bookedAt: booking.createdAt,
+        session
+      });
+      const snapshot = toPricingSnapshot(price);
+      const feeAdjustments = [
+        ...previousFees,
+        ...(rescheduleFee > 0 ? [{ type: RESCHEDULE_FEE_ADJUSTMENT, name: 'Phí đổi lịch', hours: 0, amount: rescheduleFee }] : [])
+      ];
+      const feesTotal = feeAdjustments.reduce((sum, a) => sum + (a.amount || 0), 0);
+      booking.pricingSnapshot = {
+        ...snapshot,
+        adjustments: [...snapshot.adjustments, ...feeAdjustments],
+        studioAmount: Math.round((price.studioAmount + feesTotal) * 100) / 100
+      };
+
+      const previousFinalAmount = booking.finalAmount;
+      const priceDifference = Math.round((price.studioAmount - (oldStudioAmount - previousFees.reduce((sum, a) => sum + (a.amount || 0), 0))) * 100) / 100;
+      booking.totalBeforeDiscount = Math.round((booking.pricingSnapshot.studioAmount + detailsTotal) * 100) / 100;
+      booking.discountAmount = Math.min(booking.discountAmount || 0, booking.totalBeforeDiscount);
+      booking.finalAmount = Math.max(0, booking.totalBeforeDiscount - booking.discountAmount - (booking.loyaltyDiscount || 0));
+      booking.scheduleId = newSchedule._id;
+      booking.rescheduleCount = (booking.rescheduleCount || 0) + 1;
+
+      // 5. Payments stay linked to the booking; unpaid links for the old amount are voided
+      const totalPaid = await getBookingPaidAmount(booking, session);
+      if (booking.finalAmount !== previousFinalAmount) {
+        cancelledLinks = await cancelPendingPayments({ bookingId: booking._id }, 'Booking rescheduled', session);
+      }
+      const balanceDue = Math.round((booking.finalAmount - totalPaid) * 100) / 100;
+
+      booking.events = booking.events || [];
+      booking.events.push({
+        type: BOOKING_EVENT_TYPE.RESCHEDULED,
+        timestamp: new Date(),
+        details: {
+          previousSchedule,
+          newSchedule: {
+            scheduleId: newSchedule._id,
+            studioId: newSchedule.studioId,
+            startTime: newSchedule.startTime,
+            endTime: newSchedule.endTime
+          },
+          previousFinalAmount,
+          newFinalAmount: booking.finalAmount,
+          priceDifference,
+          rescheduleFee,
+          feeWaived: rescheduleFee === 0 && (feeCheck.feeAmount || 0) > 0,
+          totalPaid,
+          balanceDue,
+          actorId,
+          actorRole,
+          ...(options.reason ? { reason: options.reason } : {})
+        },
+        amount: rescheduleFee
+      });
+      await booking.save({ session });
+
+      return { booking, previousSchedule, newSchedule, priceDifference, rescheduleFee, totalPaid, balanceDue };
+    }, { writeConcern: { w: 'majority' }, readConcern: { level: 'majority' } });
+  } finally {
+    session.endSession();
+    await releaseLock(lockKey, lockToken);
+  }
+
+  // After commit: void the old links on the gateway, notify and hand the old window to the waitlist
+  await cancelGatewayLinks(cancelledLinks, 'Booking rescheduled');
+  try {
+    const { previousSchedule, newSchedule, balanceDue } = result;
+    const balanceText = balanceDue > 0
+      ? ` Số tiền cần thanh toán thêm: ${balanceDue.toLocaleString('vi-VN')} VND.`
+      : balanceDue < 0 ? ` Số tiền thanh toán dư: ${Math.abs(balanceDue).toLocaleString('vi-VN')} VND.` : '';
+    await createAndSendNotification(
+      result.booking.userId,
+      NOTIFICATION_TYPE.INFO,
+      'Booking đã được đổi lịch',
+      `Booking của bạn đã được đổi từ ${formatDateTime(previousSchedule.startTime)} - ${formatTime(previousSchedule.endTime)} sang ${formatDateTime(newSchedule.startTime)} - ${formatTime(newSchedule.endTime)}.${balanceText}`,
+      false,
+      io,
+      result.booking._id
+    );
+  } catch (notifyErr) {
+    logger.error('Failed to send reschedule notification:', notifyErr);
+  }
+
+  // Email carries the updated .ics (same UID, higher SEQUENCE) so calendar apps move the event
+  try {
+    const { previousSchedule, newSchedule, rescheduleFee } = result;
+    const [customer, studio, calendar] = await Promise.all([
+      User.findById(result.booking.userId).select('email').lean(),
+      Studio.findById(newSchedule.studioId).select('name').lean(),
+      buildBookingIcs(result.booking._id),
+    ]);
+    if (customer?.email) {
+      await sendBookingRescheduleEmail(customer.email, {
+        bookingId: result.booking._id.toString(),
+        studioName: studio?.name || 'Studio',
+        oldDate: formatDate(previousSchedule.startTime),
+        oldTime: `${formatTime(previousSchedule.startTime)} - ${formatTime(previousSchedule.endTime)}`,
+        date: formatDate(newSchedule.startTime),
+        time: `${formatTime(newSchedule.startTime)} - ${formatTime(newSchedule.endTime)}`,
+        fee: rescheduleFee,
+        calendar,
+      });
+    }
+  } catch (emailErr) {
+    logger.error('Failed to send reschedule email:', emailErr);
+  }
+
+  if (!options.keepOldSlotClosed) {
+    await releaseSlotToWaitlist(result.previousSchedule.scheduleId, io);
+  }
+
+  return result;
+};
+
+// #endregion
+
+// #region Booking Modification
+
+/**
+ * Thêm / bớt thiết bị và dịch vụ của booking đã tạo (kể cả đã xác nhận) trước giờ cutoff.
+ * Thiết bị được reserve / release ngay trong transaction, finalAmount được tính lại;
+ * nếu khách còn thiếu tiền sẽ tạo link thanh toán bổ sung, nếu đã trả dư sẽ tạo yêu cầu hoàn tiền.
+ * @param {string} bookingId - ID của booking
+ * @param {Object} data - { addDetails: [{ detailType, equipmentId | kitId | extraServiceId, quantity }], removeDetailIds: [], bankInfo? }
+ * @param {string} actorId - ID của người thực hiện
+ * @param {string} actorRole - Role (customer chỉ sửa booking của mình và trước cutoff)
+ * @returns {Object} - { booking, added, removed, previousFinalAmount, totalPaid, balanceDue, topUpPayment, refund }
+ */
+export const modifyBookingItems = async (bookingId, data = {}, actorId = null, actorRole = null) => {
+  const addDetails = Array.isArray(data.addDetails) ? data.addDetails : [];
+  const removeDetailIds = Array.isArray(data.removeDetailIds) ? data.removeDetailIds.map(String) : [];
+  if (addDetails.length === 0 && removeDetailIds.length === 0) {
+    throw new ValidationError('Vui lòng chọn thiết bị / dịch vụ cần thêm (addDetails) hoặc bớt (removeDetailIds)');
+  }
+
+  const lockKey = `booking:modify:${bookingId}`;
+  const lockToken = await acquireLock(lockKey);
+  if (!lockToken) {
+    throw new ConflictError('Booking đang được cập nhật. Vui lòng thử lại.');
+  }
+
+  const isCustomer = actorRole === USER_ROLES.CUSTOMER;
+  const session = await mongoose.startSession();
+  let result;
+  let cancelledLinks = [];
+
+  try {
+    result = await session.withTransaction(async () => {
+      const booking = await Booking.findById(bookingId).populate('scheduleId', 'startTime endTime').session(session);
+      if (!booking) throw new NotFoundError('Booking không tồn tại');
+
+      if (isCustomer && booking.userId.toString() !== actorId?.toString()) {
+        throw new UnauthorizedError('Bạn không có quyền chỉnh sửa booking này');
+      }
+
+      const allowedStatuses = isCustomer
+        ? [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED]
+        : [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.CHECKED_IN];
+      if (!allowedStatuses.includes(booking.status)) {
+        throw new ValidationError('Không thể thay đổi thiết bị / dịch vụ của booking ở trạng thái hiện tại');
+      }
+      if (booking.groupId) {
+        throw new ValidationError('Booking thuộc nhóm thanh toán chung, vui lòng liên hệ nhân viên để thay đổi');
+      }
+
+      const startTime = booking.scheduleId?.startTime;
+      if (isCustomer && startTime) {
+        const cutoff = new Date(new Date(startTime).getTime() - MODIFICATION_CUTOFF_HOURS * 60 * 60 * 1000);
+        if (new Date() > cutoff) {
+          throw new ValidationError(`Chỉ có thể thay đổi thiết bị / dịch vụ trước giờ bắt đầu ${MODIFICATION_CUTOFF_HOURS} giờ (trước ${formatDateTime(cutoff)})`);
+        }
+      }
+
+      // 1. Remove (equipment is free again for the booking window)
+      let removed = [];
+      let removedTotal = 0;
+      if (removeDetailIds.length > 0) {
+        removed = await BookingDetail.find({ bookingId: booking._id, _id: { $in: removeDetailIds } }).session(session).lean();
+        if (removed.length !== new Set(removeDetailIds).size) {
+          throw new NotFoundError('Một số chi tiết không thuộc booking này');
+        }
+        // Removing one component of a kit removes the whole kit
+        ({ removedTotal, removed } = await removeBookingDetailsService(booking._id, removeDetailIds, session));
+      }
+
+      // 2. Add (equipment is checked against the booking window)
+      let added = [];
+      let addedTotal = 0;
+      if (addDetails.length > 0) {
+        const res = await createBookingDetailsService(booking._id, addDetails, session);
+        added = res.details;
+        addedTotal = res.total || 0;
+      }
+
+      // 3. Recompute totals; the discount amount is kept (capped at the new total)
+      const previousFinalAmount = booking.finalAmount;
+      booking.totalBeforeDiscount = Math.max(0, Math.round((booking.totalBeforeDiscount + addedTotal - removedTotal) * 100) / 100);
+      booking.discountAmount = Math.min(booking.discountAmount || 0, booking.totalBeforeDiscount);
+      booking.finalAmount = Math.max(0, booking.totalBeforeDiscount - booking.discountAmount - (booking.loyaltyDiscount || 0));
+
+      const totalPaid = await getBookingPaidAmount(booking, session);
+      const balanceDue = Math.round((booking.finalAmount - totalPaid) * 100) / 100;
+
+      // Unpaid links were issued for the old amount
+      if (booking.finalAmount !== previousFinalAmount) {
+        cancelledLinks = await cancelPendingPayments({ bookingId: booking._id }, 'Booking items modified', session);
+      }
+
+      // 4. Overpaid: open (or grow) a refund request for the difference
+      let refund = null;
+      if (balanceDue < 0) {
+        const refundAmount = Math.abs(balanceDue);
+        refund = await Refund.findOne({ bookingId: booking._id, status: 'PENDING_APPROVAL' }).session(session);
+        if (refund) {
+          refund.amount = Math.round((refund.amount + refundAmount) * 100) / 100;
+          await refund.save({ session });
+        } else {
+          [refund] = await Refund.create([{
+            bookingId: booking._id,
+            targetId: booking._id,
+            targetModel: TARGET_MODEL.BOOKING,
+            amount: refundAmount,
+            reason: 'Hoàn tiền chênh lệch do bớt thiết bị / dịch vụ',
+            requestedBy: actorId || booking.userId,
+            status: 'PENDING_APPROVAL',
+            destinationBank: data.bankInfo || undefined
+          }], { session });
+        }
+      }
+
+      const describe = (d) => ({
+        detailId: d._id,
+        detailType: d.detailType,
+        itemId: d.equipmentId || d.extraServiceId,
+        description: d.description,
+        quantity: d.quantity,
+        subtotal: d.subtotal
+      });
+      booking.events = booking.events || [];
+      booking.events.push({
+        type: BOOKING_EVENT_TYPE.ITEMS_MODIFIED,
+        timestamp: new Date(),
+        details: {
+          added: added.map(describe),
+          removed: removed.map(describe),
+          addedTotal,
+          removedTotal,
+          previousFinalAmount,
+          newFinalAmount: booking.finalAmount,
+          totalPaid,
+          balanceDue,
+          refundId: refund?._id || null,
+          actorId,
+          actorRole
+        },
+        amount: Math.round((addedTotal - removedTotal) * 100) / 100
+      });
+      await booking.save({ session });
+
+      return { booking, added, removed, previousFinalAmount, totalPaid, balanceDue, refund };
+    }, { writeConcern: { w: 'majority' }, readConcern: { level: 'majority' } });
+  } finally {
+    session.endSession();
+    await releaseLock(lockKey, lockToken);
+  }
+
+  await cancelGatewayLinks(cancelledLinks, 'Booking items modified');
+
+  // 5. Confirmed bookings that now owe more get a top-up link (pending bookings re-open payment options instead)
+  let topUpPayment = null;
+  if (result.balanceDue >= 1000 && [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.CHECKED_IN].includes(result.booking.status)) {
+    try {
+      topUpPayment = await createPaymentForRemaining(result.booking._id, { actorId });
+    } catch (paymentErr) {
+      logger.error('Failed to create top-up payment after booking modification:', paymentErr);
+    }
+  }
+
+  try {
+    const changeText = result.balanceDue > 0
+      ? `Số tiền cần thanh toán thêm: ${result.balanceDue.toLocaleString('vi-VN')} VND`
+      : result.balanceDue < 0
+        ? `Yêu cầu hoàn ${Math.abs(result.balanceDue).toLocaleString('vi-VN')} VND đã được tạo`
+        : 'Booking đã được thanh toán đủ';
+    await createAndSendNotification(
+      result.booking.userId,
+      NOTIFICATION_TYPE.INFO,
+      'Booking đã được cập nhật thiết bị / dịch vụ',
+      `Tổng tiền mới: ${result.booking.finalAmount.toLocaleString('vi-VN')} VND. ${changeText}.`,
+      false,
+      null,
+      result.booking._id
+    );
+  } catch (notifyErr) {
+    logger.error('Failed to send booking modification notification:', notifyErr);
+  }
+
+  return { ...result, topUpPayment };
+};
+
+// #endregion
+
+// #region Recurring Series
+
+// Safety cap so one request cannot reserve an unbounded number of slots (longer series are rejected)
+const MAX_SERIES_OCCURRENCES = 52;
+// Series/group reservations hold many locks inside one transaction, so give them more time
+const MULTI_SLOT_LOCK_TTL_SECONDS = 120;
+const TZ_OFFSET_MS = TIME_CONSTANTS.DEFAULT_TIMEZONE_OFFSET * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const assertWithinSeriesCap = (occurrences) => {
+  if (occurrences.length > MAX_SERIES_OCCURRENCES) {
+    throw new ValidationError(`Chuỗi định kỳ tối đa ${MAX_SERIES_OCCURRENCES} buổi. Hãy rút ngắn ngày kết thúc (until)`);
+  }
+  return occurrences;
+};
+
+/**
+ * Expand an RRULE-like recurrence into concrete occurrences.
+ * Weekdays, day-of-month and `until` are evaluated in Vietnam local time.
+ * @returns {Array<{startTime: Date, endTime: Date}>}
+ */
+const expandRecurrence = ({ startTime, durationMinutes, recurrence }) => {
+  const { frequency = RECURRENCE_FREQUENCY.WEEKLY, interval = 1, until, count } = recurrence;
+  if (count > MAX_SERIES_OCCURRENCES) {
+    throw new ValidationError(`Chuỗi định kỳ tối đa ${MAX_SERIES_OCCURRENCES} buổi`);
+  }
+  const first = new Date(startTime);
+  const durationMs = durationMinutes * 60 * 1000;
+  const untilDay = until ? formatDateISO(until) : null;
+  // Without a count, expand one past the cap to tell an `until` that goes too far
+  const limit = count || MAX_SERIES_OCCURRENCES + 1;
+
+  // Work on "local" timestamps (shifted by the VN offset) so UTC getters give local fields
+  const localFirst = new Date(first.getTime() + TZ_OFFSET_MS);
+  const timeOfDayMs = localFirst.getTime() % DAY_MS;
+  const occurrences = [];
+
+  const pushCandidate = (localStartMs) => {
+    const s = new Date(localStartMs - TZ_OFFSET_MS);
+    if (s < first) return true;
+    if (untilDay && formatDateISO(s) > untilDay) return false;
+    occurrences.push({ startTime: s, endTime: new Date(s.getTime() + durationMs) });
+    return occurrences.length < limit;
+  };
+
+  if (frequency === RECURRENCE_FREQUENCY.MONTHLY) {
+    const dayOfMonth = localFirst.getUTCDate();
+    for (let k = 0; occurrences.length < limit; k += interval) {
+      const year = localFirst.getUTCFullYear();
+      const month = localFirst.getUTCMonth() + k;
+      const candidate = new Date(Date.UTC(year, month, dayOfMonth) + timeOfDayMs);
+      // Skip months without this day (e.g. 31st)
+      if (candidate.getUTCDate() !== dayOfMonth) continue;
+      if (!pushCandidate(candidate.getTime())) break;
+    }
+    return assertWithinSeriesCap(occurrences);
+  }
+
+  const weekdays = (recurrence.byWeekday?.length ? [...new Set(recurrence.byWeekday)] : [localFirst.getUTCDay()])
+    .sort((a, b) => a - b);
+  const localMidnight = localFirst.getTime() - timeOfDayMs;
+  const weekStart = localMidnight - localFirst.getUTCDay() * DAY_MS;
+
+  for (let week = 0; occurrences.length < limit; week += interval) {
+    let keepGoing = true;
+    for (const wd of weekdays) {
+      keepGoing = pushCandidate(weekStart + (week * 7 + wd) * DAY_MS + timeOfDayMs);
+      if (!keepGoing) break;
+    }
+    if (!keepGoing) break;
+  }
+
+  return assertWithinSeriesCap(occurrences);
+};
+
+/**
+ * Find a schedule blocking [s, e] once the pre/post buffers of both sides are applied.
+ * An AVAILABLE schedule fully covering the slot is not a conflict (it gets split on reserve).
+ */
+export const findSlotConflict = async (studioId, s, e, session = null) => {
+  const overlapping = await findBufferConflicts({ studioId, startTime: s, endTime: e, session });
+
+  return overlapping.find(sch => !(
+    sch.status === SCHEDULE_STATUS.AVAILABLE &&
+    sch.startTime.getTime() <= s.getTime() &&
+    sch.endTime.getTime() >= e.getTime()
+  )) || null;
+};
+
+/**
+ * Validate series input and expand it into occurrences with per-occurrence conflicts
+ */
+const buildSeriesOccurrences = async (data) => {
+  const { studioId, startTime, endTime, recurrence } = data;
+  if (!studioId || !startTime || !endTime) {
+    throw new ValidationError('Thiếu thông tin lịch: studioId, startTime, endTime là bắt buộc');
+  }
+  if (!recurrence || (!recurrence.until && !recurrence.count)) {
+    throw new ValidationError('Chuỗi lặp lại cần có ngày kết thúc (until) hoặc số buổi (count)');
+  }
+  if (recurrence.frequency && !Object.values(RECURRENCE_FREQUENCY).includes(recurrence.frequency)) {
+    throw new ValidationError(`Tần suất lặp lại không hợp lệ. Chỉ hỗ trợ: ${Object.values(RECURRENCE_FREQUENCY).join(', ')}`);
+  }
+  if (recurrence.interval !== undefined && !(Number.isInteger(Number(recurrence.interval)) && Number(recurrence.interval) >= 1)) {
+    throw new ValidationError('Khoảng lặp (interval) phải là số nguyên >= 1');
+  }
+  if (recurrence.count !== undefined && !(Number.isInteger(Number(recurrence.count)) && Number(recurrence.count) >= 1)) {
+    throw new ValidationError('Số buổi (count) phải là số nguyên >= 1');
+  }
+  if (recurrence.byWeekday && (!Array.isArray(recurrence.byWeekday) ||
+      recurrence.byWeekday.some(d => !Number.isInteger(Number(d)) || d < 0 || d > 6))) {
+    throw new ValidationError('byWeekday phải là mảng các số từ 0 (Chủ nhật) đến 6 (Thứ bảy)');
+  }
+
+  const s = new Date(startTime);
+  const e = new Date(endTime);
+  if (isNaN(s.getTime()) || isNaN(e.getTime())) throw new ValidationError('Thời gian không hợp lệ');
+  if (!(e > s)) throw new ValidationError('Thời gian kết thúc phải lớn hơn thời gian bắt đầu');
+  if (s <= new Date()) throw new ValidationError('Buổi đầu tiên phải ở trong tương lai');
+
+  const studio = await Studio.findById(studioId).select('_id name').lean();
+  if (!studio) throw new NotFoundError('Studio không tồn tại');
+
+  const normalizedRecurrence = {
+    frequency: recurrence.frequency || RECURRENCE_FREQUENCY.WEEKLY,
+    interval: Number(recurrence.interval) || 1,
+    byWeekday: (recurrence.byWeekday || []).map(Number),
+    until: recurrence.until ? new Date(recurrence.until) : undefined,
+    count: recurrence.count ? Number(recurrence.count) : undefined,
+  };
+  const durationMinutes = Math.round((e.getTime() - s.getTime()) / 60000);
+
+  const occurrences = expandRecurrence({ startTime: s, durationMinutes, recurrence: normalizedRecurrence });
+  if (occurrences.length === 0) {
+    throw new ValidationError('Quy tắc lặp lại không tạo ra buổi nào');
+  }
+
+  const calendar = await Studio.findById(studioId).select('operatingHours closedOnHolidays blackouts').lean();
+  const holidays = await getHolidayMap(occurrences[0].startTime, occurrences[occurrences.length - 1].endTime);
+
+  for (const occ of occurrences) {
+    const closure = getClosureReason(calendar, occ.startTime, occ.endTime, holidays);
+    if (closure) {
+      occ.conflict = { reason: closure };
+      continue;
+    }
+
+    const conflict = await findSlotConflict(studioId, occ.startTime, occ.endTime);
+    occ.conflict = conflict ? {
+      scheduleId: conflict._id,
+      startTime: conflict.startTime,
+      endTime: conflict.endTime,
+      status: conflict.status,
+      reason: `Trùng hoặc quá gần lịch ${formatDateTime(conflict.startTime)} - ${formatTime(conflict.endTime)} (không đủ thời gian chuẩn bị/dọn dẹp)`
+    } : null;
+  }
+
+  return { studio, recurrence: normalizedRecurrence, durationMinutes, startTime: s, occurrences };
+};
+
+/**
+ * Preview a recurring series without reserving anything
+ */
+export const previewBookingSeries = async (data) => {
+  const { occurrences, recurrence, durationMinutes } = await buildSeriesOccurrences(data);
+  return {
+    recurrence,
+    durationMinutes,
+    totalOccurrences: occurrences.length,
+    conflictCount: occurrences.filter(o => o.conflict).length,
+    occurrences,
+  };
+};
+
+/**
+ * Create a recurring booking series.
+ * Every occurrence is reserved in one transaction while holding the per-slot lock
+ * used by createBooking. Conflicting occurrences abort the request unless
+ * `skipConflicts` is set, in which case they are recorded on the series.
+ * Promotions are not applied to series; each occurrence is paid on demand.
+ */
+export const createBookingSeries = async (data) => {
+  const { userId, studioId, details, payType, notes, skipConflicts = false } = data;
+  if (!userId) throw new ValidationError('ID người dùng là bắt buộc');
+
+  const { recurrence, durationMinutes, startTime, occurrences } = await buildSeriesOccurrences(data);
+
+  const conflicted = occurrences.filter(o => o.conflict);
+  if (conflicted.length > 0 && !skipConflicts) {
+    const dates = conflicted.map(o => formatDateTime(o.startTime)).join(', ');
+    throw new ConflictError(`Có ${conflicted.length} buổi bị trùng lịch (${dates}). Gửi skipConflicts = true để bỏ qua các buổi này.`);
+  }
+
+  const bookable = occurrences.filter(o => !o.conflict);
+  if (bookable.length === 0) {
+    throw new ConflictError('Tất cả các buổi trong chuỗi đều bị trùng lịch');
+  }
+
+  // Acquire the same slot locks as createBooking for every occurrence
+  const acquired = [];
+  const releaseAll = async () => {
+    for (const { key, token } of acquired) {
+      await releaseLock(key, token);
+    }
+  };
+  for (const occ of bookable) {
+    const key = `booking:studio:${studioId}:${occ.startTime.getTime()}:${occ.endTime.getTime()}`;
+    const token = await acquireLock(key, MULTI_SLOT_LOCK_TTL_SECONDS);
+    if (!token) {
+      await releaseAll();
+      throw new ConflictError(`Lịch ${formatDateTime(occ.startTime)} đang được đặt bởi người dùng khác. Vui lòng thử lại.`);
+    }
+    acquired.push({ key, token });
+  }
+
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    result = await session.withTransaction(async () => {
+      const [series] = await BookingSeries.create([{
+        userId,
+        studioId,
+        startTime,
+        durationMinutes,
+        recurrence,
+        payType,
+        notes,
+        skippedOccurrences: conflicted.map(o => ({
+          startTime: o.startTime,
+          endTime: o.endTime,
+          reason: o.conflict.reason
+        }))
+      }], { session });
+
+      const bookings = [];
+      for (const occ of bookable) {
+        const booking = await reserveBookingInSession({
+          userId,
+          studioId,
+          startTime: occ.startTime,
+          endTime: occ.endTime,
+          details,
+          payType,
+          notes,
+          seriesId: series._id
+        }, session);
+        bookings.push(booking);
+      }
+
+      return { series, bookings };
+    }, { writeConcern: { w: 'majority' }, readConcern: { level: 'majority' } });
+  } finally {
+    session.endSession();
+    await releaseAll();
+  }
+
+  const totalAmount = result.bookings.reduce((sum, b) => sum + (b.finalAmount || 0), 0);
+  try {
+    await createAndSendNotification(
+      userId,
+      NOTIFICATION_TYPE.CONFIRMATION,
+      'Chuỗi booking định kỳ đã được tạo',
+      `Đã tạo ${result.bookings.length} buổi định kỳ, bắt đầu ${formatDateTime(bookable[0].startTime)}. Tổng tiền: ${totalAmount.toLocaleString('vi-VN')} VND. Mỗi buổi cần thanh toán tiền cọc trước giờ bắt đầu ${SERIES_PAYMENT_DEADLINE_HOURS} giờ, nếu không sẽ tự động bị hủy.`,
+      true,
+      null,
+      result.bookings[0]._id
+    );
+  } catch (notifyErr) {
+    logger.error('Failed to send booking series notification:', notifyErr);
+  }
+
+  return {
+    series: result.series,
+    bookings: result.bookings,
+    skippedOccurrences: result.series.skippedOccurrences,
+    totalAmount
+  };
+};
+
+/**
+ * Get a series with its occurrences sorted by start time
+ */
+export const getBookingSeriesById = async (seriesId, userId = null, userRole = null) => {
+  const query = { _id: seriesId };
+  if (userRole === USER_ROLES.CUSTOMER && userId) {
+    query.userId = userId;
+  }
+
+  const series = await BookingSeries.findOne(query)
+    .populate('studioId', 'name location basePricePerHour')
+    .lean();
+  if (!series) throw new NotFoundError('Chuỗi booking không tồn tại');
+
+  const bookings = await Booking.find({ seriesId: series._id })
+    .populate('scheduleId', 'startTime endTime status')
+    .select('status finalAmount payType financials scheduleId')
+    .lean();
+
+  const occurrences = bookings
+    .map(b => ({
+      bookingId: b._id,
+      status: b.status,
+      finalAmount: b.finalAmount,
+      refundAmount: b.financials?.refundAmount || 0,
+      startTime: b.scheduleId?.startTime,
+      endTime: b.scheduleId?.endTime,
+    }))
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+  return { ...series, occurrences };
+};
+
+const ACTIVE_OCCURRENCE_STATUSES = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.CHECKED_IN];
+
+const loadSeriesForCustomer = async (seriesId, actorId, actorRole) => {
+  const series = await BookingSeries.findById(seriesId);
+  if (!series) throw new NotFoundError('Chuỗi booking không tồn tại');
+  if (actorRole === USER_ROLES.CUSTOMER && series.userId.toString() !== actorId?.toString()) {
+    throw new UnauthorizedError('Bạn không có quyền thao tác trên chuỗi booking này');
+  }
+  return series;
+};
+
+const markSeriesCancelledIfEmpty = async (series) => {
+  const remaining = await Booking.countDocuments({
+    seriesId: series._id,
+    status: { $in: ACTIVE_OCCURRENCE_STATUSES }
+  });
+  if (remaining === 0 && series.status !== BOOKING_SERIES_STATUS.CANCELLED) {
+    series.status = BOOKING_SERIES_STATUS.CANCELLED;
+    await series.save();
+  }
+  return remaining;
+};
+
+/**
+ * Cancel a single occurrence of a series (refund computed from its own policy snapshot)
+ */
+export const cancelSeriesOccurrence = async (seriesId, bookingId, actorId = null, actorRole = null) => {
+  const series = await loadSeriesForCustomer(seriesId, actorId, actorRole);
+
+  const booking = await Booking.findOne({ _id: bookingId, seriesId: series._id }).select('_id').lean();
+  if (!booking) throw new NotFoundError('Buổi này không thuộc chuỗi booking');
+
+  const cancelled = await cancelBooking(bookingId);
+  const remainingOccurrences = await markSeriesCancelledIfEmpty(series);
+
+  return { booking: cancelled, seriesStatus: series.status, remainingOccurrences };
+};
+
+/**
+ * Cancel every upcoming occurrence of a series.
+ * Each occurrence goes through cancelBooking so the room policy is applied per occurrence.
+ */
+export const cancelBookingSeries = async (seriesId, actorId = null, actorRole = null) => {
+  const series = await loadSeriesForCustomer(seriesId, actorId, actorRole);
+  if (series.status === BOOKING_SERIES_STATUS.CANCELLED) {
+    throw new ConflictError('Chuỗi booking đã bị hủy');
+  }
+
+  const now = new Date();
+  const bookings = await Booking.find({
+    seriesId: series._id,
+    status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED] }
+  }).populate('scheduleId', 'startTime endTime').lean();
+
+  const upcoming = bookings
+    .filter(b => b.scheduleId && new Date(b.scheduleId.startTime) > now)
+    .sort((a, b) => new Date(a.scheduleId.startTime) - new Date(b.scheduleId.startTime));
+
+  const cancelled = [];
+  const failed = [];
+  for (const b of upcoming) {
+    try {
+      const result = await cancelBooking(b._id);
+      cancelled.push({
+        bookingId: b._id,
+        startTime: b.scheduleId.startTime,
+        refundAmount: result.financials?.refundAmount || 0
+      });
+    } catch (err) {
+      logger.error(`Failed to cancel series occurrence ${b._id}`, err);
+      failed.push({ bookingId: b._id, startTime: b.scheduleId.startTime, error: err.message });
+    }
+  }
+
+  const remainingOccurrences = await markSeriesCancelledIfEmpty(series);
+
+  return {
+    seriesId: series._id,
+    seriesStatus: series.status,
+    cancelled,
+    failed,
+    totalRefundAmount: cancelled.reduce((sum, c) => sum + c.refundAmount, 0),
+    remainingOccurrences
+  };
+};
+
+// #endregion
+
+// #region Group Bookings
+
+const MAX_GROUP_ITEMS = 5;
+
+const loadGroupForActor = async (groupId, actorId, actorRole) => {
+  const group = await BookingGroup.findById(groupId);
+  if (!group) throw new NotFoundError('Nhóm booking không tồn tại');
+  if (actorRole === USER_ROLES.CUSTOMER && group.userId.toString() !== actorId?.toString()) {
+    throw new UnauthorizedError('Bạn không có quyền thao tác trên nhóm booking này');
+  }
+  return group;
+};
+
+/**
+ * Cancel pending PayOS links of a group (best-effort on the gateway side)
+ */
+const cancelPendingGroupPayments = (groupId, reason, session = null) => cancelPendingPayments(
+  { targetId: groupId, targetModel: TARGET_MODEL.BOOKING_GROUP },
+  reason,
+  session
+);
+
+/**
+ * Create a group booking across several studios in one checkout.
+ * All schedules are reserved atomically (locks + one transaction); the promotion is
+ * validated once against the group subtotal and the discount is split pro rata across
+ * members. The group is paid with a single PayOS payment.
+ * @param {Object} data - { userId, items: [{ scheduleId } | { studioId, startTime, endTime }, details?], promoCode, payType, notes }
+ */
+export const createBookingGroup = async (data) => {
+  const { userId, items, promoCode, payType, notes } = data;
+  if (!userId) throw new ValidationError('ID người dùng là bắt buộc');
+  if (!Array.isArray(items) || items.length < 2) {
+    throw new ValidationError('Nhóm booking cần ít nhất 2 lịch studio');
+  }
+  if (items.length > MAX_GROUP_ITEMS) {
+    throw new ValidationError(`Nhóm booking tối đa ${MAX_GROUP_ITEMS} lịch studio`);
+  }
+
+  // Same lock keys as createBooking so group and single bookings exclude each other
+  const lockKeys = items.map((item) => {
+    if (item.scheduleId) return `booking:schedule:${item.scheduleId}`;
+    if (!item.studioId || !item.startTime || !item.endTime) {
+      throw new ValidationError('Thiếu thông tin lịch: studioId, startTime, endTime là bắt buộc');
+    }
+    return `booking:studio:${item.studioId}:${new Date(item.startTime).getTime()}:${new Date(item.endTime).getTime()}`;
+  });
+  if (new Set(lockKeys).size !== lockKeys.length) {
+    throw new ValidationError('Nhóm booking có lịch bị trùng lặp');
+  }
+
+  const acquired = [];
+  const releaseAll = async () => {
+    for (const { key, token } of acquired) {
+      await releaseLock(key, token);
+    }
+  };
+  for (const key of lockKeys) {
+    const token = await acquireLock(key, MULTI_SLOT_LOCK_TTL_SECONDS);
+    if (!token) {
+      await releaseAll();
+      throw new ConflictError('Lịch đang được đặt bởi người dùng khác. Vui lòng thử lại.');
+    }
+    acquired.push({ key, token });
+  }
+
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    result = await session.withTransaction(async () => {
+      const [group] = await BookingGroup.create([{ userId, payType, notes, members: [] }], { session });
+
+      const bookings = [];
+      for (const item of items) {
+        const booking = await reserveBookingInSession({
+          userId,
+          scheduleId: item.scheduleId,
+          studioId: item.studioId,
+          startTime: item.startTime,
+          endTime: item.endTime,
+          details: item.details,
+          payType,
+          notes,
+          groupId: group._id
+        }, session);
+        bookings.push(booking);
+      }
+
+      const subtotal = Math.round(bookings.reduce((sum, b) => sum + b.totalBeforeDiscount, 0) * 100) / 100;
+
+      // Promotion is applied once to the whole group
+      let promotion = null;
+      let discountAmount = 0;
+      if (promoCode) {
+        const applied = await validateAndApplyPromotion(promoCode, userId, subtotal);
+        promotion = applied.promotion;
+        discountAmount = Math.round(applied.discountAmount * 100) / 100;
+      }
+
+      // Split the discount pro rata; the last member absorbs rounding
+      let remainingDiscount = discountAmount;
+      bookings.forEach((booking, index) => {
+        const share = index === bookings.length - 1
+          ? remainingDiscount
+          : Math.round((subtotal > 0 ? discountAmount * booking.totalBeforeDiscount / subtotal : 0) * 100) / 100;
+        const memberDiscount = Math.min(share, booking.totalBeforeDiscount);
+        remainingDiscount = Math.round((remainingDiscount - memberDiscount) * 100) / 100;
+        booking.discountAmount = memberDiscount;
+        booking.finalAmount = Math.max(0, booking.totalBeforeDiscount - memberDiscount);
+      });
+
+      for (const booking of bookings) {
+        await booking.save({ session });
+      }
+
+      group.members = bookings.map(b => ({ bookingId: b._id, amount: b.finalAmount }));
+      group.totalBeforeDiscount = subtotal;
+      group.discountAmount = discountAmount;
+      group.finalAmount = bookings.reduce((sum, b) => sum + b.finalAmount, 0);
+      group.promoId = promotion?._id;
+      await group.save({ session });
+
+      return { group, bookings, promotion, discountAmount };
+    }, { writeConcern: { w: 'majority' }, readConcern: { level: 'majority' } });
+  } finally {
+    session.endSession();
+    await releaseAll();
+  }
+
+  const { group, bookings } = result;
+
+  if (result.promotion) {
+    try {
+      await incrementPromotionUsage(result.promotion._id, result.discountAmount);
+    } catch (promoErr) {
+      logger.error('Failed to increment promotion usage for booking group', promoErr);
+    }
+  }
+
+  try {
+    await createAndSendNotification(
+      userId,
+      NOTIFICATION_TYPE.CONFIRMATION,
+      'Nhóm booking đã được tạo',
+      `Đã đặt ${bookings.length} studio trong một lần thanh toán. Tổng tiền: ${group.finalAmount.toLocaleString('vi-VN')} VND`,
+      true,
+      null,
+      bookings[0]._id
+    );
+  } catch (notifyErr) {
+    logger.error('Failed to send booking group notification:', notifyErr);
+  }
+
+  let paymentOptions = [];
+  try {
+    paymentOptions = await createPaymentOptions(group._id, TARGET_MODEL.BOOKING_GROUP);
+  } catch (paymentErr) {
+    logger.error('Failed to create group payment options:', paymentErr);
+  }
+
+  return { group, bookings, paymentOptions };
+};
+
+/**
+ * Create (or return still-valid) PayOS payment options for a group
+ */
+export const createBookingGroupPaymentOptions = async (groupId, actorId = null, actorRole = null) => {
+  const group = await loadGroupForActor(groupId, actorId, actorRole);
+  return createPaymentOptions(group._id, TARGET_MODEL.BOOKING_GROUP);
+};
+
+/**
+ * Get a group with its member bookings
+ */
+export const getBookingGroupById = async (groupId, userId = null, userRole = null) => {
+  const query = { _id: groupId };
+  if (userRole === USER_ROLES.CUSTOMER && userId) {
+    query.userId = userId;
+  }
+
+  const group = await BookingGroup.findOne(query)
+    .populate('promoId', 'name code')
+    .lean();
+  if (!group) throw new NotFoundError('Nhóm booking không tồn tại');
+
+  const bookings = await Booking.find({ groupId: group._id })
+    .populate({
+      path: 'scheduleId',
+      select: 'startTime endTime status studioId',
+      populate: { path: 'studioId', select: 'name location' }
+    })
+    .select('status totalBeforeDiscount discountAmount finalAmount payType financials scheduleId')
+    .lean();
+
+  const members = bookings.map(b => ({
+    bookingId: b._id,
+    status: b.status,
+    studio: b.scheduleId?.studioId || null,
+    startTime: b.scheduleId?.startTime,
+    endTime: b.scheduleId?.endTime,
+    totalBeforeDiscount: b.totalBeforeDiscount,
+    discountAmount: b.discountAmount,
+    finalAmount: b.finalAmount,
+    refundAmount: b.financials?.refundAmount || 0,
+  }));
+
+  const payments = await Payment.find({ targetId: group._id, targetModel: TARGET_MODEL.BOOKING_GROUP })
+    .select('amount payType status paidAt qrCodeUrl transactionId createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return { ...group, members, payments };
+};
+
+/**
+ * Cancel one member of a group. The room policy applies to that booking only.
+ * While the group is unpaid the member is dropped from the group total and stale
+ * PayOS links are cancelled so new options can be created for the new amount.
+ */
+export const cancelBookingGroupMember = async (groupId, bookingId, actorId = null, actorRole = null) => {
+  const group = await loadGroupForActor(groupId, actorId, actorRole);
+
+  const member = await Booking.findOne({ _id: bookingId, groupId: group._id })
+    .select('_id totalBeforeDiscount discountAmount')
+    .lean();
+  if (!member) throw new NotFoundError('Booking không thuộc nhóm này');
+
+  const cancelled = await cancelBooking(bookingId);
+
+  const hasGroupPayment = await Payment.exists({
+    targetId: group._id,
+    targetModel: TARGET_MODEL.BOOKING_GROUP,
+    status: PAYMENT_STATUS.PAID
+  });
+
+  if (!hasGroupPayment) {
+    group.members = group.members.filter(m => !m.bookingId.equals(member._id));
+    group.totalBeforeDiscount = Math.max(0, group.totalBeforeDiscount - member.totalBeforeDiscount);
+    group.discountAmount = Math.max(0, group.discountAmount - member.discountAmount);
+    group.finalAmount = group.members.reduce((sum, m) => sum + m.amount, 0);
+    await cancelGatewayLinks(await cancelPendingGroupPayments(group._id, 'Group member cancelled'), 'Group member cancelled');
+  }
+
+  const activeMembers = await Booking.countDocuments({
+    groupId: group._id,
+    status: { $in: ACTIVE_OCCURRENCE_STATUSES }
+  });
+  if (activeMembers === 0) {
+    group.status = BOOKING_STATUS.CANCELLED;
+    await cancelGatewayLinks(await cancelPendingGroupPayments(group._id, 'Booking group cancelled'), 'Booking group cancelled');
+  }
+  await group.save();
+
+  return { booking: cancelled, group };
+};
+
+/**
+ * Cancel every active member of a group (policy applied per member) and the group payment links
+ */
+export const cancelBookingGroup = async (groupId, actorId = null, actorRole = null) => {
+  const group = await loadGroupForActor(groupId, actorId, actorRole);
+  if (group.status === BOOKING_STATUS.CANCELLED) {
+    throw new ConflictError('Nhóm booking đã bị hủy');
+  }
+
+  const members = await Booking.find({
+    groupId: group._id,
+    status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED] }
+  }).select('_id').lean();
+
+  const cancelled = [];
+  const failed = [];
+  for (const m of members) {
+    try {
+      const result = await cancelBooking(m._id);
+      cancelled.push({ bookingId: m._id, refundAmount: result.financials?.refundAmount || 0 });
+    } catch (err) {
+      logger.error(`Failed to cancel group member ${m._id}`, err);
+      failed.push({ bookingId: m._id, error: err.message });
+    }
+  }
+
+  if (failed.length === 0) {
+    group.status = BOOKING_STATUS.CANCELLED;
+    await cancelGatewayLinks(await cancelPendingGroupPayments(group._id, 'Booking group cancelled'), 'Booking group cancelled');
+    await group.save();
+  }
+
+  return {
+    groupId: group._id,
+    groupStatus: group.status,
+    cancelled,
+    failed,
+    totalRefundAmount: cancelled.reduce((sum, c) => sum + c.refundAmount, 0)
+  };
+};
+
+/**
+ * Create refund requests for every cancelled member that still has a refundable amount
+ * @param {Object} opts - Same bank info as createRefundRequest ({ bankName, accountNumber, accountName, reason, userId })
+ */
+export const createBookingGroupRefundRequests = async (groupId, opts = {}, actorRole = null) => {
+  const group = await loadGroupForActor(groupId, opts.userId, actorRole);
+
+  const members = await Booking.find({ groupId: group._id, status: BOOKING_STATUS.CANCELLED })
+    .select('_id')
+    .lean();
+  if (members.length === 0) {
+    throw new ValidationError('Nhóm không có booking nào đã hủy để hoàn tiền');
+  }
+
+  const refunds = [];
+  const skipped = [];
+  for (const m of members) {
+    try {
+      refunds.push(await createRefundRequest(m._id, opts));
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      skipped.push({ bookingId: m._id, reason: err.message });
+    }
+  }
+
+  if (refunds.length === 0) {
+    throw new ValidationError(skipped[0]?.reason || 'Không có số tiền để hoàn lại');
+  }
+
+  return { groupId: group._id, refunds, skipped };
+};
+
+// #endregion
+
+// #region Checkout Holds
+
+/**
+ * Release one expired checkout hold: cancel the booking that never reached its deposit, its payment links
+ * and any partial payment (back to the wallet), and free the schedule, all in one transaction.
+ * @returns {Object|null} { booking, restoredPoints, refundedAmount, cancelledLinks } for the cancelled booking, or null when the hold was still needed / already resolved
+ */
+const expireCheckoutHold = async (scheduleId) => {
+  const session = await mongoose.startSession();
+  try {
+    return await session.withTransaction(async () => {
+      const now = new Date();
+      const schedule = await Schedule.findById(scheduleId).session(session);
+      if (!schedule || schedule.status !== SCHEDULE_STATUS.BOOKED || !schedule.holdExpiresAt || schedule.holdExpiresAt > now) {
+        return null;
+      }
+
+      const booking = schedule.bookingId ? await Booking.findById(schedule.bookingId).session(session) : null;
+      if (!booking || booking.status !== BOOKING_STATUS.PENDING) {
+        // Confirmed or resolved elsewhere: the hold is no longer needed
+        await clearScheduleHold(schedule._id, session);
+        return null;
+      }
+
+      // A payment link created after the job picked up the schedule keeps the hold alive
+      const paymentFilter = booking.groupId
+        ? { $or: [{ bookingId: booking._id }, { targetId: booking.groupId, targetModel: TARGET_MODEL.BOOKING_GROUP }] }
+        : { bookingId: booking._id };
+      const liveLink = await Payment.findOne({
+        ...paymentFilter,
+        status: PAYMENT_STATUS.PENDING,
+        expiresAt: { $gt: now }
+      }).sort({ expiresAt: -1 }).session(session);
+      if (liveLink) {
+        schedule.holdExpiresAt = liveLink.expiresAt;
+        await schedule.save({ session });
+        return null;
+      }
+
+      booking.status = BOOKING_STATUS.CANCELLED;
+      booking.events.push({
+        type: BOOKING_EVENT_TYPE.CANCELLED,
+        timestamp: now,
+        details: { reason: 'HOLD_EXPIRED', holdExpiresAt: schedule.holdExpiresAt }
+      });
+      await booking.save({ session });
+
+      const cancelledLinks = await cancelPendingPayments({ bookingId: booking._id }, 'Checkout hold expired', session);
+
+      if (booking.groupId) {
+        const activeMembers = await Booking.countDocuments({
+          groupId: booking.groupId,
+          status: { $in: ACTIVE_OCCURRENCE_STATUSES }
+        }).session(session);
+        if (activeMembers === 0) {
+          await BookingGroup.updateOne({ _id: booking.groupId }, { status: BOOKING_STATUS.CANCELLED }, { session });
+          cancelledLinks.push(...await cancelPendingGroupPayments(booking.groupId, 'Checkout hold expired', session));
+        }
+      }
+
+      // Still pending means less than the deposit was paid (e.g. a wallet share whose remaining
+      // link lapsed): the slot is released, so whatever was paid goes back to the wallet
+      const paidPayments = await Payment.find({
+        $or: [{ bookingId: booking._id }, { targetId: booking._id }],
+        status: PAYMENT_STATUS.PAID
+      }).session(session);
+      if (booking.groupId && await BookingGroup.exists({ _id: booking.groupId, status: BOOKING_STATUS.CANCELLED }).session(session)) {
+        paidPayments.push(...await Payment.find({
+          targetId: booking.groupId,
+          targetModel: TARGET_MODEL.BOOKING_GROUP,
+          status: PAYMENT_STATUS.PAID
+        }).session(session));
+      }
+      let refundedAmount = 0;
+      for (const payment of paidPayments) {
+        await refundPaymentToWallet({
+          payment,
+          userId: booking.userId,
+          description: `Hoàn tiền ${payment.paymentCode}: booking #${booking._id.toString().slice(-8)} hết hạn giữ chỗ`,
+          reason: 'HOLD_EXPIRED'
+        }, session);
+        refundedAmount += payment.amount;
+      }
+
+      await releaseBookingEquipment(booking._id, session);
+      await freeScheduleService(schedule._id, session);
+
+      // The booking was never confirmed: the points redeemed at checkout go back to the customer
+      const restoredPoints = booking.loyaltyPointsRedeemed > 0
+        ? await restoreRedeemedPoints({ referenceModel: 'Booking', referenceId: booking._id }, session)
+        : null;
+
+      return { booking, restoredPoints, refundedAmount, cancelledLinks };
+    }, { writeConcern: { w: 'majority' }, readConcern: { level: 'majority' } });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Release every checkout hold that expired without payment (run by the slot-hold job).
+ * Freed slots are offered to the waitlist.
+ * @returns {number} Number of bookings cancelled
+ */
+export const releaseExpiredHolds = async (io = null) => {
+  const expired = await Schedule.find({
+    status: SCHEDULE_STATUS.BOOKED,
+    holdExpiresAt: { $lte: new Date() }
+  }).select('_id').limit(200).lean();
+
+  let released = 0;
+  for (const { _id: scheduleId } of expired) {
+    try {
+      const result = await expireCheckoutHold(scheduleId);
+      if (!result) continue;
+      const { booking, restoredPoints, refundedAmount, cancelledLinks } = result;
+      released++;
+      await cancelGatewayLinks(cancelledLinks, 'Checkout hold expired');
+
+      const refundNote = refundedAmount > 0 ? ` ${refundedAmount.toLocaleString()} VND đã thanh toán được hoàn vào ví.` : '';
+      try {
+        await createAndSendNotification(
+          booking.userId,
+          NOTIFICATION_TYPE.WARNING,
+          'Booking đã hết hạn giữ chỗ',
+          `Booking #${booking._id.toString().slice(-8)} đã bị hủy do chưa thanh toán đủ tiền cọc trong thời gian giữ chỗ. Khung giờ đã được mở lại.${refundNote}`,
+          false,
+          io,
+          booking._id
+        );
+      } catch (notifyErr) {
+        logger.error('Failed to send hold expiry notification:', notifyErr);
+      }
+      await notifyPointsRestored(restoredPoints);
+
+      if (booking.seriesId) {
+        const series = await BookingSeries.findById(booking.seriesId);
+        if (series) await markSeriesCancelledIfEmpty(series);
+      }
+
+      await releaseSlotToWaitlist(scheduleId, io);
+    } catch (err) {
+      logger.error(`Failed to release expired hold for schedule ${scheduleId}`, err);
+    }
+  }
+
+  return released;
+};
+
+// #endregion
+
 export default {
   createBooking,
   getBookingById,
@@ -1617,9 +3326,24 @@ export default {
   cancelBooking,
   markAsNoShow,
   confirmBooking,
+  assignOnDutyStaff,
   checkInBooking,
   checkOutBooking,
   getBookingsForStaff,
   getMaxExtensionTime,
   extendBooking,
+  rescheduleBooking,
+  modifyBookingItems,
+  previewBookingSeries,
+  createBookingSeries,
+  getBookingSeriesById,
+  cancelSeriesOccurrence,
+  cancelBookingSeries,
+  createBookingGroup,
+  createBookingGroupPaymentOptions,
+  getBookingGroupById,
+  cancelBookingGroupMember,
+  cancelBookingGroup,
+  createBookingGroupRefundRequests,
+  releaseExpiredHolds,
 };
@@ -1,14 +1,30 @@
 // #region Imports
+import mongoose from 'mongoose';
 import BookingDetail from '../models/Booking/bookingDetail.model.js';
-import { Equipment, Service } from '../models/index.js';
+import { Booking, Service } from '../models/index.js';
 import { ValidationError, NotFoundError } from '../utils/errors.js';
-import { reserveEquipment, releaseEquipment } from './equipment.service.js';
+import { checkEquipmentAvailability, refreshEquipmentSnapshot } from './equipment.service.js';
+import { checkKitAvailability, allocateKitSubtotals } from './equipmentKit.service.js';
 import logger from '../utils/logger.js';
 // #endregion
 
+/**
+ * Time window the equipment of a booking is held for (its schedule)
+ */
+const loadBookingWindow = async (bookingId, session = null) => {
+  const booking = await Booking.findById(bookingId).select('scheduleId').populate('scheduleId', 'startTime endTime').session(session).lean();
+  if (!booking?.scheduleId) {
+    throw new NotFoundError('Lịch của booking không tồn tại');
+  }
+  return { startTime: booking.scheduleId.startTime, endTime: booking.scheduleId.endTime };
+};
+
 /**
  * Create booking detail items for a booking
- * detailsArray: [{ detailType, equipmentId?, extraServiceId?, quantity }]
+ * detailsArray: [{ detailType, equipmentId?, kitId?, extraServiceId?, quantity }]
+ * Equipment is checked against the booking's schedule window (details already created in the session count)
+ * A kit ({ detailType: 'equipment', kitId, quantity: number of kits }) becomes one equipment detail per component,
+ * all components are checked together and the kit price is split over them
  * Returns { details: [BookingDetail], total }
  */
 export const createBookingDetails = async (bookingId, detailsArray, session = null, durationHours = 1) => {
@@ -21,7 +37,7 @@ export const createBookingDetails = async (bookingId, detailsArray, session = nu
     }
 
     const created = [];
-    const reserved = [];
+    let window = null;
     let total = 0;
 
     try {
@@ -41,29 +57,38 @@ export const createBookingDetails = async (bookingId, detailsArray, session = nu
           throw new ValidationError('Số lượng phải lớn hơn hoặc bằng 1');
         }
 
-        if (detailType === 'equipment') {
-          if (!equipmentId) {
-            throw new ValidationError('ID thiết bị là bắt buộc cho chi tiết thiết bị');
-          }
+        if (detailType === 'equipment' && item.kitId) {
+          window = window || await loadBookingWindow(bookingId, session);
+          const { kit, quantity: kitQty, pricePerHour, lines } = await checkKitAvailability(item.kitId, quantity, { ...window, session });
 
-          const equipment = await Equipment.findById(equipmentId);
-          if (!equipment) {
-            throw new NotFoundError('Thiết bị không tồn tại');
-          }
-
-          // Check if equipment is available
-          if (equipment.availableQty <= 0) {
-            throw new ValidationError(`Thiết bị "${equipment.name}" không khả dụng`);
-          }
+          const kitTotal = pricePerHour * kitQty;
+          const subtotals = allocateKitSubtotals(lines, kitTotal);
+          const lineId = new mongoose.Types.ObjectId();
 
-          // Validate quantity against available stock
-          if (quantity > equipment.availableQty) {
-            throw new ValidationError(`Số lượng thiết bị yêu cầu (${quantity}) vượt quá số lượng khả dụng (${equipment.availableQty})`);
+          const kitDetails = await BookingDetail.create(
+            lines.map((line, index) => ({
+              bookingId,
+              detailType,
+              equipmentId: line.equipmentId,
+              description: `${kit.name}: ${line.name}`,
+              quantity: line.quantity,
+              pricePerUnit: Math.round(subtotals[index] / line.quantity),
+              subtotal: subtotals[index],
+              kit: { kitId: kit._id, lineId, name: kit.name, quantity: kitQty },
+            })),
+            { session, ordered: true },
+          );
+
+          created.push(...kitDetails);
+          total += kitTotal;
+        } else if (detailType === 'equipment') {
+          if (!equipmentId) {
+            throw new ValidationError('ID thiết bị là bắt buộc cho chi tiết thiết bị');
           }
 
-        // Reserve equipment (atomic)
-        await reserveEquipment(equipmentId, quantity, session);
-        reserved.push({ equipmentId, quantity });
+          // Units free during the whole booking window
+          window = window || await loadBookingWindow(bookingId, session);
+          const { equipment } = await checkEquipmentAvailability(equipmentId, quantity, { ...window, session });
 
         const pricePerUnit = equipment.pricePerHour || 0;
         const subtotal = pricePerUnit * quantity;
@@ -125,9 +150,11 @@ export const createBookingDetails = async (bookingId, detailsArray, session = nu
         }
       }
 
+      await refreshBookingEquipmentSnapshot(created, session);
+
       return { details: created, total };
     } catch (err) {
-    // Rollback: delete created details and release reserved equipment
+    // Rollback: delete created details (their reservation goes with them)
     try {
       if (created.length > 0) {
           const ids = created.map((d) => d._id);
@@ -137,14 +164,6 @@ export const createBookingDetails = async (bookingId, detailsArray, session = nu
             await BookingDetail.deleteMany({ _id: { $in: ids } });
           }
       }
-      for (const r of reserved) {
-        try {
-          await releaseEquipment(r.equipmentId, r.quantity);
-        } catch (releaseErr) {
-          // log & continue
-          logger.error('Failed to release equipment during rollback', releaseErr);
-        }
-      }
     } catch (rollbackErr) {
         logger.error('Rollback failed', rollbackErr);
       }
@@ -160,6 +179,19 @@ export const createBookingDetails = async (bookingId, detailsArray, session = nu
   }
 };
 
+/**
+ * Update the "now" counters of the equipment in these details (errors are logged, never thrown)
+ */
+const refreshBookingEquipmentSnapshot = async (details, session = null) => {
+  const equipmentIds = details.filter(d => d.detailType === 'equipment' && d.equipmentId).map(d => d.equipmentId);
+  if (equipmentIds.length === 0) return;
+  try {
+    await refreshEquipmentSnapshot(equipmentIds, session);
+  } catch (err) {
+    logger.error('Failed to refresh equipment counters', err);
+  }
+};
+
 export const removeBookingDetails = async (bookingId, detailIds, session = null) => {
   try {
     if (!bookingId) {
@@ -171,23 +203,25 @@ export const removeBookingDetails = async (bookingId, detailIds, session = null)
 
     const query = BookingDetail.find({ bookingId, _id: { $in: detailIds } });
     if (session) query.session(session);
-    const toRemove = await query.lean();
+    let toRemove = await query.lean();
     if (!toRemove || toRemove.length === 0) {
-      return { removedTotal: 0 };
+      return { removedTotal: 0, removed: [] };
+    }
+
+    // A kit is removed as a whole: pull in the other components of the same kit line
+    const kitLineIds = [...new Set(toRemove.filter(d => d.kit?.lineId).map(d => d.kit.lineId.toString()))];
+    if (kitLineIds.length > 0) {
+      const kitQuery = BookingDetail.find({ bookingId, 'kit.lineId': { $in: kitLineIds } });
+      if (session) kitQuery.session(session);
+      const kitDetails = await kitQuery.lean();
+      const seen = new Set(toRemove.map(d => d._id.toString()));
+      toRemove = toRemove.concat(kitDetails.filter(d => !seen.has(d._id.toString())));
+      detailIds = toRemove.map(d => d._id);
     }
 
   let removedTotal = 0;
 
   for (const d of toRemove) {
-    // If equipment, release reserved units
-    if (d.detailType === 'equipment' && d.equipmentId) {
-      try {
-        await releaseEquipment(d.equipmentId, d.quantity, session);
-      } catch (err) {
-        // log and continue
-        logger.error('Failed to release equipment during removeBookingDetails', err);
-      }
-    }
     removedTotal += d.subtotal || 0;
   }
 
@@ -198,7 +232,10 @@ export const removeBookingDetails = async (bookingId, detailIds, session = null)
       await BookingDetail.deleteMany({ bookingId, _id: { $in: detailIds } });
     }
 
-    return { removedTotal };
+    // Removed equipment is free again for the booking window
+    await refreshBookingEquipmentSnapshot(toRemove, session);
+
+    return { removedTotal, removed: toRemove };
   } catch (error) {
     if (error instanceof ValidationError) {
       throw error;
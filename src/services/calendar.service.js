@@ -0,0 +1,195 @@
+// #region Imports
+import crypto from 'crypto';
+import { Booking, Schedule, Studio, User } from '../models/index.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { BOOKING_STATUS, BOOKING_EVENT_TYPE, USER_ROLES } from '../utils/constants.js';
+import { buildCalendar } from '../utils/ical.js';
+// #endregion
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Past bookings stay in the feed a while so cancellations / late changes still sync
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 365;
+const MAX_FEED_EVENTS = 1000;
+const UID_DOMAIN = 'studio-management';
+// Events that change the time or the status of a booking
+const SEQUENCE_EVENT_TYPES = [
+  BOOKING_EVENT_TYPE.RESCHEDULED,
+  BOOKING_EVENT_TYPE.EXTENDED,
+  BOOKING_EVENT_TYPE.CANCELLED,
+  BOOKING_EVENT_TYPE.NO_SHOW,
+];
+
+// #region Helpers
+
+const generateFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * SEQUENCE is derived from the booking history so every significant change bumps it:
+ * leaving PENDING counts once, each reschedule / extension / cancellation / no-show once more
+ */
+const bookingSequence = (booking) =>
+  (booking.status !== BOOKING_STATUS.PENDING ? 1 : 0)
+  + (booking.events || []).filter(e => SEQUENCE_EVENT_TYPES.includes(e.type)).length;
+
+const eventStatus = (booking) => {
+  if (booking.status === BOOKING_STATUS.CANCELLED) return 'CANCELLED';
+  if (booking.status === BOOKING_STATUS.PENDING) return 'TENTATIVE';
+  return 'CONFIRMED';
+};
+
+/**
+ * VEVENT data of a booking (scheduleId + studioId populated; userId populated for staff views)
+ * @param {Object} booking - Booking
+ * @param {Object} options - { audience: 'customer' | 'staff' }
+ */
+export const toCalendarEvent = (booking, { audience = 'customer' } = {}) => {
+  const schedule = booking.scheduleId;
+  const studio = schedule?.studioId;
+  const studioName = studio?.name || 'Studio';
+  const customerName = booking.userId?.fullName || booking.userId?.username;
+
+  const summary = audience === 'staff' && customerName
+    ? `${studioName} - ${customerName}`
+    : `Đặt studio: ${studioName}`;
+
+  const description = [
+    `Mã booking: ${booking._id}`,
+    `Trạng thái: ${booking.status}`,
+    `Tổng tiền: ${(booking.finalAmount || 0).toLocaleString('vi-VN')} VND`,
+    audience === 'staff' && booking.userId?.phone ? `Khách: ${customerName} - ${booking.userId.phone}` : null,
+    booking.notes ? `Ghi chú: ${booking.notes}` : null,
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: `booking-${booking._id}@${UID_DOMAIN}`,
+    sequence: bookingSequence(booking),
+    dtstamp: booking.updatedAt || new Date(),
+    lastModified: booking.updatedAt,
+    start: schedule.startTime,
+    end: schedule.endTime,
+    summary,
+    description,
+    location: [studioName, studio?.location].filter(Boolean).join(' - '),
+    status: eventStatus(booking),
+  };
+};
+
+const loadFeedBookings = async (query) => {
+  const now = Date.now();
+  const from = new Date(now - FEED_PAST_DAYS * DAY_MS);
+  const to = new Date(now + FEED_FUTURE_DAYS * DAY_MS);
+
+  const bookings = await Booking.find(query)
+    .populate({ path: 'scheduleId', select: 'startTime endTime studioId', populate: { path: 'studioId', select: 'name location' } })
+    .populate('userId', 'fullName username phone')
+    .sort({ createdAt: -1 })
+    .limit(MAX_FEED_EVENTS * 2)
+    .lean();
+
+  return bookings
+    .filter(b => b.scheduleId && new Date(b.scheduleId.endTime) >= from && new Date(b.scheduleId.startTime) <= to)
+    .slice(0, MAX_FEED_EVENTS);
+};
+
+// #endregion
+
+// #region Feed Links
+
+/**
+ * Personal feed link: customers get their bookings, staff/admin the bookings assigned to them.
+ * @param {string} userId - ID người dùng
+ * @param {string} baseUrl - API origin used to build the link
+ * @param {boolean} rotate - Issue a new token (the old link stops working)
+ */
+export const getUserFeedLink = async (userId, baseUrl, rotate = false) => {
+  const user = await User.findById(userId).select('+calendarFeedToken');
+  if (!user) throw new NotFoundError('Người dùng không tồn tại');
+
+  if (!user.calendarFeedToken || rotate) {
+    user.calendarFeedToken = generateFeedToken();
+    await user.save();
+  }
+
+  return { url: `${baseUrl}/api/calendar/feeds/users/${user.calendarFeedToken}.ics` };
+};
+
+/**
+ * Studio feed link (staff/admin): every booking of the studio
+ */
+export const getStudioFeedLink = async (studioId, baseUrl, rotate = false) => {
+  const studio = await Studio.findById(studioId).select('+calendarFeedToken');
+  if (!studio) throw new NotFoundError('Studio không tồn tại');
+
+  if (!studio.calendarFeedToken || rotate) {
+    studio.calendarFeedToken = generateFeedToken();
+    await studio.save();
+  }
+
+  return { url: `${baseUrl}/api/calendar/feeds/studios/${studio.calendarFeedToken}.ics` };
+};
+
+// #endregion
+
+// #region Feeds
+
+/**
+ * iCalendar body of a personal feed
+ * @param {string} token - Feed token from the link
+ */
+export const getUserFeed = async (token) => {
+  if (!token) throw new ValidationError('Token không hợp lệ');
+  const user = await User.findOne({ calendarFeedToken: token, isActive: true }).select('_id role fullName username').lean();
+  if (!user) throw new NotFoundError('Lịch không tồn tại');
+
+  const isCustomer = user.role === USER_ROLES.CUSTOMER;
+  const bookings = await loadFeedBookings(isCustomer ? { userId: user._id } : { assignedStaffId: user._id });
+
+  return buildCalendar({
+    name: isCustomer ? 'Lịch đặt studio' : `Lịch phụ trách - ${user.fullName || user.username}`,
+    events: bookings.map(b => toCalendarEvent(b, { audience: isCustomer ? 'customer' : 'staff' })),
+  });
+};
+
+/**
+ * iCalendar body of a studio feed
+ */
+export const getStudioFeed = async (token) => {
+  if (!token) throw new ValidationError('Token không hợp lệ');
+  const studio = await Studio.findOne({ calendarFeedToken: token }).select('_id name').lean();
+  if (!studio) throw new NotFoundError('Lịch không tồn tại');
+
+  const from = new Date(Date.now() - FEED_PAST_DAYS * DAY_MS);
+  const to = new Date(Date.now() + FEED_FUTURE_DAYS * DAY_MS);
+  const schedules = await Schedule.find({ studioId: studio._id, startTime: { $gte: from, $lte: to } }).select('_id').lean();
+  const bookings = await loadFeedBookings({ scheduleId: { $in: schedules.map(s => s._id) } });
+
+  return buildCalendar({
+    name: `Studio ${studio.name}`,
+    events: bookings.map(b => toCalendarEvent(b, { audience: 'staff' })),
+  });
+};
+
+/**
+ * Single-event .ics of a booking, attached to confirmation / reschedule emails
+ * @returns {string|null} - text/calendar body, null when the booking has no schedule
+ */
+export const buildBookingIcs = async (bookingId) => {
+  const booking = await Booking.findById(bookingId)
+    .populate({ path: 'scheduleId', select: 'startTime endTime studioId', populate: { path: 'studioId', select: 'name location' } })
+    .lean();
+  if (!booking?.scheduleId) return null;
+
+  return buildCalendar({ events: [toCalendarEvent(booking)] });
+};
+
+// #endregion
+
+export default {
+  toCalendarEvent,
+  getUserFeedLink,
+  getStudioFeedLink,
+  getUserFeed,
+  getStudioFeed,
+  buildBookingIcs,
+};
@@ -0,0 +1,223 @@
+// #region Imports
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { Booking } from '../models/index.js';
+import { AppError, NotFoundError, ValidationError, UnauthorizedError } from '../utils/errors.js';
+import { BOOKING_STATUS, USER_ROLES, CHECK_IN_ACTOR, NOTIFICATION_TYPE } from '../utils/constants.js';
+import { checkInBooking, checkOutBooking } from './booking.service.js';
+import { sendBookingConfirmationEmail } from './email.service.js';
+import { buildBookingIcs } from './calendar.service.js';
+import { createAndSendNotification } from './notification.service.js';
+import { formatDate, formatTime, formatDateTime } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+// #endregion
+
+const TOKEN_PURPOSE = 'booking-checkin';
+// Dedicated secret: check-in tokens must never be interchangeable with auth tokens (JWT_SECRET)
+const TOKEN_SECRET = () => {
+  const secret = process.env.CHECKIN_TOKEN_SECRET;
+  if (!secret) {
+    throw new AppError('Check-in bằng mã QR chưa được cấu hình (CHECKIN_TOKEN_SECRET)', 503);
+  }
+  return secret;
+};
+// Token stays valid this long after the booking ends (late self check-out)
+const TOKEN_VALID_AFTER_END_MINUTES = Number(process.env.CHECKIN_TOKEN_VALID_AFTER_END_MINUTES || '60');
+// Same window the no-show job uses when the policy snapshot has no grace period
+const DEFAULT_GRACE_MINUTES = Number(process.env.NO_SHOW_GRACE_MINUTES || '30');
+const QR_CID = 'checkin-qr';
+
+// #region Helpers
+
+const loadBookingWithSchedule = async (bookingId) => {
+  const booking = await Booking.findById(bookingId)
+    .populate({ path: 'scheduleId', select: 'startTime endTime studioId', populate: { path: 'studioId', select: 'name' } })
+    .populate('userId', 'email fullName username');
+  if (!booking) throw new NotFoundError('Booking không tồn tại');
+  if (!booking.scheduleId) throw new NotFoundError('Lịch không tồn tại');
+  return booking;
+};
+
+// The kiosk is a shared, unauthenticated screen: it only gets what it displays, never the customer's details
+const toKioskResult = (booking, schedule) => ({
+  bookingId: booking._id,
+  status: booking.status,
+  studioName: schedule.studioId?.name || null,
+  startTime: schedule.startTime,
+  endTime: schedule.endTime,
+  checkInAt: booking.checkInAt || null,
+  checkOutAt: booking.checkOutAt || null,
+  overtimeAmount: booking.overtime?.amount || 0,
+});
+
+// Self check-in closes when the no-show grace period from the policy snapshot runs out
+const resolveGraceMinutes = (booking) => {
+  const graceMinutes = booking.policySnapshots?.noShow?.noShowRules?.graceMinutes;
+  return Number.isFinite(graceMinutes) ? graceMinutes : DEFAULT_GRACE_MINUTES;
+};
+
+const signToken = (booking) => {
+  const expiresAt = new Date(new Date(booking.scheduleId.endTime).getTime() + TOKEN_VALID_AFTER_END_MINUTES * 60 * 1000);
+  const token = jwt.sign(
+    { sub: booking._id.toString(), purpose: TOKEN_PURPOSE },
+    TOKEN_SECRET(),
+    { expiresIn: Math.max(60, Math.floor((expiresAt.getTime() - Date.now()) / 1000)) }
+  );
+  return { token, expiresAt };
+};
+
+/**
+ * Verify a kiosk token and return the booking it was issued for
+ */
+const verifyCheckInToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    throw new ValidationError('Mã check-in là bắt buộc');
+  }
+  // Resolved outside the try: a missing secret is a 503, not an invalid token
+  const secret = TOKEN_SECRET();
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch (err) {
+    throw new UnauthorizedError(err.name === 'TokenExpiredError' ? 'Mã check-in đã hết hạn' : 'Mã check-in không hợp lệ');
+  }
+  if (payload.purpose !== TOKEN_PURPOSE || !payload.sub) {
+    throw new UnauthorizedError('Mã check-in không hợp lệ');
+  }
+  return payload.sub;
+};
+
+// #endregion
+
+// #region Token Issuing
+
+/**
+ * Issue a signed, time-limited check-in token for a confirmed booking.
+ * The token is valid until TOKEN_VALID_AFTER_END_MINUTES after the booking ends.
+ * @param {string} bookingId - ID của booking
+ * @param {string} userId - Chủ booking (customer chỉ lấy được mã của mình)
+ * @param {string} userRole - Role của người yêu cầu
+ * @returns {Object} - { token, expiresAt, qrDataUrl }
+ */
+export const issueCheckInToken = async (bookingId, userId = null, userRole = null) => {
+  const booking = await loadBookingWithSchedule(bookingId);
+
+  if (userRole === USER_ROLES.CUSTOMER && booking.userId?._id?.toString() !== userId?.toString()) {
+    throw new UnauthorizedError('Bạn không có quyền xem mã check-in của booking này');
+  }
+  if (![BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.CHECKED_IN].includes(booking.status)) {
+    throw new ValidationError('Chỉ booking đã xác nhận mới có mã check-in');
+  }
+
+  const { token, expiresAt } = signToken(booking);
+  const qrDataUrl = await QRCode.toDataURL(token, { errorCorrectionLevel: 'M', margin: 1, width: 280 });
+
+  return { token, expiresAt, qrDataUrl };
+};
+
+/**
+ * Email the booking confirmation with the check-in QR code and the .ics event.
+ * Best-effort: called after the booking is confirmed, never throws.
+ */
+export const sendCheckInPass = async (bookingId) => {
+  try {
+    const booking = await loadBookingWithSchedule(bookingId);
+    if (booking.status !== BOOKING_STATUS.CONFIRMED || !booking.userId?.email) return false;
+
+    // Without a check-in secret the confirmation still goes out, just without the QR
+    let checkIn;
+    if (process.env.CHECKIN_TOKEN_SECRET) {
+      const { token, expiresAt } = signToken(booking);
+      const qrPng = await QRCode.toBuffer(token, { errorCorrectionLevel: 'M', margin: 1, width: 280 });
+      checkIn = {
+        qrPng,
+        cid: QR_CID,
+        expiresAt: formatDateTime(expiresAt),
+        closesAt: formatTime(new Date(new Date(booking.scheduleId.startTime).getTime() + resolveGraceMinutes(booking) * 60 * 1000))
+      };
+    } else {
+      logger.warn(`CHECKIN_TOKEN_SECRET is not set: confirmation for booking ${bookingId} sent without check-in QR`);
+    }
+    const calendar = await buildBookingIcs(booking._id);
+
+    await sendBookingConfirmationEmail(booking.userId.email, {
+      bookingId: booking._id.toString(),
+      studioName: booking.scheduleId.studioId?.name || 'Studio',
+      date: formatDate(booking.scheduleId.startTime),
+      time: `${formatTime(booking.scheduleId.startTime)} - ${formatTime(booking.scheduleId.endTime)}`,
+      totalAmount: (booking.finalAmount || 0).toLocaleString('vi-VN'),
+      checkIn,
+      calendar
+    });
+    return true;
+  } catch (err) {
+    logger.error(`Failed to send check-in pass for booking ${bookingId}`, err);
+    return false;
+  }
+};
+
+// #endregion
+
+// #region Kiosk
+
+/**
+ * Self-service check-in from the kiosk by scanning the QR token.
+ * Same rules as staff check-in, plus the no-show grace window: once it has passed
+ * the customer has to go through staff.
+ */
+export const selfServiceCheckIn = async (token) => {
+  const bookingId = verifyCheckInToken(token);
+  const booking = await loadBookingWithSchedule(bookingId);
+
+  // Scanning again after check-in is a no-op
+  if (booking.status === BOOKING_STATUS.CHECKED_IN) {
+    return toKioskResult(booking, booking.scheduleId);
+  }
+
+  const graceMinutes = resolveGraceMinutes(booking);
+  const closesAt = new Date(new Date(booking.scheduleId.startTime).getTime() + graceMinutes * 60 * 1000);
+  if (new Date() > closesAt) {
+    throw new ValidationError(`Đã quá thời gian tự check-in (${graceMinutes} phút sau giờ bắt đầu). Vui lòng liên hệ nhân viên.`);
+  }
+
+  const checkedIn = await checkInBooking(booking._id, booking.userId?._id || null, { actor: CHECK_IN_ACTOR.SELF_SERVICE });
+
+  // The assigned staff member hands over the equipment
+  if (checkedIn.assignedStaffId) {
+    try {
+      await createAndSendNotification(
+        checkedIn.assignedStaffId,
+        NOTIFICATION_TYPE.INFO,
+        'Khách đã tự check-in',
+        `Khách của booking #${checkedIn._id.toString().slice(-8)} (${booking.scheduleId.studioId?.name || 'studio'}) đã check-in tại kiosk. Vui lòng chuẩn bị bàn giao thiết bị.`,
+        false,
+        null,
+        checkedIn._id
+      );
+    } catch (notifyErr) {
+      logger.error('Failed to notify assigned staff about self check-in', notifyErr);
+    }
+  }
+
+  return toKioskResult(checkedIn, booking.scheduleId);
+};
+
+/**
+ * Self-service check-out from the kiosk by scanning the same QR token (scanning again is a no-op)
+ */
+export const selfServiceCheckOut = async (token) => {
+  const bookingId = verifyCheckInToken(token);
+  const booking = await loadBookingWithSchedule(bookingId);
+
+  const checkedOut = await checkOutBooking(booking._id, booking.userId?._id || null, { actor: CHECK_IN_ACTOR.SELF_SERVICE });
+  return toKioskResult(checkedOut, booking.scheduleId);
+};
+
+// #endregion
+
+export default {
+  issueCheckInToken,
+  sendCheckInPass,
+  selfServiceCheckIn,
+  selfServiceCheckOut,
+};
@@ -121,6 +121,13 @@ const createBookingConfirmationTemplate = (bookingDetails) => {
           <p><strong>Giờ:</strong> ${bookingDetails.time}</p>
           <p><strong>Tổng tiền:</strong> ${bookingDetails.totalAmount} VNĐ</p>
         </div>
+        ${bookingDetails.checkIn ? `
+        <div style="text-align: center; margin-top: 20px;">
+          <p style="margin-bottom: 10px;"><strong>Mã QR check-in</strong></p>
+          <img src="cid:${bookingDetails.checkIn.cid}" alt="QR check-in" width="220" height="220" style="border: 1px solid #eee; border-radius: 8px;" />
+          <p style="font-size: 14px; color: #777;">Quét mã tại kiosk để tự check-in (trước ${bookingDetails.checkIn.closesAt}) và check-out.</p>
+          <p style="font-size: 12px; color: #aaa;">Mã có hiệu lực đến ${bookingDetails.checkIn.expiresAt}. Không chia sẻ mã này cho người khác.</p>
+        </div>` : ''}
         <p style="font-size: 14px; color: #777; margin-top: 20px; text-align: center;">Cảm ơn bạn đã sử dụng dịch vụ của chúng tôi!</p>
       </div>
       <div style="background: #f9fafb; padding: 15px; text-align: center; font-size: 12px; color: #aaa;">
@@ -201,6 +208,45 @@ const createNoShowTemplate = (details) => {
     </div>
   </div>`;
 };
+/**
+ * Tạo HTML template cho email đổi lịch booking
+ * @param {Object} details - { bookingId, studioName, oldDate, oldTime, date, time, fee }
+ */
+const createBookingRescheduleTemplate = (details) => {
+  return `
+  <div style="font-family: Arial, sans-serif; background: #f4f6f8; padding: 30px;">
+    <div style="max-width: 500px; margin: auto; background: #ffffff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.1);">
+      <div style="background: linear-gradient(135deg,#6a11cb 0%,#2575fc 100%); padding: 20px; text-align: center; color: white;">
+        <h1 style="margin: 0; font-size: 22px; font-weight: bold; color: white;">Studio Management</h1>
+      </div>
+      <div style="padding: 30px; color: #333;">
+        <h2 style="margin-bottom: 10px; text-align: center;">Đổi lịch đặt phòng</h2>
+        <p style="margin-bottom: 20px; text-align: center;">Booking của bạn đã được chuyển sang lịch mới.</p>
+        <div style="background: #f9fafb; padding: 15px; border-radius: 5px;">
+          <p><strong>Mã đặt phòng:</strong> ${details.bookingId}</p>
+          <p><strong>Studio:</strong> ${details.studioName}</p>
+          ${details.oldDate ? `<p><strong>Lịch cũ:</strong> <span style="text-decoration: line-through;">${details.oldDate} ${details.oldTime}</span></p>` : ''}
+          <p><strong>Lịch mới:</strong> ${details.date} ${details.time}</p>
+          ${details.fee ? `<p><strong>Phí đổi lịch:</strong> ${details.fee.toLocaleString('vi-VN')} VNĐ</p>` : ''}
+        </div>
+        <p style="font-size: 14px; color: #777; margin-top: 20px; text-align: center;">Mở file lịch đính kèm để cập nhật sự kiện trong lịch của bạn.</p>
+      </div>
+      <div style="background: #f9fafb; padding: 15px; text-align: center; font-size: 12px; color: #aaa;">
+        &copy; ${new Date().getFullYear()} StudioManagement. All rights reserved.
+      </div>
+    </div>
+  </div>`;
+};
+
+/**
+ * File .ics đính kèm (cùng UID với feed lịch nên client lịch sẽ cập nhật sự kiện cũ)
+ * @param {string} ics - Nội dung text/calendar
+ */
+const createCalendarAttachment = (ics) => ({
+  filename: "booking.ics",
+  content: ics,
+  contentType: "text/calendar; charset=utf-8; method=PUBLISH",
+});
 // #endregion
 
 // #region Email Sending Services
@@ -248,16 +294,32 @@ export const sendPasswordResetEmail = async (to, resetLink) => {
 /**
  * Gửi email xác nhận booking
  * @param {string} to - Email người nhận
- * @param {Object} bookingDetails - Chi tiết booking
+ * @param {Object} bookingDetails - Chi tiết booking (checkIn: { qrPng, cid, expiresAt, closesAt } để đính kèm mã QR check-in,
+ *   calendar: nội dung .ics để khách thêm vào lịch)
  */
 export const sendBookingConfirmationEmail = async (to, bookingDetails) => {
   try {
-    await transporter.sendMail({
+    const mailOptions = {
       from: `"Studio Management" <${EMAIL_CONFIG.USER}>`,
       to,
       subject: "Xác nhận đặt phòng - STUDIO MANAGEMENT",
       html: createBookingConfirmationTemplate(bookingDetails),
-    });
+    };
+
+    const attachments = [];
+    if (bookingDetails.checkIn?.qrPng) {
+      attachments.push({
+        filename: "checkin-qr.png",
+        content: bookingDetails.checkIn.qrPng,
+        cid: bookingDetails.checkIn.cid,
+      });
+    }
+    if (bookingDetails.calendar) {
+      attachments.push(createCalendarAttachment(bookingDetails.calendar));
+    }
+    if (attachments.length) mailOptions.attachments = attachments;
+
+    await transporter.sendMail(mailOptions);
     logger.success(`Booking confirmation email sent to ${to}`);
   } catch (error) {
     logger.error(`Failed to send booking confirmation email to ${to}`, error);
@@ -265,6 +327,32 @@ export const sendBookingConfirmationEmail = async (to, bookingDetails) => {
   }
 };
 
+/**
+ * Gửi email đổi lịch booking
+ * @param {string} to - Email người nhận
+ * @param {Object} details - { bookingId, studioName, oldDate, oldTime, date, time, fee, calendar }
+ */
+export const sendBookingRescheduleEmail = async (to, details = {}) => {
+  try {
+    const mailOptions = {
+      from: `"Studio Management" <${EMAIL_CONFIG.USER}>`,
+      to,
+      subject: "Đổi lịch đặt phòng - STUDIO MANAGEMENT",
+      html: createBookingRescheduleTemplate(details),
+    };
+
+    if (details.calendar) {
+      mailOptions.attachments = [createCalendarAttachment(details.calendar)];
+    }
+
+    await transporter.sendMail(mailOptions);
+    logger.success(`Booking reschedule email sent to ${to}`);
+  } catch (error) {
+    logger.error(`Failed to send booking reschedule email to ${to}`, error);
+    throw new Error(`EMAIL_SEND_FAILED: ${error.message}`);
+  }
+};
+
 /**
  * Gửi email thông tin tài khoản cho staff/admin mới
  * @param {string} to - Email người nhận
@@ -340,6 +428,7 @@ export default {
   sendVerificationEmail,
   sendPasswordResetEmail,
   sendBookingConfirmationEmail,
+  sendBookingRescheduleEmail,
   sendStaffCredentialsEmail,
   sendEmail,
 };
@@ -1,12 +1,25 @@
 // #region Imports
+import mongoose from 'mongoose';
 import Equipment from '../models/Equipment/equipment.model.js';
+import EquipmentOrder, { EQUIPMENT_ORDER_STATUS, getOrderEquipmentLines } from '../models/EquipmentOrder/equipmentOrder.model.js';
+import { Booking, BookingDetail, EquipmentUnit, EquipmentMaintenance } from '../models/index.js';
 import { createAndSendNotification } from '../services/notification.service.js';
 import { ValidationError, NotFoundError } from '../utils/errors.js';
-import { EQUIPMENT_STATUS, NOTIFICATION_TYPE } from '../utils/constants.js';
-import { escapeRegex } from '../utils/helpers.js';
+import { EQUIPMENT_STATUS, EQUIPMENT_UNIT_STATUS, EQUIPMENT_MAINTENANCE_STATUS, NOTIFICATION_TYPE, BOOKING_STATUS, BOOKING_DETAIL_TYPE } from '../utils/constants.js';
+import { escapeRegex, formatDateTime } from '../utils/helpers.js';
 import logger from '../utils/logger.js';
 // #endregion
 
+// Bookings / rental orders in these states hold their equipment for their time window
+const RESERVING_BOOKING_STATUSES = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.CHECKED_IN];
+const RESERVING_ORDER_STATUSES = [EQUIPMENT_ORDER_STATUS.PENDING, EQUIPMENT_ORDER_STATUS.CONFIRMED, EQUIPMENT_ORDER_STATUS.IN_USE];
+const RESERVING_MAINTENANCE_STATUSES = [EQUIPMENT_MAINTENANCE_STATUS.SCHEDULED, EQUIPMENT_MAINTENANCE_STATUS.IN_PROGRESS];
+// Longest range the public availability API answers in one call
+const MAX_AVAILABILITY_RANGE_DAYS = 31;
+// How far ahead reservations are looked at when the stock of an item is reduced
+const STOCK_CHANGE_HORIZON_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 // #region Helper Functions
 /**
  * Calculate equipment status based on quantities
@@ -18,14 +31,140 @@ const calculateEquipmentStatus = (equipment) => {
     return EQUIPMENT_STATUS.IN_USE;
   }
   
-  // Nếu TẤT CẢ đang maintenance → maintenance
-  if (equipment.maintenanceQty === equipment.totalQty && equipment.totalQty > 0) {
+  // Nếu TẤT CẢ đang maintenance (để riêng hoặc theo phiếu bảo trì) → maintenance
+  if (equipment.maintenanceQty + (equipment.scheduledMaintenanceQty || 0) === equipment.totalQty && equipment.totalQty > 0) {
     return EQUIPMENT_STATUS.MAINTENANCE;
   }
   
   // Còn lại → available (có thể mixed available + maintenance)
   return EQUIPMENT_STATUS.AVAILABLE;
 };
+
+/**
+ * Units that can be rented out in any window (maintenance units are out of the pool until staff puts them back).
+ * Maintenance work orders only take units out during their own window, like a reservation.
+ */
+const rentableCapacity = (equipment) => Math.max(0, (equipment.totalQty || 0) - (equipment.maintenanceQty || 0));
+
+/**
+ * Parse and validate a [startTime, endTime) window
+ * @param {number} maxDays - Optional limit on the window length
+ */
+const toAvailabilityWindow = (startTime, endTime, maxDays = null) => {
+  if (!startTime || !endTime) {
+    throw new ValidationError('Vui lòng chọn khung giờ (startTime, endTime)!');
+  }
+
+  const from = new Date(startTime);
+  const to = new Date(endTime);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw new ValidationError('Thời gian không hợp lệ!');
+  }
+  if (to <= from) {
+    throw new ValidationError('Thời gian kết thúc phải lớn hơn thời gian bắt đầu!');
+  }
+  if (maxDays && to - from > maxDays * DAY_MS) {
+    throw new ValidationError(`Chỉ có thể xem tối đa ${maxDays} ngày mỗi lần!`);
+  }
+
+  return { from, to };
+};
+
+/**
+ * Sweep the reservations of one item over [from, to) into segments of constant usage.
+ * Adjacent segments with the same usage are merged.
+ * reserved includes units held by maintenance work orders (maintenance shows their share).
+ * @returns {Object} - { timeline: [{ startTime, endTime, reserved, maintenance, available }], peakReserved }
+ */
+const buildAvailabilityTimeline = (reservations, from, to, capacity) => {
+  const points = new Set([from.getTime(), to.getTime()]);
+  reservations.forEach((r) => {
+    const start = new Date(r.startTime).getTime();
+    const end = new Date(r.endTime).getTime();
+    if (start > from.getTime() && start < to.getTime()) points.add(start);
+    if (end > from.getTime() && end < to.getTime()) points.add(end);
+  });
+  const sorted = [...points].sort((a, b) => a - b);
+
+  const timeline = [];
+  let peakReserved = 0;
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const segStart = sorted[i];
+    const segEnd = sorted[i + 1];
+    const overlapping = reservations
+      .filter(r => new Date(r.startTime).getTime() < segEnd && new Date(r.endTime).getTime() > segStart);
+    const reserved = overlapping.reduce((sum, r) => sum + (r.quantity || 0), 0);
+    const maintenance = overlapping
+      .filter(r => r.source === 'maintenance')
+      .reduce((sum, r) => sum + (r.quantity || 0), 0);
+    peakReserved = Math.max(peakReserved, reserved);
+
+    const last = timeline[timeline.length - 1];
+    if (last && last.reserved === reserved && last.maintenance === maintenance) {
+      last.endTime = new Date(segEnd);
+    } else {
+      timeline.push({
+        startTime: new Date(segStart),
+        endTime: new Date(segEnd),
+        reserved,
+        maintenance,
+        available: Math.max(0, capacity - reserved),
+      });
+    }
+  }
+
+  return { timeline, peakReserved };
+};
+
+/**
+ * Apply the usage at the current moment to the equipment counters
+ * (availableQty / inUseQty / scheduledMaintenanceQty / status).
+ * The counters are a snapshot for listings and dashboards; bookings and orders check their own window.
+ * @param {Object} usage - { inUse, maintenance } units rented / in a maintenance work order right now
+ * @returns {boolean} - Whether any counter changed
+ */
+const applyUsageSnapshot = (equipment, usage = {}) => {
+  const capacity = rentableCapacity(equipment);
+  const scheduledMaintenanceQty = Math.min(usage.maintenance || 0, capacity);
+  const inUseQty = Math.min(usage.inUse || 0, capacity - scheduledMaintenanceQty);
+  const availableQty = capacity - scheduledMaintenanceQty - inUseQty;
+  const status = calculateEquipmentStatus({
+    inUseQty,
+    maintenanceQty: equipment.maintenanceQty,
+    scheduledMaintenanceQty,
+    totalQty: equipment.totalQty,
+  });
+  const changed = equipment.inUseQty !== inUseQty
+    || equipment.availableQty !== availableQty
+    || (equipment.scheduledMaintenanceQty || 0) !== scheduledMaintenanceQty
+    || equipment.status !== status;
+
+  equipment.inUseQty = inUseQty;
+  equipment.availableQty = availableQty;
+  equipment.scheduledMaintenanceQty = scheduledMaintenanceQty;
+  equipment.status = status;
+
+  return changed;
+};
+
+/**
+ * Units of each item rented out / in maintenance work orders right now
+ * @returns {Map<string, Object>} - equipmentId → { inUse, maintenance }
+ */
+const countReservedNow = async (equipmentIds, session = null) => {
+  const now = new Date();
+  const reservations = await getEquipmentReservations(equipmentIds, now, new Date(now.getTime() + 1), { session });
+
+  const reservedNow = new Map();
+  reservations.forEach((r) => {
+    const key = r.equipmentId.toString();
+    const usage = reservedNow.get(key) || { inUse: 0, maintenance: 0 };
+    if (r.source === 'maintenance') usage.maintenance += r.quantity;
+    else usage.inUse += r.quantity;
+    reservedNow.set(key, usage);
+  });
+  return reservedNow;
+};
 // #endregion
 
 // #region Get Equipment
@@ -97,9 +236,29 @@ export const getEquipmentById = async (equipmentId) => {
 };
 
 /**
- * Lấy danh sách equipment available (cho customer xem khi booking)
+ * Equipment part of getAvailableEquipment
  */
-export const getAvailableEquipment = async () => {
+const listAvailableEquipment = async ({ startTime, endTime }) => {
+  if (startTime || endTime) {
+    const { from, to } = toAvailabilityWindow(startTime, endTime, MAX_AVAILABILITY_RANGE_DAYS);
+    const equipment = await Equipment.find({ isDeleted: false })
+      .select('name description pricePerHour totalQty maintenanceQty image')
+      .sort({ name: 1 })
+      .lean();
+    const availability = await summarizeAvailability(equipment, from, to);
+
+    return equipment
+      .map(({ _id, name, description, pricePerHour, image }) => ({
+        _id,
+        name,
+        description,
+        pricePerHour,
+        image,
+        availableQty: availability.get(_id.toString()).minAvailable,
+      }))
+      .filter(e => e.availableQty > 0);
+  }
+
   const equipment = await Equipment.find({
     isDeleted: false,
     status: EQUIPMENT_STATUS.AVAILABLE,
@@ -111,6 +270,20 @@ export const getAvailableEquipment = async () => {
   return equipment;
 };
 
+/**
+ * Lấy danh sách equipment và kit available (cho customer xem khi booking)
+ * Có khung giờ (startTime, endTime): availableQty là số lượng (số bộ) còn trống trong suốt khung giờ đó
+ * @returns {Object} - { equipment, kits }
+ */
+export const getAvailableEquipment = async ({ startTime, endTime } = {}) => {
+  const { getAvailableKits } = await import('./equipmentKit.service.js');
+  const [equipment, kits] = await Promise.all([
+    listAvailableEquipment({ startTime, endTime }),
+    getAvailableKits({ startTime, endTime }),
+  ]);
+  return { equipment, kits };
+};
+
 /**
  * Lấy chi tiết equipment available (cho customer xem)
  */
@@ -225,18 +398,31 @@ export const updateEquipment = async (equipmentId, updateData) => {
       throw new ValidationError('Số lượng phải >= 0!');
     }
 
-    // Validate: totalQty phải >= inUseQty + maintenanceQty
-    const requiredQty = equipment.inUseQty + equipment.maintenanceQty;
-    
-    if (totalQty < requiredQty) {
-      throw new ValidationError(
-        `Không thể giảm số lượng xuống ${totalQty} vì hiện có ${equipment.inUseQty} đang được sử dụng và ${equipment.maintenanceQty} đang bảo trì!`
-      );
+    // Validate: totalQty phải đủ cho maintenance + lúc đông nhất của các booking / đơn thuê sắp tới
+    if (totalQty < equipment.totalQty) {
+      const now = new Date();
+      const horizon = new Date(now.getTime() + STOCK_CHANGE_HORIZON_DAYS * DAY_MS);
+      const reservations = await getEquipmentReservations(equipment._id, now, horizon);
+      const { peakReserved } = buildAvailabilityTimeline(reservations, now, horizon, rentableCapacity(equipment));
+      const requiredQty = peakReserved + equipment.maintenanceQty;
+
+      if (totalQty < requiredQty) {
+        throw new ValidationError(
+          `Không thể giảm số lượng xuống ${totalQty} vì có lúc ${peakReserved} đang được đặt trước / sử dụng / bảo trì theo phiếu và ${equipment.maintenanceQty} đang bảo trì!`
+        );
+      }
+
+      // Serialized units must be retired before the pool shrinks below them
+      const activeUnits = await EquipmentUnit.countDocuments({ equipmentId: equipment._id, status: { $ne: EQUIPMENT_UNIT_STATUS.RETIRED } });
+      if (totalQty < activeUnits) {
+        throw new ValidationError(`Không thể giảm số lượng xuống ${totalQty} vì đang có ${activeUnits} unit chưa thanh lý!`);
+      }
     }
 
-    // Update totalQty và recalculate availableQty
+    // Update totalQty và recalculate counters
     equipment.totalQty = totalQty;
-    equipment.availableQty = totalQty - equipment.inUseQty - equipment.maintenanceQty;
+    const reservedNow = await countReservedNow(equipment._id);
+    applyUsageSnapshot(equipment, reservedNow.get(equipment._id.toString()));
   }
 
   try {
@@ -308,104 +494,274 @@ export const deleteEquipment = async (equipmentId) => {
 };
 // #endregion
 
-// #region Helper Functions
+// #region Availability
 /**
- * Kiểm tra số lượng equipment available
- * Dùng khi tạo booking
+ * Reservations of equipment overlapping [from, to): booking details (held for the booking's schedule),
+ * rental orders (held for the rental window) and maintenance work orders (held for the maintenance window).
+ * Checked-in bookings, picked-up orders and started work orders keep their units until they are returned,
+ * even past the end.
+ * @param {string|Array<string>} equipmentIds - ID thiết bị
+ * @param {Object} options - { excludeBookingId, excludeOrderId, excludeMaintenanceId, session }
+ * @returns {Array} - [{ equipmentId, quantity, startTime, endTime, source: 'booking' | 'order' | 'maintenance', refId }]
  */
-export const checkEquipmentAvailability = async (equipmentId, requiredQty) => {
-  const equipment = await Equipment.findById(equipmentId);
+export const getEquipmentReservations = async (equipmentIds, from, to, options = {}) => {
+  const { excludeBookingId = null, excludeOrderId = null, excludeMaintenanceId = null, session = null } = options;
+  const ids = [].concat(equipmentIds).map(id => new mongoose.Types.ObjectId(String(id)));
+  if (ids.length === 0) return [];
+
+  const now = new Date();
+  const reservations = [];
+
+  // 1. Booking details → window of the booking's schedule
+  const detailQuery = { detailType: BOOKING_DETAIL_TYPE.EQUIPMENT, equipmentId: { $in: ids } };
+  if (excludeBookingId) detailQuery.bookingId = { $ne: excludeBookingId };
+  const details = await BookingDetail.find(detailQuery).select('bookingId equipmentId quantity').session(session).lean();
+
+  if (details.length > 0) {
+    const bookings = await Booking.find({
+      _id: { $in: [...new Set(details.map(d => d.bookingId.toString()))] },
+      status: { $in: RESERVING_BOOKING_STATUSES },
+    })
+      .select('scheduleId status')
+      .populate('scheduleId', 'startTime endTime')
+      .session(session)
+      .lean();
+
+    const windows = new Map();
+    bookings.filter(b => b.scheduleId).forEach((b) => {
+      const end = new Date(b.scheduleId.endTime);
+      windows.set(b._id.toString(), {
+        startTime: new Date(b.scheduleId.startTime),
+        endTime: b.status === BOOKING_STATUS.CHECKED_IN && end < now ? now : end,
+      });
+    });
 
-  if (!equipment) {
-    throw new NotFoundError('Equipment không tồn tại!');
+    details.forEach((d) => {
+      const window = windows.get(d.bookingId.toString());
+      if (!window || window.startTime >= to || window.endTime <= from) return;
+      reservations.push({ equipmentId: d.equipmentId, quantity: d.quantity, ...window, source: 'booking', refId: d.bookingId });
+    });
   }
 
-  // Chỉ check availableQty, không check status
-  // Vì equipment có thể IN_USE nhưng vẫn còn available units
-  if (equipment.availableQty < requiredQty) {
-    throw new ValidationError(
-      `Equipment "${equipment.name}" chỉ còn ${equipment.availableQty}/${equipment.totalQty} có sẵn!`
+  // 2. Rental orders → rental window (kit orders hold each of their components)
+  const orderQuery = {
+    $or: [{ equipmentId: { $in: ids } }, { 'items.equipmentId': { $in: ids } }],
+    status: { $in: RESERVING_ORDER_STATUSES },
+    rentalStartTime: { $lt: to },
+  };
+  if (excludeOrderId) orderQuery._id = { $ne: excludeOrderId };
+  const orders = await EquipmentOrder.find(orderQuery)
+    .select('equipmentId quantity kitId items status rentalStartTime rentalEndTime startedAt')
+    .session(session)
+    .lean();
+
+  const idSet = new Set(ids.map(String));
+  orders.forEach((o) => {
+    const inUse = o.status === EQUIPMENT_ORDER_STATUS.IN_USE;
+    const startTime = inUse && o.startedAt && o.startedAt < o.rentalStartTime ? o.startedAt : o.rentalStartTime;
+    const endTime = inUse && o.rentalEndTime < now ? now : o.rentalEndTime;
+    if (endTime <= from) return;
+    getOrderEquipmentLines(o)
+      .filter(line => idSet.has(line.equipmentId.toString()))
+      .forEach(line => reservations.push({ ...line, startTime, endTime, source: 'order', refId: o._id }));
+  });
+
+  // 3. Maintenance work orders → maintenance window
+  const maintenanceQuery = {
+    equipmentId: { $in: ids },
+    status: { $in: RESERVING_MAINTENANCE_STATUSES },
+    startTime: { $lt: to },
+  };
+  if (excludeMaintenanceId) maintenanceQuery._id = { $ne: excludeMaintenanceId };
+  const workOrders = await EquipmentMaintenance.find(maintenanceQuery)
+    .select('equipmentId quantity status startTime endTime')
+    .session(session)
+    .lean();
+
+  workOrders.forEach((w) => {
+    const endTime = w.status === EQUIPMENT_MAINTENANCE_STATUS.IN_PROGRESS && w.endTime < now ? now : w.endTime;
+    if (endTime <= from) return;
+    reservations.push({ equipmentId: w.equipmentId, quantity: w.quantity, startTime: w.startTime, endTime, source: 'maintenance', refId: w._id });
+  });
+
+  return reservations;
+};
+
+/**
+ * Availability of several items over the same window with one reservation lookup
+ * @param {Array} equipmentList - Equipment docs (totalQty, maintenanceQty)
+ * @returns {Map<string, Object>} - equipmentId → { capacity, peakReserved, minAvailable, timeline }
+ */
+const summarizeAvailability = async (equipmentList, from, to, options = {}) => {
+  const reservations = await getEquipmentReservations(equipmentList.map(e => e._id), from, to, options);
+
+  const result = new Map();
+  equipmentList.forEach((equipment) => {
+    const key = equipment._id.toString();
+    const capacity = rentableCapacity(equipment);
+    const { timeline, peakReserved } = buildAvailabilityTimeline(
+      reservations.filter(r => r.equipmentId.toString() === key),
+      from,
+      to,
+      capacity
     );
+    result.set(key, { capacity, peakReserved, minAvailable: Math.max(0, capacity - peakReserved), timeline });
+  });
+  return result;
+};
+
+/**
+ * Lịch trống của một thiết bị trong khoảng thời gian
+ * @param {string} equipmentId - ID thiết bị
+ * @param {Date|string} startTime - Bắt đầu
+ * @param {Date|string} endTime - Kết thúc (tối đa 31 ngày sau startTime)
+ * @returns {Object} - { equipment, startTime, endTime, capacity, minAvailable, timeline: [{ startTime, endTime, reserved, available }] }
+ */
+export const getEquipmentAvailability = async (equipmentId, startTime, endTime) => {
+  const { from, to } = toAvailabilityWindow(startTime, endTime, MAX_AVAILABILITY_RANGE_DAYS);
+
+  const equipment = await Equipment.findOne({ _id: equipmentId, isDeleted: false })
+    .select('name pricePerHour totalQty maintenanceQty image')
+    .lean();
+  if (!equipment) {
+    throw new NotFoundError('Equipment không tồn tại!');
   }
 
-  return true;
+  const { capacity, minAvailable, timeline } = (await summarizeAvailability([equipment], from, to)).get(equipment._id.toString());
+
+  return {
+    equipment,
+    startTime: from,
+    endTime: to,
+    capacity,
+    minAvailable,
+    timeline,
+  };
 };
 
 /**
- * Reserve equipment (giảm availableQty, tăng inUseQty khi tạo booking)
- * Uses atomic operation to prevent race conditions
+ * Số lượng còn trống của tất cả thiết bị trong một khung giờ (cho màn hình chọn thiết bị)
+ * @param {Object} params - { startTime, endTime, minQty }
  */
-export const reserveEquipment = async (equipmentId, quantity, session = null) => {
-  // Atomic operation: check and update in single query
-  const equipment = await Equipment.findOneAndUpdate(
-    {
-      _id: equipmentId,
-      availableQty: { $gte: quantity }, // Only succeed if enough available
-    },
-    {
-      $inc: {
-        availableQty: -quantity,
-        inUseQty: quantity,
-      },
-    },
-    { new: true, runValidators: true, session }
-  );
+export const getEquipmentAvailabilityList = async ({ startTime, endTime, minQty } = {}) => {
+  const { from, to } = toAvailabilityWindow(startTime, endTime, MAX_AVAILABILITY_RANGE_DAYS);
+  const safeMinQty = Math.max(parseInt(minQty) || 0, 0);
 
+  const equipment = await Equipment.find({ isDeleted: false })
+    .select('name pricePerHour totalQty maintenanceQty image')
+    .sort({ name: 1 })
+    .lean();
+  const availability = await summarizeAvailability(equipment, from, to);
+
+  const items = equipment
+    .map((e) => {
+      const { capacity, minAvailable } = availability.get(e._id.toString());
+      return { ...e, capacity, minAvailable };
+    })
+    .filter(e => e.minAvailable >= safeMinQty);
+
+  return { startTime: from, endTime: to, equipment: items };
+};
+
+/**
+ * Kiểm tra thiết bị còn đủ số lượng trong khung giờ thuê
+ * Dùng khi tạo / sửa booking, đổi lịch, gia hạn, tạo đơn thuê và lên lịch bảo trì.
+ * Trong transaction (session): tăng reservationVersion của thiết bị để hai transaction cùng giữ một thiết bị
+ * bị write conflict và transaction sau phải đếm lại.
+ * @param {string} equipmentId - ID thiết bị
+ * @param {number} requiredQty - Số lượng cần
+ * @param {Object} options - { startTime, endTime, excludeBookingId, excludeOrderId, excludeMaintenanceId, session }
+ * @returns {Object} - { equipment, available, capacity }
+ */
+export const checkEquipmentAvailability = async (equipmentId, requiredQty, options = {}) => {
+  const { startTime, endTime, session = null } = options;
+  const { from, to } = toAvailabilityWindow(startTime, endTime);
+
+  if (session) {
+    await Equipment.updateOne({ _id: equipmentId }, { $inc: { reservationVersion: 1 } }, { session });
+  }
+
+  const equipment = await Equipment.findById(equipmentId).session(session);
   if (!equipment) {
-    // Either equipment not found OR not enough quantity
-    const existing = await Equipment.findById(equipmentId);
-    if (!existing) {
-      throw new NotFoundError('Equipment không tồn tại!');
-    }
+    throw new NotFoundError('Equipment không tồn tại!');
+  }
+  if (equipment.isDeleted) {
+    throw new ValidationError(`Equipment "${equipment.name}" không còn cho thuê!`);
+  }
+
+  const capacity = rentableCapacity(equipment);
+  const reservations = await getEquipmentReservations(equipment._id, from, to, options);
+  const { peakReserved } = buildAvailabilityTimeline(reservations, from, to, capacity);
+  const available = Math.max(0, capacity - peakReserved);
+
+  if (available < requiredQty) {
     throw new ValidationError(
-      `Equipment "${existing.name}" chỉ còn ${existing.availableQty}/${existing.totalQty} có sẵn!`
+      `Equipment "${equipment.name}" chỉ còn ${available}/${equipment.totalQty} có sẵn từ ${formatDateTime(from)} đến ${formatDateTime(to)}!`
     );
   }
 
-  // Calculate và set status dựa trên quantities (Service layer logic)
-  equipment.status = calculateEquipmentStatus(equipment);
-  await equipment.save({ session });
-
-  return equipment;
+  return { equipment, available, capacity };
 };
 
 /**
- * Release equipment (tăng availableQty, giảm inUseQty khi hủy booking hoặc hoàn thành)
- * Uses atomic operation to prevent race conditions
+ * First window of durationMs inside [from, to) where requiredQty units stay free the whole time.
+ * Used to place preventive maintenance between bookings.
+ * @param {Object} options - { excludeMaintenanceId }
+ * @returns {Object|null} - { startTime, endTime } or null when there is no such window
  */
-export const releaseEquipment = async (equipmentId, quantity, session = null) => {
-  // Atomic operation: check and update in single query
-  const equipment = await Equipment.findOneAndUpdate(
-    {
-      _id: equipmentId,
-      inUseQty: { $gte: quantity }, // Only succeed if enough inUse to release
-    },
-    {
-      $inc: {
-        availableQty: quantity,
-        inUseQty: -quantity,
-      },
-    },
-    { new: true, runValidators: true, session }
-  );
+export const findEquipmentFreeWindow = async (equipmentId, requiredQty, durationMs, from, to, options = {}) => {
+  const equipment = await Equipment.findById(equipmentId).select('totalQty maintenanceQty isDeleted').lean();
+  if (!equipment || equipment.isDeleted) return null;
 
-  if (!equipment) {
-    // Either equipment not found OR not enough inUse quantity
-    const existing = await Equipment.findById(equipmentId);
-    if (!existing) {
-      throw new NotFoundError('Equipment không tồn tại!');
+  const capacity = rentableCapacity(equipment);
+  if (capacity < requiredQty) return null;
+
+  const reservations = await getEquipmentReservations(equipment._id, from, to, options);
+  const { timeline } = buildAvailabilityTimeline(reservations, from, to, capacity);
+
+  let runStart = null;
+  for (const segment of timeline) {
+    if (segment.available < requiredQty) {
+      runStart = null;
+      continue;
+    }
+    if (!runStart) runStart = segment.startTime;
+    if (segment.endTime - runStart >= durationMs) {
+      return { startTime: runStart, endTime: new Date(runStart.getTime() + durationMs) };
     }
-    throw new ValidationError(
-      `Không thể release ${quantity} equipment vì chỉ có ${existing.inUseQty} đang được sử dụng!`
-    );
   }
+  return null;
+};
 
-  // Calculate và set status dựa trên quantities (Service layer logic)
-  equipment.status = calculateEquipmentStatus(equipment);
-  await equipment.save({ session });
+/**
+ * Recalculate availableQty / inUseQty / status from the reservations running right now.
+ * Called after bookings / orders change and periodically by the equipment snapshot job.
+ * @param {Array<string>|null} equipmentIds - null = every equipment
+ * @returns {number} - Number of equipment whose counters changed
+ */
+export const refreshEquipmentSnapshot = async (equipmentIds = null, session = null) => {
+  const query = { isDeleted: false };
+  if (equipmentIds) {
+    query._id = { $in: [...new Set([].concat(equipmentIds).map(String))] };
+  }
 
-  return equipment;
+  const equipmentList = await Equipment.find(query).session(session);
+  if (equipmentList.length === 0) return 0;
+
+  const reservedNow = await countReservedNow(equipmentList.map(e => e._id), session);
+
+  let changed = 0;
+  for (const equipment of equipmentList) {
+    if (applyUsageSnapshot(equipment, reservedNow.get(equipment._id.toString()))) {
+      await equipment.save({ session });
+      changed++;
+    }
+  }
+  return changed;
 };
+// #endregion
+
+// #region Helper Functions
 
 /**
  * Set số lượng equipment đang bảo trì
@@ -420,38 +776,20 @@ export const setMaintenanceQuantity = async (equipmentId, newMaintenanceQty) =>
 
   // Note: Validation đã được thực hiện ở middleware validateMaintenanceQuantity
 
-  // Validate: maintenance + inUse cannot exceed total
-  if (newMaintenanceQty + equipment.inUseQty > equipment.totalQty) {
+  // Validate: maintenance + đang sử dụng / trong phiếu bảo trì (tính lại từ booking / đơn thuê / phiếu hiện tại) cannot exceed total
+  const usage = (await countReservedNow(equipment._id)).get(equipment._id.toString()) || { inUse: 0, maintenance: 0 };
+  const busyQty = usage.inUse + usage.maintenance;
+  if (newMaintenanceQty + busyQty > equipment.totalQty) {
     throw new ValidationError(
-      `Không thể set ${newMaintenanceQty} maintenance vì đã có ${equipment.inUseQty} đang sử dụng (total: ${equipment.totalQty}). ` +
-      `Tối đa có thể set: ${equipment.totalQty - equipment.inUseQty} maintenance.`
+      `Không thể set ${newMaintenanceQty} maintenance vì đã có ${busyQty} đang sử dụng / bảo trì theo phiếu (total: ${equipment.totalQty}). ` +
+      `Tối đa có thể set: ${equipment.totalQty - busyQty} maintenance.`
     );
   }
 
-  // Calculate số lượng cần điều chỉnh
-  const currentMaintenance = equipment.maintenanceQty;
-  const diff = newMaintenanceQty - currentMaintenance;
-
-  if (diff > 0) {
-    // Tăng maintenance → Lấy từ available
-    if (equipment.availableQty < diff) {
-      throw new ValidationError(
-        `Không đủ equipment available! Chỉ có ${equipment.availableQty} khả dụng, cần ${diff} để set maintenance.`
-      );
-    }
-    
-    equipment.availableQty -= diff;
-    equipment.maintenanceQty += diff;
-  } else if (diff < 0) {
-    // Giảm maintenance → Trả về available
-    const decreaseAmount = Math.abs(diff);
-    equipment.maintenanceQty -= decreaseAmount;
-    equipment.availableQty += decreaseAmount;
-  }
-  // diff = 0 → Không thay đổi gì
-
-  // Calculate và set status dựa trên quantities (Service layer logic)
-  equipment.status = calculateEquipmentStatus(equipment);
+  // Units in maintenance leave the rentable pool for every window; future reservations are not cancelled here.
+  // Maintenance with a known window should be a work order (equipmentMaintenance.service) instead.
+  equipment.maintenanceQty = newMaintenanceQty;
+  applyUsageSnapshot(equipment, usage);
 
   await equipment.save();
 
@@ -460,7 +798,7 @@ export const setMaintenanceQuantity = async (equipmentId, newMaintenanceQty) =>
 
 /**
  * Reset equipment quantities (DEV/TESTING ONLY)
- * Reset inUseQty to 0 and recalculate availableQty
+ * Recalculate inUseQty / availableQty from the bookings and rental orders running right now
  * @param {string} equipmentId - Equipment ID
  * @returns {Object} Updated equipment
  */
@@ -479,12 +817,9 @@ export const resetEquipmentQuantities = async (equipmentId) => {
   const oldInUseQty = equipment.inUseQty;
   const oldAvailableQty = equipment.availableQty;
 
-  // Reset inUseQty to 0, recalculate availableQty
-  equipment.inUseQty = 0;
-  equipment.availableQty = equipment.totalQty - equipment.maintenanceQty;
-
-  // Recalculate status
-  equipment.status = calculateEquipmentStatus(equipment);
+  // Counters are derived from reservations, so a reset is a recount
+  const reservedNow = await countReservedNow(equipment._id);
+  applyUsageSnapshot(equipment, reservedNow.get(equipment._id.toString()));
 
   await equipment.save();
 
@@ -0,0 +1,386 @@
+// #region Imports
+import mongoose from 'mongoose';
+import { Equipment, EquipmentKit } from '../models/index.js';
+import { NotFoundError, ValidationError, ConflictError } from '../utils/errors.js';
+import { EQUIPMENT_KIT_PRICING, EQUIPMENT_STATUS } from '../utils/constants.js';
+import { checkEquipmentAvailability, getEquipmentAvailabilityList } from './equipment.service.js';
+import { escapeRegex, formatDateTime } from '../utils/helpers.js';
+// #endregion
+
+const MAX_KIT_ITEMS = 20;
+const MAX_KIT_QUANTITY = 20;
+export const KIT_EQUIPMENT_FIELDS = 'name pricePerHour image availableQty status isDeleted';
+
+// #region Helpers
+
+/**
+ * Tổng giá lẻ mỗi giờ của một bộ (items đã populate equipmentId)
+ */
+const kitListPrice = (kit) => kit.items.reduce((sum, item) => sum + (item.equipmentId?.pricePerHour || 0) * item.quantity, 0);
+
+/**
+ * Giá thuê mỗi giờ của một bộ theo cách tính giá của kit
+ */
+const kitPricePerHour = (kit, listPrice = kitListPrice(kit)) => {
+  if (kit.pricingType === EQUIPMENT_KIT_PRICING.FIXED) return kit.bundlePricePerHour || 0;
+  return Math.round(listPrice * (100 - (kit.discountPercent || 0)) / 100);
+};
+
+/**
+ * Số bộ có thể cho thuê khi biết số lượng trống của từng thiết bị
+ * @param {Map<string, number>} availableById - equipmentId → số lượng trống
+ */
+const kitsAvailable = (kit, availableById) => Math.min(
+  ...kit.items.map(item => Math.floor((availableById.get((item.equipmentId?._id || item.equipmentId).toString()) || 0) / item.quantity))
+);
+
+/**
+ * Kit trả về cho client (items đã populate equipmentId), kèm giá lẻ / giá trọn bộ
+ */
+export const serializeKit = (kit, availableQty = undefined) => {
+  const listPricePerHour = kitListPrice(kit);
+  const pricePerHour = kitPricePerHour(kit, listPricePerHour);
+  return {
+    _id: kit._id,
+    name: kit.name,
+    description: kit.description,
+    image: kit.image,
+    pricingType: kit.pricingType,
+    bundlePricePerHour: kit.bundlePricePerHour,
+    discountPercent: kit.discountPercent,
+    isActive: kit.isActive,
+    items: kit.items.map(item => ({
+      equipmentId: item.equipmentId?._id || item.equipmentId,
+      name: item.equipmentId?.name,
+      image: item.equipmentId?.image,
+      pricePerHour: item.equipmentId?.pricePerHour,
+      quantity: item.quantity,
+    })),
+    listPricePerHour,
+    pricePerHour,
+    savingsPerHour: Math.max(0, listPricePerHour - pricePerHour),
+    ...(availableQty !== undefined ? { availableQty } : {}),
+  };
+};
+
+/**
+ * Validate and merge kit items: [{ equipmentId, quantity }], every equipment must exist
+ */
+const normalizeKitItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('Kit phải có danh sách thiết bị');
+  }
+  if (items.length > MAX_KIT_ITEMS) {
+    throw new ValidationError(`Kit có tối đa ${MAX_KIT_ITEMS} thiết bị`);
+  }
+
+  const merged = new Map();
+  items.forEach((item) => {
+    const quantity = parseInt(item?.quantity ?? 1);
+    if (!item || !mongoose.Types.ObjectId.isValid(item.equipmentId)) throw new ValidationError('ID thiết bị không hợp lệ');
+    if (!Number.isInteger(quantity) || quantity < 1) throw new ValidationError('Số lượng thiết bị trong kit phải >= 1');
+    const key = String(item.equipmentId);
+    merged.set(key, (merged.get(key) || 0) + quantity);
+  });
+
+  const count = [...merged.values()].reduce((sum, q) => sum + q, 0);
+  if (count < 2) {
+    throw new ValidationError('Kit phải có ít nhất 2 thiết bị');
+  }
+
+  const equipment = await Equipment.find({ _id: { $in: [...merged.keys()] }, isDeleted: false }).select('name totalQty').lean();
+  if (equipment.length !== merged.size) {
+    throw new NotFoundError('Một số thiết bị trong kit không tồn tại');
+  }
+  equipment.forEach((e) => {
+    if (merged.get(e._id.toString()) > e.totalQty) {
+      throw new ValidationError(`"${e.name}" chỉ có ${e.totalQty} cái`);
+    }
+  });
+
+  return [...merged.entries()].map(([equipmentId, quantity]) => ({ equipmentId, quantity }));
+};
+
+const applyPricing = (kit, data) => {
+  if (data.pricingType !== undefined) {
+    if (!Object.values(EQUIPMENT_KIT_PRICING).includes(data.pricingType)) {
+      throw new ValidationError(`Cách tính giá không hợp lệ. Chọn từ: ${Object.values(EQUIPMENT_KIT_PRICING).join(', ')}`);
+    }
+    kit.pricingType = data.pricingType;
+  }
+  if (data.bundlePricePerHour !== undefined) {
+    const price = Number(data.bundlePricePerHour);
+    if (!Number.isFinite(price) || price < 0) throw new ValidationError('Giá trọn bộ phải >= 0');
+    kit.bundlePricePerHour = price;
+  }
+  if (data.discountPercent !== undefined) {
+    const percent = Number(data.discountPercent);
+    if (!Number.isFinite(percent) || percent < 0 || percent >= 100) throw new ValidationError('Giảm giá phải từ 0 đến dưới 100%');
+    kit.discountPercent = percent;
+  }
+  if (kit.pricingType === EQUIPMENT_KIT_PRICING.FIXED && !(kit.bundlePricePerHour > 0)) {
+    throw new ValidationError('Vui lòng nhập giá trọn bộ mỗi giờ');
+  }
+};
+
+const loadKit = async (kitId, { populate = true, session = null } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(kitId)) throw new ValidationError('ID kit không hợp lệ');
+  const query = EquipmentKit.findOne({ _id: kitId, isDeleted: false }).session(session);
+  if (populate) query.populate('items.equipmentId', KIT_EQUIPMENT_FIELDS);
+  const kit = await query;
+  if (!kit) throw new NotFoundError('Kit thiết bị không tồn tại');
+  return kit;
+};
+
+// #endregion
+
+// #region Kits
+
+/**
+ * Danh sách kit (staff thấy cả kit đang tắt)
+ * @param {Object} params - { search, includeInactive, page, limit }
+ */
+export const getKits = async ({ search, includeInactive = false, page = 1, limit = 20 } = {}) => {
+  const safePage = Math.max(parseInt(page) || 1, 1);
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const query = { isDeleted: false };
+  if (!includeInactive) query.isActive = true;
+  if (search) query.name = { $regex: escapeRegex(String(search).slice(0, 100)), $options: 'i' };
+
+  const [kits, total] = await Promise.all([
+    EquipmentKit.find(query)
+      .populate('items.equipmentId', KIT_EQUIPMENT_FIELDS)
+      .sort({ name: 1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .lean(),
+    EquipmentKit.countDocuments(query),
+  ]);
+
+  return {
+    kits: kits.map(kit => serializeKit(kit)),
+    pagination: { total, page: safePage, limit: safeLimit, totalPages: Math.ceil(total / safeLimit) },
+  };
+};
+
+export const getKitById = async (kitId, { includeInactive = false } = {}) => {
+  const kit = await loadKit(kitId);
+  if (!kit.isActive && !includeInactive) throw new NotFoundError('Kit thiết bị không tồn tại');
+  return serializeKit(kit);
+};
+
+/**
+ * Tạo kit
+ * @param {Object} data - { name, description, image, items: [{ equipmentId, quantity }], pricingType, bundlePricePerHour, discountPercent }
+ */
+export const createKit = async (data = {}) => {
+  const name = data.name?.toString().trim();
+  if (!name) throw new ValidationError('Tên kit là bắt buộc');
+
+  const kit = new EquipmentKit({
+    name,
+    description: data.description,
+    image: data.image,
+    items: await normalizeKitItems(data.items),
+  });
+  applyPricing(kit, data);
+
+  try {
+    await kit.save();
+  } catch (error) {
+    if (error.code === 11000) throw new ConflictError('Tên kit đã tồn tại');
+    throw error;
+  }
+  return getKitById(kit._id, { includeInactive: true });
+};
+
+/**
+ * Cập nhật kit. Booking / đơn thuê đã tạo giữ giá và thành phần lúc đặt.
+ */
+export const updateKit = async (kitId, data = {}) => {
+  const kit = await loadKit(kitId, { populate: false });
+
+  if (data.name !== undefined) {
+    const name = data.name?.toString().trim();
+    if (!name) throw new ValidationError('Tên kit là bắt buộc');
+    kit.name = name;
+  }
+  if (data.description !== undefined) kit.description = data.description;
+  if (data.image !== undefined) kit.image = data.image;
+  if (data.items !== undefined) kit.items = await normalizeKitItems(data.items);
+  if (data.isActive !== undefined) kit.isActive = data.isActive === true || data.isActive === 'true';
+  applyPricing(kit, data);
+
+  try {
+    await kit.save();
+  } catch (error) {
+    if (error.code === 11000) throw new ConflictError('Tên kit đã tồn tại');
+    throw error;
+  }
+  return getKitById(kit._id, { includeInactive: true });
+};
+
+/**
+ * Soft delete kit
+ */
+export const deleteKit = async (kitId) => {
+  const kit = await loadKit(kitId, { populate: false });
+  kit.isDeleted = true;
+  kit.isActive = false;
+  await kit.save();
+  return { message: 'Xóa kit thành công!' };
+};
+
+// #endregion
+
+// #region Availability & Reservation
+
+/**
+ * Kit đang cho thuê kèm số bộ còn trống: trong khung giờ nếu có startTime / endTime,
+ * nếu không thì theo số lượng trống hiện tại của thiết bị. Kit hết bộ bị ẩn.
+ */
+export const getAvailableKits = async ({ startTime, endTime } = {}) => {
+  const kits = await EquipmentKit.find({ isActive: true, isDeleted: false })
+    .populate('items.equipmentId', KIT_EQUIPMENT_FIELDS)
+    .sort({ name: 1 })
+    .lean();
+  if (kits.length === 0) return [];
+
+  const availableById = new Map();
+  if (startTime || endTime) {
+    const { equipment } = await getEquipmentAvailabilityList({ startTime, endTime });
+    equipment.forEach(e => availableById.set(e._id.toString(), e.minAvailable));
+  } else {
+    kits.forEach(kit => kit.items.forEach((item) => {
+      const e = item.equipmentId;
+      if (e && !e.isDeleted && e.status !== EQUIPMENT_STATUS.MAINTENANCE) availableById.set(e._id.toString(), e.availableQty || 0);
+    }));
+  }
+
+  return kits
+    .filter(kit => kit.items.every(item => item.equipmentId && !item.equipmentId.isDeleted))
+    .map(kit => serializeKit(kit, kitsAvailable(kit, availableById)))
+    .filter(kit => kit.availableQty > 0);
+};
+
+/**
+ * Số bộ còn trống trong khung giờ và thiết bị đang giới hạn số bộ
+ * @returns {Object} - { kit, startTime, endTime, availableQty, components: [{ equipmentId, name, perKit, available, kits }] }
+ */
+export const getKitAvailability = async (kitId, startTime, endTime) => {
+  const kit = await loadKit(kitId);
+  if (!kit.isActive) throw new NotFoundError('Kit thiết bị không tồn tại');
+
+  const { startTime: from, endTime: to, equipment } = await getEquipmentAvailabilityList({ startTime, endTime });
+  const availableById = new Map(equipment.map(e => [e._id.toString(), e.minAvailable]));
+
+  const components = kit.items.map((item) => {
+    const available = availableById.get(item.equipmentId._id.toString()) || 0;
+    return {
+      equipmentId: item.equipmentId._id,
+      name: item.equipmentId.name,
+      perKit: item.quantity,
+      available,
+      kits: Math.floor(available / item.quantity),
+    };
+  });
+
+  return {
+    kit: serializeKit(kit),
+    startTime: from,
+    endTime: to,
+    availableQty: Math.min(...components.map(c => c.kits)),
+    components,
+  };
+};
+
+/**
+ * Thành phần và giá của `quantity` bộ (không giữ chỗ)
+ * @returns {Object} - { kit, quantity, pricePerHour, listPricePerHour, lines: [{ equipmentId, name, quantity, pricePerHour }] }
+ */
+export const resolveKitLines = async (kitId, quantity = 1, session = null) => {
+  const kitQty = parseInt(quantity);
+  if (!Number.isInteger(kitQty) || kitQty < 1 || kitQty > MAX_KIT_QUANTITY) {
+    throw new ValidationError(`Số bộ phải từ 1 đến ${MAX_KIT_QUANTITY}`);
+  }
+
+  const kit = await loadKit(kitId, { session });
+  if (!kit.isActive) throw new ValidationError(`Kit "${kit.name}" hiện không cho thuê`);
+  const unavailable = kit.items.find(item => !item.equipmentId || item.equipmentId.isDeleted);
+  if (unavailable) throw new ValidationError(`Kit "${kit.name}" có thiết bị không còn cho thuê`);
+
+  const listPricePerHour = kitListPrice(kit);
+  return {
+    kit,
+    quantity: kitQty,
+    pricePerHour: kitPricePerHour(kit, listPricePerHour),
+    listPricePerHour,
+    lines: kit.items.map(item => ({
+      equipmentId: item.equipmentId._id,
+      name: item.equipmentId.name,
+      quantity: item.quantity * kitQty,
+      pricePerHour: item.equipmentId.pricePerHour || 0,
+    })),
+  };
+};
+
+/**
+ * Giữ đủ mọi thiết bị của kit trong khung giờ: kiểm tra từng thiết bị trong cùng transaction (session),
+ * thiếu một thiết bị thì cả kit bị từ chối và transaction rollback.
+ * @param {Object} options - { startTime, endTime, excludeBookingId, excludeOrderId, session }
+ * @returns {Object} - resolveKitLines(...)
+ */
+export const checkKitAvailability = async (kitId, quantity, options = {}) => {
+  const resolved = await resolveKitLines(kitId, quantity, options.session);
+
+  for (const line of resolved.lines) {
+    try {
+      await checkEquipmentAvailability(line.equipmentId, line.quantity, options);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw new ValidationError(
+          `Kit "${resolved.kit.name}" không đủ ${resolved.quantity} bộ từ ${formatDateTime(options.startTime)} đến ${formatDateTime(options.endTime)}: ${error.message}`
+        );
+      }
+      throw error;
+    }
+  }
+
+  return resolved;
+};
+
+/**
+ * Chia tiền trọn bộ cho từng thiết bị theo tỉ lệ giá lẻ (phần lẻ dồn vào dòng cuối)
+ * @param {Array} lines - [{ quantity, pricePerHour }]
+ * @returns {Array<number>} - subtotal của từng dòng, tổng bằng total
+ */
+export const allocateKitSubtotals = (lines, total) => {
+  const weights = lines.map(line => line.pricePerHour * line.quantity);
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  const quantitySum = lines.reduce((sum, line) => sum + line.quantity, 0);
+
+  let allocated = 0;
+  return lines.map((line, index) => {
+    if (index === lines.length - 1) return total - allocated;
+    const share = weightSum > 0 ? weights[index] / weightSum : line.quantity / quantitySum;
+    const subtotal = Math.floor(total * share);
+    allocated += subtotal;
+    return subtotal;
+  });
+};
+
+// #endregion
+
+export default {
+  getKits,
+  getKitById,
+  createKit,
+  updateKit,
+  deleteKit,
+  getAvailableKits,
+  getKitAvailability,
+  resolveKitLines,
+  checkKitAvailability,
+  allocateKitSubtotals,
+};
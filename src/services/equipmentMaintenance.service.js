@@ -0,0 +1,805 @@
+// #region Imports
+import mongoose from 'mongoose';
+import {
+  Equipment,
+  EquipmentUnit,
+  EquipmentMaintenance,
+  EquipmentMaintenancePlan,
+  Booking,
+  BookingDetail,
+  User,
+} from '../models/index.js';
+import EquipmentOrder, { EQUIPMENT_ORDER_STATUS, getOrderEquipmentLines } from '../models/EquipmentOrder/equipmentOrder.model.js';
+import { NotFoundError, ValidationError, ConflictError } from '../utils/errors.js';
+import {
+  BOOKING_STATUS,
+  BOOKING_DETAIL_TYPE,
+  EQUIPMENT_UNIT_STATUS,
+  EQUIPMENT_CONDITION_GRADE,
+  EQUIPMENT_MAINTENANCE_STATUS,
+  EQUIPMENT_MAINTENANCE_TYPE,
+  NOTIFICATION_TYPE,
+  USER_ROLES,
+} from '../utils/constants.js';
+import { checkEquipmentAvailability, findEquipmentFreeWindow, refreshEquipmentSnapshot } from './equipment.service.js';
+import { createAndSendNotification } from './notification.service.js';
+import { formatDateTime } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+// #endregion
+
+const OPEN_STATUSES = [EQUIPMENT_MAINTENANCE_STATUS.SCHEDULED, EQUIPMENT_MAINTENANCE_STATUS.IN_PROGRESS];
+// A plan due by date gets its work order this many days ahead
+const PLAN_LEAD_DAYS = 3;
+// How far ahead a free window is searched for a preventive work order
+const PLAN_SEARCH_DAYS = 31;
+const MAX_REPORT_RANGE_DAYS = 366;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// #region Helpers
+
+const runInTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    return await session.withTransaction(() => fn(session), { writeConcern: { w: 'majority' }, readConcern: { level: 'majority' } });
+  } finally {
+    session.endSession();
+  }
+};
+
+const parseWindow = (startTime, endTime) => {
+  const s = new Date(startTime);
+  const e = new Date(endTime);
+  if (!startTime || !endTime || isNaN(s.getTime()) || isNaN(e.getTime())) {
+    throw new ValidationError('startTime và endTime là bắt buộc và phải hợp lệ');
+  }
+  if (!(e > s)) throw new ValidationError('Thời gian kết thúc phải lớn hơn thời gian bắt đầu');
+  return { s, e };
+};
+
+const parseCost = (value, field) => {
+  if (value === undefined) return undefined;
+  const cost = Number(value);
+  if (!Number.isFinite(cost) || cost < 0) throw new ValidationError(`${field} phải là số >= 0`);
+  return cost;
+};
+
+const parseInterval = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 1) throw new ValidationError(`${field} phải >= 1`);
+  return parsed;
+};
+
+const assertTechnician = async (technicianId) => {
+  if (!technicianId) return;
+  if (!mongoose.Types.ObjectId.isValid(technicianId)) throw new ValidationError('ID kỹ thuật viên không hợp lệ');
+  const technician = await User.exists({ _id: technicianId, role: { $in: [USER_ROLES.STAFF, USER_ROLES.ADMIN] }, isActive: true });
+  if (!technician) throw new ValidationError('Kỹ thuật viên phải là nhân viên đang hoạt động');
+};
+
+/**
+ * Equipment (and unit) a work order / plan is for. A unit-level entry always covers exactly one unit.
+ * @returns {Object} - { equipment, unit, quantity }
+ */
+const resolveTarget = async ({ equipmentId, equipmentUnitId, quantity }, session = null) => {
+  let unit = null;
+  if (equipmentUnitId) {
+    if (!mongoose.Types.ObjectId.isValid(equipmentUnitId)) throw new ValidationError('ID unit không hợp lệ');
+    unit = await EquipmentUnit.findById(equipmentUnitId).select('equipmentId serialNumber status conditionGrade').session(session);
+    if (!unit) throw new NotFoundError('Unit thiết bị không tồn tại');
+    if (unit.status === EQUIPMENT_UNIT_STATUS.RETIRED) throw new ValidationError(`Unit ${unit.serialNumber} đã thanh lý`);
+    if (equipmentId && unit.equipmentId.toString() !== equipmentId.toString()) {
+      throw new ValidationError('Unit không thuộc thiết bị này');
+    }
+    equipmentId = unit.equipmentId;
+  }
+
+  if (!equipmentId || !mongoose.Types.ObjectId.isValid(equipmentId)) throw new ValidationError('ID thiết bị không hợp lệ');
+  const equipment = await Equipment.findById(equipmentId).select('name totalQty maintenanceQty isDeleted').session(session);
+  if (!equipment || equipment.isDeleted) throw new NotFoundError('Equipment không tồn tại!');
+
+  const qty = unit ? 1 : parseInt(quantity ?? 1);
+  if (!Number.isInteger(qty) || qty < 1) throw new ValidationError('Số lượng phải >= 1');
+  if (qty > equipment.totalQty) throw new ValidationError(`"${equipment.name}" chỉ có ${equipment.totalQty} cái`);
+
+  return { equipment, unit, quantity: qty };
+};
+
+const loadWorkOrder = async (orderId, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) throw new ValidationError('ID phiếu bảo trì không hợp lệ');
+  const order = await EquipmentMaintenance.findById(orderId).session(session);
+  if (!order) throw new NotFoundError('Phiếu bảo trì không tồn tại');
+  return order;
+};
+
+const describeOrder = (order, equipmentName) =>
+  `${equipmentName || 'thiết bị'} (${order.quantity} cái) ${formatDateTime(order.startTime)} - ${formatDateTime(order.endTime)}`;
+
+const notifyTechnician = async (order, title, message) => {
+  if (!order.technicianId) return;
+  try {
+    await createAndSendNotification(order.technicianId, NOTIFICATION_TYPE.REMINDER, title, message, false, null, order._id);
+  } catch (error) {
+    logger.warn(`Failed to notify technician ${order.technicianId}:`, error);
+  }
+};
+
+/**
+ * Giờ sử dụng của một unit kể từ `since`, theo lịch sử giao - nhận
+ */
+const unitUsageHours = async (unitId, since, now) => {
+  const unit = await EquipmentUnit.findById(unitId).select('assignments.checkedOutAt assignments.returnedAt').lean();
+  if (!unit) return 0;
+
+  const ms = (unit.assignments || []).reduce((sum, a) => {
+    const start = Math.max(new Date(a.checkedOutAt).getTime(), since.getTime());
+    const end = Math.min((a.returnedAt ? new Date(a.returnedAt) : now).getTime(), now.getTime());
+    return end > start ? sum + (end - start) : sum;
+  }, 0);
+  return ms / HOUR_MS;
+};
+
+/**
+ * Giờ sử dụng trung bình mỗi cái của một Equipment kể từ `since`:
+ * tổng giờ × số lượng của booking đã check-in / hoàn tất (theo lịch) và đơn thuê đã giao / hoàn tất, chia totalQty
+ */
+const equipmentUsageHours = async (equipment, since, now) => {
+  const overlapMs = (start, end) => {
+    const s = Math.max(new Date(start).getTime(), since.getTime());
+    const e = Math.min(new Date(end).getTime(), now.getTime());
+    return e > s ? e - s : 0;
+  };
+
+  let unitMs = 0;
+
+  const details = await BookingDetail.find({ detailType: BOOKING_DETAIL_TYPE.EQUIPMENT, equipmentId: equipment._id })
+    .select('bookingId quantity')
+    .lean();
+  if (details.length > 0) {
+    const bookings = await Booking.find({
+      _id: { $in: details.map(d => d.bookingId) },
+      status: { $in: [BOOKING_STATUS.CHECKED_IN, BOOKING_STATUS.COMPLETED] },
+    })
+      .select('scheduleId')
+      .populate('scheduleId', 'startTime endTime')
+      .lean();
+    const windows = new Map(bookings.filter(b => b.scheduleId).map(b => [b._id.toString(), b.scheduleId]));
+    details.forEach((d) => {
+      const schedule = windows.get(d.bookingId.toString());
+      if (schedule) unitMs += overlapMs(schedule.startTime, schedule.endTime) * (d.quantity || 0);
+    });
+  }
+
+  const orders = await EquipmentOrder.find({
+    status: { $in: [EQUIPMENT_ORDER_STATUS.IN_USE, EQUIPMENT_ORDER_STATUS.COMPLETED] },
+    $and: [
+      { $or: [{ equipmentId: equipment._id }, { 'items.equipmentId': equipment._id }] },
+      { $or: [{ completedAt: null }, { completedAt: { $gt: since } }] },
+    ],
+  })
+    .select('equipmentId kitId items quantity startedAt completedAt rentalStartTime rentalEndTime')
+    .lean();
+  orders.forEach((o) => {
+    const start = o.startedAt || o.rentalStartTime;
+    const end = o.completedAt || now;
+    const quantity = getOrderEquipmentLines(o)
+      .filter(line => line.equipmentId.toString() === equipment._id.toString())
+      .reduce((sum, line) => sum + (line.quantity || 0), 0);
+    unitMs += overlapMs(start, end) * quantity;
+  });
+
+  return unitMs / HOUR_MS / Math.max(equipment.totalQty || 0, 1);
+};
+
+/**
+ * Trạng thái đến hạn của một kế hoạch
+ * @returns {Object} - { dueAt, usageHours, isDue, dueReason }
+ */
+const evaluatePlan = async (plan, now = new Date()) => {
+  const since = new Date(plan.lastServicedAt);
+  const dueAt = plan.intervalDays ? new Date(since.getTime() + plan.intervalDays * DAY_MS) : null;
+
+  let usageHours = null;
+  if (plan.intervalUsageHours) {
+    if (plan.equipmentUnitId) {
+      usageHours = await unitUsageHours(plan.equipmentUnitId, since, now);
+    } else {
+      const equipment = await Equipment.findById(plan.equipmentId).select('totalQty').lean();
+      usageHours = equipment ? await equipmentUsageHours(equipment, since, now) : 0;
+    }
+    usageHours = Math.round(usageHours * 10) / 10;
+  }
+
+  let dueReason = null;
+  if (dueAt && dueAt.getTime() - PLAN_LEAD_DAYS * DAY_MS <= now.getTime()) {
+    dueReason = `Đến hạn bảo trì định kỳ ${plan.intervalDays} ngày (${formatDateTime(dueAt)})`;
+  } else if (usageHours !== null && usageHours >= plan.intervalUsageHours) {
+    dueReason = `Đã sử dụng ${usageHours}/${plan.intervalUsageHours} giờ kể từ lần bảo trì trước`;
+  }
+
+  return { dueAt, usageHours, isDue: !!dueReason, dueReason };
+};
+
+// #endregion
+
+// #region Work Orders
+
+/**
+ * Lịch sử / danh sách phiếu bảo trì
+ * @param {Object} filters - { equipmentId, equipmentUnitId, status, type, from, to, page, limit }
+ */
+export const getMaintenanceOrders = async ({ equipmentId, equipmentUnitId, status, type, from, to, page = 1, limit = 20 } = {}) => {
+  const safePage = Math.max(parseInt(page) || 1, 1);
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const query = {};
+  if (equipmentId) {
+    if (!mongoose.Types.ObjectId.isValid(equipmentId)) throw new ValidationError('ID thiết bị không hợp lệ');
+    query.equipmentId = equipmentId;
+  }
+  if (equipmentUnitId) {
+    if (!mongoose.Types.ObjectId.isValid(equipmentUnitId)) throw new ValidationError('ID unit không hợp lệ');
+    query.equipmentUnitId = equipmentUnitId;
+  }
+  if (status && Object.values(EQUIPMENT_MAINTENANCE_STATUS).includes(status)) query.status = status;
+  if (type && Object.values(EQUIPMENT_MAINTENANCE_TYPE).includes(type)) query.type = type;
+  if (from || to) {
+    const { s, e } = parseWindow(from || new Date(0), to || new Date(8.64e15));
+    query.startTime = { $lt: e };
+    query.endTime = { $gt: s };
+  }
+
+  const [orders, total] = await Promise.all([
+    EquipmentMaintenance.find(query)
+      .populate('equipmentId', 'name image')
+      .populate('equipmentUnitId', 'serialNumber conditionGrade status')
+      .populate('technicianId', 'fullName username')
+      .sort({ startTime: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .lean(),
+    EquipmentMaintenance.countDocuments(query),
+  ]);
+
+  return {
+    orders,
+    pagination: { total, page: safePage, limit: safeLimit, totalPages: Math.ceil(total / safeLimit) },
+  };
+};
+
+export const getMaintenanceOrderById = async (orderId) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) throw new ValidationError('ID phiếu bảo trì không hợp lệ');
+  const order = await EquipmentMaintenance.findById(orderId)
+    .populate('equipmentId', 'name image totalQty')
+    .populate('equipmentUnitId', 'serialNumber conditionGrade status')
+    .populate('technicianId', 'fullName username email')
+    .populate('planId', 'reason intervalDays intervalUsageHours')
+    .populate('reportId', 'status priority description')
+    .populate('createdBy', 'fullName username')
+    .populate('completedBy', 'fullName username')
+    .lean();
+  if (!order) throw new NotFoundError('Phiếu bảo trì không tồn tại');
+  return order;
+};
+
+/**
+ * Lên lịch bảo trì: số lượng (hoặc unit) được giữ trong khung giờ như một đơn thuê, nên khung giờ
+ * phải còn đủ thiết bị trống. Booking / đơn thuê đã có không bị hủy.
+ * @param {Object} data - { equipmentId, equipmentUnitId, quantity, type, reason, technicianId, technicianName,
+ *   startTime, endTime, estimatedCost, notes, reportId }
+ */
+export const createMaintenanceOrder = async (data = {}, actorId = null) => {
+  const { s, e } = parseWindow(data.startTime, data.endTime);
+  if (e <= new Date()) throw new ValidationError('Không thể tạo lịch bảo trì trong quá khứ');
+  const reason = data.reason?.toString().trim();
+  if (!reason) throw new ValidationError('Vui lòng nhập lý do bảo trì');
+  const type = data.type || EQUIPMENT_MAINTENANCE_TYPE.CORRECTIVE;
+  if (!Object.values(EQUIPMENT_MAINTENANCE_TYPE).includes(type)) {
+    throw new ValidationError(`Loại bảo trì không hợp lệ. Chọn từ: ${Object.values(EQUIPMENT_MAINTENANCE_TYPE).join(', ')}`);
+  }
+  if (data.reportId && !mongoose.Types.ObjectId.isValid(data.reportId)) throw new ValidationError('ID báo cáo không hợp lệ');
+  const estimatedCost = parseCost(data.estimatedCost, 'Chi phí dự kiến') ?? 0;
+  await assertTechnician(data.technicianId);
+
+  let equipmentName = null;
+  const order = await runInTransaction(async (session) => {
+    const { equipment, unit, quantity } = await resolveTarget(data, session);
+    equipmentName = equipment.name;
+
+    if (unit) {
+      const overlapping = await EquipmentMaintenance.findOne({
+        equipmentUnitId: unit._id,
+        status: { $in: OPEN_STATUSES },
+        startTime: { $lt: e },
+        endTime: { $gt: s },
+      }).session(session);
+      if (overlapping) {
+        throw new ConflictError(`Unit ${unit.serialNumber} đã có phiếu bảo trì ${formatDateTime(overlapping.startTime)} - ${formatDateTime(overlapping.endTime)}`);
+      }
+    }
+
+    await checkEquipmentAvailability(equipment._id, quantity, { startTime: s, endTime: e, session });
+
+    const [created] = await EquipmentMaintenance.create([{
+      equipmentId: equipment._id,
+      equipmentUnitId: unit?._id || null,
+      quantity,
+      type,
+      reason,
+      technicianId: data.technicianId || null,
+      technicianName: data.technicianName,
+      startTime: s,
+      endTime: e,
+      estimatedCost,
+      notes: data.notes,
+      planId: data.planId || null,
+      reportId: data.reportId || null,
+      createdBy: actorId,
+    }], { session });
+
+    if (s <= new Date()) {
+      await refreshEquipmentSnapshot([equipment._id], session);
+    }
+    return created;
+  });
+
+  await notifyTechnician(order, 'Phiếu bảo trì mới', `Bạn được giao bảo trì ${describeOrder(order, equipmentName)}: ${reason}`);
+  return order;
+};
+
+/**
+ * Sửa phiếu đã lên lịch: đổi khung giờ (kiểm tra lại số lượng trống), kỹ thuật viên, lý do, chi phí dự kiến
+ * @param {Object} data - { startTime, endTime, reason, technicianId, technicianName, estimatedCost, notes }
+ */
+export const updateMaintenanceOrder = async (orderId, data = {}) => {
+  await assertTechnician(data.technicianId);
+  const estimatedCost = parseCost(data.estimatedCost, 'Chi phí dự kiến');
+
+  return runInTransaction(async (session) => {
+    const order = await loadWorkOrder(orderId, session);
+    if (!OPEN_STATUSES.includes(order.status)) {
+      throw new ValidationError(`Không thể sửa phiếu bảo trì đã ${order.status}`);
+    }
+
+    if (data.startTime !== undefined || data.endTime !== undefined) {
+      const { s, e } = parseWindow(data.startTime ?? order.startTime, data.endTime ?? order.endTime);
+      if (order.status === EQUIPMENT_MAINTENANCE_STATUS.IN_PROGRESS && s.getTime() !== order.startTime.getTime()) {
+        throw new ValidationError('Phiếu đang bảo trì chỉ có thể đổi thời gian kết thúc');
+      }
+      if (e <= new Date()) throw new ValidationError('Thời gian kết thúc phải ở tương lai');
+
+      await checkEquipmentAvailability(order.equipmentId, order.quantity, {
+        startTime: s,
+        endTime: e,
+        excludeMaintenanceId: order._id,
+        session,
+      });
+      order.startTime = s;
+      order.endTime = e;
+    }
+
+    if (data.reason !== undefined) {
+      const reason = data.reason?.toString().trim();
+      if (!reason) throw new ValidationError('Vui lòng nhập lý do bảo trì');
+      order.reason = reason;
+    }
+    if (data.technicianId !== undefined) order.technicianId = data.technicianId || null;
+    if (data.technicianName !== undefined) order.technicianName = data.technicianName;
+    if (estimatedCost !== undefined) order.estimatedCost = estimatedCost;
+    if (data.notes !== undefined) order.notes = data.notes;
+
+    await order.save({ session });
+    await refreshEquipmentSnapshot([order.equipmentId], session);
+    return order;
+  });
+};
+
+/**
+ * Bắt đầu bảo trì: unit chuyển sang maintenance; bắt đầu sớm hơn lịch thì phần thời gian thêm
+ * cũng phải còn đủ thiết bị trống. Phiếu đang bảo trì giữ thiết bị đến khi hoàn tất.
+ */
+export const startMaintenanceOrder = async (orderId) => {
+  return runInTransaction(async (session) => {
+    const order = await loadWorkOrder(orderId, session);
+    if (order.status === EQUIPMENT_MAINTENANCE_STATUS.IN_PROGRESS) return order;
+    if (order.status !== EQUIPMENT_MAINTENANCE_STATUS.SCHEDULED) {
+      throw new ValidationError(`Không thể bắt đầu phiếu bảo trì đã ${order.status}`);
+    }
+
+    const now = new Date();
+    if (now < order.startTime) {
+      await checkEquipmentAvailability(order.equipmentId, order.quantity, {
+        startTime: now,
+        endTime: order.endTime,
+        excludeMaintenanceId: order._id,
+        session,
+      });
+      order.startTime = now;
+    }
+
+    if (order.equipmentUnitId) {
+      const unit = await EquipmentUnit.findById(order.equipmentUnitId).session(session);
+      if (!unit) throw new NotFoundError('Unit thiết bị không tồn tại');
+      if (unit.status === EQUIPMENT_UNIT_STATUS.IN_USE) {
+        throw new ValidationError(`Unit ${unit.serialNumber} đang được khách sử dụng, vui lòng nhận lại trước`);
+      }
+      if (unit.status === EQUIPMENT_UNIT_STATUS.RETIRED) {
+        throw new ValidationError(`Unit ${unit.serialNumber} đã thanh lý`);
+      }
+      unit.status = EQUIPMENT_UNIT_STATUS.MAINTENANCE;
+      await unit.save({ session });
+    }
+
+    order.status = EQUIPMENT_MAINTENANCE_STATUS.IN_PROGRESS;
+    order.startedAt = now;
+    await order.save({ session });
+
+    await refreshEquipmentSnapshot([order.equipmentId], session);
+    return order;
+  });
+};
+
+/**
+ * Hoàn tất bảo trì: thiết bị trả về kho (hết giữ số lượng), unit về available với tình trạng mới,
+ * kế hoạch định kỳ (nếu có) tính lại từ thời điểm này
+ * @param {Object} data - { cost, notes, conditionGrade }
+ */
+export const completeMaintenanceOrder = async (orderId, data = {}, actorId = null) => {
+  const cost = parseCost(data.cost, 'Chi phí');
+  const { conditionGrade } = data;
+  if (conditionGrade !== undefined && !Object.values(EQUIPMENT_CONDITION_GRADE).includes(conditionGrade)) {
+    throw new ValidationError(`Tình trạng không hợp lệ. Chọn từ: ${Object.values(EQUIPMENT_CONDITION_GRADE).join(', ')}`);
+  }
+  if (conditionGrade === EQUIPMENT_CONDITION_GRADE.DAMAGED) {
+    throw new ValidationError('Unit vẫn hư hỏng: giữ phiếu mở hoặc thanh lý unit');
+  }
+
+  return runInTransaction(async (session) => {
+    const order = await loadWorkOrder(orderId, session);
+    if (order.status === EQUIPMENT_MAINTENANCE_STATUS.COMPLETED) return order;
+
+    const now = new Date();
+    if (order.status === EQUIPMENT_MAINTENANCE_STATUS.SCHEDULED && order.startTime > now) {
+      throw new ValidationError('Phiếu bảo trì chưa đến giờ bắt đầu');
+    }
+    if (!OPEN_STATUSES.includes(order.status)) {
+      throw new ValidationError(`Không thể hoàn tất phiếu bảo trì đã ${order.status}`);
+    }
+
+    if (order.equipmentUnitId) {
+      const unit = await EquipmentUnit.findById(order.equipmentUnitId).session(session);
+      if (unit && unit.status !== EQUIPMENT_UNIT_STATUS.RETIRED) {
+        const grade = conditionGrade || unit.conditionGrade;
+        if (grade === EQUIPMENT_CONDITION_GRADE.DAMAGED) {
+          throw new ValidationError(`Unit ${unit.serialNumber} đang ghi nhận hư hỏng, vui lòng cập nhật tình trạng sau bảo trì`);
+        }
+        unit.conditionGrade = grade;
+        if (unit.status === EQUIPMENT_UNIT_STATUS.MAINTENANCE) unit.status = EQUIPMENT_UNIT_STATUS.AVAILABLE;
+        await unit.save({ session });
+      }
+    }
+
+    order.status = EQUIPMENT_MAINTENANCE_STATUS.COMPLETED;
+    order.startedAt = order.startedAt || order.startTime;
+    order.completedAt = now;
+    order.completedBy = actorId;
+    if (cost !== undefined) order.cost = cost;
+    if (data.notes !== undefined) order.notes = data.notes;
+    await order.save({ session });
+
+    if (order.planId) {
+      await EquipmentMaintenancePlan.updateOne(
+        { _id: order.planId },
+        { $set: { lastServicedAt: now, lastOrderId: order._id } },
+        { session }
+      );
+    }
+
+    await refreshEquipmentSnapshot([order.equipmentId], session);
+    return order;
+  });
+};
+
+/**
+ * Hủy phiếu chưa bắt đầu, số lượng được giữ trả lại ngay
+ */
+export const cancelMaintenanceOrder = async (orderId, reason = null) => {
+  const order = await loadWorkOrder(orderId);
+  if (order.status === EQUIPMENT_MAINTENANCE_STATUS.CANCELLED) return order;
+  if (order.status !== EQUIPMENT_MAINTENANCE_STATUS.SCHEDULED) {
+    throw new ValidationError('Chỉ hủy được phiếu chưa bắt đầu; phiếu đang bảo trì cần được hoàn tất');
+  }
+
+  order.status = EQUIPMENT_MAINTENANCE_STATUS.CANCELLED;
+  order.cancelledAt = new Date();
+  order.cancelReason = reason?.toString().trim() || undefined;
+  await order.save();
+
+  await refreshEquipmentSnapshot([order.equipmentId]);
+  return order;
+};
+
+// #endregion
+
+// #region Preventive Plans
+
+/**
+ * Kế hoạch bảo trì định kỳ kèm hạn kế tiếp, giờ sử dụng hiện tại và phiếu đang mở
+ * @param {Object} filters - { equipmentId, equipmentUnitId, isActive }
+ */
+export const getMaintenancePlans = async ({ equipmentId, equipmentUnitId, isActive } = {}) => {
+  const query = {};
+  if (equipmentId) {
+    if (!mongoose.Types.ObjectId.isValid(equipmentId)) throw new ValidationError('ID thiết bị không hợp lệ');
+    query.equipmentId = equipmentId;
+  }
+  if (equipmentUnitId) {
+    if (!mongoose.Types.ObjectId.isValid(equipmentUnitId)) throw new ValidationError('ID unit không hợp lệ');
+    query.equipmentUnitId = equipmentUnitId;
+  }
+  if (isActive !== undefined) query.isActive = isActive === true || isActive === 'true';
+
+  const plans = await EquipmentMaintenancePlan.find(query)
+    .populate('equipmentId', 'name image')
+    .populate('equipmentUnitId', 'serialNumber status')
+    .populate('technicianId', 'fullName username')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const openOrders = await EquipmentMaintenance.find({ planId: { $in: plans.map(p => p._id) }, status: { $in: OPEN_STATUSES } })
+    .select('planId status startTime endTime')
+    .lean();
+  const openByPlan = new Map(openOrders.map(o => [o.planId.toString(), o]));
+
+  const now = new Date();
+  const result = [];
+  for (const plan of plans) {
+    const { dueAt, usageHours, isDue } = await evaluatePlan(plan, now);
+    result.push({ ...plan, nextDueAt: dueAt, usageHours, isDue, openOrder: openByPlan.get(plan._id.toString()) || null });
+  }
+  return result;
+};
+
+/**
+ * Tạo kế hoạch bảo trì định kỳ theo số ngày và / hoặc số giờ sử dụng
+ * @param {Object} data - { equipmentId, equipmentUnitId, quantity, reason, intervalDays, intervalUsageHours,
+ *   durationHours, technicianId, technicianName, estimatedCost, lastServicedAt }
+ */
+export const createMaintenancePlan = async (data = {}, actorId = null) => {
+  const intervalDays = parseInterval(data.intervalDays, 'Chu kỳ (ngày)');
+  const intervalUsageHours = parseInterval(data.intervalUsageHours, 'Chu kỳ (giờ sử dụng)');
+  if (!intervalDays && !intervalUsageHours) {
+    throw new ValidationError('Vui lòng nhập chu kỳ theo ngày hoặc theo giờ sử dụng');
+  }
+  const reason = data.reason?.toString().trim();
+  if (!reason) throw new ValidationError('Vui lòng nhập nội dung bảo trì');
+  const durationHours = data.durationHours !== undefined ? Number(data.durationHours) : 4;
+  if (!Number.isFinite(durationHours) || durationHours < 0.5 || durationHours > 24 * 7) {
+    throw new ValidationError('Thời lượng bảo trì phải từ 0.5 đến 168 giờ');
+  }
+  let lastServicedAt = new Date();
+  if (data.lastServicedAt) {
+    lastServicedAt = new Date(data.lastServicedAt);
+    if (isNaN(lastServicedAt.getTime()) || lastServicedAt > new Date()) throw new ValidationError('Ngày bảo trì gần nhất không hợp lệ');
+  }
+  await assertTechnician(data.technicianId);
+
+  const { equipment, unit, quantity } = await resolveTarget(data);
+
+  return EquipmentMaintenancePlan.create({
+    equipmentId: equipment._id,
+    equipmentUnitId: unit?._id || null,
+    quantity,
+    reason,
+    intervalDays,
+    intervalUsageHours,
+    durationHours,
+    technicianId: data.technicianId || null,
+    technicianName: data.technicianName,
+    estimatedCost: parseCost(data.estimatedCost, 'Chi phí dự kiến') ?? 0,
+    lastServicedAt,
+    createdBy: actorId,
+  });
+};
+
+/**
+ * Sửa / tạm dừng kế hoạch (phiếu đã tạo không bị ảnh hưởng)
+ */
+export const updateMaintenancePlan = async (planId, data = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(planId)) throw new ValidationError('ID kế hoạch không hợp lệ');
+  const plan = await EquipmentMaintenancePlan.findById(planId);
+  if (!plan) throw new NotFoundError('Kế hoạch bảo trì không tồn tại');
+
+  if (data.intervalDays !== undefined) plan.intervalDays = parseInterval(data.intervalDays, 'Chu kỳ (ngày)');
+  if (data.intervalUsageHours !== undefined) plan.intervalUsageHours = parseInterval(data.intervalUsageHours, 'Chu kỳ (giờ sử dụng)');
+  if (!plan.intervalDays && !plan.intervalUsageHours) {
+    throw new ValidationError('Vui lòng nhập chu kỳ theo ngày hoặc theo giờ sử dụng');
+  }
+  if (data.reason !== undefined) {
+    const reason = data.reason?.toString().trim();
+    if (!reason) throw new ValidationError('Vui lòng nhập nội dung bảo trì');
+    plan.reason = reason;
+  }
+  if (data.durationHours !== undefined) {
+    const durationHours = Number(data.durationHours);
+    if (!Number.isFinite(durationHours) || durationHours < 0.5 || durationHours > 24 * 7) {
+      throw new ValidationError('Thời lượng bảo trì phải từ 0.5 đến 168 giờ');
+    }
+    plan.durationHours = durationHours;
+  }
+  if (data.quantity !== undefined && !plan.equipmentUnitId) {
+    const { quantity } = await resolveTarget({ equipmentId: plan.equipmentId, quantity: data.quantity });
+    plan.quantity = quantity;
+  }
+  if (data.technicianId !== undefined) {
+    await assertTechnician(data.technicianId);
+    plan.technicianId = data.technicianId || null;
+  }
+  if (data.technicianName !== undefined) plan.technicianName = data.technicianName;
+  if (data.estimatedCost !== undefined) plan.estimatedCost = parseCost(data.estimatedCost, 'Chi phí dự kiến');
+  if (data.isActive !== undefined) plan.isActive = data.isActive === true || data.isActive === 'true';
+
+  return plan.save();
+};
+
+/**
+ * Tạo phiếu bảo trì preventive cho các kế hoạch đến hạn (chạy bởi equipmentMaintenanceJob).
+ * Phiếu được đặt vào khung giờ trống đầu tiên trong PLAN_SEARCH_DAYS ngày tới; kế hoạch đã có phiếu mở thì bỏ qua.
+ * @returns {Object} - { created, unscheduled }
+ */
+export const generatePreventiveOrders = async (now = new Date()) => {
+  const plans = await EquipmentMaintenancePlan.find({ isActive: true }).lean();
+  let created = 0;
+  let unscheduled = 0;
+
+  for (const plan of plans) {
+    try {
+      const hasOpenOrder = await EquipmentMaintenance.exists({ planId: plan._id, status: { $in: OPEN_STATUSES } });
+      if (hasOpenOrder) continue;
+
+      const { isDue, dueReason } = await evaluatePlan(plan, now);
+      if (!isDue) continue;
+
+      // Start on the next full hour so staff can see the order before it begins
+      const from = new Date(Math.ceil((now.getTime() + 1) / HOUR_MS) * HOUR_MS);
+      const to = new Date(from.getTime() + PLAN_SEARCH_DAYS * DAY_MS);
+      const window = await findEquipmentFreeWindow(plan.equipmentId, plan.quantity, plan.durationHours * HOUR_MS, from, to);
+      if (!window) {
+        unscheduled++;
+        logger.warn(`No free window for preventive maintenance plan ${plan._id} within ${PLAN_SEARCH_DAYS} days`);
+        continue;
+      }
+
+      await createMaintenanceOrder({
+        equipmentId: plan.equipmentId,
+        equipmentUnitId: plan.equipmentUnitId,
+        quantity: plan.quantity,
+        type: EQUIPMENT_MAINTENANCE_TYPE.PREVENTIVE,
+        reason: plan.reason,
+        notes: dueReason,
+        technicianId: plan.technicianId,
+        technicianName: plan.technicianName,
+        estimatedCost: plan.estimatedCost,
+        startTime: window.startTime,
+        endTime: window.endTime,
+        planId: plan._id,
+      });
+      created++;
+    } catch (error) {
+      // Another booking may take the window between the search and the check; the next run retries
+      unscheduled++;
+      logger.warn(`Failed to create preventive maintenance for plan ${plan._id}: ${error.message}`);
+    }
+  }
+
+  return { created, unscheduled };
+};
+
+// #endregion
+
+// #region Reports
+
+/**
+ * Báo cáo chi phí / thời gian bảo trì (admin): phiếu hoàn tất trong [from, to) theo thiết bị và theo loại
+ * @param {Object} params - { from, to, equipmentId } mặc định 30 ngày gần nhất
+ */
+export const getMaintenanceCostReport = async ({ from, to, equipmentId } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+  const { s, e } = parseWindow(start, end);
+  if (e - s > MAX_REPORT_RANGE_DAYS * DAY_MS) {
+    throw new ValidationError(`Chỉ có thể xem tối đa ${MAX_REPORT_RANGE_DAYS} ngày mỗi lần!`);
+  }
+
+  const match = { status: EQUIPMENT_MAINTENANCE_STATUS.COMPLETED, completedAt: { $gte: s, $lt: e } };
+  if (equipmentId) {
+    if (!mongoose.Types.ObjectId.isValid(equipmentId)) throw new ValidationError('ID thiết bị không hợp lệ');
+    match.equipmentId = new mongoose.Types.ObjectId(String(equipmentId));
+  }
+
+  const downtimeHours = {
+    $multiply: [{ $divide: [{ $subtract: ['$completedAt', { $ifNull: ['$startedAt', '$startTime'] }] }, HOUR_MS] }, '$quantity'],
+  };
+
+  const [byEquipment, byType] = await Promise.all([
+    EquipmentMaintenance.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$equipmentId',
+          orders: { $sum: 1 },
+          preventive: { $sum: { $cond: [{ $eq: ['$type', EQUIPMENT_MAINTENANCE_TYPE.PREVENTIVE] }, 1, 0] } },
+          corrective: { $sum: { $cond: [{ $eq: ['$type', EQUIPMENT_MAINTENANCE_TYPE.CORRECTIVE] }, 1, 0] } },
+          totalCost: { $sum: '$cost' },
+          estimatedCost: { $sum: '$estimatedCost' },
+          downtimeHours: { $sum: downtimeHours },
+          units: { $addToSet: '$equipmentUnitId' },
+        },
+      },
+      { $lookup: { from: Equipment.collection.name, localField: '_id', foreignField: '_id', as: 'equipment' } },
+      {
+        $project: {
+          _id: 0,
+          equipmentId: '$_id',
+          name: { $arrayElemAt: ['$equipment.name', 0] },
+          orders: 1,
+          preventive: 1,
+          corrective: 1,
+          totalCost: 1,
+          estimatedCost: 1,
+          downtimeHours: { $round: ['$downtimeHours', 1] },
+          unitsServiced: { $size: { $setDifference: ['$units', [null]] } },
+        },
+      },
+      { $sort: { totalCost: -1 } },
+    ]),
+    EquipmentMaintenance.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$type',
+          orders: { $sum: 1 },
+          totalCost: { $sum: '$cost' },
+          downtimeHours: { $sum: downtimeHours },
+        },
+      },
+      { $project: { _id: 0, type: '$_id', orders: 1, totalCost: 1, downtimeHours: { $round: ['$downtimeHours', 1] } } },
+    ]),
+  ]);
+
+  const openQuery = { status: { $in: OPEN_STATUSES } };
+  if (match.equipmentId) openQuery.equipmentId = match.equipmentId;
+  const openOrders = await EquipmentMaintenance.countDocuments(openQuery);
+
+  return {
+    from: s,
+    to: e,
+    summary: {
+      orders: byEquipment.reduce((sum, r) => sum + r.orders, 0),
+      totalCost: byEquipment.reduce((sum, r) => sum + r.totalCost, 0),
+      estimatedCost: byEquipment.reduce((sum, r) => sum + r.estimatedCost, 0),
+      downtimeHours: Math.round(byEquipment.reduce((sum, r) => sum + r.downtimeHours, 0) * 10) / 10,
+      openOrders,
+    },
+    byType,
+    byEquipment,
+  };
+};
+
+// #endregion
+
+export default {
+  getMaintenanceOrders,
+  getMaintenanceOrderById,
+  createMaintenanceOrder,
+  updateMaintenanceOrder,
+  startMaintenanceOrder,
+  completeMaintenanceOrder,
+  cancelMaintenanceOrder,
+  getMaintenancePlans,
+  createMaintenancePlan,
+  updateMaintenancePlan,
+  generatePreventiveOrders,
+  getMaintenanceCostReport,
+};
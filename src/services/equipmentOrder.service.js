@@ -2,12 +2,17 @@
 import mongoose from 'mongoose';
 import crypto from 'crypto';
 import Equipment from '../models/Equipment/equipment.model.js';
-import EquipmentOrder, { EQUIPMENT_ORDER_STATUS } from '../models/EquipmentOrder/equipmentOrder.model.js';
+import EquipmentOrder, { EQUIPMENT_ORDER_STATUS, getOrderEquipmentLines } from '../models/EquipmentOrder/equipmentOrder.model.js';
 import Payment from '../models/Payment/payment.model.js';
-import { PAYMENT_STATUS, PAY_TYPE, TARGET_MODEL, PAYMENT_CATEGORY, NOTIFICATION_TYPE } from '../utils/constants.js';
+import { PAYMENT_STATUS, PAY_TYPE, TARGET_MODEL, PAYMENT_CATEGORY } from '../utils/constants.js';
 import { ValidationError, NotFoundError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
-import { createAndSendNotification } from './notification.service.js';
+import { checkEquipmentAvailability, refreshEquipmentSnapshot } from './equipment.service.js';
+import { assignEquipmentUnits, returnEquipmentUnits } from './equipmentUnit.service.js';
+import { checkKitAvailability } from './equipmentKit.service.js';
+import { getPaymentGateway } from './paymentGateway/index.js';
+import { applyWalletToCheckout } from './wallet.service.js';
+import { redeemPoints, earnPoints, notifyPointsEarned, restoreRedeemedPoints, notifyPointsRestored } from './loyalty.service.js';
 //#endregion
 
 // PayOS description maximum length
@@ -37,6 +42,8 @@ const generatePaymentCode = (orderId) => {
 
 /**
  * Create a new equipment order
+ * Thuê trọn bộ: gửi kitId thay cho equipmentId, quantity là số bộ
+ * redeemPoints: số điểm thưởng muốn đổi lấy giảm giá
  * @param {Object} orderData - Order data
  * @param {Object} user - Current user
  * @returns {Object} Created order
@@ -46,31 +53,35 @@ export const createEquipmentOrder = async (orderData, user) => {
   session.startTransaction();
 
   try {
-    const { equipmentId, quantity = 1, hours, rentalStartTime, rentalEndTime, customerNotes, bookingId } = orderData;
+    const { equipmentId, kitId, quantity = 1, hours, rentalStartTime, rentalEndTime, customerNotes, bookingId, redeemPoints: pointsToRedeem } = orderData;
 
-    // Validate equipment exists and is available
-    if (!equipmentId || !mongoose.Types.ObjectId.isValid(equipmentId)) {
-      throw new ValidationError('ID thiết bị không hợp lệ');
-    }
+    let equipment = null;
+    if (kitId) {
+      if (!mongoose.Types.ObjectId.isValid(kitId)) {
+        throw new ValidationError('ID kit không hợp lệ');
+      }
+    } else {
+      // Validate equipment exists and is available
+      if (!equipmentId || !mongoose.Types.ObjectId.isValid(equipmentId)) {
+        throw new ValidationError('ID thiết bị không hợp lệ');
+      }
 
-    const equipment = await Equipment.findById(equipmentId).session(session);
-    if (!equipment) {
-      throw new NotFoundError('Thiết bị không tồn tại');
-    }
-    if (equipment.isDeleted || equipment.status !== 'available') {
-      throw new ValidationError('Thiết bị này hiện không khả dụng');
-    }
-    if (!equipment.pricePerHour || equipment.pricePerHour <= 0) {
-      throw new ValidationError('Thiết bị này chưa có giá thuê');
+      equipment = await Equipment.findById(equipmentId).session(session);
+      if (!equipment) {
+        throw new NotFoundError('Thiết bị không tồn tại');
+      }
+      if (equipment.isDeleted) {
+        throw new ValidationError('Thiết bị này hiện không khả dụng');
+      }
+      if (!equipment.pricePerHour || equipment.pricePerHour <= 0) {
+        throw new ValidationError('Thiết bị này chưa có giá thuê');
+      }
     }
 
     // Validate quantity
     if (quantity < 1 || quantity > 100) {
       throw new ValidationError('Số lượng phải từ 1 đến 100');
     }
-    if (equipment.availableQty < quantity) {
-      throw new ValidationError(`Chỉ còn ${equipment.availableQty} thiết bị khả dụng`);
-    }
 
     // Validate hours
     if (!hours || hours < 1 || hours > 720) {
@@ -98,21 +109,40 @@ export const createEquipmentOrder = async (orderData, user) => {
       throw new ValidationError(`Số giờ thuê không khớp với khoảng thời gian (${hoursDiff} giờ)`);
     }
 
+    // Enough units free during the whole rental window (bookings + other rental orders).
+    // A kit holds every component in this transaction, or none of them
+    let unitPrice = equipment?.pricePerHour;
+    let kitLines = null;
+    if (kitId) {
+      const resolved = await checkKitAvailability(kitId, quantity, { startTime, endTime, session });
+      if (!resolved.pricePerHour || resolved.pricePerHour <= 0) {
+        throw new ValidationError(`Kit "${resolved.kit.name}" chưa có giá thuê`);
+      }
+      unitPrice = resolved.pricePerHour;
+      kitLines = resolved.lines;
+    } else {
+      await checkEquipmentAvailability(equipmentId, quantity, { startTime, endTime, session });
+    }
+
     // Generate order code
     const orderCode = EquipmentOrder.generateOrderCode();
 
     // Calculate total amount
-    const totalAmount = quantity * hours * equipment.pricePerHour;
+    const totalAmount = quantity * hours * unitPrice;
 
     // Create order
     const order = new EquipmentOrder({
       orderCode,
       customerId: user._id,
-      equipmentId,
+      equipmentId: kitId ? null : equipmentId,
+      kitId: kitId || null,
+      items: kitLines
+        ? kitLines.map(line => ({ equipmentId: line.equipmentId, quantity: line.quantity, unitPrice: line.pricePerHour }))
+        : [],
       bookingId: bookingId || null,
       quantity,
       hours,
-      unitPrice: equipment.pricePerHour,
+      unitPrice,
       totalAmount,
       rentalStartTime: startTime,
       rentalEndTime: endTime,
@@ -121,12 +151,25 @@ export const createEquipmentOrder = async (orderData, user) => {
       paymentStatus: PAYMENT_STATUS.PENDING,
     });
 
+    // Loyalty points redeemed as a discount on this order
+    if (pointsToRedeem) {
+      const redeemed = await redeemPoints({
+        userId: user._id,
+        points: pointsToRedeem,
+        amount: totalAmount,
+        referenceModel: 'EquipmentOrder',
+        referenceId: order._id,
+        description: `Đổi điểm cho đơn thuê thiết bị ${orderCode}`,
+      }, session);
+      order.loyaltyPointsRedeemed = redeemed.points;
+      order.loyaltyDiscount = redeemed.discountAmount;
+      order.totalAmount = totalAmount - redeemed.discountAmount;
+    }
+
     await order.save({ session });
 
-    // Reserve equipment (decrease availableQty, increase inUseQty)
-    equipment.availableQty -= quantity;
-    equipment.inUseQty += quantity;
-    await equipment.save({ session });
+    // The order itself holds the units for its window; only the "now" counters need refreshing
+    await refreshEquipmentSnapshot(getOrderEquipmentLines(order).map(line => line.equipmentId), session);
 
     await session.commitTransaction();
 
@@ -135,6 +178,7 @@ export const createEquipmentOrder = async (orderData, user) => {
     // Populate and return
     const populatedOrder = await EquipmentOrder.findById(order._id)
       .populate('equipmentId', 'name image pricePerHour')
+      .populate('kitId', 'name image')
       .populate('customerId', 'username email');
 
     return populatedOrder;
@@ -171,6 +215,7 @@ export const getMyEquipmentOrders = async (user, options = {}) => {
     const [orders, total] = await Promise.all([
       EquipmentOrder.find(query)
         .populate('equipmentId', 'name image pricePerHour')
+        .populate('kitId', 'name image')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit),
@@ -214,6 +259,7 @@ export const getAllEquipmentOrders = async (options = {}) => {
     const [orders, total] = await Promise.all([
       EquipmentOrder.find(query)
         .populate('equipmentId', 'name image pricePerHour')
+        .populate('kitId', 'name image')
         .populate('customerId', 'username email')
         .populate('processedBy', 'username')
         .sort({ createdAt: -1 })
@@ -251,6 +297,7 @@ export const getEquipmentOrderById = async (orderId, user) => {
 
     const order = await EquipmentOrder.findById(orderId)
       .populate('equipmentId', 'name image pricePerHour description')
+      .populate('kitId', 'name image')
       .populate('customerId', 'username email')
       .populate('processedBy', 'username');
 
@@ -280,13 +327,15 @@ export const getEquipmentOrderById = async (orderId, user) => {
 /**
  * Update order status (Staff/Admin)
  * @param {string} orderId - Order ID
- * @param {Object} updateData - Update data
+ * @param {Object} updateData - { status, staffNotes, cancelReason, units } units: serialized units handed over (in_use) or taken back (completed)
  * @param {Object} user - Current user (staff)
  * @returns {Object} Updated order
  */
 export const updateEquipmentOrderStatus = async (orderId, updateData, user) => {
   const session = await mongoose.startSession();
   session.startTransaction();
+  let earnedPoints = null;
+  let restoredPoints = null;
 
   try {
     if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
@@ -326,19 +375,9 @@ export const updateEquipmentOrderStatus = async (orderId, updateData, user) => {
         order.startedAt = new Date();
       } else if (status === EQUIPMENT_ORDER_STATUS.COMPLETED) {
         order.completedAt = new Date();
-        // Return equipment to available (decrease inUseQty, increase availableQty)
-        const equipment = order.equipmentId;
-        equipment.inUseQty -= order.quantity;
-        equipment.availableQty += order.quantity;
-        await equipment.save({ session });
       } else if (status === EQUIPMENT_ORDER_STATUS.CANCELLED) {
         order.cancelledAt = new Date();
         order.cancelReason = updateData.cancelReason || 'Cancelled by staff';
-        // Return equipment to available
-        const equipment = order.equipmentId;
-        equipment.inUseQty -= order.quantity;
-        equipment.availableQty += order.quantity;
-        await equipment.save({ session });
       }
     }
 
@@ -347,12 +386,51 @@ export const updateEquipmentOrderStatus = async (orderId, updateData, user) => {
     }
 
     await order.save({ session });
+
+    // Serialized units handed over at pick-up / taken back with their condition at return
+    if (Array.isArray(updateData.units) && updateData.units.length > 0) {
+      const unitData = { targetModel: TARGET_MODEL.EQUIPMENT_ORDER, targetId: order._id, units: updateData.units };
+      if (status === EQUIPMENT_ORDER_STATUS.IN_USE) {
+        await assignEquipmentUnits(unitData, user._id, session);
+      } else if (status === EQUIPMENT_ORDER_STATUS.COMPLETED) {
+        await returnEquipmentUnits(unitData, user._id, session);
+      }
+    }
+
+    // Picking up, returning or cancelling changes what is in use right now
+    if (status) {
+      await refreshEquipmentSnapshot(getOrderEquipmentLines(order).map(line => line.equipmentId), session);
+    }
+
+    // Returned rental earns loyalty points for what the customer paid
+    if (status === EQUIPMENT_ORDER_STATUS.COMPLETED) {
+      const paidPayments = await Payment.find({
+        targetId: order._id,
+        targetModel: TARGET_MODEL.EQUIPMENT_ORDER,
+        status: PAYMENT_STATUS.PAID,
+      }).select('amount').session(session);
+      earnedPoints = await earnPoints({
+        userId: order.customerId,
+        amount: paidPayments.reduce((sum, p) => sum + p.amount, 0),
+        referenceModel: 'EquipmentOrder',
+        referenceId: order._id,
+        description: `Hoàn thành đơn thuê thiết bị ${order.orderCode}`,
+      }, session);
+    }
+
+    // Cancelled order gives back the points redeemed on it
+    if (status === EQUIPMENT_ORDER_STATUS.CANCELLED && order.loyaltyPointsRedeemed > 0) {
+      restoredPoints = await restoreRedeemedPoints({ referenceModel: 'EquipmentOrder', referenceId: order._id }, session);
+    }
     await session.commitTransaction();
+    await notifyPointsEarned(earnedPoints);
+    await notifyPointsRestored(restoredPoints);
 
     logger.info(`Equipment order ${orderId} status updated to ${status} by ${user._id}`);
 
     return await EquipmentOrder.findById(orderId)
       .populate('equipmentId', 'name image pricePerHour')
+      .populate('kitId', 'name image')
       .populate('customerId', 'username email')
       .populate('processedBy', 'username');
   } catch (error) {
@@ -405,29 +483,22 @@ export const cancelEquipmentOrder = async (orderId, user, reason) => {
     // Use paymentStatus instead of just checking CONFIRMED status
     const hasPaidPayments = order.paymentStatus === PAYMENT_STATUS.PAID;
 
-    // Store original status before changing (for equipment restore logic)
-    const originalStatus = order.status;
-
     order.status = EQUIPMENT_ORDER_STATUS.CANCELLED;
     order.cancelledAt = new Date();
     order.cancelReason = reason || 'Cancelled by customer';
 
     await order.save({ session });
 
-    // Restore equipment quantity for orders that were reserved
-    // Equipment is reserved in createEquipmentOrder() for all orders (PENDING onwards)
-    // So we need to restore for any cancelled order that had equipment reserved
-    const equipment = order.equipmentId;
-    const wasReserved = [EQUIPMENT_ORDER_STATUS.PENDING, EQUIPMENT_ORDER_STATUS.CONFIRMED, EQUIPMENT_ORDER_STATUS.IN_USE].includes(originalStatus);
-    // Only restore if equipment was actually reserved (inUseQty >= order.quantity)
-    // This handles edge cases where order was created without proper reservation
-    if (equipment && wasReserved && equipment.inUseQty >= order.quantity) {
-      equipment.inUseQty -= order.quantity;
-      equipment.availableQty += order.quantity;
-      await equipment.save({ session });
-    }
+    // A cancelled order no longer holds its units; refresh the "now" counters
+    await refreshEquipmentSnapshot(getOrderEquipmentLines(order).map(line => line.equipmentId), session);
+
+    // Points redeemed on this order go back to the customer, whether or not anything is refunded
+    const restoredPoints = order.loyaltyPointsRedeemed > 0
+      ? await restoreRedeemedPoints({ referenceModel: 'EquipmentOrder', referenceId: order._id }, session)
+      : null;
 
     await session.commitTransaction();
+    await notifyPointsRestored(restoredPoints);
 
     logger.info(`Equipment order ${orderId} cancelled by customer ${user._id}`);
 
@@ -546,9 +617,10 @@ export const refundEquipmentDeposit = async (orderId, user) => {
  * Create payment for equipment order (Full payment only)
  * @param {string} orderId - Order ID
  * @param {Object} user - Current user
+ * @param {Object} opts - { useWallet } trừ số dư ví trước, phần còn lại qua cổng thanh toán
  * @returns {Object} Payment with checkout URL
  */
-export const createEquipmentPayment = async (orderId, user) => {
+export const createEquipmentPayment = async (orderId, user, opts = {}) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -559,6 +631,7 @@ export const createEquipmentPayment = async (orderId, user) => {
 
     const order = await EquipmentOrder.findById(orderId)
       .populate('equipmentId', 'name')
+      .populate('kitId', 'name')
       .populate('customerId', 'username email')
       .session(session);
 
@@ -572,6 +645,11 @@ export const createEquipmentPayment = async (orderId, user) => {
       throw new ValidationError('Bạn không có quyền thanh toán đơn hàng này');
     }
 
+    // Only the order owner may spend their own wallet balance
+    if (opts.useWallet && order.customerId._id.toString() !== user._id.toString()) {
+      throw new ValidationError('Chỉ chủ đơn hàng mới có thể thanh toán bằng ví');
+    }
+
     // Check order status
     if (order.status === EQUIPMENT_ORDER_STATUS.CANCELLED) {
       throw new ValidationError('Không thể thanh toán đơn hàng đã hủy');
@@ -592,7 +670,7 @@ export const createEquipmentPayment = async (orderId, user) => {
       const now = new Date();
       const isExpired = existingPayment.expiresAt && new Date(existingPayment.expiresAt) < now;
       
-      if (!isExpired) {
+      if (!isExpired && !opts.useWallet) {
         await session.commitTransaction();
         return {
           payment: existingPayment,
@@ -600,23 +678,60 @@ export const createEquipmentPayment = async (orderId, user) => {
           message: 'Đã có link thanh toán cho đơn hàng này',
         };
       } else {
-        // Cancel expired payment
+        // Cancel expired payment (or the open link replaced by a wallet checkout)
+        if (!isExpired) {
+          try {
+            await getPaymentGateway().cancelPaymentLink(existingPayment.transactionId, 'Replaced by wallet checkout');
+          } catch (cancelErr) {
+            logger.warn('Could not cancel replaced payment link', { paymentId: existingPayment._id, error: cancelErr.message });
+          }
+        }
         existingPayment.status = PAYMENT_STATUS.CANCELLED;
         existingPayment.gatewayResponse = {
           ...existingPayment.gatewayResponse,
           cancelledAt: new Date(),
-          cancelReason: 'Payment link expired'
+          cancelReason: isExpired ? 'Payment link expired' : 'Replaced by wallet checkout'
         };
         await existingPayment.save({ session });
       }
     }
 
-    const paymentAmount = order.totalAmount;
+    // Part of the order may already be paid from the wallet
+    const paidPayments = await Payment.find({
+      targetId: orderId,
+      targetModel: TARGET_MODEL.EQUIPMENT_ORDER,
+      status: PAYMENT_STATUS.PAID,
+    }).select('amount').session(session);
+    const alreadyPaid = paidPayments.reduce((sum, p) => sum + p.amount, 0);
+    const dueAmount = order.totalAmount - alreadyPaid;
 
-    if (paymentAmount < 1000) {
+    if (dueAmount < 1000) {
       throw new ValidationError('Số tiền thanh toán tối thiểu là 1,000 VNĐ');
     }
 
+    const wallet = opts.useWallet
+      ? await applyWalletToCheckout({
+        userId: order.customerId._id,
+        amount: dueAmount,
+        payment: { targetId: orderId, targetModel: TARGET_MODEL.EQUIPMENT_ORDER, category: PAYMENT_CATEGORY.EQUIPMENT, payType: PAY_TYPE.FULL },
+        description: `Thuê thiết bị ${order.orderCode}`,
+      }, session)
+      : null;
+
+    if (wallet && wallet.remaining === 0) {
+      await session.commitTransaction();
+      await wallet.afterCommit();
+      return {
+        payment: wallet.walletPayment,
+        checkoutUrl: null,
+        amount: 0,
+        walletAmount: wallet.walletAmount,
+        message: 'Đơn hàng đã được thanh toán bằng ví',
+      };
+    }
+
+    const paymentAmount = wallet ? wallet.remaining : dueAmount;
+
     // Generate codes
     const payosOrderCode = generateOrderCode();
     const paymentCode = generatePaymentCode(orderId);
@@ -630,8 +745,7 @@ export const createEquipmentPayment = async (orderId, user) => {
     };
 
     try {
-      const { default: payos } = await import('../config/payos.js');
-      const fullDescription = `Equipment: ${order.equipmentId?.name || 'Rental'} - ${order.orderCode}`;
+      const fullDescription = `Equipment: ${order.equipmentId?.name || order.kitId?.name || 'Rental'} - ${order.orderCode}`;
       const safeDescription = truncate(fullDescription, PAYOS_DESCRIPTION_MAX);
 
       const paymentRequestData = {
@@ -640,7 +754,7 @@ export const createEquipmentPayment = async (orderId, user) => {
         description: safeDescription,
         items: [
           {
-            name: truncate(order.equipmentId?.name || 'Equipment', 50),
+            name: truncate(order.equipmentId?.name || order.kitId?.name || 'Equipment', 50),
             quantity: order.quantity,
             price: Math.floor(paymentAmount / order.quantity),
           },
@@ -651,29 +765,18 @@ export const createEquipmentPayment = async (orderId, user) => {
         buyerEmail: order.customerId?.email || undefined,
       };
 
-      logger.info('Creating PayOS payment link for equipment order', {
+      logger.info('Creating payment link for equipment order', {
         orderCode: payosOrderCode,
         amount: paymentAmount,
       });
 
-      let paymentLinkResponse;
-      if (payos && typeof payos.createPaymentLink === 'function') {
-        paymentLinkResponse = await payos.createPaymentLink(paymentRequestData);
-      } else if (payos && typeof payos.paymentRequests?.create === 'function') {
-        paymentLinkResponse = await payos.paymentRequests.create(paymentRequestData);
-      } else {
-        throw new Error('Lỗi cấu hình PayOS client');
-      }
-
-      if (!paymentLinkResponse || !paymentLinkResponse.checkoutUrl) {
-        throw new Error('PayOS không trả về link thanh toán hợp lệ');
-      }
+      const paymentLinkResponse = await getPaymentGateway().createPaymentLink(paymentRequestData);
 
       checkoutUrl = paymentLinkResponse.checkoutUrl;
-      qrCodeUrl = paymentLinkResponse?.qrCode || paymentLinkResponse?.data?.qrCode || null;
+      qrCodeUrl = paymentLinkResponse.qrCode;
       gatewayResponse = {
         ...gatewayResponse,
-        paymentLinkId: paymentLinkResponse?.paymentLinkId || paymentLinkResponse?.data?.id || null,
+        paymentLinkId: paymentLinkResponse.paymentLinkId,
         qrCode: qrCodeUrl,
       };
 
@@ -704,6 +807,7 @@ export const createEquipmentPayment = async (orderId, user) => {
     await payment.save({ session });
 
     await session.commitTransaction();
+    if (wallet) await wallet.afterCommit();
 
     logger.info('Equipment payment created', {
       paymentId: payment._id,
@@ -716,6 +820,7 @@ export const createEquipmentPayment = async (orderId, user) => {
       checkoutUrl,
       qrCode: qrCodeUrl,
       amount: paymentAmount,
+      walletAmount: wallet?.walletAmount || 0,
       orderCode: payosOrderCode,
     };
   } catch (error) {
@@ -730,14 +835,6 @@ export const createEquipmentPayment = async (orderId, user) => {
   }
 };
 
-/**
- * Handle Webhook (Delegated - logic moved to Payment Service)
- */
-export const handleEquipmentPaymentWebhook = async (webhookPayload) => {
-    const { handlePaymentWebhook } = await import('./payment.service.js');
-    return await handlePaymentWebhook(webhookPayload);
-};
-
 /**
  * Get payment status
  */
@@ -772,7 +869,6 @@ export default {
   updateEquipmentOrderStatus,
   cancelEquipmentOrder,
   createEquipmentPayment,
-  handleEquipmentPaymentWebhook,
   getEquipmentPaymentStatus,
   getEquipmentOrderPayments,
 };
@@ -0,0 +1,523 @@
+// #region Imports
+import mongoose from 'mongoose';
+import { EquipmentUnit, Equipment, Booking, BookingDetail, Report, EquipmentMaintenance } from '../models/index.js';
+import EquipmentOrder, { EQUIPMENT_ORDER_STATUS, getOrderEquipmentLines } from '../models/EquipmentOrder/equipmentOrder.model.js';
+import { NotFoundError, ValidationError, ConflictError } from '../utils/errors.js';
+import {
+  BOOKING_STATUS,
+  BOOKING_DETAIL_TYPE,
+  EQUIPMENT_UNIT_STATUS,
+  EQUIPMENT_CONDITION_GRADE,
+  EQUIPMENT_MAINTENANCE_STATUS,
+  NOTIFICATION_TYPE,
+  REPORT_ISSUE_TYPE,
+  REPORT_TARGET_TYPES,
+  TARGET_MODEL,
+} from '../utils/constants.js';
+import { createAndSendNotification } from './notification.service.js';
+import { escapeRegex } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+// #endregion
+
+const UNIT_TARGET_MODELS = [TARGET_MODEL.BOOKING, TARGET_MODEL.EQUIPMENT_ORDER];
+// Worse condition = higher rank; a unit returned with a higher rank than it left with is damaged
+const CONDITION_RANK = Object.values(EQUIPMENT_CONDITION_GRADE).reduce((acc, grade, index) => ({ ...acc, [grade]: index }), {});
+const MAX_UNITS_PER_REQUEST = 50;
+const MAX_PHOTOS = 10;
+
+// #region Helpers
+
+const runInTransaction = async (session, fn) => {
+  if (session) return fn(session);
+
+  const ownSession = await mongoose.startSession();
+  try {
+    return await ownSession.withTransaction(() => fn(ownSession), { writeConcern: { w: 'majority' }, readConcern: { level: 'majority' } });
+  } finally {
+    ownSession.endSession();
+  }
+};
+
+const assertConditionGrade = (grade) => {
+  if (grade !== undefined && !Object.values(EQUIPMENT_CONDITION_GRADE).includes(grade)) {
+    throw new ValidationError(`Tình trạng không hợp lệ. Chọn từ: ${Object.values(EQUIPMENT_CONDITION_GRADE).join(', ')}`);
+  }
+};
+
+const normalizePhotos = (photos) => {
+  if (photos === undefined) return undefined;
+  if (!Array.isArray(photos) || photos.some(p => typeof p !== 'string' || !p.trim())) {
+    throw new ValidationError('Ảnh phải là danh sách đường dẫn');
+  }
+  if (photos.length > MAX_PHOTOS) {
+    throw new ValidationError(`Tối đa ${MAX_PHOTOS} ảnh`);
+  }
+  return photos.map(p => p.trim());
+};
+
+/**
+ * units: [{ unitId, conditionGrade?, notes?, photos? }] (a plain unit id is accepted too)
+ */
+const normalizeUnitEntries = (units) => {
+  if (!Array.isArray(units) || units.length === 0) {
+    throw new ValidationError('Vui lòng chọn ít nhất một unit thiết bị');
+  }
+  if (units.length > MAX_UNITS_PER_REQUEST) {
+    throw new ValidationError(`Tối đa ${MAX_UNITS_PER_REQUEST} unit mỗi lần`);
+  }
+
+  const entries = units.map(u => (typeof u === 'string' ? { unitId: u } : { ...u }));
+  entries.forEach((entry) => {
+    if (!mongoose.Types.ObjectId.isValid(entry.unitId)) {
+      throw new ValidationError('ID unit không hợp lệ');
+    }
+    assertConditionGrade(entry.conditionGrade);
+    entry.photos = normalizePhotos(entry.photos);
+  });
+
+  if (new Set(entries.map(e => String(e.unitId))).size !== entries.length) {
+    throw new ValidationError('Danh sách unit bị trùng');
+  }
+  return entries;
+};
+
+const assertTargetModel = (targetModel) => {
+  if (!UNIT_TARGET_MODELS.includes(targetModel)) {
+    throw new ValidationError(`Loại đối tượng không hợp lệ. Chọn từ: ${UNIT_TARGET_MODELS.join(', ')}`);
+  }
+};
+
+/**
+ * Booking / rental order that units are handed to: its customer, status and
+ * how many units of each equipment it may hold
+ * @returns {Object} - { customerId, status, allowance: Map<equipmentId, quantity>, canAssign }
+ */
+const loadTarget = async (targetModel, targetId, session) => {
+  assertTargetModel(targetModel);
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    throw new ValidationError('ID đối tượng không hợp lệ');
+  }
+
+  if (targetModel === TARGET_MODEL.BOOKING) {
+    const booking = await Booking.findById(targetId).select('userId status').session(session).lean();
+    if (!booking) throw new NotFoundError('Booking không tồn tại');
+
+    const details = await BookingDetail.find({ bookingId: booking._id, detailType: BOOKING_DETAIL_TYPE.EQUIPMENT })
+      .select('equipmentId quantity')
+      .session(session)
+      .lean();
+    const allowance = new Map();
+    details.filter(d => d.equipmentId).forEach((d) => {
+      const key = d.equipmentId.toString();
+      allowance.set(key, (allowance.get(key) || 0) + (d.quantity || 0));
+    });
+
+    return { customerId: booking.userId, status: booking.status, allowance, canAssign: booking.status === BOOKING_STATUS.CHECKED_IN };
+  }
+
+  const order = await EquipmentOrder.findById(targetId)
+    .select('customerId equipmentId kitId items quantity status')
+    .session(session)
+    .lean();
+  if (!order) throw new NotFoundError('Đơn thuê không tồn tại');
+
+  // Kit orders hand over every component of the kit
+  const allowance = new Map();
+  getOrderEquipmentLines(order).forEach((line) => {
+    const key = line.equipmentId.toString();
+    allowance.set(key, (allowance.get(key) || 0) + (line.quantity || 0));
+  });
+
+  return {
+    customerId: order.customerId,
+    status: order.status,
+    allowance,
+    canAssign: order.status === EQUIPMENT_ORDER_STATUS.IN_USE,
+  };
+};
+
+const loadUnits = async (entries, session) => {
+  const units = await EquipmentUnit.find({ _id: { $in: entries.map(e => e.unitId) } })
+    .populate('equipmentId', 'name')
+    .session(session);
+  if (units.length !== entries.length) {
+    throw new NotFoundError('Một số unit thiết bị không tồn tại');
+  }
+
+  const byId = new Map(units.map(u => [u._id.toString(), u]));
+  return entries.map(entry => ({ entry, unit: byId.get(String(entry.unitId)) }));
+};
+
+const unitLabel = (unit) => `${unit.equipmentId?.name || 'Thiết bị'} #${unit.serialNumber}`;
+
+const isHeldBy = (unit, targetId) => unit.currentAssignment?.targetId?.toString() === targetId.toString();
+
+// #endregion
+
+// #region Units
+
+/**
+ * Danh sách unit (staff)
+ * @param {Object} params - { equipmentId, status, conditionGrade, search, page, limit }
+ */
+export const getEquipmentUnits = async ({ equipmentId, status, conditionGrade, search, page = 1, limit = 20 } = {}) => {
+  const safePage = Math.max(parseInt(page) || 1, 1);
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const query = {};
+  if (equipmentId) {
+    if (!mongoose.Types.ObjectId.isValid(equipmentId)) throw new ValidationError('ID thiết bị không hợp lệ');
+    query.equipmentId = equipmentId;
+  }
+  if (status && Object.values(EQUIPMENT_UNIT_STATUS).includes(status)) query.status = status;
+  if (conditionGrade && Object.values(EQUIPMENT_CONDITION_GRADE).includes(conditionGrade)) query.conditionGrade = conditionGrade;
+  if (search) query.serialNumber = { $regex: escapeRegex(String(search).slice(0, 100)), $options: 'i' };
+
+  const [units, total] = await Promise.all([
+    EquipmentUnit.find(query)
+      .select('-assignments')
+      .populate('equipmentId', 'name image')
+      .sort({ equipmentId: 1, serialNumber: 1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .lean(),
+    EquipmentUnit.countDocuments(query),
+  ]);
+
+  return {
+    units,
+    pagination: { total, page: safePage, limit: safeLimit, totalPages: Math.ceil(total / safeLimit) },
+  };
+};
+
+/**
+ * Chi tiết unit kèm lịch sử giao - nhận
+ */
+export const getEquipmentUnitById = async (unitId) => {
+  const unit = await EquipmentUnit.findById(unitId)
+    .populate('equipmentId', 'name image pricePerHour')
+    .populate('assignments.customerId', 'fullName username email phone')
+    .populate('assignments.checkedOutBy', 'fullName username')
+    .populate('assignments.returnedBy', 'fullName username')
+    .populate('assignments.damageReportId', 'status priority compensationAmount description')
+    .lean();
+  if (!unit) throw new NotFoundError('Unit thiết bị không tồn tại');
+
+  unit.assignments = [...(unit.assignments || [])].reverse();
+  return unit;
+};
+
+/**
+ * Thêm unit cho một equipment. Số unit đang dùng (chưa thanh lý) không vượt quá totalQty.
+ * @param {Object} data - { equipmentId, serialNumber, purchaseDate, conditionGrade, photos, notes }
+ */
+export const createEquipmentUnit = async (data = {}) => {
+  const { equipmentId, serialNumber, purchaseDate, conditionGrade, notes } = data;
+  if (!mongoose.Types.ObjectId.isValid(equipmentId)) throw new ValidationError('ID thiết bị không hợp lệ');
+  if (!serialNumber || !String(serialNumber).trim()) throw new ValidationError('Số serial là bắt buộc');
+  assertConditionGrade(conditionGrade);
+  const photos = normalizePhotos(data.photos);
+
+  const parsedPurchaseDate = purchaseDate ? new Date(purchaseDate) : undefined;
+  if (parsedPurchaseDate && (isNaN(parsedPurchaseDate.getTime()) || parsedPurchaseDate > new Date())) {
+    throw new ValidationError('Ngày mua không hợp lệ');
+  }
+
+  const equipment = await Equipment.findOne({ _id: equipmentId, isDeleted: false }).select('name totalQty').lean();
+  if (!equipment) throw new NotFoundError('Equipment không tồn tại!');
+
+  const activeUnits = await EquipmentUnit.countDocuments({ equipmentId, status: { $ne: EQUIPMENT_UNIT_STATUS.RETIRED } });
+  if (activeUnits >= equipment.totalQty) {
+    throw new ValidationError(`"${equipment.name}" đã có đủ ${equipment.totalQty} unit. Tăng số lượng thiết bị trước khi thêm unit.`);
+  }
+
+  try {
+    return await EquipmentUnit.create({
+      equipmentId,
+      serialNumber: String(serialNumber).trim(),
+      purchaseDate: parsedPurchaseDate,
+      conditionGrade,
+      photos,
+      notes,
+    });
+  } catch (error) {
+    if (error.code === 11000) throw new ConflictError('Số serial đã tồn tại');
+    throw error;
+  }
+};
+
+/**
+ * Cập nhật thông tin / tình trạng / trạng thái kho của unit.
+ * Unit đang giao cho khách chỉ được sửa thông tin, không đổi trạng thái.
+ * @param {Object} data - { serialNumber, purchaseDate, conditionGrade, photos, notes, status }
+ */
+export const updateEquipmentUnit = async (unitId, data = {}) => {
+  const unit = await EquipmentUnit.findById(unitId);
+  if (!unit) throw new NotFoundError('Unit thiết bị không tồn tại');
+
+  const { serialNumber, purchaseDate, conditionGrade, notes, status } = data;
+  assertConditionGrade(conditionGrade);
+  const photos = normalizePhotos(data.photos);
+
+  if (status !== undefined && status !== unit.status) {
+    if (status === EQUIPMENT_UNIT_STATUS.IN_USE) {
+      throw new ValidationError('Giao unit cho khách qua check-in booking hoặc bắt đầu đơn thuê');
+    }
+    if (!Object.values(EQUIPMENT_UNIT_STATUS).includes(status)) {
+      throw new ValidationError(`Trạng thái không hợp lệ. Chọn từ: ${Object.values(EQUIPMENT_UNIT_STATUS).join(', ')}`);
+    }
+    if (unit.status === EQUIPMENT_UNIT_STATUS.IN_USE) {
+      throw new ValidationError('Unit đang được khách sử dụng, vui lòng nhận lại trước');
+    }
+    const activeWorkOrder = await EquipmentMaintenance.exists({ equipmentUnitId: unit._id, status: EQUIPMENT_MAINTENANCE_STATUS.IN_PROGRESS });
+    if (activeWorkOrder) {
+      throw new ValidationError('Unit đang trong phiếu bảo trì, hoàn tất phiếu để đưa về kho');
+    }
+    if (status === EQUIPMENT_UNIT_STATUS.AVAILABLE && (conditionGrade || unit.conditionGrade) === EQUIPMENT_CONDITION_GRADE.DAMAGED) {
+      throw new ValidationError('Unit đang hư hỏng, cập nhật tình trạng trước khi đưa về kho');
+    }
+    if (unit.status === EQUIPMENT_UNIT_STATUS.RETIRED) {
+      const equipment = await Equipment.findById(unit.equipmentId).select('name totalQty').lean();
+      const activeUnits = await EquipmentUnit.countDocuments({ equipmentId: unit.equipmentId, status: { $ne: EQUIPMENT_UNIT_STATUS.RETIRED } });
+      if (equipment && activeUnits >= equipment.totalQty) {
+        throw new ValidationError(`"${equipment.name}" đã có đủ ${equipment.totalQty} unit`);
+      }
+    }
+    unit.status = status;
+  }
+
+  if (serialNumber !== undefined) {
+    if (!String(serialNumber).trim()) throw new ValidationError('Số serial là bắt buộc');
+    unit.serialNumber = String(serialNumber).trim();
+  }
+  if (purchaseDate !== undefined) {
+    const parsed = purchaseDate ? new Date(purchaseDate) : null;
+    if (parsed && (isNaN(parsed.getTime()) || parsed > new Date())) throw new ValidationError('Ngày mua không hợp lệ');
+    unit.purchaseDate = parsed;
+  }
+  if (conditionGrade !== undefined) unit.conditionGrade = conditionGrade;
+  if (photos !== undefined) unit.photos = photos;
+  if (notes !== undefined) unit.notes = notes;
+
+  try {
+    return await unit.save();
+  } catch (error) {
+    if (error.code === 11000) throw new ConflictError('Số serial đã tồn tại');
+    throw error;
+  }
+};
+
+// #endregion
+
+// #region Assignments
+
+/**
+ * Giao unit cụ thể cho booking (đã check-in) hoặc đơn thuê (đang sử dụng), ghi tình trạng lúc giao.
+ * Mỗi equipment chỉ giao tối đa số lượng đã đặt.
+ * @param {Object} data - { targetModel: 'Booking' | 'EquipmentOrder', targetId, units: [{ unitId, conditionGrade?, notes?, photos? }] }
+ * @param {string} actorId - Staff giao
+ * @param {ClientSession} session - Chạy trong transaction của check-in / đổi trạng thái đơn thuê
+ * @returns {Array} - Units đã giao
+ */
+export const assignEquipmentUnits = async ({ targetModel, targetId, units } = {}, actorId = null, session = null) => {
+  const entries = normalizeUnitEntries(units);
+
+  return runInTransaction(session, async (txn) => {
+    const target = await loadTarget(targetModel, targetId, txn);
+    if (!target.canAssign) {
+      throw new ValidationError(targetModel === TARGET_MODEL.BOOKING
+        ? 'Chỉ giao thiết bị cho booking đã check-in'
+        : 'Chỉ giao thiết bị cho đơn thuê đang sử dụng');
+    }
+
+    // Units already with the target count against what it booked
+    const held = await EquipmentUnit.find({ 'currentAssignment.targetId': targetId }).select('equipmentId').session(txn).lean();
+    const assignedCount = new Map();
+    held.forEach((u) => {
+      const key = u.equipmentId.toString();
+      assignedCount.set(key, (assignedCount.get(key) || 0) + 1);
+    });
+
+    const pairs = await loadUnits(entries, txn);
+    for (const { unit } of pairs) {
+      const key = unit.equipmentId._id.toString();
+      if (!target.allowance.has(key)) {
+        throw new ValidationError(`${unitLabel(unit)} không thuộc thiết bị đã đặt`);
+      }
+      if (unit.status !== EQUIPMENT_UNIT_STATUS.AVAILABLE) {
+        throw new ValidationError(`${unitLabel(unit)} không có sẵn (${unit.status})`);
+      }
+      if (unit.conditionGrade === EQUIPMENT_CONDITION_GRADE.DAMAGED) {
+        throw new ValidationError(`${unitLabel(unit)} đang hư hỏng`);
+      }
+      assignedCount.set(key, (assignedCount.get(key) || 0) + 1);
+      if (assignedCount.get(key) > target.allowance.get(key)) {
+        throw new ValidationError(`Chỉ đặt ${target.allowance.get(key)} "${unit.equipmentId.name}"`);
+      }
+    }
+
+    const now = new Date();
+    for (const { entry, unit } of pairs) {
+      const conditionOut = entry.conditionGrade || unit.conditionGrade;
+      unit.conditionGrade = conditionOut;
+      unit.status = EQUIPMENT_UNIT_STATUS.IN_USE;
+      unit.currentAssignment = { targetModel, targetId };
+      unit.assignments.push({
+        targetModel,
+        targetId,
+        customerId: target.customerId,
+        checkedOutAt: now,
+        checkedOutBy: actorId,
+        conditionOut,
+        notesOut: entry.notes,
+        photosOut: entry.photos || [],
+      });
+      await unit.save({ session: txn });
+    }
+
+    return pairs.map(p => p.unit);
+  });
+};
+
+/**
+ * Nhận lại unit từ booking / đơn thuê và ghi tình trạng lúc nhận.
+ * Unit trả về xấu hơn lúc giao sẽ có báo cáo hư hỏng (REPORT_ISSUE_TYPE.DAMAGE) gắn với unit
+ * và booking / đơn thuê chịu trách nhiệm; unit hư hỏng chuyển sang bảo trì.
+ * @param {Object} data - { targetModel, targetId, units: [{ unitId, conditionGrade?, notes?, photos? }] }
+ * @param {string} actorId - Staff nhận
+ * @returns {Object} - { units, damageReports }
+ */
+export const returnEquipmentUnits = async ({ targetModel, targetId, units } = {}, actorId = null, session = null) => {
+  const entries = normalizeUnitEntries(units);
+  assertTargetModel(targetModel);
+
+  return runInTransaction(session, async (txn) => {
+    const pairs = await loadUnits(entries, txn);
+    for (const { unit } of pairs) {
+      if (!isHeldBy(unit, targetId)) {
+        throw new ValidationError(`${unitLabel(unit)} không được giao cho ${targetModel === TARGET_MODEL.BOOKING ? 'booking' : 'đơn thuê'} này`);
+      }
+    }
+
+    const now = new Date();
+    const damageReports = [];
+    for (const { entry, unit } of pairs) {
+      const assignment = [...unit.assignments].reverse().find(a => a.targetId.toString() === targetId.toString() && !a.returnedAt);
+      const conditionOut = assignment?.conditionOut || unit.conditionGrade;
+      const conditionIn = entry.conditionGrade || conditionOut;
+
+      if (assignment) {
+        assignment.returnedAt = now;
+        assignment.returnedBy = actorId;
+        assignment.conditionIn = conditionIn;
+        assignment.notesIn = entry.notes;
+        assignment.photosIn = entry.photos || [];
+      }
+
+      if (CONDITION_RANK[conditionIn] > CONDITION_RANK[conditionOut]) {
+        const isDamaged = conditionIn === EQUIPMENT_CONDITION_GRADE.DAMAGED;
+        const [report] = await Report.create([{
+          targetType: REPORT_TARGET_TYPES.EQUIPMENT,
+          targetId: unit.equipmentId._id,
+          bookingId: targetModel === TARGET_MODEL.BOOKING ? targetId : undefined,
+          equipmentOrderId: targetModel === TARGET_MODEL.EQUIPMENT_ORDER ? targetId : undefined,
+          equipmentUnitId: unit._id,
+          responsibleUserId: assignment?.customerId,
+          reporterId: actorId || assignment?.checkedOutBy,
+          issueType: REPORT_ISSUE_TYPE.DAMAGE,
+          description: `${unitLabel(unit)} trả về với tình trạng "${conditionIn}" (lúc giao: "${conditionOut}")${entry.notes ? `: ${entry.notes}` : ''}`,
+          priority: isDamaged ? 'high' : 'medium',
+        }], { session: txn });
+        if (assignment) assignment.damageReportId = report._id;
+        damageReports.push(report);
+
+        if (assignment?.customerId) {
+          try {
+            await createAndSendNotification(
+              assignment.customerId,
+              NOTIFICATION_TYPE.WARNING,
+              'Thiết bị trả về bị hư hỏng',
+              `${unitLabel(unit)} được ghi nhận tình trạng "${conditionIn}" khi nhận lại. Nhân viên sẽ liên hệ bạn để xử lý.`,
+              false,
+              null,
+              report._id
+            );
+          } catch (notifyErr) {
+            logger.error('Failed to send damage notification', notifyErr);
+          }
+        }
+      }
+
+      unit.conditionGrade = conditionIn;
+      unit.status = conditionIn === EQUIPMENT_CONDITION_GRADE.DAMAGED ? EQUIPMENT_UNIT_STATUS.MAINTENANCE : EQUIPMENT_UNIT_STATUS.AVAILABLE;
+      unit.currentAssignment = null;
+      await unit.save({ session: txn });
+    }
+
+    return { units: pairs.map(p => p.unit), damageReports };
+  });
+};
+
+/**
+ * Unit đang giữ và lịch sử giao - nhận của một booking / đơn thuê
+ * @returns {Object} - { outstanding: [unit], history: [{ unit, assignment }] }
+ */
+export const getTargetEquipmentUnits = async (targetModel, targetId) => {
+  assertTargetModel(targetModel);
+  if (!mongoose.Types.ObjectId.isValid(targetId)) throw new ValidationError('ID đối tượng không hợp lệ');
+
+  const units = await EquipmentUnit.find({ 'assignments.targetId': targetId })
+    .populate('equipmentId', 'name image')
+    .lean();
+
+  const outstanding = [];
+  const history = [];
+  units.forEach((unit) => {
+    const { assignments, ...info } = unit;
+    if (isHeldBy(unit, targetId)) outstanding.push(info);
+    assignments
+      .filter(a => a.targetModel === targetModel && a.targetId.toString() === targetId.toString())
+      .forEach(assignment => history.push({ unit: info, assignment }));
+  });
+  history.sort((a, b) => new Date(a.assignment.checkedOutAt) - new Date(b.assignment.checkedOutAt));
+
+  return { outstanding, history };
+};
+
+/**
+ * Booking / đơn thuê / khách chịu trách nhiệm cho một unit: lần giao khớp với booking / đơn thuê
+ * được chỉ định, nếu không có thì lần giao gần nhất
+ * @returns {Object} - { equipmentId, assignment: { targetModel, targetId, customerId } | null }
+ */
+export const findResponsibleAssignment = async (unitId, { bookingId, equipmentOrderId } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(unitId)) throw new ValidationError('ID unit không hợp lệ');
+  const unit = await EquipmentUnit.findById(unitId).select('equipmentId assignments').lean();
+  if (!unit) throw new NotFoundError('Unit thiết bị không tồn tại');
+
+  const namedTarget = bookingId || equipmentOrderId;
+  const assignments = [...(unit.assignments || [])].reverse();
+  const assignment = namedTarget
+    ? assignments.find(a => a.targetId.toString() === namedTarget.toString())
+    : assignments[0];
+  if (namedTarget && !assignment) {
+    throw new ValidationError('Unit chưa từng được giao cho booking / đơn thuê này');
+  }
+
+  return {
+    equipmentId: unit.equipmentId,
+    assignment: assignment ? { targetModel: assignment.targetModel, targetId: assignment.targetId, customerId: assignment.customerId } : null,
+  };
+};
+
+// #endregion
+
+export default {
+  getEquipmentUnits,
+  getEquipmentUnitById,
+  createEquipmentUnit,
+  updateEquipmentUnit,
+  assignEquipmentUnits,
+  returnEquipmentUnits,
+  getTargetEquipmentUnits,
+  findResponsibleAssignment,
+};
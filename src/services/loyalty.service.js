@@ -0,0 +1,644 @@
+// #region Imports
+import mongoose from 'mongoose';
+import { CustomerProfile, LoyaltyTransaction } from '../models/index.js';
+import { ValidationError } from '../utils/errors.js';
+import {
+  LOYALTY_TIER,
+  LOYALTY_TRANSACTION_TYPE,
+  NOTIFICATION_TYPE,
+  TIME_CONSTANTS,
+} from '../utils/constants.js';
+import { createAndSendNotification } from './notification.service.js';
+import logger from '../utils/logger.js';
+// #endregion
+
+/**
+ * Điểm thưởng khách hàng:
+ * - Tích điểm theo số tiền khi booking / đơn thuê thiết bị / đơn set design hoàn thành (nhân hệ số theo hạng)
+ * - Thưởng khi đánh giá booking, thưởng sinh nhật (job hằng ngày)
+ * - Đổi điểm lấy giảm giá khi tạo booking / đơn hàng
+ * - Booking / đơn bị hủy hoặc hết hạn giữ chỗ: trả lại điểm đã đổi
+ * - Booking / đơn được hoàn tiền: thu hồi điểm đã tích, trả lại điểm đã đổi
+ * - Mỗi lần cộng điểm là một lô có hạn dùng; đổi điểm dùng lô sắp hết hạn trước
+ */
+
+const VND_PER_POINT = Number(process.env.LOYALTY_VND_PER_POINT || '10000'); // 1 điểm mỗi 10.000 VND
+const POINT_VALUE_VND = Number(process.env.LOYALTY_POINT_VALUE_VND || '100'); // 1 điểm = 100 VND khi đổi
+const POINTS_EXPIRY_MONTHS = Number(process.env.LOYALTY_POINTS_EXPIRY_MONTHS || '12');
+const REVIEW_BONUS_POINTS = Number(process.env.LOYALTY_REVIEW_BONUS_POINTS || '20');
+const MIN_REDEEM_POINTS = Number(process.env.LOYALTY_MIN_REDEEM_POINTS || '100');
+const EXPIRING_SOON_DAYS = 30;
+const EXPIRE_BATCH_SIZE = 500;
+
+const TZ_OFFSET_MS = TIME_CONSTANTS.DEFAULT_TIMEZONE_OFFSET * 60 * 60 * 1000;
+
+// Hạng theo lifetimePoints (cao nhất trước) và quyền lợi
+const TIER_RULES = [
+  { tier: LOYALTY_TIER.PLATINUM, minPoints: 20000, earnMultiplier: 1.5, birthdayBonus: 500, maxRedeemPercent: 70 },
+  { tier: LOYALTY_TIER.GOLD, minPoints: 8000, earnMultiplier: 1.25, birthdayBonus: 300, maxRedeemPercent: 60 },
+  { tier: LOYALTY_TIER.SILVER, minPoints: 2000, earnMultiplier: 1.1, birthdayBonus: 200, maxRedeemPercent: 50 },
+  { tier: LOYALTY_TIER.MEMBER, minPoints: 0, earnMultiplier: 1, birthdayBonus: 100, maxRedeemPercent: 50 },
+];
+
+// Điểm thưởng tính vào hạng; điểm sinh nhật và điểm được trả lại thì không
+const TIER_CREDIT_TYPES = [LOYALTY_TRANSACTION_TYPE.EARN, LOYALTY_TRANSACTION_TYPE.REVIEW_BONUS];
+
+// #region Helpers
+
+const getTierRule = (lifetimePoints = 0) => TIER_RULES.find(rule => lifetimePoints >= rule.minPoints);
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Dùng session của caller, không có thì tự mở transaction
+const withSession = async (session, fn) => {
+  if (session) return fn(session);
+
+  const ownSession = await mongoose.startSession();
+  try {
+    let result;
+    await ownSession.withTransaction(async () => {
+      result = await fn(ownSession);
+    }, { writeConcern: { w: 'majority' }, readConcern: { level: 'majority' } });
+    return result;
+  } finally {
+    ownSession.endSession();
+  }
+};
+
+const alreadyRecorded = (type, referenceModel, referenceId, session) => referenceId
+  ? LoyaltyTransaction.exists({ type, referenceModel, referenceId }).session(session)
+  : null;
+
+// Lifetime points changed: move the profile to its tier
+const syncTier = async (profile, session) => {
+  const { tier } = getTierRule(profile.lifetimePoints);
+  if (profile.loyaltyTier === tier) return null;
+
+  await CustomerProfile.updateOne({ _id: profile._id }, { $set: { loyaltyTier: tier } }, { session });
+  return tier;
+};
+
+/**
+ * Cộng một lô điểm (trong session)
+ * @returns {Object|null} - LoyaltyTransaction, null nếu chứng từ đã được cộng điểm
+ */
+const creditPoints = async ({ userId, type, points, amount = 0, referenceModel = null, referenceId = null, description = '' }, session) => {
+  if (await alreadyRecorded(type, referenceModel, referenceId, session)) return null;
+
+  const lifetimeDelta = TIER_CREDIT_TYPES.includes(type) ? points : 0;
+  const profile = await CustomerProfile.findOneAndUpdate(
+    { userId },
+    { $inc: { loyaltyPoints: points, lifetimePoints: lifetimeDelta } },
+    { upsert: true, new: true, setDefaultsOnInsert: true, session }
+  );
+  const newTier = await syncTier(profile, session);
+
+  const [entry] = await LoyaltyTransaction.create([{
+    userId,
+    type,
+    points,
+    balanceAfter: profile.loyaltyPoints,
+    remainingPoints: points,
+    expiresAt: addMonths(new Date(), POINTS_EXPIRY_MONTHS),
+    amount,
+    referenceModel,
+    referenceId,
+    description,
+  }], { session });
+
+  if (newTier) entry.newTier = newTier;
+  return entry;
+};
+
+// Use up point lots, soonest to expire first (preferLotId first when reversing that lot)
+// Returns [{ lotId, points }] taken from each lot
+const consumeLots = async (userId, points, session, preferLotId = null) => {
+  const lots = await LoyaltyTransaction.find({ userId, remainingPoints: { $gt: 0 } })
+    .sort({ expiresAt: 1, createdAt: 1 })
+    .session(session);
+  if (preferLotId) {
+    lots.sort((a, b) => Number(b._id.equals(preferLotId)) - Number(a._id.equals(preferLotId)));
+  }
+
+  const taken = [];
+  let left = points;
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const used = Math.min(lot.remainingPoints, left);
+    lot.remainingPoints -= used;
+    left -= used;
+    await lot.save({ session });
+    taken.push({ lotId: lot._id, points: used });
+  }
+  return taken;
+};
+
+/**
+ * Trừ điểm (trong session); không đủ điểm thì báo lỗi
+ * @param {number} lifetimeDelta - số điểm trừ khỏi lifetimePoints (chỉ khi thu hồi điểm đã tích)
+ */
+const debitPoints = async ({ userId, type, points, amount = 0, referenceModel = null, referenceId = null, description = '', lifetimeDelta = 0, preferLotId = null }, session) => {
+  const current = await CustomerProfile.findOne({ userId }).select('lifetimePoints').session(session);
+  const lifetimeDecrement = Math.min(lifetimeDelta, current?.lifetimePoints || 0);
+
+  const profile = await CustomerProfile.findOneAndUpdate(
+    { userId, loyaltyPoints: { $gte: points } },
+    { $inc: { loyaltyPoints: -points, lifetimePoints: -lifetimeDecrement } },
+    { new: true, session }
+  );
+  if (!profile) {
+    throw new ValidationError('Không đủ điểm thưởng');
+  }
+  const lots = await consumeLots(userId, points, session, preferLotId);
+  await syncTier(profile, session);
+
+  const [entry] = await LoyaltyTransaction.create([{
+    userId,
+    type,
+    points: -points,
+    balanceAfter: profile.loyaltyPoints,
+    lots,
+    amount,
+    referenceModel,
+    referenceId,
+    description,
+  }], { session });
+  return entry;
+};
+
+// Credit back the points redeemed on a booking / order (at most once, shared by cancellation and refund).
+// Points go back to the lots they were taken from and keep their original expiry; lots that expired
+// in the meantime are not revived.
+const restoreRedeemed = async (referenceModel, referenceId, description, session) => {
+  const redeemed = await LoyaltyTransaction.findOne({ type: LOYALTY_TRANSACTION_TYPE.REDEEM, referenceModel, referenceId }).session(session);
+  if (!redeemed) return null;
+
+  // Redeemed before lots were recorded: credit a new lot instead
+  if (!redeemed.lots?.length) {
+    return creditPoints({
+      userId: redeemed.userId,
+      type: LOYALTY_TRANSACTION_TYPE.RESTORE,
+      points: -redeemed.points,
+      referenceModel,
+      referenceId,
+      description,
+    }, session);
+  }
+  if (await alreadyRecorded(LOYALTY_TRANSACTION_TYPE.RESTORE, referenceModel, referenceId, session)) return null;
+
+  const now = new Date();
+  let points = 0;
+  for (const { lotId, points: taken } of redeemed.lots) {
+    const lot = await LoyaltyTransaction.findOneAndUpdate(
+      { _id: lotId, expiresAt: { $gt: now } },
+      { $inc: { remainingPoints: taken } },
+      { new: true, session }
+    );
+    if (lot) points += taken;
+  }
+
+  const profile = await CustomerProfile.findOneAndUpdate(
+    { userId: redeemed.userId },
+    { $inc: { loyaltyPoints: points } },
+    { upsert: true, new: true, setDefaultsOnInsert: true, session }
+  );
+
+  const [entry] = await LoyaltyTransaction.create([{
+    userId: redeemed.userId,
+    type: LOYALTY_TRANSACTION_TYPE.RESTORE,
+    points,
+    balanceAfter: profile.loyaltyPoints,
+    referenceModel,
+    referenceId,
+    description: points < -redeemed.points ? `${description} (${-redeemed.points - points} điểm đã hết hạn)` : description,
+  }], { session });
+  return entry;
+};
+
+const notifyPoints = async (userId, title, message, relatedId = null) => {
+  try {
+    await createAndSendNotification(userId, NOTIFICATION_TYPE.INFO, title, message, false, null, relatedId);
+  } catch (err) {
+    logger.error('Failed to send loyalty notification', { userId, error: err.message });
+  }
+};
+
+// #endregion
+
+// #region Earning
+
+/**
+ * Tích điểm cho booking / đơn hàng hoàn thành (mỗi chứng từ một lần)
+ * @param {Object} params - { userId, amount (VND đã thanh toán), referenceModel, referenceId, description }
+ * @returns {Object|null} - LoyaltyTransaction, null nếu không có điểm hoặc đã tích
+ */
+export const earnPoints = async ({ userId, amount, referenceModel, referenceId, description = '' }, session = null) => {
+  if (!userId || !amount || amount <= 0) return null;
+
+  return withSession(session, async (s) => {
+    const profile = await CustomerProfile.findOne({ userId }).select('lifetimePoints').session(s);
+    const { earnMultiplier } = getTierRule(profile?.lifetimePoints || 0);
+    const points = Math.floor((amount / VND_PER_POINT) * earnMultiplier);
+    if (points <= 0) return null;
+
+    return creditPoints({
+      userId,
+      type: LOYALTY_TRANSACTION_TYPE.EARN,
+      points,
+      amount,
+      referenceModel,
+      referenceId,
+      description,
+    }, s);
+  });
+};
+
+/**
+ * Thưởng điểm khi khách đánh giá booking đã hoàn thành (mỗi booking một lần)
+ */
+export const grantReviewBonus = async (userId, bookingId) => {
+  if (REVIEW_BONUS_POINTS <= 0) return null;
+
+  const entry = await withSession(null, s => creditPoints({
+    userId,
+    type: LOYALTY_TRANSACTION_TYPE.REVIEW_BONUS,
+    points: REVIEW_BONUS_POINTS,
+    referenceModel: 'Booking',
+    referenceId: bookingId,
+    description: 'Thưởng đánh giá booking',
+  }, s));
+
+  if (entry) {
+    await notifyPoints(userId, 'Bạn nhận được điểm thưởng', `+${entry.points} điểm nhờ đánh giá booking. Số điểm hiện có: ${entry.balanceAfter}`, bookingId);
+  }
+  return entry;
+};
+
+/**
+ * Thông báo điểm vừa tích (gọi sau khi commit)
+ */
+export const notifyPointsEarned = async (entry) => {
+  if (!entry) return;
+  const tierText = entry.newTier ? ` Chúc mừng bạn đã lên hạng ${entry.newTier}!` : '';
+  await notifyPoints(
+    entry.userId,
+    'Bạn nhận được điểm thưởng',
+    `+${entry.points} điểm cho đơn ${entry.amount.toLocaleString()} VND. Số điểm hiện có: ${entry.balanceAfter}.${tierText}`,
+    entry.referenceId
+  );
+};
+
+// #endregion
+
+// #region Redemption
+
+/**
+ * Đổi điểm lấy giảm giá khi checkout (trong session của checkout).
+ * Số điểm bị giới hạn theo maxRedeemPercent của hạng trên số tiền đơn.
+ * @param {Object} params - { userId, points, amount (số tiền trước khi đổi điểm), referenceModel, referenceId, description }
+ * @returns {Object} - { points, discountAmount, transaction }
+ */
+export const redeemPoints = async ({ userId, points, amount, referenceModel, referenceId, description = '' }, session) => {
+  const requested = Number(points);
+  if (!Number.isInteger(requested) || requested <= 0) {
+    throw new ValidationError('Số điểm đổi phải là số nguyên dương');
+  }
+  if (requested < MIN_REDEEM_POINTS) {
+    throw new ValidationError(`Cần đổi tối thiểu ${MIN_REDEEM_POINTS} điểm`);
+  }
+
+  const profile = await CustomerProfile.findOne({ userId }).select('loyaltyPoints lifetimePoints').session(session);
+  if (!profile || profile.loyaltyPoints < requested) {
+    throw new ValidationError(`Không đủ điểm thưởng (hiện có ${profile?.loyaltyPoints || 0} điểm)`);
+  }
+
+  const { maxRedeemPercent } = getTierRule(profile.lifetimePoints);
+  const maxPoints = Math.floor((amount * maxRedeemPercent) / 100 / POINT_VALUE_VND);
+  const redeemed = Math.min(requested, maxPoints);
+  if (redeemed < MIN_REDEEM_POINTS) {
+    throw new ValidationError(`Chỉ được dùng điểm cho tối đa ${maxRedeemPercent}% giá trị đơn`);
+  }
+
+  const discountAmount = redeemed * POINT_VALUE_VND;
+  const transaction = await debitPoints({
+    userId,
+    type: LOYALTY_TRANSACTION_TYPE.REDEEM,
+    points: redeemed,
+    amount: discountAmount,
+    referenceModel,
+    referenceId,
+    description,
+  }, session);
+
+  logger.info('Loyalty points redeemed', { userId, referenceModel, referenceId, points: redeemed, discountAmount });
+  return { points: redeemed, discountAmount, transaction };
+};
+
+/**
+ * Booking / đơn bị hủy hoặc hết hạn giữ chỗ: trả lại điểm đã đổi (kể cả khi không có gì để hoàn tiền).
+ * Hoàn tiền sau đó không trả lại lần nữa.
+ * @param {Object} params - { referenceModel, referenceId }
+ * @returns {Object|null} - LoyaltyTransaction, null nếu không đổi điểm hoặc đã trả lại
+ */
+export const restoreRedeemedPoints = async ({ referenceModel, referenceId }, session = null) => {
+  if (!referenceId) return null;
+
+  const entry = await withSession(session, s => restoreRedeemed(referenceModel, referenceId, 'Trả lại điểm đã đổi do đơn bị hủy', s));
+  if (entry) {
+    logger.info('Redeemed loyalty points restored', { userId: entry.userId, referenceModel, referenceId, points: entry.points });
+  }
+  return entry;
+};
+
+/**
+ * Thông báo điểm vừa được trả lại (gọi sau khi commit)
+ */
+export const notifyPointsRestored = async (entry) => {
+  if (!entry?.points) return;
+  await notifyPoints(
+    entry.userId,
+    'Điểm thưởng đã được trả lại',
+    `+${entry.points} điểm đã đổi cho đơn bị hủy được trả lại. Số điểm hiện có: ${entry.balanceAfter}.`,
+    entry.referenceId
+  );
+};
+
+// #endregion
+
+// #region Refund Reversal
+
+/**
+ * Booking / đơn được hoàn tiền: thu hồi điểm đã tích (trong giới hạn số điểm còn lại) và trả lại điểm đã đổi
+ * @param {Object} refund - Refund (bookingId hoặc targetId + targetModel)
+ * @returns {Object} - { reversed, restored } số điểm
+ */
+export const reversePointsForRefund = async (refund, session = null) => {
+  const referenceModel = refund.bookingId ? 'Booking' : refund.targetModel;
+  const referenceId = refund.bookingId || refund.targetId;
+  if (!referenceId || !LoyaltyTransaction.schema.path('referenceModel').enumValues.includes(referenceModel)) {
+    return { reversed: 0, restored: 0 };
+  }
+
+  const result = await withSession(session, async (s) => {
+    let reversed = 0;
+    let restored = 0;
+
+    const earned = await LoyaltyTransaction.findOne({ type: LOYALTY_TRANSACTION_TYPE.EARN, referenceModel, referenceId }).session(s);
+    if (earned && !(await alreadyRecorded(LOYALTY_TRANSACTION_TYPE.REVERSAL, referenceModel, referenceId, s))) {
+      const profile = await CustomerProfile.findOne({ userId: earned.userId }).select('loyaltyPoints').session(s);
+      reversed = Math.min(earned.points, profile?.loyaltyPoints || 0);
+      if (reversed > 0) {
+        await debitPoints({
+          userId: earned.userId,
+          type: LOYALTY_TRANSACTION_TYPE.REVERSAL,
+          points: reversed,
+          referenceModel,
+          referenceId,
+          description: 'Thu hồi điểm do hoàn tiền',
+          lifetimeDelta: earned.points,
+          preferLotId: earned._id,
+        }, s);
+      }
+    }
+
+    const entry = await restoreRedeemed(referenceModel, referenceId, 'Trả lại điểm đã đổi do hoàn tiền', s);
+    if (entry) restored = entry.points;
+
+    return { reversed, restored, userId: earned?.userId || entry?.userId };
+  });
+
+  if (result.reversed > 0 || result.restored > 0) {
+    logger.info('Loyalty points adjusted for refund', { refundId: refund._id, referenceModel, referenceId, ...result });
+    const parts = [];
+    if (result.restored > 0) parts.push(`trả lại ${result.restored} điểm đã đổi`);
+    if (result.reversed > 0) parts.push(`thu hồi ${result.reversed} điểm đã tích`);
+    await notifyPoints(result.userId, 'Điều chỉnh điểm thưởng', `Do đơn được hoàn tiền: ${parts.join(', ')}.`, refund._id);
+  }
+  return { reversed: result.reversed, restored: result.restored };
+};
+
+// #endregion
+
+// #region Scheduled
+
+/**
+ * Hết hạn các lô điểm quá hạn dùng (job hằng ngày)
+ * @returns {Object} - { lots, points }
+ */
+export const expirePoints = async (now = new Date()) => {
+  const lots = await LoyaltyTransaction.find({ expiresAt: { $lte: now }, remainingPoints: { $gt: 0 } })
+    .select('_id userId')
+    .sort({ expiresAt: 1 })
+    .limit(EXPIRE_BATCH_SIZE)
+    .lean();
+
+  const expiredByUser = new Map();
+  for (const { _id: lotId, userId } of lots) {
+    try {
+      const expired = await withSession(null, async (s) => {
+        const lot = await LoyaltyTransaction.findById(lotId).session(s);
+        if (!lot || lot.remainingPoints <= 0) return 0;
+
+        const profile = await CustomerProfile.findOne({ userId }).select('loyaltyPoints').session(s);
+        const points = Math.min(lot.remainingPoints, profile?.loyaltyPoints || 0);
+        lot.remainingPoints = 0;
+        await lot.save({ session: s });
+        if (points <= 0) return 0;
+
+        const updated = await CustomerProfile.findOneAndUpdate(
+          { userId },
+          { $inc: { loyaltyPoints: -points } },
+          { new: true, session: s }
+        );
+        await LoyaltyTransaction.create([{
+          userId,
+          type: LOYALTY_TRANSACTION_TYPE.EXPIRE,
+          points: -points,
+          balanceAfter: updated.loyaltyPoints,
+          description: `Điểm hết hạn (tích ngày ${lot.createdAt.toISOString().slice(0, 10)})`,
+        }], { session: s });
+        return points;
+      });
+      if (expired > 0) {
+        expiredByUser.set(String(userId), (expiredByUser.get(String(userId)) || 0) + expired);
+      }
+    } catch (err) {
+      logger.error('Failed to expire loyalty lot', { lotId, error: err.message });
+    }
+  }
+
+  let totalPoints = 0;
+  for (const [userId, points] of expiredByUser) {
+    totalPoints += points;
+    await notifyPoints(userId, 'Điểm thưởng hết hạn', `${points} điểm thưởng của bạn đã hết hạn sử dụng.`);
+  }
+
+  if (totalPoints > 0) {
+    logger.info('Loyalty points expired', { lots: lots.length, users: expiredByUser.size, points: totalPoints });
+  }
+  return { lots: lots.length, points: totalPoints };
+};
+
+/**
+ * Thưởng điểm sinh nhật theo hạng (job hằng ngày, mỗi năm một lần).
+ * Sinh nhật 29/02 được thưởng vào 28/02 ở năm không nhuận.
+ * @returns {Object} - { granted }
+ */
+export const grantBirthdayBonuses = async (now = new Date()) => {
+  const local = new Date(now.getTime() + TZ_OFFSET_MS);
+  const year = local.getUTCFullYear();
+  const month = local.getUTCMonth() + 1;
+  const day = local.getUTCDate();
+  const isLeapYear = new Date(Date.UTC(year, 1, 29)).getUTCMonth() === 1;
+
+  const days = [day];
+  if (month === 2 && day === 28 && !isLeapYear) days.push(29);
+
+  const profiles = await CustomerProfile.find({
+    dateOfBirth: { $ne: null },
+    lastBirthdayBonusYear: { $ne: year },
+    $expr: {
+      $and: [
+        { $eq: [{ $month: { date: '$dateOfBirth', timezone: TIME_CONSTANTS.DEFAULT_TIMEZONE } }, month] },
+        { $in: [{ $dayOfMonth: { date: '$dateOfBirth', timezone: TIME_CONSTANTS.DEFAULT_TIMEZONE } }, days] },
+      ],
+    },
+  }).select('_id userId lifetimePoints').lean();
+
+  let granted = 0;
+  for (const profile of profiles) {
+    try {
+      const entry = await withSession(null, async (s) => {
+        // Claim this year's bonus first so a concurrent run cannot grant it twice
+        const claimed = await CustomerProfile.updateOne(
+          { _id: profile._id, lastBirthdayBonusYear: { $ne: year } },
+          { $set: { lastBirthdayBonusYear: year } },
+          { session: s }
+        );
+        if (claimed.modifiedCount === 0) return null;
+
+        const { birthdayBonus } = getTierRule(profile.lifetimePoints);
+        return creditPoints({
+          userId: profile.userId,
+          type: LOYALTY_TRANSACTION_TYPE.BIRTHDAY_BONUS,
+          points: birthdayBonus,
+          description: `Quà sinh nhật ${year}`,
+        }, s);
+      });
+
+      if (entry) {
+        granted += 1;
+        await notifyPoints(profile.userId, 'Chúc mừng sinh nhật!', `Bạn nhận được ${entry.points} điểm thưởng sinh nhật. Số điểm hiện có: ${entry.balanceAfter}`);
+      }
+    } catch (err) {
+      logger.error('Failed to grant birthday bonus', { userId: profile.userId, error: err.message });
+    }
+  }
+
+  if (granted > 0) logger.info(`Birthday loyalty bonus granted to ${granted} customer(s)`);
+  return { granted };
+};
+
+// #endregion
+
+// #region Queries
+
+/**
+ * Quy tắc chương trình: tỉ lệ tích / đổi điểm, hạn dùng và quyền lợi từng hạng
+ */
+export const getLoyaltyProgram = () => ({
+  vndPerPoint: VND_PER_POINT,
+  pointValue: POINT_VALUE_VND,
+  minRedeemPoints: MIN_REDEEM_POINTS,
+  reviewBonusPoints: REVIEW_BONUS_POINTS,
+  expiryMonths: POINTS_EXPIRY_MONTHS,
+  tiers: [...TIER_RULES].reverse(),
+});
+
+/**
+ * Điểm, hạng, quyền lợi và số điểm sắp hết hạn của khách hàng
+ */
+export const getMyLoyalty = async (userId) => {
+  const profile = await CustomerProfile.findOne({ userId }).select('loyaltyPoints lifetimePoints loyaltyTier').lean();
+  const lifetimePoints = profile?.lifetimePoints || 0;
+  const tierRule = getTierRule(lifetimePoints);
+  const nextTier = [...TIER_RULES].reverse().find(rule => rule.minPoints > lifetimePoints) || null;
+
+  const soon = new Date(Date.now() + EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000);
+  const expiringLots = await LoyaltyTransaction.find({
+    userId,
+    remainingPoints: { $gt: 0 },
+    expiresAt: { $lte: soon },
+  }).select('remainingPoints expiresAt').sort({ expiresAt: 1 }).lean();
+
+  return {
+    points: profile?.loyaltyPoints || 0,
+    pointValue: POINT_VALUE_VND,
+    redeemableAmount: (profile?.loyaltyPoints || 0) * POINT_VALUE_VND,
+    lifetimePoints,
+    tier: tierRule.tier,
+    benefits: {
+      earnMultiplier: tierRule.earnMultiplier,
+      birthdayBonus: tierRule.birthdayBonus,
+      maxRedeemPercent: tierRule.maxRedeemPercent,
+    },
+    nextTier: nextTier ? { tier: nextTier.tier, pointsNeeded: nextTier.minPoints - lifetimePoints } : null,
+    expiringSoon: {
+      points: expiringLots.reduce((sum, lot) => sum + lot.remainingPoints, 0),
+      nextExpiryAt: expiringLots[0]?.expiresAt || null,
+    },
+  };
+};
+
+/**
+ * Lịch sử điểm thưởng
+ * @param {Object} options - { type, page, limit }
+ */
+export const getLoyaltyHistory = async (userId, { type, page = 1, limit = 20 } = {}) => {
+  const safePage = Math.max(parseInt(page) || 1, 1);
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const query = { userId };
+  if (type) {
+    if (!Object.values(LOYALTY_TRANSACTION_TYPE).includes(type)) {
+      throw new ValidationError(`Loại giao dịch không hợp lệ. Chọn: ${Object.values(LOYALTY_TRANSACTION_TYPE).join(', ')}`);
+    }
+    query.type = type;
+  }
+
+  const [transactions, total] = await Promise.all([
+    LoyaltyTransaction.find(query)
+      .select('-remainingPoints')
+      .sort({ createdAt: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .lean(),
+    LoyaltyTransaction.countDocuments(query),
+  ]);
+
+  return {
+    transactions,
+    pagination: { total, page: safePage, limit: safeLimit, totalPages: Math.ceil(total / safeLimit) },
+  };
+};
+
+// #endregion
+
+export default {
+  earnPoints,
+  grantReviewBonus,
+  notifyPointsEarned,
+  redeemPoints,
+  restoreRedeemedPoints,
+  notifyPointsRestored,
+  reversePointsForRefund,
+  expirePoints,
+  grantBirthdayBonuses,
+  getLoyaltyProgram,
+  getMyLoyalty,
+  getLoyaltyHistory,
+};
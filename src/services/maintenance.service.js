@@ -0,0 +1,400 @@
+// #region Imports
+import mongoose from 'mongoose';
+import { MaintenanceWindow, Studio, Schedule, Booking } from '../models/index.js';
+import { NotFoundError, ValidationError, ConflictError } from '../utils/errors.js';
+import {
+  BOOKING_STATUS,
+  SCHEDULE_STATUS,
+  STUDIO_STATUS,
+  USER_ROLES,
+  NOTIFICATION_TYPE,
+  MAINTENANCE_WINDOW_STATUS,
+  MAINTENANCE_RESOLUTION,
+} from '../utils/constants.js';
+import { getHolidayMap, getClosureReason } from './studioCalendar.service.js';
+import { studioBuffersOf, resolveScheduleBuffers, findBufferConflicts } from './schedule.service.js';
+import { cancelBooking, rescheduleBooking } from './booking.service.js';
+import { createRefundRequest } from './refund.service.js';
+import { createAndSendNotification } from './notification.service.js';
+import { acquireLock, releaseLock } from '../utils/redisLock.js';
+import { cacheSet } from '../utils/cache.js';
+import { formatDateTime, formatTime } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+// #endregion
+
+const ACTIVE_BOOKING_STATUSES = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED];
+// An alternative studio must be at least this large relative to the original (when both areas are known)
+const MIN_AREA_RATIO = 0.8;
+const MAX_ALTERNATIVES = 3;
+const ALTERNATIVE_FIELDS = 'name location capacity area basePricePerHour status operatingHours closedOnHolidays blackouts bufferBeforeMinutes bufferAfterMinutes';
+
+// #region Helpers
+
+const loadWindow = async (windowId, studioId = null) => {
+  const window = await MaintenanceWindow.findById(windowId);
+  if (!window || (studioId && window.studioId.toString() !== studioId.toString())) {
+    throw new NotFoundError('Lịch bảo trì không tồn tại');
+  }
+  return window;
+};
+
+const describeWindow = (window) => `${formatDateTime(window.startTime)} - ${formatDateTime(window.endTime)}`;
+
+/**
+ * Active bookings whose schedule in the studio overlaps the window
+ */
+const findAffectedBookings = async (window) => {
+  const schedules = await Schedule.find({
+    studioId: window.studioId,
+    status: SCHEDULE_STATUS.BOOKED,
+    startTime: { $lt: window.endTime },
+    endTime: { $gt: window.startTime },
+    bookingId: { $ne: null }
+  }).sort({ startTime: 1 }).lean();
+  if (schedules.length === 0) return [];
+
+  const bookings = await Booking.find({
+    _id: { $in: schedules.map(sc => sc.bookingId) },
+    status: { $in: ACTIVE_BOOKING_STATUSES }
+  }).populate('userId', 'fullName username email phone').lean();
+  const byId = new Map(bookings.map(b => [b._id.toString(), b]));
+
+  return schedules
+    .filter(sc => byId.has(sc.bookingId.toString()))
+    .map(sc => ({ schedule: sc, booking: byId.get(sc.bookingId.toString()) }));
+};
+
+const isSimilarStudio = (source, candidate) => {
+  if (candidate._id.toString() === source._id.toString()) return false;
+  if (candidate.status !== STUDIO_STATUS.ACTIVE) return false;
+  if ((candidate.capacity || 0) < (source.capacity || 0)) return false;
+  if ((candidate.basePricePerHour || 0) > (source.basePricePerHour || 0)) return false;
+  if (source.area && candidate.area && candidate.area < source.area * MIN_AREA_RATIO) return false;
+  return true;
+};
+
+// #endregion
+
+// #region Alternatives
+
+/**
+ * Studios that can take a booking moved out of `sourceStudio`: active, at least the same capacity,
+ * similar area, equal or lower base price, open and free for the whole window (buffers included).
+ * Closest match (area, then capacity) first.
+ * @param {Object} sourceStudio - Studio (lean) being maintained
+ * @param {Object} schedule - Booked schedule { startTime, endTime, bufferBeforeMinutes, bufferAfterMinutes }
+ */
+export const findAlternativeStudios = async (sourceStudio, schedule, limit = MAX_ALTERNATIVES) => {
+  const candidates = await Studio.find({
+    _id: { $ne: sourceStudio._id },
+    status: STUDIO_STATUS.ACTIVE,
+    capacity: { $gte: sourceStudio.capacity || 0 },
+    basePricePerHour: { $lte: sourceStudio.basePricePerHour || 0 }
+  }).select(ALTERNATIVE_FIELDS).lean();
+
+  const similar = candidates.filter(candidate => isSimilarStudio(sourceStudio, candidate));
+  if (similar.length === 0) return [];
+
+  const holidays = await getHolidayMap(schedule.startTime, schedule.endTime);
+  const sourceBuffers = resolveScheduleBuffers(schedule, studioBuffersOf(sourceStudio));
+
+  const available = [];
+  for (const candidate of similar) {
+    const closure = getClosureReason(candidate, schedule.startTime, schedule.endTime, candidate.closedOnHolidays !== false ? holidays : new Map());
+    if (closure) continue;
+
+    // The booking keeps at least its current preparation / cleanup time in the new studio
+    const studioBuffers = studioBuffersOf(candidate);
+    const buffers = {
+      before: Math.max(studioBuffers.before, sourceBuffers.before),
+      after: Math.max(studioBuffers.after, sourceBuffers.after),
+    };
+    const [conflict] = await findBufferConflicts({
+      studioId: candidate._id,
+      startTime: schedule.startTime,
+      endTime: schedule.endTime,
+      buffers,
+      studioBuffers
+    });
+    if (conflict) continue;
+
+    available.push(candidate);
+  }
+
+  const areaGap = (st) => (sourceStudio.area && st.area ? Math.abs(st.area - sourceStudio.area) : Number.MAX_SAFE_INTEGER);
+  return available
+    .sort((a, b) => areaGap(a) - areaGap(b)
+      || (a.capacity - b.capacity)
+      || (b.basePricePerHour - a.basePricePerHour))
+    .slice(0, limit)
+    .map(st => ({
+      studioId: st._id,
+      name: st.name,
+      location: st.location,
+      capacity: st.capacity,
+      area: st.area,
+      basePricePerHour: st.basePricePerHour,
+    }));
+};
+
+// #endregion
+
+// #region Maintenance Windows
+
+/**
+ * Maintenance windows of a studio (upcoming first unless includePast)
+ */
+export const getMaintenanceWindows = async (studioId, { includePast = false, includeCancelled = false } = {}) => {
+  const filter = { studioId };
+  if (!includePast) filter.endTime = { $gt: new Date() };
+  if (!includeCancelled) filter.status = MAINTENANCE_WINDOW_STATUS.SCHEDULED;
+  return MaintenanceWindow.find(filter).sort({ startTime: 1 }).lean();
+};
+
+/**
+ * Schedule a maintenance window. The studio gets a matching blackout so no new schedule or
+ * booking can be created inside it; bookings already there are listed in the impact report.
+ * @param {Object} data - { startTime, endTime, reason }
+ * @returns {Object} - { window, impact }
+ */
+export const createMaintenanceWindow = async (studioId, data = {}, actorId = null) => {
+  const s = new Date(data.startTime);
+  const e = new Date(data.endTime);
+  if (!data.startTime || !data.endTime || isNaN(s.getTime()) || isNaN(e.getTime())) {
+    throw new ValidationError('startTime và endTime là bắt buộc và phải hợp lệ');
+  }
+  if (!(e > s)) throw new ValidationError('Thời gian kết thúc phải lớn hơn thời gian bắt đầu');
+  if (e <= new Date()) throw new ValidationError('Không thể tạo lịch bảo trì trong quá khứ');
+  const reason = data.reason?.toString().trim() || null;
+
+  const session = await mongoose.startSession();
+  let window;
+  try {
+    window = await session.withTransaction(async () => {
+      const studio = await Studio.findById(studioId).session(session);
+      if (!studio) throw new NotFoundError('Studio không tồn tại');
+
+      const overlapping = await MaintenanceWindow.findOne({
+        studioId,
+        status: MAINTENANCE_WINDOW_STATUS.SCHEDULED,
+        startTime: { $lt: e },
+        endTime: { $gt: s }
+      }).session(session);
+      if (overlapping) {
+        throw new ConflictError(`Trùng với lịch bảo trì ${describeWindow(overlapping)}`);
+      }
+
+      const [created] = await MaintenanceWindow.create([{
+        studioId,
+        startTime: s,
+        endTime: e,
+        reason,
+        createdBy: actorId
+      }], { session });
+
+      studio.blackouts.push({
+        startTime: s,
+        endTime: e,
+        reason: reason ? `Bảo trì: ${reason}` : 'Bảo trì',
+        maintenanceWindowId: created._id
+      });
+      await studio.save({ session });
+
+      return created;
+    }, { writeConcern: { w: 'majority' }, readConcern: { level: 'majority' } });
+  } finally {
+    session.endSession();
+  }
+
+  await cacheSet(`studio:${studioId}`, null);
+
+  const impact = await getMaintenanceImpact(window._id);
+  return { window, impact };
+};
+
+/**
+ * Impact report: every booking overlapping the window with its customer, the decision taken
+ * (if any) and up to MAX_ALTERNATIVES alternative studios for the undecided ones
+ */
+export const getMaintenanceImpact = async (windowId, studioId = null) => {
+  const window = await loadWindow(windowId, studioId);
+  const studio = await Studio.findById(window.studioId).select(ALTERNATIVE_FIELDS).lean();
+  if (!studio) throw new NotFoundError('Studio không tồn tại');
+
+  const affected = await findAffectedBookings(window);
+  const pending = [];
+  for (const { schedule, booking } of affected) {
+    pending.push({
+      bookingId: booking._id,
+      status: booking.status,
+      customer: booking.userId
+        ? { userId: booking.userId._id, fullName: booking.userId.fullName || booking.userId.username, email: booking.userId.email, phone: booking.userId.phone }
+        : null,
+      scheduleId: schedule._id,
+      startTime: schedule.startTime,
+      endTime: schedule.endTime,
+      finalAmount: booking.finalAmount,
+      isGroupBooking: !!booking.groupId,
+      alternatives: await findAlternativeStudios(studio, schedule),
+    });
+  }
+
+  return {
+    window,
+    studio: { studioId: studio._id, name: studio.name, capacity: studio.capacity, area: studio.area, basePricePerHour: studio.basePricePerHour },
+    summary: {
+      pending: pending.length,
+      relocated: window.resolutions.filter(r => r.action === MAINTENANCE_RESOLUTION.RELOCATED).length,
+      cancelled: window.resolutions.filter(r => r.action === MAINTENANCE_RESOLUTION.CANCELLED).length,
+      withoutAlternative: pending.filter(p => p.alternatives.length === 0).length,
+    },
+    pending,
+    resolved: window.resolutions,
+  };
+};
+
+/**
+ * Cancel a maintenance window and lift its blackout. Decisions already applied to bookings stay.
+ */
+export const cancelMaintenanceWindow = async (windowId, studioId = null) => {
+  const window = await loadWindow(windowId, studioId);
+  if (window.status === MAINTENANCE_WINDOW_STATUS.CANCELLED) return window;
+
+  window.status = MAINTENANCE_WINDOW_STATUS.CANCELLED;
+  await window.save();
+  await Studio.updateOne({ _id: window.studioId }, { $pull: { blackouts: { maintenanceWindowId: window._id } } });
+  await cacheSet(`studio:${window.studioId}`, null);
+
+  return window;
+};
+
+// #endregion
+
+// #region Staff Decisions
+
+/**
+ * Apply the staff decision for one affected booking:
+ * - relocated: same time in targetStudioId (defaults to the best alternative); the fee is waived and
+ *   the studio part is re-priced at the (equal or lower) price of the new studio
+ * - cancelled: cancelled with a 100% refund of what was paid, bypassing the cancellation tiers.
+ *   With bankInfo the refund request is created right away, otherwise the customer submits it.
+ * @param {Object} decision - { action, targetStudioId, reason, bankInfo: { bankName, accountNumber, accountName } }
+ */
+export const resolveMaintenanceBooking = async (windowId, bookingId, decision = {}, actorId = null, io = null, studioId = null) => {
+  const { action, targetStudioId, bankInfo } = decision;
+  if (!Object.values(MAINTENANCE_RESOLUTION).includes(action)) {
+    throw new ValidationError(`action không hợp lệ. Chọn từ: ${Object.values(MAINTENANCE_RESOLUTION).join(', ')}`);
+  }
+
+  const lockKey = `maintenance:booking:${bookingId}`;
+  const lockToken = await acquireLock(lockKey);
+  if (!lockToken) {
+    throw new ConflictError('Booking đang được xử lý. Vui lòng thử lại.');
+  }
+
+  try {
+    const window = await loadWindow(windowId, studioId);
+    if (window.status !== MAINTENANCE_WINDOW_STATUS.SCHEDULED) {
+      throw new ValidationError('Lịch bảo trì đã bị hủy');
+    }
+    if (window.resolutions.some(r => r.bookingId.toString() === bookingId.toString())) {
+      throw new ConflictError('Booking này đã được xử lý');
+    }
+
+    const target = (await findAffectedBookings(window)).find(a => a.booking._id.toString() === bookingId.toString());
+    if (!target) throw new NotFoundError('Booking không bị ảnh hưởng bởi lịch bảo trì này');
+    const { schedule, booking } = target;
+    const reason = decision.reason?.toString().trim() || `Studio bảo trì ${describeWindow(window)}${window.reason ? ` (${window.reason})` : ''}`;
+
+    let resolution;
+    if (action === MAINTENANCE_RESOLUTION.RELOCATED) {
+      const studio = await Studio.findById(window.studioId).select(ALTERNATIVE_FIELDS).lean();
+      const alternatives = await findAlternativeStudios(studio, schedule, Number.MAX_SAFE_INTEGER);
+      const chosen = targetStudioId
+        ? alternatives.find(a => a.studioId.toString() === targetStudioId.toString())
+        : alternatives[0];
+      if (!chosen) {
+        throw new ValidationError(targetStudioId
+          ? 'Studio được chọn không phù hợp (sức chứa, diện tích, giá) hoặc không trống trong khung giờ này'
+          : 'Không có studio thay thế phù hợp, vui lòng hủy booking');
+      }
+
+      const result = await rescheduleBooking(
+        booking._id,
+        { studioId: chosen.studioId, startTime: schedule.startTime, endTime: schedule.endTime, waiveFee: true },
+        actorId,
+        USER_ROLES.STAFF,
+        io,
+        { reason, keepOldSlotClosed: true }
+      );
+      resolution = {
+        bookingId: booking._id,
+        action,
+        targetStudioId: chosen.studioId,
+        newScheduleId: result.newSchedule._id,
+        refundAmount: result.balanceDue < 0 ? Math.abs(result.balanceDue) : 0,
+        decidedBy: actorId,
+        decidedAt: new Date()
+      };
+    } else {
+      const cancelled = await cancelBooking(booking._id, { studioInitiated: true, reason });
+      const refundAmount = cancelled.financials?.refundAmount || 0;
+      resolution = {
+        bookingId: booking._id,
+        action,
+        refundAmount,
+        decidedBy: actorId,
+        decidedAt: new Date()
+      };
+
+      let refundRequested = false;
+      if (refundAmount > 0 && bankInfo?.bankName && bankInfo?.accountNumber && bankInfo?.accountName) {
+        try {
+          await createRefundRequest(booking._id, { ...bankInfo, reason, userId: booking.userId?._id });
+          refundRequested = true;
+        } catch (refundErr) {
+          logger.error(`Failed to create maintenance refund for booking ${booking._id}`, refundErr);
+        }
+      }
+
+      try {
+        await createAndSendNotification(
+          booking.userId?._id,
+          NOTIFICATION_TYPE.WARNING,
+          'Booking bị hủy do studio bảo trì',
+          `Booking lúc ${formatDateTime(schedule.startTime)} - ${formatTime(schedule.endTime)} đã bị hủy do ${reason}. ` +
+            (refundAmount > 0
+              ? (refundRequested
+                ? `Yêu cầu hoàn 100% (${refundAmount.toLocaleString('vi-VN')} VND) đã được tạo và đang chờ xử lý.`
+                : `Bạn được hoàn 100% số tiền đã thanh toán (${refundAmount.toLocaleString('vi-VN')} VND), vui lòng gửi yêu cầu hoàn tiền kèm thông tin ngân hàng.`)
+              : 'Rất xin lỗi vì sự bất tiện này.'),
+          true,
+          io,
+          booking._id
+        );
+      } catch (notifyErr) {
+        logger.error('Failed to send maintenance cancellation notification:', notifyErr);
+      }
+    }
+
+    await MaintenanceWindow.updateOne(
+      { _id: window._id, 'resolutions.bookingId': { $ne: booking._id } },
+      { $push: { resolutions: resolution } }
+    );
+
+    return resolution;
+  } finally {
+    await releaseLock(lockKey, lockToken);
+  }
+};
+
+// #endregion
+
+export default {
+  findAlternativeStudios,
+  getMaintenanceWindows,
+  createMaintenanceWindow,
+  getMaintenanceImpact,
+  cancelMaintenanceWindow,
+  resolveMaintenanceBooking,
+};
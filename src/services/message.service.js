@@ -1,5 +1,6 @@
 // #region Imports
 import Message from '../models/Message/message.model.js';
+import Booking from '../models/Booking/booking.model.js';
 import { createAndSendNotification } from './notification.service.js';
 import { NOTIFICATION_TYPE } from '../utils/constants.js';
 import logger from '../utils/logger.js';
@@ -104,6 +105,28 @@ export const createMessage = async (fromUserId, toUserId, content, bookingId = n
   }
 };
 
+/**
+ * Người nhận tin nhắn trong chat của booking
+ * - Khách nhắn về booking của mình: luôn chuyển tới nhân viên phụ trách (nếu đã phân công)
+ * - Các trường hợp khác: giữ toUserId; thiếu toUserId thì gửi cho chủ booking / nhân viên phụ trách
+ * @param {string} bookingId - ID booking
+ * @param {string} fromUserId - ID người gửi
+ * @param {string} toUserId - Người nhận client chọn (optional)
+ * @returns {string|null} ID người nhận
+ */
+export const resolveBookingChatRecipient = async (bookingId, fromUserId, toUserId = null) => {
+  const booking = await Booking.findById(bookingId).select('userId assignedStaffId').lean();
+  if (!booking) {
+    throw new Error('Booking không tồn tại');
+  }
+
+  const isOwner = booking.userId?.toString() === fromUserId?.toString();
+  if (isOwner) {
+    return booking.assignedStaffId?.toString() || toUserId || null;
+  }
+  return toUserId || booking.userId?.toString() || null;
+};
+
 /**
  * Lấy danh sách conversations cho user (nhóm theo bookingId hoặc direct messaging)
  * @param {string} userId - ID user
@@ -4,20 +4,24 @@ import { randomBytes } from 'crypto';
 import crypto from 'crypto';
 import Payment from '../models/Payment/payment.model.js';
 import Booking from '../models/Booking/booking.model.js';
-import SetDesignOrder from '../models/SetDesignOrder/setDesignOrder.model.js';
-import EquipmentOrder from '../models/EquipmentOrder/equipmentOrder.model.js';
-import payos from '../config/payos.js';
-import { PAYMENT_STATUS, PAY_TYPE, BOOKING_STATUS, SET_DESIGN_ORDER_STATUS, TARGET_MODEL, PAYMENT_CATEGORY } from '../utils/constants.js';
+import BookingGroup from '../models/BookingGroup/bookingGroup.model.js';
+import { PAYMENT_STATUS, PAY_TYPE, BOOKING_STATUS, TARGET_MODEL, PAYMENT_CATEGORY, PAYMENT_LINK_STATUS } from '../utils/constants.js';
 import { ValidationError, NotFoundError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 import { createAndSendNotification } from './notification.service.js';
 import { NOTIFICATION_TYPE } from '../utils/constants.js';
-import { claimIdempotencyKey } from '../utils/redisHelpers.js';
+import { extendScheduleHolds } from './schedule.service.js';
+import { getPaymentGateway, isMockGateway } from './paymentGateway/index.js';
+import { handlePaymentWebhook, settlePaymentFromGateway } from './paymentWebhook.service.js';
+import { applyWalletToCheckout } from './wallet.service.js';
 //#endregion
 
 // PayOS description maximum length (PayOS validation)
 const PAYOS_DESCRIPTION_MAX = 25;
 
+// Lifetime of a checkout PayOS link; the schedule hold is kept alive until it expires
+const PAYMENT_LINK_TTL_MS = 15 * 60 * 1000;
+
 const truncate = (str, len) => (str && str.length > len ? str.slice(0, len) : str);
 
 /**
@@ -42,6 +46,30 @@ const generatePaymentCode = (bookingId, percentage) => {
   return `PAY-${timestamp}-${percentage}-${random}`;
 };
 
+/**
+ * Deposit / partial / full payment amounts offered for a booking total
+ */
+export const buildPaymentPlan = (totalAmount) => [
+  { 
+    percentage: 30, 
+    amount: Math.ceil(totalAmount * 0.3), 
+    description: 'Deposit', 
+    payType: PAY_TYPE.PREPAY_30 
+  },
+  { 
+    percentage: 50, 
+    amount: Math.ceil(totalAmount * 0.5), 
+    description: 'Partial Payment', 
+    payType: PAY_TYPE.PREPAY_50 
+  },
+  { 
+    percentage: 100, 
+    amount: totalAmount, 
+    description: 'Full Payment', 
+    payType: PAY_TYPE.FULL 
+  }
+];
+
 /**
  * Format existing payment options for response
  */
@@ -64,12 +92,58 @@ export const formatPaymentOption = (payment, totalAmount) => {
   };
 };
 
+/**
+ * Keep the schedule holds of a pending checkout alive while its payment links are valid
+ * @param {Object} target - Booking or BookingGroup document
+ */
+const extendCheckoutHolds = async (target, isGroup, expiresAt, session = null) => {
+  const bookingIds = isGroup ? target.members.map(m => m.bookingId) : [target._id];
+  const pendingBookings = await Booking.find({
+    _id: { $in: bookingIds },
+    status: BOOKING_STATUS.PENDING
+  }).select('scheduleId').session(session);
+
+  return extendScheduleHolds(pendingBookings.map(b => b.scheduleId), expiresAt, session);
+};
+
+/**
+ * Total PAID amount attributable to a booking.
+ * Members of a BookingGroup also get their pro-rata share of the group's payments.
+ * @param {Object} booking - Booking document (needs _id, groupId)
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {number} Paid amount in VND
+ */
+export const getBookingPaidAmount = async (booking, session = null) => {
+  const directPayments = await Payment.find({
+    $or: [{ targetId: booking._id }, { bookingId: booking._id }],
+    status: PAYMENT_STATUS.PAID
+  }).select('amount').session(session);
+  let totalPaid = directPayments.reduce((sum, p) => sum + p.amount, 0);
+
+  if (booking.groupId) {
+    const group = await BookingGroup.findById(booking.groupId).select('finalAmount members').session(session);
+    const member = group?.members.find(m => m.bookingId.equals(booking._id));
+    if (member && group.finalAmount > 0) {
+      const groupPayments = await Payment.find({
+        targetId: group._id,
+        targetModel: TARGET_MODEL.BOOKING_GROUP,
+        status: PAYMENT_STATUS.PAID
+      }).select('amount').session(session);
+      const groupPaid = groupPayments.reduce((sum, p) => sum + p.amount, 0);
+      totalPaid += Math.round(member.amount * groupPaid / group.finalAmount);
+    }
+  }
+
+  return totalPaid;
+};
+
 /**
  * Create payment options for a booking (30%, 50%, 100%)
- * @param {string} bookingId
+ * @param {string} bookingId - Booking ID, or BookingGroup ID when targetModel is BOOKING_GROUP
+ * @param {string} targetModel - TARGET_MODEL.BOOKING (default) or TARGET_MODEL.BOOKING_GROUP
  * @returns {Array} Payment options with PayOS links
  */
-export const createPaymentOptions = async (bookingId) => {
+export const createPaymentOptions = async (bookingId, targetModel = TARGET_MODEL.BOOKING) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -79,13 +153,16 @@ export const createPaymentOptions = async (bookingId) => {
       throw new ValidationError('ID booking không hợp lệ');
     }
 
+    // A group checkout is paid as one PayOS payment against the BookingGroup
+    const isGroup = targetModel === TARGET_MODEL.BOOKING_GROUP;
+
     // Lock booking to prevent concurrent payment option creation
-    const booking = await Booking.findById(bookingId)
+    const booking = await (isGroup ? BookingGroup : Booking).findById(bookingId)
       .populate('userId', 'username email')
       .session(session);
 
     if (!booking) {
-      throw new NotFoundError('Booking không tồn tại');
+      throw new NotFoundError(isGroup ? 'Nhóm booking không tồn tại' : 'Booking không tồn tại');
     }
 
     // Validate booking status
@@ -99,7 +176,7 @@ export const createPaymentOptions = async (bookingId) => {
 
     // Check if payment options already exist
     const existingPayments = await Payment.find({
-      bookingId,
+      ...(isGroup ? { targetId: bookingId, targetModel } : { bookingId }),
       status: { $in: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PAID] }
     }).session(session);
 
@@ -120,16 +197,14 @@ export const createPaymentOptions = async (bookingId) => {
       let isPayOSLinkValid = true;
       if (!isExpired && payment.transactionId) {
         try {
-          if (payos && typeof payos.getPaymentLinkInformation === 'function') {
-            const payosInfo = await payos.getPaymentLinkInformation(payment.transactionId);
-            if (payosInfo && (payosInfo.status === 'CANCELLED' || payosInfo.status === 'EXPIRED')) {
-              isPayOSLinkValid = false;
-              logger.info('PayOS link is no longer valid', {
-                bookingId,
-                paymentId: payment._id,
-                payosStatus: payosInfo.status,
-              });
-            }
+          const payosInfo = await getPaymentGateway().getPaymentStatus(payment.transactionId);
+          if (payosInfo && (payosInfo.status === PAYMENT_LINK_STATUS.CANCELLED || payosInfo.status === PAYMENT_LINK_STATUS.EXPIRED)) {
+            isPayOSLinkValid = false;
+            logger.info('PayOS link is no longer valid', {
+              bookingId,
+              paymentId: payment._id,
+              payosStatus: payosInfo.status,
+            });
           }
         } catch (payosCheckError) {
           logger.warn('Could not verify PayOS link status', {
@@ -166,6 +241,11 @@ export const createPaymentOptions = async (bookingId) => {
 
     // If there are still valid pending payments, return them
     if (validPayments.length > 0) {
+      const linkExpiresAt = new Date(Math.max(...validPayments.map(p =>
+        new Date(p.expiresAt || new Date(p.createdAt).getTime() + PAYMENT_LINK_TTL_MS).getTime()
+      )));
+      await extendCheckoutHolds(booking, isGroup, linkExpiresAt, session);
+
       await session.commitTransaction();
       logger.info(`Returning existing valid payment options for booking ${bookingId}`);
       return validPayments.map(payment => formatPaymentOption(payment, booking.finalAmount));
@@ -182,28 +262,10 @@ export const createPaymentOptions = async (bookingId) => {
       throw new ValidationError('Số tiền booking tối thiểu là 1,000 VNĐ');
     }
 
-    const options = [
-      { 
-        percentage: 30, 
-        amount: Math.ceil(totalAmount * 0.3), 
-        description: 'Deposit', 
-        payType: PAY_TYPE.PREPAY_30 
-      },
-      { 
-        percentage: 50, 
-        amount: Math.ceil(totalAmount * 0.5), 
-        description: 'Partial Payment', 
-        payType: PAY_TYPE.PREPAY_50 
-      },
-      { 
-        percentage: 100, 
-        amount: totalAmount, 
-        description: 'Full Payment', 
-        payType: PAY_TYPE.FULL 
-      }
-    ];
+    const options = buildPaymentPlan(totalAmount);
 
     const paymentOptions = [];
+    const expiresAt = new Date(Date.now() + PAYMENT_LINK_TTL_MS);
 
     for (const option of options) {
       const orderCode = generateOrderCode();
@@ -218,7 +280,7 @@ export const createPaymentOptions = async (bookingId) => {
 
       // Real PayOS integration (no mock fallback)
       try {
-        const fullDescription = `${option.description} (${option.percentage}%) - Booking #${bookingId.toString().slice(-8)}`;
+        const fullDescription = `${option.description} (${option.percentage}%) - ${isGroup ? 'Group' : 'Booking'} #${bookingId.toString().slice(-8)}`;
         const safeDescription = truncate(fullDescription, PAYOS_DESCRIPTION_MAX);
         if (safeDescription !== fullDescription) {
           logger.warn('Truncated PayOS description to fit max length', { fullDescription, safeDescription });
@@ -235,47 +297,36 @@ export const createPaymentOptions = async (bookingId) => {
               price: option.amount
             }
           ],
-          returnUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/success?bookingId=${bookingId}`,
-          cancelUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/cancel?bookingId=${bookingId}`,
+          returnUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/success?${isGroup ? 'groupId' : 'bookingId'}=${bookingId}`,
+          cancelUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/cancel?${isGroup ? 'groupId' : 'bookingId'}=${bookingId}`,
           buyerName: booking.userId?.username || 'Customer',
-          buyerEmail: booking.userId?.email || undefined
+          buyerEmail: booking.userId?.email || undefined,
+          expiredAt: Math.floor(expiresAt.getTime() / 1000)
         };
 
-        logger.info('Creating PayOS payment link', {
+        logger.info('Creating payment link', {
           orderCode,
           amount: option.amount,
           description: paymentData.description
         });
 
-        // SDK compatibility: support createPaymentLink or paymentRequests.create
-        let paymentLinkResponse;
-        if (payos && typeof payos.createPaymentLink === 'function') {
-          paymentLinkResponse = await payos.createPaymentLink(paymentData);
-        } else if (payos && typeof payos.paymentRequests?.create === 'function') {
-          paymentLinkResponse = await payos.paymentRequests.create(paymentData);
-        } else {
-          throw new Error('PayOS client không hỗ trợ tạo payment link');
-        }
+        const paymentLinkResponse = await getPaymentGateway().createPaymentLink(paymentData);
 
-        // Normalize response (support different SDK shapes)
-        checkoutUrl = paymentLinkResponse?.checkoutUrl || paymentLinkResponse?.data?.checkoutUrl || paymentLinkResponse?.data?.url || paymentLinkResponse?.url || null;
-        qrCodeUrl = paymentLinkResponse?.qrCode || paymentLinkResponse?.data?.qrCode || null;
+        checkoutUrl = paymentLinkResponse.checkoutUrl;
+        qrCodeUrl = paymentLinkResponse.qrCode;
         gatewayResponse = {
           ...gatewayResponse,
-          paymentLinkId: paymentLinkResponse?.paymentLinkId || paymentLinkResponse?.data?.id || null,
+          paymentLinkId: paymentLinkResponse.paymentLinkId,
           qrCode: qrCodeUrl,
-          bin: paymentLinkResponse?.bin || paymentLinkResponse?.data?.bin || null,
-          accountNumber: paymentLinkResponse?.accountNumber || paymentLinkResponse?.data?.accountNumber || null
+          bin: paymentLinkResponse.bin,
+          accountNumber: paymentLinkResponse.accountNumber
         };
 
-        logger.info('PayOS response received', {
+        logger.info('Payment gateway response received', {
           orderCode,
           hasCheckoutUrl: !!checkoutUrl
         });
 
-        if (!checkoutUrl) {
-          throw new Error('PayOS không trả về URL thanh toán hợp lệ');
-        }
 
       } catch (payosError) {
         logger.error('PayOS API Error:', {
@@ -289,9 +340,9 @@ export const createPaymentOptions = async (bookingId) => {
 
       // Save payment record to database within transaction
       const payment = await Payment.create([{
-        bookingId,
+        bookingId: isGroup ? undefined : bookingId,
         targetId: bookingId,
-        targetModel: TARGET_MODEL.BOOKING,
+        targetModel: isGroup ? TARGET_MODEL.BOOKING_GROUP : TARGET_MODEL.BOOKING,
         category: PAYMENT_CATEGORY.BOOKING,
         paymentCode,
         amount: option.amount,
@@ -299,7 +350,8 @@ export const createPaymentOptions = async (bookingId) => {
         status: PAYMENT_STATUS.PENDING,
         transactionId: orderCode.toString(),
         qrCodeUrl: checkoutUrl,
-        gatewayResponse
+        gatewayResponse,
+        expiresAt
       }], { session });
 
       logger.info('Payment record created', {
@@ -311,6 +363,8 @@ export const createPaymentOptions = async (bookingId) => {
       paymentOptions.push(formatPaymentOption(payment[0], totalAmount));
     }
 
+    await extendCheckoutHolds(booking, isGroup, expiresAt, session);
+
     await session.commitTransaction();
     return paymentOptions;
 
@@ -330,309 +384,6 @@ export const createPaymentOptions = async (bookingId) => {
   }
 };
 
-/**
- * Handle PayOS webhook/callback
- * @param {Object} webhookBody - Webhook data from PayOS
- * @returns {Object} Processing result
- */
-export const handlePaymentWebhook = async (webhookPayload) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    // Accept either raw body or an object { body, headers }
-    const incoming = webhookPayload && webhookPayload.body ? webhookPayload : { body: webhookPayload, headers: {} };
-    const body = incoming.body || {};
-    const headers = incoming.headers || {};
-
-    // Enhanced debug logging
-    logger.info('=== PayOS Webhook Received ===');
-    logger.info('Webhook body:', JSON.stringify(body, null, 2));
-    logger.info('Webhook headers:', JSON.stringify(Object.keys(headers), null, 2));
-    logger.info('Body keys:', Object.keys(body));
-    logger.info('Has orderCode:', !!body.orderCode);
-    logger.info('Has data.orderCode:', !!body.data?.orderCode);
-    logger.info('Body code:', body.code);
-
-    // Handle PayOS test/verification webhook (sent when configuring webhook URL)
-    // PayOS sends test requests with empty body, code "00" without orderCode, or specific test patterns
-    const hasOrderCode = body.orderCode || body.data?.orderCode;
-    const isTestWebhook = !body || Object.keys(body).length === 0 ||
-      (body.code === '00' && !hasOrderCode) ||
-      (body.desc === 'success' && !hasOrderCode) ||
-      (body.success === true && Object.keys(body).length === 1);
-    
-    logger.info('Is test webhook:', isTestWebhook, 'hasOrderCode:', hasOrderCode);
-    
-    if (isTestWebhook) {
-      await session.commitTransaction();
-      session.endSession();
-      logger.info('PayOS test/verification webhook received - responding with success');
-      return { success: true, message: 'Webhook endpoint verified' };
-    }
-
-    // Validate webhook payload for real transactions
-    if (!webhookPayload) {
-      throw new ValidationError('Dữ liệu webhook không hợp lệ');
-    }
-
-    // Verify webhook signature
-    let verifiedData;
-    try {
-      if (payos && typeof payos.verifyPaymentWebhookData === 'function') {
-        try {
-          verifiedData = payos.verifyPaymentWebhookData(body);
-        } catch (sdkError) {
-          logger.error('SDK verification failed:', sdkError.message);
-          throw sdkError;
-        }
-      } else {
-        // Fallback HMAC verification
-        const checksumKey = process.env.PAYOS_CHECKSUM_KEY;
-        const signature = body.signature;
-        
-        if (!checksumKey) {
-          throw new ValidationError('Thiếu PAYOS_CHECKSUM_KEY để xác thực webhook');
-        }
-        
-        if (!body.data) {
-          throw new ValidationError('Webhook thiếu trường data');
-        }
-        
-        // PayOS signature: sorted key=value pairs, null/undefined as empty string
-        const dataToSign = Object.keys(body.data)
-          .sort()
-          .map(key => {
-            const value = body.data[key];
-            if (value === null || value === undefined) {
-              return `${key}=`;
-            }
-            const serializedValue = typeof value === 'object' 
-              ? JSON.stringify(value) 
-              : String(value);
-            return `${key}=${serializedValue}`;
-          })
-          .join('&');
-        
-        const computedSignature = crypto.createHmac('sha256', checksumKey).update(dataToSign).digest('hex');
-        
-        if (!signature || computedSignature.toLowerCase() !== signature.toString().toLowerCase()) {
-          logger.error('Signature mismatch!', {
-            expected: computedSignature,
-            received: signature
-          });
-          throw new ValidationError('Chữ ký webhook không hợp lệ');
-        }
-        
-        verifiedData = body.data;
-      }
-    } catch (verifyError) {
-      logger.error('Webhook verification failed:', verifyError);
-      throw new ValidationError('Chữ ký webhook không hợp lệ: ' + (verifyError.message || 'xác thực thất bại'));
-    }
-
-    const orderCode = verifiedData.orderCode;
-    const amount = verifiedData.amount;
-    const code = verifiedData.code;
-    const desc = verifiedData.desc;
-
-    // Idempotency check via Redis
-    const idempotencyKey = `payos:webhook:${orderCode}`;
-    let claimed = null;
-    try {
-      claimed = await claimIdempotencyKey(idempotencyKey, 30);
-    } catch (err) {
-      logger.warn('claimIdempotencyKey threw, continuing without redis claim', { error: err?.message || err });
-      claimed = null;
-    }
-
-    if (claimed === false) {
-      await session.commitTransaction();
-      logger.info(`Duplicate webhook skipped for orderCode=${orderCode}`);
-      return { success: true, message: 'Duplicate webhook skipped' };
-    }
-
-    logger.info('Webhook verified', { orderCode, code, desc });
-
-    // Find payment
-    const payment = await Payment.findOne({ 
-      transactionId: orderCode.toString() 
-    }).session(session);
-
-    if (!payment) {
-      await session.commitTransaction();
-      logger.warn(`Payment not found for orderCode: ${orderCode}`);
-      // Return success to avoid PayOS loop if we can't find it
-      return { success: true, message: 'Payment not found' };
-    }
-
-    if (payment.status === PAYMENT_STATUS.PAID) {
-      await session.commitTransaction();
-      logger.info(`Payment already processed: ${payment._id}`);
-      return { success: true, message: 'Payment already processed' };
-    }
-
-    const isPaid = code === '00';
-
-    if (isPaid) {
-      payment.status = PAYMENT_STATUS.PAID;
-      payment.paidAt = new Date();
-      payment.gatewayResponse = {
-        ...payment.gatewayResponse,
-        webhookData: verifiedData,
-        webhookAmount: amount,
-        completedAt: new Date()
-      };
-      await payment.save({ session });
-      logger.info(`Payment completed: ${payment._id}, Target: ${payment.targetModel}`);
-
-      // Dispatch based on targetModel
-      if (payment.targetModel === 'Booking' || (!payment.targetModel && payment.bookingId)) {
-          // --- BOOKING LOGIC ---
-          const bookingId = payment.targetId || payment.bookingId;
-          const booking = await Booking.findById(bookingId).session(session);
-          if (!booking) throw new NotFoundError('Booking không tồn tại');
-
-          const paidPayments = await Payment.find({
-            $or: [ { targetId: bookingId }, { bookingId: bookingId } ],
-            status: PAYMENT_STATUS.PAID
-          }).select('amount').session(session);
-
-          const totalPaid = paidPayments.reduce((sum, p) => sum + p.amount, 0);
-          const paymentPercentage = booking.finalAmount > 0 ? (totalPaid / booking.finalAmount) * 100 : 0;
-
-          if (paymentPercentage >= 100) { booking.status = BOOKING_STATUS.CONFIRMED; booking.payType = PAY_TYPE.FULL; }
-          else if (paymentPercentage >= 50) { booking.status = BOOKING_STATUS.CONFIRMED; booking.payType = PAY_TYPE.PREPAY_50; }
-          else if (paymentPercentage >= 30) { booking.status = BOOKING_STATUS.CONFIRMED; booking.payType = PAY_TYPE.PREPAY_30; }
-
-          booking.financials = { ...booking.financials, originalAmount: booking.finalAmount, netAmount: totalPaid };
-          await booking.save({ session });
-
-      } else if (payment.targetModel === 'SetDesignOrder') {
-          // --- SET DESIGN LOGIC ---
-          const order = await SetDesignOrder.findById(payment.targetId).session(session);
-          if (order) {
-             order.paidAmount = Math.min((order.paidAmount || 0) + payment.amount, order.totalAmount);
-             
-             // Check completion
-             if (order.paidAmount >= order.totalAmount) {
-                 order.paymentStatus = PAYMENT_STATUS.PAID;
-                 // Only confirm if pending (don't reverted if already processing/completed)
-                 if (order.status === SET_DESIGN_ORDER_STATUS.PENDING) order.status = SET_DESIGN_ORDER_STATUS.CONFIRMED;
-                 order.confirmedAt = new Date();
-             } else {
-                 // Partial logic
-                 const pct = (order.paidAmount / order.totalAmount) * 100;
-                 if (pct >= 30 && order.status === SET_DESIGN_ORDER_STATUS.PENDING) {
-                     order.status = SET_DESIGN_ORDER_STATUS.CONFIRMED;
-                     order.confirmedAt = new Date();
-                 }
-             }
-             await order.save({ session });
-             
-             // Notify
-             try {
-                // We do this AFTER commit usually, but here inside try/catch is ok if logic simple
-                // Better to return info and do notify after commit
-             } catch (e) { logger.error('SetDesign update error', e); }
-          }
-
-      } else if (payment.targetModel === 'EquipmentOrder') {
-          // --- EQUIPMENT LOGIC ---
-          const { EQUIPMENT_ORDER_STATUS } = await import('../models/EquipmentOrder/equipmentOrder.model.js');
-          const order = await EquipmentOrder.findById(payment.targetId).session(session);
-          if (order) {
-              order.paymentStatus = PAYMENT_STATUS.PAID;
-              if (order.status === EQUIPMENT_ORDER_STATUS.PENDING) {
-                  order.status = EQUIPMENT_ORDER_STATUS.CONFIRMED;
-                  order.confirmedAt = new Date();
-              }
-              await order.save({ session });
-          }
-      }
-
-      await session.commitTransaction();
-
-      // Send notifications after commit
-      try {
-          if (payment.targetModel === 'Booking' || (!payment.targetModel && payment.bookingId)) {
-              const bookingId = payment.targetId || payment.bookingId;
-              const booking = await Booking.findById(bookingId).populate('customerId', 'username');
-              if (booking) {
-                  await createAndSendNotification(
-                      booking.customerId._id || booking.customerId,
-                      NOTIFICATION_TYPE.SUCCESS,
-                      'Thanh toán thành công',
-                      `Thanh toán ${payment.amount.toLocaleString()} VND cho đặt phòng ${booking.bookingCode} đã thành công`,
-                      false,
-                      null,
-                      booking._id
-                  );
-              }
-          } else if (payment.targetModel === 'SetDesignOrder') {
-              const order = await SetDesignOrder.findById(payment.targetId);
-              if (order) {
-                  await createAndSendNotification(
-                      order.customerId,
-                      NOTIFICATION_TYPE.SUCCESS,
-                      'Thanh toán thành công',
-                      `Thanh toán ${payment.amount.toLocaleString()} VND cho đơn hàng ${order.orderCode} đã thành công`,
-                      false,
-                      null,
-                      order._id
-                  );
-              }
-          } else if (payment.targetModel === 'EquipmentOrder') {
-              const order = await EquipmentOrder.findById(payment.targetId);
-              if (order) {
-                  await createAndSendNotification(
-                      order.customerId,
-                      NOTIFICATION_TYPE.SUCCESS,
-                      'Thanh toán thành công',
-                      `Thanh toán ${payment.amount.toLocaleString()} VND cho đơn thuê thiết bị ${order.orderCode} đã thành công`,
-                      false,
-                      null,
-                      order._id
-                  );
-              }
-          }
-      } catch (notifyErr) {
-          logger.error('Failed to send payment notification:', notifyErr);
-      }
-
-      return { success: true, message: 'Payment processed successfully' };
-
-    } else {
-      payment.status = PAYMENT_STATUS.CANCELLED;
-      payment.gatewayResponse = {
-        ...payment.gatewayResponse,
-        webhookData: verifiedData,
-        cancelledAt: new Date(),
-        failureReason: desc
-      };
-      await payment.save({ session });
-      await session.commitTransaction();
-      logger.info(`Payment cancelled: ${payment._id}`);
-      return { success: true, message: 'Payment cancelled' };
-    }
-
-  } catch (error) {
-    if (session.inTransaction()) {
-      await session.abortTransaction();
-    }
-    if (error instanceof ValidationError || error instanceof NotFoundError) {
-      throw error;
-    }
-    logger.error('Webhook processing error:', {
-      error: error.message,
-      stack: error.stack
-    });
-    throw new Error('Lỗi khi xử lý webhook thanh toán');
-  } finally {
-    session.endSession();
-  }
-};
-
 /**
  * Get payment status
  * @param {string} paymentId
@@ -662,39 +413,33 @@ export const getPaymentStatus = async (paymentId) => {
 };
 
 /**
- * Check payment status with PayOS
+ * Check payment status with the payment gateway
  * @param {string} orderCode
+ * @returns {Object} - { orderCode, status, amount, amountPaid, raw }
  */
-export const checkPaymentStatusWithPayOS = async (orderCode) => {
+export const checkPaymentStatusWithGateway = async (orderCode) => {
   try {
     if (!orderCode) {
       throw new ValidationError('Mã đơn hàng là bắt buộc');
     }
 
-    if (payos && typeof payos.getPaymentLinkInformation === 'function') {
-      const paymentInfo = await payos.getPaymentLinkInformation(Number(orderCode));
+    const paymentInfo = await getPaymentGateway().getPaymentStatus(orderCode);
 
-      logger.info('PayOS payment info retrieved', {
-        orderCode,
-        status: paymentInfo?.status
-      });
-
-      return paymentInfo;
-    } else if (payos && typeof payos.paymentRequests?.get === 'function') {
-      const paymentInfo = await payos.paymentRequests.get(Number(orderCode));
-      return paymentInfo;
-    }
+    logger.info('Gateway payment info retrieved', {
+      orderCode,
+      status: paymentInfo?.status
+    });
 
-    throw new Error('PayOS client không hỗ trợ hàm lấy thông tin thanh toán');
+    return paymentInfo;
   } catch (error) {
     if (error instanceof ValidationError) {
       throw error;
     }
-    logger.error('Failed to check PayOS payment status:', {
+    logger.error('Failed to check gateway payment status:', {
       orderCode,
       error: error.message
     });
-    throw new Error('Lỗi khi kiểm tra trạng thái thanh toán với PayOS');
+    throw new Error('Lỗi khi kiểm tra trạng thái thanh toán với cổng thanh toán');
   }
 };
 
@@ -727,27 +472,17 @@ export const cancelPayment = async (paymentId, reason = 'User cancelled') => {
       throw new ValidationError('Chỉ có thể hủy thanh toán đang chờ xử lý');
     }
 
-  // Cancel with PayOS if not mock
-  const useMock = (process.env.PAYMENT_USE_MOCK || 'false').toLowerCase() === 'true';
-
-  if (!useMock) {
-    try {
-      if (payos && typeof payos.cancelPaymentLink === 'function') {
-        await payos.cancelPaymentLink(Number(payment.transactionId), reason);
-      } else if (payos && typeof payos.paymentRequests?.cancel === 'function') {
-        await payos.paymentRequests.cancel(Number(payment.transactionId), reason);
-      } else {
-        logger.warn('PayOS client does not support cancel API');
-      }
+  // Cancel the link on the payment gateway
+  try {
+    await getPaymentGateway().cancelPaymentLink(payment.transactionId, reason);
 
-      logger.info('Payment cancelled with PayOS', {
-        paymentId,
-        orderCode: payment.transactionId
-      });
-    } catch (error) {
-      logger.error('Failed to cancel with PayOS:', error);
-      // Continue with local cancellation even if PayOS fails
-    }
+    logger.info('Payment link cancelled on gateway', {
+      paymentId,
+      orderCode: payment.transactionId
+    });
+  } catch (error) {
+    logger.error('Failed to cancel payment link on gateway:', error);
+    // Continue with local cancellation even if the gateway fails
   }
 
   payment.status = PAYMENT_STATUS.CANCELLED;
@@ -771,7 +506,7 @@ export const cancelPayment = async (paymentId, reason = 'User cancelled') => {
 
 /**
  * Create a single payment for a chosen option (idempotent per booking+payType)
- * opts: { percentage, payType }
+ * opts: { percentage, payType, useWallet } (useWallet: trừ số dư ví trước, phần còn lại qua cổng thanh toán)
  */
 export const createPaymentForOption = async (bookingId, opts = {}) => {
   const session = await mongoose.startSession();
@@ -828,17 +563,15 @@ export const createPaymentForOption = async (bookingId, opts = {}) => {
       let isPayOSLinkValid = true;
       if (!isExpired && existing.transactionId) {
         try {
-          if (payos && typeof payos.getPaymentLinkInformation === 'function') {
-            const payosInfo = await payos.getPaymentLinkInformation(existing.transactionId);
-            // PayOS returns status: PENDING, PAID, CANCELLED, EXPIRED
-            if (payosInfo && (payosInfo.status === 'CANCELLED' || payosInfo.status === 'EXPIRED')) {
-              isPayOSLinkValid = false;
-              logger.info('PayOS link is no longer valid', {
-                bookingId,
-                paymentId: existing._id,
-                payosStatus: payosInfo.status,
-              });
-            }
+          const payosInfo = await getPaymentGateway().getPaymentStatus(existing.transactionId);
+          // Gateway link status: PENDING, PAID, CANCELLED, EXPIRED
+          if (payosInfo && (payosInfo.status === PAYMENT_LINK_STATUS.CANCELLED || payosInfo.status === PAYMENT_LINK_STATUS.EXPIRED)) {
+            isPayOSLinkValid = false;
+            logger.info('PayOS link is no longer valid', {
+              bookingId,
+              paymentId: existing._id,
+              payosStatus: payosInfo.status,
+            });
           }
         } catch (payosCheckError) {
           // If we can't check PayOS, assume the link might be invalid if it's old
@@ -856,20 +589,30 @@ export const createPaymentForOption = async (bookingId, opts = {}) => {
         }
       }
 
-      // If payment expired or PayOS link invalid, cancel it and create new one
-      if (isExpired || !isPayOSLinkValid) {
+      // If payment expired or PayOS link invalid, cancel it and create new one.
+      // Paying from the wallet also replaces the open link so the booking cannot be paid twice.
+      if (isExpired || !isPayOSLinkValid || opts.useWallet) {
         logger.info('Cancelling expired/invalid payment and creating new one', {
           bookingId,
           paymentId: existing._id,
           isExpired,
           isPayOSLinkValid,
+          useWallet: !!opts.useWallet,
         });
+
+        if (!isExpired && isPayOSLinkValid && existing.transactionId) {
+          try {
+            await getPaymentGateway().cancelPaymentLink(existing.transactionId, 'Replaced by wallet checkout');
+          } catch (cancelErr) {
+            logger.warn('Could not cancel replaced payment link', { paymentId: existing._id, error: cancelErr.message });
+          }
+        }
         
         existing.status = PAYMENT_STATUS.CANCELLED;
         existing.gatewayResponse = {
           ...existing.gatewayResponse,
           cancelledAt: new Date(),
-          cancelReason: isExpired ? 'Payment link expired' : 'PayOS link no longer valid',
+          cancelReason: isExpired ? 'Payment link expired' : (isPayOSLinkValid ? 'Replaced by wallet checkout' : 'PayOS link no longer valid'),
         };
         await existing.save({ session });
         
@@ -881,6 +624,23 @@ export const createPaymentForOption = async (bookingId, opts = {}) => {
       }
     }
 
+    // Wallet balance first: the wallet part is settled now, the gateway link only covers the rest
+    const wallet = opts.useWallet
+      ? await applyWalletToCheckout({
+        userId: booking.userId?._id || booking.userId,
+        amount,
+        payment: { bookingId, targetId: bookingId, targetModel: TARGET_MODEL.BOOKING, category: PAYMENT_CATEGORY.BOOKING, payType },
+        description: `${payType} - Booking #${bookingId.toString().slice(-8)}`,
+      }, session)
+      : null;
+
+    if (wallet && wallet.remaining === 0) {
+      await session.commitTransaction();
+      await wallet.afterCommit();
+      return { ...formatPaymentOption(wallet.walletPayment, totalAmount), remainingAmount: totalAmount - amount, walletAmount: wallet.walletAmount };
+    }
+
+    const gatewayAmount = wallet ? wallet.remaining : amount;
     const orderCode = generateOrderCode();
     const paymentCode = generatePaymentCode(bookingId, perc || (payType === PAY_TYPE.FULL ? 100 : (payType === PAY_TYPE.PREPAY_50 ? 50 : 30)));
 
@@ -890,39 +650,33 @@ export const createPaymentForOption = async (bookingId, opts = {}) => {
 
     const paymentData = {
       orderCode,
-      amount,
+      amount: gatewayAmount,
       description: safeDescription,
-      items: [{ name: truncate(`Studio - ${payType}`, 50), quantity: 1, price: amount }],
+      items: [{ name: truncate(`Studio - ${payType}`, 50), quantity: 1, price: gatewayAmount }],
       returnUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/success?bookingId=${bookingId}`,
       cancelUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/cancel?bookingId=${bookingId}`,
       buyerName: booking.userId?.username || 'Customer',
       buyerEmail: booking.userId?.email || undefined
     };
 
-    logger.info('Creating single PayOS payment link', { orderCode, amount, description: paymentData.description });
+    logger.info('Creating single payment link', { orderCode, amount, description: paymentData.description });
 
-    let paymentLinkResponse;
-    if (payos && typeof payos.createPaymentLink === 'function') {
-      paymentLinkResponse = await payos.createPaymentLink(paymentData);
-    } else if (payos && typeof payos.paymentRequests?.create === 'function') {
-      paymentLinkResponse = await payos.paymentRequests.create(paymentData);
-    } else {
-      throw new Error('PayOS client does not support createPaymentLink or paymentRequests.create');
-    }
+    const paymentLinkResponse = await getPaymentGateway().createPaymentLink(paymentData);
 
-    const checkoutUrl = paymentLinkResponse?.checkoutUrl || paymentLinkResponse?.data?.checkoutUrl || paymentLinkResponse?.data?.url || paymentLinkResponse?.url || null;
-    const qrCodeUrl = paymentLinkResponse?.qrCode || paymentLinkResponse?.data?.qrCode || null;
-    const gatewayResponse = { orderCode, createdAt: new Date(), paymentLinkId: paymentLinkResponse?.paymentLinkId || paymentLinkResponse?.data?.id || null, qrCode: qrCodeUrl };
+    const checkoutUrl = paymentLinkResponse.checkoutUrl;
+    const qrCodeUrl = paymentLinkResponse.qrCode;
+    const gatewayResponse = { orderCode, createdAt: new Date(), paymentLinkId: paymentLinkResponse.paymentLinkId, qrCode: qrCodeUrl };
 
-    if (!checkoutUrl) {
-      throw new Error('PayOS did not return a valid checkout URL');
-    }
 
     const expiresAt = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
 
-    const payment = await Payment.create([{ bookingId, targetId: bookingId, targetModel: TARGET_MODEL.BOOKING, category: PAYMENT_CATEGORY.BOOKING, paymentCode, amount, payType, status: PAYMENT_STATUS.PENDING, transactionId: orderCode.toString(), qrCodeUrl: checkoutUrl, gatewayResponse, expiresAt }], { session });
+    const payment = await Payment.create([{ bookingId, targetId: bookingId, targetModel: TARGET_MODEL.BOOKING, category: PAYMENT_CATEGORY.BOOKING, paymentCode, amount: gatewayAmount, payType, status: PAYMENT_STATUS.PENDING, transactionId: orderCode.toString(), qrCodeUrl: checkoutUrl, gatewayResponse, expiresAt }], { session });
 
     await session.commitTransaction();
+    if (wallet) {
+      await wallet.afterCommit();
+      return { ...formatPaymentOption(payment[0], totalAmount), remainingAmount: totalAmount - amount, walletAmount: wallet.walletAmount };
+    }
     return formatPaymentOption(payment[0], totalAmount);
 
   } catch (error) {
@@ -939,6 +693,7 @@ export const createPaymentForOption = async (bookingId, opts = {}) => {
 
 /**
  * Create payment for the remaining amount after existing completed payments
+ * opts: { actorId, useWallet }
  */
 export const createPaymentForRemaining = async (bookingId, opts = {}) => {
   const session = await mongoose.startSession();
@@ -961,13 +716,8 @@ export const createPaymentForRemaining = async (bookingId, opts = {}) => {
       throw new ValidationError('Không thể tạo thanh toán cho booking đã hủy');
     }
 
-    // Sum completed payments
-    const paidPayments = await Payment.find({
-      bookingId: booking._id,
-      status: PAYMENT_STATUS.PAID
-    }).select('amount').session(session);
-
-    const totalPaid = paidPayments.reduce((sum, payment) => sum + payment.amount, 0);
+    // Sum completed payments (including this booking's share of a group payment)
+    const totalPaid = await getBookingPaidAmount(booking, session);
     const remaining = booking.finalAmount - totalPaid;
 
     // Do not allow creating remaining payment after checkout/completion
@@ -987,11 +737,39 @@ export const createPaymentForRemaining = async (bookingId, opts = {}) => {
 
     // Idempotency: check existing pending 'full' payment created as remaining
     const existing = await Payment.findOne({ bookingId, payType: PAY_TYPE.FULL, status: PAYMENT_STATUS.PENDING }).session(session);
-    if (existing) {
+    if (existing && !opts.useWallet) {
       await session.commitTransaction();
       return existing;
     }
 
+    // Paying from the wallet replaces the open link so the booking cannot be paid twice
+    if (existing) {
+      try {
+        await getPaymentGateway().cancelPaymentLink(existing.transactionId, 'Replaced by wallet checkout');
+      } catch (cancelErr) {
+        logger.warn('Could not cancel replaced payment link', { paymentId: existing._id, error: cancelErr.message });
+      }
+      existing.status = PAYMENT_STATUS.CANCELLED;
+      existing.gatewayResponse = { ...existing.gatewayResponse, cancelledAt: new Date(), cancelReason: 'Replaced by wallet checkout' };
+      await existing.save({ session });
+    }
+
+    const wallet = opts.useWallet
+      ? await applyWalletToCheckout({
+        userId: booking.userId?._id || booking.userId,
+        amount: remaining,
+        payment: { bookingId, targetId: bookingId, targetModel: TARGET_MODEL.BOOKING, category: PAYMENT_CATEGORY.BOOKING, payType: PAY_TYPE.FULL },
+        description: `Remaining - Booking #${bookingId.toString().slice(-8)}`,
+      }, session)
+      : null;
+
+    if (wallet && wallet.remaining === 0) {
+      await session.commitTransaction();
+      await wallet.afterCommit();
+      return wallet.walletPayment;
+    }
+
+    const gatewayAmount = wallet ? wallet.remaining : remaining;
     const orderCode = generateOrderCode();
     const paymentCode = generatePaymentCode(bookingId, 100);
 
@@ -1000,37 +778,27 @@ export const createPaymentForRemaining = async (bookingId, opts = {}) => {
 
     const paymentData = {
       orderCode,
-      amount: remaining,
+      amount: gatewayAmount,
       description: safeDescription,
-      items: [{ name: truncate(`Studio - remaining`, 50), quantity: 1, price: remaining }],
+      items: [{ name: truncate(`Studio - remaining`, 50), quantity: 1, price: gatewayAmount }],
       returnUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/success?bookingId=${bookingId}`,
       cancelUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/cancel?bookingId=${bookingId}`,
       buyerName: booking.userId?.username || 'Customer',
       buyerEmail: booking.userId?.email || undefined
     };
 
-    logger.info('Creating PayOS payment link for remaining amount', { orderCode, amount: remaining });
+    logger.info('Creating payment link for remaining amount', { orderCode, amount: gatewayAmount });
 
-    let paymentLinkResponse;
-    if (payos && typeof payos.createPaymentLink === 'function') {
-      paymentLinkResponse = await payos.createPaymentLink(paymentData);
-    } else if (payos && typeof payos.paymentRequests?.create === 'function') {
-      paymentLinkResponse = await payos.paymentRequests.create(paymentData);
-    } else {
-      throw new Error('PayOS client does not support createPaymentLink or paymentRequests.create');
-    }
+    const paymentLinkResponse = await getPaymentGateway().createPaymentLink(paymentData);
 
-    const checkoutUrl = paymentLinkResponse?.checkoutUrl || paymentLinkResponse?.data?.checkoutUrl || paymentLinkResponse?.data?.url || paymentLinkResponse?.url || null;
-    const qrCodeUrl = paymentLinkResponse?.qrCode || paymentLinkResponse?.data?.qrCode || null;
-    const gatewayResponse = { orderCode, createdAt: new Date(), paymentLinkId: paymentLinkResponse?.paymentLinkId || paymentLinkResponse?.data?.id || null, qrCode: qrCodeUrl, actorId: opts.actorId ? opts.actorId.toString() : undefined };
+    const checkoutUrl = paymentLinkResponse.checkoutUrl;
+    const qrCodeUrl = paymentLinkResponse.qrCode;
+    const gatewayResponse = { orderCode, createdAt: new Date(), paymentLinkId: paymentLinkResponse.paymentLinkId, qrCode: qrCodeUrl, actorId: opts.actorId ? opts.actorId.toString() : undefined };
 
-    if (!checkoutUrl) {
-      throw new Error('PayOS did not return a valid checkout URL');
-    }
 
     const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
 
-    const payment = await Payment.create([{ bookingId, targetId: bookingId, targetModel: TARGET_MODEL.BOOKING, category: PAYMENT_CATEGORY.BOOKING, paymentCode, amount: remaining, payType: PAY_TYPE.FULL, status: PAYMENT_STATUS.PENDING, transactionId: orderCode.toString(), qrCodeUrl: checkoutUrl, gatewayResponse, expiresAt }], { session });
+    const payment = await Payment.create([{ bookingId, targetId: bookingId, targetModel: TARGET_MODEL.BOOKING, category: PAYMENT_CATEGORY.BOOKING, paymentCode, amount: gatewayAmount, payType: PAY_TYPE.FULL, status: PAYMENT_STATUS.PENDING, transactionId: orderCode.toString(), qrCodeUrl: checkoutUrl, gatewayResponse, expiresAt }], { session });
 
     // Audit: push event to booking.events indicating who created the remaining payment
     try {
@@ -1040,7 +808,7 @@ export const createPaymentForRemaining = async (bookingId, opts = {}) => {
           type: 'PAYMENT_CREATED',
           timestamp: new Date(),
           actorId: opts.actorId,
-          details: { amount: remaining, paymentId: payment[0]._id }
+          details: { amount: gatewayAmount, walletAmount: wallet?.walletAmount || 0, paymentId: payment[0]._id }
         });
         await booking.save({ session });
       }
@@ -1049,12 +817,13 @@ export const createPaymentForRemaining = async (bookingId, opts = {}) => {
     }
 
     await session.commitTransaction();
+    if (wallet) await wallet.afterCommit();
 
     // Notify customer about remaining payment link (best-effort, outside transaction)
     try {
       const userId = booking.userId?._id || booking.userId;
       if (userId) {
-        const message = `Bạn còn ${remaining} VND cần thanh toán cho booking #${booking._id.toString().slice(-8)}. Link thanh toán: ${checkoutUrl}`;
+        const message = `Bạn còn ${gatewayAmount} VND cần thanh toán cho booking #${booking._id.toString().slice(-8)}. Link thanh toán: ${checkoutUrl}`;
         // sendEmail=false to avoid unexpected emails; frontend can surface link
         await createAndSendNotification(userId, NOTIFICATION_TYPE.INFO, 'Thanh toán phần còn lại', message, false, null, payment[0]._id);
       }
@@ -1075,6 +844,104 @@ export const createPaymentForRemaining = async (bookingId, opts = {}) => {
   }
 };
 
+/**
+ * Create (or reuse) the PayOS link for a booking's unpaid overtime charge.
+ * The charge itself is computed at check-out and stored on booking.overtime.
+ * @param {string} bookingId - Booking ID
+ * @param {object} opts - { actorId, userId } (userId: only the owner may pay)
+ * @returns {object} Pending overtime payment
+ */
+export const createOvertimePayment = async (bookingId, opts = {}) => {
+  if (!bookingId || !mongoose.Types.ObjectId.isValid(bookingId)) {
+    throw new ValidationError('ID booking không hợp lệ');
+  }
+
+  const booking = await Booking.findById(bookingId).populate('userId', 'username email');
+  if (!booking) {
+    throw new NotFoundError('Booking không tồn tại');
+  }
+  if (opts.userId && (booking.userId?._id || booking.userId).toString() !== opts.userId.toString()) {
+    throw new NotFoundError('Booking không tồn tại');
+  }
+
+  const amount = booking.overtime?.amount || 0;
+  if (amount <= 0) {
+    throw new ValidationError('Booking không có phí quá giờ');
+  }
+  if (booking.overtime.paidAt) {
+    throw new ValidationError('Phí quá giờ đã được thanh toán');
+  }
+  if (amount < 1000) {
+    throw new ValidationError('Số tiền thanh toán tối thiểu là 1,000 VNĐ');
+  }
+
+  // Idempotency: reuse a link that is still valid
+  const existing = await Payment.findOne({
+    bookingId: booking._id,
+    category: PAYMENT_CATEGORY.OVERTIME,
+    status: PAYMENT_STATUS.PENDING
+  });
+  if (existing && (!existing.expiresAt || existing.expiresAt > new Date())) {
+    return existing;
+  }
+  if (existing) {
+    existing.status = PAYMENT_STATUS.CANCELLED;
+    existing.gatewayResponse = { ...existing.gatewayResponse, cancelledAt: new Date(), cancelReason: 'Payment link expired' };
+    await existing.save();
+  }
+
+  const orderCode = generateOrderCode();
+  const paymentCode = generatePaymentCode(bookingId, 'OT');
+  const paymentData = {
+    orderCode,
+    amount,
+    description: truncate(`Overtime #${bookingId.toString().slice(-8)}`, PAYOS_DESCRIPTION_MAX),
+    items: [{ name: truncate(`Studio - overtime ${booking.overtime.billedMinutes} min`, 50), quantity: 1, price: amount }],
+    returnUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/success?bookingId=${bookingId}`,
+    cancelUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/cancel?bookingId=${bookingId}`,
+    buyerName: booking.userId?.username || 'Customer',
+    buyerEmail: booking.userId?.email || undefined
+  };
+
+  logger.info('Creating payment link for overtime', { orderCode, amount, bookingId });
+
+  let paymentLinkResponse;
+  try {
+    paymentLinkResponse = await getPaymentGateway().createPaymentLink(paymentData);
+  } catch (error) {
+    logger.error('Create overtime payment failed:', { bookingId, error: error.message });
+    throw new Error('Lỗi khi tạo thanh toán phí quá giờ');
+  }
+
+  const checkoutUrl = paymentLinkResponse.checkoutUrl;
+  const qrCodeUrl = paymentLinkResponse.qrCode;
+
+  const payment = await Payment.create({
+    bookingId: booking._id,
+    targetId: booking._id,
+    targetModel: TARGET_MODEL.BOOKING,
+    category: PAYMENT_CATEGORY.OVERTIME,
+    paymentCode,
+    amount,
+    payType: PAY_TYPE.FULL,
+    status: PAYMENT_STATUS.PENDING,
+    transactionId: orderCode.toString(),
+    qrCodeUrl: checkoutUrl,
+    gatewayResponse: {
+      orderCode,
+      createdAt: new Date(),
+      paymentLinkId: paymentLinkResponse.paymentLinkId,
+      qrCode: qrCodeUrl,
+      actorId: opts.actorId ? opts.actorId.toString() : undefined
+    },
+    expiresAt: new Date(Date.now() + PAYMENT_LINK_TTL_MS)
+  });
+
+  await Booking.updateOne({ _id: booking._id }, { $set: { 'overtime.paymentId': payment._id } });
+
+  return payment;
+};
+
 /**
  * Create refund request for a payment
  * @param {string} paymentId - Payment ID to refund
@@ -1241,6 +1108,7 @@ export const getMyTransactions = async (userId, filters = {}) => {
     if (bookingIds.length === 0) {
       return {
         transactions: [],
+        unpaidOvertime: [],
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -1250,9 +1118,15 @@ export const getMyTransactions = async (userId, filters = {}) => {
       };
     }
 
+    // Group checkouts are paid against the BookingGroup, not a single booking
+    const userGroups = await BookingGroup.find({ userId }).select('_id').lean();
+
     // Build query
     const query = {
-      bookingId: { $in: bookingIds }
+      $or: [
+        { bookingId: { $in: bookingIds } },
+        { targetId: { $in: userGroups.map(g => g._id) }, targetModel: TARGET_MODEL.BOOKING_GROUP }
+      ]
     };
 
     if (status) {
@@ -1280,8 +1154,21 @@ export const getMyTransactions = async (userId, filters = {}) => {
       .limit(limit)
       .lean();
 
+    // Overtime charged at check-out that is still open, whatever the page / filters
+    const unpaidOvertime = await Booking.find({
+      userId,
+      'overtime.amount': { $gt: 0 },
+      'overtime.paidAt': null
+    })
+      .select('overtime scheduleId checkOutAt')
+      .populate({ path: 'scheduleId', select: 'startTime endTime studioId', populate: { path: 'studioId', select: 'name' } })
+      .populate('overtime.paymentId', 'status qrCodeUrl expiresAt amount')
+      .sort({ checkOutAt: -1 })
+      .lean();
+
     return {
       transactions,
+      unpaidOvertime,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -1704,7 +1591,7 @@ export const syncPaymentWithPayOS = async (paymentId) => {
     let payOsInfo;
     try {
       // Use the existing function in this file
-      payOsInfo = await checkPaymentStatusWithPayOS(payment.transactionId);
+      payOsInfo = await checkPaymentStatusWithGateway(payment.transactionId);
     } catch (err) {
       logger.warn(`Failed to check PayOS status for payment ${paymentId}: ${err.message}`);
       // Return existing payment if check fails
@@ -1715,80 +1602,15 @@ export const syncPaymentWithPayOS = async (paymentId) => {
       return await Payment.findById(paymentId).populate('bookingId');
     }
 
-    // 3. Compare and Update
-    const payOsStatus = payOsInfo.status; // 'PAID', 'CANCELLED', 'PENDING'
-    
-    // Map PayOS status to our status
-    let newStatus = null;
-    if (payOsStatus === 'PAID') newStatus = PAYMENT_STATUS.PAID;
-    else if (payOsStatus === 'CANCELLED') newStatus = PAYMENT_STATUS.CANCELLED;
-    
-    if (newStatus && newStatus !== payment.status) {
-      const session = await mongoose.startSession();
-      session.startTransaction();
-      
-      try {
-        // Re-fetch payment with lock
-        payment = await Payment.findById(paymentId).session(session);
-        
-        if (payment.status === PAYMENT_STATUS.PENDING) {
-          payment.status = newStatus;
-          if (newStatus === PAYMENT_STATUS.PAID) {
-            payment.paidAt = new Date();
-            payment.gatewayResponse = {
-              ...payment.gatewayResponse,
-              syncData: payOsInfo,
-              syncedAt: new Date()
-            };
-          } else if (newStatus === PAYMENT_STATUS.CANCELLED) {
-            payment.gatewayResponse = {
-              ...payment.gatewayResponse,
-              syncData: payOsInfo,
-              syncedAt: new Date(),
-              cancelReason: 'Synced from PayOS'
-            };
-          }
-          
-          await payment.save({ session });
-          
-          // Update Booking if PAID
-          if (newStatus === PAYMENT_STATUS.PAID) {
-             const booking = await Booking.findById(payment.bookingId).session(session);
-             if (booking) {
-                const paidPayments = await Payment.find({
-                  bookingId: booking._id,
-                  status: PAYMENT_STATUS.PAID
-                }).select('amount').session(session);
-
-                const totalPaid = paidPayments.reduce((sum, p) => sum + p.amount, 0);
-                const paymentPercentage = (totalPaid / booking.finalAmount) * 100;
-                
-                if (paymentPercentage >= 100) {
-                  booking.status = BOOKING_STATUS.CONFIRMED;
-                  booking.payType = PAY_TYPE.FULL;
-                } else if (paymentPercentage >= 50) {
-                  booking.status = BOOKING_STATUS.CONFIRMED;
-                  booking.payType = PAY_TYPE.PREPAY_50;
-                } else if (paymentPercentage >= 30) {
-                  booking.status = BOOKING_STATUS.CONFIRMED;
-                  booking.payType = PAY_TYPE.PREPAY_30;
-                }
-                
-                await booking.save({ session });
-                logger.info(`Booking ${booking._id} updated to ${booking.status} via sync`);
-             }
-          }
-        }
-        
-        await session.commitTransaction();
-        logger.info(`Synced payment ${paymentId} status to ${newStatus}`);
-      } catch (updateError) {
-        await session.abortTransaction();
-        logger.error(`Error syncing payment ${paymentId}:`, updateError);
-        // Don't throw, just return existing
-      } finally {
-        session.endSession();
+    // 3. Apply final gateway status through the same fulfilment as webhooks
+    try {
+      const outcome = await settlePaymentFromGateway(payment.transactionId, payOsInfo);
+      if (outcome.processed) {
+        logger.info(`Synced payment ${paymentId} from gateway status ${payOsInfo.status}`);
       }
+    } catch (updateError) {
+      logger.error(`Error syncing payment ${paymentId}:`, updateError);
+      // Don't throw, just return existing
     }
 
     return await Payment.findById(paymentId).populate('bookingId');
@@ -1800,4 +1622,38 @@ export const syncPaymentWithPayOS = async (paymentId) => {
     logger.error('Error in syncPaymentWithPayOS:', error);
     throw new Error('Lỗi khi đồng bộ trạng thái thanh toán');
   }
-};
\ No newline at end of file
+};
+
+//#region Mock Gateway
+
+const assertMockGateway = () => {
+  if (!isMockGateway()) {
+    throw new NotFoundError('Cổng thanh toán mock không được bật');
+  }
+};
+
+/**
+ * Thông tin link thanh toán trên cổng mock (trang checkout giả lập)
+ * @param {string} orderCode
+ */
+export const getMockPaymentLink = async (orderCode) => {
+  assertMockGateway();
+  return getPaymentGateway().getPaymentStatus(orderCode);
+};
+
+/**
+ * Giả lập kết quả thanh toán trên cổng mock: tạo webhook đã ký rồi xử lý như webhook thật
+ * @param {string} orderCode
+ * @param {string} outcome - paid | cancelled | expired
+ * @returns {Object} - { outcome, webhook, result }
+ */
+export const simulateMockPayment = async (orderCode, outcome) => {
+  assertMockGateway();
+  const webhook = getPaymentGateway().simulateWebhook(orderCode, outcome);
+  const result = await handlePaymentWebhook({ body: webhook, headers: {} });
+
+  logger.info('Mock payment webhook simulated', { orderCode, outcome });
+  return { outcome, webhook, result };
+};
+
+//#endregion
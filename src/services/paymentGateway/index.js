@@ -0,0 +1,60 @@
+//#region Imports
+import { PAYMENT_GATEWAY } from '../../utils/constants.js';
+import logger from '../../utils/logger.js';
+import payosGateway, { isPayOSConfigured } from './payos.gateway.js';
+import mockGateway, { isMockConfigured } from './mock.gateway.js';
+//#endregion
+
+/**
+ * PAYMENT GATEWAY
+ * Interface chung cho mọi luồng thanh toán (booking, set design, equipment, phạt report):
+ * - name, supportsRefund
+ * - createPaymentLink(data) -> { checkoutUrl, qrCode, paymentLinkId, bin, accountNumber }
+ * - getPaymentStatus(orderCode) -> { orderCode, status (PAYMENT_LINK_STATUS), amount, amountPaid, raw }
+ * - cancelPaymentLink(orderCode, reason)
+ * - verifyWebhook(body) -> data đã xác thực { orderCode, amount, code, desc, ... }
+ * - refund({ orderCode, amount, reason }) -> { refundId, status, amount }
+ *
+ * Chọn adapter bằng PAYMENT_GATEWAY=payos|mock (PAYMENT_USE_MOCK=true vẫn được hiểu là mock).
+ * Mock chỉ dùng khi được chọn rõ ràng (cần MOCK_PAYMENT_CHECKSUM_KEY) và không bao giờ ở production;
+ * thiếu cấu hình PayOS không bao giờ tự chuyển sang mock.
+ */
+
+const GATEWAYS = {
+  [PAYMENT_GATEWAY.PAYOS]: payosGateway,
+  [PAYMENT_GATEWAY.MOCK]: mockGateway,
+};
+
+const resolveGatewayName = () => {
+  const isProduction = (process.env.NODE_ENV || 'development') === 'production';
+  const configured = (process.env.PAYMENT_GATEWAY || '').trim().toLowerCase();
+  const legacyMock = (process.env.PAYMENT_USE_MOCK || 'false').toLowerCase() === 'true';
+
+  const name = configured || (legacyMock ? PAYMENT_GATEWAY.MOCK : PAYMENT_GATEWAY.PAYOS);
+  if (!GATEWAYS[name]) {
+    throw new Error(`Unknown PAYMENT_GATEWAY "${configured}". Use one of: ${Object.keys(GATEWAYS).join(', ')}`);
+  }
+
+  if (name === PAYMENT_GATEWAY.MOCK && isProduction) {
+    throw new Error('Mock payment gateway cannot be used in production');
+  }
+  if (name === PAYMENT_GATEWAY.MOCK && !isMockConfigured()) {
+    throw new Error('Mock payment gateway requires MOCK_PAYMENT_CHECKSUM_KEY');
+  }
+  if (name === PAYMENT_GATEWAY.PAYOS && !isPayOSConfigured()) {
+    logger.error('PayOS is not configured — payment links will fail until PAYOS_* is set (or PAYMENT_GATEWAY=mock for local testing)');
+  }
+  return name;
+};
+
+const activeGateway = GATEWAYS[resolveGatewayName()];
+logger.info(`Payment gateway: ${activeGateway.name}`);
+
+/**
+ * Cổng thanh toán đang dùng
+ */
+export const getPaymentGateway = () => activeGateway;
+
+export const isMockGateway = () => activeGateway.name === PAYMENT_GATEWAY.MOCK;
+
+export default getPaymentGateway;
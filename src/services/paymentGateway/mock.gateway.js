@@ -0,0 +1,167 @@
+//#region Imports
+import crypto from 'crypto';
+import { PAYMENT_GATEWAY, PAYMENT_LINK_STATUS } from '../../utils/constants.js';
+import { ValidationError, NotFoundError } from '../../utils/errors.js';
+import logger from '../../utils/logger.js';
+import { signWebhookData, isValidWebhookSignature } from './signature.js';
+//#endregion
+
+/**
+ * MOCK GATEWAY
+ * Cổng thanh toán chạy hoàn toàn local để chạy thử mọi luồng thanh toán không cần PayOS.
+ * - Link được giữ trong bộ nhớ process (mất khi restart, link cũ coi như không tồn tại)
+ * - simulateWebhook() tạo webhook cùng định dạng + chữ ký như PayOS cho kết quả paid / cancelled / expired
+ * - Không bao giờ dùng ở production (xem ./index.js)
+ */
+
+// Không có key mặc định: key ai cũng biết thì ai cũng tự ký được webhook "paid"
+export const isMockConfigured = () => Boolean(process.env.MOCK_PAYMENT_CHECKSUM_KEY);
+
+const checksumKey = () => {
+  if (!isMockConfigured()) throw new Error('MOCK_PAYMENT_CHECKSUM_KEY is not configured');
+  return process.env.MOCK_PAYMENT_CHECKSUM_KEY;
+};
+const DEFAULT_LINK_TTL_MS = 15 * 60 * 1000;
+
+// Mã giao dịch trong data của webhook; chỉ '00' là đã thanh toán
+export const MOCK_WEBHOOK_OUTCOMES = {
+  paid: { code: '00', desc: 'success', status: PAYMENT_LINK_STATUS.PAID },
+  cancelled: { code: '01', desc: 'Giao dịch đã bị hủy', status: PAYMENT_LINK_STATUS.CANCELLED },
+  expired: { code: '02', desc: 'Link thanh toán đã hết hạn', status: PAYMENT_LINK_STATUS.EXPIRED },
+};
+
+const links = new Map();
+
+const baseUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 8000}`;
+
+const findLink = (orderCode) => {
+  const link = links.get(String(orderCode));
+  if (!link) throw new NotFoundError(`Link thanh toán mock ${orderCode} không tồn tại`);
+
+  if (link.status === PAYMENT_LINK_STATUS.PENDING && link.expiredAt < new Date()) {
+    link.status = PAYMENT_LINK_STATUS.EXPIRED;
+  }
+  return link;
+};
+
+const createPaymentLink = async (data) => {
+  const orderCode = String(data.orderCode);
+  if (links.has(orderCode)) {
+    throw new ValidationError(`Mã đơn hàng ${orderCode} đã tồn tại`);
+  }
+
+  const link = {
+    orderCode: Number(orderCode),
+    amount: data.amount,
+    description: data.description,
+    items: data.items || [],
+    returnUrl: data.returnUrl,
+    cancelUrl: data.cancelUrl,
+    paymentLinkId: `mock-${crypto.randomBytes(8).toString('hex')}`,
+    status: PAYMENT_LINK_STATUS.PENDING,
+    createdAt: new Date(),
+    expiredAt: data.expiredAt ? new Date(data.expiredAt * 1000) : new Date(Date.now() + DEFAULT_LINK_TTL_MS),
+    cancellationReason: null,
+  };
+  links.set(orderCode, link);
+
+  logger.info('Mock payment link created', { orderCode, amount: link.amount });
+
+  return {
+    checkoutUrl: `${baseUrl()}/api/payments/mock/${orderCode}`,
+    qrCode: `MOCKQR|${orderCode}|${link.amount}`,
+    paymentLinkId: link.paymentLinkId,
+    bin: null,
+    accountNumber: null,
+  };
+};
+
+const getPaymentStatus = async (orderCode) => {
+  const link = findLink(orderCode);
+  return {
+    orderCode: link.orderCode,
+    status: link.status,
+    amount: link.amount,
+    amountPaid: link.status === PAYMENT_LINK_STATUS.PAID ? link.amount : 0,
+    raw: { ...link },
+  };
+};
+
+const cancelPaymentLink = async (orderCode, reason) => {
+  const link = findLink(orderCode);
+  if (link.status === PAYMENT_LINK_STATUS.PENDING) {
+    link.status = PAYMENT_LINK_STATUS.CANCELLED;
+    link.cancellationReason = reason || null;
+  }
+  return { ...link };
+};
+
+const verifyWebhook = (body) => {
+  if (!body?.data) {
+    throw new ValidationError('Webhook thiếu trường data');
+  }
+  if (!isValidWebhookSignature(body.data, body.signature, checksumKey())) {
+    throw new ValidationError('Chữ ký webhook không hợp lệ');
+  }
+  return body.data;
+};
+
+const refund = async ({ orderCode, amount, reason } = {}) => {
+  const link = findLink(orderCode);
+  if (link.status !== PAYMENT_LINK_STATUS.PAID) {
+    throw new ValidationError('Chỉ hoàn tiền được giao dịch đã thanh toán');
+  }
+  logger.info('Mock refund completed', { orderCode, amount, reason });
+  return { refundId: `mock-refund-${crypto.randomBytes(6).toString('hex')}`, status: 'COMPLETED', amount: amount ?? link.amount };
+};
+
+/**
+ * Chuyển link sang kết quả cuối và tạo webhook PayOS tương ứng (đã ký)
+ * @param {string|number} orderCode
+ * @param {string} outcome - paid | cancelled | expired
+ * @returns {Object} - webhook body { code, desc, success, data, signature }
+ */
+const simulateWebhook = (orderCode, outcome) => {
+  const result = MOCK_WEBHOOK_OUTCOMES[outcome];
+  if (!result) {
+    throw new ValidationError(`Kết quả không hợp lệ. Chọn: ${Object.keys(MOCK_WEBHOOK_OUTCOMES).join(', ')}`);
+  }
+
+  const link = findLink(orderCode);
+  if (link.status !== PAYMENT_LINK_STATUS.PENDING && link.status !== result.status) {
+    throw new ValidationError(`Link thanh toán đang ở trạng thái ${link.status}`);
+  }
+  link.status = result.status;
+
+  const data = {
+    orderCode: link.orderCode,
+    amount: link.amount,
+    description: link.description,
+    accountNumber: '0000000000',
+    reference: `MOCK${Date.now()}`,
+    transactionDateTime: new Date().toISOString(),
+    currency: 'VND',
+    paymentLinkId: link.paymentLinkId,
+    code: result.code,
+    desc: result.desc,
+  };
+
+  return {
+    code: '00',
+    desc: 'success',
+    success: true,
+    data,
+    signature: signWebhookData(data, checksumKey()),
+  };
+};
+
+export default {
+  name: PAYMENT_GATEWAY.MOCK,
+  supportsRefund: true,
+  createPaymentLink,
+  getPaymentStatus,
+  cancelPaymentLink,
+  verifyWebhook,
+  refund,
+  simulateWebhook,
+};
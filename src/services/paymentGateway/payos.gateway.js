@@ -0,0 +1,112 @@
+//#region Imports
+import payos, { getPayOSCreatePaymentFn } from '../../config/payos.js';
+import { PAYMENT_GATEWAY } from '../../utils/constants.js';
+import { ValidationError } from '../../utils/errors.js';
+import logger from '../../utils/logger.js';
+import { isValidWebhookSignature } from './signature.js';
+//#endregion
+
+/**
+ * PAYOS GATEWAY
+ * Adapter PayOS cho interface cổng thanh toán (xem ./index.js).
+ * Gom các nhánh tương thích SDK (createPaymentLink / paymentRequests.*) vào một chỗ.
+ */
+
+// Client có đủ API để tạo link (thiếu env ở môi trường dev thì payos là {})
+export const isPayOSConfigured = () => typeof payos?.createPaymentLink === 'function'
+  || typeof payos?.paymentRequests?.create === 'function';
+
+/**
+ * Tạo link thanh toán, chuẩn hóa response của các phiên bản SDK
+ * @param {Object} data - { orderCode, amount, description, items, returnUrl, cancelUrl, buyerName, buyerEmail, expiredAt }
+ * @returns {Object} - { checkoutUrl, qrCode, paymentLinkId, bin, accountNumber }
+ */
+const createPaymentLink = async (data) => {
+  const response = await getPayOSCreatePaymentFn()(data);
+
+  const checkoutUrl = response?.checkoutUrl || response?.data?.checkoutUrl || response?.data?.url || response?.url || null;
+  if (!checkoutUrl) {
+    throw new Error('PayOS không trả về URL thanh toán hợp lệ');
+  }
+
+  return {
+    checkoutUrl,
+    qrCode: response?.qrCode || response?.data?.qrCode || null,
+    paymentLinkId: response?.paymentLinkId || response?.data?.id || null,
+    bin: response?.bin || response?.data?.bin || null,
+    accountNumber: response?.accountNumber || response?.data?.accountNumber || null,
+  };
+};
+
+/**
+ * Thông tin link thanh toán trên PayOS
+ * @returns {Object} - { orderCode, status: PENDING | PAID | CANCELLED | EXPIRED, amount, amountPaid, raw }
+ */
+const getPaymentStatus = async (orderCode) => {
+  let info;
+  if (typeof payos?.getPaymentLinkInformation === 'function') {
+    info = await payos.getPaymentLinkInformation(Number(orderCode));
+  } else if (typeof payos?.paymentRequests?.get === 'function') {
+    info = await payos.paymentRequests.get(Number(orderCode));
+  } else {
+    throw new Error('PayOS client không hỗ trợ hàm lấy thông tin thanh toán');
+  }
+
+  return {
+    orderCode: info?.orderCode ?? Number(orderCode),
+    status: info?.status,
+    amount: info?.amount,
+    amountPaid: info?.amountPaid,
+    raw: info,
+  };
+};
+
+const cancelPaymentLink = async (orderCode, reason) => {
+  if (typeof payos?.cancelPaymentLink === 'function') {
+    return payos.cancelPaymentLink(Number(orderCode), reason);
+  }
+  if (typeof payos?.paymentRequests?.cancel === 'function') {
+    return payos.paymentRequests.cancel(Number(orderCode), reason);
+  }
+  logger.warn('PayOS client does not support cancel API');
+  return null;
+};
+
+/**
+ * Xác thực webhook bằng SDK, fallback HMAC với PAYOS_CHECKSUM_KEY
+ * @returns {Object} - data đã xác thực { orderCode, amount, code, desc, ... }
+ */
+const verifyWebhook = (body) => {
+  if (typeof payos?.verifyPaymentWebhookData === 'function') {
+    return payos.verifyPaymentWebhookData(body);
+  }
+
+  const checksumKey = process.env.PAYOS_CHECKSUM_KEY;
+  if (!checksumKey) {
+    throw new ValidationError('Thiếu PAYOS_CHECKSUM_KEY để xác thực webhook');
+  }
+  if (!body?.data) {
+    throw new ValidationError('Webhook thiếu trường data');
+  }
+  if (!isValidWebhookSignature(body.data, body.signature, checksumKey)) {
+    logger.error('PayOS webhook signature mismatch', { orderCode: body.data.orderCode });
+    throw new ValidationError('Chữ ký webhook không hợp lệ');
+  }
+
+  return body.data;
+};
+
+// PayOS không có API hoàn tiền: tiền được staff chuyển khoản thủ công (refund.service)
+const refund = async () => {
+  throw new ValidationError('PayOS không hỗ trợ hoàn tiền tự động, vui lòng hoàn tiền thủ công');
+};
+
+export default {
+  name: PAYMENT_GATEWAY.PAYOS,
+  supportsRefund: false,
+  createPaymentLink,
+  getPaymentStatus,
+  cancelPaymentLink,
+  verifyWebhook,
+  refund,
+};
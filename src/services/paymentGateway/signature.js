@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+
+/**
+ * Chữ ký webhook kiểu PayOS: HMAC-SHA256 của các cặp key=value (key sắp xếp, null/undefined là chuỗi rỗng)
+ * @param {Object} data - body.data của webhook
+ * @param {string} checksumKey
+ * @returns {string} hex signature
+ */
+export const signWebhookData = (data, checksumKey) => {
+  const dataToSign = Object.keys(data)
+    .sort()
+    .map((key) => {
+      const value = data[key];
+      if (value === null || value === undefined) {
+        return `${key}=`;
+      }
+      const serializedValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return `${key}=${serializedValue}`;
+    })
+    .join('&');
+
+  return crypto.createHmac('sha256', checksumKey).update(dataToSign).digest('hex');
+};
+
+/**
+ * So chữ ký webhook, không phân biệt hoa thường
+ */
+export const isValidWebhookSignature = (data, signature, checksumKey) => {
+  if (!signature) return false;
+  const expected = signWebhookData(data, checksumKey);
+  const received = signature.toString().toLowerCase();
+  return expected.length === received.length
+    && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
@@ -0,0 +1,305 @@
+// #region Imports
+import { Payment, PaymentReconciliation, User } from '../models/index.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import {
+  PAYMENT_STATUS,
+  PAYMENT_LINK_STATUS,
+  PAYMENT_RECONCILIATION_ISSUE,
+  NOTIFICATION_TYPE,
+  TIME_CONSTANTS,
+  USER_ROLES,
+} from '../utils/constants.js';
+import { getPaymentGateway } from './paymentGateway/index.js';
+import { settlePaymentFromGateway } from './paymentWebhook.service.js';
+import { createAndSendNotification } from './notification.service.js';
+import logger from '../utils/logger.js';
+// #endregion
+
+/**
+ * Đối soát payment với cổng thanh toán:
+ * - pending quá N phút: cổng đã thu / đã hủy thì sửa qua cùng fulfilment với webhook
+ * - paid trong 24h: cổng không xác nhận hoặc lệch số tiền thì chỉ ghi nhận để kiểm tra tay
+ * Mọi sai lệch được ghi vào báo cáo của ngày (PaymentReconciliation).
+ */
+
+const TZ_OFFSET_MS = TIME_CONSTANTS.DEFAULT_TIMEZONE_OFFSET * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_PENDING_MINUTES = 20;
+// Payment pending lâu hơn thế này không đối soát nữa (link đã hết hạn từ lâu)
+const PENDING_LOOKBACK_DAYS = 7;
+const DEFAULT_BATCH_LIMIT = 200;
+
+const FINAL_GATEWAY_ISSUES = {
+  [PAYMENT_LINK_STATUS.PAID]: PAYMENT_RECONCILIATION_ISSUE.PAID_NOT_RECORDED,
+  [PAYMENT_LINK_STATUS.CANCELLED]: PAYMENT_RECONCILIATION_ISSUE.CANCELLED_ON_GATEWAY,
+  [PAYMENT_LINK_STATUS.EXPIRED]: PAYMENT_RECONCILIATION_ISSUE.CANCELLED_ON_GATEWAY,
+};
+
+// #region Helpers
+
+// Ngày (giờ Việt Nam) dạng YYYY-MM-DD
+const toDateKey = (date = new Date()) => new Date(new Date(date).getTime() + TZ_OFFSET_MS).toISOString().slice(0, 10);
+
+const loadDailyReport = async (dateKey) => PaymentReconciliation.findOneAndUpdate(
+  { date: dateKey },
+  { $setOnInsert: { date: dateKey, gateway: getPaymentGateway().name } },
+  { upsert: true, new: true, setDefaultsOnInsert: true }
+);
+
+const buildIssue = (payment, issue, { gatewayInfo = null, fixed = false, error = null } = {}) => ({
+  paymentId: payment._id,
+  transactionId: payment.transactionId,
+  targetModel: payment.targetModel || null,
+  category: payment.category || null,
+  issue,
+  localStatus: payment.status,
+  gatewayStatus: gatewayInfo?.status || null,
+  amount: payment.amount,
+  gatewayAmount: gatewayInfo?.amountPaid ?? null,
+  fixed,
+  error,
+});
+
+// Amount lệch chỉ tính khi cổng trả về số tiền đã thu
+const hasAmountMismatch = (payment, gatewayInfo) => typeof gatewayInfo?.amountPaid === 'number'
+  && gatewayInfo.amountPaid > 0
+  && gatewayInfo.amountPaid !== payment.amount;
+
+const summarizeIssues = (issues) => issues.reduce((summary, item) => {
+  summary.mismatches += 1;
+  if (item.fixed) summary.fixed += 1;
+  else summary.unresolved += 1;
+
+  if (item.issue === PAYMENT_RECONCILIATION_ISSUE.PAID_NOT_RECORDED && item.fixed) summary.recoveredAmount += item.amount;
+  if (item.issue === PAYMENT_RECONCILIATION_ISSUE.CANCELLED_ON_GATEWAY && item.fixed) summary.cancelledAmount += item.amount;
+  if (item.issue === PAYMENT_RECONCILIATION_ISSUE.NOT_PAID_ON_GATEWAY) summary.unverifiedAmount += item.amount;
+  if (item.issue === PAYMENT_RECONCILIATION_ISSUE.AMOUNT_MISMATCH) summary.amountDifference += (item.gatewayAmount || 0) - item.amount;
+  return summary;
+}, { mismatches: 0, fixed: 0, unresolved: 0, recoveredAmount: 0, cancelledAmount: 0, unverifiedAmount: 0, amountDifference: 0 });
+
+/**
+ * Ghi sai lệch vào báo cáo ngày, bỏ qua cặp (payment, issue) đã có
+ */
+const recordRun = async (dateKey, issues, counters) => {
+  const report = await loadDailyReport(dateKey);
+  const seen = new Set(report.issues.map(item => `${item.paymentId}:${item.issue}`));
+
+  for (const item of issues) {
+    const key = `${item.paymentId}:${item.issue}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    report.issues.push(item);
+  }
+
+  report.runs += 1;
+  report.pendingChecked += counters.pendingChecked || 0;
+  report.paidChecked += counters.paidChecked || 0;
+  report.summary = summarizeIssues(report.issues);
+  report.lastRunAt = new Date();
+  await report.save();
+  return report;
+};
+
+// #endregion
+
+// #region Reconciliation
+
+/**
+ * Đối soát payment pending cũ hơn olderThanMinutes
+ * @returns {Object} - { checked, issues }
+ */
+const reconcilePendingPayments = async ({ olderThanMinutes, limit = DEFAULT_BATCH_LIMIT } = {}) => {
+  const gateway = getPaymentGateway();
+  const minutes = olderThanMinutes || parseInt(process.env.PAYMENT_RECONCILE_PENDING_MINUTES) || DEFAULT_PENDING_MINUTES;
+  const now = Date.now();
+
+  const payments = await Payment.find({
+    status: PAYMENT_STATUS.PENDING,
+    transactionId: { $ne: null },
+    createdAt: { $lte: new Date(now - minutes * 60 * 1000), $gte: new Date(now - PENDING_LOOKBACK_DAYS * DAY_MS) },
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  const issues = [];
+  for (const payment of payments) {
+    let gatewayInfo;
+    try {
+      gatewayInfo = await gateway.getPaymentStatus(payment.transactionId);
+    } catch (err) {
+      issues.push(buildIssue(payment, PAYMENT_RECONCILIATION_ISSUE.GATEWAY_ERROR, { error: err.message }));
+      continue;
+    }
+
+    const issue = FINAL_GATEWAY_ISSUES[gatewayInfo?.status];
+    if (!issue) continue; // still pending on the gateway
+
+    try {
+      const outcome = await settlePaymentFromGateway(payment.transactionId, gatewayInfo);
+      issues.push(buildIssue(payment, issue, { gatewayInfo, fixed: outcome.processed, error: outcome.processed ? null : outcome.message }));
+    } catch (err) {
+      logger.error('Reconciliation failed to settle payment', { paymentId: payment._id, error: err.message });
+      issues.push(buildIssue(payment, issue, { gatewayInfo, error: err.message }));
+    }
+
+    if (gatewayInfo.status === PAYMENT_LINK_STATUS.PAID && hasAmountMismatch(payment, gatewayInfo)) {
+      issues.push(buildIssue(payment, PAYMENT_RECONCILIATION_ISSUE.AMOUNT_MISMATCH, { gatewayInfo }));
+    }
+  }
+
+  return { checked: payments.length, issues };
+};
+
+/**
+ * Kiểm tra payment đã paid từ `since` vẫn được cổng xác nhận đúng số tiền
+ * @returns {Object} - { checked, issues }
+ */
+const verifyRecentPaidPayments = async ({ since, limit = DEFAULT_BATCH_LIMIT * 5 } = {}) => {
+  const gateway = getPaymentGateway();
+  const payments = await Payment.find({
+    status: PAYMENT_STATUS.PAID,
+    transactionId: { $ne: null },
+    paidAt: { $gte: since || new Date(Date.now() - DAY_MS) },
+  })
+    .sort({ paidAt: 1 })
+    .limit(limit)
+    .lean();
+
+  const issues = [];
+  for (const payment of payments) {
+    let gatewayInfo;
+    try {
+      gatewayInfo = await gateway.getPaymentStatus(payment.transactionId);
+    } catch (err) {
+      issues.push(buildIssue(payment, PAYMENT_RECONCILIATION_ISSUE.GATEWAY_ERROR, { error: err.message }));
+      continue;
+    }
+
+    if (gatewayInfo?.status !== PAYMENT_LINK_STATUS.PAID) {
+      issues.push(buildIssue(payment, PAYMENT_RECONCILIATION_ISSUE.NOT_PAID_ON_GATEWAY, { gatewayInfo }));
+    } else if (hasAmountMismatch(payment, gatewayInfo)) {
+      issues.push(buildIssue(payment, PAYMENT_RECONCILIATION_ISSUE.AMOUNT_MISMATCH, { gatewayInfo }));
+    }
+  }
+
+  return { checked: payments.length, issues };
+};
+
+const notifyAdmins = async (report) => {
+  const { summary } = report;
+  if (summary.mismatches === 0) return;
+
+  const admins = await User.find({ role: USER_ROLES.ADMIN, isActive: true }).select('_id').lean();
+  const message = `Đối soát thanh toán ${report.date}: ${summary.mismatches} sai lệch `
+    + `(${summary.fixed} đã tự sửa, ${summary.unresolved} cần kiểm tra). `
+    + `Thu bổ sung ${summary.recoveredAmount.toLocaleString()} VND, chưa xác nhận ${summary.unverifiedAmount.toLocaleString()} VND`;
+
+  for (const admin of admins) {
+    try {
+      await createAndSendNotification(
+        admin._id,
+        summary.unresolved > 0 ? NOTIFICATION_TYPE.WARNING : NOTIFICATION_TYPE.INFO,
+        'Báo cáo đối soát thanh toán',
+        message,
+        summary.unresolved > 0
+      );
+    } catch (err) {
+      logger.error('Failed to send reconciliation report notification', { adminId: admin._id, error: err.message });
+    }
+  }
+};
+
+/**
+ * Lượt đối soát định kỳ (job): chỉ payment pending
+ */
+export const runPendingReconciliation = async (options = {}) => {
+  const { checked, issues } = await reconcilePendingPayments(options);
+  const report = await recordRun(toDateKey(), issues, { pendingChecked: checked });
+  return { date: report.date, checked, mismatches: issues.length };
+};
+
+/**
+ * Đối soát cuối ngày (job chạy đầu ngày): pending + paid 24h qua, ghi vào báo cáo ngày hôm trước,
+ * chốt báo cáo đó và gửi tóm tắt cho admin
+ */
+export const runDailyReconciliation = async (now = new Date()) => {
+  const since = new Date(now.getTime() - DAY_MS);
+  const pending = await reconcilePendingPayments();
+  const paid = await verifyRecentPaidPayments({ since });
+
+  const report = await recordRun(toDateKey(since), [...pending.issues, ...paid.issues], {
+    pendingChecked: pending.checked,
+    paidChecked: paid.checked,
+  });
+
+  report.finalizedAt = new Date();
+  await report.save();
+  await notifyAdmins(report);
+
+  logger.info('Daily payment reconciliation finalized', { date: report.date, ...report.summary });
+  return report;
+};
+
+// #endregion
+
+// #region Reports
+
+/**
+ * Danh sách báo cáo đối soát (không kèm chi tiết issues)
+ * @param {Object} options - { from, to, unresolvedOnly, page, limit }
+ */
+export const getReconciliationReports = async ({ from, to, unresolvedOnly, page = 1, limit = 30 } = {}) => {
+  const safePage = Math.max(parseInt(page) || 1, 1);
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 30, 1), 100);
+
+  const query = {};
+  if (from || to) {
+    if ((from && !DATE_KEY_REGEX.test(from)) || (to && !DATE_KEY_REGEX.test(to))) {
+      throw new ValidationError('Ngày phải có định dạng YYYY-MM-DD');
+    }
+    query.date = {};
+    if (from) query.date.$gte = from;
+    if (to) query.date.$lte = to;
+  }
+  if (unresolvedOnly === true || unresolvedOnly === 'true') query['summary.unresolved'] = { $gt: 0 };
+
+  const [reports, total] = await Promise.all([
+    PaymentReconciliation.find(query)
+      .select('-issues')
+      .sort({ date: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .lean(),
+    PaymentReconciliation.countDocuments(query),
+  ]);
+
+  return {
+    reports,
+    pagination: { total, page: safePage, limit: safeLimit, totalPages: Math.ceil(total / safeLimit) },
+  };
+};
+
+/**
+ * Báo cáo đối soát của một ngày kèm danh sách sai lệch
+ * @param {string} date - YYYY-MM-DD
+ */
+export const getReconciliationReport = async (date) => {
+  if (!DATE_KEY_REGEX.test(date || '')) {
+    throw new ValidationError('Ngày phải có định dạng YYYY-MM-DD');
+  }
+  const report = await PaymentReconciliation.findOne({ date })
+    .populate('issues.paymentId', 'paymentCode status amount targetModel targetId')
+    .lean();
+  if (!report) throw new NotFoundError(`Chưa có báo cáo đối soát ngày ${date}`);
+  return report;
+};
+
+// #endregion
+
+export default {
+  runPendingReconciliation,
+  runDailyReconciliation,
+  getReconciliationReports,
+  getReconciliationReport,
+};
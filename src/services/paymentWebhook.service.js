@@ -0,0 +1,620 @@
+// #region Imports
+import mongoose from 'mongoose';
+import {
+  Payment,
+  PaymentWebhook,
+  Booking,
+  BookingGroup,
+  SetDesignOrder,
+  Report,
+} from '../models/index.js';
+import EquipmentOrder, { EQUIPMENT_ORDER_STATUS } from '../models/EquipmentOrder/equipmentOrder.model.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import {
+  PAYMENT_STATUS,
+  PAY_TYPE,
+  BOOKING_STATUS,
+  TARGET_MODEL,
+  PAYMENT_CATEGORY,
+  PAYMENT_WEBHOOK_STATUS,
+  PAYMENT_LINK_STATUS,
+  SET_DESIGN_ORDER_STATUS,
+  NOTIFICATION_TYPE,
+} from '../utils/constants.js';
+import { getPaymentGateway } from './paymentGateway/index.js';
+import { createAndSendNotification } from './notification.service.js';
+import { autoAssignStaff } from './staffRoster.service.js';
+import { claimIdempotencyKey, releaseIdempotencyKey } from '../utils/redisHelpers.js';
+import logger from '../utils/logger.js';
+// #endregion
+
+/**
+ * Một entrypoint duy nhất cho webhook thanh toán (booking, nhóm booking, quá giờ, set design, equipment, phạt):
+ * xác thực chữ ký với cổng đang dùng, lưu nguyên văn vào inbox (PaymentWebhook), tìm Payment theo transactionId
+ * rồi chuyển cho handler fulfilment theo category. Webhook lỗi được giữ lại để admin replay.
+ */
+
+const PAID_CODE = '00';
+// Trạng thái link cuối cùng trên cổng -> code tương ứng trong data webhook
+const GATEWAY_STATUS_CODES = {
+  [PAYMENT_LINK_STATUS.PAID]: PAID_CODE,
+  [PAYMENT_LINK_STATUS.CANCELLED]: '01',
+  [PAYMENT_LINK_STATUS.EXPIRED]: '02',
+};
+const REPLAYABLE_STATUSES = [PAYMENT_WEBHOOK_STATUS.FAILED, PAYMENT_WEBHOOK_STATUS.IGNORED];
+// Header an toàn để lưu kèm webhook (không lưu authorization / cookie)
+const STORED_HEADERS = ['content-type', 'user-agent', 'x-forwarded-for', 'x-request-id'];
+
+// Category suy ra từ targetModel (payment cũ có thể thiếu category)
+const TARGET_CATEGORY = {
+  [TARGET_MODEL.SET_DESIGN_ORDER]: PAYMENT_CATEGORY.SET_DESIGN,
+  [TARGET_MODEL.EQUIPMENT_ORDER]: PAYMENT_CATEGORY.EQUIPMENT,
+  [TARGET_MODEL.REPORT]: PAYMENT_CATEGORY.FINE,
+};
+
+// #region Helpers
+
+const pickHeaders = (headers = {}) => Object.fromEntries(
+  STORED_HEADERS.filter(key => headers[key] !== undefined).map(key => [key, headers[key]])
+);
+
+// PayOS gửi request kiểm tra (không có orderCode) khi cấu hình URL webhook
+const isTestWebhook = (body) => {
+  if (!body || Object.keys(body).length === 0) return true;
+  const hasOrderCode = body.orderCode || body.data?.orderCode;
+  return (body.code === PAID_CODE && !hasOrderCode)
+    || (body.desc === 'success' && !hasOrderCode)
+    || (body.success === true && Object.keys(body).length === 1);
+};
+
+const resolveCategory = (payment) => TARGET_CATEGORY[payment.targetModel] || payment.category || PAYMENT_CATEGORY.BOOKING;
+
+const payTypeForPercentage = (percentage) => {
+  if (percentage >= 100) return PAY_TYPE.FULL;
+  if (percentage >= 50) return PAY_TYPE.PREPAY_50;
+  if (percentage >= 30) return PAY_TYPE.PREPAY_30;
+  return null;
+};
+
+const notifyPaid = async (userId, message, relatedId) => {
+  if (!userId) return;
+  await createAndSendNotification(userId, NOTIFICATION_TYPE.SUCCESS, 'Thanh toán thành công', message, false, null, relatedId);
+};
+
+/**
+ * Tiền về sau khi booking / nhóm đã huỷ (hết hold, khách huỷ) thì slot đã nhả: không xác nhận lại,
+ * hoàn khoản vừa trả vào ví chủ booking và đánh dấu payment refunded để không bị hoàn lần nữa.
+ */
+const refundLatePayment = async (payment, userId, label, session) => {
+  // wallet.service imports fulfilPaidPayment from this module
+  const { refundPaymentToWallet } = await import('./wallet.service.js');
+  await refundPaymentToWallet({
+    payment,
+    userId,
+    description: `Hoàn tiền ${payment.paymentCode}: ${label} đã bị huỷ trước khi thanh toán`,
+    reason: 'TARGET_CANCELLED',
+  }, session);
+  logger.warn('Paid webhook for a cancelled booking refunded to wallet', { paymentId: payment._id, amount: payment.amount });
+
+  return () => createAndSendNotification(
+    userId,
+    NOTIFICATION_TYPE.INFO,
+    'Đã hoàn tiền vào ví',
+    `${label} đã bị huỷ trước khi thanh toán hoàn tất. ${payment.amount.toLocaleString()} VND đã được hoàn vào ví của bạn`,
+    false,
+    null,
+    payment.targetId || payment.bookingId
+  );
+};
+
+// #endregion
+
+// #region Fulfilment Handlers
+// Mỗi handler cập nhật đơn liên quan trong session và trả về hàm chạy sau commit (thông báo, check-in pass...)
+
+const fulfilBookingGroupPayment = async (payment, session) => {
+  const group = await BookingGroup.findById(payment.targetId).session(session);
+  if (!group) throw new NotFoundError('Nhóm booking không tồn tại');
+  if (group.status === BOOKING_STATUS.CANCELLED) {
+    return refundLatePayment(payment, group.userId, `Nhóm booking #${group._id.toString().slice(-8)}`, session);
+  }
+
+  const paidPayments = await Payment.find({
+    targetId: group._id,
+    targetModel: TARGET_MODEL.BOOKING_GROUP,
+    status: PAYMENT_STATUS.PAID,
+  }).select('amount').session(session);
+
+  const groupPaid = paidPayments.reduce((sum, p) => sum + p.amount, 0);
+  const payType = payTypeForPercentage(group.finalAmount > 0 ? (groupPaid / group.finalAmount) * 100 : 0);
+
+  if (payType) {
+    group.payType = payType;
+    if (group.status === BOOKING_STATUS.PENDING) group.status = BOOKING_STATUS.CONFIRMED;
+  }
+  await group.save({ session });
+
+  // Confirm every active member with its pro-rata share of the group payment
+  const confirmedIds = [];
+  const members = await Booking.find({
+    _id: { $in: group.members.map(m => m.bookingId) },
+    status: { $ne: BOOKING_STATUS.CANCELLED },
+  }).session(session);
+  for (const member of members) {
+    const memberAmount = group.members.find(m => m.bookingId.equals(member._id))?.amount || 0;
+    const share = group.finalAmount > 0 ? Math.round(memberAmount * groupPaid / group.finalAmount) : 0;
+    if (payType) {
+      member.payType = payType;
+      if (member.status === BOOKING_STATUS.PENDING) {
+        member.status = BOOKING_STATUS.CONFIRMED;
+        confirmedIds.push(member._id);
+      }
+    }
+    member.financials = { ...member.financials, originalAmount: member.finalAmount, netAmount: share };
+    await member.save({ session });
+  }
+
+  return async () => {
+    await notifyPaid(
+      group.userId,
+      `Thanh toán ${payment.amount.toLocaleString()} VND cho nhóm ${group.members.length} booking #${group._id.toString().slice(-8)} đã thành công`,
+      group.members[0]?.bookingId || group._id
+    );
+    await activateConfirmedBookings(confirmedIds);
+  };
+};
+
+/**
+ * BOOKING / OVERTIME: booking lẻ hoặc nhóm booking
+ */
+const fulfilBookingPayment = async (payment, session) => {
+  if (payment.targetModel === TARGET_MODEL.BOOKING_GROUP) {
+    return fulfilBookingGroupPayment(payment, session);
+  }
+
+  const bookingId = payment.targetId || payment.bookingId;
+  const booking = await Booking.findById(bookingId).session(session);
+  if (!booking) throw new NotFoundError('Booking không tồn tại');
+  if (booking.status === BOOKING_STATUS.CANCELLED) {
+    return refundLatePayment(payment, booking.userId, `Booking #${booking._id.toString().slice(-8)}`, session);
+  }
+
+  const paidPayments = await Payment.find({
+    $or: [{ targetId: bookingId }, { bookingId }],
+    status: PAYMENT_STATUS.PAID,
+  }).select('amount').session(session);
+
+  const totalPaid = paidPayments.reduce((sum, p) => sum + p.amount, 0);
+  const paymentPercentage = booking.finalAmount > 0 ? (totalPaid / booking.finalAmount) * 100 : 0;
+  const wasPending = booking.status === BOOKING_STATUS.PENDING;
+
+  // Overtime is billed after check-out: settle the charge, keep the booking completed
+  if (payment.category === PAYMENT_CATEGORY.OVERTIME) {
+    booking.set('overtime.paidAt', new Date());
+  } else {
+    const payType = payTypeForPercentage(paymentPercentage);
+    if (payType) {
+      booking.status = BOOKING_STATUS.CONFIRMED;
+      booking.payType = payType;
+    }
+  }
+
+  booking.financials = { ...booking.financials, originalAmount: booking.finalAmount, netAmount: totalPaid };
+  await booking.save({ session });
+  const newlyConfirmed = wasPending && booking.status === BOOKING_STATUS.CONFIRMED;
+
+  return async () => {
+    await notifyPaid(
+      booking.userId,
+      `Thanh toán ${payment.amount.toLocaleString()} VND cho booking #${booking._id.toString().slice(-8)} đã thành công`,
+      booking._id
+    );
+    if (newlyConfirmed) await activateConfirmedBookings([booking._id]);
+  };
+};
+
+const fulfilSetDesignPayment = async (payment, session) => {
+  const order = await SetDesignOrder.findById(payment.targetId).session(session);
+  if (!order) {
+    logger.warn('Set design order not found for paid payment', { paymentId: payment._id, orderId: payment.targetId });
+    return null;
+  }
+
+  order.paidAmount = Math.min((order.paidAmount || 0) + payment.amount, order.totalAmount);
+
+  if (order.paidAmount >= order.totalAmount) {
+    order.paymentStatus = PAYMENT_STATUS.PAID;
+    // Only confirm if pending (don't revert if already processing/completed)
+    if (order.status === SET_DESIGN_ORDER_STATUS.PENDING) order.status = SET_DESIGN_ORDER_STATUS.CONFIRMED;
+    order.confirmedAt = new Date();
+  } else if ((order.paidAmount / order.totalAmount) * 100 >= 30 && order.status === SET_DESIGN_ORDER_STATUS.PENDING) {
+    order.status = SET_DESIGN_ORDER_STATUS.CONFIRMED;
+    order.confirmedAt = new Date();
+  }
+  await order.save({ session });
+
+  return () => notifyPaid(
+    order.customerId,
+    `Thanh toán ${payment.amount.toLocaleString()} VND cho đơn hàng ${order.orderCode} đã thành công`,
+    order._id
+  );
+};
+
+const fulfilEquipmentPayment = async (payment, session) => {
+  const order = await EquipmentOrder.findById(payment.targetId).session(session);
+  if (!order) {
+    logger.warn('Equipment order not found for paid payment', { paymentId: payment._id, orderId: payment.targetId });
+    return null;
+  }
+
+  // Equipment rentals are always paid in full. A wallet checkout pays part of the order as its own
+  // paid Payment and fulfils it right away, before the link for the rest is paid: confirming on any
+  // paid payment would confirm the order on the wallet share alone, so sum what has been paid
+  const paidPayments = await Payment.find({
+    targetId: order._id,
+    targetModel: TARGET_MODEL.EQUIPMENT_ORDER,
+    status: PAYMENT_STATUS.PAID,
+  }).select('amount').session(session);
+  const totalPaid = paidPayments.reduce((sum, p) => sum + p.amount, 0);
+
+  if (totalPaid >= order.totalAmount) {
+    order.paymentStatus = PAYMENT_STATUS.PAID;
+    if (order.status === EQUIPMENT_ORDER_STATUS.PENDING) {
+      order.status = EQUIPMENT_ORDER_STATUS.CONFIRMED;
+      order.confirmedAt = new Date();
+    }
+    await order.save({ session });
+  }
+
+  return () => notifyPaid(
+    order.customerId,
+    `Thanh toán ${payment.amount.toLocaleString()} VND cho đơn thuê thiết bị ${order.orderCode} đã thành công`,
+    order._id
+  );
+};
+
+/**
+ * FINE: tiền bồi thường của báo cáo hư hỏng
+ */
+const fulfilFinePayment = async (payment, session) => {
+  const report = await Report.findById(payment.targetId).session(session);
+  if (!report) {
+    logger.warn('Report not found for paid fine', { paymentId: payment._id, reportId: payment.targetId });
+    return null;
+  }
+
+  report.compensationPaidAt = new Date();
+  await report.save({ session });
+
+  return () => notifyPaid(
+    report.responsibleUserId || report.reporterId,
+    `Thanh toán bồi thường ${payment.amount.toLocaleString()} VND cho báo cáo #${report._id.toString().slice(-6)} đã thành công`,
+    report._id
+  );
+};
+
+const FULFILMENT_HANDLERS = {
+  [PAYMENT_CATEGORY.BOOKING]: fulfilBookingPayment,
+  [PAYMENT_CATEGORY.OVERTIME]: fulfilBookingPayment,
+  [PAYMENT_CATEGORY.SET_DESIGN]: fulfilSetDesignPayment,
+  [PAYMENT_CATEGORY.EQUIPMENT]: fulfilEquipmentPayment,
+  [PAYMENT_CATEGORY.FINE]: fulfilFinePayment,
+};
+
+// Bookings moved PENDING -> CONFIRMED get their check-in QR and on-duty staff
+const activateConfirmedBookings = async (bookingIds) => {
+  if (bookingIds.length === 0) return;
+  const { sendCheckInPass } = await import('./checkIn.service.js');
+  for (const bookingId of bookingIds) {
+    await sendCheckInPass(bookingId);
+    try {
+      await autoAssignStaff(bookingId);
+    } catch (assignErr) {
+      logger.error(`Failed to auto-assign staff to booking ${bookingId}`, assignErr);
+    }
+  }
+};
+
+// #endregion
+
+// #region Processing
+
+/**
+ * Cập nhật đơn liên quan cho payment vừa chuyển sang paid (webhook, đối soát, trả bằng ví)
+ * @returns {Function|null} - chạy sau commit (thông báo, check-in pass...)
+ */
+export const fulfilPaidPayment = async (payment, session) => {
+  const handler = FULFILMENT_HANDLERS[resolveCategory(payment)];
+  if (!handler) {
+    throw new Error(`Không có handler fulfilment cho category ${resolveCategory(payment)}`);
+  }
+  return handler(payment, session);
+};
+
+/**
+ * Áp dữ liệu đã xác thực (webhook hoặc trạng thái đồng bộ từ cổng) lên Payment và đơn liên quan (trong session)
+ * @param {Object} data - { orderCode, amount, code, desc }
+ * @param {string} responseKey - key lưu data trong payment.gatewayResponse
+ * @returns {Object} - { processed, message, payment, afterCommit }
+ */
+const applyGatewayData = async (data, session, responseKey) => {
+  const payment = await Payment.findOne({ transactionId: String(data.orderCode) }).session(session);
+  if (!payment) {
+    return { processed: false, message: 'Payment not found' };
+  }
+  if (payment.status === PAYMENT_STATUS.PAID) {
+    return { processed: false, message: 'Payment already processed', payment };
+  }
+
+  if (data.code !== PAID_CODE) {
+    payment.status = PAYMENT_STATUS.CANCELLED;
+    payment.gatewayResponse = {
+      ...payment.gatewayResponse,
+      [responseKey]: data,
+      cancelledAt: new Date(),
+      failureReason: data.desc,
+    };
+    await payment.save({ session });
+    return { processed: true, message: 'Payment cancelled', payment };
+  }
+
+  // Only the amount the link was issued for settles the payment: anything else waits for an admin
+  if (Number(data.amount) !== payment.amount) {
+    payment.gatewayResponse = {
+      ...payment.gatewayResponse,
+      [responseKey]: data,
+      amountMismatch: { expected: payment.amount, received: data.amount ?? null, detectedAt: new Date() },
+    };
+    await payment.save({ session });
+    logger.warn('Gateway amount does not match payment', { paymentId: payment._id, expected: payment.amount, received: data.amount });
+    return { processed: false, message: 'Payment amount mismatch', payment };
+  }
+
+  payment.status = PAYMENT_STATUS.PAID;
+  payment.paidAt = new Date();
+  payment.gatewayResponse = {
+    ...payment.gatewayResponse,
+    [responseKey]: data,
+    webhookAmount: data.amount,
+    completedAt: new Date(),
+  };
+  await payment.save({ session });
+
+  const afterCommit = await fulfilPaidPayment(payment, session);
+
+  return { processed: true, message: 'Payment processed successfully', payment, afterCommit };
+};
+
+/**
+ * Chạy applyGatewayData trong transaction rồi gửi thông báo / check-in pass sau commit
+ * @returns {Object} - { processed, message, payment }
+ */
+const settlePayment = async (data, responseKey) => {
+  const session = await mongoose.startSession();
+  let outcome;
+  try {
+    await session.withTransaction(async () => {
+      outcome = await applyGatewayData(data, session, responseKey);
+    }, { writeConcern: { w: 'majority' }, readConcern: { level: 'majority' } });
+  } finally {
+    session.endSession();
+  }
+
+  // Notifications / check-in pass are supplementary: a failure here never fails the settlement
+  if (outcome.afterCommit) {
+    try {
+      await outcome.afterCommit();
+    } catch (afterErr) {
+      logger.error('Payment post-processing failed', { orderCode: data.orderCode, error: afterErr.message });
+    }
+  }
+
+  return { processed: outcome.processed, message: outcome.message, payment: outcome.payment };
+};
+
+/**
+ * Xử lý một webhook trong inbox: cập nhật trạng thái processed / ignored / failed
+ */
+const processWebhookEntry = async (entry) => {
+  entry.attempts += 1;
+  entry.lastAttemptAt = new Date();
+
+  let outcome;
+  try {
+    outcome = await settlePayment(entry.data, 'webhookData');
+  } catch (error) {
+    entry.status = PAYMENT_WEBHOOK_STATUS.FAILED;
+    entry.lastError = error.message;
+    await entry.save();
+    logger.error('Payment webhook processing failed', { webhookId: entry._id, orderCode: entry.orderCode, error: error.message });
+    throw error;
+  }
+
+  entry.status = outcome.processed ? PAYMENT_WEBHOOK_STATUS.PROCESSED : PAYMENT_WEBHOOK_STATUS.IGNORED;
+  entry.result = outcome.message;
+  entry.lastError = null;
+  entry.processedAt = new Date();
+  if (outcome.payment) {
+    entry.paymentId = outcome.payment._id;
+    entry.targetModel = outcome.payment.targetModel || TARGET_MODEL.BOOKING;
+    entry.category = resolveCategory(outcome.payment);
+  }
+  await entry.save();
+
+  logger.info('Payment webhook handled', { webhookId: entry._id, orderCode: entry.orderCode, status: entry.status, result: entry.result });
+  return { success: true, message: outcome.message };
+};
+
+// #endregion
+
+// #region Public API
+
+/**
+ * Entry point cho mọi webhook thanh toán
+ * @param {Object} webhookPayload - { body, headers } hoặc body
+ * @returns {Object} - { success, message, webhookId }
+ */
+export const handlePaymentWebhook = async (webhookPayload) => {
+  const incoming = webhookPayload && webhookPayload.body ? webhookPayload : { body: webhookPayload, headers: {} };
+  const body = incoming.body || {};
+  const gateway = getPaymentGateway();
+
+  if (isTestWebhook(body)) {
+    logger.info('Payment gateway test/verification webhook received - responding with success');
+    return { success: true, message: 'Webhook endpoint verified' };
+  }
+
+  const entry = new PaymentWebhook({
+    gateway: gateway.name,
+    orderCode: body.data?.orderCode != null ? String(body.data.orderCode) : (body.orderCode != null ? String(body.orderCode) : null),
+    payload: body,
+    headers: pickHeaders(incoming.headers),
+  });
+
+  try {
+    entry.data = gateway.verifyWebhook(body);
+  } catch (verifyError) {
+    entry.status = PAYMENT_WEBHOOK_STATUS.REJECTED;
+    entry.lastError = verifyError.message;
+    await entry.save();
+    logger.error('Payment webhook verification failed:', { webhookId: entry._id, error: verifyError.message });
+    throw new ValidationError('Chữ ký webhook không hợp lệ: ' + (verifyError.message || 'xác thực thất bại'));
+  }
+  entry.orderCode = String(entry.data.orderCode);
+  await entry.save();
+
+  // Gateway retries arriving together: only one is processed, the other is kept as ignored
+  const claimKey = `payos:webhook:${entry.orderCode}`;
+  let claimed = null;
+  try {
+    claimed = await claimIdempotencyKey(claimKey, 30);
+  } catch (err) {
+    logger.warn('claimIdempotencyKey threw, continuing without redis claim', { error: err?.message || err });
+  }
+  if (claimed === false) {
+    entry.status = PAYMENT_WEBHOOK_STATUS.IGNORED;
+    entry.result = 'Duplicate webhook skipped';
+    entry.processedAt = new Date();
+    await entry.save();
+    return { success: true, message: entry.result, webhookId: entry._id };
+  }
+
+  // A failed attempt gives up the claim so the gateway's retry is processed instead of skipped
+  try {
+    const result = await processWebhookEntry(entry);
+    return { ...result, webhookId: entry._id };
+  } catch (error) {
+    if (claimed) await releaseIdempotencyKey(claimKey);
+    throw error;
+  }
+};
+
+/**
+ * Áp trạng thái link thanh toán lấy từ cổng (đồng bộ / đối soát) qua cùng logic fulfilment với webhook
+ * @param {string|number} orderCode - Payment.transactionId
+ * @param {Object} linkInfo - kết quả gateway.getPaymentStatus()
+ * @returns {Object} - { processed, message, payment }
+ */
+export const settlePaymentFromGateway = async (orderCode, linkInfo) => {
+  const code = GATEWAY_STATUS_CODES[linkInfo?.status];
+  if (!code) {
+    return { processed: false, message: `Payment is ${linkInfo?.status || 'unknown'} on gateway` };
+  }
+
+  return settlePayment({
+    orderCode,
+    amount: linkInfo.amountPaid || linkInfo.amount,
+    code,
+    desc: `Synced from gateway: ${linkInfo.status}`,
+    gatewayStatus: linkInfo.status,
+    syncedAt: new Date(),
+  }, 'syncData');
+};
+
+/**
+ * Danh sách webhook trong inbox (admin)
+ * @param {Object} options - { status, orderCode, from, to, page, limit }
+ */
+export const getPaymentWebhooks = async ({ status, orderCode, from, to, page = 1, limit = 20 } = {}) => {
+  const safePage = Math.max(parseInt(page) || 1, 1);
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const query = {};
+  if (status) {
+    if (!Object.values(PAYMENT_WEBHOOK_STATUS).includes(status)) {
+      throw new ValidationError(`Trạng thái không hợp lệ. Chọn: ${Object.values(PAYMENT_WEBHOOK_STATUS).join(', ')}`);
+    }
+    query.status = status;
+  }
+  if (orderCode) query.orderCode = String(orderCode);
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  const [webhooks, total] = await Promise.all([
+    PaymentWebhook.find(query)
+      .select('-payload -headers')
+      .sort({ createdAt: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .lean(),
+    PaymentWebhook.countDocuments(query),
+  ]);
+
+  return {
+    webhooks,
+    pagination: { total, page: safePage, limit: safeLimit, totalPages: Math.ceil(total / safeLimit) },
+  };
+};
+
+export const getPaymentWebhookById = async (webhookId) => {
+  if (!mongoose.Types.ObjectId.isValid(webhookId)) {
+    throw new ValidationError('ID webhook không hợp lệ');
+  }
+  const webhook = await PaymentWebhook.findById(webhookId)
+    .populate('paymentId', 'paymentCode amount status targetModel targetId category')
+    .populate('lastReplayedBy', 'username fullName')
+    .lean();
+  if (!webhook) throw new NotFoundError('Webhook không tồn tại');
+  return webhook;
+};
+
+/**
+ * Chạy lại một webhook failed / ignored (admin). Dữ liệu đã xác thực lúc nhận nên không kiểm tra chữ ký lại.
+ */
+export const replayPaymentWebhook = async (webhookId, actorId) => {
+  if (!mongoose.Types.ObjectId.isValid(webhookId)) {
+    throw new ValidationError('ID webhook không hợp lệ');
+  }
+  const entry = await PaymentWebhook.findById(webhookId);
+  if (!entry) throw new NotFoundError('Webhook không tồn tại');
+  if (!REPLAYABLE_STATUSES.includes(entry.status)) {
+    throw new ValidationError(`Không thể replay webhook đang ở trạng thái ${entry.status}`);
+  }
+
+  entry.lastReplayedBy = actorId;
+  entry.lastReplayedAt = new Date();
+
+  try {
+    await processWebhookEntry(entry);
+  } catch (error) {
+    // Entry is already marked failed with the error; report it to the caller
+    logger.warn('Payment webhook replay failed', { webhookId, error: error.message });
+  }
+
+  logger.info('Payment webhook replayed', { webhookId, actorId, status: entry.status });
+  return getPaymentWebhookById(entry._id);
+};
+
+// #endregion
+
+export default {
+  handlePaymentWebhook,
+  settlePaymentFromGateway,
+  fulfilPaidPayment,
+  getPaymentWebhooks,
+  getPaymentWebhookById,
+  replayPaymentWebhook,
+};
@@ -0,0 +1,551 @@
+// #region Imports
+import mongoose from 'mongoose';
+import { PricingRule, Studio, Service, SetDesign, RoomPolicy } from '../models/index.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { PRICING_RULE_TYPE, STUDIO_STATUS, TIME_CONSTANTS } from '../utils/constants.js';
+import { formatDateISO, formatDateTime, formatTime } from '../utils/helpers.js';
+import { getHolidayMap, assertStudioOpen } from './studioCalendar.service.js';
+import { validateAndApplyPromotion } from './promotion.service.js';
+import { buildPaymentPlan } from './payment.service.js';
+import RoomPolicyService from './roomPolicy.service.js';
+import { getEquipmentAvailability } from './equipment.service.js';
+import { getKitAvailability } from './equipmentKit.service.js';
+// #endregion
+
+const TZ_OFFSET_MS = TIME_CONSTANTS.DEFAULT_TIMEZONE_OFFSET * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_QUOTE_HOURS = 24 * 7;
+const MAX_QUOTE_ITEMS = 50;
+// Overtime rate when the studio has no overtimeRatePerHour of its own
+const OVERTIME_DEFAULT_MULTIPLIER = Number(process.env.OVERTIME_DEFAULT_MULTIPLIER || '1.5');
+const RULE_FIELDS = ['name', 'type', 'studioIds', 'multiplier', 'daysOfWeek', 'startTime', 'endTime',
+  'hoursBeforeStart', 'minHours', 'validFrom', 'validTo', 'priority', 'isActive'];
+
+// #region Helpers
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// UTC timestamp of the Vietnam midnight starting the day that contains `ms`
+const localDayStart = (ms) => ms - ((ms + TZ_OFFSET_MS) % DAY_MS);
+
+const localWeekday = (ms) => new Date(ms + TZ_OFFSET_MS).getUTCDay();
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const isInEffect = (rule, at) =>
+  (!rule.validFrom || at >= new Date(rule.validFrom)) && (!rule.validTo || at <= new Date(rule.validTo));
+
+// Within one rule type only the highest priority rule applies
+const pickRule = (rules) => rules.reduce(
+  (best, rule) => (!best || (rule.priority || 0) > (best.priority || 0) ? rule : best),
+  null
+);
+
+// Bands may wrap midnight (e.g. 22:00 - 06:00); daysOfWeek refers to the day the minute falls on
+const bandCovers = (rule, minute, weekday) => {
+  if (rule.daysOfWeek?.length && !rule.daysOfWeek.includes(weekday)) return false;
+  const start = toMinutes(rule.startTime);
+  const end = toMinutes(rule.endTime);
+  return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+};
+
+const describeRule = (rule) => ({
+  ruleId: rule._id,
+  name: rule.name,
+  type: rule.type,
+  multiplier: rule.type === PRICING_RULE_TYPE.MINIMUM_HOURS ? undefined : rule.multiplier,
+  minHours: rule.type === PRICING_RULE_TYPE.MINIMUM_HOURS ? rule.minHours : undefined,
+});
+
+const validateRuleData = (data) => {
+  if (!Object.values(PRICING_RULE_TYPE).includes(data.type)) {
+    throw new ValidationError(`Loại quy tắc không hợp lệ. Chọn từ: ${Object.values(PRICING_RULE_TYPE).join(', ')}`);
+  }
+  if (!data.name || !String(data.name).trim()) throw new ValidationError('Tên quy tắc là bắt buộc');
+
+  if (data.type === PRICING_RULE_TYPE.MINIMUM_HOURS) {
+    if (typeof data.minHours !== 'number' || data.minHours <= 0 || data.minHours > 24) {
+      throw new ValidationError('Số giờ tối thiểu phải từ 0 đến 24');
+    }
+  } else if (typeof data.multiplier !== 'number' || data.multiplier < 0 || data.multiplier > 10) {
+    throw new ValidationError('Hệ số giá phải là số từ 0 đến 10');
+  }
+
+  if (data.daysOfWeek !== undefined) {
+    if (!Array.isArray(data.daysOfWeek) || data.daysOfWeek.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new ValidationError('daysOfWeek phải là mảng các số từ 0 (Chủ nhật) đến 6');
+    }
+  }
+
+  if (data.type === PRICING_RULE_TYPE.TIME_BAND) {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(data.startTime || '') || !/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/.test(data.endTime || '')) {
+      throw new ValidationError('Khung giờ phải có dạng HH:mm');
+    }
+    if (data.startTime === data.endTime) throw new ValidationError('Giờ bắt đầu và kết thúc không được trùng nhau');
+  }
+  if (data.type === PRICING_RULE_TYPE.DAY_OF_WEEK && !data.daysOfWeek?.length) {
+    throw new ValidationError('Cần chọn ít nhất một thứ trong tuần');
+  }
+  if (data.type === PRICING_RULE_TYPE.LAST_MINUTE && (typeof data.hoursBeforeStart !== 'number' || data.hoursBeforeStart <= 0)) {
+    throw new ValidationError('hoursBeforeStart phải là số giờ lớn hơn 0');
+  }
+
+  if (data.validFrom && data.validTo && new Date(data.validTo) <= new Date(data.validFrom)) {
+    throw new ValidationError('validTo phải sau validFrom');
+  }
+  if (data.studioIds !== undefined) {
+    if (!Array.isArray(data.studioIds) || data.studioIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new ValidationError('studioIds phải là mảng ID studio hợp lệ');
+    }
+  }
+};
+
+// #endregion
+
+// #region Price Calculation
+
+/**
+ * Active rules for a studio (studio-specific and global)
+ */
+export const getActivePricingRules = async (studioId, session = null) => {
+  const query = PricingRule.find({
+    isActive: true,
+    $or: [{ studioIds: { $size: 0 } }, { studioIds: studioId }]
+  }).lean();
+  if (session) query.session(session);
+  return query;
+};
+
+/**
+ * Studio rental price of [startTime, endTime] with the pricing rules applied.
+ * The window is split at every hour and time-band edge (Vietnam time); each line is charged
+ * basePricePerHour x (time band x day of week x holiday x last-minute multipliers).
+ * @param {Object} params
+ * @param {Object} params.studio - Studio document (basePricePerHour)
+ * @param {Date} params.bookedAt - When the customer books (last-minute discount)
+ * @param {boolean} params.applyLastMinute - false for extensions of an existing booking
+ * @param {boolean} params.applyMinimum - false for extensions of an existing booking
+ * @returns {Object} { basePricePerHour, hours, billableHours, lines, adjustments, appliedRules, studioAmount }
+ */
+export const calculateStudioPrice = async ({
+  studio,
+  startTime,
+  endTime,
+  bookedAt = new Date(),
+  applyLastMinute = true,
+  applyMinimum = true,
+  session = null
+}) => {
+  const startMs = new Date(startTime).getTime();
+  const endMs = new Date(endTime).getTime();
+  const basePricePerHour = studio.basePricePerHour || 0;
+
+  const rules = (await getActivePricingRules(studio._id, session)).filter(rule => isInEffect(rule, new Date(startMs)));
+  const byType = (type) => rules.filter(rule => rule.type === type);
+  const bands = byType(PRICING_RULE_TYPE.TIME_BAND);
+  const dayRules = byType(PRICING_RULE_TYPE.DAY_OF_WEEK);
+  const holidayRule = pickRule(byType(PRICING_RULE_TYPE.HOLIDAY));
+  const holidays = holidayRule ? await getHolidayMap(new Date(startMs), new Date(endMs), session) : new Map();
+
+  const leadMs = startMs - new Date(bookedAt).getTime();
+  const lastMinuteRule = applyLastMinute
+    ? pickRule(byType(PRICING_RULE_TYPE.LAST_MINUTE).filter(rule => leadMs >= 0 && leadMs < rule.hoursBeforeStart * HOUR_MS))
+    : null;
+
+  const bandEdges = [...new Set(bands.flatMap(rule => [toMinutes(rule.startTime), toMinutes(rule.endTime)]))];
+  const applied = new Map();
+  const apply = (rule) => {
+    applied.set(rule._id.toString(), describeRule(rule));
+    return rule;
+  };
+
+  // 1. Per-hour lines
+  const lines = [];
+  for (let cursor = startMs; cursor < endMs;) {
+    const dayStart = localDayStart(cursor);
+    const minute = Math.floor((cursor - dayStart) / MINUTE_MS);
+    const nextMinute = Math.min(
+      (Math.floor(minute / 60) + 1) * 60,
+      ...bandEdges.filter(edge => edge > minute)
+    );
+    const segmentEnd = Math.min(endMs, dayStart + nextMinute * MINUTE_MS);
+    const weekday = localWeekday(cursor);
+
+    const lineRules = [
+      pickRule(bands.filter(rule => bandCovers(rule, minute, weekday))),
+      pickRule(dayRules.filter(rule => rule.daysOfWeek.includes(weekday))),
+      holidayRule && holidays.has(formatDateISO(cursor)) ? holidayRule : null,
+      lastMinuteRule,
+    ].filter(Boolean).map(apply);
+
+    const multiplier = lineRules.reduce((acc, rule) => acc * rule.multiplier, 1);
+    const hours = (segmentEnd - cursor) / HOUR_MS;
+    const pricePerHour = roundMoney(basePricePerHour * multiplier);
+    lines.push({
+      startTime: new Date(cursor),
+      endTime: new Date(segmentEnd),
+      timeRange: `${formatTime(cursor)} - ${formatTime(segmentEnd)}`,
+      hours: Math.round(hours * 100) / 100,
+      multiplier: Math.round(multiplier * 1000) / 1000,
+      pricePerHour,
+      amount: roundMoney(pricePerHour * hours),
+      rules: lineRules.map(rule => rule.name)
+    });
+    cursor = segmentEnd;
+  }
+
+  const hours = Math.round(((endMs - startMs) / HOUR_MS) * 100) / 100;
+  let studioAmount = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  let billableHours = hours;
+
+  // 2. Minimum billable hours: the shortfall is charged at the average rate of the booked time
+  const adjustments = [];
+  const minimumRule = applyMinimum ? pickRule(byType(PRICING_RULE_TYPE.MINIMUM_HOURS)) : null;
+  if (minimumRule && hours < minimumRule.minHours) {
+    apply(minimumRule);
+    const averageRate = hours > 0 ? studioAmount / hours : basePricePerHour * (lastMinuteRule?.multiplier ?? 1);
+    const shortfallHours = Math.round((minimumRule.minHours - hours) * 100) / 100;
+    const amount = roundMoney(averageRate * shortfallHours);
+    adjustments.push({
+      type: PRICING_RULE_TYPE.MINIMUM_HOURS,
+      name: minimumRule.name,
+      hours: shortfallHours,
+      amount,
+      description: `Tính tối thiểu ${minimumRule.minHours} giờ`
+    });
+    studioAmount = roundMoney(studioAmount + amount);
+    billableHours = minimumRule.minHours;
+  }
+
+  return {
+    basePricePerHour,
+    hours,
+    billableHours,
+    lines,
+    adjustments,
+    appliedRules: [...applied.values()],
+    studioAmount
+  };
+};
+
+/**
+ * Snapshot of a calculated price stored on the booking
+ */
+export const toPricingSnapshot = (price) => ({
+  basePricePerHour: price.basePricePerHour,
+  billableHours: price.billableHours,
+  studioAmount: price.studioAmount,
+  lines: price.lines.map(({ startTime, endTime, multiplier, pricePerHour, amount, rules }) => ({
+    startTime, endTime, multiplier, pricePerHour, amount, rules
+  })),
+  adjustments: price.adjustments.map(({ type, name, hours, amount }) => ({ type, name, hours, amount })),
+  appliedRules: price.appliedRules.map(({ ruleId, name, type }) => ({ ruleId, name, type }))
+});
+
+/**
+ * Overtime charge for checking out after the scheduled end.
+ * Nothing is charged within the studio's grace period; past it, the whole overrun
+ * is billed in rounding blocks (rounded up) at the studio's overtime rate.
+ * @returns {Object} { minutes, billedMinutes, ratePerHour, amount }
+ */
+export const calculateOvertimeCharge = (studio, scheduledEnd, actualEnd) => {
+  const minutes = Math.max(0, Math.floor((new Date(actualEnd).getTime() - new Date(scheduledEnd).getTime()) / MINUTE_MS));
+  const graceMinutes = studio?.overtimeGraceMinutes ?? 10;
+  const roundingMinutes = Math.max(1, studio?.overtimeRoundingMinutes ?? 15);
+  const ratePerHour = studio?.overtimeRatePerHour ?? roundMoney((studio?.basePricePerHour || 0) * OVERTIME_DEFAULT_MULTIPLIER);
+
+  if (minutes <= graceMinutes) {
+    return { minutes, billedMinutes: 0, ratePerHour, amount: 0 };
+  }
+
+  const billedMinutes = Math.ceil(minutes / roundingMinutes) * roundingMinutes;
+  return { minutes, billedMinutes, ratePerHour, amount: Math.round(ratePerHour * billedMinutes / 60) };
+};
+
+const loadQuoteWindow = async ({ studioId, startTime, endTime }) => {
+  if (!studioId || !startTime || !endTime) {
+    throw new ValidationError('Thiếu thông tin: studioId, startTime, endTime là bắt buộc');
+  }
+  if (!mongoose.Types.ObjectId.isValid(studioId)) throw new ValidationError('ID studio không hợp lệ');
+
+  const s = new Date(startTime);
+  const e = new Date(endTime);
+  if (isNaN(s.getTime()) || isNaN(e.getTime())) throw new ValidationError('Thời gian không hợp lệ');
+  if (!(e > s)) throw new ValidationError('Thời gian kết thúc phải lớn hơn thời gian bắt đầu');
+  if ((e - s) / HOUR_MS > MAX_QUOTE_HOURS) {
+    throw new ValidationError(`Chỉ báo giá tối đa ${MAX_QUOTE_HOURS} giờ mỗi lần`);
+  }
+
+  const studio = await Studio.findById(studioId).select('name basePricePerHour status').lean();
+  if (!studio || studio.status !== STUDIO_STATUS.ACTIVE) throw new NotFoundError('Studio không tồn tại');
+
+  return { studio, s, e };
+};
+
+// Equipment / kit / extra service lines priced the same way createBookingDetails does, without reserving stock;
+// equipment and kit availability is for the quoted window
+const priceQuoteItems = async (details = [], startTime, endTime) => {
+  if (!Array.isArray(details)) throw new ValidationError('Danh sách chi tiết phải là mảng');
+  if (details.length > MAX_QUOTE_ITEMS) throw new ValidationError(`Tối đa ${MAX_QUOTE_ITEMS} chi tiết mỗi lần báo giá`);
+
+  const items = [];
+  for (const item of details) {
+    const { detailType, equipmentId, kitId, extraServiceId, quantity = 1 } = item || {};
+    if (isNaN(quantity) || quantity <= 0) throw new ValidationError('Số lượng phải lớn hơn hoặc bằng 1');
+
+    if (detailType === 'equipment' && kitId) {
+      const { kit, availableQty: available } = await getKitAvailability(kitId, startTime, endTime);
+
+      items.push({
+        detailType,
+        kitId,
+        description: kit.name,
+        quantity,
+        pricePerUnit: kit.pricePerHour,
+        subtotal: kit.pricePerHour * quantity,
+        listSubtotal: kit.listPricePerHour * quantity,
+        components: kit.items.map(c => ({ equipmentId: c.equipmentId, name: c.name, quantity: c.quantity * quantity })),
+        available: quantity <= available,
+        availableQty: available
+      });
+    } else if (detailType === 'equipment') {
+      if (!mongoose.Types.ObjectId.isValid(equipmentId)) throw new ValidationError('ID thiết bị không hợp lệ');
+      const { equipment, minAvailable: available } = await getEquipmentAvailability(equipmentId, startTime, endTime);
+
+      const pricePerUnit = equipment.pricePerHour || 0;
+      items.push({
+        detailType,
+        equipmentId,
+        description: equipment.name,
+        quantity,
+        pricePerUnit,
+        subtotal: pricePerUnit * quantity,
+        available: quantity <= available,
+        availableQty: available
+      });
+    } else if (detailType === 'extra_service') {
+      if (!mongoose.Types.ObjectId.isValid(extraServiceId)) throw new ValidationError('ID dịch vụ không hợp lệ');
+      const svc = await Service.findById(extraServiceId).select('name pricePerUse isAvailable').lean();
+      if (!svc) throw new NotFoundError('Dịch vụ không tồn tại');
+
+      const pricePerUnit = svc.pricePerUse || 0;
+      items.push({
+        detailType,
+        extraServiceId,
+        description: svc.name,
+        quantity,
+        pricePerUnit,
+        subtotal: pricePerUnit * quantity,
+        available: Boolean(svc.isAvailable)
+      });
+    } else {
+      throw new ValidationError('Loại chi tiết không hợp lệ. Chọn từ: equipment, extra_service');
+    }
+  }
+  return items;
+};
+
+/**
+ * Refund the customer would get when cancelling at each tier of the cancellation policy
+ * (refunds are based on the amount paid, so each payment option is listed)
+ */
+const buildRefundSchedule = (policy, startTime, paymentPlan) => {
+  if (!policy) return [];
+  return (policy.refundTiers || []).map((tier) => {
+    const cancelBy = new Date(startTime.getTime() - tier.hoursBeforeBooking * HOUR_MS);
+    const refundByPayType = {};
+    paymentPlan.forEach((option) => {
+      refundByPayType[option.payType] = RoomPolicyService.calculateRefund(policy, startTime, cancelBy, option.amount).refundAmount;
+    });
+    return {
+      hoursBeforeBooking: tier.hoursBeforeBooking,
+      cancelBy,
+      cancelByText: formatDateTime(cancelBy),
+      refundPercentage: tier.refundPercentage,
+      description: tier.description,
+      refundByPayType
+    };
+  });
+};
+
+/**
+ * Studio-only price quote (no side effects)
+ * @param {Object} params - { studioId, startTime, endTime }
+ */
+export const getPriceQuote = async ({ studioId, startTime, endTime } = {}) => {
+  const { studio, s, e } = await loadQuoteWindow({ studioId, startTime, endTime });
+
+  const price = await calculateStudioPrice({ studio, startTime: s, endTime: e });
+
+  return {
+    studio: { _id: studio._id, name: studio.name, basePricePerHour: studio.basePricePerHour },
+    startTime: s,
+    endTime: e,
+    ...price,
+    quotedAt: new Date()
+  };
+};
+
+/**
+ * Full booking quote (no side effects): studio time with pricing rules, equipment / extra services,
+ * optional set design, promotion, payment options and the cancellation refund schedule.
+ * Nothing is reserved and promotion usage is not counted.
+ * @param {Object} params - { studioId, startTime, endTime, details, setDesignId, promoCode }
+ * @param {string} userId - Optional customer (per-user promotion limits)
+ */
+export const getBookingQuote = async ({ studioId, startTime, endTime, details = [], setDesignId, promoCode } = {}, userId = null) => {
+  const { studio, s, e } = await loadQuoteWindow({ studioId, startTime, endTime });
+
+  const [price, items] = await Promise.all([
+    calculateStudioPrice({ studio, startTime: s, endTime: e }),
+    priceQuoteItems(details, s, e)
+  ]);
+  const detailsTotal = roundMoney(items.reduce((sum, item) => sum + item.subtotal, 0));
+  const totalBeforeDiscount = roundMoney(price.studioAmount + detailsTotal);
+
+  // Availability is informative only: the slot is not held by a quote
+  const warnings = [];
+  try {
+    await assertStudioOpen(studio._id, s, e);
+    const { findSlotConflict } = await import('./booking.service.js');
+    if (await findSlotConflict(studio._id, s, e)) warnings.push('Khung giờ này đã có lịch khác');
+  } catch (err) {
+    if (!(err instanceof ValidationError)) throw err;
+    warnings.push(err.message);
+  }
+  items.filter(item => !item.available).forEach(item => warnings.push(`"${item.description}" hiện không khả dụng`));
+
+  // Promotion: an invalid code does not fail the quote
+  let promotion = null;
+  let discountAmount = 0;
+  if (promoCode) {
+    try {
+      const applied = await validateAndApplyPromotion(String(promoCode), userId, totalBeforeDiscount);
+      discountAmount = roundMoney(applied.discountAmount);
+      promotion = { ...applied.promotion, valid: true, discountAmount };
+    } catch (err) {
+      if (!(err instanceof ValidationError || err instanceof NotFoundError)) throw err;
+      promotion = { code: String(promoCode).toUpperCase(), valid: false, message: err.message };
+    }
+  }
+  const finalAmount = Math.max(0, roundMoney(totalBeforeDiscount - discountAmount));
+
+  // Set design is ordered and paid separately from the booking
+  let setDesign = null;
+  if (setDesignId) {
+    if (!mongoose.Types.ObjectId.isValid(setDesignId)) throw new ValidationError('ID set design không hợp lệ');
+    const design = await SetDesign.findById(setDesignId).select('name price setupMinutes teardownMinutes isActive').lean();
+    if (!design || !design.isActive) throw new NotFoundError('Set design không tồn tại');
+    setDesign = {
+      _id: design._id,
+      name: design.name,
+      price: design.price || 0,
+      setupMinutes: design.setupMinutes || 0,
+      teardownMinutes: design.teardownMinutes || 0,
+      billedSeparately: true
+    };
+  }
+
+  // Same policy createBooking snapshots onto the booking
+  const cancellationPolicy = await RoomPolicy.findOne({
+    type: 'CANCELLATION',
+    category: 'STANDARD',
+    isActive: true
+  }).lean();
+  const paymentOptions = finalAmount > 0 ? buildPaymentPlan(finalAmount).map(option => ({
+    ...option,
+    remainingAmount: finalAmount - option.amount
+  })) : [];
+
+  return {
+    studio: { _id: studio._id, name: studio.name, basePricePerHour: studio.basePricePerHour },
+    startTime: s,
+    endTime: e,
+    studioTime: price,
+    items,
+    setDesign,
+    totals: {
+      studioAmount: price.studioAmount,
+      detailsTotal,
+      totalBeforeDiscount,
+      discountAmount,
+      finalAmount,
+      setDesignAmount: setDesign?.price || 0,
+      grandTotal: roundMoney(finalAmount + (setDesign?.price || 0))
+    },
+    promotion,
+    paymentOptions,
+    cancellationPolicy: cancellationPolicy ? { _id: cancellationPolicy._id, name: cancellationPolicy.name } : null,
+    refundSchedule: buildRefundSchedule(cancellationPolicy, s, paymentOptions),
+    warnings,
+    quotedAt: new Date()
+  };
+};
+
+// #endregion
+
+// #region Rule Management
+
+export const getPricingRules = async ({ studioId, type, isActive } = {}) => {
+  const query = {};
+  if (studioId) {
+    if (!mongoose.Types.ObjectId.isValid(studioId)) throw new ValidationError('ID studio không hợp lệ');
+    query.$or = [{ studioIds: { $size: 0 } }, { studioIds: studioId }];
+  }
+  if (type) query.type = type;
+  if (isActive !== undefined) query.isActive = isActive === true || isActive === 'true';
+
+  return PricingRule.find(query)
+    .populate('studioIds', 'name')
+    .sort({ type: 1, priority: -1, createdAt: -1 })
+    .lean();
+};
+
+export const createPricingRule = async (data = {}, userId = null) => {
+  const ruleData = {};
+  RULE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) ruleData[field] = data[field];
+  });
+  validateRuleData(ruleData);
+
+  return PricingRule.create({ ...ruleData, name: String(ruleData.name).trim(), createdBy: userId });
+};
+
+export const updatePricingRule = async (ruleId, data = {}) => {
+  const rule = await PricingRule.findById(ruleId);
+  if (!rule) throw new NotFoundError('Quy tắc giá không tồn tại');
+
+  RULE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) rule[field] = data[field];
+  });
+  validateRuleData(rule.toObject());
+
+  await rule.save();
+  return rule;
+};
+
+export const deletePricingRule = async (ruleId) => {
+  const rule = await PricingRule.findByIdAndDelete(ruleId);
+  if (!rule) throw new NotFoundError('Quy tắc giá không tồn tại');
+  return rule;
+};
+
+// #endregion
+
+export default {
+  getActivePricingRules,
+  calculateStudioPrice,
+  toPricingSnapshot,
+  calculateOvertimeCharge,
+  getPriceQuote,
+  getBookingQuote,
+  getPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+};
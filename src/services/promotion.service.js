@@ -1,6 +1,7 @@
 //#region Imports
 import Promotion from "../models/Promotion/promotion.model.js";
 import Booking from "../models/Booking/booking.model.js";
+import BookingGroup from "../models/BookingGroup/bookingGroup.model.js";
 import { createAndSendNotification } from "../services/notification.service.js";
 import { NotFoundError, ValidationError } from "../utils/errors.js";
 import { escapeRegex } from "../utils/helpers.js";
@@ -324,11 +325,17 @@ export const validateAndApplyPromotion = async (code, customerId, subtotal) => {
 
   // 3. Kiểm tra số lần sử dụng per user (NEW)
   if (promotion.usageLimitPerUser !== null && customerId) {
-    const userUsageCount = await Booking.countDocuments({
+    const usageFilter = {
       userId: customerId,
       promoId: promotion._id,
       status: { $nin: ['cancelled'] } // Chỉ đếm booking không bị hủy
-    });
+    };
+    // Nhóm booking chỉ lưu promoId ở cấp nhóm nên đếm riêng
+    const [bookingUsage, groupUsage] = await Promise.all([
+      Booking.countDocuments(usageFilter),
+      BookingGroup.countDocuments(usageFilter)
+    ]);
+    const userUsageCount = bookingUsage + groupUsage;
 
     if (userUsageCount >= promotion.usageLimitPerUser) {
       throw new ValidationError(
@@ -2,15 +2,18 @@ import mongoose from 'mongoose';
 import Refund from '../models/Refund/refund.model.js';
 import Payment from '../models/Payment/payment.model.js';
 import Booking from '../models/Booking/booking.model.js';
-import { PAYMENT_STATUS, BOOKING_STATUS, TARGET_MODEL, SET_DESIGN_ORDER_STATUS, NOTIFICATION_TYPE } from '../utils/constants.js';
-import { ValidationError, NotFoundError } from '../utils/errors.js';
+import { PAYMENT_STATUS, BOOKING_STATUS, BOOKING_EVENT_TYPE, TARGET_MODEL, SET_DESIGN_ORDER_STATUS, NOTIFICATION_TYPE, REFUND_DESTINATION, WALLET_TRANSACTION_TYPE } from '../utils/constants.js';
+import { ValidationError, NotFoundError, ForbiddenError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 import { createAndSendNotification } from './notification.service.js';
 import RoomPolicyService from './roomPolicy.service.js';
+import { getBookingPaidAmount } from './payment.service.js';
 import { validateStatusTransition, REFUND_TRANSITIONS } from '../utils/validators.js';
 import Schedule from '../models/Schedule/schedule.model.js';
 import SetDesignOrder from '../models/SetDesignOrder/setDesignOrder.model.js';
 import EquipmentOrder, { EQUIPMENT_ORDER_STATUS } from '../models/EquipmentOrder/equipmentOrder.model.js';
+import { creditWallet } from './wallet.service.js';
+import { reversePointsForRefund } from './loyalty.service.js';
 
 // #region Helper Functions
 
@@ -25,17 +28,19 @@ export const calculateRefundAmount = async (bookingId) => {
     throw new NotFoundError('Booking không tồn tại');
   }
 
-  // Get all PAID payments for this booking
-  const paidPayments = await Payment.find({ bookingId, status: PAYMENT_STATUS.PAID });
-  const totalPaid = paidPayments.reduce((sum, p) => sum + p.amount, 0);
+  // Get all PAID payments for this booking (incl. its share of a group payment)
+  const totalPaid = await getBookingPaidAmount(booking);
 
   if (totalPaid === 0) {
     return { totalPaid: 0, refundPercentage: 0, refundAmount: 0 };
   }
 
-  // Calculate refund percentage from policy
+  // Calculate refund percentage from policy; studio-initiated cancellations bypass the tiers
   let refundPercentage = 0;
-  if (booking.policySnapshots?.cancellation && booking.scheduleId) {
+  const studioCancelled = (booking.events || []).some(e => e.type === BOOKING_EVENT_TYPE.CANCELLED && e.details?.studioInitiated);
+  if (studioCancelled) {
+    refundPercentage = 100;
+  } else if (booking.policySnapshots?.cancellation && booking.scheduleId) {
     try {
       const schedule = await Schedule.findById(booking.scheduleId);
       if (schedule) {
@@ -81,6 +86,62 @@ export const calculateRefundAmountForOrder = async (targetId, targetModel) => {
   return { totalPaid, refundPercentage: 100, refundAmount: totalPaid };
 };
 
+/**
+ * Validate refund destination; bank info is only required for bank transfers
+ */
+const resolveRefundDestination = ({ refundTo = REFUND_DESTINATION.BANK, bankName, accountNumber, accountName }) => {
+  if (!Object.values(REFUND_DESTINATION).includes(refundTo)) {
+    throw new ValidationError(`refundTo không hợp lệ. Chọn: ${Object.values(REFUND_DESTINATION).join(', ')}`);
+  }
+  if (refundTo === REFUND_DESTINATION.BANK && (!bankName || !accountNumber || !accountName)) {
+    throw new ValidationError('Thông tin ngân hàng (bankName, accountNumber, accountName) là bắt buộc');
+  }
+  return refundTo;
+};
+
+/**
+ * Hoàn vào ví: refund hoàn tất ngay, cộng ví trong cùng session (không cần duyệt / chuyển khoản)
+ */
+const creditRefundToWallet = async (refund, customerId, session) => {
+  // Refund amounts come from percentages and may carry decimals; the wallet ledger holds whole VND
+  const entry = await creditWallet({
+    userId: customerId,
+    amount: Math.round(refund.amount),
+    type: WALLET_TRANSACTION_TYPE.REFUND,
+    referenceModel: 'Refund',
+    referenceId: refund._id,
+    description: refund.reason,
+    createdBy: refund.requestedBy,
+  }, session);
+
+  refund.walletTransactionId = entry._id;
+  await refund.save({ session });
+  return entry;
+};
+
+/**
+ * Hoàn tiền xong: thu hồi điểm đã tích / trả lại điểm đã đổi của đơn bị hủy.
+ * Refund chênh lệch (booking vẫn còn hiệu lực) không đụng tới điểm.
+ */
+const reverseLoyaltyForRefund = async (refund) => {
+  try {
+    if (refund.bookingId) {
+      const booking = await Booking.findById(refund.bookingId).select('status').lean();
+      if (booking?.status !== BOOKING_STATUS.CANCELLED) return;
+    }
+    await reversePointsForRefund(refund);
+  } catch (err) {
+    logger.error('Failed to reverse loyalty points for refund', { refundId: refund._id, error: err.message });
+  }
+};
+
+// Only the customer who owns the booking / order may request its refund (wallet refunds skip approval)
+const assertRefundOwner = (ownerId, userId) => {
+  if (!userId || ownerId?.toString() !== userId.toString()) {
+    throw new ForbiddenError('Chỉ chủ sở hữu mới có thể yêu cầu hoàn tiền');
+  }
+};
+
 // #endregion
 
 // #region Customer Functions
@@ -89,36 +150,34 @@ export const calculateRefundAmountForOrder = async (targetId, targetModel) => {
  * Create refund request for a booking (Customer action)
  * @param {string} bookingId - Booking ID to refund
  * @param {object} opts - Options object
- * @param {string} opts.bankName - Bank name (e.g., "Vietcombank", "MB Bank") - REQUIRED
- * @param {string} opts.accountNumber - Customer bank account number - REQUIRED
- * @param {string} opts.accountName - Account holder name - REQUIRED
+ * @param {string} opts.refundTo - 'bank' (default, staff duyệt + chuyển khoản) hoặc 'wallet' (cộng ví ngay)
+ * @param {string} opts.bankName - Bank name (e.g., "Vietcombank", "MB Bank") - REQUIRED for bank
+ * @param {string} opts.accountNumber - Customer bank account number - REQUIRED for bank
+ * @param {string} opts.accountName - Account holder name - REQUIRED for bank
  * @param {string} opts.reason - Customer's reason for refund (optional)
  * @param {string} opts.userId - ID of customer creating request
  * @returns {object} Refund information
  */
 export const createRefundRequest = async (bookingId, opts = {}) => {
   const { bankName, accountNumber, accountName, reason, userId, proofImageUrls = [] } = opts;
-
-  // Validate bank info
-  if (!bankName || !accountNumber || !accountName) {
-    throw new ValidationError('Thông tin ngân hàng (bankName, accountNumber, accountName) là bắt buộc');
-  }
+  const refundTo = resolveRefundDestination(opts);
 
   // Validate booking
   const booking = await Booking.findById(bookingId);
   if (!booking) {
     throw new NotFoundError('Booking không tồn tại');
   }
+  assertRefundOwner(booking.userId, userId);
 
   // Booking must be CANCELLED
   if (booking.status !== BOOKING_STATUS.CANCELLED) {
     throw new ValidationError('Chỉ có thể yêu cầu hoàn tiền cho booking đã hủy');
   }
 
-  // Check if refund already exists
+  // Check if refund already exists (a completed refund - e.g. credited to the wallet - cannot be requested again)
   const existingRefund = await Refund.findOne({ 
     bookingId, 
-    status: { $in: ['PENDING_APPROVAL', 'PENDING', 'PROCESSING', 'APPROVED'] } 
+    status: { $in: ['PENDING_APPROVAL', 'PENDING', 'PROCESSING', 'APPROVED', 'COMPLETED'] } 
   });
   if (existingRefund) {
     throw new ValidationError('Yêu cầu hoàn tiền đã tồn tại cho booking này');
@@ -141,28 +200,40 @@ export const createRefundRequest = async (bookingId, opts = {}) => {
       ? reason 
       : `Hoàn tiền booking - ${refundPercentage}% theo chính sách`;
 
+    const toWallet = refundTo === REFUND_DESTINATION.WALLET;
     const refund = await Refund.create([{
       bookingId,
       amount: refundAmount,
       reason: refundReason,
       proofImages: proofImageUrls,
       requestedBy: userId,
-      status: 'PENDING_APPROVAL',
-      destinationBank: {
-        bankName: bankName,
-        accountNumber: accountNumber,
-        accountName: accountName
-      }
+      destination: refundTo,
+      ...(toWallet
+        ? { status: 'COMPLETED', processedAt: new Date(), processedBy: userId }
+        : {
+          status: 'PENDING_APPROVAL',
+          destinationBank: {
+            bankName: bankName,
+            accountNumber: accountNumber,
+            accountName: accountName
+          }
+        })
     }], { session });
 
+    const walletEntry = toWallet ? await creditRefundToWallet(refund[0], booking.userId, session) : null;
+
     await session.commitTransaction();
 
     logger.info('Refund request created', { 
       refundId: refund[0]._id, 
       bookingId, 
-      amount: refundAmount 
+      amount: refundAmount,
+      destination: refundTo
     });
 
+    if (walletEntry) await sendWalletRefundNotification(refund[0], booking.userId, walletEntry);
+    if (walletEntry) await reverseLoyaltyForRefund(refund[0]);
+
     return {
       ...refund[0].toObject(),
       totalPaid,
@@ -184,9 +255,10 @@ export const createRefundRequest = async (bookingId, opts = {}) => {
  * @param {string} targetId - Order ID to refund
  * @param {string} targetModel - Order type (SetDesignOrder, EquipmentOrder)
  * @param {object} opts - Options object
- * @param {string} opts.bankName - Bank name - REQUIRED
- * @param {string} opts.accountNumber - Customer bank account number - REQUIRED
- * @param {string} opts.accountName - Account holder name - REQUIRED
+ * @param {string} opts.refundTo - 'bank' (default) hoặc 'wallet' (cộng ví ngay)
+ * @param {string} opts.bankName - Bank name - REQUIRED for bank
+ * @param {string} opts.accountNumber - Customer bank account number - REQUIRED for bank
+ * @param {string} opts.accountName - Account holder name - REQUIRED for bank
  * @param {string} opts.reason - Customer's reason for refund (optional)
  * @param {string} opts.userId - ID of customer creating request
  * @returns {object} Refund information
@@ -200,10 +272,7 @@ export const createRefundRequestForTarget = async (targetId, targetModel, opts =
     throw new ValidationError(`targetModel không hợp lệ. Chọn từ: ${validModels.join(', ')}`);
   }
 
-  // Validate bank info
-  if (!bankName || !accountNumber || !accountName) {
-    throw new ValidationError('Thông tin ngân hàng (bankName, accountNumber, accountName) là bắt buộc');
-  }
+  const refundTo = resolveRefundDestination(opts);
 
   // Load order based on targetModel
   let order;
@@ -223,6 +292,7 @@ export const createRefundRequestForTarget = async (targetId, targetModel, opts =
   if (!order) {
     throw new NotFoundError(`${orderName} không tồn tại`);
   }
+  assertRefundOwner(order.customerId, userId);
 
   // Order must be CANCELLED
   if (order.status !== cancelledStatus) {
@@ -233,7 +303,7 @@ export const createRefundRequestForTarget = async (targetId, targetModel, opts =
   const existingRefund = await Refund.findOne({ 
     targetId, 
     targetModel,
-    status: { $in: ['PENDING_APPROVAL', 'APPROVED'] } 
+    status: { $in: ['PENDING_APPROVAL', 'APPROVED', 'COMPLETED'] } 
   });
   if (existingRefund) {
     throw new ValidationError(`Yêu cầu hoàn tiền đã tồn tại cho ${orderName.toLowerCase()} này`);
@@ -255,6 +325,7 @@ export const createRefundRequestForTarget = async (targetId, targetModel, opts =
       ? reason 
       : `Hoàn tiền ${orderName.toLowerCase()} - ${refundPercentage}%`;
 
+    const toWallet = refundTo === REFUND_DESTINATION.WALLET;
     const refund = await Refund.create([{
       targetId,
       targetModel,
@@ -262,23 +333,34 @@ export const createRefundRequestForTarget = async (targetId, targetModel, opts =
       reason: refundReason,
       proofImages: proofImageUrls,
       requestedBy: userId,
-      status: 'PENDING_APPROVAL',
-      destinationBank: {
-        bankName,
-        accountNumber,
-        accountName
-      }
+      destination: refundTo,
+      ...(toWallet
+        ? { status: 'COMPLETED', processedAt: new Date(), processedBy: userId }
+        : {
+          status: 'PENDING_APPROVAL',
+          destinationBank: {
+            bankName,
+            accountNumber,
+            accountName
+          }
+        })
     }], { session });
 
+    const walletEntry = toWallet ? await creditRefundToWallet(refund[0], order.customerId, session) : null;
+
     await session.commitTransaction();
 
     logger.info('Refund request created for order', { 
       refundId: refund[0]._id, 
       targetId,
       targetModel,
-      amount: refundAmount 
+      amount: refundAmount,
+      destination: refundTo
     });
 
+    if (walletEntry) await sendWalletRefundNotification(refund[0], order.customerId, walletEntry);
+    if (walletEntry) await reverseLoyaltyForRefund(refund[0]);
+
     return {
       ...refund[0].toObject(),
       totalPaid,
@@ -505,6 +587,8 @@ export const confirmManualRefund = async (refundId, staffId, opts = {}) => {
     logger.error('Failed to send completion notification:', notifErr);
   }
 
+  await reverseLoyaltyForRefund(refund);
+
   logger.info('Manual refund confirmed', { refundId, staffId, transactionRef });
 
   return refund;
@@ -720,6 +804,25 @@ const sendRefundNotification = async (refund, type) => {
   }
 };
 
+/**
+ * Notify customer that a refund was credited to their wallet
+ */
+const sendWalletRefundNotification = async (refund, customerId, walletEntry) => {
+  try {
+    await createAndSendNotification(
+      customerId,
+      NOTIFICATION_TYPE.CONFIRMATION,
+      'Hoàn tiền vào ví thành công',
+      `${refund.amount.toLocaleString()} VND đã được hoàn vào ví của bạn. Số dư: ${walletEntry.balanceAfter.toLocaleString()} VND`,
+      false,
+      null,
+      refund._id
+    );
+  } catch (error) {
+    logger.error('Failed to send wallet refund notification:', error);
+  }
+};
+
 // #endregion
 
 // #region Legacy Functions
@@ -1,12 +1,13 @@
 import Report from '../models/Report/report.model.js';
 import { ValidationError, NotFoundError, ForbiddenError } from '../utils/errors.js';
-import { Booking, Studio } from '../models/index.js';
+import { Booking, Studio, Equipment } from '../models/index.js';
+import { findResponsibleAssignment } from './equipmentUnit.service.js';
 import Review from '../models/Review/review.model.js';
 import Comment from '../models/Comment/comment.model.js';
 import { validateStatusTransition, REPORT_TRANSITIONS } from '../utils/validators.js';
 import logger from '../utils/logger.js';
 import Payment from '../models/Payment/payment.model.js';
-import payos from '../config/payos.js';
+import { getPaymentGateway } from './paymentGateway/index.js';
 import crypto from 'crypto';
 import { 
     REPORT_TARGET_TYPES, 
@@ -99,6 +100,23 @@ export const createReport = async (data) => {
     } else if (data.targetType === REPORT_TARGET_TYPES.STUDIO) {
       const studio = await Studio.findById(data.targetId);
       if (studio) targetExists = true;
+    } else if (data.targetType === REPORT_TARGET_TYPES.EQUIPMENT) {
+      const equipment = await Equipment.findById(data.targetId);
+      if (equipment) targetExists = true;
+
+      // Responsibility always comes from the unit's hand-over history, never from the request body
+      delete data.responsibleUserId;
+      if (data.equipmentUnitId) {
+        const { equipmentId, assignment } = await findResponsibleAssignment(data.equipmentUnitId, data);
+        if (equipmentId.toString() !== data.targetId.toString()) {
+          throw new ValidationError('Unit không thuộc thiết bị này');
+        }
+        if (assignment) {
+          data.bookingId = assignment.targetModel === TARGET_MODEL.BOOKING ? assignment.targetId : undefined;
+          data.equipmentOrderId = assignment.targetModel === TARGET_MODEL.EQUIPMENT_ORDER ? assignment.targetId : undefined;
+          data.responsibleUserId = assignment.customerId;
+        }
+      }
     }
 
     if (!targetExists) {
@@ -144,6 +162,7 @@ export const getReports = async (filter = {}, options = {}) => {
 
     return await Report.find(filter, null, options)
       .populate('bookingId') // Keep for legacy
+      .populate('equipmentUnitId', 'serialNumber conditionGrade status')
       .populate('reporterId', 'fullName email')
       .populate('resolvedBy', 'fullName email')
       .exec();
@@ -180,6 +199,7 @@ export const getReportById = async (id, user) => {
 
     const report = await Report.findById(id)
       .populate('bookingId')
+      .populate('equipmentUnitId', 'serialNumber conditionGrade status')
       .populate('reporterId', 'fullName email')
       .populate('resolvedBy', 'fullName email')
       .exec();
@@ -374,23 +394,11 @@ export const createFinePayment = async (reportId, user) => {
                 cancelUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/report/payment/cancel?reportId=${reportId}`
             };
 
-            let paymentLinkResponse;
-            if (payos && typeof payos.createPaymentLink === 'function') {
-                paymentLinkResponse = await payos.createPaymentLink(paymentData);
-            } else if (payos && typeof payos.paymentRequests?.create === 'function') {
-                paymentLinkResponse = await payos.paymentRequests.create(paymentData);
-            } else {
-                logger.warn('PayOS not configured, using mock data');
-                paymentLinkResponse = {
-                    checkoutUrl: 'http://localhost:3000/mock-fine-payment',
-                    qrCode: 'mock-qr-code',
-                    paymentLinkId: `mock-link-${Date.now()}`
-                };
-            }
+            const paymentLinkResponse = await getPaymentGateway().createPaymentLink(paymentData);
 
             if (paymentLinkResponse) {
-                checkoutUrl = paymentLinkResponse.checkoutUrl || paymentLinkResponse.data?.checkoutUrl;
-                qrCodeUrl = paymentLinkResponse.qrCode || paymentLinkResponse.data?.qrCode;
+                checkoutUrl = paymentLinkResponse.checkoutUrl;
+                qrCodeUrl = paymentLinkResponse.qrCode;
             }
         } catch (err) {
             logger.error('PayOS Create Fine Error', err);
@@ -7,6 +7,8 @@ import Service from "../models/Service/service.model.js";
 import User from "../models/User/user.model.js";
 import { REVIEW_TARGET_TYPES, NOTIFICATION_TYPE, BOOKING_STATUS } from "../utils/constants.js";
 import { createAndSendNotification } from "./notification.service.js";
+import { grantReviewBonus } from "./loyalty.service.js";
+import logger from "../utils/logger.js";
 
 /**
  * Create a new review
@@ -70,6 +72,13 @@ export const createReviewService = async (data, userId) => {
     )
   ));
 
+  // 6. Loyalty bonus (mỗi booking chỉ thưởng một lần)
+  try {
+    await grantReviewBonus(userId, bookingId);
+  } catch (error) {
+    logger.error("Failed to grant review bonus points", { bookingId, error: error.message });
+  }
+
   return review;
 };
 
@@ -234,6 +234,57 @@ class RoomPolicyService {
     }
   }
 
+  /**
+   * Check whether a booking may be rescheduled and compute the fee
+   * @param {Object} cancellationPolicy - Policy snapshot (rescheduleRules; defaults apply to older snapshots)
+   * @param {Date} bookingStartTime - Current booking start time
+   * @param {Date} requestTime - Time of the reschedule request
+   * @param {Number} bookingAmount - Booking finalAmount (base of percentage fees)
+   * @param {Number} previousRescheduleCount - Reschedules already made on this booking
+   * @returns {Object} { allowed, reason, feeAmount, isFree, rules }
+   */
+  calculateRescheduleFee(cancellationPolicy, bookingStartTime, requestTime, bookingAmount, previousRescheduleCount = 0) {
+    const rules = {
+      allowed: true,
+      maxReschedules: 1,
+      minHoursBeforeStart: 24,
+      freeReschedules: 0,
+      feeType: 'NONE',
+      feeValue: 0,
+      ...(cancellationPolicy?.rescheduleRules || {})
+    };
+
+    if (!rules.allowed) {
+      return { allowed: false, reason: 'Chính sách hiện tại không cho phép đổi lịch', feeAmount: 0, rules };
+    }
+
+    if (previousRescheduleCount >= rules.maxReschedules) {
+      return { allowed: false, reason: `Booking chỉ được đổi lịch tối đa ${rules.maxReschedules} lần`, feeAmount: 0, rules };
+    }
+
+    const hoursBeforeBooking = (bookingStartTime - requestTime) / (1000 * 60 * 60);
+    if (hoursBeforeBooking < rules.minHoursBeforeStart) {
+      return {
+        allowed: false,
+        reason: `Chỉ được đổi lịch trước giờ bắt đầu ít nhất ${rules.minHoursBeforeStart} giờ`,
+        feeAmount: 0,
+        rules
+      };
+    }
+
+    const isFree = previousRescheduleCount < rules.freeReschedules;
+    let feeAmount = 0;
+    if (!isFree) {
+      if (rules.feeType === 'FIXED') {
+        feeAmount = rules.feeValue;
+      } else if (rules.feeType === 'PERCENTAGE') {
+        feeAmount = Math.round((bookingAmount * rules.feeValue) / 100);
+      }
+    }
+
+    return { allowed: true, feeAmount, isFree: feeAmount === 0, rules };
+  }
+
   /**
    * Update policy
    */
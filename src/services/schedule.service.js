@@ -1,7 +1,174 @@
 // #region Imports
-import { Schedule } from '../models/index.js';
+import mongoose from 'mongoose';
+import { Schedule, Studio, Booking, User } from '../models/index.js';
 import { NotFoundError, ValidationError, ConflictError } from '../utils/errors.js';
-import { SCHEDULE_STATUS } from '../utils/constants.js';
+import { SCHEDULE_STATUS, BOOKING_STATUS, BOOKING_EVENT_TYPE, NOTIFICATION_TYPE, TIME_CONSTANTS } from '../utils/constants.js';
+import { assertStudioOpen, getHolidayMap, getClosureReason } from './studioCalendar.service.js';
+import { createAndSendNotification } from './notification.service.js';
+import { sendBookingRescheduleEmail } from './email.service.js';
+import { buildBookingIcs } from './calendar.service.js';
+import { formatDate, formatDateTime, formatTime } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+// #endregion
+
+// #region Buffers
+
+// Studio defaults when a studio has no buffer settings (matches the former fixed 30-minute gap)
+export const DEFAULT_BUFFER_BEFORE_MINUTES = 0;
+export const DEFAULT_BUFFER_AFTER_MINUTES = 30;
+// Upper bound of a single buffer; conflict queries look this far around the requested window
+export const MAX_BUFFER_MINUTES = 240;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Default pre/post buffers (minutes) of an already loaded studio
+ * @returns {{before: number, after: number}}
+ */
+export const studioBuffersOf = (studio) => ({
+  before: studio?.bufferBeforeMinutes ?? DEFAULT_BUFFER_BEFORE_MINUTES,
+  after: studio?.bufferAfterMinutes ?? DEFAULT_BUFFER_AFTER_MINUTES,
+});
+
+/**
+ * Default pre/post buffers (minutes) of a studio
+ * @returns {{before: number, after: number}}
+ */
+export const getStudioBuffers = async (studioId, session = null) => {
+  const query = Studio.findById(studioId).select('bufferBeforeMinutes bufferAfterMinutes').lean();
+  if (session) query.session(session);
+  return studioBuffersOf(await query);
+};
+
+/**
+ * Buffers of a schedule: its booking-time snapshot, otherwise the studio defaults
+ */
+export const resolveScheduleBuffers = (schedule, studioBuffers) => ({
+  before: schedule.bufferBeforeMinutes ?? studioBuffers.before,
+  after: schedule.bufferAfterMinutes ?? studioBuffers.after,
+});
+
+/**
+ * Time a schedule keeps the studio busy, buffers included
+ */
+export const getBlockedWindow = (schedule, buffers) => ({
+  startTime: new Date(new Date(schedule.startTime).getTime() - buffers.before * MINUTE_MS),
+  endTime: new Date(new Date(schedule.endTime).getTime() + buffers.after * MINUTE_MS),
+});
+
+export const describeBuffers = (buffers) => `${buffers.before} phút chuẩn bị, ${buffers.after} phút dọn dẹp`;
+
+/**
+ * Non-cancelled schedules whose blocked window overlaps the blocked window of [startTime, endTime].
+ * @param {Object} options
+ * @param {Object} options.buffers - Buffers of the requested window (default: studio buffers)
+ * @param {Object} options.studioBuffers - Studio defaults if already loaded
+ * @param {string} options.excludeId - Schedule to ignore (the one being updated)
+ * @returns {Array} Conflicting schedules sorted by start time
+ */
+export const findBufferConflicts = async ({ studioId, startTime, endTime, buffers = null, studioBuffers = null, excludeId = null, session = null }) => {
+  const defaults = studioBuffers || await getStudioBuffers(studioId, session);
+  const { startTime: blockedStart, endTime: blockedEnd } = getBlockedWindow({ startTime, endTime }, buffers || defaults);
+  const lookAroundMs = MAX_BUFFER_MINUTES * MINUTE_MS;
+
+  const query = Schedule.find({
+    studioId,
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    startTime: { $lt: new Date(blockedEnd.getTime() + lookAroundMs) },
+    endTime: { $gt: new Date(blockedStart.getTime() - lookAroundMs) },
+    status: { $ne: SCHEDULE_STATUS.CANCELLED } // Ignore cancelled schedules
+  }).sort({ startTime: 1 });
+  if (session) query.session(session);
+  const candidates = await query;
+
+  return candidates.filter((schedule) => {
+    const blocked = getBlockedWindow(schedule, resolveScheduleBuffers(schedule, defaults));
+    return blocked.startTime < blockedEnd && blocked.endTime > blockedStart;
+  });
+};
+
+/**
+ * Grow the buffers of a schedule (e.g. a set design that needs build/strike time).
+ * Buffers never shrink; throws ConflictError when the larger window collides with another schedule.
+ * @param {Object} extra - { before, after } minutes added on top of the studio defaults
+ */
+export const widenScheduleBuffers = async (scheduleId, extra, session = null) => {
+  const query = Schedule.findById(scheduleId);
+  if (session) query.session(session);
+  const schedule = await query;
+  if (!schedule) throw new NotFoundError('Lịch không tồn tại');
+
+  const studioBuffers = await getStudioBuffers(schedule.studioId, session);
+  const current = resolveScheduleBuffers(schedule, studioBuffers);
+  const target = {
+    before: Math.min(MAX_BUFFER_MINUTES, Math.max(current.before, studioBuffers.before + (extra.before || 0))),
+    after: Math.min(MAX_BUFFER_MINUTES, Math.max(current.after, studioBuffers.after + (extra.after || 0))),
+  };
+  if (target.before === current.before && target.after === current.after) return schedule;
+
+  const [conflict] = await findBufferConflicts({
+    studioId: schedule.studioId,
+    startTime: schedule.startTime,
+    endTime: schedule.endTime,
+    buffers: target,
+    studioBuffers,
+    excludeId: schedule._id,
+    session
+  });
+  if (conflict) {
+    throw new ConflictError(`Không đủ thời gian trước/sau lịch (${describeBuffers(target)}): trùng lịch ${formatDateTime(conflict.startTime)} - ${formatTime(conflict.endTime)}`);
+  }
+
+  schedule.bufferBeforeMinutes = target.before;
+  schedule.bufferAfterMinutes = target.after;
+  await schedule.save({ session });
+  return schedule;
+};
+
+/**
+ * First schedule among `candidates` whose blocked window overlaps the blocked window of `window`.
+ * In-memory counterpart of findBufferConflicts for bulk planning.
+ */
+export const findConflictAmong = (window, buffers, candidates, studioBuffers) => {
+  const blocked = getBlockedWindow(window, buffers);
+  return candidates.find((schedule) => {
+    const other = getBlockedWindow(schedule, resolveScheduleBuffers(schedule, studioBuffers));
+    return other.startTime < blocked.endTime && other.endTime > blocked.startTime;
+  }) || null;
+};
+
+// #endregion
+
+// #region Date Ranges
+
+const TZ_OFFSET_MS = TIME_CONSTANTS.DEFAULT_TIMEZONE_OFFSET * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+export const MAX_BULK_RANGE_DAYS = 92;
+
+/**
+ * Whole VN days [startDate, endDate] ('YYYY-MM-DD', both inclusive) as UTC instants
+ * @returns {{from: Date, to: Date, days: number}} to = midnight after endDate
+ */
+export const resolveDateRange = (startDate, endDate) => {
+  if (!DATE_KEY_REGEX.test(startDate || '') || !DATE_KEY_REGEX.test(endDate || '')) {
+    throw new ValidationError('startDate và endDate là bắt buộc (định dạng YYYY-MM-DD)');
+  }
+  const toUtc = (key) => {
+    const [y, m, d] = key.split('-').map(Number);
+    return Date.UTC(y, m - 1, d) - TZ_OFFSET_MS;
+  };
+  const from = toUtc(startDate);
+  const to = toUtc(endDate) + DAY_MS;
+  if (isNaN(from) || isNaN(to)) throw new ValidationError('Khoảng ngày không hợp lệ');
+  if (to <= from) throw new ValidationError('endDate phải sau hoặc bằng startDate');
+
+  const days = Math.round((to - from) / DAY_MS);
+  if (days > MAX_BULK_RANGE_DAYS) {
+    throw new ValidationError(`Khoảng ngày tối đa là ${MAX_BULK_RANGE_DAYS} ngày`);
+  }
+  return { from: new Date(from), to: new Date(to), days };
+};
+
 // #endregion
 
 export const createSchedule = async (data, session = null) => {
@@ -47,25 +214,29 @@ export const createSchedule = async (data, session = null) => {
       throw new ValidationError(`Trạng thái không hợp lệ. Chọn từ: ${Object.values(SCHEDULE_STATUS).join(', ')}`);
     }
 
-    // Minimum gap between schedules (30 minutes)
-    const MIN_GAP_MS = 30 * 60 * 1000; // 30 minutes in ms
+    // Must fall inside operating hours, outside holidays and blackouts
+    await assertStudioOpen(studioId, s, e, session);
 
-    // Prevent overlapping schedules and enforce minimum gap for the same studio
-    const conflictQuery = Schedule.findOne({
-      studioId,
-      startTime: { $lt: new Date(e.getTime() + MIN_GAP_MS) },
-      endTime: { $gt: new Date(s.getTime() - MIN_GAP_MS) },
-      status: { $ne: SCHEDULE_STATUS.CANCELLED } // Ignore cancelled schedules
-    });
-    if (session) conflictQuery.session(session);
-    const conflict = await conflictQuery;
+    // Prevent overlapping schedules and keep the pre/post buffers of both sides free
+    const studioBuffers = await getStudioBuffers(studioId, session);
+    const buffers = {
+      before: data.bufferBeforeMinutes ?? studioBuffers.before,
+      after: data.bufferAfterMinutes ?? studioBuffers.after,
+    };
+    const [conflict] = await findBufferConflicts({ studioId, startTime: s, endTime: e, buffers, studioBuffers, session });
 
     if (conflict) {
       const conflictStart = new Date(conflict.startTime).toLocaleString('vi-VN');
       const conflictEnd = new Date(conflict.endTime).toLocaleString('vi-VN');
-      throw new ConflictError(`Lịch bị trùng hoặc quá gần với lịch đã có (${conflictStart} - ${conflictEnd}). Khoảng cách tối thiểu 30 phút.`);
+      throw new ConflictError(`Lịch bị trùng hoặc quá gần với lịch đã có (${conflictStart} - ${conflictEnd}). Cần chừa ${describeBuffers(buffers)}.`);
     }
 
+    // Explicit buffers are snapshotted; otherwise the schedule follows the studio defaults
+    const bufferSnapshot = {
+      bufferBeforeMinutes: data.bufferBeforeMinutes ?? null,
+      bufferAfterMinutes: data.bufferAfterMinutes ?? null,
+    };
+
     let schedule;
     if (session) {
       const [doc] = await Schedule.create(
@@ -75,6 +246,7 @@ export const createSchedule = async (data, session = null) => {
             startTime: s,
             endTime: e,
             status: data.status || SCHEDULE_STATUS.AVAILABLE,
+            ...bufferSnapshot,
           },
         ],
         { session },
@@ -86,12 +258,13 @@ export const createSchedule = async (data, session = null) => {
         startTime: s,
         endTime: e,
         status: data.status || SCHEDULE_STATUS.AVAILABLE,
+        ...bufferSnapshot,
       });
     }
 
     return schedule;
   } catch (error) {
-    if (error instanceof ValidationError || error instanceof ConflictError) {
+    if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ConflictError) {
       throw error;
     }
     throw new Error('Lỗi khi tạo lịch');
@@ -205,20 +378,25 @@ export const updateSchedule = async (id, updateData, session = null) => {
       throw new ValidationError(`Trạng thái không hợp lệ. Chọn từ: ${Object.values(SCHEDULE_STATUS).join(', ')}`);
     }
 
-    // Enforce minimum gap when updating
-    const MIN_GAP_MS = 30 * 60 * 1000;
-    const conflictQuery = Schedule.findOne({
-      _id: { $ne: schedule._id },
+    if (updateData.startTime || updateData.endTime) {
+      await assertStudioOpen(schedule.studioId, schedule.startTime, schedule.endTime, session);
+    }
+
+    // Enforce pre/post buffers when updating
+    const studioBuffers = await getStudioBuffers(schedule.studioId, session);
+    const buffers = resolveScheduleBuffers(schedule, studioBuffers);
+    const [conflict] = await findBufferConflicts({
       studioId: schedule.studioId,
-      startTime: { $lt: new Date(schedule.endTime.getTime() + MIN_GAP_MS) },
-      endTime: { $gt: new Date(schedule.startTime.getTime() - MIN_GAP_MS) },
-      status: { $ne: SCHEDULE_STATUS.CANCELLED } // Ignore cancelled schedules
+      startTime: schedule.startTime,
+      endTime: schedule.endTime,
+      buffers,
+      studioBuffers,
+      excludeId: schedule._id,
+      session
     });
-    if (session) conflictQuery.session(session);
-    const conflict = await conflictQuery;
 
     if (conflict) {
-      throw new ConflictError('Lịch cập nhật bị trùng hoặc quá gần với lịch đã có (khoảng cách tối thiểu 30 phút)');
+      throw new ConflictError(`Lịch cập nhật bị trùng hoặc quá gần với lịch đã có (cần chừa ${describeBuffers(buffers)})`);
     }
 
     await schedule.save({ session });
@@ -312,6 +490,9 @@ export const freeSchedule = async (scheduleId, session = null) => {
     
     schedule.status = SCHEDULE_STATUS.AVAILABLE;
     schedule.bookingId = null;
+    schedule.holdExpiresAt = null;
+    schedule.bufferBeforeMinutes = null;
+    schedule.bufferAfterMinutes = null;
     await schedule.save({ session });
     return schedule;
   } catch (error) {
@@ -351,6 +532,7 @@ export const cancelSchedule = async (scheduleId, session = null) => {
     }
 
     schedule.status = SCHEDULE_STATUS.CANCELLED;
+    schedule.holdExpiresAt = null;
     // Keep bookingId for history tracking
     await schedule.save({ session });
     return schedule;
@@ -362,6 +544,337 @@ export const cancelSchedule = async (scheduleId, session = null) => {
   }
 };
 
+/**
+ * Hold a booked schedule until expiresAt while the customer pays.
+ * The slot-hold job frees it if the booking is still unpaid by then.
+ */
+export const holdSchedule = async (scheduleId, expiresAt, session = null) => {
+  if (!scheduleId) {
+    throw new ValidationError('ID lịch là bắt buộc');
+  }
+
+  return Schedule.findOneAndUpdate(
+    { _id: scheduleId, status: SCHEDULE_STATUS.BOOKED },
+    { holdExpiresAt: expiresAt },
+    { new: true, session }
+  );
+};
+
+/**
+ * Push live holds forward (never shortens a hold, never revives an expired one)
+ * @returns {number} Number of schedules whose hold was extended
+ */
+export const extendScheduleHolds = async (scheduleIds, expiresAt, session = null) => {
+  const ids = (scheduleIds || []).filter(Boolean);
+  if (ids.length === 0) return 0;
+
+  const result = await Schedule.updateMany(
+    {
+      _id: { $in: ids },
+      status: SCHEDULE_STATUS.BOOKED,
+      holdExpiresAt: { $gt: new Date() }
+    },
+    { $max: { holdExpiresAt: expiresAt } },
+    { session }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Drop the hold once the booking no longer needs it (paid / confirmed)
+ */
+export const clearScheduleHold = async (scheduleId, session = null) => {
+  if (!scheduleId) return null;
+  return Schedule.findByIdAndUpdate(scheduleId, { holdExpiresAt: null }, { new: true, session });
+};
+
+// #region Bulk Operations
+
+const ACTIVE_BOOKING_STATUSES = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED];
+const MAX_SHIFT_MINUTES = 24 * 60;
+const MAX_BULK_SCHEDULES = 2000;
+
+const normalizeStudioIds = (studioIds) => {
+  const ids = [...new Set((Array.isArray(studioIds) ? studioIds : [studioIds]).filter(Boolean).map(String))];
+  if (ids.length === 0) throw new ValidationError('Vui lòng chọn ít nhất một studio (studioIds)');
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) throw new ValidationError('studioIds không hợp lệ');
+  return ids;
+};
+
+/**
+ * Upcoming, non-cancelled schedules of the studios starting within the range,
+ * with the active booking (if any) of each booked slot
+ */
+const loadBulkTargets = async ({ studioIds, startDate, endDate }) => {
+  const ids = normalizeStudioIds(studioIds);
+  const { from, to } = resolveDateRange(startDate, endDate);
+  const now = new Date();
+
+  const schedules = await Schedule.find({
+    studioId: { $in: ids },
+    startTime: { $gte: from > now ? from : now, $lt: to },
+    status: { $ne: SCHEDULE_STATUS.CANCELLED }
+  }).sort({ startTime: 1 }).lean();
+  if (schedules.length > MAX_BULK_SCHEDULES) {
+    throw new ValidationError(`Khoảng ngày có quá nhiều lịch (${schedules.length}). Tối đa ${MAX_BULK_SCHEDULES} lịch mỗi lần.`);
+  }
+
+  const bookingIds = schedules.filter(sc => sc.status === SCHEDULE_STATUS.BOOKED && sc.bookingId).map(sc => sc.bookingId);
+  const bookings = bookingIds.length
+    ? await Booking.find({ _id: { $in: bookingIds }, status: { $in: ACTIVE_BOOKING_STATUSES } }).select('userId status finalAmount').lean()
+    : [];
+  const bookingById = new Map(bookings.map(b => [b._id.toString(), b]));
+
+  return {
+    ids,
+    from,
+    to,
+    schedules: schedules.map(sc => ({ ...sc, booking: sc.bookingId ? bookingById.get(sc.bookingId.toString()) || null : null })),
+  };
+};
+
+const describeTarget = (sc) => ({
+  scheduleId: sc._id,
+  studioId: sc.studioId,
+  startTime: sc.startTime,
+  endTime: sc.endTime,
+  status: sc.status,
+  bookingId: sc.booking?._id || null,
+  userId: sc.booking?.userId || null,
+});
+
+/**
+ * Cancel every upcoming schedule of the studios within a date range (e.g. the studio closes for a week).
+ * Free slots are cancelled in one update; booked slots cancel their booking with a full refund
+ * (studio-initiated) and the booking holder is notified.
+ * @param {Object} data - { studioIds, startDate, endDate, reason, dryRun }
+ * @returns {Object} - { cancelledSchedules, cancelledBookings, failed } or the affected list when dryRun
+ */
+export const bulkCancelSchedules = async (data = {}, actorId = null, io = null) => {
+  const { schedules } = await loadBulkTargets(data);
+  const reason = data.reason?.toString().trim() || null;
+
+  const free = schedules.filter(sc => !sc.booking);
+  const booked = schedules.filter(sc => sc.booking);
+
+  if (data.dryRun) {
+    return {
+      dryRun: true,
+      totalSchedules: schedules.length,
+      freeSchedules: free.length,
+      affectedBookings: booked.map(describeTarget),
+    };
+  }
+
+  const freeResult = free.length
+    ? await Schedule.updateMany(
+      { _id: { $in: free.map(sc => sc._id) }, status: { $ne: SCHEDULE_STATUS.CANCELLED } },
+      { status: SCHEDULE_STATUS.CANCELLED, holdExpiresAt: null }
+    )
+    : { modifiedCount: 0 };
+
+  // cancelBooking lives in booking.service, which imports this module
+  const { cancelBooking } = await import('./booking.service.js');
+  const cancelledBookings = [];
+  const failed = [];
+  for (const sc of booked) {
+    try {
+      const cancelled = await cancelBooking(sc.booking._id, { studioInitiated: true, reason });
+      const refundAmount = cancelled.financials?.refundAmount || 0;
+      cancelledBookings.push({ ...describeTarget(sc), refundAmount });
+
+      await createAndSendNotification(
+        sc.booking.userId,
+        NOTIFICATION_TYPE.WARNING,
+        'Booking bị hủy do studio thay đổi lịch',
+        `Booking lúc ${formatDateTime(sc.startTime)} - ${formatTime(sc.endTime)} đã bị hủy${reason ? ` (${reason})` : ''}. ` +
+          (refundAmount > 0
+            ? `Bạn được hoàn 100% số tiền đã thanh toán (${refundAmount.toLocaleString('vi-VN')} VND), vui lòng gửi yêu cầu hoàn tiền kèm thông tin ngân hàng.`
+            : 'Rất xin lỗi vì sự bất tiện này.'),
+        true,
+        io,
+        sc.booking._id
+      );
+    } catch (err) {
+      logger.error(`Bulk cancel: failed to cancel booking ${sc.booking._id}`, err);
+      failed.push({ ...describeTarget(sc), error: err.message });
+    }
+  }
+
+  logger.info(`Bulk cancel by ${actorId || 'system'}: ${freeResult.modifiedCount} free schedules, ${cancelledBookings.length} bookings, ${failed.length} failed`);
+
+  return {
+    cancelledSchedules: freeResult.modifiedCount + cancelledBookings.length,
+    cancelledBookings,
+    failed,
+  };
+};
+
+/**
+ * Move every upcoming schedule of the studios within a date range by offsetMinutes
+ * (e.g. opening 30 minutes later for a month). All-or-nothing: the new windows must respect
+ * opening hours and buffers, otherwise nothing moves. Booking holders are notified with the
+ * updated calendar event.
+ * @param {Object} data - { studioIds, startDate, endDate, offsetMinutes, reason, dryRun }
+ */
+export const bulkShiftSchedules = async (data = {}, actorId = null, io = null) => {
+  const offsetMinutes = Number(data.offsetMinutes);
+  if (!Number.isInteger(offsetMinutes) || offsetMinutes === 0 || Math.abs(offsetMinutes) > MAX_SHIFT_MINUTES) {
+    throw new ValidationError(`offsetMinutes phải là số nguyên khác 0, tối đa ±${MAX_SHIFT_MINUTES} phút`);
+  }
+  const offsetMs = offsetMinutes * MINUTE_MS;
+  const reason = data.reason?.toString().trim() || null;
+
+  const { ids, from, to, schedules } = await loadBulkTargets(data);
+  const now = new Date();
+  const movedIds = new Set(schedules.map(sc => sc._id.toString()));
+
+  // Plan: new windows checked against opening hours, untouched schedules and the other moved ones
+  const lookAroundMs = (MAX_BUFFER_MINUTES * MINUTE_MS) + Math.abs(offsetMs) + DAY_MS;
+  const holidays = await getHolidayMap(new Date(from.getTime() - Math.abs(offsetMs)), new Date(to.getTime() + Math.abs(offsetMs)));
+  const plan = [];
+  const problems = [];
+  for (const studioId of ids) {
+    const targets = schedules.filter(sc => sc.studioId.toString() === studioId);
+    if (targets.length === 0) continue;
+
+    const studio = await Studio.findById(studioId).select('name operatingHours closedOnHolidays blackouts bufferBeforeMinutes bufferAfterMinutes').lean();
+    if (!studio) throw new NotFoundError('Studio không tồn tại');
+    const studioBuffers = studioBuffersOf(studio);
+
+    const untouched = (await Schedule.find({
+      studioId,
+      status: { $ne: SCHEDULE_STATUS.CANCELLED },
+      startTime: { $lt: new Date(to.getTime() + lookAroundMs) },
+      endTime: { $gt: new Date(from.getTime() - lookAroundMs) }
+    }).lean()).filter(sc => !movedIds.has(sc._id.toString()));
+
+    const moved = targets.map(sc => ({
+      ...sc,
+      startTime: new Date(new Date(sc.startTime).getTime() + offsetMs),
+      endTime: new Date(new Date(sc.endTime).getTime() + offsetMs),
+    }));
+
+    moved.forEach((next, i) => {
+      const original = targets[i];
+      const entry = { ...describeTarget(original), studioName: studio.name, newStartTime: next.startTime, newEndTime: next.endTime };
+      plan.push(entry);
+
+      if (next.startTime <= now) {
+        problems.push({ ...entry, reason: 'Khung giờ mới đã ở quá khứ' });
+        return;
+      }
+      const closure = getClosureReason(studio, next.startTime, next.endTime, studio.closedOnHolidays !== false ? holidays : new Map());
+      if (closure) {
+        problems.push({ ...entry, reason: closure });
+        return;
+      }
+      const conflict = findConflictAmong(
+        next,
+        resolveScheduleBuffers(next, studioBuffers),
+        [...untouched, ...moved.filter(other => other._id.toString() !== next._id.toString())],
+        studioBuffers
+      );
+      if (conflict) {
+        problems.push({ ...entry, reason: `Trùng hoặc quá gần lịch ${formatDateTime(conflict.startTime)} - ${formatTime(conflict.endTime)}` });
+      }
+    });
+  }
+
+  if (data.dryRun) {
+    return {
+      dryRun: true,
+      offsetMinutes,
+      totalSchedules: plan.length,
+      affectedBookings: plan.filter(p => p.bookingId),
+      problems,
+    };
+  }
+  if (problems.length > 0) {
+    const first = problems[0];
+    throw new ConflictError(`Không thể dời ${problems.length} lịch (ví dụ ${formatDateTime(first.startTime)}: ${first.reason}). Dùng dryRun để xem chi tiết.`);
+  }
+  if (plan.length === 0) {
+    return { shiftedSchedules: 0, affectedBookings: [] };
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await Schedule.bulkWrite(plan.map(p => ({
+        updateOne: {
+          filter: { _id: p.scheduleId, status: { $ne: SCHEDULE_STATUS.CANCELLED }, startTime: p.startTime },
+          update: { $set: { startTime: p.newStartTime, endTime: p.newEndTime } }
+        }
+      })), { session });
+
+      // Booking history keeps the move (also bumps the calendar SEQUENCE)
+      for (const p of plan.filter(item => item.bookingId)) {
+        await Booking.updateOne(
+          { _id: p.bookingId },
+          {
+            $push: {
+              events: {
+                type: BOOKING_EVENT_TYPE.RESCHEDULED,
+                timestamp: new Date(),
+                details: {
+                  bulkShift: true,
+                  offsetMinutes,
+                  reason,
+                  previousSchedule: { scheduleId: p.scheduleId, startTime: p.startTime, endTime: p.endTime },
+                  newSchedule: { scheduleId: p.scheduleId, startTime: p.newStartTime, endTime: p.newEndTime },
+                  actorId
+                },
+                amount: 0
+              }
+            }
+          },
+          { session }
+        );
+      }
+    }, { writeConcern: { w: 'majority' }, readConcern: { level: 'majority' } });
+  } finally {
+    session.endSession();
+  }
+
+  // After commit: tell every booking holder about the new time
+  const affected = plan.filter(p => p.bookingId);
+  for (const p of affected) {
+    try {
+      await createAndSendNotification(
+        p.userId,
+        NOTIFICATION_TYPE.CHANGE,
+        'Lịch booking đã được dời',
+        `Studio đã dời lịch booking của bạn từ ${formatDateTime(p.startTime)} - ${formatTime(p.endTime)} sang ${formatDateTime(p.newStartTime)} - ${formatTime(p.newEndTime)}${reason ? ` (${reason})` : ''}. Nếu khung giờ mới không phù hợp, vui lòng liên hệ để được hỗ trợ.`,
+        false,
+        io,
+        p.bookingId
+      );
+      const [customer, calendar] = await Promise.all([
+        User.findById(p.userId).select('email').lean(),
+        buildBookingIcs(p.bookingId),
+      ]);
+      if (customer?.email) {
+        await sendBookingRescheduleEmail(customer.email, {
+          bookingId: p.bookingId.toString(),
+          studioName: p.studioName,
+          oldDate: formatDate(p.startTime),
+          oldTime: `${formatTime(p.startTime)} - ${formatTime(p.endTime)}`,
+          date: formatDate(p.newStartTime),
+          time: `${formatTime(p.newStartTime)} - ${formatTime(p.newEndTime)}`,
+          calendar,
+        });
+      }
+    } catch (err) {
+      logger.error(`Bulk shift: failed to notify booking ${p.bookingId}`, err);
+    }
+  }
+
+  return { shiftedSchedules: plan.length, offsetMinutes, affectedBookings: affected };
+};
+
+// #endregion
+
 export default {
   createSchedule,
   getScheduleById,
@@ -371,4 +884,14 @@ export default {
   markScheduleBooked,
   freeSchedule,
   cancelSchedule,
+  holdSchedule,
+  extendScheduleHolds,
+  clearScheduleHold,
+  getStudioBuffers,
+  findBufferConflicts,
+  widenScheduleBuffers,
+  findConflictAmong,
+  resolveDateRange,
+  bulkCancelSchedules,
+  bulkShiftSchedules,
 };
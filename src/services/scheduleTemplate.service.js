@@ -0,0 +1,289 @@
+// #region Imports
+import mongoose from 'mongoose';
+import { ScheduleTemplate, Schedule, Studio } from '../models/index.js';
+import { NotFoundError, ValidationError, ConflictError } from '../utils/errors.js';
+import { SCHEDULE_STATUS, STUDIO_STATUS, TIME_CONSTANTS } from '../utils/constants.js';
+import { getHolidayMap, getClosureReason } from './studioCalendar.service.js';
+import { studioBuffersOf, findConflictAmong, resolveDateRange, MAX_BUFFER_MINUTES } from './schedule.service.js';
+import { formatDateTime, formatTime } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+// #endregion
+
+const TZ_OFFSET_MS = TIME_CONSTANTS.DEFAULT_TIMEZONE_OFFSET * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const TIME_OF_DAY_REGEX = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const TEMPLATE_FIELDS = ['name', 'description', 'daysOfWeek', 'startTime', 'endTime', 'slotMinutes', 'gapMinutes', 'isActive'];
+const MAX_SLOTS_PER_APPLY = 2000;
+
+export const SLOT_STATUS = {
+  OK: 'ok',
+  CONFLICT: 'conflict',
+  CLOSED: 'closed',
+};
+
+// #region Helpers
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+const validateTemplateData = (data, partial = false) => {
+  const has = (key) => data[key] !== undefined;
+
+  if (!partial || has('name')) {
+    if (!data.name || !data.name.toString().trim()) throw new ValidationError('Tên mẫu lịch là bắt buộc');
+  }
+  if (!partial || has('daysOfWeek')) {
+    const days = data.daysOfWeek;
+    if (!Array.isArray(days) || days.length === 0 || days.some(d => !Number.isInteger(Number(d)) || d < 0 || d > 6)) {
+      throw new ValidationError('daysOfWeek phải là danh sách ngày trong tuần (0 = Chủ nhật ... 6 = Thứ bảy)');
+    }
+  }
+  ['startTime', 'endTime'].forEach((key) => {
+    if ((!partial || has(key)) && !TIME_OF_DAY_REGEX.test(data[key] || '')) {
+      throw new ValidationError(`${key} phải có định dạng HH:mm`);
+    }
+  });
+  if (!partial || has('slotMinutes')) {
+    const slot = Number(data.slotMinutes);
+    if (!Number.isInteger(slot) || slot < 60) throw new ValidationError('slotMinutes phải là số nguyên, tối thiểu 60 phút');
+  }
+  if (has('gapMinutes')) {
+    const gap = Number(data.gapMinutes);
+    if (!Number.isInteger(gap) || gap < 0) throw new ValidationError('gapMinutes phải là số nguyên không âm');
+  }
+};
+
+const assertTemplateWindow = (template) => {
+  const start = toMinutes(template.startTime);
+  const end = toMinutes(template.endTime);
+  if (end <= start) throw new ValidationError('Giờ kết thúc của mẫu phải sau giờ bắt đầu');
+  if (end - start < template.slotMinutes) throw new ValidationError('Khung giờ của mẫu ngắn hơn một slot');
+};
+
+/**
+ * Slots of a template for one studio over the range. Consecutive slots are spaced by the
+ * studio buffers (cleanup after + preparation before) plus the template gap, so they never
+ * conflict with each other.
+ */
+const expandTemplate = (template, studioBuffers, from, to) => {
+  const dayStart = toMinutes(template.startTime);
+  const dayEnd = toMinutes(template.endTime);
+  const stepMinutes = template.slotMinutes + (template.gapMinutes || 0) + studioBuffers.after + studioBuffers.before;
+  const now = Date.now();
+
+  const slots = [];
+  for (let day = from.getTime(); day < to.getTime(); day += DAY_MS) {
+    const weekday = new Date(day + TZ_OFFSET_MS).getUTCDay();
+    if (!template.daysOfWeek.includes(weekday)) continue;
+
+    for (let m = dayStart; m + template.slotMinutes <= dayEnd; m += stepMinutes) {
+      const startTime = new Date(day + m * MINUTE_MS);
+      if (startTime.getTime() <= now) continue;
+      slots.push({ startTime, endTime: new Date(startTime.getTime() + template.slotMinutes * MINUTE_MS) });
+    }
+  }
+  return slots;
+};
+
+/**
+ * Expand the template over every studio and classify each slot:
+ * ok (will be created), conflict (overlaps an existing schedule incl. buffers), closed (outside opening hours)
+ */
+const buildPlan = async (template, { studioIds, startDate, endDate } = {}, session = null) => {
+  assertTemplateWindow(template);
+  const ids = [...new Set((Array.isArray(studioIds) ? studioIds : [studioIds]).filter(Boolean).map(String))];
+  if (ids.length === 0) throw new ValidationError('Vui lòng chọn ít nhất một studio (studioIds)');
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) throw new ValidationError('studioIds không hợp lệ');
+  const { from, to } = resolveDateRange(startDate, endDate);
+
+  const studioQuery = Studio.find({ _id: { $in: ids } })
+    .select('name status operatingHours closedOnHolidays blackouts bufferBeforeMinutes bufferAfterMinutes')
+    .lean();
+  if (session) studioQuery.session(session);
+  const studios = await studioQuery;
+  if (studios.length !== ids.length) throw new NotFoundError('Có studio không tồn tại');
+  const inactive = studios.find(st => st.status !== STUDIO_STATUS.ACTIVE);
+  if (inactive) throw new ValidationError(`Studio ${inactive.name} không hoạt động`);
+
+  const holidays = await getHolidayMap(from, to, session);
+  const lookAroundMs = MAX_BUFFER_MINUTES * MINUTE_MS;
+
+  const slots = [];
+  for (const studio of studios) {
+    const studioBuffers = studioBuffersOf(studio);
+    const existingQuery = Schedule.find({
+      studioId: studio._id,
+      status: { $ne: SCHEDULE_STATUS.CANCELLED },
+      startTime: { $lt: new Date(to.getTime() + lookAroundMs) },
+      endTime: { $gt: new Date(from.getTime() - lookAroundMs) }
+    }).lean();
+    if (session) existingQuery.session(session);
+    const existing = await existingQuery;
+
+    for (const slot of expandTemplate(template, studioBuffers, from, to)) {
+      const entry = { studioId: studio._id, studioName: studio.name, startTime: slot.startTime, endTime: slot.endTime, status: SLOT_STATUS.OK };
+
+      const closure = getClosureReason(studio, slot.startTime, slot.endTime, studio.closedOnHolidays !== false ? holidays : new Map());
+      if (closure) {
+        entry.status = SLOT_STATUS.CLOSED;
+        entry.reason = closure;
+      } else {
+        const conflict = findConflictAmong(slot, studioBuffers, existing, studioBuffers);
+        if (conflict) {
+          entry.status = SLOT_STATUS.CONFLICT;
+          entry.conflictScheduleId = conflict._id;
+          entry.reason = `Trùng hoặc quá gần lịch ${formatDateTime(conflict.startTime)} - ${formatTime(conflict.endTime)}`;
+        }
+      }
+      slots.push(entry);
+    }
+  }
+
+  if (slots.length > MAX_SLOTS_PER_APPLY) {
+    throw new ValidationError(`Mẫu tạo ra quá nhiều slot (${slots.length}). Tối đa ${MAX_SLOTS_PER_APPLY} slot mỗi lần, vui lòng thu hẹp khoảng ngày.`);
+  }
+
+  const count = (status) => slots.filter(sl => sl.status === status).length;
+  return {
+    range: { from, to },
+    summary: {
+      total: slots.length,
+      creatable: count(SLOT_STATUS.OK),
+      conflicts: count(SLOT_STATUS.CONFLICT),
+      closed: count(SLOT_STATUS.CLOSED),
+    },
+    slots,
+  };
+};
+
+// #endregion
+
+// #region Template CRUD
+
+export const getTemplates = async ({ includeInactive = false } = {}) => {
+  const filter = includeInactive ? {} : { isActive: true };
+  return ScheduleTemplate.find(filter).sort({ name: 1 }).lean();
+};
+
+export const getTemplateById = async (id) => {
+  const template = await ScheduleTemplate.findById(id).lean();
+  if (!template) throw new NotFoundError('Mẫu lịch không tồn tại');
+  return template;
+};
+
+export const createTemplate = async (data = {}, userId = null) => {
+  validateTemplateData(data);
+  const payload = {};
+  TEMPLATE_FIELDS.forEach((key) => {
+    if (data[key] !== undefined) payload[key] = data[key];
+  });
+  payload.daysOfWeek = [...new Set(payload.daysOfWeek.map(Number))].sort();
+  assertTemplateWindow({ ...payload, slotMinutes: Number(payload.slotMinutes) });
+
+  const duplicate = await ScheduleTemplate.findOne({ name: payload.name.toString().trim() }).lean();
+  if (duplicate) throw new ConflictError('Tên mẫu lịch đã tồn tại');
+
+  return ScheduleTemplate.create({ ...payload, createdBy: userId });
+};
+
+export const updateTemplate = async (id, data = {}) => {
+  validateTemplateData(data, true);
+  const template = await ScheduleTemplate.findById(id);
+  if (!template) throw new NotFoundError('Mẫu lịch không tồn tại');
+
+  if (data.name && data.name.toString().trim() !== template.name) {
+    const duplicate = await ScheduleTemplate.findOne({ name: data.name.toString().trim(), _id: { $ne: id } }).lean();
+    if (duplicate) throw new ConflictError('Tên mẫu lịch đã tồn tại');
+  }
+
+  TEMPLATE_FIELDS.forEach((key) => {
+    if (data[key] !== undefined) template[key] = data[key];
+  });
+  if (data.daysOfWeek !== undefined) {
+    template.daysOfWeek = [...new Set(data.daysOfWeek.map(Number))].sort();
+  }
+  assertTemplateWindow(template);
+
+  await template.save();
+  return template;
+};
+
+export const deleteTemplate = async (id) => {
+  const template = await ScheduleTemplate.findByIdAndDelete(id);
+  if (!template) throw new NotFoundError('Mẫu lịch không tồn tại');
+  return template;
+};
+
+// #endregion
+
+// #region Apply Template
+
+/**
+ * Preview the slots a template would create (nothing is written)
+ * @param {Object} options - { studioIds, startDate, endDate } dates are VN days 'YYYY-MM-DD', inclusive
+ */
+export const previewTemplate = async (templateId, options = {}) => {
+  const template = await getTemplateById(templateId);
+  const plan = await buildPlan(template, options);
+  return { template, ...plan };
+};
+
+/**
+ * Create every slot of the template in one transaction.
+ * Closed slots are always skipped; conflicting slots abort the whole run unless skipConflicts is set.
+ * @param {Object} options - { studioIds, startDate, endDate, skipConflicts }
+ * @returns {Object} - { created, skipped: { conflicts, closed }, schedules }
+ */
+export const applyTemplate = async (templateId, options = {}, actorId = null) => {
+  const template = await getTemplateById(templateId);
+  if (!template.isActive) throw new ValidationError('Mẫu lịch đã ngừng sử dụng');
+
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    result = await session.withTransaction(async () => {
+      const plan = await buildPlan(template, options, session);
+
+      if (plan.summary.conflicts > 0 && !options.skipConflicts) {
+        const first = plan.slots.find(sl => sl.status === SLOT_STATUS.CONFLICT);
+        throw new ConflictError(`${plan.summary.conflicts} slot bị trùng lịch đã có (ví dụ ${first.studioName} ${formatDateTime(first.startTime)}: ${first.reason}). Xem trước hoặc bật skipConflicts để bỏ qua.`);
+      }
+
+      const toCreate = plan.slots.filter(sl => sl.status === SLOT_STATUS.OK);
+      const schedules = toCreate.length
+        ? await Schedule.insertMany(toCreate.map(sl => ({
+          studioId: sl.studioId,
+          startTime: sl.startTime,
+          endTime: sl.endTime,
+          status: SCHEDULE_STATUS.AVAILABLE,
+        })), { session })
+        : [];
+
+      return {
+        created: schedules.length,
+        skipped: { conflicts: plan.summary.conflicts, closed: plan.summary.closed },
+        schedules,
+      };
+    }, { writeConcern: { w: 'majority' }, readConcern: { level: 'majority' } });
+  } finally {
+    session.endSession();
+  }
+
+  logger.info(`Schedule template ${template.name} applied by ${actorId || 'system'}: ${result.created} slots created`);
+  return result;
+};
+
+// #endregion
+
+export default {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+  applyTemplate,
+};
@@ -4,13 +4,15 @@ import Equipment from '../models/Equipment/equipment.model.js';
 import Service from '../models/Service/service.model.js';
 import Promotion from '../models/Promotion/promotion.model.js';
 import SetDesign from '../models/SetDesign/setDesign.model.js';
+import EquipmentKit from '../models/EquipmentKit/equipmentKit.model.js';
+import { serializeKit, KIT_EQUIPMENT_FIELDS } from './equipmentKit.service.js';
 import { escapeRegex } from '../utils/helpers.js';
 import { STUDIO_STATUS, EQUIPMENT_STATUS, SERVICE_STATUS } from '../utils/constants.js';
 import { ValidationError } from '../utils/errors.js';
 // #endregion
 
 // #region Constants
-const VALID_ENTITIES = ['studios', 'equipment', 'services', 'promotions', 'setDesigns'];
+const VALID_ENTITIES = ['studios', 'equipment', 'kits', 'services', 'promotions', 'setDesigns'];
 const DEFAULT_LIMIT = 5;
 const MAX_LIMIT = 20;
 const MIN_KEYWORD_LENGTH = 2;
@@ -64,6 +66,12 @@ export const globalSearch = async ({ keyword, entities = VALID_ENTITIES, limit =
     entityMap.equipment = searchPromises.length - 1;
   }
 
+  if (validEntities.includes('kits')) {
+    const promise = searchKits(escapedKeyword, safeLimit);
+    searchPromises.push(promise);
+    entityMap.kits = searchPromises.length - 1;
+  }
+
   if (validEntities.includes('services')) {
     const promise = searchServices(escapedKeyword, safeLimit);
     searchPromises.push(promise);
@@ -136,7 +144,7 @@ export const getSearchSuggestions = async (keyword, limit = 10) => {
   const safeLimit = Math.min(Math.max(parseInt(limit) || 10, 1), 20);
   
   // Search in parallel across main entities
-  const [studios, equipment, services, setDesigns] = await Promise.all([
+  const [studios, equipment, kits, services, setDesigns] = await Promise.all([
     Studio.find({
       status: STUDIO_STATUS.ACTIVE,
       name: { $regex: escapedKeyword, $options: 'i' }
@@ -152,6 +160,14 @@ export const getSearchSuggestions = async (keyword, limit = 10) => {
       .select('name')
       .limit(safeLimit)
       .lean(),
+    EquipmentKit.find({
+      isActive: true,
+      isDeleted: false,
+      name: { $regex: escapedKeyword, $options: 'i' }
+    })
+      .select('name')
+      .limit(safeLimit)
+      .lean(),
     Service.find({
       status: SERVICE_STATUS.ACTIVE,
       name: { $regex: escapedKeyword, $options: 'i' }
@@ -172,6 +188,7 @@ export const getSearchSuggestions = async (keyword, limit = 10) => {
   const suggestions = [
     ...studios.map(s => ({ text: s.name, type: 'studio', id: s._id })),
     ...equipment.map(e => ({ text: e.name, type: 'equipment', id: e._id })),
+    ...kits.map(k => ({ text: k.name, type: 'kit', id: k._id })),
     ...services.map(s => ({ text: s.name, type: 'service', id: s._id })),
     ...setDesigns.map(d => ({ text: d.name, type: 'setDesign', id: d._id }))
   ];
@@ -240,6 +257,25 @@ const searchEquipment = async (escapedKeyword, limit) => {
     .lean();
 };
 
+/**
+ * Search equipment kits (giá trọn bộ tính từ giá thiết bị hiện tại)
+ */
+const searchKits = async (escapedKeyword, limit) => {
+  const kits = await EquipmentKit.find({
+    isActive: true,
+    isDeleted: false,
+    $or: [
+      { name: { $regex: escapedKeyword, $options: 'i' } },
+      { description: { $regex: escapedKeyword, $options: 'i' } }
+    ]
+  })
+    .populate('items.equipmentId', KIT_EQUIPMENT_FIELDS)
+    .limit(limit)
+    .lean();
+
+  return kits.map(kit => serializeKit(kit));
+};
+
 /**
  * Search services
  */
@@ -337,6 +337,16 @@ export const deleteConvertedCustomDesign = async (id, user) => {
  * @param {Object} designData - Set design data
  * @returns {Object} Created set design
  */
+// Build/strike time is added to the studio buffers of bookings using the set design
+const validateBuildMinutes = (data) => {
+  ['setupMinutes', 'teardownMinutes'].forEach((field) => {
+    const value = data[field];
+    if (value !== undefined && (!Number.isInteger(Number(value)) || Number(value) < 0 || Number(value) > 240)) {
+      throw new ValidationError('Thời gian dựng/tháo set design phải là số phút nguyên từ 0 đến 240');
+    }
+  });
+};
+
 export const createSetDesign = async (designData, user) => {
   try {
     // Only staff can create set designs
@@ -359,6 +369,8 @@ export const createSetDesign = async (designData, user) => {
       throw new ValidationError(`Danh mục không hợp lệ. Chọn từ: ${SET_DESIGN_CATEGORIES.join(', ')}`);
     }
 
+    validateBuildMinutes(designData);
+
     // Create set design with all model fields
     const design = new SetDesign({
       name: designData.name,
@@ -368,6 +380,8 @@ export const createSetDesign = async (designData, user) => {
       isActive: designData.isActive !== undefined ? designData.isActive : true,
       category: designData.category || 'other',
       tags: designData.tags || [],
+      setupMinutes: designData.setupMinutes || 0,
+      teardownMinutes: designData.teardownMinutes || 0,
       isConvertedFromCustomRequest: false,
       sourceRequestId: null,
       createdBy: user._id,
@@ -409,6 +423,8 @@ export const updateSetDesign = async (id, updateData, user) => {
       throw new ValidationError(`Danh mục không hợp lệ. Chọn từ: ${SET_DESIGN_CATEGORIES.join(', ')}`);
     }
 
+    validateBuildMinutes(updateData);
+
     const design = await SetDesign.findByIdAndUpdate(
       id,
       { ...updateData, updatedAt: new Date() },
@@ -4,13 +4,14 @@ import crypto from 'crypto';
 import SetDesign from '../models/SetDesign/setDesign.model.js';
 import SetDesignOrder, { SET_DESIGN_ORDER_STATUS } from '../models/SetDesignOrder/setDesignOrder.model.js';
 import Payment from '../models/Payment/payment.model.js';
-import payos from '../config/payos.js';
-import { PAYMENT_STATUS, PAY_TYPE, TARGET_MODEL, PAYMENT_CATEGORY } from '../utils/constants.js';
-import { ValidationError, NotFoundError } from '../utils/errors.js';
+import Booking from '../models/Booking/booking.model.js';
+import { getPaymentGateway } from './paymentGateway/index.js';
+import { PAYMENT_STATUS, PAY_TYPE, TARGET_MODEL, PAYMENT_CATEGORY, PAYMENT_LINK_STATUS } from '../utils/constants.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
-import { NOTIFICATION_TYPE } from '../utils/constants.js';
-import { createAndSendNotification } from './notification.service.js';
-import { claimIdempotencyKey } from '../utils/redisHelpers.js';
+import { widenScheduleBuffers } from './schedule.service.js';
+import { applyWalletToCheckout } from './wallet.service.js';
+import { redeemPoints, earnPoints, notifyPointsEarned, restoreRedeemedPoints, notifyPointsRestored } from './loyalty.service.js';
 //#endregion
 
 // PayOS description maximum length
@@ -45,6 +46,7 @@ const generatePaymentCode = (orderId, percentage) => {
 
 /**
  * Create a new set design order
+ * redeemPoints: số điểm thưởng muốn đổi lấy giảm giá
  * @param {Object} orderData - Order data
  * @param {Object} user - Current user
  * @returns {Object} Created order
@@ -54,7 +56,7 @@ export const createSetDesignOrder = async (orderData, user) => {
   session.startTransaction();
 
   try {
-    const { setDesignId, quantity = 1, customerNotes, usageDate, bookingId } = orderData;
+    const { setDesignId, quantity = 1, customerNotes, usageDate, bookingId, redeemPoints: pointsToRedeem } = orderData;
 
     // Validate set design exists and is active
     if (!setDesignId || !mongoose.Types.ObjectId.isValid(setDesignId)) {
@@ -95,8 +97,34 @@ export const createSetDesignOrder = async (orderData, user) => {
       paymentStatus: PAYMENT_STATUS.PENDING,
     });
 
+    // Loyalty points redeemed as a discount on this order (totalAmount is recomputed on save)
+    if (pointsToRedeem) {
+      const redeemed = await redeemPoints({
+        userId: user._id,
+        points: pointsToRedeem,
+        amount: order.totalAmount,
+        referenceModel: 'SetDesignOrder',
+        referenceId: order._id,
+        description: `Đổi điểm cho đơn set design ${orderCode}`,
+      }, session);
+      order.loyaltyPointsRedeemed = redeemed.points;
+      order.loyaltyDiscount = redeemed.discountAmount;
+    }
+
     await order.save({ session });
 
+    // The studio needs extra time around the booking to build and strike the set
+    if (bookingId && (setDesign.setupMinutes > 0 || setDesign.teardownMinutes > 0)) {
+      const booking = await Booking.findById(bookingId).select('scheduleId').session(session);
+      if (!booking) {
+        throw new NotFoundError('Booking không tồn tại');
+      }
+      await widenScheduleBuffers(booking.scheduleId, {
+        before: setDesign.setupMinutes,
+        after: setDesign.teardownMinutes
+      }, session);
+    }
+
     await session.commitTransaction();
 
     logger.info(`Set design order created: ${orderCode} by user: ${user._id}`);
@@ -110,7 +138,7 @@ export const createSetDesignOrder = async (orderData, user) => {
   } catch (error) {
     await session.abortTransaction();
     logger.error('Create set design order error:', error);
-    if (error instanceof ValidationError || error instanceof NotFoundError) {
+    if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ConflictError) {
       throw error;
     } else {
       throw new Error('Lỗi khi tạo đơn hàng set design');
@@ -303,6 +331,30 @@ export const updateSetDesignOrderStatus = async (orderId, updateData, user) => {
 
     logger.info(`Set design order ${orderId} status updated to ${status} by ${user._id}`);
 
+    // Completed order earns loyalty points for what the customer paid
+    if (status === SET_DESIGN_ORDER_STATUS.COMPLETED) {
+      try {
+        await notifyPointsEarned(await earnPoints({
+          userId: order.customerId,
+          amount: order.paidAmount,
+          referenceModel: 'SetDesignOrder',
+          referenceId: order._id,
+          description: `Hoàn thành đơn set design ${order.orderCode}`,
+        }));
+      } catch (pointsErr) {
+        logger.error('Failed to award loyalty points for set design order', { orderId, error: pointsErr.message });
+      }
+    }
+
+    // Cancelled order gives back the points redeemed on it
+    if (status === SET_DESIGN_ORDER_STATUS.CANCELLED && order.loyaltyPointsRedeemed > 0) {
+      try {
+        await notifyPointsRestored(await restoreRedeemedPoints({ referenceModel: 'SetDesignOrder', referenceId: order._id }));
+      } catch (pointsErr) {
+        logger.error('Failed to restore loyalty points for set design order', { orderId, error: pointsErr.message });
+      }
+    }
+
     return await SetDesignOrder.findById(orderId)
       .populate('setDesignId', 'name images price category')
       .populate('customerId', 'username email')
@@ -357,7 +409,13 @@ export const cancelSetDesignOrder = async (orderId, user, reason) => {
 
     await order.save({ session });
 
+    // Points redeemed on this order go back to the customer, whether or not anything is refunded
+    const restoredPoints = order.loyaltyPointsRedeemed > 0
+      ? await restoreRedeemedPoints({ referenceModel: 'SetDesignOrder', referenceId: order._id }, session)
+      : null;
+
     await session.commitTransaction();
+    await notifyPointsRestored(restoredPoints);
 
     logger.info(`Set design order ${orderId} cancelled by customer ${user._id}`);
 
@@ -385,10 +443,20 @@ export const cancelSetDesignOrder = async (orderId, user, reason) => {
 
 //#region Payment Management
 
+// Best-effort: a link replaced by a wallet checkout should not stay payable on the gateway
+const cancelReplacedPaymentLink = async (payment) => {
+  if (!payment.transactionId) return;
+  try {
+    await getPaymentGateway().cancelPaymentLink(payment.transactionId, 'Replaced by wallet checkout');
+  } catch (cancelErr) {
+    logger.warn('Could not cancel replaced payment link', { paymentId: payment._id, error: cancelErr.message });
+  }
+};
+
 /**
  * Create payment for set design order
  * @param {string} orderId - Order ID
- * @param {Object} paymentData - Payment data
+ * @param {Object} paymentData - Payment data { payType, useWallet }
  * @param {Object} user - Current user
  * @returns {Object} Payment with checkout URL
  */
@@ -416,6 +484,11 @@ export const createSetDesignPayment = async (orderId, paymentData, user) => {
       throw new ValidationError('Bạn không có quyền thanh toán đơn hàng này');
     }
 
+    // Only the order owner may spend their own wallet balance
+    if (paymentData.useWallet && order.customerId._id.toString() !== user._id.toString()) {
+      throw new ValidationError('Chỉ chủ đơn hàng mới có thể thanh toán bằng ví');
+    }
+
     // Check order status
     if (order.status === SET_DESIGN_ORDER_STATUS.CANCELLED) {
       throw new ValidationError('Không thể thanh toán đơn hàng đã hủy');
@@ -449,17 +522,15 @@ export const createSetDesignPayment = async (orderId, paymentData, user) => {
       let isPayOSLinkValid = true;
       if (!isExpired && existingPayment.transactionId) {
         try {
-          if (payos && typeof payos.getPaymentLinkInformation === 'function') {
-            const payosInfo = await payos.getPaymentLinkInformation(existingPayment.transactionId);
-            // PayOS returns status: PENDING, PAID, CANCELLED, EXPIRED
-            if (payosInfo && (payosInfo.status === 'CANCELLED' || payosInfo.status === 'EXPIRED')) {
-              isPayOSLinkValid = false;
-              logger.info('PayOS link is no longer valid', {
-                orderId,
-                paymentId: existingPayment._id,
-                payosStatus: payosInfo.status,
-              });
-            }
+          const payosInfo = await getPaymentGateway().getPaymentStatus(existingPayment.transactionId);
+          // Gateway link status: PENDING, PAID, CANCELLED, EXPIRED
+          if (payosInfo && (payosInfo.status === PAYMENT_LINK_STATUS.CANCELLED || payosInfo.status === PAYMENT_LINK_STATUS.EXPIRED)) {
+            isPayOSLinkValid = false;
+            logger.info('PayOS link is no longer valid', {
+              orderId,
+              paymentId: existingPayment._id,
+              payosStatus: payosInfo.status,
+            });
           }
         } catch (payosCheckError) {
           // If we can't check PayOS, assume the link might be invalid if it's old
@@ -477,20 +548,26 @@ export const createSetDesignPayment = async (orderId, paymentData, user) => {
         }
       }
 
-      // If payment expired or PayOS link invalid, cancel it and create new one
-      if (isExpired || !isPayOSLinkValid) {
+      // If payment expired or PayOS link invalid, cancel it and create new one.
+      // Paying from the wallet also replaces the open link so the order cannot be paid twice.
+      if (isExpired || !isPayOSLinkValid || paymentData.useWallet) {
         logger.info('Cancelling expired/invalid payment and creating new one', {
           orderId,
           paymentId: existingPayment._id,
           isExpired,
           isPayOSLinkValid,
+          useWallet: !!paymentData.useWallet,
         });
+
+        if (!isExpired && isPayOSLinkValid) {
+          await cancelReplacedPaymentLink(existingPayment);
+        }
         
         existingPayment.status = PAYMENT_STATUS.CANCELLED;
         existingPayment.gatewayResponse = {
           ...existingPayment.gatewayResponse,
           cancelledAt: new Date(),
-          cancelReason: isExpired ? 'Payment link expired' : 'PayOS link no longer valid',
+          cancelReason: isExpired ? 'Payment link expired' : (isPayOSLinkValid ? 'Replaced by wallet checkout' : 'PayOS link no longer valid'),
         };
         await existingPayment.save({ session });
         
@@ -539,6 +616,28 @@ export const createSetDesignPayment = async (orderId, paymentData, user) => {
       throw new ValidationError('Số tiền thanh toán tối thiểu là 1,000 VNĐ');
     }
 
+    const wallet = paymentData.useWallet
+      ? await applyWalletToCheckout({
+        userId: order.customerId._id,
+        amount: paymentAmount,
+        payment: { targetId: orderId, targetModel: TARGET_MODEL.SET_DESIGN_ORDER, category: PAYMENT_CATEGORY.SET_DESIGN, payType },
+        description: `Set design ${order.orderCode}`,
+      }, session)
+      : null;
+
+    if (wallet && wallet.remaining === 0) {
+      await session.commitTransaction();
+      await wallet.afterCommit();
+      return {
+        payment: wallet.walletPayment,
+        checkoutUrl: null,
+        amount: 0,
+        walletAmount: wallet.walletAmount,
+        message: 'Đã thanh toán bằng ví',
+      };
+    }
+    if (wallet) paymentAmount = wallet.remaining;
+
     // Generate codes
     const payosOrderCode = generateOrderCode();
     const paymentCode = generatePaymentCode(orderId, payType === PAY_TYPE.FULL ? 100 : payType === PAY_TYPE.PREPAY_50 ? 50 : 30);
@@ -589,41 +688,29 @@ export const createSetDesignPayment = async (orderId, paymentData, user) => {
         buyerEmail: order.customerId?.email || undefined,
       };
 
-      logger.info('Creating PayOS payment link for set design order', {
+      logger.info('Creating payment link for set design order', {
         orderCode: payosOrderCode,
         amount: paymentAmount,
         description: paymentRequestData.description,
       });
 
-      // SDK compatibility: support createPaymentLink or paymentRequests.create (same as payment.service.js)
-      let paymentLinkResponse;
-      if (payos && typeof payos.createPaymentLink === 'function') {
-        paymentLinkResponse = await payos.createPaymentLink(paymentRequestData);
-      } else if (payos && typeof payos.paymentRequests?.create === 'function') {
-        paymentLinkResponse = await payos.paymentRequests.create(paymentRequestData);
-      } else {
-        throw new Error('PayOS client không hỗ trợ hàm tạo payment link');
-      }
+      const paymentLinkResponse = await getPaymentGateway().createPaymentLink(paymentRequestData);
 
-      // Normalize response (support different SDK shapes) - same pattern as payment.service.js
-      checkoutUrl = paymentLinkResponse?.checkoutUrl || paymentLinkResponse?.data?.checkoutUrl || paymentLinkResponse?.data?.url || paymentLinkResponse?.url || null;
-      qrCodeUrl = paymentLinkResponse?.qrCode || paymentLinkResponse?.data?.qrCode || null;
+      checkoutUrl = paymentLinkResponse.checkoutUrl;
+      qrCodeUrl = paymentLinkResponse.qrCode;
       gatewayResponse = {
         ...gatewayResponse,
-        paymentLinkId: paymentLinkResponse?.paymentLinkId || paymentLinkResponse?.data?.id || null,
+        paymentLinkId: paymentLinkResponse.paymentLinkId,
         qrCode: qrCodeUrl,
-        bin: paymentLinkResponse?.bin || paymentLinkResponse?.data?.bin || null,
-        accountNumber: paymentLinkResponse?.accountNumber || paymentLinkResponse?.data?.accountNumber || null,
+        bin: paymentLinkResponse.bin,
+        accountNumber: paymentLinkResponse.accountNumber,
       };
 
-      logger.info('PayOS response received for set design', {
+      logger.info('Payment gateway response received for set design', {
         orderCode: payosOrderCode,
         hasCheckoutUrl: !!checkoutUrl,
       });
 
-      if (!checkoutUrl) {
-        throw new Error('PayOS không trả về URL thanh toán hợp lệ');
-      }
     } catch (payosError) {
       logger.error('PayOS API Error for set design:', {
         message: payosError.message,
@@ -651,6 +738,7 @@ export const createSetDesignPayment = async (orderId, paymentData, user) => {
     }], { session });
 
     await session.commitTransaction();
+    if (wallet) await wallet.afterCommit();
 
     logger.info('Set design payment created', {
       paymentId: payment[0]._id,
@@ -663,6 +751,7 @@ export const createSetDesignPayment = async (orderId, paymentData, user) => {
       checkoutUrl,
       qrCode: qrCodeUrl,
       amount: paymentAmount,
+      walletAmount: wallet?.walletAmount || 0,
       orderCode: payosOrderCode,
     };
   } catch (error) {
@@ -681,8 +770,9 @@ export const createSetDesignPayment = async (orderId, paymentData, user) => {
  * Create payment for remaining amount (Set Design)
  * @param {string} orderId
  * @param {Object} user
+ * @param {Object} opts - { useWallet }
  */
-export const createRemainingSetDesignPayment = async (orderId, user) => {
+export const createRemainingSetDesignPayment = async (orderId, user, opts = {}) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -706,6 +796,11 @@ export const createRemainingSetDesignPayment = async (orderId, user) => {
       throw new ValidationError('Bạn không có quyền thanh toán đơn hàng này');
     }
 
+    // Only the order owner may spend their own wallet balance
+    if (opts.useWallet && order.customerId._id.toString() !== user._id.toString()) {
+      throw new ValidationError('Chỉ chủ đơn hàng mới có thể thanh toán bằng ví');
+    }
+
     if (order.status === SET_DESIGN_ORDER_STATUS.CANCELLED) {
       throw new ValidationError('Đơn hàng đã hủy');
     }
@@ -733,7 +828,7 @@ export const createRemainingSetDesignPayment = async (orderId, user) => {
         // Reuse existing logic for checking expiry...
         const now = new Date();
         const isExpired = existingPayment.expiresAt && new Date(existingPayment.expiresAt) < now;
-        if (!isExpired) {
+        if (!isExpired && !opts.useWallet) {
              await session.commitTransaction();
              return {
                 payment: existingPayment,
@@ -741,11 +836,33 @@ export const createRemainingSetDesignPayment = async (orderId, user) => {
                 message: 'Link thanh toán cũ vẫn còn hiệu lực'
              };
         } else {
+             if (!isExpired) await cancelReplacedPaymentLink(existingPayment);
              existingPayment.status = PAYMENT_STATUS.CANCELLED;
              await existingPayment.save({ session });
         }
     }
 
+    const wallet = opts.useWallet
+      ? await applyWalletToCheckout({
+        userId: order.customerId._id,
+        amount: remainingAmount,
+        payment: { targetId: order._id, targetModel: TARGET_MODEL.SET_DESIGN_ORDER, category: PAYMENT_CATEGORY.SET_DESIGN, payType: PAY_TYPE.FULL },
+        description: `Remaining - ${order.orderCode}`,
+      }, session)
+      : null;
+
+    if (wallet && wallet.remaining === 0) {
+      await session.commitTransaction();
+      await wallet.afterCommit();
+      return {
+        payment: wallet.walletPayment,
+        checkoutUrl: null,
+        walletAmount: wallet.walletAmount,
+        message: 'Đã thanh toán bằng ví',
+      };
+    }
+    const gatewayAmount = wallet ? wallet.remaining : remainingAmount;
+
     // Create new payment
     const payosOrderCode = generateOrderCode();
     const paymentCode = generatePaymentCode(orderId, 100); // Treat as 100% completion
@@ -760,31 +877,18 @@ export const createRemainingSetDesignPayment = async (orderId, user) => {
         const description = truncate(`Remaining - ${order.orderCode}`, 25);
         const paymentData = {
             orderCode: payosOrderCode,
-            amount: remainingAmount,
+            amount: gatewayAmount,
             description,
-            items: [{ name: `Remaining Payment - ${order.orderCode}`, quantity: 1, price: remainingAmount }],
+            items: [{ name: `Remaining Payment - ${order.orderCode}`, quantity: 1, price: gatewayAmount }],
             returnUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/set-design/payment/success?orderId=${orderId}`,
             cancelUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/set-design/payment/cancel?orderId=${orderId}`
         };
 
-        let paymentLinkResponse;
-        if (payos && typeof payos.createPaymentLink === 'function') {
-            paymentLinkResponse = await payos.createPaymentLink(paymentData);
-        } else if (payos && typeof payos.paymentRequests?.create === 'function') {
-            paymentLinkResponse = await payos.paymentRequests.create(paymentData);
-        } else {
-            // Mock for development
-            logger.warn('PayOS not configured, using mock data');
-            paymentLinkResponse = {
-                checkoutUrl: 'http://localhost:3000/mock-payment',
-                qrCode: 'mock-qr-code',
-                paymentLinkId: `mock-link-${Date.now()}`
-            };
-        }
+        const paymentLinkResponse = await getPaymentGateway().createPaymentLink(paymentData);
 
-        checkoutUrl = paymentLinkResponse.checkoutUrl || paymentLinkResponse.data?.checkoutUrl;
-        qrCodeUrl = paymentLinkResponse.qrCode || paymentLinkResponse.data?.qrCode;
-        gatewayResponse.paymentLinkId = paymentLinkResponse.paymentLinkId || paymentLinkResponse.data?.id;
+        checkoutUrl = paymentLinkResponse.checkoutUrl;
+        qrCodeUrl = paymentLinkResponse.qrCode;
+        gatewayResponse.paymentLinkId = paymentLinkResponse.paymentLinkId;
     } catch (err) {
         logger.error('PayOS Create Remaining Error', err);
         throw new Error('Lỗi tạo link thanh toán PayOS');
@@ -795,7 +899,7 @@ export const createRemainingSetDesignPayment = async (orderId, user) => {
         targetModel: TARGET_MODEL.SET_DESIGN_ORDER,
         category: PAYMENT_CATEGORY.SET_DESIGN,
         paymentCode,
-        amount: remainingAmount,
+        amount: gatewayAmount,
         payType: PAY_TYPE.FULL, // Mark as full to indicate completion intent
         status: PAYMENT_STATUS.PENDING,
         transactionId: payosOrderCode.toString(),
@@ -807,10 +911,12 @@ export const createRemainingSetDesignPayment = async (orderId, user) => {
     await payment.save({ session });
     
     await session.commitTransaction();
+    if (wallet) await wallet.afterCommit();
     return {
         payment,
         checkoutUrl,
-        qrCode: qrCodeUrl
+        qrCode: qrCodeUrl,
+        walletAmount: wallet?.walletAmount || 0
     };
 
   } catch (error) {
@@ -823,287 +929,6 @@ export const createRemainingSetDesignPayment = async (orderId, user) => {
   }
 };
 
-/**
- * @deprecated Use unified webhook at /api/payments/webhook instead.
- * @param {Object} webhookPayload
- */
-export const handleSetDesignPaymentWebhook = async (webhookPayload) => {
-  logger.warn('DEPRECATED: handleSetDesignPaymentWebhook called');
-  
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    const Payment = mongoose.model('Payment');
-    // Accept either raw body or an object { body, headers }
-    const incoming = webhookPayload && webhookPayload.body ? webhookPayload : { body: webhookPayload, headers: {} };
-    const body = incoming.body || {};
-    const headers = incoming.headers || {};
-
-    // Enhanced debug logging (same as payment.service.js)
-    logger.info('=== PayOS SetDesign Webhook Received ===');
-    logger.info('Webhook body:', JSON.stringify(body, null, 2));
-    logger.info('Webhook headers:', JSON.stringify(Object.keys(headers), null, 2));
-    logger.info('Body keys:', Object.keys(body));
-    logger.info('Has orderCode:', !!body.orderCode);
-    logger.info('Has data.orderCode:', !!body.data?.orderCode);
-    logger.info('Body code:', body.code);
-
-    // Handle PayOS test/verification webhook (sent when configuring webhook URL)
-    // Same pattern as payment.service.js
-    const hasOrderCode = body.orderCode || body.data?.orderCode;
-    const isTestWebhook = !body || Object.keys(body).length === 0 ||
-      (body.code === '00' && !hasOrderCode) ||
-      (body.desc === 'success' && !hasOrderCode) ||
-      (body.success === true && Object.keys(body).length === 1);
-
-    logger.info('Is test webhook:', isTestWebhook, 'hasOrderCode:', hasOrderCode);
-
-    if (isTestWebhook) {
-      await session.commitTransaction();
-      logger.info('PayOS test/verification webhook received for SetDesign - responding with success');
-      return { success: true, message: 'Webhook endpoint verified' };
-    }
-
-    // Validate webhook payload for real transactions
-    if (!webhookPayload) {
-      throw new ValidationError('Dữ liệu webhook không hợp lệ');
-    }
-
-    // Verify webhook signature using SDK or fallback HMAC (same as payment.service.js)
-    let verifiedData;
-    try {
-      if (payos && typeof payos.verifyPaymentWebhookData === 'function') {
-        try {
-          verifiedData = payos.verifyPaymentWebhookData(body);
-        } catch (sdkError) {
-          logger.error('SDK verification failed for SetDesign:', sdkError.message);
-          throw sdkError;
-        }
-      } else {
-        // Fallback HMAC verification
-        const checksumKey = process.env.PAYOS_CHECKSUM_KEY;
-        const signature = body.signature;
-
-        if (!checksumKey) {
-          throw new ValidationError('Missing PAYOS_CHECKSUM_KEY for webhook verification');
-        }
-
-        if (!body.data) {
-          throw new ValidationError('Webhook missing data field');
-        }
-
-        // PayOS signature: sorted key=value pairs, null/undefined as empty string
-        const dataToSign = Object.keys(body.data)
-          .sort()
-          .map(key => {
-            const value = body.data[key];
-            if (value === null || value === undefined) {
-              return `${key}=`;
-            }
-            const serializedValue = typeof value === 'object'
-              ? JSON.stringify(value)
-              : String(value);
-            return `${key}=${serializedValue}`;
-          })
-          .join('&');
-
-        const computedSignature = crypto.createHmac('sha256', checksumKey).update(dataToSign).digest('hex');
-
-        if (!signature || computedSignature.toLowerCase() !== signature.toString().toLowerCase()) {
-          logger.error('Signature mismatch for SetDesign!', {
-            expected: computedSignature.substring(0, 16) + '...',
-            received: signature?.substring(0, 16) + '...',
-          });
-          throw new ValidationError('Invalid webhook signature');
-        }
-
-        verifiedData = body.data;
-      }
-    } catch (verifyError) {
-      logger.error('Webhook verification failed for SetDesign:', verifyError);
-      throw new ValidationError('Invalid webhook signature: ' + (verifyError.message || 'verification failed'));
-    }
-
-    const orderCode = verifiedData.orderCode;
-    const amount = verifiedData.amount;
-    const code = verifiedData.code;
-    const desc = verifiedData.desc;
-
-    // Idempotency check via Redis (same as payment.service.js)
-    const idempotencyKey = `payos:setdesign:webhook:${orderCode}`;
-    let claimed = null;
-    try {
-      claimed = await claimIdempotencyKey(idempotencyKey, 30);
-    } catch (err) {
-      logger.warn('claimIdempotencyKey threw for SetDesign, continuing without redis claim', { error: err?.message || err });
-      claimed = null;
-    }
-
-    if (claimed === false) {
-      await session.commitTransaction();
-      logger.info(`Duplicate SetDesign webhook skipped for orderCode=${orderCode}`);
-      return { success: true, message: 'Duplicate webhook skipped' };
-    }
-
-    logger.info('SetDesign webhook verified', { orderCode, code, desc });
-
-    // Find payment by transaction ID
-    const payment = await Payment.findOne({
-      transactionId: orderCode.toString(),
-      targetModel: TARGET_MODEL.SET_DESIGN_ORDER
-    }).session(session);
-
-    if (!payment) {
-      await session.commitTransaction();
-      logger.warn(`SetDesign payment not found for orderCode: ${orderCode}`);
-      // Return success to avoid PayOS retrying for non-existent payments
-      return { success: true, message: 'Payment not found for this order type' };
-    }
-
-    // Check if already processed
-    if (payment.status === PAYMENT_STATUS.PAID) {
-      await session.commitTransaction();
-      logger.info(`SetDesign payment already processed: ${payment._id}`);
-      return { success: true, message: 'Payment already processed' };
-    }
-
-    // Update payment status based on webhook
-    const isPaid = code === '00';
-
-    logger.info('SetDesign webhook - processing payment', {
-      isPaid,
-      code,
-      paymentId: payment._id,
-      paymentStatus: payment.status,
-      paymentAmount: payment.amount,
-      webhookAmount: amount,
-      orderId: payment.targetId,
-    });
-
-    if (isPaid) {
-      payment.status = PAYMENT_STATUS.PAID;
-      payment.paidAt = new Date();
-      payment.gatewayResponse = {
-        ...payment.gatewayResponse,
-        webhookData: verifiedData,
-        webhookAmount: amount,
-        completedAt: new Date(),
-      };
-
-      // Update order
-      const order = await SetDesignOrder.findById(payment.targetId).session(session);
-      if (order) {
-        const previousPaidAmount = order.paidAmount;
-        // Prevent paidAmount from exceeding totalAmount (protection against race conditions/duplicate webhooks)
-        order.paidAmount = Math.min(order.paidAmount + payment.amount, order.totalAmount);
-
-        logger.info('SetDesign webhook - updating order', {
-          orderId: order._id,
-          previousPaidAmount,
-          newPaidAmount: order.paidAmount,
-          totalAmount: order.totalAmount,
-          paymentAmount: payment.amount,
-          willBeFullyPaid: order.paidAmount >= order.totalAmount,
-        });
-
-        // Check if fully paid
-        if (order.paidAmount >= order.totalAmount) {
-          order.paymentStatus = PAYMENT_STATUS.PAID;
-          order.status = SET_DESIGN_ORDER_STATUS.CONFIRMED;
-          order.confirmedAt = new Date();
-          logger.info('SetDesign order confirmed after full payment', { orderId: order._id });
-        } else if (order.paidAmount > 0) {
-          // Partial payment (Deposit) logic
-          // Determine if the amount paid is sufficient (e.g. >= 30%)
-          // For now, simpler check: if we received *any* payment via PayOS for this order options (which are 30/50/100), 
-          // we can assume it's a valid deposit step.
-          
-          const percentagePaid = (order.paidAmount / order.totalAmount) * 100;
-          
-          if (percentagePaid >= 30) {
-             if (order.status === SET_DESIGN_ORDER_STATUS.PENDING) {
-                order.status = SET_DESIGN_ORDER_STATUS.CONFIRMED;
-                order.confirmedAt = new Date();
-             }
-             // NOTE: paymentStatus remains PENDING because it's not fully paid.
-             // This matches user expectation of using existing constants.
-             // We can optionally set a field like order.payType if SetDesignOrder had it, 
-             // but current schema might not.
-          }
-          
-          logger.info('SetDesign order partial payment processed', { 
-            orderId: order._id, 
-            paid: order.paidAmount, 
-            total: order.totalAmount,
-            percentage: percentagePaid.toFixed(2)
-          });
-        }
-
-        await order.save({ session });
-      } else {
-        logger.warn('SetDesign webhook - order not found', { orderId: payment.targetId });
-      }
-
-      await payment.save({ session });
-      await session.commitTransaction();
-
-      logger.info(`Set design payment ${payment._id} marked as PAID`);
-
-      // Send notification after transaction commit
-      // Note: If notification sending fails, payment status remains PAID and user may not be notified.
-      // This is acceptable as payment processing is critical, while notifications are supplementary.
-      try {
-        if (order) {
-          await createAndSendNotification(
-            order.customerId,
-            NOTIFICATION_TYPE.SUCCESS,
-            'Thanh toán thành công',
-            `Thanh toán ${payment.amount.toLocaleString()} VND cho đơn hàng ${order.orderCode} đã thành công`,
-            false, // sendEmail
-            null, // io
-            order._id // relatedId
-          );
-        }
-      } catch (notifyErr) {
-        logger.error('Failed to send payment success notification', { 
-          error: notifyErr.message, 
-          paymentId: payment._id,
-          orderId: order?._id 
-        });
-      }
-
-      return { success: true, message: 'Payment processed successfully' };
-    } else {
-      payment.status = PAYMENT_STATUS.CANCELLED;
-      payment.gatewayResponse = {
-        ...payment.gatewayResponse,
-        webhookData: verifiedData,
-        cancelledAt: new Date(),
-        failureReason: desc,
-      };
-      await payment.save({ session });
-      await session.commitTransaction();
-
-      logger.info(`Set design payment ${payment._id} marked as CANCELLED, reason: ${desc}`);
-
-      return { success: true, message: 'Payment cancelled' };
-    }
-  } catch (error) {
-    await session.abortTransaction();
-    if (error instanceof ValidationError || error instanceof NotFoundError) {
-      throw error;
-    }
-    logger.error('Handle set design payment webhook error:', {
-      error: error.message,
-      stack: error.stack,
-    });
-    throw new Error('Lỗi khi xử lý webhook thanh toán SetDesign');
-  } finally {
-    session.endSession();
-  }
-};
-
 /**
  * Get payment status for set design order
  * @param {string} paymentId - Payment ID
@@ -1165,7 +990,6 @@ export default {
   updateSetDesignOrderStatus,
   cancelSetDesignOrder,
   createSetDesignPayment,
-  handleSetDesignPaymentWebhook,
   getSetDesignPaymentStatus,
   getSetDesignOrderPayments,
 };
@@ -0,0 +1,366 @@
+// #region Imports
+import mongoose from 'mongoose';
+import { StaffShift, StaffProfile, User, Booking, BookingDetail, Schedule, Studio } from '../models/index.js';
+import { NotFoundError, ValidationError, ConflictError, UnauthorizedError } from '../utils/errors.js';
+import {
+  STAFF_SHIFT_STATUS,
+  STAFF_ASSIGNMENT_METHOD,
+  BOOKING_STATUS,
+  BOOKING_DETAIL_TYPE,
+  USER_ROLES,
+  NOTIFICATION_TYPE,
+  TIME_CONSTANTS,
+} from '../utils/constants.js';
+import { createAndSendNotification } from './notification.service.js';
+import { formatDateTime, formatTime } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+// #endregion
+
+const TZ_OFFSET_MS = TIME_CONSTANTS.DEFAULT_TIMEZONE_OFFSET * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SHIFT_HOURS = 16;
+const ACTIVE_BOOKING_STATUSES = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.CHECKED_IN];
+
+// #region Helpers
+
+// [start, end) of the Vietnam calendar day containing `date`
+const localDayBounds = (date = new Date()) => {
+  const ms = new Date(date).getTime();
+  const start = ms - ((ms + TZ_OFFSET_MS) % DAY_MS);
+  return { start: new Date(start), end: new Date(start + DAY_MS) };
+};
+
+// Staff accounts that can take bookings: role staff/admin, user and staff profile both active
+const filterActiveStaff = async (staffIds) => {
+  if (staffIds.length === 0) return [];
+  const [users, inactiveProfiles] = await Promise.all([
+    User.find({ _id: { $in: staffIds }, role: { $in: [USER_ROLES.STAFF, USER_ROLES.ADMIN] }, isActive: true }).select('_id').lean(),
+    StaffProfile.find({ userId: { $in: staffIds }, isActive: false }).select('userId').lean(),
+  ]);
+  const inactive = new Set(inactiveProfiles.map(p => p.userId.toString()));
+  return users.map(u => u._id.toString()).filter(id => !inactive.has(id));
+};
+
+const parseShiftWindow = (startTime, endTime) => {
+  const s = new Date(startTime);
+  const e = new Date(endTime);
+  if (isNaN(s.getTime()) || isNaN(e.getTime())) throw new ValidationError('Thời gian ca trực không hợp lệ');
+  if (!(e > s)) throw new ValidationError('Giờ kết thúc ca phải lớn hơn giờ bắt đầu');
+  if (e - s > MAX_SHIFT_HOURS * 60 * 60 * 1000) {
+    throw new ValidationError(`Một ca trực tối đa ${MAX_SHIFT_HOURS} giờ`);
+  }
+  return { s, e };
+};
+
+const validateStudioIds = async (studioIds) => {
+  if (studioIds === undefined) return undefined;
+  if (!Array.isArray(studioIds) || studioIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new ValidationError('studioIds phải là danh sách ID studio hợp lệ');
+  }
+  const unique = [...new Set(studioIds.map(String))];
+  const found = await Studio.countDocuments({ _id: { $in: unique } });
+  if (found !== unique.length) throw new NotFoundError('Một số studio không tồn tại');
+  return unique;
+};
+
+const assertNoOverlap = async (staffId, s, e, excludeId = null) => {
+  const overlap = await StaffShift.findOne({
+    staffId,
+    status: STAFF_SHIFT_STATUS.SCHEDULED,
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    startTime: { $lt: e },
+    endTime: { $gt: s },
+  }).lean();
+  if (overlap) {
+    throw new ConflictError(`Nhân viên đã có ca trực ${formatDateTime(overlap.startTime)} - ${formatTime(overlap.endTime)}`);
+  }
+};
+
+// #endregion
+
+// #region Shift Roster
+
+/**
+ * Get shifts in a time range (staff roster)
+ * @param {Object} filters - { staffId, studioId, from, to, status }
+ */
+export const getShifts = async ({ staffId, studioId, from, to, status } = {}) => {
+  const { start } = localDayBounds(from || new Date());
+  const end = to ? new Date(to) : new Date(start.getTime() + 7 * DAY_MS);
+  if (isNaN(end.getTime())) throw new ValidationError('Thời gian không hợp lệ');
+
+  const query = {
+    startTime: { $lt: end },
+    endTime: { $gt: start },
+    status: status || STAFF_SHIFT_STATUS.SCHEDULED,
+  };
+  if (staffId) query.staffId = staffId;
+  // A shift with no studios covers every studio
+  if (studioId) query.$or = [{ studioIds: studioId }, { studioIds: { $size: 0 } }];
+
+  return StaffShift.find(query)
+    .populate('staffId', 'fullName username email phone')
+    .populate('studioIds', 'name')
+    .sort({ startTime: 1 })
+    .limit(500)
+    .lean();
+};
+
+/**
+ * Create a shift (admin)
+ * @param {Object} data - { staffId, startTime, endTime, studioIds, notes }
+ */
+export const createShift = async (data = {}, createdBy = null) => {
+  const { staffId, startTime, endTime, notes } = data;
+  if (!staffId || !mongoose.Types.ObjectId.isValid(staffId)) throw new ValidationError('staffId không hợp lệ');
+
+  const { s, e } = parseShiftWindow(startTime, endTime);
+  const [activeId] = await filterActiveStaff([staffId]);
+  if (!activeId) throw new NotFoundError('Nhân viên không tồn tại hoặc đã bị khóa');
+
+  const studioIds = await validateStudioIds(data.studioIds);
+  await assertNoOverlap(staffId, s, e);
+
+  return StaffShift.create({ staffId, startTime: s, endTime: e, studioIds: studioIds || [], notes, createdBy });
+};
+
+/**
+ * Update a shift (admin). Bookings already assigned keep their staff.
+ */
+export const updateShift = async (shiftId, data = {}) => {
+  const shift = await StaffShift.findById(shiftId);
+  if (!shift) throw new NotFoundError('Ca trực không tồn tại');
+  if (shift.status === STAFF_SHIFT_STATUS.CANCELLED) throw new ValidationError('Ca trực đã bị hủy');
+
+  if (data.startTime !== undefined || data.endTime !== undefined) {
+    const { s, e } = parseShiftWindow(data.startTime ?? shift.startTime, data.endTime ?? shift.endTime);
+    await assertNoOverlap(shift.staffId, s, e, shift._id);
+    shift.startTime = s;
+    shift.endTime = e;
+  }
+  const studioIds = await validateStudioIds(data.studioIds);
+  if (studioIds !== undefined) shift.studioIds = studioIds;
+  if (data.notes !== undefined) shift.notes = data.notes;
+
+  await shift.save();
+  return shift;
+};
+
+/**
+ * Cancel a shift (admin). Upcoming bookings assigned to the staff member inside
+ * the shift are handed to another on-duty staff member (or left unassigned).
+ */
+export const cancelShift = async (shiftId, io = null) => {
+  const shift = await StaffShift.findOneAndUpdate(
+    { _id: shiftId, status: STAFF_SHIFT_STATUS.SCHEDULED },
+    { $set: { status: STAFF_SHIFT_STATUS.CANCELLED } },
+    { new: true }
+  );
+  if (!shift) throw new NotFoundError('Ca trực không tồn tại hoặc đã bị hủy');
+
+  const schedules = await Schedule.find({
+    startTime: { $gte: new Date(Math.max(shift.startTime.getTime(), Date.now())), $lt: shift.endTime },
+    bookingId: { $ne: null },
+  }).select('_id').lean();
+  const affected = await Booking.find({
+    assignedStaffId: shift.staffId,
+    scheduleId: { $in: schedules.map(s => s._id) },
+    status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED] },
+  }).select('_id').lean();
+
+  let reassigned = 0;
+  for (const { _id } of affected) {
+    try {
+      const booking = await autoAssignStaff(_id, { force: true, excludeStaffIds: [shift.staffId], io });
+      if (booking?.assignedStaffId) reassigned++;
+    } catch (err) {
+      logger.error(`Failed to reassign booking ${_id} after shift ${shift._id} was cancelled`, err);
+    }
+  }
+
+  return { shift, affectedBookings: affected.length, reassigned };
+};
+
+// #endregion
+
+// #region Booking Assignment
+
+/**
+ * Active staff whose scheduled shift covers the whole window and includes the studio
+ * @returns {Array} Staff user IDs (strings)
+ */
+export const findOnDutyStaff = async (studioId, startTime, endTime) => {
+  const shifts = await StaffShift.find({
+    status: STAFF_SHIFT_STATUS.SCHEDULED,
+    startTime: { $lte: new Date(startTime) },
+    endTime: { $gte: new Date(endTime) },
+    $or: [{ studioIds: studioId }, { studioIds: { $size: 0 } }],
+  }).select('staffId').lean();
+
+  return filterActiveStaff([...new Set(shifts.map(s => s.staffId.toString()))]);
+};
+
+const setAssignment = async (booking, staffId, method, io) => {
+  booking.assignedStaffId = staffId;
+  booking.assignedAt = new Date();
+  booking.assignmentMethod = method;
+  await booking.save();
+
+  try {
+    const start = booking.scheduleId?.startTime;
+    await createAndSendNotification(
+      staffId,
+      NOTIFICATION_TYPE.INFO,
+      'Bạn được giao phụ trách booking',
+      `Booking #${booking._id.toString().slice(-8)}${start ? ` lúc ${formatDateTime(start)}` : ''} đã được giao cho bạn.`,
+      false,
+      io,
+      booking._id
+    );
+  } catch (notifyErr) {
+    logger.error('Failed to send staff assignment notification:', notifyErr);
+  }
+
+  return booking;
+};
+
+/**
+ * Assign an on-duty staff member to a booking (least bookings that day wins).
+ * Bookings that already have staff are left alone unless force is set.
+ * Nobody on duty leaves the booking unassigned.
+ * @param {Object} options - { force, excludeStaffIds, io }
+ * @returns {Object} Booking (assignedStaffId may be null)
+ */
+export const autoAssignStaff = async (bookingId, { force = false, excludeStaffIds = [], io = null } = {}) => {
+  const booking = await Booking.findById(bookingId).populate('scheduleId', 'studioId startTime endTime');
+  if (!booking) throw new NotFoundError('Booking không tồn tại');
+  if (booking.assignedStaffId && !force) return booking;
+  if (!booking.scheduleId || !ACTIVE_BOOKING_STATUSES.includes(booking.status)) return booking;
+
+  const { studioId, startTime, endTime } = booking.scheduleId;
+  const excluded = new Set(excludeStaffIds.map(String));
+  const candidates = (await findOnDutyStaff(studioId, startTime, endTime)).filter(id => !excluded.has(id));
+
+  if (candidates.length === 0) {
+    if (force && booking.assignedStaffId) {
+      booking.assignedStaffId = null;
+      booking.assignedAt = null;
+      booking.assignmentMethod = undefined;
+      await booking.save();
+    }
+    logger.warn(`No on-duty staff for booking ${booking._id} (${formatDateTime(startTime)} - ${formatTime(endTime)})`);
+    return booking;
+  }
+
+  // Balance the day's workload
+  const { start, end } = localDayBounds(startTime);
+  const daySchedules = await Schedule.find({ startTime: { $gte: start, $lt: end }, bookingId: { $ne: null } }).select('_id').lean();
+  const loads = await Booking.aggregate([
+    {
+      $match: {
+        assignedStaffId: { $in: candidates.map(id => new mongoose.Types.ObjectId(id)) },
+        scheduleId: { $in: daySchedules.map(s => s._id) },
+        status: { $ne: BOOKING_STATUS.CANCELLED },
+      },
+    },
+    { $group: { _id: '$assignedStaffId', count: { $sum: 1 } } },
+  ]);
+  const loadOf = new Map(loads.map(l => [l._id.toString(), l.count]));
+  const staffId = candidates.reduce((best, id) => ((loadOf.get(id) || 0) < (loadOf.get(best) || 0) ? id : best), candidates[0]);
+
+  return setAssignment(booking, staffId, STAFF_ASSIGNMENT_METHOD.AUTO, io);
+};
+
+/**
+ * Assign a booking to a staff member by hand (staff/admin), or auto-assign when staffId is empty
+ */
+export const assignBookingStaff = async (bookingId, staffId = null, io = null) => {
+  if (!staffId) {
+    return autoAssignStaff(bookingId, { force: true, io });
+  }
+  if (!mongoose.Types.ObjectId.isValid(staffId)) throw new ValidationError('staffId không hợp lệ');
+
+  const booking = await Booking.findById(bookingId).populate('scheduleId', 'studioId startTime endTime');
+  if (!booking) throw new NotFoundError('Booking không tồn tại');
+  if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+    throw new ValidationError('Chỉ có thể phân công booking chưa hoàn thành');
+  }
+
+  const [activeId] = await filterActiveStaff([staffId]);
+  if (!activeId) throw new NotFoundError('Nhân viên không tồn tại hoặc đã bị khóa');
+
+  return setAssignment(booking, activeId, STAFF_ASSIGNMENT_METHOD.MANUAL, io);
+};
+
+/**
+ * Staff may act on bookings assigned to them or not assigned yet; admins on any booking
+ */
+export const assertAssignedStaff = (booking, actorId, actorRole) => {
+  if (actorRole !== USER_ROLES.STAFF || !booking.assignedStaffId) return;
+  if (booking.assignedStaffId.toString() !== actorId?.toString()) {
+    throw new UnauthorizedError('Booking này do nhân viên khác phụ trách');
+  }
+};
+
+/**
+ * Bookings assigned to a staff member on a Vietnam calendar day, in start order,
+ * with customer contact and the equipment to hand over
+ * @param {string} staffId - Staff user ID
+ * @param {Date|string} date - Any time in the day (default: today)
+ */
+export const getMyAssignments = async (staffId, date = null) => {
+  const day = date ? new Date(date) : new Date();
+  if (isNaN(day.getTime())) throw new ValidationError('Ngày không hợp lệ');
+  const { start, end } = localDayBounds(day);
+
+  const schedules = await Schedule.find({ startTime: { $gte: start, $lt: end }, bookingId: { $ne: null } })
+    .select('_id')
+    .lean();
+
+  const bookings = await Booking.find({
+    assignedStaffId: staffId,
+    scheduleId: { $in: schedules.map(s => s._id) },
+    status: { $ne: BOOKING_STATUS.CANCELLED },
+  })
+    .populate({ path: 'scheduleId', select: 'startTime endTime studioId', populate: { path: 'studioId', select: 'name location' } })
+    .populate('userId', 'fullName username email phone')
+    .lean();
+
+  const equipment = await BookingDetail.find({
+    bookingId: { $in: bookings.map(b => b._id) },
+    detailType: BOOKING_DETAIL_TYPE.EQUIPMENT,
+  })
+    .select('bookingId equipmentId description quantity')
+    .populate('equipmentId', 'name')
+    .lean();
+
+  const shifts = await StaffShift.find({
+    staffId,
+    status: STAFF_SHIFT_STATUS.SCHEDULED,
+    startTime: { $lt: end },
+    endTime: { $gt: start },
+  }).populate('studioIds', 'name').sort({ startTime: 1 }).lean();
+
+  const assignments = bookings
+    .map(b => ({
+      ...b,
+      equipmentHandover: equipment.filter(d => d.bookingId.equals(b._id)),
+    }))
+    .sort((a, b) => new Date(a.scheduleId.startTime) - new Date(b.scheduleId.startTime));
+
+  return { date: start, shifts, assignments };
+};
+
+// #endregion
+
+export default {
+  getShifts,
+  createShift,
+  updateShift,
+  cancelShift,
+  findOnDutyStaff,
+  autoAssignStaff,
+  assignBookingStaff,
+  assertAssignedStaff,
+  getMyAssignments,
+};
@@ -6,6 +6,8 @@ import { STUDIO_STATUS, NOTIFICATION_TYPE, SCHEDULE_STATUS } from '../utils/cons
 import { NotFoundError, ValidationError } from '../utils/errors.js';
 import { escapeRegex, formatTime } from '../utils/helpers.js';
 import { cacheGet, cacheSet } from '../utils/cache.js';
+import { getHolidayMap, getOpenIntervals, getClosureReason } from './studioCalendar.service.js';
+import { studioBuffersOf, resolveScheduleBuffers, getBlockedWindow, MAX_BUFFER_MINUTES } from './schedule.service.js';
 import logger from '../utils/logger.js';
 // #endregion
 
@@ -88,9 +90,36 @@ export const getStudioById = async (studioId, options = {}) => {
 // #endregion
 
 // #region Create & Update Studios
+const BUFFER_FIELDS = ['bufferBeforeMinutes', 'bufferAfterMinutes'];
+
+const validateBufferFields = (data) => {
+  BUFFER_FIELDS.forEach((field) => {
+    const value = data[field];
+    if (value !== undefined && (typeof value !== 'number' || !Number.isInteger(value) || value < 0 || value > MAX_BUFFER_MINUTES)) {
+      throw new ValidationError(`Thời gian chuẩn bị/dọn dẹp phải là số phút nguyên từ 0 đến ${MAX_BUFFER_MINUTES}`);
+    }
+  });
+};
+
+const OVERTIME_FIELDS = ['overtimeRatePerHour', 'overtimeRoundingMinutes', 'overtimeGraceMinutes'];
+
+const validateOvertimeFields = (data) => {
+  const { overtimeRatePerHour, overtimeRoundingMinutes, overtimeGraceMinutes } = data;
+  if (overtimeRatePerHour !== undefined && overtimeRatePerHour !== null && (typeof overtimeRatePerHour !== 'number' || overtimeRatePerHour < 0)) {
+    throw new ValidationError('Giá quá giờ phải là số lớn hơn hoặc bằng 0 (null = theo giá thuê)');
+  }
+  if (overtimeRoundingMinutes !== undefined && (!Number.isInteger(overtimeRoundingMinutes) || overtimeRoundingMinutes < 1 || overtimeRoundingMinutes > 60)) {
+    throw new ValidationError('Block làm tròn quá giờ phải là số phút nguyên từ 1 đến 60');
+  }
+  if (overtimeGraceMinutes !== undefined && (!Number.isInteger(overtimeGraceMinutes) || overtimeGraceMinutes < 0 || overtimeGraceMinutes > 60)) {
+    throw new ValidationError('Thời gian ân hạn quá giờ phải là số phút nguyên từ 0 đến 60');
+  }
+};
+
 export const createStudio = async (studioData) => {
   try {
-    const { name, description, area, location, basePricePerHour, capacity, images, video } = studioData;
+    const { name, description, area, location, basePricePerHour, capacity, images, video, bufferBeforeMinutes, bufferAfterMinutes,
+      overtimeRatePerHour, overtimeRoundingMinutes, overtimeGraceMinutes } = studioData;
     
     // Validation
     if (!name || !description || !area || !location || !basePricePerHour || !capacity) {
@@ -108,6 +137,9 @@ export const createStudio = async (studioData) => {
     if (area < 0) {
       throw new ValidationError('Diện tích phải lớn hơn hoặc bằng 0');
     }
+
+    validateBufferFields(studioData);
+    validateOvertimeFields(studioData);
     
     const studio = await Studio.create({
       name,
@@ -118,6 +150,11 @@ export const createStudio = async (studioData) => {
       capacity,
       images: images || [],
       video: video || null,
+      bufferBeforeMinutes,
+      bufferAfterMinutes,
+      overtimeRatePerHour,
+      overtimeRoundingMinutes,
+      overtimeGraceMinutes,
       status: STUDIO_STATUS.ACTIVE,
     });
     
@@ -150,8 +187,12 @@ export const updateStudio = async (studioId, updateData) => {
     if (updateData.area !== undefined && updateData.area < 0) {
       throw new ValidationError('Diện tích phải lớn hơn hoặc bằng 0');
     }
+
+    // Buffer changes apply to new bookings; booked schedules keep their snapshot
+    validateBufferFields(updateData);
+    validateOvertimeFields(updateData);
     
-    const allowedUpdates = ['name', 'description', 'area', 'location', 'basePricePerHour', 'capacity', 'images', 'video'];
+    const allowedUpdates = ['name', 'description', 'area', 'location', 'basePricePerHour', 'capacity', 'images', 'video', ...BUFFER_FIELDS, ...OVERTIME_FIELDS];
     
     allowedUpdates.forEach((field) => {
       if (updateData[field] !== undefined) {
@@ -234,6 +275,19 @@ export const changeStudioStatus = async (studioId, newStatus) => {
   const cacheKey = `studio:${studioId}`;
   await cacheSet(cacheKey, null); // Delete cache
 
+  // Maintenance status alone does not touch bookings: point staff to the ones still scheduled
+  let maintenanceNote = '';
+  if (newStatus === STUDIO_STATUS.MAINTENANCE) {
+    const upcoming = await Schedule.countDocuments({
+      studioId,
+      status: SCHEDULE_STATUS.BOOKED,
+      startTime: { $gt: new Date() }
+    });
+    if (upcoming > 0) {
+      maintenanceNote = ` ${upcoming} upcoming booked schedule(s) are not affected; create a maintenance window to relocate or cancel them.`;
+    }
+  }
+
   // Notify all staff/admin about studio status change
   const { User } = await import('../models/index.js');
   const staff = await User.find({ role: { $in: ['staff', 'admin'] }, isActive: true }).select('_id');
@@ -244,7 +298,7 @@ export const changeStudioStatus = async (studioId, newStatus) => {
           user._id,
           NOTIFICATION_TYPE.CHANGE,
           'Studio Status Updated',
-          `Studio "${studio.name}" has been changed to status: ${newStatus}.`,
+          `Studio "${studio.name}" has been changed to status: ${newStatus}.${maintenanceNote}`,
           false,
           null
         );
@@ -738,22 +792,35 @@ export const getStudiosAvailability = async (options = {}) => {
   const endQuery = new Date(targetDates[targetDates.length - 1]);
   endQuery.setHours(23,59,59,999);
 
+  // Shared holiday calendar for the whole range (operating hours / blackouts are per studio)
+  const holidays = await getHolidayMap(startQuery, endQuery);
+
   // For each studio, get available slots grouped by date
   const studiosWithAvailability = await Promise.all(
     studiosResult.studios.map(async (studio) => {
       let availabilityByDate = {};
       let totalSlotsCount = 0;
 
+      const studioBuffers = studioBuffersOf(studio);
+
       if (mode === 'flexible') {
         // --- FLEXIBLE MODE: Calculate Free Ranges by subtracting Booked Slots ---
         
-        // 1. Get ALL booked schedules in range
-        const busySchedules = await Schedule.find({
+        // 1. Get ALL booked schedules in range, widened by their own buffers plus the
+        //    studio's default buffers of a new booking on the other side
+        const lookAroundMs = 2 * MAX_BUFFER_MINUTES * 60 * 1000;
+        const busySchedules = (await Schedule.find({
           studioId: studio._id,
           status: SCHEDULE_STATUS.BOOKED,
-          startTime: { $lte: endQuery },
-          endTime: { $gte: startQuery }
-        }).sort({ startTime: 1 }).lean();
+          startTime: { $lte: new Date(endQuery.getTime() + lookAroundMs) },
+          endTime: { $gte: new Date(startQuery.getTime() - lookAroundMs) }
+        }).sort({ startTime: 1 }).lean()).map(schedule => {
+          const own = resolveScheduleBuffers(schedule, studioBuffers);
+          return getBlockedWindow(schedule, {
+            before: own.before + studioBuffers.after,
+            after: own.after + studioBuffers.before
+          });
+        });
 
         // 2. Iterate each date and calculate gaps
         targetDates.forEach(dateObj => {
@@ -775,56 +842,48 @@ export const getStudiosAvailability = async (options = {}) => {
           // Sort by start time just in case
           dayBookings.sort((a, b) => a.startTime - b.startTime);
 
-          // Calculate Gaps
+          // Calculate Gaps inside each open window of the day (operating hours minus holidays/blackouts)
           const freeSlots = [];
-          let currentTime = dayStart;
-
-          dayBookings.forEach(booking => {
-            // Adjust booking start/end to be within day bounds
-            const bookingStart = booking.startTime < dayStart ? dayStart : booking.startTime;
-            const bookingEnd = booking.endTime > dayEnd ? dayEnd : booking.endTime;
-
-            // If there is a gap between currentTime and bookingStart
-            if (bookingStart > currentTime) {
-              const diffMs = bookingStart - currentTime;
-              const diffHours = Math.round((diffMs / (1000 * 60 * 60)) * 10) / 10;
-              
-              if (diffMs > 0) {
-                 freeSlots.push({
-                   startTime: currentTime,
-                   endTime: bookingStart,
-                   duration: diffHours,
-                   timeRange: `${formatTime(currentTime)} - ${formatTime(bookingStart)}`,
-                   pricePerHour: studio.basePricePerHour,
-                   estimatedPrice: Math.round(diffHours * studio.basePricePerHour),
-                   type: 'flexible'
-                 });
+          const pushFreeSlot = (from, to) => {
+            const diffMs = to - from;
+            if (diffMs <= 0) return;
+            const diffHours = Math.round((diffMs / (1000 * 60 * 60)) * 10) / 10;
+            freeSlots.push({
+              startTime: from,
+              endTime: to,
+              duration: diffHours,
+              timeRange: `${formatTime(from)} - ${formatTime(to)}`,
+              pricePerHour: studio.basePricePerHour,
+              estimatedPrice: Math.round(diffHours * studio.basePricePerHour),
+              type: 'flexible'
+            });
+          };
+
+          getOpenIntervals(studio, dayStart, dayEnd, holidays).forEach(({ startTime: windowStart, endTime: windowEnd }) => {
+            let currentTime = windowStart;
+
+            dayBookings.forEach(booking => {
+              // Adjust booking start/end to be within window bounds
+              const bookingStart = booking.startTime < windowStart ? windowStart : booking.startTime;
+              const bookingEnd = booking.endTime > windowEnd ? windowEnd : booking.endTime;
+              if (bookingEnd <= windowStart || bookingStart >= windowEnd) return;
+
+              // If there is a gap between currentTime and bookingStart
+              if (bookingStart > currentTime) {
+                pushFreeSlot(currentTime, bookingStart);
               }
-            }
-            // Move currentTime to end of this booking
-            if (bookingEnd > currentTime) {
-              currentTime = bookingEnd;
+              // Move currentTime to end of this booking
+              if (bookingEnd > currentTime) {
+                currentTime = bookingEnd;
+              }
+            });
+
+            // Check gap after last booking until the window closes
+            if (currentTime < windowEnd) {
+              pushFreeSlot(currentTime, windowEnd);
             }
           });
 
-          // Check gap after last booking until Day End
-          if (currentTime < dayEnd) {
-             const diffMs = dayEnd - currentTime;
-             const diffHours = Math.round((diffMs / (1000 * 60 * 60)) * 10) / 10;
-             
-             if (diffMs > 0) {
-                freeSlots.push({
-                   startTime: currentTime,
-                   endTime: dayEnd,
-                   duration: diffHours,
-                   timeRange: `${formatTime(currentTime)} - ${formatTime(dayEnd)}`,
-                   pricePerHour: studio.basePricePerHour,
-                   estimatedPrice: Math.round(diffHours * studio.basePricePerHour),
-                   type: 'flexible'
-                });
-             }
-          }
-
           if (freeSlots.length > 0) {
             availabilityByDate[dateStr] = freeSlots;
             totalSlotsCount += freeSlots.length;
@@ -849,10 +908,11 @@ export const getStudiosAvailability = async (options = {}) => {
           }
         }
 
-        // Get all available slots for this studio
-        const availableSlots = await Schedule.find(query)
+        // Get all available slots for this studio (hide slots the studio is closed for)
+        const availableSlots = (await Schedule.find(query)
           .sort({ startTime: 1 })
-          .lean();
+          .lean())
+          .filter(slot => !getClosureReason(studio, slot.startTime, slot.endTime, holidays));
 
         // Group slots by date
         availableSlots.forEach(slot => {
@@ -885,6 +945,8 @@ export const getStudiosAvailability = async (options = {}) => {
         area: studio.area,
         capacity: studio.capacity,
         basePricePerHour: studio.basePricePerHour,
+        bufferBeforeMinutes: studioBuffers.before,
+        bufferAfterMinutes: studioBuffers.after,
         availabilityByDate,
         totalSlots: totalSlotsCount,
         isAvailable: totalSlotsCount > 0
@@ -1200,9 +1262,13 @@ export const getStudioAvailability = async (studioId, startDate, endDate) => {
     .sort({ startTime: 1 })
     .lean();
 
-    // Separate available and booked schedules
+    const holidays = await getHolidayMap(start, end);
+    const studioBuffers = studioBuffersOf(studio);
+
+    // Separate available and booked schedules; available slots the studio is closed for are reported apart
     const availableSlots = [];
     const bookedSlots = [];
+    const closedSlots = [];
 
     schedules.forEach(schedule => {
       const slot = {
@@ -1215,9 +1281,16 @@ export const getStudioAvailability = async (studioId, startDate, endDate) => {
       };
 
       if (schedule.status === SCHEDULE_STATUS.AVAILABLE) {
-        availableSlots.push(slot);
+        const closedReason = getClosureReason(studio, schedule.startTime, schedule.endTime, holidays);
+        if (closedReason) {
+          closedSlots.push({ ...slot, closedReason });
+        } else {
+          availableSlots.push(slot);
+        }
       } else if (schedule.status === SCHEDULE_STATUS.BOOKED) {
-        bookedSlots.push(slot);
+        // Time the studio stays busy for setup/cleanup around the booking
+        const blocked = getBlockedWindow(schedule, resolveScheduleBuffers(schedule, studioBuffers));
+        bookedSlots.push({ ...slot, blockedStart: blocked.startTime, blockedEnd: blocked.endTime });
       }
     });
 
@@ -1234,7 +1307,9 @@ export const getStudioAvailability = async (studioId, startDate, endDate) => {
         location: studio.location,
         basePricePerHour: studio.basePricePerHour,
         capacity: studio.capacity,
-        status: studio.status
+        status: studio.status,
+        bufferBeforeMinutes: studioBuffers.before,
+        bufferAfterMinutes: studioBuffers.after
       },
       dateRange: {
         startDate: start,
@@ -1247,8 +1322,16 @@ export const getStudioAvailability = async (studioId, startDate, endDate) => {
         bookedSlots: bookedCount,
         availabilityRate: `${availabilityRate}%`
       },
+      openingHours: {
+        operatingHours: studio.operatingHours || [],
+        closedOnHolidays: studio.closedOnHolidays !== false,
+        holidays: [...holidays.entries()].map(([date, name]) => ({ date, name })),
+        blackouts: (studio.blackouts || []).filter(b => b.startTime < end && b.endTime > start),
+        openIntervals: getOpenIntervals(studio, start, end, holidays)
+      },
       availableSlots,
-      bookedSlots
+      bookedSlots,
+      closedSlots
     };
   } catch (error) {
     if (error instanceof ValidationError || error instanceof NotFoundError) {
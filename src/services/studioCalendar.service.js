@@ -0,0 +1,386 @@
+// #region Imports
+import { Studio, Holiday, Schedule } from '../models/index.js';
+import { NotFoundError, ValidationError, ConflictError } from '../utils/errors.js';
+import { TIME_CONSTANTS, VN_FIXED_HOLIDAYS, SCHEDULE_STATUS } from '../utils/constants.js';
+import { formatDate, formatDateISO, formatDateTime, formatTime } from '../utils/helpers.js';
+import { cacheSet } from '../utils/cache.js';
+// #endregion
+
+const TZ_OFFSET_MS = TIME_CONSTANTS.DEFAULT_TIMEZONE_OFFSET * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_OF_DAY_REGEX = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAY_NAMES = ['Chủ nhật', 'Thứ hai', 'Thứ ba', 'Thứ tư', 'Thứ năm', 'Thứ sáu', 'Thứ bảy'];
+const CALENDAR_FIELDS = 'name operatingHours closedOnHolidays blackouts';
+const MAX_CALENDAR_RANGE_DAYS = 62;
+
+// #region Helpers
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// UTC timestamp of the Vietnam midnight starting the day that contains `date`
+const localDayStart = (date) => {
+  const local = new Date(date).getTime() + TZ_OFFSET_MS;
+  return local - (local % DAY_MS) - TZ_OFFSET_MS;
+};
+
+const localWeekday = (dayStartMs) => new Date(dayStartMs + TZ_OFFSET_MS).getUTCDay();
+
+const loadStudioCalendar = async (studioId, session = null) => {
+  const query = Studio.findById(studioId).select(CALENDAR_FIELDS);
+  if (session) query.session(session);
+  const studio = await query;
+  if (!studio) throw new NotFoundError('Studio không tồn tại');
+  return studio;
+};
+
+const invalidateStudioCache = (studioId) => cacheSet(`studio:${studioId}`, null);
+
+// #endregion
+
+// #region Open Hours
+
+/**
+ * Holidays falling on VN days within [from, to]: built-in fixed holidays plus DB entries
+ * @returns {Map<string, string>} 'YYYY-MM-DD' -> holiday name
+ */
+export const getHolidayMap = async (from, to, session = null) => {
+  const fromKey = formatDateISO(from);
+  const toKey = formatDateISO(to);
+  const fromYear = Number(fromKey.slice(0, 4));
+  const toYear = Number(toKey.slice(0, 4));
+
+  const query = Holiday.find({
+    $or: [{ recurring: true }, { date: { $gte: fromKey, $lte: toKey } }]
+  }).lean();
+  if (session) query.session(session);
+  const holidays = await query;
+
+  const recurring = [
+    ...Object.entries(VN_FIXED_HOLIDAYS).map(([monthDay, name]) => ({ monthDay, name })),
+    ...holidays.filter(h => h.recurring).map(h => ({ monthDay: h.date.slice(5), name: h.name })),
+  ];
+
+  const map = new Map();
+  for (let year = fromYear; year <= toYear; year++) {
+    for (const { monthDay, name } of recurring) {
+      const key = `${year}-${monthDay}`;
+      if (key >= fromKey && key <= toKey) map.set(key, name);
+    }
+  }
+  holidays.filter(h => !h.recurring).forEach(h => map.set(h.date, h.name));
+
+  return map;
+};
+
+/**
+ * Open intervals of a studio within [from, to]: weekly hours minus holidays and blackouts.
+ * A studio without operatingHours is open around the clock.
+ * @param {Object} studio - Studio with operatingHours, closedOnHolidays, blackouts
+ * @param {Map} holidays - Result of getHolidayMap covering the same range
+ * @returns {Array<{startTime: Date, endTime: Date}>} Sorted, merged and clipped to [from, to]
+ */
+export const getOpenIntervals = (studio, from, to, holidays = new Map()) => {
+  const fromMs = new Date(from).getTime();
+  const toMs = new Date(to).getTime();
+  const hours = studio.operatingHours || [];
+
+  let intervals = [];
+  for (let day = localDayStart(fromMs); day < toMs; day += DAY_MS) {
+    if (studio.closedOnHolidays !== false && holidays.has(formatDateISO(day))) continue;
+
+    if (hours.length === 0) {
+      intervals.push([day, day + DAY_MS]);
+      continue;
+    }
+
+    const weekday = localWeekday(day);
+    hours
+      .filter(h => h.dayOfWeek === weekday)
+      .forEach(h => intervals.push([day + toMinutes(h.open) * 60000, day + toMinutes(h.close) * 60000]));
+  }
+  intervals.sort((a, b) => a[0] - b[0]);
+
+  for (const blackout of studio.blackouts || []) {
+    const bs = new Date(blackout.startTime).getTime();
+    const be = new Date(blackout.endTime).getTime();
+    intervals = intervals.flatMap(([s, e]) => {
+      if (be <= s || bs >= e) return [[s, e]];
+      const parts = [];
+      if (bs > s) parts.push([s, bs]);
+      if (be < e) parts.push([be, e]);
+      return parts;
+    });
+  }
+
+  // Merge touching intervals (e.g. 18:00-24:00 followed by 00:00-02:00)
+  const merged = [];
+  for (const [s, e] of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && s <= last[1]) {
+      last[1] = Math.max(last[1], e);
+    } else {
+      merged.push([s, e]);
+    }
+  }
+
+  return merged
+    .map(([s, e]) => [Math.max(s, fromMs), Math.min(e, toMs)])
+    .filter(([s, e]) => e > s)
+    .map(([s, e]) => ({ startTime: new Date(s), endTime: new Date(e) }));
+};
+
+/**
+ * Why [startTime, endTime] cannot be used, or null when it lies inside one open interval
+ */
+export const getClosureReason = (studio, startTime, endTime, holidays = new Map()) => {
+  const s = new Date(startTime);
+  const e = new Date(endTime);
+
+  const open = getOpenIntervals(studio, s, e, holidays);
+  if (open.length === 1 && open[0].startTime.getTime() === s.getTime() && open[0].endTime.getTime() === e.getTime()) {
+    return null;
+  }
+
+  const blackout = (studio.blackouts || []).find(b => b.startTime < e && b.endTime > s);
+  if (blackout) {
+    return `Studio tạm đóng cửa từ ${formatDateTime(blackout.startTime)} đến ${formatDateTime(blackout.endTime)}${blackout.reason ? ` (${blackout.reason})` : ''}`;
+  }
+
+  if (studio.closedOnHolidays !== false) {
+    for (let day = localDayStart(s); day < e.getTime(); day += DAY_MS) {
+      const name = holidays.get(formatDateISO(day));
+      if (name) return `Studio nghỉ lễ ${name} (${formatDate(day)})`;
+    }
+  }
+
+  const weekday = localWeekday(localDayStart(s));
+  const dayHours = (studio.operatingHours || []).filter(h => h.dayOfWeek === weekday);
+  const hoursText = dayHours.length > 0
+    ? dayHours.map(h => `${h.open} - ${h.close}`).join(', ')
+    : 'đóng cửa';
+  return `Khung giờ ${formatDateTime(s)} - ${formatTime(e)} nằm ngoài giờ mở cửa của studio (${WEEKDAY_NAMES[weekday]}: ${hoursText})`;
+};
+
+/**
+ * Throw a ValidationError unless the studio is open for the whole of [startTime, endTime].
+ * Enforced by createSchedule, booking reservation and booking extension.
+ * @returns {Object} The studio calendar document
+ */
+export const assertStudioOpen = async (studioId, startTime, endTime, session = null) => {
+  const studio = await loadStudioCalendar(studioId, session);
+  const holidays = studio.closedOnHolidays !== false
+    ? await getHolidayMap(startTime, endTime, session)
+    : new Map();
+
+  const reason = getClosureReason(studio, startTime, endTime, holidays);
+  if (reason) throw new ValidationError(reason);
+
+  return studio;
+};
+
+/**
+ * Opening calendar of a studio for a date range (public)
+ */
+export const getStudioOpeningCalendar = async (studioId, startDate, endDate) => {
+  const start = startDate ? new Date(startDate) : new Date();
+  const end = endDate ? new Date(endDate) : new Date(start.getTime() + 7 * DAY_MS);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) throw new ValidationError('Ngày không hợp lệ');
+  if (end <= start) throw new ValidationError('Ngày kết thúc phải sau ngày bắt đầu');
+  if (end - start > MAX_CALENDAR_RANGE_DAYS * DAY_MS) {
+    throw new ValidationError(`Khoảng thời gian tối đa là ${MAX_CALENDAR_RANGE_DAYS} ngày`);
+  }
+
+  const studio = await loadStudioCalendar(studioId);
+  const holidays = await getHolidayMap(start, end);
+
+  return {
+    studioId: studio._id,
+    operatingHours: studio.operatingHours,
+    closedOnHolidays: studio.closedOnHolidays,
+    holidays: [...holidays.entries()].map(([date, name]) => ({ date, name })),
+    blackouts: studio.blackouts.filter(b => b.startTime < end && b.endTime > start),
+    openIntervals: getOpenIntervals(studio, start, end, holidays),
+  };
+};
+
+// #endregion
+
+// #region Studio Hours & Blackouts
+
+/**
+ * Replace the weekly operating hours (and optionally the holiday flag) of a studio
+ * @param {Array} operatingHours - [{ dayOfWeek, open: 'HH:mm', close: 'HH:mm' }], empty = 24/7
+ */
+export const updateOperatingHours = async (studioId, { operatingHours, closedOnHolidays } = {}) => {
+  const studio = await Studio.findById(studioId);
+  if (!studio) throw new NotFoundError('Studio không tồn tại');
+
+  if (operatingHours !== undefined) {
+    if (!Array.isArray(operatingHours)) {
+      throw new ValidationError('operatingHours phải là một mảng');
+    }
+
+    const normalized = operatingHours.map((h) => {
+      const dayOfWeek = Number(h?.dayOfWeek);
+      if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+        throw new ValidationError('dayOfWeek phải là số từ 0 (Chủ nhật) đến 6 (Thứ bảy)');
+      }
+      if (!TIME_OF_DAY_REGEX.test(h.open) || h.open === '24:00' || !TIME_OF_DAY_REGEX.test(h.close)) {
+        throw new ValidationError('Giờ mở/đóng cửa phải có dạng HH:mm');
+      }
+      if (toMinutes(h.close) <= toMinutes(h.open)) {
+        throw new ValidationError(`Giờ đóng cửa phải sau giờ mở cửa (${WEEKDAY_NAMES[dayOfWeek]})`);
+      }
+      return { dayOfWeek, open: h.open, close: h.close };
+    });
+
+    // Ranges of the same day must not overlap
+    const sorted = [...normalized].sort((a, b) => a.dayOfWeek - b.dayOfWeek || toMinutes(a.open) - toMinutes(b.open));
+    for (let i = 1; i < sorted.length; i++) {
+      const prev = sorted[i - 1];
+      if (prev.dayOfWeek === sorted[i].dayOfWeek && toMinutes(sorted[i].open) < toMinutes(prev.close)) {
+        throw new ValidationError(`Các khung giờ mở cửa ${WEEKDAY_NAMES[prev.dayOfWeek]} bị chồng lấn`);
+      }
+    }
+
+    studio.operatingHours = sorted;
+  }
+
+  if (closedOnHolidays !== undefined) {
+    studio.closedOnHolidays = Boolean(closedOnHolidays);
+  }
+
+  await studio.save();
+  await invalidateStudioCache(studioId);
+
+  return {
+    _id: studio._id,
+    operatingHours: studio.operatingHours,
+    closedOnHolidays: studio.closedOnHolidays,
+  };
+};
+
+/**
+ * Add a one-off closure. Existing bookings are not touched; they are returned so staff can follow up.
+ */
+export const addBlackout = async (studioId, { startTime, endTime, reason } = {}) => {
+  const s = new Date(startTime);
+  const e = new Date(endTime);
+  if (!startTime || !endTime || isNaN(s.getTime()) || isNaN(e.getTime())) {
+    throw new ValidationError('startTime và endTime là bắt buộc và phải hợp lệ');
+  }
+  if (!(e > s)) throw new ValidationError('Thời gian kết thúc phải lớn hơn thời gian bắt đầu');
+  if (e <= new Date()) throw new ValidationError('Không thể thêm lịch đóng cửa trong quá khứ');
+
+  const studio = await Studio.findById(studioId);
+  if (!studio) throw new NotFoundError('Studio không tồn tại');
+
+  const overlapping = studio.blackouts.find(b => b.startTime < e && b.endTime > s);
+  if (overlapping) {
+    throw new ConflictError(`Trùng với lịch đóng cửa ${formatDateTime(overlapping.startTime)} - ${formatDateTime(overlapping.endTime)}`);
+  }
+
+  studio.blackouts.push({ startTime: s, endTime: e, reason });
+  await studio.save();
+  await invalidateStudioCache(studioId);
+
+  const affectedSchedules = await Schedule.find({
+    studioId,
+    status: SCHEDULE_STATUS.BOOKED,
+    startTime: { $lt: e },
+    endTime: { $gt: s }
+  }).select('startTime endTime bookingId').sort({ startTime: 1 }).lean();
+
+  return {
+    blackout: studio.blackouts[studio.blackouts.length - 1],
+    affectedSchedules,
+  };
+};
+
+export const removeBlackout = async (studioId, blackoutId) => {
+  const studio = await Studio.findById(studioId);
+  if (!studio) throw new NotFoundError('Studio không tồn tại');
+
+  const blackout = studio.blackouts.id(blackoutId);
+  if (!blackout) throw new NotFoundError('Lịch đóng cửa không tồn tại');
+  if (blackout.maintenanceWindowId) {
+    throw new ValidationError('Lịch đóng cửa thuộc lịch bảo trì, vui lòng hủy lịch bảo trì');
+  }
+
+  blackout.deleteOne();
+  await studio.save();
+  await invalidateStudioCache(studioId);
+
+  return studio.blackouts;
+};
+
+// #endregion
+
+// #region Holiday Calendar
+
+/**
+ * Holidays of a year (built-in fixed holidays + DB entries)
+ */
+export const getHolidays = async ({ year } = {}) => {
+  const y = Number(year) || Number(formatDateISO(new Date()).slice(0, 4));
+  if (y < 2000 || y > 2100) throw new ValidationError('Năm không hợp lệ');
+
+  const fixed = Object.entries(VN_FIXED_HOLIDAYS).map(([monthDay, name]) => ({
+    date: `${y}-${monthDay}`,
+    name,
+    recurring: true,
+    builtIn: true
+  }));
+
+  const stored = await Holiday.find({
+    $or: [{ recurring: true }, { date: { $regex: `^${y}-` } }]
+  }).lean();
+
+  const entries = [
+    ...fixed,
+    ...stored.map(h => ({ ...h, date: h.recurring ? `${y}-${h.date.slice(5)}` : h.date, builtIn: false }))
+  ];
+  return entries.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Add a holiday to the shared calendar (admin)
+ * @param {Object} data - { date: 'YYYY-MM-DD', name, recurring }
+ */
+export const createHoliday = async ({ date, name, recurring = false } = {}, userId = null) => {
+  if (!date || !DATE_KEY_REGEX.test(date) || formatDateISO(new Date(`${date}T00:00:00+07:00`)) !== date) {
+    throw new ValidationError('Ngày lễ phải có dạng YYYY-MM-DD hợp lệ');
+  }
+  if (!name || !name.trim()) throw new ValidationError('Tên ngày lễ là bắt buộc');
+
+  const existing = await Holiday.findOne({ date });
+  if (existing) throw new ConflictError('Ngày lễ này đã tồn tại');
+
+  return Holiday.create({ date, name: name.trim(), recurring: Boolean(recurring), createdBy: userId });
+};
+
+export const deleteHoliday = async (holidayId) => {
+  const holiday = await Holiday.findByIdAndDelete(holidayId);
+  if (!holiday) throw new NotFoundError('Ngày lễ không tồn tại');
+  return holiday;
+};
+
+// #endregion
+
+export default {
+  getHolidayMap,
+  getOpenIntervals,
+  getClosureReason,
+  assertStudioOpen,
+  getStudioOpeningCalendar,
+  updateOperatingHours,
+  addBlackout,
+  removeBlackout,
+  getHolidays,
+  createHoliday,
+  deleteHoliday,
+};
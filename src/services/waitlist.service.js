@@ -0,0 +1,309 @@
+// #region Imports
+import { WaitlistEntry, Studio } from '../models/index.js';
+import { NotFoundError, ValidationError, ConflictError, UnauthorizedError } from '../utils/errors.js';
+import { WAITLIST_STATUS, NOTIFICATION_TYPE } from '../utils/constants.js';
+import { createBooking, findSlotConflict } from './booking.service.js';
+import { getStudioBuffers } from './schedule.service.js';
+import { createAndSendNotification } from './notification.service.js';
+import { assertStudioOpen } from './studioCalendar.service.js';
+import { formatDateTime, formatTime } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+// #endregion
+
+// How long a freed slot is held for the first waitlisted customer
+const HOLD_MINUTES = Number(process.env.WAITLIST_HOLD_MINUTES || '15');
+const MAX_ACTIVE_ENTRIES_PER_USER = 10;
+const ACTIVE_STATUSES = [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED];
+
+// #region Helpers
+
+// Another customer's hold blocks the window once both sides' studio buffers are applied
+const findActiveHold = async (studioId, s, e, now = new Date()) => {
+  const { before, after } = await getStudioBuffers(studioId);
+  const gapMs = (before + after) * 60 * 1000;
+  return WaitlistEntry.findOne({
+    studioId,
+    status: WAITLIST_STATUS.OFFERED,
+    'offer.expiresAt': { $gt: now },
+    startTime: { $lt: new Date(e.getTime() + gapMs) },
+    endTime: { $gt: new Date(s.getTime() - gapMs) }
+  });
+};
+
+const loadOwnEntry = async (entryId, userId) => {
+  const entry = await WaitlistEntry.findById(entryId);
+  if (!entry) throw new NotFoundError('Yêu cầu chờ không tồn tại');
+  if (entry.userId.toString() !== userId?.toString()) {
+    throw new UnauthorizedError('Bạn không có quyền thao tác trên yêu cầu chờ này');
+  }
+  return entry;
+};
+
+// #endregion
+
+// #region Customer Actions
+
+/**
+ * Join the waitlist for a studio + time window that is currently taken
+ */
+export const joinWaitlist = async ({ userId, studioId, startTime, endTime, notes }) => {
+  if (!userId) throw new ValidationError('ID người dùng là bắt buộc');
+  if (!studioId || !startTime || !endTime) {
+    throw new ValidationError('Thiếu thông tin lịch: studioId, startTime, endTime là bắt buộc');
+  }
+
+  const s = new Date(startTime);
+  const e = new Date(endTime);
+  if (isNaN(s.getTime()) || isNaN(e.getTime())) throw new ValidationError('Thời gian không hợp lệ');
+  if (!(e > s)) throw new ValidationError('Thời gian kết thúc phải lớn hơn thời gian bắt đầu');
+  if (s <= new Date()) throw new ValidationError('Chỉ có thể đăng ký chờ cho khung giờ trong tương lai');
+
+  const studio = await Studio.findById(studioId).select('_id name').lean();
+  if (!studio) throw new NotFoundError('Studio không tồn tại');
+  await assertStudioOpen(studioId, s, e);
+
+  const duplicate = await WaitlistEntry.findOne({
+    userId,
+    studioId,
+    startTime: s,
+    endTime: e,
+    status: { $in: ACTIVE_STATUSES }
+  });
+  if (duplicate) throw new ConflictError('Bạn đã có trong danh sách chờ cho khung giờ này');
+
+  const activeCount = await WaitlistEntry.countDocuments({ userId, status: { $in: ACTIVE_STATUSES } });
+  if (activeCount >= MAX_ACTIVE_ENTRIES_PER_USER) {
+    throw new ValidationError(`Bạn chỉ có thể chờ tối đa ${MAX_ACTIVE_ENTRIES_PER_USER} khung giờ cùng lúc`);
+  }
+
+  // No point waiting for a slot that can be booked right now
+  const conflict = await findSlotConflict(studioId, s, e);
+  const hold = await findActiveHold(studioId, s, e);
+  if (!conflict && !hold) {
+    throw new ValidationError('Khung giờ này đang trống, bạn có thể đặt lịch ngay');
+  }
+
+  const entry = await WaitlistEntry.create({ userId, studioId, startTime: s, endTime: e, notes });
+
+  const position = await WaitlistEntry.countDocuments({
+    studioId,
+    status: WAITLIST_STATUS.WAITING,
+    createdAt: { $lte: entry.createdAt },
+    startTime: { $lt: e },
+    endTime: { $gt: s }
+  });
+
+  return { entry, position };
+};
+
+/**
+ * Get the current user's waitlist entries
+ */
+export const getMyWaitlistEntries = async (userId, { status } = {}) => {
+  const query = { userId };
+  if (status) {
+    if (!Object.values(WAITLIST_STATUS).includes(status)) {
+      throw new ValidationError(`Trạng thái không hợp lệ. Chọn từ: ${Object.values(WAITLIST_STATUS).join(', ')}`);
+    }
+    query.status = status;
+  }
+
+  return WaitlistEntry.find(query)
+    .populate('studioId', 'name location images')
+    .populate('bookingId', 'status finalAmount')
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .lean();
+};
+
+/**
+ * Leave the waitlist. An active hold is passed on to the next customer.
+ */
+export const leaveWaitlist = async (entryId, userId, io = null) => {
+  const entry = await loadOwnEntry(entryId, userId);
+  if (!ACTIVE_STATUSES.includes(entry.status)) {
+    throw new ValidationError('Yêu cầu chờ đã kết thúc, không thể hủy');
+  }
+
+  const wasOffered = entry.status === WAITLIST_STATUS.OFFERED;
+  entry.status = WAITLIST_STATUS.CANCELLED;
+  await entry.save();
+
+  if (wasOffered) {
+    await offerReleasedSlot(entry.studioId, entry.offer.releasedStart, entry.offer.releasedEnd, io);
+  }
+
+  return entry;
+};
+
+/**
+ * Convert an active hold into a booking (same flow and pricing as POST /api/bookings).
+ * The booking and the CONVERTED entry are written in one transaction.
+ * @param {Object} data - Optional booking fields: details, payType, notes, promoId
+ */
+export const convertWaitlistOffer = async (entryId, userId, data = {}) => {
+  const entry = await loadOwnEntry(entryId, userId);
+
+  if (entry.status !== WAITLIST_STATUS.OFFERED) {
+    throw new ValidationError('Yêu cầu chờ này chưa được giữ chỗ');
+  }
+  if (!entry.offer?.expiresAt || entry.offer.expiresAt <= new Date()) {
+    throw new ValidationError('Thời gian giữ chỗ đã hết');
+  }
+
+  const result = await createBooking({
+    userId,
+    studioId: entry.studioId,
+    startTime: entry.startTime,
+    endTime: entry.endTime,
+    details: data.details,
+    payType: data.payType,
+    promoId: data.promoId,
+    notes: data.notes ?? entry.notes,
+    waitlistEntryId: entry._id
+  });
+
+  // createBooking marked the entry converted in its own transaction
+  const converted = await WaitlistEntry.findById(entry._id);
+
+  return { entry: converted, ...result };
+};
+
+// #endregion
+
+// #region Staff Views
+
+/**
+ * Waitlist of a studio in FIFO order (staff)
+ */
+export const getStudioWaitlist = async (studioId, { status } = {}) => {
+  const query = { studioId, status: status || { $in: ACTIVE_STATUSES } };
+  return WaitlistEntry.find(query)
+    .populate('userId', 'fullName username email phone')
+    .sort({ createdAt: 1 })
+    .limit(200)
+    .lean();
+};
+
+// #endregion
+
+// #region Slot Release & Offers
+
+/**
+ * Offer a released studio window to waitlisted customers in FIFO order.
+ * Called after cancelBooking / checkOutBooking commit and by the no-show job;
+ * callers inside a transaction must call it only after commit.
+ * Each customer whose whole window fits in the released window (and is still free)
+ * gets a time-boxed hold, announced via in-app notification + email.
+ * @returns {Array} Entries that received an offer
+ */
+export const offerReleasedSlot = async (studioId, releasedStart, releasedEnd, io = null) => {
+  const now = new Date();
+  const windowStart = new Date(Math.max(new Date(releasedStart).getTime(), now.getTime()));
+  const windowEnd = new Date(releasedEnd);
+  if (!(windowEnd > windowStart)) return [];
+
+  const candidates = await WaitlistEntry.find({
+    studioId,
+    status: WAITLIST_STATUS.WAITING,
+    startTime: { $gte: windowStart },
+    endTime: { $lte: windowEnd }
+  }).sort({ createdAt: 1 }).limit(50);
+
+  const offered = [];
+  for (const entry of candidates) {
+    try {
+      // Earlier offers (including ones made in this loop) keep their window
+      if (await findActiveHold(studioId, entry.startTime, entry.endTime, now)) continue;
+      if (await findSlotConflict(studioId, entry.startTime, entry.endTime)) continue;
+
+      const expiresAt = new Date(now.getTime() + HOLD_MINUTES * 60 * 1000);
+      const claimed = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: WAITLIST_STATUS.WAITING },
+        {
+          $set: {
+            status: WAITLIST_STATUS.OFFERED,
+            offer: { offeredAt: now, expiresAt, releasedStart: windowStart, releasedEnd: windowEnd }
+          },
+          $inc: { offerCount: 1 }
+        },
+        { new: true }
+      );
+      if (!claimed) continue;
+      offered.push(claimed);
+
+      try {
+        await createAndSendNotification(
+          claimed.userId,
+          NOTIFICATION_TYPE.INFO,
+          'Khung giờ bạn chờ đã trống',
+          `Khung giờ ${formatDateTime(claimed.startTime)} - ${formatTime(claimed.endTime)} đang được giữ cho bạn đến ${formatDateTime(expiresAt)}. Hãy xác nhận đặt lịch trước khi hết hạn.`,
+          true, // Send email
+          io,
+          claimed._id
+        );
+      } catch (notifyErr) {
+        logger.error('Failed to send waitlist offer notification:', notifyErr);
+      }
+    } catch (err) {
+      logger.error(`Failed to offer waitlist entry ${entry._id}`, err);
+    }
+  }
+
+  if (offered.length > 0) {
+    logger.info(`Offered released slot to ${offered.length} waitlisted customer(s) for studio ${studioId}`);
+  }
+  return offered;
+};
+
+/**
+ * Expire holds that were not converted in time and roll the slot to the next customer
+ */
+export const expireWaitlistOffers = async (io = null) => {
+  const now = new Date();
+  const expiredOffers = await WaitlistEntry.find({
+    status: WAITLIST_STATUS.OFFERED,
+    'offer.expiresAt': { $lte: now }
+  }).limit(200);
+
+  let expiredCount = 0;
+  for (const entry of expiredOffers) {
+    const updated = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: WAITLIST_STATUS.OFFERED },
+      { $set: { status: WAITLIST_STATUS.EXPIRED } },
+      { new: true }
+    );
+    if (!updated) continue;
+    expiredCount++;
+
+    try {
+      await createAndSendNotification(
+        updated.userId,
+        NOTIFICATION_TYPE.WARNING,
+        'Giữ chỗ đã hết hạn',
+        `Giữ chỗ cho khung giờ ${formatDateTime(updated.startTime)} - ${formatTime(updated.endTime)} đã hết hạn và được chuyển cho khách tiếp theo.`,
+        false,
+        io,
+        updated._id
+      );
+    } catch (notifyErr) {
+      logger.error('Failed to send waitlist expiry notification:', notifyErr);
+    }
+
+    await offerReleasedSlot(updated.studioId, updated.offer.releasedStart, updated.offer.releasedEnd, io);
+  }
+
+  return expiredCount;
+};
+
+// #endregion
+
+export default {
+  joinWaitlist,
+  getMyWaitlistEntries,
+  leaveWaitlist,
+  convertWaitlistOffer,
+  getStudioWaitlist,
+  offerReleasedSlot,
+  expireWaitlistOffers,
+};
@@ -0,0 +1,428 @@
+// #region Imports
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { Wallet, WalletTransaction, Payment, Report, User } from '../models/index.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import {
+  WALLET_TRANSACTION_TYPE,
+  WALLET_ACCOUNT,
+  PAYMENT_STATUS,
+  PAYMENT_METHOD,
+  NOTIFICATION_TYPE,
+  USER_ROLES,
+} from '../utils/constants.js';
+import { fulfilPaidPayment } from './paymentWebhook.service.js';
+import { createAndSendNotification } from './notification.service.js';
+import logger from '../utils/logger.js';
+// #endregion
+
+/**
+ * Ví khách hàng (store credit) với sổ cái bút toán kép:
+ * - Cộng ví: hoàn tiền, bồi thường, khuyến mãi
+ * - Trừ ví: checkout booking / equipment / set design (tạo Payment method=wallet, fulfil như webhook)
+ * Số dư và bút toán luôn được ghi trong cùng session.
+ */
+
+// Số tiền tối thiểu cổng thanh toán chấp nhận cho phần còn lại sau khi trừ ví
+const MIN_GATEWAY_AMOUNT = 1000;
+
+// Tài khoản đối ứng khi cộng ví theo loại giao dịch
+const CREDIT_SOURCE_ACCOUNTS = {
+  [WALLET_TRANSACTION_TYPE.REFUND]: WALLET_ACCOUNT.REFUNDS,
+  [WALLET_TRANSACTION_TYPE.COMPENSATION]: WALLET_ACCOUNT.COMPENSATION,
+  [WALLET_TRANSACTION_TYPE.PROMOTION]: WALLET_ACCOUNT.PROMOTIONS,
+};
+
+// #region Helpers
+
+const runInTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    }, { writeConcern: { w: 'majority' }, readConcern: { level: 'majority' } });
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+const assertAmount = (amount) => {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new ValidationError('Số tiền phải là số nguyên dương (VND)');
+  }
+};
+
+const generateWalletPaymentCode = () => `WALLET-${Date.now()}-${crypto.randomBytes(2).readUInt16BE(0) % 1000}`;
+
+// #endregion
+
+// #region Ledger
+
+/**
+ * Cộng ví (trong session của caller)
+ * @param {Object} params - { userId, amount, type, referenceModel, referenceId, description, createdBy }
+ * @returns {Object} - WalletTransaction
+ */
+export const creditWallet = async ({ userId, amount, type, referenceModel = null, referenceId = null, description = '', createdBy = null }, session) => {
+  assertAmount(amount);
+  const debitAccount = CREDIT_SOURCE_ACCOUNTS[type];
+  if (!debitAccount) {
+    throw new ValidationError(`Loại giao dịch cộng ví không hợp lệ: ${type}`);
+  }
+
+  const wallet = await Wallet.findOneAndUpdate(
+    { userId },
+    { $inc: { balance: amount }, $set: { lastTransactionAt: new Date() } },
+    { upsert: true, new: true, setDefaultsOnInsert: true, session }
+  );
+
+  try {
+    const [entry] = await WalletTransaction.create([{
+      walletId: wallet._id,
+      userId,
+      type,
+      debitAccount,
+      creditAccount: WALLET_ACCOUNT.CUSTOMER_WALLET,
+      amount,
+      balanceAfter: wallet.balance,
+      referenceModel,
+      referenceId,
+      description,
+      createdBy,
+    }], { session });
+    return entry;
+  } catch (err) {
+    if (err?.code === 11000) {
+      throw new ConflictError('Chứng từ này đã được cộng vào ví');
+    }
+    throw err;
+  }
+};
+
+/**
+ * Trừ ví khi checkout (trong session của caller); không đủ số dư thì báo lỗi
+ * @param {Object} params - { userId, amount, referenceId (Payment), description, createdBy }
+ * @returns {Object} - WalletTransaction
+ */
+export const debitWallet = async ({ userId, amount, referenceId, description = '', createdBy = null }, session) => {
+  assertAmount(amount);
+
+  const wallet = await Wallet.findOneAndUpdate(
+    { userId, balance: { $gte: amount } },
+    { $inc: { balance: -amount }, $set: { lastTransactionAt: new Date() } },
+    { new: true, session }
+  );
+  if (!wallet) {
+    throw new ValidationError('Số dư ví không đủ');
+  }
+
+  try {
+    const [entry] = await WalletTransaction.create([{
+      walletId: wallet._id,
+      userId,
+      type: WALLET_TRANSACTION_TYPE.CHECKOUT,
+      debitAccount: WALLET_ACCOUNT.CUSTOMER_WALLET,
+      creditAccount: WALLET_ACCOUNT.SALES,
+      amount,
+      balanceAfter: wallet.balance,
+      referenceModel: 'Payment',
+      referenceId,
+      description,
+      createdBy,
+    }], { session });
+    return entry;
+  } catch (err) {
+    if (err?.code === 11000) {
+      throw new ConflictError('Khoản thanh toán này đã được trừ ví');
+    }
+    throw err;
+  }
+};
+
+/**
+ * Hoàn một payment đã paid vào ví khi đơn bị huỷ trước khi được xác nhận (trong session của caller).
+ * Payment chuyển sang refunded để luồng yêu cầu hoàn tiền không hoàn lần nữa.
+ * @param {Object} params - { payment, userId, description, reason }
+ * @returns {Object} - WalletTransaction
+ */
+export const refundPaymentToWallet = async ({ payment, userId, description = '', reason }, session) => {
+  const entry = await creditWallet({
+    userId,
+    amount: payment.amount,
+    type: WALLET_TRANSACTION_TYPE.REFUND,
+    referenceModel: 'Payment',
+    referenceId: payment._id,
+    description: description || `Hoàn tiền ${payment.paymentCode}`,
+  }, session);
+
+  payment.status = PAYMENT_STATUS.REFUNDED;
+  payment.gatewayResponse = {
+    ...payment.gatewayResponse,
+    refundedToWallet: { walletTransactionId: entry._id, reason, refundedAt: new Date() },
+  };
+  await payment.save({ session });
+  return entry;
+};
+
+// #endregion
+
+// #region Checkout
+
+/**
+ * Trả một phần hoặc toàn bộ khoản checkout bằng số dư ví (trong session của checkout).
+ * Phần ví thành một Payment paid riêng (method=wallet) và được fulfil như webhook;
+ * phần còn lại (nếu có) caller tạo link thanh toán như bình thường.
+ * @param {Object} params - { userId, amount, payment: { bookingId, targetId, targetModel, category, payType }, description }
+ * @returns {Object} - { walletPayment, walletAmount, remaining, afterCommit } (afterCommit: gọi sau khi commit, không throw)
+ */
+export const applyWalletToCheckout = async ({ userId, amount, payment, description = '' }, session) => {
+  const wallet = await Wallet.findOne({ userId }).session(session);
+  // The ledger only holds whole VND: priced amounts with decimals (multiplier rules, percentages)
+  // are rounded up, the same way payment links are
+  const dueAmount = Math.ceil(amount);
+  let walletAmount = Math.min(wallet?.balance || 0, dueAmount);
+
+  // The gateway rejects tiny amounts: leave at least MIN_GATEWAY_AMOUNT for the payment link
+  if (walletAmount < dueAmount && dueAmount - walletAmount < MIN_GATEWAY_AMOUNT) {
+    walletAmount = dueAmount - MIN_GATEWAY_AMOUNT;
+  }
+  if (walletAmount <= 0) {
+    return { walletPayment: null, walletAmount: 0, remaining: amount, afterCommit: async () => {} };
+  }
+
+  const [walletPayment] = await Payment.create([{
+    ...payment,
+    paymentCode: generateWalletPaymentCode(),
+    amount: walletAmount,
+    status: PAYMENT_STATUS.PAID,
+    method: PAYMENT_METHOD.WALLET,
+    paidAt: new Date(),
+  }], { session });
+
+  const entry = await debitWallet({
+    userId,
+    amount: walletAmount,
+    referenceId: walletPayment._id,
+    description: description || `Thanh toán ${walletPayment.paymentCode}`,
+    createdBy: userId,
+  }, session);
+  walletPayment.gatewayResponse = { walletTransactionId: entry._id, balanceAfter: entry.balanceAfter };
+  await walletPayment.save({ session });
+
+  const fulfilled = await fulfilPaidPayment(walletPayment, session);
+  const afterCommit = async () => {
+    try {
+      if (fulfilled) await fulfilled();
+    } catch (err) {
+      logger.error('Wallet checkout post-commit actions failed', { paymentId: walletPayment._id, error: err.message });
+    }
+  };
+
+  const remaining = Math.max(0, Math.round((amount - walletAmount) * 100) / 100);
+  logger.info('Checkout paid from wallet', { userId, paymentId: walletPayment._id, walletAmount, remaining });
+  return { walletPayment, walletAmount, remaining, afterCommit };
+};
+
+// #endregion
+
+// #region Credits
+
+/**
+ * Cộng khoản bồi thường của báo cáo vào ví người báo cáo (Staff/Admin)
+ * Báo cáo hư hỏng có người chịu trách nhiệm là tiền phạt (createFinePayment), không cộng ví.
+ */
+export const creditReportCompensation = async (reportId, actorId) => {
+  if (!mongoose.Types.ObjectId.isValid(reportId)) {
+    throw new ValidationError('ID báo cáo không hợp lệ');
+  }
+
+  const result = await runInTransaction(async (session) => {
+    const report = await Report.findById(reportId).session(session);
+    if (!report) throw new NotFoundError('Báo cáo không tồn tại');
+    if (report.responsibleUserId) {
+      throw new ValidationError('Báo cáo này là tiền phạt của người chịu trách nhiệm, không thể cộng ví');
+    }
+    if (!report.compensationAmount || report.compensationAmount <= 0) {
+      throw new ValidationError('Báo cáo không có khoản bồi thường');
+    }
+    if (report.compensationCreditedAt) {
+      throw new ConflictError('Khoản bồi thường đã được cộng vào ví');
+    }
+    if (report.compensationPaidAt) {
+      throw new ValidationError('Khoản bồi thường của báo cáo này đã được thanh toán như tiền phạt');
+    }
+    const reporter = await User.findById(report.reporterId).select('role').session(session).lean();
+    if (reporter?.role !== USER_ROLES.CUSTOMER) {
+      throw new ValidationError('Chỉ có thể cộng bồi thường vào ví của khách hàng');
+    }
+
+    const entry = await creditWallet({
+      userId: report.reporterId,
+      amount: Math.round(report.compensationAmount),
+      type: WALLET_TRANSACTION_TYPE.COMPENSATION,
+      referenceModel: 'Report',
+      referenceId: report._id,
+      description: `Bồi thường báo cáo #${report._id.toString().slice(-6)}`,
+      createdBy: actorId,
+    }, session);
+
+    report.compensationCreditedAt = new Date();
+    await report.save({ session });
+    return { report, entry };
+  });
+
+  try {
+    await createAndSendNotification(
+      result.report.reporterId,
+      NOTIFICATION_TYPE.SUCCESS,
+      'Đã nhận tiền bồi thường',
+      `${result.entry.amount.toLocaleString()} VND bồi thường đã được cộng vào ví. Số dư: ${result.entry.balanceAfter.toLocaleString()} VND`,
+      false,
+      null,
+      result.report._id
+    );
+  } catch (notifErr) {
+    logger.error('Failed to send compensation notification:', notifErr);
+  }
+
+  logger.info('Report compensation credited to wallet', { reportId, actorId, amount: result.entry.amount });
+  return result.entry;
+};
+
+/**
+ * Cộng tiền khuyến mãi vào ví khách hàng (Admin)
+ */
+export const grantPromotionCredit = async (userId, { amount, description } = {}, actorId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new ValidationError('ID người dùng không hợp lệ');
+  }
+  const creditAmount = Number(amount);
+  assertAmount(creditAmount);
+  if (!description || String(description).trim().length === 0) {
+    throw new ValidationError('Mô tả khuyến mãi là bắt buộc');
+  }
+
+  const customer = await User.findOne({ _id: userId, role: USER_ROLES.CUSTOMER }).select('_id').lean();
+  if (!customer) throw new NotFoundError('Khách hàng không tồn tại');
+
+  const entry = await runInTransaction(session => creditWallet({
+    userId,
+    amount: creditAmount,
+    type: WALLET_TRANSACTION_TYPE.PROMOTION,
+    description: String(description).trim(),
+    createdBy: actorId,
+  }, session));
+
+  try {
+    await createAndSendNotification(
+      userId,
+      NOTIFICATION_TYPE.SUCCESS,
+      'Bạn nhận được tiền khuyến mãi',
+      `${creditAmount.toLocaleString()} VND đã được cộng vào ví: ${entry.description}`,
+      false,
+      null,
+      entry._id
+    );
+  } catch (notifErr) {
+    logger.error('Failed to send promotion credit notification:', notifErr);
+  }
+
+  logger.info('Promotion credit granted', { userId, actorId, amount: creditAmount });
+  return entry;
+};
+
+// #endregion
+
+// #region Queries
+
+/**
+ * Lịch sử giao dịch ví
+ * @param {Object} options - { type, page, limit }
+ */
+export const getWalletTransactions = async (userId, { type, page = 1, limit = 20 } = {}) => {
+  const safePage = Math.max(parseInt(page) || 1, 1);
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const query = { userId };
+  if (type) {
+    if (!Object.values(WALLET_TRANSACTION_TYPE).includes(type)) {
+      throw new ValidationError(`Loại giao dịch không hợp lệ. Chọn: ${Object.values(WALLET_TRANSACTION_TYPE).join(', ')}`);
+    }
+    query.type = type;
+  }
+
+  const [transactions, total] = await Promise.all([
+    WalletTransaction.find(query)
+      .sort({ createdAt: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .lean(),
+    WalletTransaction.countDocuments(query),
+  ]);
+
+  return {
+    transactions,
+    pagination: { total, page: safePage, limit: safeLimit, totalPages: Math.ceil(total / safeLimit) },
+  };
+};
+
+/**
+ * Ví của người dùng (chưa có ví thì số dư 0) kèm giao dịch gần nhất
+ */
+export const getWallet = async (userId) => {
+  const wallet = await Wallet.findOne({ userId }).lean();
+  const { transactions } = await getWalletTransactions(userId, { limit: 10 });
+
+  return {
+    userId,
+    balance: wallet?.balance || 0,
+    currency: wallet?.currency || 'VND',
+    lastTransactionAt: wallet?.lastTransactionAt || null,
+    recentTransactions: transactions,
+  };
+};
+
+/**
+ * Ví của khách hàng cho admin, kèm số dư tính lại từ sổ cái để phát hiện lệch
+ */
+export const getWalletForAdmin = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new ValidationError('ID người dùng không hợp lệ');
+  }
+  const wallet = await getWallet(userId);
+
+  const [ledger] = await WalletTransaction.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: null,
+        credited: { $sum: { $cond: [{ $eq: ['$creditAccount', WALLET_ACCOUNT.CUSTOMER_WALLET] }, '$amount', 0] } },
+        debited: { $sum: { $cond: [{ $eq: ['$debitAccount', WALLET_ACCOUNT.CUSTOMER_WALLET] }, '$amount', 0] } },
+      },
+    },
+  ]);
+  const ledgerBalance = (ledger?.credited || 0) - (ledger?.debited || 0);
+
+  return {
+    ...wallet,
+    totalCredited: ledger?.credited || 0,
+    totalDebited: ledger?.debited || 0,
+    ledgerBalance,
+    inSync: ledgerBalance === wallet.balance,
+  };
+};
+
+// #endregion
+
+export default {
+  creditWallet,
+  debitWallet,
+  applyWalletToCheckout,
+  creditReportCompensation,
+  grantPromotionCredit,
+  getWalletTransactions,
+  getWallet,
+  getWalletForAdmin,
+};
@@ -82,6 +82,17 @@ export const STAFF_POSITIONS = {
   ADMIN: "admin",
 };
 
+export const STAFF_SHIFT_STATUS = {
+  SCHEDULED: "scheduled",
+  CANCELLED: "cancelled",
+};
+
+// Cách nhân viên được giao phụ trách booking
+export const STAFF_ASSIGNMENT_METHOD = {
+  AUTO: "auto",
+  MANUAL: "manual",
+};
+
 // Studio & Resources
 export const STUDIO_STATUS = {
   ACTIVE: "active",
@@ -89,12 +100,77 @@ export const STUDIO_STATUS = {
   MAINTENANCE: "maintenance",
 };
 
+// Lịch bảo trì studio
+export const MAINTENANCE_WINDOW_STATUS = {
+  SCHEDULED: "scheduled",
+  CANCELLED: "cancelled",
+};
+
+// Cách xử lý booking bị ảnh hưởng bởi lịch bảo trì
+export const MAINTENANCE_RESOLUTION = {
+  RELOCATED: "relocated", // Chuyển sang studio tương đương, cùng khung giờ
+  CANCELLED: "cancelled", // Hủy và hoàn 100%
+};
+
+// Ngày lễ dương lịch cố định (MM-DD), luôn áp dụng cùng với lịch nghỉ lễ nhập trong DB
+export const VN_FIXED_HOLIDAYS = {
+  "01-01": "Tết Dương lịch",
+  "04-30": "Ngày Giải phóng miền Nam",
+  "05-01": "Ngày Quốc tế Lao động",
+  "09-02": "Quốc khánh",
+};
+
+// Loại quy tắc giá động áp lên giá thuê studio theo giờ
+export const PRICING_RULE_TYPE = {
+  TIME_BAND: "time_band", // Khung giờ trong ngày (giờ cao điểm / thấp điểm)
+  DAY_OF_WEEK: "day_of_week", // Hệ số theo thứ trong tuần (cuối tuần)
+  HOLIDAY: "holiday", // Phụ thu ngày lễ
+  LAST_MINUTE: "last_minute", // Giảm giá khi đặt sát giờ
+  MINIMUM_HOURS: "minimum_hours", // Số giờ tính tiền tối thiểu
+};
+
 export const EQUIPMENT_STATUS = {
   AVAILABLE: "available",
   IN_USE: "in_use",
   MAINTENANCE: "maintenance",
 };
 
+// Trạng thái của từng unit (có serial) thuộc một Equipment
+export const EQUIPMENT_UNIT_STATUS = {
+  AVAILABLE: "available", // Trong kho, có thể giao
+  IN_USE: "in_use", // Đã giao cho booking / đơn thuê
+  MAINTENANCE: "maintenance", // Hỏng / đang sửa
+  RETIRED: "retired", // Thanh lý, không dùng nữa
+};
+
+// Tình trạng unit, theo thứ tự từ tốt đến xấu
+export const EQUIPMENT_CONDITION_GRADE = {
+  NEW: "new",
+  GOOD: "good",
+  FAIR: "fair",
+  POOR: "poor",
+  DAMAGED: "damaged",
+};
+
+// Phiếu bảo trì thiết bị (theo khung giờ)
+export const EQUIPMENT_MAINTENANCE_STATUS = {
+  SCHEDULED: "scheduled", // Đã lên lịch, số lượng bị giữ trong khung giờ
+  IN_PROGRESS: "in_progress", // Đang bảo trì, giữ đến khi hoàn tất
+  COMPLETED: "completed", // Đã trả về kho
+  CANCELLED: "cancelled",
+};
+
+export const EQUIPMENT_MAINTENANCE_TYPE = {
+  PREVENTIVE: "preventive", // Bảo trì định kỳ (theo kế hoạch)
+  CORRECTIVE: "corrective", // Sửa chữa khi hỏng
+};
+
+// Cách tính giá bộ thiết bị (kit)
+export const EQUIPMENT_KIT_PRICING = {
+  FIXED: "fixed", // Giá trọn bộ mỗi giờ
+  DISCOUNT: "discount", // Giảm % trên tổng giá lẻ các thiết bị
+};
+
 export const SERVICE_STATUS = {
   ACTIVE: "active",
   INACTIVE: "inactive",
@@ -124,6 +200,34 @@ export const BOOKING_EVENT_TYPE = {
   CHECK_IN: 'CHECK_IN',
   CHECK_OUT: 'CHECK_OUT',
   EXTENDED: 'EXTENDED', // Gia hạn thời gian booking
+  RESCHEDULED: 'RESCHEDULED', // Đổi lịch sang khung giờ khác
+  ITEMS_MODIFIED: 'ITEMS_MODIFIED', // Thêm / bớt thiết bị, dịch vụ sau khi đặt
+};
+
+// Người thực hiện check-in / check-out (ghi vào booking.events)
+export const CHECK_IN_ACTOR = {
+  STAFF: 'staff',
+  SELF_SERVICE: 'self-service', // Khách tự quét QR tại kiosk
+};
+
+// Recurring booking series
+export const RECURRENCE_FREQUENCY = {
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY',
+};
+
+export const BOOKING_SERIES_STATUS = {
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled',
+};
+
+// Waitlist
+export const WAITLIST_STATUS = {
+  WAITING: 'waiting',
+  OFFERED: 'offered',     // Đang được giữ chỗ tạm thời
+  CONVERTED: 'converted', // Đã chuyển thành booking
+  EXPIRED: 'expired',     // Hết thời gian giữ chỗ
+  CANCELLED: 'cancelled',
 };
 
 // Booking Detail Types (for booking_details table)
@@ -147,6 +251,85 @@ export const PAYMENT_STATUS = {
   REFUNDED: "refunded",
 };
 
+// Payment gateway adapters (PAYMENT_GATEWAY env)
+export const PAYMENT_GATEWAY = {
+  PAYOS: "payos",
+  MOCK: "mock",
+};
+
+// Trạng thái link thanh toán phía cổng (theo PayOS)
+export const PAYMENT_LINK_STATUS = {
+  PENDING: "PENDING",
+  PAID: "PAID",
+  CANCELLED: "CANCELLED",
+  EXPIRED: "EXPIRED",
+};
+
+// Payment webhook inbox
+export const PAYMENT_WEBHOOK_STATUS = {
+  RECEIVED: "received", // Đã lưu, đang xử lý
+  PROCESSED: "processed", // Đã cập nhật payment + đơn liên quan
+  IGNORED: "ignored", // Hợp lệ nhưng không có gì để làm (trùng, đã thanh toán, không tìm thấy payment)
+  FAILED: "failed", // Lỗi khi xử lý, có thể replay
+  REJECTED: "rejected", // Sai chữ ký, không bao giờ xử lý
+};
+
+// Sai lệch phát hiện khi đối soát payment với cổng thanh toán
+export const PAYMENT_RECONCILIATION_ISSUE = {
+  PAID_NOT_RECORDED: "paid_not_recorded", // Cổng đã thu tiền, local còn pending -> đã tự cập nhật paid
+  CANCELLED_ON_GATEWAY: "cancelled_on_gateway", // Link đã hủy / hết hạn, local còn pending -> đã tự hủy
+  NOT_PAID_ON_GATEWAY: "not_paid_on_gateway", // Local paid nhưng cổng chưa thu -> cần kiểm tra tay
+  AMOUNT_MISMATCH: "amount_mismatch", // Số tiền cổng thu khác payment.amount -> cần kiểm tra tay
+  GATEWAY_ERROR: "gateway_error", // Không lấy được trạng thái từ cổng
+};
+
+// Nguồn tiền của một payment
+export const PAYMENT_METHOD = {
+  GATEWAY: "gateway", // Link thanh toán (PayOS / mock)
+  WALLET: "wallet", // Trừ số dư ví khách hàng
+};
+
+// Nơi nhận tiền hoàn
+export const REFUND_DESTINATION = {
+  BANK: "bank", // Staff chuyển khoản thủ công (cần duyệt)
+  WALLET: "wallet", // Cộng ngay vào ví
+};
+
+// Wallet ledger
+export const WALLET_TRANSACTION_TYPE = {
+  REFUND: "refund",
+  COMPENSATION: "compensation",
+  PROMOTION: "promotion",
+  CHECKOUT: "checkout",
+};
+
+// Tài khoản trong bút toán kép: mỗi giao dịch ghi nợ một tài khoản và ghi có một tài khoản
+export const WALLET_ACCOUNT = {
+  CUSTOMER_WALLET: "customer_wallet",
+  REFUNDS: "refunds",
+  COMPENSATION: "compensation",
+  PROMOTIONS: "promotions",
+  SALES: "sales",
+};
+
+// Loyalty points
+export const LOYALTY_TIER = {
+  MEMBER: "member",
+  SILVER: "silver",
+  GOLD: "gold",
+  PLATINUM: "platinum",
+};
+
+export const LOYALTY_TRANSACTION_TYPE = {
+  EARN: "earn", // Booking / đơn hàng hoàn thành
+  REVIEW_BONUS: "review_bonus", // Đánh giá booking đã hoàn thành
+  BIRTHDAY_BONUS: "birthday_bonus",
+  REDEEM: "redeem", // Đổi điểm lấy giảm giá khi checkout
+  RESTORE: "restore", // Trả lại điểm đã đổi khi booking / đơn được hoàn tiền
+  REVERSAL: "reversal", // Thu hồi điểm đã tích khi booking / đơn được hoàn tiền
+  EXPIRE: "expire",
+};
+
 // Promotions
 export const DISCOUNT_TYPE = {
   PERCENTAGE: "percentage",
@@ -223,13 +406,15 @@ export const TARGET_MODEL = {
     SET_DESIGN_ORDER: 'SetDesignOrder',
     EQUIPMENT_ORDER: 'EquipmentOrder',
     REPORT: 'Report',
+    BOOKING_GROUP: 'BookingGroup',
 };
 
 export const PAYMENT_CATEGORY = {
     BOOKING: 'BOOKING',
     SET_DESIGN: 'SET_DESIGN',
     EQUIPMENT: 'EQUIPMENT',
-    FINE: 'FINE'
+    FINE: 'FINE',
+    OVERTIME: 'OVERTIME' // Phí quá giờ khi check-out
 };
 
 
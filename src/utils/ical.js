@@ -0,0 +1,108 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for booking feeds and email attachments
+ */
+
+const PRODID = '-//Studio Management//Booking Calendar//VI';
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeText = (value = '') =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * UTC date-time: 20251031T083000Z
+ * @param {Date|string} date
+ * @returns {string}
+ */
+export const formatUtc = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line at 75 octets without splitting UTF-8 characters (Vietnamese text)
+ * @param {string} line
+ * @returns {string}
+ */
+export const foldLine = (line) => {
+  if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+/**
+ * VEVENT lines
+ * @param {Object} event - { uid, sequence, dtstamp, start, end, summary, description, location, status, url, lastModified }
+ * @returns {Array<string>}
+ */
+const buildEventLines = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatUtc(event.dtstamp || new Date())}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(event.lastModified)}`);
+  lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+  lines.push('TRANSP:OPAQUE');
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Serialize a VCALENDAR
+ * @param {Object} options - { name, events, method }
+ * @returns {string} - text/calendar body (CRLF line endings, folded)
+ */
+export const buildCalendar = ({ name, events = [], method = 'PUBLISH' } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  lines.push('X-WR-TIMEZONE:Asia/Ho_Chi_Minh');
+
+  events.forEach((event) => lines.push(...buildEventLines(event)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+export default {
+  escapeText,
+  formatUtc,
+  foldLine,
+  buildCalendar,
+};
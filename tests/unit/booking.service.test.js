@@ -0,0 +1,427 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  Booking,
+  BookingDetail,
+  BookingSeries,
+  Schedule,
+  Payment,
+  Refund,
+  CustomerProfile,
+  LoyaltyTransaction,
+  Wallet,
+  Studio,
+  RoomPolicy,
+  Equipment,
+} from '../../src/models/index.js';
+import {
+  BOOKING_STATUS,
+  SCHEDULE_STATUS,
+  BOOKING_SERIES_STATUS,
+  RECURRENCE_FREQUENCY,
+  PAYMENT_STATUS,
+  PAY_TYPE,
+  PAYMENT_METHOD,
+  PAYMENT_LINK_STATUS,
+  LOYALTY_TRANSACTION_TYPE,
+  BOOKING_EVENT_TYPE,
+  USER_ROLES,
+} from '../../src/utils/constants.js';
+import { NotFoundError, ValidationError } from '../../src/utils/errors.js';
+import { getPaymentGateway } from '../../src/services/paymentGateway/index.js';
+import {
+  releaseExpiredHolds,
+  cancelBooking,
+  createBookingSeries,
+  previewBookingSeries,
+  getMaxExtensionTime,
+  rescheduleBooking,
+  modifyBookingItems,
+} from '../../src/services/booking.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const userId = new mongoose.Types.ObjectId();
+const MINUTE_MS = 60 * 1000;
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * MINUTE_MS);
+
+// A booked slot held for checkout, with its pending booking
+const seedHeldBooking = async ({ holdExpiresAt = minutesFromNow(-1), booking = {} } = {}) => {
+  const scheduleId = new mongoose.Types.ObjectId();
+  const bookingId = new mongoose.Types.ObjectId();
+  await db.seed(Schedule, {
+    _id: scheduleId,
+    studioId: new mongoose.Types.ObjectId(),
+    startTime: minutesFromNow(24 * 60),
+    endTime: minutesFromNow(26 * 60),
+    status: SCHEDULE_STATUS.BOOKED,
+    bookingId,
+    holdExpiresAt,
+  });
+  await db.seed(Booking, {
+    _id: bookingId,
+    userId,
+    scheduleId,
+    totalBeforeDiscount: 200000,
+    finalAmount: 200000,
+    payType: PAY_TYPE.FULL,
+    status: BOOKING_STATUS.PENDING,
+    ...booking,
+  });
+  return { scheduleId, bookingId };
+};
+
+let nextOrderCode = Date.now();
+const seedPayment = (bookingId, fields) => db.seed(Payment, {
+  bookingId,
+  paymentCode: `PAY-${new mongoose.Types.ObjectId()}`,
+  transactionId: String(nextOrderCode++),
+  amount: 200000,
+  payType: PAY_TYPE.FULL,
+  ...fields,
+}).then(([payment]) => payment);
+
+describe('releaseExpiredHolds', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('cancels an unpaid booking whose hold expired and frees its slot', async () => {
+    const { scheduleId, bookingId } = await seedHeldBooking();
+    const staleLink = await seedPayment(bookingId, { status: PAYMENT_STATUS.PENDING, expiresAt: minutesFromNow(-5) });
+
+    const released = await releaseExpiredHolds();
+
+    assert.equal(released, 1);
+    const booking = db.get(Booking, bookingId);
+    assert.equal(booking.status, BOOKING_STATUS.CANCELLED);
+    assert.equal(booking.events.at(-1).details.reason, 'HOLD_EXPIRED');
+    const schedule = db.get(Schedule, scheduleId);
+    assert.equal(schedule.status, SCHEDULE_STATUS.AVAILABLE);
+    assert.equal(schedule.bookingId, null);
+    assert.equal(schedule.holdExpiresAt, null);
+    assert.equal(db.get(Payment, staleLink._id).status, PAYMENT_STATUS.CANCELLED);
+  });
+
+  it('leaves holds that have not expired yet', async () => {
+    const { scheduleId, bookingId } = await seedHeldBooking({ holdExpiresAt: minutesFromNow(5) });
+
+    assert.equal(await releaseExpiredHolds(), 0);
+    assert.equal(db.get(Booking, bookingId).status, BOOKING_STATUS.PENDING);
+    assert.equal(db.get(Schedule, scheduleId).status, SCHEDULE_STATUS.BOOKED);
+  });
+
+  it('extends the hold to a payment link that is still live', async () => {
+    const { scheduleId, bookingId } = await seedHeldBooking();
+    const link = await seedPayment(bookingId, { status: PAYMENT_STATUS.PENDING, expiresAt: minutesFromNow(10) });
+
+    assert.equal(await releaseExpiredHolds(), 0);
+    assert.equal(db.get(Booking, bookingId).status, BOOKING_STATUS.PENDING);
+    assert.deepEqual(db.get(Schedule, scheduleId).holdExpiresAt, link.expiresAt);
+  });
+
+  it('only drops the hold of a booking that was confirmed', async () => {
+    const { scheduleId, bookingId } = await seedHeldBooking({ booking: { status: BOOKING_STATUS.CONFIRMED, payType: PAY_TYPE.PREPAY_30 } });
+    await seedPayment(bookingId, { status: PAYMENT_STATUS.PAID, amount: 60000, payType: PAY_TYPE.PREPAY_30 });
+
+    assert.equal(await releaseExpiredHolds(), 0);
+    assert.equal(db.get(Booking, bookingId).status, BOOKING_STATUS.CONFIRMED);
+    const schedule = db.get(Schedule, scheduleId);
+    assert.equal(schedule.status, SCHEDULE_STATUS.BOOKED);
+    assert.equal(schedule.holdExpiresAt, null);
+  });
+
+  it('frees the slot and refunds a wallet share that never reached the deposit', async () => {
+    const { scheduleId, bookingId } = await seedHeldBooking();
+    const walletShare = await seedPayment(bookingId, { status: PAYMENT_STATUS.PAID, amount: 20000, method: PAYMENT_METHOD.WALLET });
+    await seedPayment(bookingId, { status: PAYMENT_STATUS.PENDING, amount: 40000, expiresAt: minutesFromNow(-5) });
+
+    assert.equal(await releaseExpiredHolds(), 1);
+    assert.equal(db.get(Booking, bookingId).status, BOOKING_STATUS.CANCELLED);
+    assert.equal(db.get(Schedule, scheduleId).status, SCHEDULE_STATUS.AVAILABLE);
+    assert.equal(db.get(Payment, walletShare._id).status, PAYMENT_STATUS.REFUNDED);
+    assert.equal(db.all(Wallet, { userId })[0].balance, 20000);
+  });
+
+  it('gives back the points redeemed on the expired booking', async () => {
+    const { bookingId } = await seedHeldBooking({ booking: { loyaltyPointsRedeemed: 100 } });
+    await db.seed(CustomerProfile, { userId, loyaltyPoints: 50 });
+    await db.seed(LoyaltyTransaction, {
+      userId,
+      type: LOYALTY_TRANSACTION_TYPE.REDEEM,
+      points: -100,
+      balanceAfter: 50,
+      referenceModel: 'Booking',
+      referenceId: bookingId,
+    });
+
+    assert.equal(await releaseExpiredHolds(), 1);
+    assert.equal(db.all(CustomerProfile, { userId })[0].loyaltyPoints, 150);
+    const [restore] = db.all(LoyaltyTransaction, { type: LOYALTY_TRANSACTION_TYPE.RESTORE, referenceId: bookingId });
+    assert.equal(restore.points, 100);
+  });
+});
+
+describe('cancelBooking', () => {
+  const gateway = getPaymentGateway();
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  // A pending booking with a live payment link on the mock gateway
+  const seedLinkedBooking = async (booking) => {
+    const { scheduleId, bookingId } = await seedHeldBooking({ holdExpiresAt: minutesFromNow(10), booking });
+    const link = await seedPayment(bookingId, { status: PAYMENT_STATUS.PENDING, expiresAt: minutesFromNow(10) });
+    await gateway.createPaymentLink({ orderCode: Number(link.transactionId), amount: link.amount, description: link.paymentCode });
+    return { scheduleId, bookingId, link };
+  };
+  const linkStatus = async (link) => (await gateway.getPaymentStatus(link.transactionId)).status;
+
+  it('cancels the payment link on the gateway once the cancellation is committed', async () => {
+    const { bookingId, link } = await seedLinkedBooking();
+
+    await cancelBooking(bookingId);
+
+    assert.equal(db.get(Booking, bookingId).status, BOOKING_STATUS.CANCELLED);
+    assert.equal(db.get(Payment, link._id).status, PAYMENT_STATUS.CANCELLED);
+    assert.equal(await linkStatus(link), PAYMENT_LINK_STATUS.CANCELLED);
+  });
+
+  it('leaves the gateway link alone when the cancellation rolls back', async () => {
+    const { bookingId, link } = await seedLinkedBooking({ scheduleId: new mongoose.Types.ObjectId() });
+
+    await assert.rejects(cancelBooking(bookingId), NotFoundError);
+
+    assert.equal(db.get(Booking, bookingId).status, BOOKING_STATUS.PENDING);
+    assert.equal(db.get(Payment, link._id).status, PAYMENT_STATUS.PENDING);
+    assert.equal(await linkStatus(link), PAYMENT_LINK_STATUS.PENDING);
+  });
+});
+
+describe('getMaxExtensionTime', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  // A confirmed two-hour booking followed by another booked slot `gapMinutes` later
+  const seedBookingBefore = async (gapMinutes, studioBuffers) => {
+    const [studio] = await db.seed(Studio, { name: 'Studio A', basePricePerHour: 100000, closedOnHolidays: false, ...studioBuffers });
+    const startTime = new Date(Date.now() + 24 * 60 * MINUTE_MS);
+    startTime.setUTCHours(2, 0, 0, 0);
+    const endTime = new Date(startTime.getTime() + 120 * MINUTE_MS);
+    const [schedule] = await db.seed(Schedule, [
+      { studioId: studio._id, startTime, endTime, status: SCHEDULE_STATUS.BOOKED },
+      { studioId: studio._id, startTime: new Date(endTime.getTime() + gapMinutes * MINUTE_MS), endTime: new Date(endTime.getTime() + (gapMinutes + 60) * MINUTE_MS), status: SCHEDULE_STATUS.BOOKED },
+    ]);
+    const [booking] = await db.seed(Booking, {
+      userId, scheduleId: schedule._id, totalBeforeDiscount: 200000, finalAmount: 200000, payType: PAY_TYPE.FULL, status: BOOKING_STATUS.CONFIRMED,
+    });
+    return { booking, endTime };
+  };
+
+  it('stops the extension at the teardown and setup buffers of the studio', async () => {
+    const { booking, endTime } = await seedBookingBefore(120, { bufferBeforeMinutes: 15, bufferAfterMinutes: 45 });
+
+    const result = await getMaxExtensionTime(booking._id);
+
+    assert.equal(result.canExtend, true);
+    assert.equal(result.availableMinutes, 60);
+    assert.equal(result.maxEndTime.getTime(), endTime.getTime() + 60 * MINUTE_MS);
+  });
+
+  it('refuses to extend when the buffers already fill the gap', async () => {
+    const { booking } = await seedBookingBefore(60, { bufferBeforeMinutes: 15, bufferAfterMinutes: 45 });
+
+    const result = await getMaxExtensionTime(booking._id);
+
+    assert.equal(result.canExtend, false);
+    assert.equal(result.availableMinutes, 0);
+  });
+});
+
+describe('rescheduleBooking', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  // A paid two-hour booking three days ahead whose policy allows one reschedule for a 50.000 VND fee
+  const seedPaidBooking = async () => {
+    const [studio] = await db.seed(Studio, { name: 'Studio A', basePricePerHour: 100000, closedOnHolidays: false, bufferBeforeMinutes: 0, bufferAfterMinutes: 0 });
+    const startTime = new Date(Date.now() + 3 * 24 * 60 * MINUTE_MS);
+    startTime.setUTCMinutes(0, 0, 0);
+    const [schedule] = await db.seed(Schedule, {
+      studioId: studio._id, startTime, endTime: new Date(startTime.getTime() + 120 * MINUTE_MS), status: SCHEDULE_STATUS.BOOKED,
+    });
+    const [booking] = await db.seed(Booking, {
+      userId,
+      scheduleId: schedule._id,
+      totalBeforeDiscount: 200000,
+      finalAmount: 200000,
+      payType: PAY_TYPE.FULL,
+      status: BOOKING_STATUS.CONFIRMED,
+      pricingSnapshot: { studioAmount: 200000, adjustments: [] },
+      policySnapshots: {
+        cancellation: { rescheduleRules: { allowed: true, maxReschedules: 1, minHoursBeforeStart: 24, freeReschedules: 0, feeType: 'FIXED', feeValue: 50000 } },
+      },
+    });
+    await Schedule.updateOne({ _id: schedule._id }, { $set: { bookingId: booking._id } });
+    const payment = await seedPayment(booking._id, { status: PAYMENT_STATUS.PAID });
+    return { studio, schedule, booking, payment };
+  };
+  const threeHoursFrom = (schedule, daysLater) => {
+    const startTime = new Date(schedule.startTime.getTime() + daysLater * 24 * 60 * MINUTE_MS);
+    return { startTime, endTime: new Date(startTime.getTime() + 180 * MINUTE_MS) };
+  };
+
+  it('moves the booking, charges the fee and the price difference and keeps the payments', async () => {
+    const { schedule, booking, payment } = await seedPaidBooking();
+
+    const result = await rescheduleBooking(booking._id, threeHoursFrom(schedule, 1), userId, USER_ROLES.CUSTOMER);
+
+    assert.equal(result.rescheduleFee, 50000);
+    assert.equal(result.priceDifference, 100000);
+    assert.equal(result.balanceDue, 150000);
+    const moved = db.get(Booking, booking._id);
+    assert.equal(moved.finalAmount, 350000);
+    assert.equal(moved.rescheduleCount, 1);
+    assert.equal(moved.scheduleId.toString(), result.newSchedule._id.toString());
+    assert.equal(moved.events.at(-1).type, BOOKING_EVENT_TYPE.RESCHEDULED);
+    assert.equal(db.get(Schedule, schedule._id).status, SCHEDULE_STATUS.AVAILABLE);
+    assert.equal(db.get(Schedule, result.newSchedule._id).status, SCHEDULE_STATUS.BOOKED);
+    assert.equal(db.get(Payment, payment._id).bookingId.toString(), booking._id.toString());
+  });
+
+  it('refuses a customer past the reschedule limit and leaves the booking as it was', async () => {
+    const { schedule, booking } = await seedPaidBooking();
+    await Booking.updateOne({ _id: booking._id }, { $set: { rescheduleCount: 1 } });
+
+    await assert.rejects(
+      rescheduleBooking(booking._id, threeHoursFrom(schedule, 1), userId, USER_ROLES.CUSTOMER),
+      { statusCode: 400, message: /tối đa 1 lần/ }
+    );
+
+    const unchanged = db.get(Booking, booking._id);
+    assert.equal(unchanged.scheduleId.toString(), schedule._id.toString());
+    assert.equal(unchanged.finalAmount, 200000);
+    assert.equal(db.get(Schedule, schedule._id).status, SCHEDULE_STATUS.BOOKED);
+    assert.equal(db.all(Schedule).length, 1);
+  });
+});
+
+describe('modifyBookingItems', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  // A confirmed, fully paid booking `startsIn` minutes ahead and a light with two units
+  const seedConfirmedBooking = async ({ startsIn = 3 * 24 * 60 } = {}) => {
+    const startTime = minutesFromNow(startsIn);
+    const [schedule] = await db.seed(Schedule, {
+      studioId: new mongoose.Types.ObjectId(), startTime, endTime: new Date(startTime.getTime() + 120 * MINUTE_MS), status: SCHEDULE_STATUS.BOOKED,
+    });
+    const [booking] = await db.seed(Booking, {
+      userId, scheduleId: schedule._id, totalBeforeDiscount: 200000, finalAmount: 200000, payType: PAY_TYPE.FULL, status: BOOKING_STATUS.CONFIRMED,
+    });
+    await seedPayment(booking._id, { status: PAYMENT_STATUS.PAID });
+    const [light] = await db.seed(Equipment, { name: 'Đèn LED', pricePerHour: 50000, totalQty: 2, availableQty: 2 });
+    return { booking, light };
+  };
+  const addLights = (quantity, light) => ({ addDetails: [{ detailType: 'equipment', equipmentId: light._id, quantity }] });
+
+  it('adds equipment to a confirmed booking and opens a top-up link for the difference', async () => {
+    const { booking, light } = await seedConfirmedBooking();
+
+    const result = await modifyBookingItems(booking._id, addLights(2, light), userId, USER_ROLES.CUSTOMER);
+
+    assert.equal(result.balanceDue, 100000);
+    assert.equal(result.topUpPayment.amount, 100000);
+    const updated = db.get(Booking, booking._id);
+    assert.equal(updated.finalAmount, 300000);
+    assert.equal(updated.events.find(event => event.type === BOOKING_EVENT_TYPE.ITEMS_MODIFIED).details.addedTotal, 100000);
+    assert.deepEqual(db.all(BookingDetail, { bookingId: booking._id }).map(d => d.quantity), [2]);
+  });
+
+  it('opens a refund request when removing an item the customer already paid for', async () => {
+    const { booking, light } = await seedConfirmedBooking();
+    const [detail] = await db.seed(BookingDetail, {
+      bookingId: booking._id, detailType: 'equipment', equipmentId: light._id, description: light.name, quantity: 1, pricePerUnit: 50000, subtotal: 50000,
+    });
+    await Booking.updateOne({ _id: booking._id }, { $set: { totalBeforeDiscount: 250000, finalAmount: 250000 } });
+    await seedPayment(booking._id, { status: PAYMENT_STATUS.PAID, amount: 50000 });
+
+    const result = await modifyBookingItems(booking._id, { removeDetailIds: [detail._id] }, userId, USER_ROLES.CUSTOMER);
+
+    assert.equal(result.balanceDue, -50000);
+    assert.equal(db.get(Booking, booking._id).finalAmount, 200000);
+    assert.equal(db.all(BookingDetail, { bookingId: booking._id }).length, 0);
+    const [refund] = db.all(Refund, { bookingId: booking._id });
+    assert.deepEqual({ amount: refund.amount, status: refund.status }, { amount: 50000, status: 'PENDING_APPROVAL' });
+  });
+
+  it('rejects equipment that is not free in the booking window and changes nothing', async () => {
+    const { booking, light } = await seedConfirmedBooking();
+
+    await assert.rejects(modifyBookingItems(booking._id, addLights(3, light), userId, USER_ROLES.CUSTOMER), ValidationError);
+
+    assert.equal(db.get(Booking, booking._id).finalAmount, 200000);
+    assert.equal(db.all(BookingDetail).length, 0);
+    assert.equal(db.all(Payment, { bookingId: booking._id }).length, 1);
+  });
+
+  it('closes changes for customers once the cutoff before the start has passed', async () => {
+    const { booking, light } = await seedConfirmedBooking({ startsIn: 60 });
+
+    await assert.rejects(
+      modifyBookingItems(booking._id, addLights(1, light), userId, USER_ROLES.CUSTOMER),
+      { statusCode: 400, message: /trước giờ bắt đầu 2 giờ/ }
+    );
+    assert.equal(db.all(BookingDetail).length, 0);
+  });
+});
+
+describe('recurring series', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  // A studio open around the clock (holidays included) with the default policies every booking snapshots
+  const seedStudio = async () => {
+    const [studio] = await db.seed(Studio, { name: 'Studio A', basePricePerHour: 100000, closedOnHolidays: false });
+    await db.seed(RoomPolicy, [
+      { name: 'Hủy tiêu chuẩn', type: 'CANCELLATION', category: 'STANDARD', isActive: true, refundTiers: [{ hoursBeforeBooking: 24, refundPercentage: 100 }] },
+      { name: 'Không đến tiêu chuẩn', type: 'NO_SHOW', category: 'STANDARD', isActive: true, noShowRules: { chargeType: 'FULL_CHARGE' } },
+    ]);
+    return studio;
+  };
+  const weeklyFrom = (daysAhead, recurrence) => {
+    const startTime = new Date(Date.now() + daysAhead * 24 * 60 * MINUTE_MS);
+    startTime.setUTCMinutes(0, 0, 0);
+    return { startTime, endTime: new Date(startTime.getTime() + 120 * MINUTE_MS), recurrence: { frequency: RECURRENCE_FREQUENCY.WEEKLY, ...recurrence } };
+  };
+
+  it('rejects a series longer than the cap instead of cutting it short', async () => {
+    const studio = await seedStudio();
+
+    await assert.rejects(previewBookingSeries({ studioId: studio._id, ...weeklyFrom(3, { count: 60 }) }), ValidationError);
+    await assert.rejects(
+      previewBookingSeries({ studioId: studio._id, ...weeklyFrom(3, { until: new Date(Date.now() + 400 * 24 * 60 * MINUTE_MS) }) }),
+      ValidationError
+    );
+    const preview = await previewBookingSeries({ studioId: studio._id, ...weeklyFrom(3, { count: 52 }) });
+    assert.equal(preview.totalOccurrences, 52);
+  });
+
+  it('holds each occurrence until its payment deadline and releases the unpaid ones', async () => {
+    const studio = await seedStudio();
+    const { startTime, ...rest } = weeklyFrom(3, { count: 2 });
+
+    const { series, bookings } = await createBookingSeries({ userId, studioId: studio._id, startTime, ...rest });
+
+    const [first, second] = bookings.map(b => db.get(Schedule, b.scheduleId));
+    assert.equal(first.holdExpiresAt.getTime(), first.startTime.getTime() - 24 * 60 * MINUTE_MS);
+    assert.equal(second.holdExpiresAt.getTime(), second.startTime.getTime() - 24 * 60 * MINUTE_MS);
+
+    // Both deadlines pass without payment
+    await Schedule.updateMany({}, { $set: { holdExpiresAt: minutesFromNow(-1) } });
+    assert.equal(await releaseExpiredHolds(), 2);
+    assert.deepEqual(bookings.map(b => db.get(Booking, b._id).status), [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.CANCELLED]);
+    assert.equal(db.get(BookingSeries, series._id).status, BOOKING_SERIES_STATUS.CANCELLED);
+  });
+});
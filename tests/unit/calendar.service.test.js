@@ -0,0 +1,105 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Booking, Schedule, Studio, User } from '../../src/models/index.js';
+import { BOOKING_STATUS, BOOKING_EVENT_TYPE, SCHEDULE_STATUS, PAY_TYPE, USER_ROLES } from '../../src/utils/constants.js';
+import { NotFoundError } from '../../src/utils/errors.js';
+import { getUserFeedLink, getUserFeed, getStudioFeedLink, getStudioFeed, buildBookingIcs } from '../../src/services/calendar.service.js';
+import { foldLine } from '../../src/utils/ical.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const BASE_URL = 'https://api.example.com';
+const HOUR_MS = 60 * 60 * 1000;
+
+const tokenOf = ({ url }) => url.match(/\/([0-9a-f]+)\.ics$/)[1];
+const uidOf = (booking) => `booking-${booking._id}@studio-management`;
+
+// Unfolded VEVENTs of a calendar body, keyed by property name
+const eventsOf = (ics) => ics.replace(/\r\n /g, '').split('BEGIN:VEVENT').slice(1)
+  .map(block => Object.fromEntries(block.split('\r\n').filter(line => line.includes(':')).map(line => {
+    const index = line.indexOf(':');
+    return [line.slice(0, index), line.slice(index + 1)];
+  })));
+
+const seedCustomer = (username) => db.seed(User, {
+  username, email: `${username}@example.com`, fullName: `Khách ${username}`, passwordHash: 'x', role: USER_ROLES.CUSTOMER,
+}).then(([user]) => user);
+
+const seedBooking = async (studio, user, startsInHours, fields = {}) => {
+  const startTime = new Date(Date.now() + startsInHours * HOUR_MS);
+  const [schedule] = await db.seed(Schedule, { studioId: studio._id, startTime, endTime: new Date(startTime.getTime() + 2 * HOUR_MS), status: SCHEDULE_STATUS.BOOKED });
+  const [booking] = await db.seed(Booking, {
+    userId: user._id, scheduleId: schedule._id, totalBeforeDiscount: 200000, finalAmount: 200000, payType: PAY_TYPE.FULL, status: BOOKING_STATUS.CONFIRMED, ...fields,
+  });
+  return booking;
+};
+
+describe('calendar feeds', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('lists only the customer\'s own bookings with a stable UID and a bumped SEQUENCE', async () => {
+    const [studio] = await db.seed(Studio, { name: 'Studio A', basePricePerHour: 100000 });
+    const [owner, other] = await Promise.all([seedCustomer('an'), seedCustomer('binh')]);
+    const confirmed = await seedBooking(studio, owner, 24);
+    const cancelled = await seedBooking(studio, owner, 48, {
+      status: BOOKING_STATUS.CANCELLED,
+      events: [{ type: BOOKING_EVENT_TYPE.RESCHEDULED }, { type: BOOKING_EVENT_TYPE.CANCELLED }],
+    });
+    await seedBooking(studio, other, 24);
+
+    const feed = await getUserFeed(tokenOf(await getUserFeedLink(owner._id, BASE_URL)));
+
+    const events = Object.fromEntries(eventsOf(feed).map(e => [e.UID, e]));
+    assert.deepEqual(Object.keys(events).sort(), [uidOf(confirmed), uidOf(cancelled)].sort());
+    assert.deepEqual([events[uidOf(confirmed)].STATUS, events[uidOf(confirmed)].SEQUENCE], ['CONFIRMED', '1']);
+    assert.deepEqual([events[uidOf(cancelled)].STATUS, events[uidOf(cancelled)].SEQUENCE], ['CANCELLED', '3']);
+  });
+
+  it('stops serving the old link once the token is rotated', async () => {
+    const owner = await seedCustomer('an');
+    const oldToken = tokenOf(await getUserFeedLink(owner._id, BASE_URL));
+
+    const newToken = tokenOf(await getUserFeedLink(owner._id, BASE_URL, true));
+
+    assert.notEqual(newToken, oldToken);
+    await assert.rejects(getUserFeed(oldToken), NotFoundError);
+    assert.match(await getUserFeed(newToken), /^BEGIN:VCALENDAR\r\n/);
+  });
+
+  it('shows staff the customer on the studio feed', async () => {
+    const [studio, otherStudio] = await db.seed(Studio, [{ name: 'Studio A', basePricePerHour: 100000 }, { name: 'Studio B', basePricePerHour: 100000 }]);
+    const owner = await seedCustomer('an');
+    const booking = await seedBooking(studio, owner, 24);
+    await seedBooking(otherStudio, owner, 24);
+
+    const feed = await getStudioFeed(tokenOf(await getStudioFeedLink(studio._id, BASE_URL)));
+
+    const events = eventsOf(feed);
+    assert.deepEqual(events.map(e => e.UID), [uidOf(booking)]);
+    assert.equal(events[0].SUMMARY, 'Studio A - Khách an');
+    await assert.rejects(getStudioFeed('0'.repeat(48)), NotFoundError);
+  });
+
+  it('attaches a single tentative event for a pending booking', async () => {
+    const [studio] = await db.seed(Studio, { name: 'Studio A', basePricePerHour: 100000 });
+    const booking = await seedBooking(studio, { _id: new mongoose.Types.ObjectId() }, 24, { status: BOOKING_STATUS.PENDING });
+
+    const [event] = eventsOf(await buildBookingIcs(booking._id));
+
+    assert.deepEqual({ status: event.STATUS, sequence: event.SEQUENCE }, { status: 'TENTATIVE', sequence: '0' });
+    assert.equal(await buildBookingIcs(new mongoose.Types.ObjectId()), null);
+  });
+
+  it('folds long Vietnamese lines without splitting a character', () => {
+    const line = `SUMMARY:${'Đặt studio chụp ảnh cưới '.repeat(6)}`;
+
+    const parts = foldLine(line).split('\r\n');
+
+    assert.ok(parts.length > 1);
+    assert.ok(parts.every(part => Buffer.byteLength(part, 'utf8') <= 75));
+    assert.equal(parts.map((part, index) => (index === 0 ? part : part.slice(1))).join(''), line);
+  });
+});
@@ -0,0 +1,161 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import { Booking, Schedule, Payment, User } from '../../src/models/index.js';
+import {
+  BOOKING_STATUS,
+  SCHEDULE_STATUS,
+  PAYMENT_STATUS,
+  PAY_TYPE,
+  USER_ROLES,
+  CHECK_IN_ACTOR,
+  BOOKING_EVENT_TYPE,
+} from '../../src/utils/constants.js';
+import { UnauthorizedError, ValidationError } from '../../src/utils/errors.js';
+import { issueCheckInToken, selfServiceCheckIn, selfServiceCheckOut } from '../../src/services/checkIn.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const MINUTE_MS = 60 * 1000;
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * MINUTE_MS);
+
+// A confirmed, fully paid booking starting soon.
+// Without an account the check-in notification has no address to email.
+const seedConfirmedBooking = async ({ startsIn = 10, account = true, status = BOOKING_STATUS.CONFIRMED } = {}) => {
+  const user = account
+    ? (await db.seed(User, {
+      username: 'khach', email: 'khach@example.com', fullName: 'Khách Hàng', passwordHash: 'x', role: USER_ROLES.CUSTOMER,
+    }))[0]
+    : { _id: new mongoose.Types.ObjectId() };
+  const [schedule] = await db.seed(Schedule, {
+    studioId: new mongoose.Types.ObjectId(),
+    startTime: minutesFromNow(startsIn),
+    endTime: minutesFromNow(startsIn + 120),
+    status: SCHEDULE_STATUS.BOOKED,
+  });
+  const [booking] = await db.seed(Booking, {
+    userId: user._id,
+    scheduleId: schedule._id,
+    totalBeforeDiscount: 200000,
+    finalAmount: 200000,
+    payType: PAY_TYPE.FULL,
+    status,
+  });
+  await db.seed(Payment, {
+    bookingId: booking._id,
+    paymentCode: `PAY-${booking._id}`,
+    amount: 200000,
+    payType: PAY_TYPE.FULL,
+    status: PAYMENT_STATUS.PAID,
+  });
+  return { user, booking };
+};
+
+describe('QR check-in', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('checks the booking in once, however often the token is scanned', async () => {
+    const { booking } = await seedConfirmedBooking({ account: false });
+
+    const { token, qrDataUrl } = await issueCheckInToken(booking._id, new mongoose.Types.ObjectId(), USER_ROLES.STAFF);
+    const checkedIn = await selfServiceCheckIn(token);
+    const again = await selfServiceCheckIn(token);
+
+    assert.match(qrDataUrl, /^data:image\/png;base64,/);
+    assert.equal(checkedIn.status, BOOKING_STATUS.CHECKED_IN);
+    assert.equal(again.status, BOOKING_STATUS.CHECKED_IN);
+    const stored = db.get(Booking, booking._id);
+    assert.equal(stored.status, BOOKING_STATUS.CHECKED_IN);
+    assert.ok(stored.checkInAt);
+    assert.deepEqual(stored.events.map(event => event.details.actor), [CHECK_IN_ACTOR.SELF_SERVICE]);
+  });
+
+  it('shows the kiosk only the booking summary, not the customer', async () => {
+    const { booking } = await seedConfirmedBooking({ account: false });
+    const { token } = await issueCheckInToken(booking._id, new mongoose.Types.ObjectId(), USER_ROLES.STAFF);
+
+    const result = await selfServiceCheckIn(token);
+
+    assert.deepEqual(Object.keys(result).sort(), [
+      'bookingId', 'checkInAt', 'checkOutAt', 'endTime', 'overtimeAmount', 'startTime', 'status', 'studioName',
+    ]);
+    assert.equal(result.bookingId.toString(), booking._id.toString());
+  });
+
+  it('checks the booking out once, however often the token is scanned', async () => {
+    const { booking } = await seedConfirmedBooking({ startsIn: -30, account: false, status: BOOKING_STATUS.CHECKED_IN });
+    const { token } = await issueCheckInToken(booking._id, new mongoose.Types.ObjectId(), USER_ROLES.STAFF);
+
+    const checkedOut = await selfServiceCheckOut(token);
+    const again = await selfServiceCheckOut(token);
+
+    assert.equal(checkedOut.status, BOOKING_STATUS.COMPLETED);
+    assert.equal(again.status, BOOKING_STATUS.COMPLETED);
+    assert.deepEqual(again.checkOutAt, checkedOut.checkOutAt);
+    const stored = db.get(Booking, booking._id);
+    assert.ok(stored.checkOutAt);
+    assert.equal(stored.events.filter(event => event.type === BOOKING_EVENT_TYPE.CHECK_OUT).length, 1);
+  });
+
+  it('refuses to check out a booking that was never checked in', async () => {
+    const { booking } = await seedConfirmedBooking({ account: false });
+    const { token } = await issueCheckInToken(booking._id, new mongoose.Types.ObjectId(), USER_ROLES.STAFF);
+
+    await assert.rejects(selfServiceCheckOut(token), ValidationError);
+    assert.equal(db.get(Booking, booking._id).status, BOOKING_STATUS.CONFIRMED);
+  });
+
+  it('lets a customer fetch the token of their own booking only', async () => {
+    const { user, booking } = await seedConfirmedBooking();
+
+    const { token } = await issueCheckInToken(booking._id, user._id, USER_ROLES.CUSTOMER);
+
+    assert.equal(jwt.verify(token, process.env.CHECKIN_TOKEN_SECRET).sub, booking._id.toString());
+    await assert.rejects(
+      issueCheckInToken(booking._id, new mongoose.Types.ObjectId(), USER_ROLES.CUSTOMER),
+      UnauthorizedError
+    );
+  });
+
+  it('rejects tokens signed with the auth secret', async () => {
+    const { booking } = await seedConfirmedBooking();
+    const forged = jwt.sign({ sub: booking._id.toString(), purpose: 'booking-checkin' }, process.env.JWT_SECRET, { expiresIn: 3600 });
+
+    await assert.rejects(selfServiceCheckIn(forged), UnauthorizedError);
+    assert.equal(db.get(Booking, booking._id).status, BOOKING_STATUS.CONFIRMED);
+  });
+
+  it('rejects tokens issued for another purpose', async () => {
+    const { booking } = await seedConfirmedBooking();
+    const token = jwt.sign({ sub: booking._id.toString(), purpose: 'password-reset' }, process.env.CHECKIN_TOKEN_SECRET, { expiresIn: 3600 });
+
+    await assert.rejects(selfServiceCheckIn(token), UnauthorizedError);
+  });
+
+  it('closes self check-in once the no-show grace period is over', async () => {
+    const { user, booking } = await seedConfirmedBooking({ startsIn: -45 });
+    const { token } = await issueCheckInToken(booking._id, user._id, USER_ROLES.CUSTOMER);
+
+    await assert.rejects(selfServiceCheckIn(token), ValidationError);
+    assert.equal(db.get(Booking, booking._id).status, BOOKING_STATUS.CONFIRMED);
+  });
+
+  describe('without CHECKIN_TOKEN_SECRET', () => {
+    const secret = process.env.CHECKIN_TOKEN_SECRET;
+    beforeEach(() => { delete process.env.CHECKIN_TOKEN_SECRET; });
+    afterEach(() => { process.env.CHECKIN_TOKEN_SECRET = secret; });
+
+    it('refuses to issue or accept tokens instead of falling back to the auth secret', async () => {
+      const { user, booking } = await seedConfirmedBooking();
+      const authSigned = jwt.sign({ sub: booking._id.toString(), purpose: 'booking-checkin' }, process.env.JWT_SECRET, { expiresIn: 3600 });
+
+      await assert.rejects(issueCheckInToken(booking._id, user._id, USER_ROLES.CUSTOMER), { statusCode: 503 });
+      await assert.rejects(selfServiceCheckIn(authSigned), { statusCode: 503 });
+      assert.equal(db.get(Booking, booking._id).status, BOOKING_STATUS.CONFIRMED);
+    });
+  });
+});
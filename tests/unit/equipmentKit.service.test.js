@@ -0,0 +1,127 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Booking, BookingDetail, Equipment, EquipmentKit, Schedule } from '../../src/models/index.js';
+import {
+  BOOKING_STATUS,
+  BOOKING_DETAIL_TYPE,
+  SCHEDULE_STATUS,
+  PAY_TYPE,
+  EQUIPMENT_KIT_PRICING,
+} from '../../src/utils/constants.js';
+import { ValidationError } from '../../src/utils/errors.js';
+import { createKit, getAvailableKits, allocateKitSubtotals } from '../../src/services/equipmentKit.service.js';
+import { createBookingDetails } from '../../src/services/bookingDetail.service.js';
+import { globalSearch } from '../../src/services/search.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tomorrow on the hour
+const base = new Date(Date.now() + 24 * HOUR_MS);
+base.setUTCMinutes(0, 0, 0);
+const at = (hours) => new Date(base.getTime() + hours * HOUR_MS);
+
+// A camera and two lights: 300,000 đ/h bought separately, 240,000 đ/h as the 20%-off kit
+const seedPortraitKit = async (fields = {}) => {
+  const [camera, light] = await db.seed(Equipment, [
+    { name: 'Máy ảnh', pricePerHour: 200000, totalQty: 2, availableQty: 2 },
+    { name: 'Đèn LED', pricePerHour: 50000, totalQty: 2, availableQty: 2 },
+  ]);
+  const [kit] = await db.seed(EquipmentKit, {
+    name: 'Bộ chụp chân dung',
+    items: [{ equipmentId: camera._id, quantity: 1 }, { equipmentId: light._id, quantity: 2 }],
+    pricingType: EQUIPMENT_KIT_PRICING.DISCOUNT,
+    discountPercent: 20,
+    ...fields,
+  });
+  return { kit, camera, light };
+};
+
+// A confirmed booking from `startHour` for two hours, optionally renting `quantity` of `equipment`
+const seedBooking = async (startHour, equipment = null, quantity = 1) => {
+  const [schedule] = await db.seed(Schedule, {
+    studioId: new mongoose.Types.ObjectId(), startTime: at(startHour), endTime: at(startHour + 2), status: SCHEDULE_STATUS.BOOKED,
+  });
+  const [booking] = await db.seed(Booking, {
+    userId: new mongoose.Types.ObjectId(), scheduleId: schedule._id, totalBeforeDiscount: 200000, finalAmount: 200000, payType: PAY_TYPE.FULL, status: BOOKING_STATUS.CONFIRMED,
+  });
+  if (equipment) {
+    await db.seed(BookingDetail, {
+      bookingId: booking._id, detailType: BOOKING_DETAIL_TYPE.EQUIPMENT, equipmentId: equipment._id, description: equipment.name, quantity, pricePerUnit: 50000, subtotal: 50000 * quantity,
+    });
+  }
+  return booking;
+};
+
+describe('equipment kits', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('books a kit as one detail per component with the bundle price split by list price', async () => {
+    const { kit, camera, light } = await seedPortraitKit();
+    const booking = await seedBooking(0);
+
+    const { details, total } = await createBookingDetails(booking._id, [{ detailType: BOOKING_DETAIL_TYPE.EQUIPMENT, kitId: kit._id, quantity: 1 }]);
+
+    assert.equal(total, 240000);
+    assert.deepEqual(
+      details.map(d => [d.equipmentId.toString(), d.quantity, d.subtotal]),
+      [[camera._id.toString(), 1, 160000], [light._id.toString(), 2, 80000]]
+    );
+    assert.ok(details.every(d => d.kit.kitId.toString() === kit._id.toString() && d.kit.lineId.equals(details[0].kit.lineId)));
+  });
+
+  it('refuses the whole kit when one component is short in the window', async () => {
+    const { kit, light } = await seedPortraitKit();
+    await seedBooking(1, light, 1);
+    const booking = await seedBooking(0);
+
+    await assert.rejects(
+      createBookingDetails(booking._id, [{ detailType: BOOKING_DETAIL_TYPE.EQUIPMENT, kitId: kit._id, quantity: 1 }]),
+      { statusCode: 400, message: /Bộ chụp chân dung.*không đủ 1 bộ/ }
+    );
+    assert.equal(db.all(BookingDetail, { bookingId: booking._id }).length, 0);
+  });
+
+  it('lists kits with the sets free in the window and hides those with none', async () => {
+    const { kit, light } = await seedPortraitKit({ pricingType: EQUIPMENT_KIT_PRICING.FIXED, bundlePricePerHour: 250000 });
+
+    const [listed] = await getAvailableKits({ startTime: at(0), endTime: at(2) });
+    assert.deepEqual(
+      { id: listed._id.toString(), availableQty: listed.availableQty, pricePerHour: listed.pricePerHour, savingsPerHour: listed.savingsPerHour },
+      { id: kit._id.toString(), availableQty: 1, pricePerHour: 250000, savingsPerHour: 50000 }
+    );
+
+    await seedBooking(1, light, 1);
+    assert.deepEqual(await getAvailableKits({ startTime: at(0), endTime: at(2) }), []);
+    assert.equal((await getAvailableKits({ startTime: at(3), endTime: at(5) })).length, 1);
+  });
+
+  it('finds kits by name in the global search with their bundle price', async () => {
+    await seedPortraitKit();
+
+    const { results } = await globalSearch({ keyword: 'chân dung', entities: ['kits'] });
+
+    assert.deepEqual(results.kits.map(k => [k.name, k.listPricePerHour, k.pricePerHour]), [['Bộ chụp chân dung', 300000, 240000]]);
+  });
+
+  it('rejects a kit of a single piece or a fixed kit without a bundle price', async () => {
+    const { camera, light } = await seedPortraitKit();
+
+    await assert.rejects(createKit({ name: 'Chỉ máy ảnh', items: [{ equipmentId: camera._id, quantity: 1 }] }), ValidationError);
+    await assert.rejects(
+      createKit({ name: 'Bộ giá cố định', items: [{ equipmentId: camera._id }, { equipmentId: light._id }], pricingType: EQUIPMENT_KIT_PRICING.FIXED }),
+      ValidationError
+    );
+    assert.equal(db.all(EquipmentKit).length, 1);
+  });
+
+  it('splits a bundle total so the lines add up exactly', () => {
+    const lines = [{ quantity: 1, pricePerHour: 100 }, { quantity: 1, pricePerHour: 100 }, { quantity: 1, pricePerHour: 100 }];
+
+    assert.deepEqual(allocateKitSubtotals(lines, 100), [33, 33, 34]);
+  });
+});
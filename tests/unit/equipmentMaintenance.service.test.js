@@ -0,0 +1,157 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  Booking,
+  BookingDetail,
+  Equipment,
+  EquipmentUnit,
+  EquipmentMaintenance,
+  EquipmentMaintenancePlan,
+  Schedule,
+} from '../../src/models/index.js';
+import {
+  BOOKING_STATUS,
+  BOOKING_DETAIL_TYPE,
+  SCHEDULE_STATUS,
+  PAY_TYPE,
+  EQUIPMENT_UNIT_STATUS,
+  EQUIPMENT_CONDITION_GRADE,
+  EQUIPMENT_MAINTENANCE_STATUS,
+  EQUIPMENT_MAINTENANCE_TYPE,
+} from '../../src/utils/constants.js';
+import { ConflictError, ValidationError } from '../../src/utils/errors.js';
+import { checkEquipmentAvailability } from '../../src/services/equipment.service.js';
+import {
+  createMaintenanceOrder,
+  startMaintenanceOrder,
+  completeMaintenanceOrder,
+  createMaintenancePlan,
+  generatePreventiveOrders,
+} from '../../src/services/equipmentMaintenance.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const staffId = new mongoose.Types.ObjectId();
+
+// Tomorrow on the hour
+const base = new Date(Date.now() + DAY_MS);
+base.setUTCMinutes(0, 0, 0);
+const at = (hours) => new Date(base.getTime() + hours * HOUR_MS);
+
+const seedLights = (totalQty = 2) => db.seed(Equipment, { name: 'Đèn LED', pricePerHour: 50000, totalQty, availableQty: totalQty })
+  .then(([equipment]) => equipment);
+
+const seedUnit = (equipment, fields = {}) => db.seed(EquipmentUnit, {
+  equipmentId: equipment._id, serialNumber: 'LED-001', conditionGrade: EQUIPMENT_CONDITION_GRADE.FAIR, ...fields,
+}).then(([unit]) => unit);
+
+// A confirmed booking renting `quantity` of `equipment` from `startHour` for two hours
+const seedRental = async (equipment, startHour, quantity) => {
+  const [schedule] = await db.seed(Schedule, {
+    studioId: new mongoose.Types.ObjectId(), startTime: at(startHour), endTime: at(startHour + 2), status: SCHEDULE_STATUS.BOOKED,
+  });
+  const [booking] = await db.seed(Booking, {
+    userId: new mongoose.Types.ObjectId(), scheduleId: schedule._id, totalBeforeDiscount: 300000, finalAmount: 300000, payType: PAY_TYPE.FULL, status: BOOKING_STATUS.CONFIRMED,
+  });
+  await db.seed(BookingDetail, {
+    bookingId: booking._id, detailType: BOOKING_DETAIL_TYPE.EQUIPMENT, equipmentId: equipment._id, description: equipment.name, quantity, pricePerUnit: 50000, subtotal: 50000 * quantity,
+  });
+  return booking;
+};
+
+describe('equipment maintenance', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('holds the serviced quantity out of the window alongside existing rentals', async () => {
+    const lights = await seedLights();
+    await seedRental(lights, 0, 1);
+
+    const order = await createMaintenanceOrder({ equipmentId: lights._id, quantity: 1, reason: 'Thay bóng', startTime: at(-1), endTime: at(3) }, staffId);
+
+    assert.equal(order.type, EQUIPMENT_MAINTENANCE_TYPE.CORRECTIVE);
+    await assert.rejects(checkEquipmentAvailability(lights._id, 1, { startTime: at(1), endTime: at(2) }), ValidationError);
+    const { available } = await checkEquipmentAvailability(lights._id, 1, { startTime: at(3), endTime: at(4) });
+    assert.equal(available, 2);
+  });
+
+  it('refuses a work order the window cannot spare and a second one for the same unit', async () => {
+    const lights = await seedLights();
+    const unit = await seedUnit(lights);
+    await seedRental(lights, 0, 2);
+
+    await assert.rejects(
+      createMaintenanceOrder({ equipmentId: lights._id, quantity: 1, reason: 'Thay bóng', startTime: at(1), endTime: at(3) }, staffId),
+      ValidationError
+    );
+    await createMaintenanceOrder({ equipmentUnitId: unit._id, reason: 'Vệ sinh', startTime: at(4), endTime: at(6) }, staffId);
+    await assert.rejects(
+      createMaintenanceOrder({ equipmentUnitId: unit._id, reason: 'Kiểm tra', startTime: at(5), endTime: at(7) }, staffId),
+      ConflictError
+    );
+    assert.equal(db.all(EquipmentMaintenance).length, 1);
+  });
+
+  it('takes a unit out of stock while serviced and returns it in its new condition', async () => {
+    const lights = await seedLights();
+    const unit = await seedUnit(lights);
+    const order = await createMaintenanceOrder({ equipmentUnitId: unit._id, reason: 'Vệ sinh', startTime: at(0), endTime: at(4) }, staffId);
+
+    await startMaintenanceOrder(order._id);
+    assert.equal(db.get(EquipmentUnit, unit._id).status, EQUIPMENT_UNIT_STATUS.MAINTENANCE);
+    assert.deepEqual(
+      [db.get(Equipment, lights._id).availableQty, db.get(Equipment, lights._id).scheduledMaintenanceQty],
+      [1, 1]
+    );
+
+    await assert.rejects(completeMaintenanceOrder(order._id, { conditionGrade: EQUIPMENT_CONDITION_GRADE.DAMAGED }), ValidationError);
+    const completed = await completeMaintenanceOrder(order._id, { conditionGrade: EQUIPMENT_CONDITION_GRADE.GOOD, cost: 300000 }, staffId);
+
+    assert.equal(completed.status, EQUIPMENT_MAINTENANCE_STATUS.COMPLETED);
+    assert.equal(completed.cost, 300000);
+    assert.deepEqual(
+      [db.get(EquipmentUnit, unit._id).status, db.get(EquipmentUnit, unit._id).conditionGrade],
+      [EQUIPMENT_UNIT_STATUS.AVAILABLE, EQUIPMENT_CONDITION_GRADE.GOOD]
+    );
+    assert.equal(db.get(Equipment, lights._id).availableQty, 2);
+  });
+
+  it('does not start on a unit that is still with a customer', async () => {
+    const lights = await seedLights();
+    const unit = await seedUnit(lights);
+    const order = await createMaintenanceOrder({ equipmentUnitId: unit._id, reason: 'Vệ sinh', startTime: at(0), endTime: at(4) }, staffId);
+    await EquipmentUnit.updateOne({ _id: unit._id }, { $set: { status: EQUIPMENT_UNIT_STATUS.IN_USE } });
+
+    await assert.rejects(startMaintenanceOrder(order._id), ValidationError);
+
+    assert.equal(db.get(EquipmentMaintenance, order._id).status, EQUIPMENT_MAINTENANCE_STATUS.SCHEDULED);
+    assert.equal(db.get(EquipmentMaintenance, order._id).startTime.getTime(), at(0).getTime());
+  });
+
+  it('schedules one preventive work order for a plan coming due and restarts the cycle on completion', async () => {
+    const lights = await seedLights();
+    const now = new Date();
+    const plan = await createMaintenancePlan({
+      equipmentId: lights._id, reason: 'Bảo dưỡng định kỳ', intervalDays: 30, durationHours: 2, lastServicedAt: new Date(now.getTime() - 28 * DAY_MS),
+    }, staffId);
+    await createMaintenancePlan({
+      equipmentId: lights._id, reason: 'Kiểm tra dây', intervalDays: 30, lastServicedAt: new Date(now.getTime() - 10 * DAY_MS),
+    }, staffId);
+
+    assert.deepEqual(await generatePreventiveOrders(now), { created: 1, unscheduled: 0 });
+    assert.deepEqual(await generatePreventiveOrders(now), { created: 0, unscheduled: 0 });
+
+    const [order] = db.all(EquipmentMaintenance);
+    assert.equal(order.planId.toString(), plan._id.toString());
+    assert.equal(order.type, EQUIPMENT_MAINTENANCE_TYPE.PREVENTIVE);
+    assert.equal(order.endTime - order.startTime, 2 * HOUR_MS);
+
+    await startMaintenanceOrder(order._id);
+    const completed = await completeMaintenanceOrder(order._id);
+    assert.equal(db.get(EquipmentMaintenancePlan, plan._id).lastServicedAt.getTime(), completed.completedAt.getTime());
+  });
+});
@@ -0,0 +1,108 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Booking, BookingDetail, Equipment, EquipmentUnit, Report } from '../../src/models/index.js';
+import {
+  BOOKING_STATUS,
+  BOOKING_DETAIL_TYPE,
+  PAY_TYPE,
+  TARGET_MODEL,
+  EQUIPMENT_UNIT_STATUS,
+  EQUIPMENT_CONDITION_GRADE,
+  REPORT_ISSUE_TYPE,
+} from '../../src/utils/constants.js';
+import { ConflictError, ValidationError } from '../../src/utils/errors.js';
+import {
+  createEquipmentUnit,
+  assignEquipmentUnits,
+  returnEquipmentUnits,
+  findResponsibleAssignment,
+} from '../../src/services/equipmentUnit.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const staffId = new mongoose.Types.ObjectId();
+
+// A lens with two serialized units and a booking of `status` that rented one of them
+const seedRentedLens = async (name, status = BOOKING_STATUS.CHECKED_IN) => {
+  const [lens] = await db.seed(Equipment, { name, pricePerHour: 50000, totalQty: 2, availableQty: 2 });
+  const units = await db.seed(EquipmentUnit, [1, 2].map(n => ({
+    equipmentId: lens._id, serialNumber: `${name}-00${n}`, conditionGrade: EQUIPMENT_CONDITION_GRADE.GOOD,
+  })));
+  const [booking] = await db.seed(Booking, {
+    userId: new mongoose.Types.ObjectId(), scheduleId: new mongoose.Types.ObjectId(), totalBeforeDiscount: 250000, finalAmount: 250000, payType: PAY_TYPE.FULL, status,
+  });
+  await db.seed(BookingDetail, {
+    bookingId: booking._id, detailType: BOOKING_DETAIL_TYPE.EQUIPMENT, equipmentId: lens._id, description: name, quantity: 1, pricePerUnit: 50000, subtotal: 50000,
+  });
+  return { lens, units, booking };
+};
+
+const handOver = (booking, units) => ({ targetModel: TARGET_MODEL.BOOKING, targetId: booking._id, units });
+
+describe('equipment units', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('hands a unit over at check-in and files a damage report against the booking when it comes back worse', async () => {
+    const { units: [unit], booking } = await seedRentedLens('LENS-85');
+
+    await assignEquipmentUnits(handOver(booking, [unit._id.toString()]), staffId);
+    assert.equal(db.get(EquipmentUnit, unit._id).status, EQUIPMENT_UNIT_STATUS.IN_USE);
+
+    const { damageReports } = await returnEquipmentUnits(
+      handOver(booking, [{ unitId: unit._id, conditionGrade: EQUIPMENT_CONDITION_GRADE.DAMAGED, notes: 'Trầy mặt kính' }]),
+      staffId
+    );
+
+    const returned = db.get(EquipmentUnit, unit._id);
+    assert.equal(returned.status, EQUIPMENT_UNIT_STATUS.MAINTENANCE);
+    assert.equal(returned.currentAssignment, null);
+    assert.deepEqual(
+      [returned.assignments[0].conditionOut, returned.assignments[0].conditionIn],
+      [EQUIPMENT_CONDITION_GRADE.GOOD, EQUIPMENT_CONDITION_GRADE.DAMAGED]
+    );
+    const report = db.get(Report, damageReports[0]._id);
+    assert.equal(report.issueType, REPORT_ISSUE_TYPE.DAMAGE);
+    assert.equal(report.equipmentUnitId.toString(), unit._id.toString());
+    assert.equal(report.bookingId.toString(), booking._id.toString());
+    assert.equal(report.responsibleUserId.toString(), booking.userId.toString());
+
+    const { assignment } = await findResponsibleAssignment(unit._id);
+    assert.equal(assignment.targetId.toString(), booking._id.toString());
+  });
+
+  it('returns a unit in the same condition without a report', async () => {
+    const { units: [unit], booking } = await seedRentedLens('LENS-85');
+    await assignEquipmentUnits(handOver(booking, [unit._id.toString()]), staffId);
+
+    const { damageReports } = await returnEquipmentUnits(handOver(booking, [unit._id.toString()]), staffId);
+
+    assert.equal(damageReports.length, 0);
+    assert.equal(db.get(EquipmentUnit, unit._id).status, EQUIPMENT_UNIT_STATUS.AVAILABLE);
+    assert.equal(db.all(Report).length, 0);
+  });
+
+  it('refuses more units than were booked, or any before check-in', async () => {
+    const { units, booking } = await seedRentedLens('LENS-85');
+
+    await assert.rejects(assignEquipmentUnits(handOver(booking, units.map(u => u._id.toString())), staffId), ValidationError);
+    assert.ok(units.every(u => db.get(EquipmentUnit, u._id).status === EQUIPMENT_UNIT_STATUS.AVAILABLE));
+
+    const { units: [other], booking: notCheckedIn } = await seedRentedLens('LENS-35', BOOKING_STATUS.CONFIRMED);
+    await assert.rejects(assignEquipmentUnits(handOver(notCheckedIn, [other._id.toString()]), staffId), ValidationError);
+    assert.equal(db.get(EquipmentUnit, other._id).status, EQUIPMENT_UNIT_STATUS.AVAILABLE);
+  });
+
+  it('keeps serial numbers unique and units within the equipment quantity', async () => {
+    const { lens } = await seedRentedLens('LENS-85');
+
+    await assert.rejects(createEquipmentUnit({ equipmentId: lens._id, serialNumber: 'LENS-85-003' }), ValidationError);
+    await Equipment.updateOne({ _id: lens._id }, { $set: { totalQty: 3, availableQty: 3 } });
+    await assert.rejects(createEquipmentUnit({ equipmentId: lens._id, serialNumber: 'LENS-85-001' }), ConflictError);
+
+    const created = await createEquipmentUnit({ equipmentId: lens._id, serialNumber: 'LENS-85-003' });
+    assert.equal(created.status, EQUIPMENT_UNIT_STATUS.AVAILABLE);
+  });
+});
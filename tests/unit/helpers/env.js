@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// Import first in every test file: config modules read these when they are loaded
+const defaults = {
+  NODE_ENV: 'test',
+  JWT_SECRET: 'test-jwt-secret',
+  CHECKIN_TOKEN_SECRET: 'test-checkin-secret',
+  KIOSK_API_KEY: 'test-kiosk-key',
+  PAYMENT_GATEWAY: 'mock',
+  MOCK_PAYMENT_CHECKSUM_KEY: 'test-mock-checksum',
+  PAYOS_CLIENT_ID: 'test',
+  PAYOS_API_KEY: 'test',
+  PAYOS_CHECKSUM_KEY: 'test-checksum',
+  CLOUDINARY_CLOUD_NAME: 'test',
+  CLOUDINARY_API_KEY: 'test',
+  CLOUDINARY_API_SECRET: 'test',
+};
+
+for (const [key, value] of Object.entries(defaults)) {
+  if (process.env[key] === undefined) process.env[key] = value;
+}
+
+// Nothing is connected: a query that bypasses the in-memory models must fail fast instead of buffering
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,453 @@
+import mongoose from 'mongoose';
+
+/**
+ * In-memory stand-in for MongoDB in service tests.
+ * Every registered model gets its statics (find, findOneAndUpdate, create, ...) and
+ * document save() replaced by a collection kept in memory. Unique indexes are enforced
+ * (E11000) and transactions roll back when the callback throws, like a replica set would.
+ * Call install() in beforeEach and restore() in afterEach.
+ */
+
+const STATICS = [
+  'find', 'findOne', 'findById', 'exists', 'countDocuments', 'create', 'insertMany',
+  'findOneAndUpdate', 'findByIdAndUpdate', 'updateOne', 'updateMany',
+  'deleteOne', 'deleteMany', 'findByIdAndDelete', 'aggregate',
+];
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+
+const clone = (value) => {
+  if (value === null || typeof value !== 'object' || isObjectId(value) || Buffer.isBuffer(value)) return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+};
+
+const normalize = (value) => {
+  if (isObjectId(value)) return value.toString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const parent = getPath(doc, keys.slice(0, -1).join('.')) ?? (keys.length === 1 ? doc : undefined);
+  if (parent) delete parent[keys[keys.length - 1]];
+};
+
+const isOperatorObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && !isObjectId(value) && !(value instanceof Date) && Object.keys(value).some(key => key.startsWith('$'));
+
+const equals = (actual, expected) => {
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    return actual.some(item => normalize(item) === normalize(expected));
+  }
+  if (expected === null) return actual === null || actual === undefined;
+  return normalize(actual) === normalize(expected);
+};
+
+const matchOperators = (actual, ops) => Object.entries(ops).every(([op, operand]) => {
+  switch (op) {
+    case '$eq': return equals(actual, operand);
+    case '$ne': return !equals(actual, operand);
+    case '$gt': return actual != null && normalize(actual) > normalize(operand);
+    case '$gte': return actual != null && normalize(actual) >= normalize(operand);
+    case '$lt': return actual != null && normalize(actual) < normalize(operand);
+    case '$lte': return actual != null && normalize(actual) <= normalize(operand);
+    case '$in': return operand.some(item => equals(actual, item));
+    case '$nin': return !operand.some(item => equals(actual, item));
+    case '$exists': return (actual !== undefined) === Boolean(operand);
+    case '$size': return Array.isArray(actual) && actual.length === operand;
+    case '$type': return operand === 'objectId' ? isObjectId(actual) : typeof actual === operand;
+    case '$regex': return [].concat(actual ?? []).some(item => typeof item === 'string' && new RegExp(operand, ops.$options).test(item));
+    case '$options': return true;
+    default: throw new Error(`memoryDb: unsupported query operator ${op}`);
+  }
+});
+
+export const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(sub => matches(doc, sub));
+  if (key === '$and') return condition.every(sub => matches(doc, sub));
+  if (key === '$nor') return !condition.some(sub => matches(doc, sub));
+  if (key.startsWith('$')) throw new Error(`memoryDb: unsupported query operator ${key}`);
+  const actual = getPath(doc, key);
+  return isOperatorObject(condition) ? matchOperators(actual, condition) : equals(actual, condition);
+});
+
+const applyUpdate = (doc, update) => {
+  const ops = isOperatorObject(update) ? update : { $set: update };
+  for (const [op, fields] of Object.entries(ops)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (op) {
+        case '$set': setPath(doc, path, clone(value)); break;
+        case '$setOnInsert': break;
+        case '$unset': unsetPath(doc, path); break;
+        case '$inc': setPath(doc, path, (getPath(doc, path) || 0) + value); break;
+        case '$max': {
+          const current = getPath(doc, path);
+          if (current == null || normalize(value) > normalize(current)) setPath(doc, path, clone(value));
+          break;
+        }
+        case '$min': {
+          const current = getPath(doc, path);
+          if (current == null || normalize(value) < normalize(current)) setPath(doc, path, clone(value));
+          break;
+        }
+        case '$push': setPath(doc, path, [...(getPath(doc, path) || []), clone(value)]); break;
+        case '$pull': setPath(doc, path, (getPath(doc, path) || []).filter(item => !equals(item, value))); break;
+        default: throw new Error(`memoryDb: unsupported update operator ${op}`);
+      }
+    }
+  }
+  return doc;
+};
+
+const compareBy = (sort) => {
+  const spec = typeof sort === 'string'
+    ? Object.fromEntries(sort.split(/\s+/).filter(Boolean).map(f => (f.startsWith('-') ? [f.slice(1), -1] : [f, 1])))
+    : sort;
+  return (a, b) => {
+    for (const [path, dir] of Object.entries(spec)) {
+      const x = normalize(getPath(a, path));
+      const y = normalize(getPath(b, path));
+      if (x === y) continue;
+      if (x === undefined || x === null) return -1 * dir;
+      if (y === undefined || y === null) return 1 * dir;
+      return (x < y ? -1 : 1) * dir;
+    }
+    return 0;
+  };
+};
+
+// $group accumulators: { $sum: 1 | '$field' }, { $first: '$field' }
+const accumulate = (docs, spec) => {
+  const [[op, operand]] = Object.entries(spec);
+  const valueOf = (doc) => (typeof operand === 'string' && operand.startsWith('$') ? getPath(doc, operand.slice(1)) : operand);
+  switch (op) {
+    case '$sum': return docs.reduce((sum, doc) => sum + (Number(valueOf(doc)) || 0), 0);
+    case '$first': return docs.length ? clone(valueOf(docs[0])) : null;
+    default: throw new Error(`memoryDb: unsupported accumulator ${op}`);
+  }
+};
+
+// Aggregation pipeline limited to $match, $group, $sort and $limit
+const runPipeline = (docs, pipeline) => pipeline.reduce((current, stage) => {
+  const [[op, spec]] = Object.entries(stage);
+  switch (op) {
+    case '$match': return current.filter(doc => matches(doc, spec));
+    case '$sort': return [...current].sort(compareBy(spec));
+    case '$limit': return current.slice(0, spec);
+    case '$group': {
+      const { _id: key, ...fields } = spec;
+      const groups = new Map();
+      for (const doc of current) {
+        const id = typeof key === 'string' && key.startsWith('$') ? getPath(doc, key.slice(1)) ?? null : key;
+        const bucket = groups.get(String(id)) || { id, docs: [] };
+        bucket.docs.push(doc);
+        groups.set(String(id), bucket);
+      }
+      return [...groups.values()].map(({ id, docs: grouped }) => ({
+        _id: clone(id),
+        ...Object.fromEntries(Object.entries(fields).map(([name, acc]) => [name, accumulate(grouped, acc)])),
+      }));
+    }
+    default: throw new Error(`memoryDb: unsupported aggregation stage ${op}`);
+  }
+}, docs);
+
+// populate('a b') / populate({ path, populate }) / populate([...]) -> [{ path, populate }]
+const populateSpecs = (spec) => {
+  if (typeof spec === 'string') return spec.split(/\s+/).filter(Boolean).map(path => ({ path }));
+  if (Array.isArray(spec)) return spec.flatMap(populateSpecs);
+  return spec ? [spec] : [];
+};
+
+// 'items.equipmentId' -> ['items.0.equipmentId', 'items.1.equipmentId', ...] through arrays of subdocuments
+const expandArrayPaths = (doc, path, prefix = '') => {
+  const [key, ...rest] = path.split('.');
+  const head = prefix ? `${prefix}.${key}` : key;
+  if (rest.length === 0) return [head];
+  const value = getPath(doc, head);
+  if (Array.isArray(value)) {
+    return value.flatMap((_, index) => expandArrayPaths(doc, rest.join('.'), `${head}.${index}`));
+  }
+  return expandArrayPaths(doc, rest.join('.'), head);
+};
+
+// Model a path refers to (ref only; refPath is not followed)
+const refModelOf = (model, path) => {
+  const schemaType = model.schema.path(path);
+  const ref = schemaType?.options?.ref ?? schemaType?.caster?.options?.ref;
+  if (!ref) return null;
+  return typeof ref === 'string' ? mongoose.model(ref) : ref;
+};
+
+const duplicateKeyError = (modelName, fields) => Object.assign(
+  new Error(`E11000 duplicate key error collection: ${modelName} index: ${fields.join('_')}`),
+  { code: 11000 }
+);
+
+// Chainable query resolved against the collection when awaited
+class MemoryQuery {
+  constructor(run, { single = false } = {}) {
+    this.run = run;
+    this.single = single;
+    this.opts = {};
+  }
+
+  session() { return this; }
+  select() { return this; }
+  populate(spec) {
+    this.opts.populate = [...(this.opts.populate || []), ...populateSpecs(spec)];
+    return this;
+  }
+  read() { return this; }
+  hint() { return this; }
+  setOptions() { return this; }
+  lean() { this.opts.lean = true; return this; }
+  sort(spec) { this.opts.sort = spec; return this; }
+  skip(n) { this.opts.skip = n; return this; }
+  limit(n) { this.opts.limit = n; return this; }
+
+  exec() {
+    return Promise.resolve().then(() => this.run(this.opts));
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+export const createMemoryDb = () => {
+  const collections = new Map();
+  const restorers = [];
+  let snapshot = null;
+
+  const collection = (model) => {
+    if (!collections.has(model.modelName)) collections.set(model.modelName, new Map());
+    return collections.get(model.modelName);
+  };
+
+  const snapshotAll = () => new Map([...collections].map(([name, docs]) => [name, new Map([...docs].map(([id, doc]) => [id, clone(doc)]))]));
+
+  const assertUnique = (model, doc) => {
+    for (const [fields, options] of model.schema.indexes()) {
+      if (!options?.unique) continue;
+      if (options.partialFilterExpression && !matches(doc, options.partialFilterExpression)) continue;
+      const keys = Object.keys(fields);
+      // Sparse indexes skip documents without the indexed fields
+      if (options.sparse && keys.every(key => getPath(doc, key) == null)) continue;
+      for (const other of collection(model).values()) {
+        if (String(other._id) === String(doc._id)) continue;
+        if (options.partialFilterExpression && !matches(other, options.partialFilterExpression)) continue;
+        if (keys.every(key => normalize(getPath(other, key)) === normalize(getPath(doc, key)))) {
+          throw duplicateKeyError(model.modelName, keys);
+        }
+      }
+    }
+  };
+
+  const write = (model, plain) => {
+    assertUnique(model, plain);
+    collection(model).set(String(plain._id), clone(plain));
+    return plain;
+  };
+
+  const toPlain = (model, data) => {
+    const doc = new model(data);
+    const error = doc.validateSync();
+    if (error) throw error;
+    const plain = doc.toObject({ depopulate: true });
+    if (model.schema.options.timestamps) {
+      const now = new Date();
+      plain.createdAt = plain.createdAt || now;
+      plain.updatedAt = plain.updatedAt || now;
+    }
+    return plain;
+  };
+
+  // Stored document as a plain object (lean) or a hydrated document, with the requested paths populated
+  const output = (model, plain, { lean = false, populate = [] } = {}) => {
+    if (!plain) return null;
+    const doc = lean ? clone(plain) : model.hydrate(clone(plain));
+    for (const spec of populate) {
+      const refModel = refModelOf(model, spec.path);
+      if (!refModel) continue;
+      const load = (id) => output(refModel, collection(refModel).get(String(id)), { lean, populate: populateSpecs(spec.populate) });
+      for (const path of expandArrayPaths(plain, spec.path)) {
+        const ref = getPath(plain, path);
+        if (ref == null) continue;
+        const value = Array.isArray(ref) ? ref.map(load).filter(Boolean) : load(ref);
+        if (lean) setPath(doc, path, value);
+        else if (path === spec.path) doc.set(path, value);
+        // doc.set() casts a document back to its id inside arrays; assigning on the subdocument keeps it populated
+        else setPath(doc, path, value);
+      }
+    }
+    return doc;
+  };
+
+  const query = (model, filter, opts) => {
+    let docs = [...collection(model).values()].filter(doc => matches(doc, filter || {}));
+    if (opts.sort) docs.sort(compareBy(opts.sort));
+    if (opts.skip) docs = docs.slice(opts.skip);
+    if (opts.limit) docs = docs.slice(0, opts.limit);
+    return docs;
+  };
+
+  const findOneAndUpdate = (model, filter, update, options = {}) => {
+    const [existing] = query(model, filter, { sort: options.sort });
+    if (!existing) {
+      if (!options.upsert) return null;
+      const seed = Object.fromEntries(Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isOperatorObject(value)));
+      // Validate the inserted document with the update applied, so required fields may come from $setOnInsert
+      const fresh = toPlain(model, applyUpdate(clone(seed), { ...update, ...(update.$setOnInsert ? { $set: { ...update.$setOnInsert, ...update.$set } } : {}) }));
+      write(model, fresh);
+      return options.new ? fresh : null;
+    }
+    const before = clone(existing);
+    const next = applyUpdate(clone(existing), update);
+    if (model.schema.options.timestamps) next.updatedAt = new Date();
+    write(model, next);
+    return options.new ? next : before;
+  };
+
+  const statics = (model) => ({
+    find: (filter) => new MemoryQuery(opts => query(model, filter, opts).map(doc => output(model, doc, opts))),
+    findOne: (filter) => new MemoryQuery(opts => output(model, query(model, filter, opts)[0], opts)),
+    findById: (id) => new MemoryQuery(opts => output(model, id == null ? null : collection(model).get(String(id)), opts)),
+    exists: (filter) => new MemoryQuery(() => {
+      const [doc] = query(model, filter, {});
+      return doc ? { _id: doc._id } : null;
+    }),
+    countDocuments: (filter) => new MemoryQuery(() => query(model, filter, {}).length),
+    create: async (data, options) => {
+      const list = Array.isArray(data) ? data : [data];
+      const created = list.map(item => output(model, write(model, toPlain(model, item))));
+      return Array.isArray(data) || options ? created : created[0];
+    },
+    insertMany: async (list) => list.map(item => output(model, write(model, toPlain(model, item)))),
+    findOneAndUpdate: (filter, update, options = {}) => new MemoryQuery(opts =>
+      output(model, findOneAndUpdate(model, filter, update, options), opts)),
+    findByIdAndUpdate: (id, update, options = {}) => new MemoryQuery(opts =>
+      output(model, findOneAndUpdate(model, { _id: id }, update, options), opts)),
+    updateOne: (filter, update, options = {}) => new MemoryQuery(() => {
+      const doc = findOneAndUpdate(model, filter, update, { ...options, new: true });
+      return { acknowledged: true, matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    }),
+    updateMany: (filter, update) => new MemoryQuery(() => {
+      const docs = query(model, filter, {});
+      for (const doc of docs) write(model, applyUpdate(clone(doc), update));
+      return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length };
+    }),
+    deleteOne: (filter) => new MemoryQuery(() => {
+      const [doc] = query(model, filter, {});
+      if (doc) collection(model).delete(String(doc._id));
+      return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    }),
+    deleteMany: (filter) => new MemoryQuery(() => {
+      const docs = query(model, filter, {});
+      docs.forEach(doc => collection(model).delete(String(doc._id)));
+      return { acknowledged: true, deletedCount: docs.length };
+    }),
+    aggregate: (pipeline = []) => new MemoryQuery(() => runPipeline(query(model, {}, {}).map(clone), pipeline)),
+    findByIdAndDelete: (id) => new MemoryQuery(opts => {
+      const doc = collection(model).get(String(id));
+      collection(model).delete(String(id));
+      return output(model, doc, opts);
+    }),
+  });
+
+  const fakeSession = () => ({
+    id: new mongoose.Types.ObjectId(),
+    startTransaction() { snapshot = snapshotAll(); },
+    async commitTransaction() { snapshot = null; },
+    async abortTransaction() {
+      if (snapshot) collections.clear();
+      if (snapshot) snapshot.forEach((docs, name) => collections.set(name, docs));
+      snapshot = null;
+    },
+    async withTransaction(fn) {
+      const before = snapshotAll();
+      try {
+        return await fn(this);
+      } catch (err) {
+        collections.clear();
+        before.forEach((docs, name) => collections.set(name, docs));
+        throw err;
+      }
+    },
+    inTransaction() { return Boolean(snapshot); },
+    endSession() {},
+  });
+
+  const replace = (target, key, value) => {
+    const own = Object.prototype.hasOwnProperty.call(target, key);
+    const original = target[key];
+    target[key] = value;
+    restorers.push(() => {
+      if (own) target[key] = original;
+      else delete target[key];
+    });
+  };
+
+  return {
+    /** Replace every registered model and mongoose.startSession with the in-memory versions */
+    install() {
+      for (const model of Object.values(mongoose.models)) {
+        for (const [name, fn] of Object.entries(statics(model))) {
+          if (STATICS.includes(name)) replace(model, name, fn);
+        }
+        replace(model.prototype, 'save', async function () {
+          const plain = this.toObject({ depopulate: true });
+          if (model.schema.options.timestamps) {
+            plain.createdAt = plain.createdAt || new Date();
+            plain.updatedAt = new Date();
+          }
+          write(model, plain);
+          this.isNew = false;
+          return this;
+        });
+      }
+      replace(mongoose, 'startSession', async () => fakeSession());
+    },
+
+    restore() {
+      while (restorers.length) restorers.pop()();
+      collections.clear();
+      snapshot = null;
+    },
+
+    /** Insert documents (defaults applied) and return them as plain objects */
+    async seed(model, docs) {
+      const list = Array.isArray(docs) ? docs : [docs];
+      return list.map(doc => clone(write(model, toPlain(model, doc))));
+    },
+
+    /** Plain objects currently stored for a model, optionally filtered */
+    all(model, filter = {}) {
+      return [...collection(model).values()].filter(doc => matches(doc, filter)).map(clone);
+    },
+
+    get(model, id) {
+      const doc = collection(model).get(String(id));
+      return doc ? clone(doc) : null;
+    },
+  };
+};
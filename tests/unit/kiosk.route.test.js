@@ -0,0 +1,55 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import kioskRoutes from '../../src/routes/kiosk.route.js';
+import { errorHandler } from '../../src/middlewares/errorHandler.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/kiosk', kioskRoutes);
+app.use(errorHandler);
+
+describe('kiosk routes', () => {
+  const kioskKey = process.env.KIOSK_API_KEY;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/kiosk`;
+  });
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => { process.env.KIOSK_API_KEY = kioskKey; });
+  afterEach(() => { process.env.KIOSK_API_KEY = kioskKey; });
+
+  const checkIn = (headers = {}) => fetch(`${baseUrl}/check-in`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify({}),
+  });
+
+  it('is disabled when no kiosk key is configured', async () => {
+    delete process.env.KIOSK_API_KEY;
+
+    const noKey = await checkIn();
+    const anyKey = await checkIn({ 'x-kiosk-key': 'undefined' });
+
+    assert.equal(noKey.status, 503);
+    assert.equal(anyKey.status, 503);
+  });
+
+  it('rejects devices without the kiosk key', async () => {
+    assert.equal((await checkIn()).status, 401);
+    assert.equal((await checkIn({ 'x-kiosk-key': 'wrong-key' })).status, 401);
+  });
+
+  it('lets registered kiosks through to the token check', async () => {
+    const res = await checkIn({ 'x-kiosk-key': kioskKey });
+
+    // No token in the body: the request reached the check-in service
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,195 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { CustomerProfile, LoyaltyTransaction } from '../../src/models/index.js';
+import { LOYALTY_TRANSACTION_TYPE } from '../../src/utils/constants.js';
+import { ValidationError } from '../../src/utils/errors.js';
+import {
+  earnPoints,
+  redeemPoints,
+  restoreRedeemedPoints,
+  reversePointsForRefund,
+  expirePoints,
+} from '../../src/services/loyalty.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const userId = new mongoose.Types.ObjectId();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const profile = () => db.all(CustomerProfile, { userId })[0];
+const entries = (type) => db.all(LoyaltyTransaction, { userId, type });
+
+const redeem = async (params) => {
+  const session = await mongoose.startSession();
+  let result;
+  await session.withTransaction(async () => {
+    result = await redeemPoints({ userId, referenceModel: 'Booking', ...params }, session);
+  });
+  return result;
+};
+
+// A lot of points as earnPoints would have written it, expiring at the given time
+const seedLot = (points, expiresAt, remainingPoints = points) => db.seed(LoyaltyTransaction, {
+  userId,
+  type: LOYALTY_TRANSACTION_TYPE.EARN,
+  points,
+  balanceAfter: points,
+  remainingPoints,
+  expiresAt,
+  referenceModel: 'Booking',
+  referenceId: new mongoose.Types.ObjectId(),
+}).then(([lot]) => lot);
+
+describe('loyalty redemption', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('caps redeemed points at the tier percentage of the order', async () => {
+    await earnPoints({ userId, amount: 2000000, referenceModel: 'Booking', referenceId: new mongoose.Types.ObjectId() });
+
+    // Member tier: at most 50% of 20.000 VND = 100 points
+    const result = await redeem({ points: 150, amount: 20000, referenceId: new mongoose.Types.ObjectId() });
+
+    assert.equal(result.points, 100);
+    assert.equal(result.discountAmount, 10000);
+    assert.equal(profile().loyaltyPoints, 100);
+    assert.equal(profile().lifetimePoints, 200);
+  });
+
+  it('uses the lots closest to expiry first', async () => {
+    const late = await seedLot(100, new Date(Date.now() + 300 * DAY_MS));
+    const soon = await seedLot(100, new Date(Date.now() + 10 * DAY_MS));
+    await db.seed(CustomerProfile, { userId, loyaltyPoints: 200, lifetimePoints: 200 });
+
+    await redeem({ points: 150, amount: 1000000, referenceId: new mongoose.Types.ObjectId() });
+
+    assert.equal(db.get(LoyaltyTransaction, soon._id).remainingPoints, 0);
+    assert.equal(db.get(LoyaltyTransaction, late._id).remainingPoints, 50);
+    assert.equal(profile().loyaltyPoints, 50);
+  });
+
+  it('refuses to redeem more points than the customer has', async () => {
+    await db.seed(CustomerProfile, { userId, loyaltyPoints: 120 });
+
+    await assert.rejects(redeem({ points: 150, amount: 1000000, referenceId: new mongoose.Types.ObjectId() }), ValidationError);
+    assert.equal(entries(LOYALTY_TRANSACTION_TYPE.REDEEM).length, 0);
+  });
+});
+
+describe('loyalty reversal and restore', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  const earnedBookingId = new mongoose.Types.ObjectId();
+  const redeemedBookingId = new mongoose.Types.ObjectId();
+
+  beforeEach(async () => {
+    await earnPoints({ userId, amount: 3000000, referenceModel: 'Booking', referenceId: earnedBookingId });
+    await redeem({ points: 100, amount: 1000000, referenceId: redeemedBookingId });
+  });
+
+  it('claws back earned points once when the booking is refunded', async () => {
+    const refund = { _id: new mongoose.Types.ObjectId(), bookingId: earnedBookingId };
+
+    const first = await reversePointsForRefund(refund);
+    const second = await reversePointsForRefund(refund);
+
+    assert.deepEqual(first, { reversed: 200, restored: 0 });
+    assert.deepEqual(second, { reversed: 0, restored: 0 });
+    assert.equal(profile().loyaltyPoints, 0);
+    assert.equal(profile().lifetimePoints, 0);
+  });
+
+  it('gives redeemed points back once when the booking is refunded', async () => {
+    const refund = { _id: new mongoose.Types.ObjectId(), bookingId: redeemedBookingId };
+
+    const first = await reversePointsForRefund(refund);
+    const second = await reversePointsForRefund(refund);
+
+    assert.deepEqual(first, { reversed: 0, restored: 100 });
+    assert.deepEqual(second, { reversed: 0, restored: 0 });
+    assert.equal(profile().loyaltyPoints, 300);
+    // Points given back do not count towards the tier
+    assert.equal(profile().lifetimePoints, 300);
+  });
+
+  it('gives redeemed points back on cancellation and not again on a later refund', async () => {
+    const restored = await restoreRedeemedPoints({ referenceModel: 'Booking', referenceId: redeemedBookingId });
+    const again = await restoreRedeemedPoints({ referenceModel: 'Booking', referenceId: redeemedBookingId });
+    const refunded = await reversePointsForRefund({ _id: new mongoose.Types.ObjectId(), bookingId: redeemedBookingId });
+
+    assert.equal(restored.points, 100);
+    assert.equal(again, null);
+    assert.deepEqual(refunded, { reversed: 0, restored: 0 });
+    assert.equal(entries(LOYALTY_TRANSACTION_TYPE.RESTORE).length, 1);
+    assert.equal(profile().loyaltyPoints, 300);
+  });
+
+  it('puts restored points back on the lots they came from, with their original expiry', async () => {
+    const [lot] = entries(LOYALTY_TRANSACTION_TYPE.EARN);
+
+    const restored = await restoreRedeemedPoints({ referenceModel: 'Booking', referenceId: redeemedBookingId });
+
+    assert.equal(restored.points, 100);
+    assert.equal(restored.expiresAt, null);
+    assert.equal(restored.remainingPoints, 0);
+    const lotAfter = db.get(LoyaltyTransaction, lot._id);
+    assert.equal(lotAfter.remainingPoints, 300);
+    assert.deepEqual(lotAfter.expiresAt, lot.expiresAt);
+  });
+
+  it('does not revive points whose lot expired before the restore', async () => {
+    const [lot] = entries(LOYALTY_TRANSACTION_TYPE.EARN);
+    await LoyaltyTransaction.updateOne({ _id: lot._id }, { $set: { expiresAt: new Date(Date.now() - DAY_MS) } });
+
+    const restored = await restoreRedeemedPoints({ referenceModel: 'Booking', referenceId: redeemedBookingId });
+
+    assert.equal(restored.points, 0);
+    assert.equal(db.get(LoyaltyTransaction, lot._id).remainingPoints, 200);
+    assert.equal(profile().loyaltyPoints, 200);
+  });
+
+  it('does nothing for a booking without redeemed points', async () => {
+    const restored = await restoreRedeemedPoints({ referenceModel: 'Booking', referenceId: new mongoose.Types.ObjectId() });
+
+    assert.equal(restored, null);
+    assert.equal(profile().loyaltyPoints, 200);
+  });
+});
+
+describe('expirePoints', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('expires the unused part of overdue lots and leaves the others', async () => {
+    const now = new Date('2026-10-20T00:00:00Z');
+    const overdue = await seedLot(100, new Date(now.getTime() - DAY_MS), 40);
+    const current = await seedLot(100, new Date(now.getTime() + DAY_MS));
+    await db.seed(CustomerProfile, { userId, loyaltyPoints: 140, lifetimePoints: 200 });
+
+    const result = await expirePoints(now);
+    const again = await expirePoints(now);
+
+    assert.deepEqual(result, { lots: 1, points: 40 });
+    assert.deepEqual(again, { lots: 0, points: 0 });
+    assert.equal(db.get(LoyaltyTransaction, overdue._id).remainingPoints, 0);
+    assert.equal(db.get(LoyaltyTransaction, current._id).remainingPoints, 100);
+    assert.equal(profile().loyaltyPoints, 100);
+    assert.equal(profile().lifetimePoints, 200);
+    assert.deepEqual(entries(LOYALTY_TRANSACTION_TYPE.EXPIRE).map(entry => entry.points), [-40]);
+  });
+
+  it('never takes the balance below zero', async () => {
+    const now = new Date('2026-10-20T00:00:00Z');
+    const overdue = await seedLot(100, new Date(now.getTime() - DAY_MS));
+    await db.seed(CustomerProfile, { userId, loyaltyPoints: 30 });
+
+    const result = await expirePoints(now);
+
+    assert.equal(result.points, 30);
+    assert.equal(profile().loyaltyPoints, 0);
+    assert.equal(db.get(LoyaltyTransaction, overdue._id).remainingPoints, 0);
+  });
+});
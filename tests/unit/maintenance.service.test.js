@@ -0,0 +1,119 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Booking, MaintenanceWindow, Payment, Schedule, Studio } from '../../src/models/index.js';
+import {
+  BOOKING_STATUS,
+  SCHEDULE_STATUS,
+  PAYMENT_STATUS,
+  PAY_TYPE,
+  MAINTENANCE_RESOLUTION,
+} from '../../src/utils/constants.js';
+import { ConflictError, ValidationError } from '../../src/utils/errors.js';
+import { createMaintenanceWindow, resolveMaintenanceBooking } from '../../src/services/maintenance.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const HOUR_MS = 60 * 60 * 1000;
+const staffId = new mongoose.Types.ObjectId();
+
+// Studio under maintenance and the candidates for its bookings
+const seedStudios = () => db.seed(Studio, [
+  { name: 'Studio A', basePricePerHour: 100000, capacity: 10, area: 50, closedOnHolidays: false },
+  { name: 'Studio B', basePricePerHour: 90000, capacity: 12, area: 48, closedOnHolidays: false },
+  { name: 'Studio Đắt', basePricePerHour: 150000, capacity: 12, area: 50, closedOnHolidays: false },
+  { name: 'Studio Nhỏ', basePricePerHour: 80000, capacity: 4, area: 20, closedOnHolidays: false },
+]);
+
+// A confirmed, fully paid two-hour booking of `studio` starting `startsInHours` from now.
+// Its cancellation policy refunds nothing within 24 hours of the start.
+const seedPaidBooking = async (studio, startsInHours) => {
+  const startTime = new Date(Date.now() + startsInHours * HOUR_MS);
+  startTime.setUTCMinutes(0, 0, 0);
+  const [schedule] = await db.seed(Schedule, { studioId: studio._id, startTime, endTime: new Date(startTime.getTime() + 2 * HOUR_MS), status: SCHEDULE_STATUS.BOOKED });
+  const [booking] = await db.seed(Booking, {
+    userId: new mongoose.Types.ObjectId(),
+    scheduleId: schedule._id,
+    totalBeforeDiscount: 200000,
+    finalAmount: 200000,
+    payType: PAY_TYPE.FULL,
+    status: BOOKING_STATUS.CONFIRMED,
+    pricingSnapshot: { studioAmount: 200000, adjustments: [] },
+    policySnapshots: { cancellation: { refundTiers: [{ hoursBeforeBooking: 24, refundPercentage: 100 }] } },
+  });
+  await Schedule.updateOne({ _id: schedule._id }, { $set: { bookingId: booking._id } });
+  await db.seed(Payment, { bookingId: booking._id, paymentCode: `PAY-${booking._id}`, amount: 200000, payType: PAY_TYPE.FULL, status: PAYMENT_STATUS.PAID });
+  return { schedule, booking };
+};
+
+// A maintenance window covering the whole day of the schedule
+const maintenanceOver = (schedule) => ({
+  startTime: new Date(schedule.startTime.getTime() - 6 * HOUR_MS),
+  endTime: new Date(schedule.endTime.getTime() + 6 * HOUR_MS),
+  reason: 'Sửa hệ thống điện',
+});
+
+describe('studio maintenance windows', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('blocks the studio and reports affected bookings with similar, cheaper studios', async () => {
+    const [studio, similar] = await seedStudios();
+    const { schedule, booking } = await seedPaidBooking(studio, 72);
+
+    const { window, impact } = await createMaintenanceWindow(studio._id, maintenanceOver(schedule), staffId);
+
+    assert.equal(db.get(Studio, studio._id).blackouts[0].maintenanceWindowId.toString(), window._id.toString());
+    assert.deepEqual(impact.pending.map(p => p.bookingId.toString()), [booking._id.toString()]);
+    assert.deepEqual(impact.pending[0].alternatives.map(a => a.studioId.toString()), [similar._id.toString()]);
+    await assert.rejects(createMaintenanceWindow(studio._id, maintenanceOver(schedule), staffId), ConflictError);
+  });
+
+  it('moves a booking to the alternative studio at the same time without a fee', async () => {
+    const [studio, similar] = await seedStudios();
+    const { schedule, booking } = await seedPaidBooking(studio, 72);
+    const { window } = await createMaintenanceWindow(studio._id, maintenanceOver(schedule), staffId);
+
+    const resolution = await resolveMaintenanceBooking(window._id, booking._id, { action: MAINTENANCE_RESOLUTION.RELOCATED }, staffId);
+
+    assert.equal(resolution.targetStudioId.toString(), similar._id.toString());
+    assert.equal(resolution.refundAmount, 20000);
+    const moved = db.get(Schedule, db.get(Booking, booking._id).scheduleId);
+    assert.equal(moved.studioId.toString(), similar._id.toString());
+    assert.equal(moved.startTime.getTime(), schedule.startTime.getTime());
+    assert.equal(db.get(Booking, booking._id).finalAmount, 180000);
+    assert.equal(db.get(MaintenanceWindow, window._id).resolutions.length, 1);
+    await assert.rejects(
+      resolveMaintenanceBooking(window._id, booking._id, { action: MAINTENANCE_RESOLUTION.CANCELLED }, staffId),
+      ConflictError
+    );
+  });
+
+  it('cancels with a full refund even inside the customer no-refund period', async () => {
+    const [studio] = await seedStudios();
+    const { schedule, booking } = await seedPaidBooking(studio, 12);
+    const { window } = await createMaintenanceWindow(studio._id, maintenanceOver(schedule), staffId);
+
+    const resolution = await resolveMaintenanceBooking(window._id, booking._id, { action: MAINTENANCE_RESOLUTION.CANCELLED }, staffId);
+
+    assert.equal(resolution.refundAmount, 200000);
+    assert.equal(db.get(Booking, booking._id).status, BOOKING_STATUS.CANCELLED);
+  });
+
+  it('refuses to relocate when no studio can take the booking and leaves it in place', async () => {
+    const [studio, similar] = await seedStudios();
+    const { schedule, booking } = await seedPaidBooking(studio, 72);
+    await db.seed(Schedule, { studioId: similar._id, startTime: schedule.startTime, endTime: schedule.endTime, status: SCHEDULE_STATUS.BOOKED });
+    const { window } = await createMaintenanceWindow(studio._id, maintenanceOver(schedule), staffId);
+
+    await assert.rejects(
+      resolveMaintenanceBooking(window._id, booking._id, { action: MAINTENANCE_RESOLUTION.RELOCATED }, staffId),
+      ValidationError
+    );
+
+    assert.equal(db.get(Booking, booking._id).scheduleId.toString(), schedule._id.toString());
+    assert.equal(db.get(Booking, booking._id).status, BOOKING_STATUS.CONFIRMED);
+    assert.equal(db.get(MaintenanceWindow, window._id).resolutions.length, 0);
+  });
+});
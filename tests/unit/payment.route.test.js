@@ -0,0 +1,56 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { User } from '../../src/models/index.js';
+import { USER_ROLES } from '../../src/utils/constants.js';
+import paymentRoutes from '../../src/routes/payment.route.js';
+import { errorHandler } from '../../src/middlewares/errorHandler.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const app = express();
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+app.use(errorHandler);
+
+describe('mock payment simulation route', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/payments`;
+  });
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  const tokenFor = async (role) => {
+    const [user] = await db.seed(User, {
+      username: role, email: `${role}@example.com`, fullName: role, passwordHash: 'x', role,
+    });
+    return jwt.sign({ id: user._id.toString() }, process.env.JWT_SECRET, { expiresIn: 3600 });
+  };
+
+  const simulate = (token) => fetch(`${baseUrl}/mock/123456/simulate`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify({ outcome: 'paid' }),
+  });
+
+  it('rejects anonymous callers and customers', async () => {
+    assert.equal((await simulate()).status, 401);
+    assert.equal((await simulate(await tokenFor(USER_ROLES.CUSTOMER))).status, 403);
+  });
+
+  it('lets staff through to the mock gateway', async () => {
+    const res = await simulate(await tokenFor(USER_ROLES.STAFF));
+
+    // No such link on the mock gateway: the request reached the simulation
+    assert.equal(res.status, 404);
+  });
+});
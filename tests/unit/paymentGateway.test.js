@@ -0,0 +1,41 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The gateway is picked when the module loads: import a fresh copy per scenario
+let loads = 0;
+const loadGateway = () => import(`../../src/services/paymentGateway/index.js?load=${loads++}`);
+
+describe('payment gateway selection', () => {
+  const saved = {};
+  const keys = ['PAYMENT_GATEWAY', 'PAYMENT_USE_MOCK', 'MOCK_PAYMENT_CHECKSUM_KEY', 'NODE_ENV'];
+  beforeEach(() => keys.forEach(key => { saved[key] = process.env[key]; }));
+  afterEach(() => keys.forEach(key => {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }));
+
+  it('uses PayOS unless the mock is chosen explicitly', async () => {
+    delete process.env.PAYMENT_GATEWAY;
+    delete process.env.PAYMENT_USE_MOCK;
+
+    const { getPaymentGateway, isMockGateway } = await loadGateway();
+
+    assert.equal(getPaymentGateway().name, 'payos');
+    assert.equal(isMockGateway(), false);
+  });
+
+  it('refuses the mock without its own checksum key', async () => {
+    process.env.PAYMENT_GATEWAY = 'mock';
+    delete process.env.MOCK_PAYMENT_CHECKSUM_KEY;
+
+    await assert.rejects(loadGateway(), /MOCK_PAYMENT_CHECKSUM_KEY/);
+  });
+
+  it('never uses the mock in production', async () => {
+    process.env.PAYMENT_GATEWAY = 'mock';
+    process.env.NODE_ENV = 'production';
+
+    await assert.rejects(loadGateway(), /cannot be used in production/);
+  });
+});
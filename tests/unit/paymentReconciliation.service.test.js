@@ -0,0 +1,120 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Payment, PaymentReconciliation, Report } from '../../src/models/index.js';
+import {
+  PAYMENT_STATUS,
+  PAYMENT_CATEGORY,
+  PAYMENT_RECONCILIATION_ISSUE,
+  PAY_TYPE,
+  TARGET_MODEL,
+  REPORT_TARGET_TYPES,
+  REPORT_ISSUE_TYPE,
+} from '../../src/utils/constants.js';
+import { NotFoundError, ValidationError } from '../../src/utils/errors.js';
+import { getPaymentGateway } from '../../src/services/paymentGateway/index.js';
+import {
+  runPendingReconciliation,
+  runDailyReconciliation,
+  getReconciliationReport,
+} from '../../src/services/paymentReconciliation.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const gateway = getPaymentGateway();
+const MINUTE_MS = 60 * 1000;
+
+// Order codes stay unique across tests: mock links live for the whole process
+let nextOrderCode = Date.now() + 1e6;
+
+const dateKeyOf = (date) => new Date(date.getTime() + 7 * 60 * MINUTE_MS).toISOString().slice(0, 10);
+
+/**
+ * A 50,000 đ fine payment created `ageMinutes` ago with its mock payment link.
+ * outcome: what already happened on the gateway ('paid' | 'cancelled' | null = still pending);
+ * withLink false leaves the gateway without the link.
+ */
+const seedFinePayment = async ({ ageMinutes = 30, outcome = null, withLink = true, ...fields } = {}) => {
+  const orderCode = nextOrderCode++;
+  const [report] = await db.seed(Report, {
+    targetType: REPORT_TARGET_TYPES.STUDIO,
+    targetId: new mongoose.Types.ObjectId(),
+    reporterId: new mongoose.Types.ObjectId(),
+    issueType: REPORT_ISSUE_TYPE.DAMAGE,
+    description: 'Hỏng đèn',
+    compensationAmount: 50000,
+  });
+  const [payment] = await db.seed(Payment, {
+    paymentCode: `FINE-${orderCode}`,
+    transactionId: String(orderCode),
+    amount: 50000,
+    payType: PAY_TYPE.FULL,
+    category: PAYMENT_CATEGORY.FINE,
+    targetId: report._id,
+    targetModel: TARGET_MODEL.REPORT,
+    createdAt: new Date(Date.now() - ageMinutes * MINUTE_MS),
+    ...fields,
+  });
+  if (withLink) await gateway.createPaymentLink({ orderCode, amount: 50000, description: payment.paymentCode });
+  if (outcome) gateway.simulateWebhook(orderCode, outcome);
+  return { payment, report };
+};
+
+const issuesOf = (report) => report.issues.map(item => [item.paymentId.toString(), item.issue, item.fixed]);
+
+describe('payment reconciliation', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('settles pending payments the gateway already finished and records them once in today\'s report', async () => {
+    const { payment: paid, report } = await seedFinePayment({ outcome: 'paid' });
+    const { payment: cancelled } = await seedFinePayment({ outcome: 'cancelled' });
+    await seedFinePayment();
+    await seedFinePayment({ ageMinutes: 5, outcome: 'paid' });
+
+    const first = await runPendingReconciliation();
+    const second = await runPendingReconciliation();
+
+    assert.deepEqual({ checked: first.checked, mismatches: first.mismatches }, { checked: 3, mismatches: 2 });
+    assert.deepEqual({ checked: second.checked, mismatches: second.mismatches }, { checked: 1, mismatches: 0 });
+    assert.ok(db.get(Report, report._id).compensationPaidAt);
+
+    const daily = await getReconciliationReport(first.date);
+    assert.equal(first.date, dateKeyOf(new Date()));
+    assert.deepEqual(daily.issues.map(item => [item.paymentId.paymentCode, item.paymentId.status, item.issue, item.fixed]), [
+      [paid.paymentCode, PAYMENT_STATUS.PAID, PAYMENT_RECONCILIATION_ISSUE.PAID_NOT_RECORDED, true],
+      [cancelled.paymentCode, PAYMENT_STATUS.CANCELLED, PAYMENT_RECONCILIATION_ISSUE.CANCELLED_ON_GATEWAY, true],
+    ]);
+    assert.deepEqual(
+      { runs: daily.runs, fixed: daily.summary.fixed, unresolved: daily.summary.unresolved, recovered: daily.summary.recoveredAmount },
+      { runs: 2, fixed: 2, unresolved: 0, recovered: 50000 }
+    );
+  });
+
+  it('flags paid payments the gateway does not confirm on yesterday\'s report without changing them', async () => {
+    const now = new Date();
+    const paidAt = new Date(now.getTime() - 2 * 60 * MINUTE_MS);
+    const { payment: unconfirmed } = await seedFinePayment({ status: PAYMENT_STATUS.PAID, paidAt });
+    const { payment: unknown } = await seedFinePayment({ status: PAYMENT_STATUS.PAID, paidAt, withLink: false });
+    await seedFinePayment({ status: PAYMENT_STATUS.PAID, paidAt, outcome: 'paid' });
+
+    const report = await runDailyReconciliation(now);
+
+    assert.equal(report.date, dateKeyOf(new Date(now.getTime() - 24 * 60 * MINUTE_MS)));
+    assert.ok(report.finalizedAt);
+    assert.equal(report.paidChecked, 3);
+    assert.deepEqual(issuesOf(report), [
+      [unconfirmed._id.toString(), PAYMENT_RECONCILIATION_ISSUE.NOT_PAID_ON_GATEWAY, false],
+      [unknown._id.toString(), PAYMENT_RECONCILIATION_ISSUE.GATEWAY_ERROR, false],
+    ]);
+    assert.deepEqual({ unresolved: report.summary.unresolved, unverified: report.summary.unverifiedAmount }, { unresolved: 2, unverified: 50000 });
+    assert.equal(db.get(Payment, unconfirmed._id).status, PAYMENT_STATUS.PAID);
+  });
+
+  it('rejects a malformed date and reports a day that was never reconciled', async () => {
+    await assert.rejects(getReconciliationReport('19-10-2026'), ValidationError);
+    await assert.rejects(getReconciliationReport('2020-01-01'), NotFoundError);
+    assert.equal(db.all(PaymentReconciliation).length, 0);
+  });
+});
@@ -0,0 +1,203 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Booking, Payment, PaymentWebhook, Report, Wallet } from '../../src/models/index.js';
+import EquipmentOrder, { EQUIPMENT_ORDER_STATUS } from '../../src/models/EquipmentOrder/equipmentOrder.model.js';
+import {
+  BOOKING_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_CATEGORY,
+  PAYMENT_WEBHOOK_STATUS,
+  PAY_TYPE,
+  TARGET_MODEL,
+  REPORT_TARGET_TYPES,
+  REPORT_ISSUE_TYPE,
+} from '../../src/utils/constants.js';
+import { ValidationError } from '../../src/utils/errors.js';
+import { getPaymentGateway } from '../../src/services/paymentGateway/index.js';
+import { handlePaymentWebhook } from '../../src/services/paymentWebhook.service.js';
+import { applyWalletToCheckout } from '../../src/services/wallet.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const gateway = getPaymentGateway();
+
+// Order codes stay unique across tests: mock links and webhook claims live for the whole process
+let nextOrderCode = Date.now();
+
+// A pending fine payment with its mock payment link (paid for `paidAmount`), and the signed "paid" webhook for it
+const seedPaidWebhook = async ({ paidAmount = 50000 } = {}) => {
+  const orderCode = nextOrderCode++;
+  const [report] = await db.seed(Report, {
+    targetType: REPORT_TARGET_TYPES.STUDIO,
+    targetId: new mongoose.Types.ObjectId(),
+    reporterId: new mongoose.Types.ObjectId(),
+    issueType: REPORT_ISSUE_TYPE.DAMAGE,
+    description: 'Hỏng đèn',
+    compensationAmount: 50000,
+  });
+  const [payment] = await db.seed(Payment, {
+    paymentCode: `FINE-${orderCode}`,
+    transactionId: String(orderCode),
+    amount: 50000,
+    payType: PAY_TYPE.FULL,
+    category: PAYMENT_CATEGORY.FINE,
+    targetId: report._id,
+    targetModel: TARGET_MODEL.REPORT,
+  });
+  await gateway.createPaymentLink({ orderCode, amount: paidAmount, description: payment.paymentCode });
+  return { payment, report, body: gateway.simulateWebhook(orderCode, 'paid') };
+};
+
+// A booking payment whose link is paid after the booking was already cancelled
+const seedPaidWebhookForCancelledBooking = async () => {
+  const orderCode = nextOrderCode++;
+  const [booking] = await db.seed(Booking, {
+    userId: new mongoose.Types.ObjectId(),
+    scheduleId: new mongoose.Types.ObjectId(),
+    totalBeforeDiscount: 200000,
+    finalAmount: 200000,
+    payType: PAY_TYPE.FULL,
+    status: BOOKING_STATUS.CANCELLED,
+  });
+  const [payment] = await db.seed(Payment, {
+    bookingId: booking._id,
+    targetId: booking._id,
+    targetModel: TARGET_MODEL.BOOKING,
+    category: PAYMENT_CATEGORY.BOOKING,
+    paymentCode: `PAY-${orderCode}`,
+    transactionId: String(orderCode),
+    amount: 200000,
+    payType: PAY_TYPE.FULL,
+  });
+  await gateway.createPaymentLink({ orderCode, amount: 200000, description: payment.paymentCode });
+  return { booking, payment, body: gateway.simulateWebhook(orderCode, 'paid') };
+};
+
+const webhookEntries = (payment) => db.all(PaymentWebhook, { orderCode: payment.transactionId });
+
+describe('handlePaymentWebhook', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('settles the payment and keeps a concurrent duplicate as ignored', async () => {
+    const { payment, report, body } = await seedPaidWebhook();
+
+    const first = await handlePaymentWebhook({ body, headers: {} });
+    const duplicate = await handlePaymentWebhook({ body, headers: {} });
+
+    assert.equal(first.success, true);
+    assert.equal(duplicate.message, 'Duplicate webhook skipped');
+    assert.equal(db.get(Payment, payment._id).status, PAYMENT_STATUS.PAID);
+    assert.ok(db.get(Report, report._id).compensationPaidAt);
+    assert.deepEqual(webhookEntries(payment).map(entry => entry.status).sort(), [
+      PAYMENT_WEBHOOK_STATUS.IGNORED,
+      PAYMENT_WEBHOOK_STATUS.PROCESSED,
+    ]);
+  });
+
+  it('releases the claim when processing fails so the retry is processed', async () => {
+    const { payment, body } = await seedPaidWebhook();
+    const findReport = Report.findById;
+    Report.findById = () => { throw new Error('Database unavailable'); };
+
+    try {
+      await assert.rejects(handlePaymentWebhook({ body, headers: {} }), /Database unavailable/);
+    } finally {
+      Report.findById = findReport;
+    }
+    assert.equal(db.get(Payment, payment._id).status, PAYMENT_STATUS.PENDING);
+
+    const retry = await handlePaymentWebhook({ body, headers: {} });
+
+    assert.equal(retry.message, 'Payment processed successfully');
+    assert.equal(db.get(Payment, payment._id).status, PAYMENT_STATUS.PAID);
+    const entries = webhookEntries(payment);
+    assert.deepEqual(entries.map(entry => entry.status).sort(), [
+      PAYMENT_WEBHOOK_STATUS.FAILED,
+      PAYMENT_WEBHOOK_STATUS.PROCESSED,
+    ]);
+    assert.equal(entries.find(entry => entry.status === PAYMENT_WEBHOOK_STATUS.FAILED).lastError, 'Database unavailable');
+  });
+
+  it('rejects a webhook with a bad signature without touching the payment', async () => {
+    const { payment, body } = await seedPaidWebhook();
+
+    await assert.rejects(
+      handlePaymentWebhook({ body: { ...body, signature: 'f'.repeat(64) }, headers: {} }),
+      ValidationError
+    );
+
+    assert.equal(db.get(Payment, payment._id).status, PAYMENT_STATUS.PENDING);
+    assert.deepEqual(webhookEntries(payment).map(entry => entry.status), [PAYMENT_WEBHOOK_STATUS.REJECTED]);
+  });
+
+  it('refunds a payment that lands after the booking was cancelled instead of confirming it', async () => {
+    const { booking, payment, body } = await seedPaidWebhookForCancelledBooking();
+
+    const result = await handlePaymentWebhook({ body, headers: {} });
+
+    assert.equal(result.success, true);
+    assert.equal(db.get(Booking, booking._id).status, BOOKING_STATUS.CANCELLED);
+    const settled = db.get(Payment, payment._id);
+    assert.equal(settled.status, PAYMENT_STATUS.REFUNDED);
+    assert.ok(settled.gatewayResponse.refundedToWallet.walletTransactionId);
+    assert.equal(db.all(Wallet, { userId: booking.userId })[0].balance, 200000);
+  });
+
+  it('holds a payment whose paid amount does not match for review', async () => {
+    const { payment, report, body } = await seedPaidWebhook({ paidAmount: 5000 });
+
+    const result = await handlePaymentWebhook({ body, headers: {} });
+
+    assert.equal(result.message, 'Payment amount mismatch');
+    const held = db.get(Payment, payment._id);
+    assert.equal(held.status, PAYMENT_STATUS.PENDING);
+    assert.deepEqual(
+      { expected: held.gatewayResponse.amountMismatch.expected, received: held.gatewayResponse.amountMismatch.received },
+      { expected: 50000, received: 5000 }
+    );
+    assert.equal(db.get(Report, report._id).compensationPaidAt, null);
+    assert.deepEqual(webhookEntries(payment).map(entry => entry.status), [PAYMENT_WEBHOOK_STATUS.IGNORED]);
+  });
+
+  it('confirms an equipment order only once the wallet share and the link together cover it', async () => {
+    const orderCode = nextOrderCode++;
+    const customerId = new mongoose.Types.ObjectId();
+    const [order] = await db.seed(EquipmentOrder, {
+      orderCode: `EQ-${orderCode}`,
+      customerId,
+      equipmentId: new mongoose.Types.ObjectId(),
+      quantity: 1,
+      hours: 2,
+      unitPrice: 50000,
+      totalAmount: 100000,
+      rentalStartTime: new Date('2026-11-01T02:00:00Z'),
+      rentalEndTime: new Date('2026-11-01T04:00:00Z'),
+      status: EQUIPMENT_ORDER_STATUS.PENDING,
+    });
+    await db.seed(Wallet, { userId: customerId, balance: 40000 });
+    const equipmentPayment = { targetId: order._id, targetModel: TARGET_MODEL.EQUIPMENT_ORDER, category: PAYMENT_CATEGORY.EQUIPMENT, payType: PAY_TYPE.FULL };
+
+    const session = await mongoose.startSession();
+    const wallet = await session.withTransaction(session => applyWalletToCheckout({ userId: customerId, amount: 100000, payment: equipmentPayment }, session));
+    session.endSession();
+
+    assert.equal(wallet.remaining, 60000);
+    assert.equal(db.get(EquipmentOrder, order._id).status, EQUIPMENT_ORDER_STATUS.PENDING);
+
+    const [link] = await db.seed(Payment, {
+      ...equipmentPayment,
+      paymentCode: `EQ-PAY-${orderCode}`,
+      transactionId: String(orderCode),
+      amount: 60000,
+    });
+    await gateway.createPaymentLink({ orderCode, amount: 60000, description: link.paymentCode });
+    await handlePaymentWebhook({ body: gateway.simulateWebhook(orderCode, 'paid'), headers: {} });
+
+    const confirmed = db.get(EquipmentOrder, order._id);
+    assert.equal(confirmed.status, EQUIPMENT_ORDER_STATUS.CONFIRMED);
+    assert.equal(confirmed.paymentStatus, PAYMENT_STATUS.PAID);
+  });
+});
@@ -0,0 +1,138 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { PricingRule } from '../../src/models/index.js';
+import { PRICING_RULE_TYPE } from '../../src/utils/constants.js';
+import { calculateStudioPrice } from '../../src/services/pricing.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const studio = { _id: new mongoose.Types.ObjectId(), basePricePerHour: 100000 };
+
+// Times are written in Vietnam time (UTC+7); 2026-10-20 is a Tuesday
+const vn = (local) => new Date(`${local}+07:00`);
+
+const summary = (price) => price.lines.map(line => ({
+  start: line.startTime.toISOString(),
+  multiplier: line.multiplier,
+  amount: line.amount,
+}));
+
+describe('calculateStudioPrice', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('charges base price per hour when no rule applies', async () => {
+    const price = await calculateStudioPrice({ studio, startTime: vn('2026-10-20T09:00:00'), endTime: vn('2026-10-20T11:00:00') });
+
+    assert.equal(price.hours, 2);
+    assert.equal(price.studioAmount, 200000);
+    assert.deepEqual(price.lines.map(line => line.amount), [100000, 100000]);
+    assert.deepEqual(price.appliedRules, []);
+  });
+
+  it('splits lines at time band edges that do not fall on the hour', async () => {
+    await db.seed(PricingRule, {
+      name: 'Cao điểm tối', type: PRICING_RULE_TYPE.TIME_BAND, multiplier: 1.5, startTime: '18:30', endTime: '22:00',
+    });
+
+    const price = await calculateStudioPrice({ studio, startTime: vn('2026-10-20T17:00:00'), endTime: vn('2026-10-20T19:30:00') });
+
+    assert.deepEqual(summary(price), [
+      { start: vn('2026-10-20T17:00:00').toISOString(), multiplier: 1, amount: 100000 },
+      { start: vn('2026-10-20T18:00:00').toISOString(), multiplier: 1, amount: 50000 },
+      { start: vn('2026-10-20T18:30:00').toISOString(), multiplier: 1.5, amount: 75000 },
+      { start: vn('2026-10-20T19:00:00').toISOString(), multiplier: 1.5, amount: 75000 },
+    ]);
+    assert.equal(price.studioAmount, 300000);
+    assert.deepEqual(price.appliedRules.map(rule => rule.name), ['Cao điểm tối']);
+  });
+
+  it('applies the highest priority band when bands overlap', async () => {
+    await db.seed(PricingRule, [
+      { name: 'Cao điểm', type: PRICING_RULE_TYPE.TIME_BAND, multiplier: 1.5, startTime: '18:00', endTime: '22:00', priority: 1 },
+      { name: 'Khung đặc biệt', type: PRICING_RULE_TYPE.TIME_BAND, multiplier: 2, startTime: '19:00', endTime: '20:00', priority: 5 },
+    ]);
+
+    const price = await calculateStudioPrice({ studio, startTime: vn('2026-10-20T18:00:00'), endTime: vn('2026-10-20T20:00:00') });
+
+    assert.deepEqual(price.lines.map(line => line.multiplier), [1.5, 2]);
+    assert.equal(price.studioAmount, 350000);
+  });
+
+  it('splits at Vietnam midnight and prices each side with its own weekday', async () => {
+    await db.seed(PricingRule, [
+      { name: 'Ban đêm', type: PRICING_RULE_TYPE.TIME_BAND, multiplier: 0.8, startTime: '22:00', endTime: '06:00' },
+      { name: 'Thứ Tư', type: PRICING_RULE_TYPE.DAY_OF_WEEK, multiplier: 1.25, daysOfWeek: [3] },
+    ]);
+
+    // Tuesday 23:00 -> Wednesday 01:00
+    const price = await calculateStudioPrice({ studio, startTime: vn('2026-10-20T23:00:00'), endTime: vn('2026-10-21T01:00:00') });
+
+    assert.deepEqual(summary(price), [
+      { start: vn('2026-10-20T23:00:00').toISOString(), multiplier: 0.8, amount: 80000 },
+      { start: vn('2026-10-21T00:00:00').toISOString(), multiplier: 1, amount: 100000 },
+    ]);
+    assert.deepEqual(price.lines[1].rules, ['Ban đêm', 'Thứ Tư']);
+    assert.equal(price.studioAmount, 180000);
+  });
+
+  it('limits a band to its days of week, judged by the day each minute falls on', async () => {
+    await db.seed(PricingRule, {
+      name: 'Đêm thứ Ba', type: PRICING_RULE_TYPE.TIME_BAND, multiplier: 0.5, startTime: '22:00', endTime: '02:00', daysOfWeek: [2],
+    });
+
+    const price = await calculateStudioPrice({ studio, startTime: vn('2026-10-20T23:00:00'), endTime: vn('2026-10-21T01:00:00') });
+
+    // Only the Tuesday side of midnight gets the band
+    assert.deepEqual(price.lines.map(line => line.multiplier), [0.5, 1]);
+  });
+
+  it('applies the holiday multiplier on fixed public holidays', async () => {
+    await db.seed(PricingRule, { name: 'Phụ thu lễ', type: PRICING_RULE_TYPE.HOLIDAY, multiplier: 2 });
+
+    const price = await calculateStudioPrice({ studio, startTime: vn('2026-09-01T23:00:00'), endTime: vn('2026-09-02T01:00:00') });
+
+    // 02/09 (Quốc khánh) starts at midnight
+    assert.deepEqual(price.lines.map(line => line.multiplier), [1, 2]);
+    assert.equal(price.studioAmount, 300000);
+  });
+
+  it('applies the last-minute discount only when asked to', async () => {
+    await db.seed(PricingRule, { name: 'Sát giờ', type: PRICING_RULE_TYPE.LAST_MINUTE, multiplier: 0.9, hoursBeforeStart: 24 });
+    const window = { studio, startTime: vn('2026-10-20T10:00:00'), endTime: vn('2026-10-20T11:00:00'), bookedAt: vn('2026-10-20T08:00:00') };
+
+    const booked = await calculateStudioPrice(window);
+    const repriced = await calculateStudioPrice({ ...window, applyLastMinute: false });
+
+    assert.equal(booked.studioAmount, 90000);
+    assert.equal(repriced.studioAmount, 100000);
+  });
+
+  it('charges the minimum billable hours at the average rate of the booked time', async () => {
+    await db.seed(PricingRule, [
+      { name: 'Tối thiểu 2 giờ', type: PRICING_RULE_TYPE.MINIMUM_HOURS, minHours: 2 },
+      { name: 'Cao điểm', type: PRICING_RULE_TYPE.TIME_BAND, multiplier: 1.5, startTime: '18:00', endTime: '22:00' },
+    ]);
+
+    const price = await calculateStudioPrice({ studio, startTime: vn('2026-10-20T18:00:00'), endTime: vn('2026-10-20T19:00:00') });
+
+    assert.equal(price.billableHours, 2);
+    assert.deepEqual(price.adjustments.map(a => ({ type: a.type, hours: a.hours, amount: a.amount })), [
+      { type: PRICING_RULE_TYPE.MINIMUM_HOURS, hours: 1, amount: 150000 },
+    ]);
+    assert.equal(price.studioAmount, 300000);
+  });
+
+  it('ignores rules restricted to another studio or outside their validity window', async () => {
+    await db.seed(PricingRule, [
+      { name: 'Studio khác', type: PRICING_RULE_TYPE.TIME_BAND, multiplier: 3, startTime: '00:00', endTime: '24:00', studioIds: [new mongoose.Types.ObjectId()] },
+      { name: 'Hết hạn', type: PRICING_RULE_TYPE.TIME_BAND, multiplier: 3, startTime: '00:00', endTime: '24:00', validTo: vn('2026-01-01T00:00:00') },
+    ]);
+
+    const price = await calculateStudioPrice({ studio, startTime: vn('2026-10-20T09:00:00'), endTime: vn('2026-10-20T10:00:00') });
+
+    assert.equal(price.studioAmount, 100000);
+  });
+});
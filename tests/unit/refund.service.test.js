@@ -0,0 +1,115 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Booking, Payment, Refund, Wallet } from '../../src/models/index.js';
+import EquipmentOrder, { EQUIPMENT_ORDER_STATUS } from '../../src/models/EquipmentOrder/equipmentOrder.model.js';
+import {
+  BOOKING_STATUS,
+  BOOKING_EVENT_TYPE,
+  PAYMENT_STATUS,
+  PAY_TYPE,
+  REFUND_DESTINATION,
+  TARGET_MODEL,
+} from '../../src/utils/constants.js';
+import { ForbiddenError } from '../../src/utils/errors.js';
+import { createRefundRequest, createRefundRequestForTarget } from '../../src/services/refund.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const ownerId = new mongoose.Types.ObjectId();
+const strangerId = new mongoose.Types.ObjectId();
+
+const walletBalance = (userId) => db.all(Wallet, { userId })[0]?.balance ?? 0;
+
+// Booking cancelled by the studio (100% refundable) with 200.000 VND paid
+const seedCancelledBooking = async () => {
+  const [booking] = await db.seed(Booking, {
+    userId: ownerId,
+    scheduleId: new mongoose.Types.ObjectId(),
+    totalBeforeDiscount: 200000,
+    finalAmount: 200000,
+    payType: PAY_TYPE.FULL,
+    status: BOOKING_STATUS.CANCELLED,
+    events: [{ type: BOOKING_EVENT_TYPE.CANCELLED, details: { studioInitiated: true } }],
+  });
+  await db.seed(Payment, {
+    bookingId: booking._id,
+    paymentCode: `PAY-${booking._id}`,
+    amount: 200000,
+    payType: PAY_TYPE.FULL,
+    status: PAYMENT_STATUS.PAID,
+  });
+  return booking;
+};
+
+const seedCancelledEquipmentOrder = async () => {
+  const [order] = await db.seed(EquipmentOrder, {
+    orderCode: 'EQ-0001',
+    customerId: ownerId,
+    equipmentId: new mongoose.Types.ObjectId(),
+    quantity: 1,
+    hours: 2,
+    unitPrice: 50000,
+    totalAmount: 100000,
+    rentalStartTime: new Date('2026-11-01T02:00:00Z'),
+    rentalEndTime: new Date('2026-11-01T04:00:00Z'),
+    status: EQUIPMENT_ORDER_STATUS.CANCELLED,
+  });
+  await db.seed(Payment, {
+    targetId: order._id,
+    targetModel: TARGET_MODEL.EQUIPMENT_ORDER,
+    paymentCode: `EQ-PAY-${order._id}`,
+    amount: 100000,
+    payType: PAY_TYPE.FULL,
+    status: PAYMENT_STATUS.PAID,
+  });
+  return order;
+};
+
+describe('refund requests', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('credits the owner\'s wallet straight away for a wallet refund', async () => {
+    const booking = await seedCancelledBooking();
+
+    const refund = await createRefundRequest(booking._id, { refundTo: REFUND_DESTINATION.WALLET, userId: ownerId });
+
+    assert.equal(refund.status, 'COMPLETED');
+    assert.equal(refund.amount, 200000);
+    assert.equal(walletBalance(ownerId), 200000);
+  });
+
+  it('does not let another customer refund a booking into their own wallet', async () => {
+    const booking = await seedCancelledBooking();
+
+    await assert.rejects(
+      createRefundRequest(booking._id, { refundTo: REFUND_DESTINATION.WALLET, userId: strangerId }),
+      ForbiddenError
+    );
+
+    assert.equal(db.all(Refund).length, 0);
+    assert.equal(walletBalance(strangerId), 0);
+    assert.equal(walletBalance(ownerId), 0);
+  });
+
+  it('does not let another customer request a refund of someone else\'s order', async () => {
+    const order = await seedCancelledEquipmentOrder();
+    const bank = { bankName: 'Vietcombank', accountNumber: '0123456789', accountName: 'NGUYEN VAN B' };
+
+    await assert.rejects(
+      createRefundRequestForTarget(order._id, TARGET_MODEL.EQUIPMENT_ORDER, { refundTo: REFUND_DESTINATION.WALLET, userId: strangerId }),
+      ForbiddenError
+    );
+    await assert.rejects(
+      createRefundRequestForTarget(order._id, TARGET_MODEL.EQUIPMENT_ORDER, { ...bank, userId: strangerId }),
+      ForbiddenError
+    );
+
+    const refund = await createRefundRequestForTarget(order._id, TARGET_MODEL.EQUIPMENT_ORDER, { refundTo: REFUND_DESTINATION.WALLET, userId: ownerId });
+    assert.equal(refund.status, 'COMPLETED');
+    assert.equal(walletBalance(ownerId), 100000);
+    assert.equal(walletBalance(strangerId), 0);
+  });
+});
@@ -0,0 +1,58 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Studio, Schedule } from '../../src/models/index.js';
+import { SCHEDULE_STATUS } from '../../src/utils/constants.js';
+import { ConflictError } from '../../src/utils/errors.js';
+import { createSchedule, widenScheduleBuffers } from '../../src/services/schedule.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const MINUTE_MS = 60 * 1000;
+
+// Whole hour a few days ahead, so every slot is in the future
+const base = new Date(Date.now() + 3 * 24 * 60 * MINUTE_MS);
+base.setUTCMinutes(0, 0, 0);
+const at = (minutes) => new Date(base.getTime() + minutes * MINUTE_MS);
+
+// A studio open around the clock (holidays included) with its own pre/post buffers
+const seedStudio = (bufferBeforeMinutes, bufferAfterMinutes) => db.seed(Studio, {
+  name: 'Studio A', basePricePerHour: 100000, closedOnHolidays: false, bufferBeforeMinutes, bufferAfterMinutes,
+}).then(([studio]) => studio);
+
+describe('schedule buffers', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('lets a small room take the next slot after its short teardown', async () => {
+    const studio = await seedStudio(0, 10);
+    await createSchedule({ studioId: studio._id, startTime: at(0), endTime: at(60) });
+
+    const next = await createSchedule({ studioId: studio._id, startTime: at(70), endTime: at(130) });
+
+    assert.equal(next.status, SCHEDULE_STATUS.AVAILABLE);
+    assert.equal(db.all(Schedule, { studioId: studio._id }).length, 2);
+  });
+
+  it('keeps the teardown time of a set-build studio free', async () => {
+    const studio = await seedStudio(15, 90);
+    await createSchedule({ studioId: studio._id, startTime: at(0), endTime: at(60) });
+
+    // 90 minutes of teardown plus 15 minutes of setup: the next slot starts at +165 at the earliest
+    await assert.rejects(createSchedule({ studioId: studio._id, startTime: at(150), endTime: at(210) }), ConflictError);
+    await createSchedule({ studioId: studio._id, startTime: at(165), endTime: at(225) });
+    assert.equal(db.all(Schedule, { studioId: studio._id }).length, 2);
+  });
+
+  it('widens the buffers of a schedule only when the larger window is free', async () => {
+    const studio = await seedStudio(0, 10);
+    const first = await createSchedule({ studioId: studio._id, startTime: at(0), endTime: at(60) });
+    await createSchedule({ studioId: studio._id, startTime: at(120), endTime: at(180) });
+
+    const widened = await widenScheduleBuffers(first._id, { after: 40 });
+    assert.equal(widened.bufferAfterMinutes, 50);
+
+    await assert.rejects(widenScheduleBuffers(first._id, { after: 60 }), ConflictError);
+    assert.equal(db.get(Schedule, first._id).bufferAfterMinutes, 50);
+  });
+});
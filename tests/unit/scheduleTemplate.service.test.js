@@ -0,0 +1,78 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Schedule, ScheduleTemplate, Studio } from '../../src/models/index.js';
+import { SCHEDULE_STATUS } from '../../src/utils/constants.js';
+import { ConflictError, ValidationError } from '../../src/utils/errors.js';
+import { createTemplate, previewTemplate, applyTemplate, SLOT_STATUS } from '../../src/services/scheduleTemplate.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const HOUR_MS = 60 * 60 * 1000;
+const TZ_OFFSET_MS = 7 * HOUR_MS;
+
+// A Vietnam day three days ahead, as 'YYYY-MM-DD' and as a clock for that day
+const dayKey = new Date(Date.now() + 3 * 24 * HOUR_MS + TZ_OFFSET_MS).toISOString().slice(0, 10);
+const at = (hhmm) => new Date(`${dayKey}T${hhmm}:00+07:00`);
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+// Two-hour slots from 08:00 to 14:00; with the default 30 minutes of cleanup they start at 08:00 and 10:30
+const seedTemplate = () => db.seed(ScheduleTemplate, {
+  name: 'Ca sáng', daysOfWeek: EVERY_DAY, startTime: '08:00', endTime: '14:00', slotMinutes: 120, isActive: true,
+}).then(([template]) => template);
+
+const seedStudios = () => db.seed(Studio, [
+  { name: 'Studio A', basePricePerHour: 100000, closedOnHolidays: false },
+  {
+    name: 'Studio B',
+    basePricePerHour: 100000,
+    closedOnHolidays: false,
+    operatingHours: EVERY_DAY.map(dayOfWeek => ({ dayOfWeek, open: '08:00', close: '12:00' })),
+  },
+]);
+
+const range = (studios) => ({ studioIds: studios.map(studio => studio._id), startDate: dayKey, endDate: dayKey });
+
+describe('schedule templates', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('creates every open slot of the template and skips those outside opening hours', async () => {
+    const template = await seedTemplate();
+    const studios = await seedStudios();
+
+    const preview = await previewTemplate(template._id, range(studios));
+    const result = await applyTemplate(template._id, range(studios));
+
+    assert.deepEqual(preview.summary, { total: 4, creatable: 3, conflicts: 0, closed: 1 });
+    assert.equal(preview.slots.find(slot => slot.status === SLOT_STATUS.CLOSED).studioName, 'Studio B');
+    assert.deepEqual({ created: result.created, skipped: result.skipped }, { created: 3, skipped: { conflicts: 0, closed: 1 } });
+    const [studioA] = studios;
+    assert.deepEqual(
+      db.all(Schedule, { studioId: studioA._id }).map(s => s.startTime.toISOString()).sort(),
+      [at('08:00').toISOString(), at('10:30').toISOString()]
+    );
+    assert.ok(db.all(Schedule).every(s => s.status === SCHEDULE_STATUS.AVAILABLE));
+  });
+
+  it('creates nothing when a slot clashes with an existing schedule unless asked to skip it', async () => {
+    const template = await seedTemplate();
+    const [studio] = await db.seed(Studio, { name: 'Studio A', basePricePerHour: 100000, closedOnHolidays: false });
+    await db.seed(Schedule, { studioId: studio._id, startTime: at('11:00'), endTime: at('12:00'), status: SCHEDULE_STATUS.BOOKED });
+
+    await assert.rejects(applyTemplate(template._id, range([studio])), ConflictError);
+    assert.equal(db.all(Schedule).length, 1);
+
+    const result = await applyTemplate(template._id, { ...range([studio]), skipConflicts: true });
+    assert.deepEqual({ created: result.created, conflicts: result.skipped.conflicts }, { created: 1, conflicts: 1 });
+    assert.equal(db.all(Schedule).length, 2);
+  });
+
+  it('rejects a template whose window cannot fit a single slot', async () => {
+    await assert.rejects(
+      createTemplate({ name: 'Ca ngắn', daysOfWeek: [1], startTime: '08:00', endTime: '09:00', slotMinutes: 120 }),
+      ValidationError
+    );
+    assert.equal(db.all(ScheduleTemplate).length, 0);
+  });
+});
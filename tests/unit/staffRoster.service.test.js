@@ -0,0 +1,101 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Booking, Schedule, StaffShift, Studio, User } from '../../src/models/index.js';
+import { BOOKING_STATUS, SCHEDULE_STATUS, PAY_TYPE, USER_ROLES, STAFF_ASSIGNMENT_METHOD } from '../../src/utils/constants.js';
+import { ConflictError, UnauthorizedError } from '../../src/utils/errors.js';
+import {
+  createShift,
+  cancelShift,
+  autoAssignStaff,
+  assertAssignedStaff,
+  getMyAssignments,
+} from '../../src/services/staffRoster.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const HOUR_MS = 60 * 60 * 1000;
+
+// Shift day two days ahead, 08:00-20:00 Vietnam time
+const day = new Date(Date.now() + 2 * 24 * HOUR_MS);
+day.setUTCHours(1, 0, 0, 0);
+const at = (hours) => new Date(day.getTime() + hours * HOUR_MS);
+
+const seedStaff = (username) => db.seed(User, {
+  username, email: `${username}@example.com`, fullName: username, passwordHash: 'x', role: USER_ROLES.STAFF,
+}).then(([user]) => user);
+
+// A confirmed booking of `studio` from `startHour` for two hours
+const seedBooking = async (studio, startHour, fields = {}) => {
+  const [schedule] = await db.seed(Schedule, { studioId: studio._id, startTime: at(startHour), endTime: at(startHour + 2), status: SCHEDULE_STATUS.BOOKED });
+  const [booking] = await db.seed(Booking, {
+    userId: new mongoose.Types.ObjectId(), scheduleId: schedule._id, totalBeforeDiscount: 200000, finalAmount: 200000, payType: PAY_TYPE.FULL, status: BOOKING_STATUS.CONFIRMED, ...fields,
+  });
+  await Schedule.updateOne({ _id: schedule._id }, { $set: { bookingId: booking._id } });
+  return booking;
+};
+
+describe('staff roster', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('assigns the on-duty staff member with the lightest day', async () => {
+    const [studio, otherStudio] = await db.seed(Studio, [{ name: 'Studio A', basePricePerHour: 100000 }, { name: 'Studio B', basePricePerHour: 100000 }]);
+    const [busy, free, elsewhere] = await Promise.all(['busy', 'free', 'elsewhere'].map(seedStaff));
+    await createShift({ staffId: busy._id, startTime: at(0), endTime: at(12), studioIds: [studio._id] });
+    await createShift({ staffId: free._id, startTime: at(0), endTime: at(12) });
+    await createShift({ staffId: elsewhere._id, startTime: at(0), endTime: at(12), studioIds: [otherStudio._id] });
+    await seedBooking(studio, 0, { assignedStaffId: busy._id });
+    const booking = await seedBooking(studio, 4);
+
+    const assigned = await autoAssignStaff(booking._id);
+
+    assert.equal(assigned.assignedStaffId.toString(), free._id.toString());
+    assert.equal(assigned.assignmentMethod, STAFF_ASSIGNMENT_METHOD.AUTO);
+    const { assignments } = await getMyAssignments(free._id, at(0));
+    assert.deepEqual(assignments.map(a => a._id.toString()), [booking._id.toString()]);
+  });
+
+  it('leaves the booking unassigned when nobody is on duty for the whole slot', async () => {
+    const [studio] = await db.seed(Studio, { name: 'Studio A', basePricePerHour: 100000 });
+    const staff = await seedStaff('early');
+    await createShift({ staffId: staff._id, startTime: at(0), endTime: at(5) });
+    const booking = await seedBooking(studio, 4);
+
+    const result = await autoAssignStaff(booking._id);
+
+    assert.equal(result.assignedStaffId, null);
+    assert.equal(db.get(Booking, booking._id).assignedStaffId, null);
+  });
+
+  it('rejects a shift that overlaps another shift of the same staff member', async () => {
+    const staff = await seedStaff('double');
+    await createShift({ staffId: staff._id, startTime: at(0), endTime: at(8) });
+
+    await assert.rejects(createShift({ staffId: staff._id, startTime: at(6), endTime: at(12) }), ConflictError);
+    assert.equal(db.all(StaffShift).length, 1);
+  });
+
+  it('hands the bookings of a cancelled shift to another on-duty staff member', async () => {
+    const [studio] = await db.seed(Studio, { name: 'Studio A', basePricePerHour: 100000 });
+    const [leaving, covering] = await Promise.all(['leaving', 'covering'].map(seedStaff));
+    const shift = await createShift({ staffId: leaving._id, startTime: at(0), endTime: at(12) });
+    await createShift({ staffId: covering._id, startTime: at(0), endTime: at(12) });
+    const booking = await seedBooking(studio, 2, { assignedStaffId: leaving._id });
+
+    const result = await cancelShift(shift._id);
+
+    assert.deepEqual({ affected: result.affectedBookings, reassigned: result.reassigned }, { affected: 1, reassigned: 1 });
+    assert.equal(db.get(Booking, booking._id).assignedStaffId.toString(), covering._id.toString());
+  });
+
+  it('keeps other staff off a booking assigned to someone else', () => {
+    const assignedStaffId = new mongoose.Types.ObjectId();
+    const booking = { assignedStaffId };
+
+    assert.doesNotThrow(() => assertAssignedStaff(booking, assignedStaffId, USER_ROLES.STAFF));
+    assert.doesNotThrow(() => assertAssignedStaff(booking, new mongoose.Types.ObjectId(), USER_ROLES.ADMIN));
+    assert.throws(() => assertAssignedStaff(booking, new mongoose.Types.ObjectId(), USER_ROLES.STAFF), UnauthorizedError);
+  });
+});
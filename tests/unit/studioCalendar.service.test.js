@@ -0,0 +1,123 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Studio, Holiday, Schedule } from '../../src/models/index.js';
+import { SCHEDULE_STATUS } from '../../src/utils/constants.js';
+import { ValidationError, ConflictError } from '../../src/utils/errors.js';
+import {
+  getOpenIntervals,
+  assertStudioOpen,
+  updateOperatingHours,
+  addBlackout,
+} from '../../src/services/studioCalendar.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+
+// Times are written in Vietnam time (UTC+7); 2026-11-02 is a Monday
+const vn = (local) => new Date(`${local}+07:00`);
+
+// Open Monday 08:00-12:00 and 13:00-22:00, closed the rest of the week
+const MONDAY_HOURS = [
+  { dayOfWeek: 1, open: '08:00', close: '12:00' },
+  { dayOfWeek: 1, open: '13:00', close: '22:00' },
+];
+
+const seedStudio = (fields = {}) => db.seed(Studio, {
+  name: 'Studio A', basePricePerHour: 100000, operatingHours: MONDAY_HOURS, ...fields,
+}).then(([studio]) => studio);
+
+const spans = (intervals) => intervals.map(i => [i.startTime.toISOString(), i.endTime.toISOString()]);
+
+describe('getOpenIntervals', () => {
+  it('follows the weekly hours and cuts out blackouts', () => {
+    const studio = {
+      operatingHours: MONDAY_HOURS,
+      blackouts: [{ startTime: vn('2026-11-02T15:00:00'), endTime: vn('2026-11-02T17:00:00') }],
+    };
+
+    const open = getOpenIntervals(studio, vn('2026-11-02T00:00:00'), vn('2026-11-04T00:00:00'));
+
+    assert.deepEqual(spans(open), [
+      [vn('2026-11-02T08:00:00').toISOString(), vn('2026-11-02T12:00:00').toISOString()],
+      [vn('2026-11-02T13:00:00').toISOString(), vn('2026-11-02T15:00:00').toISOString()],
+      [vn('2026-11-02T17:00:00').toISOString(), vn('2026-11-02T22:00:00').toISOString()],
+    ]);
+  });
+
+  it('is closed all day on a holiday unless the studio opts out', () => {
+    const holidays = new Map([['2026-11-02', 'Ngày nghỉ bù']]);
+    const from = vn('2026-11-02T00:00:00');
+    const to = vn('2026-11-03T00:00:00');
+
+    assert.deepEqual(getOpenIntervals({ operatingHours: MONDAY_HOURS }, from, to, holidays), []);
+    assert.equal(getOpenIntervals({ operatingHours: MONDAY_HOURS, closedOnHolidays: false }, from, to, holidays).length, 2);
+  });
+});
+
+describe('studio opening calendar', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('accepts a slot inside the opening hours and rejects one that crosses the lunch break', async () => {
+    const studio = await seedStudio();
+
+    await assertStudioOpen(studio._id, vn('2026-11-02T09:00:00'), vn('2026-11-02T11:00:00'));
+    await assert.rejects(
+      assertStudioOpen(studio._id, vn('2026-11-02T11:00:00'), vn('2026-11-02T14:00:00')),
+      { statusCode: 400, message: /ngoài giờ mở cửa/ }
+    );
+    await assert.rejects(assertStudioOpen(studio._id, vn('2026-11-03T09:00:00'), vn('2026-11-03T11:00:00')), ValidationError);
+  });
+
+  it('rejects a slot on a holiday or inside a blackout', async () => {
+    const studio = await seedStudio({
+      blackouts: [{ startTime: vn('2026-11-09T08:00:00'), endTime: vn('2026-11-09T22:00:00'), reason: 'Sửa điều hòa' }],
+    });
+    await db.seed(Holiday, { date: '2026-11-02', name: 'Ngày nghỉ bù' });
+
+    await assert.rejects(
+      assertStudioOpen(studio._id, vn('2026-11-02T09:00:00'), vn('2026-11-02T11:00:00')),
+      { statusCode: 400, message: /nghỉ lễ Ngày nghỉ bù/ }
+    );
+    await assert.rejects(
+      assertStudioOpen(studio._id, vn('2026-11-09T09:00:00'), vn('2026-11-09T11:00:00')),
+      { statusCode: 400, message: /Sửa điều hòa/ }
+    );
+  });
+
+  it('replaces the weekly hours only when every range is valid', async () => {
+    const studio = await seedStudio({ operatingHours: [] });
+
+    await assert.rejects(
+      updateOperatingHours(studio._id, { operatingHours: [...MONDAY_HOURS, { dayOfWeek: 1, open: '11:00', close: '14:00' }] }),
+      ValidationError
+    );
+    await assert.rejects(updateOperatingHours(studio._id, { operatingHours: [{ dayOfWeek: 1, open: '12:00', close: '08:00' }] }), ValidationError);
+    assert.deepEqual(db.get(Studio, studio._id).operatingHours, []);
+
+    const updated = await updateOperatingHours(studio._id, { operatingHours: MONDAY_HOURS, closedOnHolidays: false });
+    assert.equal(updated.operatingHours.length, 2);
+    assert.equal(db.get(Studio, studio._id).closedOnHolidays, false);
+  });
+
+  it('adds a blackout and lists the bookings it affects', async () => {
+    const studio = await seedStudio({ operatingHours: [] });
+    const start = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    const end = new Date(start.getTime() + 4 * 60 * 60 * 1000);
+    const [booked] = await db.seed(Schedule, [
+      { studioId: studio._id, startTime: new Date(start.getTime() + 60 * 60 * 1000), endTime: new Date(start.getTime() + 2 * 60 * 60 * 1000), status: SCHEDULE_STATUS.BOOKED },
+      { studioId: studio._id, startTime: new Date(end.getTime() + 60 * 60 * 1000), endTime: new Date(end.getTime() + 2 * 60 * 60 * 1000), status: SCHEDULE_STATUS.BOOKED },
+    ]);
+
+    const { blackout, affectedSchedules } = await addBlackout(studio._id, { startTime: start, endTime: end, reason: 'Sơn lại tường' });
+
+    assert.equal(blackout.reason, 'Sơn lại tường');
+    assert.deepEqual(affectedSchedules.map(s => s._id.toString()), [booked._id.toString()]);
+    await assert.rejects(
+      addBlackout(studio._id, { startTime: new Date(start.getTime() + 60 * 60 * 1000), endTime: new Date(end.getTime() + 60 * 60 * 1000) }),
+      ConflictError
+    );
+    assert.equal(db.get(Studio, studio._id).blackouts.length, 1);
+  });
+});
@@ -0,0 +1,70 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Booking, Schedule, Studio, RoomPolicy, WaitlistEntry } from '../../src/models/index.js';
+import { BOOKING_STATUS, SCHEDULE_STATUS, WAITLIST_STATUS } from '../../src/utils/constants.js';
+import { ConflictError } from '../../src/utils/errors.js';
+import { convertWaitlistOffer } from '../../src/services/waitlist.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const userId = new mongoose.Types.ObjectId();
+const MINUTE_MS = 60 * 1000;
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * MINUTE_MS);
+
+// A hold offered to the customer on a released slot of a studio open around the clock (holidays included)
+const seedOfferedEntry = async () => {
+  const [studio] = await db.seed(Studio, { name: 'Studio A', basePricePerHour: 100000, closedOnHolidays: false });
+  await db.seed(RoomPolicy, [
+    { name: 'Hủy tiêu chuẩn', type: 'CANCELLATION', category: 'STANDARD', isActive: true, refundTiers: [{ hoursBeforeBooking: 24, refundPercentage: 100 }] },
+    { name: 'Không đến tiêu chuẩn', type: 'NO_SHOW', category: 'STANDARD', isActive: true, noShowRules: { chargeType: 'FULL_CHARGE' } },
+  ]);
+  const startTime = minutesFromNow(3 * 24 * 60);
+  startTime.setUTCMinutes(0, 0, 0);
+  const endTime = new Date(startTime.getTime() + 120 * MINUTE_MS);
+  const [entry] = await db.seed(WaitlistEntry, {
+    userId,
+    studioId: studio._id,
+    startTime,
+    endTime,
+    status: WAITLIST_STATUS.OFFERED,
+    offer: { offeredAt: new Date(), expiresAt: minutesFromNow(15), releasedStart: startTime, releasedEnd: endTime },
+  });
+  return entry;
+};
+
+describe('convertWaitlistOffer', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('books the held slot and marks the entry converted', async () => {
+    const entry = await seedOfferedEntry();
+
+    const result = await convertWaitlistOffer(entry._id, userId);
+
+    assert.equal(result.entry.status, WAITLIST_STATUS.CONVERTED);
+    assert.equal(result.entry.bookingId.toString(), result.booking._id.toString());
+    const booking = db.get(Booking, result.booking._id);
+    assert.equal(booking.status, BOOKING_STATUS.PENDING);
+    assert.equal(db.get(Schedule, booking.scheduleId).status, SCHEDULE_STATUS.BOOKED);
+  });
+
+  it('rolls the booking back when the hold is gone before it commits', async () => {
+    const entry = await seedOfferedEntry();
+    // The customer leaves the waitlist (or the hold is passed on) while the booking is being written
+    const claim = WaitlistEntry.findOneAndUpdate;
+    WaitlistEntry.findOneAndUpdate = () => Promise.resolve(null);
+
+    try {
+      await assert.rejects(convertWaitlistOffer(entry._id, userId), ConflictError);
+    } finally {
+      WaitlistEntry.findOneAndUpdate = claim;
+    }
+
+    assert.equal(db.all(Booking).length, 0);
+    assert.ok(db.all(Schedule).every(schedule => schedule.status !== SCHEDULE_STATUS.BOOKED));
+    assert.equal(db.get(WaitlistEntry, entry._id).status, WAITLIST_STATUS.OFFERED);
+  });
+});
@@ -0,0 +1,180 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Wallet, WalletTransaction, Payment, Report, User } from '../../src/models/index.js';
+import {
+  WALLET_TRANSACTION_TYPE,
+  PAYMENT_CATEGORY,
+  PAYMENT_STATUS,
+  PAY_TYPE,
+  TARGET_MODEL,
+  REPORT_TARGET_TYPES,
+  REPORT_ISSUE_TYPE,
+  USER_ROLES,
+} from '../../src/utils/constants.js';
+import { ConflictError, ValidationError } from '../../src/utils/errors.js';
+import {
+  creditWallet,
+  debitWallet,
+  applyWalletToCheckout,
+  creditReportCompensation,
+} from '../../src/services/wallet.service.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const userId = new mongoose.Types.ObjectId();
+
+const inTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+const balance = () => db.all(Wallet, { userId })[0]?.balance ?? 0;
+
+const seedReport = (fields = {}) => db.seed(Report, {
+  targetType: REPORT_TARGET_TYPES.STUDIO,
+  targetId: new mongoose.Types.ObjectId(),
+  reporterId: userId,
+  issueType: REPORT_ISSUE_TYPE.DAMAGE,
+  description: 'Hỏng đèn',
+  ...fields,
+}).then(([report]) => report);
+
+describe('wallet ledger', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('credits a document only once and rolls the balance back on the duplicate', async () => {
+    const refundId = new mongoose.Types.ObjectId();
+    const credit = (session) => creditWallet({
+      userId,
+      amount: 50000,
+      type: WALLET_TRANSACTION_TYPE.REFUND,
+      referenceModel: 'Refund',
+      referenceId: refundId,
+    }, session);
+
+    const entry = await inTransaction(credit);
+    await assert.rejects(inTransaction(credit), ConflictError);
+
+    assert.equal(entry.balanceAfter, 50000);
+    assert.equal(balance(), 50000);
+    assert.equal(db.all(WalletTransaction).length, 1);
+  });
+
+  it('rejects amounts that are not whole VND', async () => {
+    await assert.rejects(
+      inTransaction(session => creditWallet({ userId, amount: 1000.5, type: WALLET_TRANSACTION_TYPE.PROMOTION }, session)),
+      ValidationError
+    );
+    assert.equal(db.all(WalletTransaction).length, 0);
+  });
+
+  it('refuses to debit more than the balance without writing to the ledger', async () => {
+    await db.seed(Wallet, { userId, balance: 30000 });
+
+    await assert.rejects(
+      inTransaction(session => debitWallet({ userId, amount: 30001, referenceId: new mongoose.Types.ObjectId() }, session)),
+      ValidationError
+    );
+
+    assert.equal(balance(), 30000);
+    assert.equal(db.all(WalletTransaction).length, 0);
+  });
+
+  it('debits a payment only once', async () => {
+    await db.seed(Wallet, { userId, balance: 100000 });
+    const paymentId = new mongoose.Types.ObjectId();
+    const debit = (session) => debitWallet({ userId, amount: 40000, referenceId: paymentId }, session);
+
+    await inTransaction(debit);
+    await assert.rejects(inTransaction(debit), ConflictError);
+
+    assert.equal(balance(), 60000);
+    assert.equal(db.all(WalletTransaction, { referenceId: paymentId }).length, 1);
+  });
+});
+
+describe('applyWalletToCheckout', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  const checkout = async (amount) => {
+    const report = await seedReport({ responsibleUserId: userId });
+    const result = await inTransaction(session => applyWalletToCheckout({
+      userId,
+      amount,
+      payment: { targetId: report._id, targetModel: TARGET_MODEL.REPORT, category: PAYMENT_CATEGORY.FINE, payType: PAY_TYPE.FULL },
+    }, session));
+    await result.afterCommit();
+    return { ...result, report };
+  };
+
+  it('rounds a fractional amount up to whole VND when the wallet covers it', async () => {
+    await db.seed(Wallet, { userId, balance: 500000 });
+
+    const { walletPayment, walletAmount, remaining, report } = await checkout(150000.4);
+
+    assert.equal(walletAmount, 150001);
+    assert.equal(remaining, 0);
+    assert.equal(balance(), 349999);
+    assert.equal(db.get(Payment, walletPayment._id).status, PAYMENT_STATUS.PAID);
+    assert.ok(db.get(Report, report._id).compensationPaidAt);
+  });
+
+  it('leaves the fractional rest for the payment link when the wallet runs out', async () => {
+    await db.seed(Wallet, { userId, balance: 100000 });
+
+    const { walletAmount, remaining } = await checkout(150000.4);
+
+    assert.equal(walletAmount, 100000);
+    assert.equal(remaining, 50000.4);
+    assert.equal(balance(), 0);
+  });
+
+  it('keeps at least the gateway minimum for the payment link', async () => {
+    await db.seed(Wallet, { userId, balance: 149500 });
+
+    const { walletAmount, remaining } = await checkout(150000);
+
+    assert.equal(walletAmount, 149000);
+    assert.equal(remaining, 1000);
+    assert.equal(balance(), 500);
+  });
+
+  it('does nothing without a balance', async () => {
+    const { walletPayment, walletAmount, remaining } = await checkout(150000);
+
+    assert.equal(walletPayment, null);
+    assert.equal(walletAmount, 0);
+    assert.equal(remaining, 150000);
+    assert.equal(db.all(Payment).length, 0);
+  });
+});
+
+describe('creditReportCompensation', () => {
+  beforeEach(() => db.install());
+  afterEach(() => db.restore());
+
+  it('credits a fractional compensation as whole VND, once', async () => {
+    await db.seed(User, { _id: userId, username: 'khach', email: 'khach@example.com', fullName: 'Khách Hàng', passwordHash: 'x', role: USER_ROLES.CUSTOMER });
+    const report = await seedReport({ compensationAmount: 120000.6 });
+    const staffId = new mongoose.Types.ObjectId();
+
+    const entry = await creditReportCompensation(report._id.toString(), staffId);
+    await assert.rejects(creditReportCompensation(report._id.toString(), staffId), ConflictError);
+
+    assert.equal(entry.amount, 120001);
+    assert.equal(balance(), 120001);
+    assert.ok(db.get(Report, report._id).compensationCreditedAt);
+  });
+});